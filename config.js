@@ -49,6 +49,17 @@ module.exports = {
     googleVisionCredentials: process.env.GOOGLE_VISION_CREDENTIALS || null
   },
 
+  // ReparationsEscrow network for /api/blockchain: base | base-sepolia | localhost
+  // (see src/services/blockchain/network-config.js for presets)
+  blockchain: {
+    network: process.env.BLOCKCHAIN_NETWORK || 'base',
+    rpcUrl: process.env.BLOCKCHAIN_RPC_URL || '',
+    deploymentPath: process.env.BLOCKCHAIN_DEPLOYMENT_PATH || '',
+    // ReparationsLedger (Merkle root of lineage contributions); falls back to
+    // ledgerAddress in the deployment file
+    ledgerAddress: process.env.REPARATIONS_LEDGER_ADDRESS || ''
+  },
+
   security: {
     allowedOrigins: (process.env.ALLOWED_ORIGINS || '').split(',').filter(Boolean)
   }
@@ -7,6 +7,7 @@ const USDC_ADDRESSES = {
   "mainnet": "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",      // Ethereum Mainnet
   "sepolia": "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238",      // Ethereum Sepolia
   "hardhat": "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",      // Use mainnet address for local fork
+  "localhost": "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",    // Local node — USDC deposits unavailable unless forked
 };
 
 async function main() {
@@ -29,7 +30,7 @@ async function main() {
   console.log(`Deployer:  ${deployer.address}`);
   console.log(`Balance:   ${ethers.formatEther(balance)} ETH\n`);
 
-  if (balance === 0n && networkName !== "hardhat") {
+  if (balance === 0n && networkName !== "hardhat" && networkName !== "localhost") {
     throw new Error("Deployer has no ETH for gas. Fund the wallet first.");
   }
 
@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// /api/blockchain write routes against ReparationsEscrow on the in-process
+// Hardhat chain. The chain is served over JSON-RPC so the routes reach it
+// through their own connectEscrow(), exactly as in production; the database is
+// an in-memory stand-in.
+
+// Hardhat's first default account — the deployer, owner and a verifier.
+const DEPLOYER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const DAA_ID = "11111111-2222-3333-4444-555555555555";
+const MANIFEST_ROOT = ethers.keccak256(ethers.toUtf8Bytes("daa document manifest"));
+
+function fakeDb() {
+  const state = {
+    manifests: [{ id: 1, daa_id: DAA_ID, version: 1, merkle_root: MANIFEST_ROOT, submitted_tx_hash: null }],
+    agreements: [{ daa_id: DAA_ID, blockchain_record_id: null, blockchain_network: null }],
+    proposals: [],
+    decisions: [],
+  };
+  // The proposal's DAA holds its record on `network`
+  const holds = (p, network) => state.agreements.some(d => d.daa_id === p.daa_id
+    && Number(d.blockchain_record_id) === Number(p.blockchain_record_id) && (d.blockchain_network || "base") === network);
+  return {
+    state,
+    async query(text, params = []) {
+      if (text.includes("UPDATE daa_document_manifests")) {
+        Object.assign(state.manifests.find(m => m.id === params[0]), { submitted_tx_hash: params[1], blockchain_record_id: params[2] });
+        return { rows: [] };
+      }
+      if (text.includes("FROM daa_document_manifests")) {
+        return { rows: state.manifests.filter(m => m.daa_id === params[0]) };
+      }
+      if (text.includes("UPDATE debt_acknowledgment_agreements")) {
+        Object.assign(state.agreements.find(d => d.daa_id === params[0]), {
+          blockchain_record_id: params[1], blockchain_hash: params[2], blockchain_network: params[3],
+        });
+        return { rows: [] };
+      }
+      if (text.includes("FROM debt_acknowledgment_agreements WHERE daa_id")) {
+        return { rows: state.agreements.filter(d => d.daa_id === params[0]) };
+      }
+      if (text.includes("SELECT daa_id, total_debt")) {
+        return { rows: state.agreements.filter(d => d.blockchain_record_id === params[0] && (d.blockchain_network || "base") === params[1]) };
+      }
+      if (text.includes("SELECT p.proposed_amount_usd")) {
+        return { rows: state.proposals.filter(p => p.daa_id === params[0] && p.status === "applied" && holds(p, params[1])).slice(-1) };
+      }
+      if (text.includes("FROM daa_amount_revision_proposals p")) {
+        return { rows: state.proposals.filter(p => p.id === params[0]) };
+      }
+      if (text.includes("INSERT INTO daa_amount_revision_proposals")) {
+        const row = { id: 100 + state.proposals.length, daa_id: params[0], rule: "direct", current_amount_usd: params[1],
+          proposed_amount_usd: params[2], reason: params[3], blockchain_record_id: params[5], status: "applying", reviewed_by: params[6] };
+        state.proposals.push(row);
+        return { rows: [row] };
+      }
+      if (text.includes("SET status = 'applying'")) {
+        const p = state.proposals.find(x => x.id === params[0] && x.status === "approved" && x.blockchain_record_id === params[1]
+          && holds(x, params[2]));
+        if (p) p.status = "applying";
+        return { rows: p ? [p] : [] };
+      }
+      if (text.includes("SET status = CASE")) {
+        const p = state.proposals.find(x => x.id === params[0] && x.status === "applying");
+        if (p) p.status = p.rule === "direct" ? "rejected" : "approved";
+        return { rows: p ? [p] : [] };
+      }
+      if (text.includes("SET status = 'applied'")) {
+        const p = state.proposals.find(x => x.id === params[0] && x.status === "applying");
+        if (!p) return { rows: [] };
+        Object.assign(p, { status: "applied", transaction_hash: params[1], applied_at: new Date() });
+        return { rows: [p] };
+      }
+      if (text.includes("INSERT INTO review_decisions")) {
+        state.decisions.push({ queue: params[2], item_id: params[3], action: params[4], detail: JSON.parse(params[6]) });
+        return { rows: [] };
+      }
+      throw new Error(`unexpected query: ${text.slice(0, 80)}`);
+    },
+  };
+}
+
+describe("/api/blockchain routes on a local chain", function () {
+  let rpcServer, httpServer, baseUrl, escrow, db, tmpDir;
+  const saved = {};
+
+  async function call(method, route, body) {
+    const res = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  before(async function () {
+    rpcServer = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+    const { port: rpcPort } = await rpcServer.listen();
+
+    const ReparationsEscrow = await ethers.getContractFactory("ReparationsEscrow");
+    escrow = await ReparationsEscrow.deploy(ethers.ZeroAddress);
+    await escrow.waitForDeployment();
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-routes-"));
+    const deploymentPath = path.join(tmpDir, "localhost-deployment.json");
+    fs.writeFileSync(deploymentPath, JSON.stringify({
+      network: "localhost",
+      chainId: 31337,
+      contractAddress: await escrow.getAddress(),
+      usdcAddress: ethers.ZeroAddress,
+    }));
+
+    // An RPC override, as BLOCKCHAIN_RPC_URL would set; /config must not echo it.
+    const blockchain = require("../../config").blockchain;
+    saved.blockchain = { ...blockchain };
+    Object.assign(blockchain, { network: "localhost", rpcUrl: `http://127.0.0.1:${rpcPort}/?apikey=secret`, deploymentPath });
+    saved.deployerKey = process.env.DEPLOYER_PRIVATE_KEY;
+    process.env.DEPLOYER_PRIVATE_KEY = DEPLOYER_KEY;
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "blockchain-routes-test";
+    process.env.DATABASE_URL = process.env.DATABASE_URL || "postgresql://u:p@h.tld/db";
+
+    db = fakeDb();
+    require.cache[require.resolve("../../src/database/connection")] = { exports: db };
+    const router = require("../../src/api/routes/blockchain");
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/blockchain", router);
+    httpServer = app.listen(0, "127.0.0.1");
+    await new Promise(resolve => httpServer.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}/api/blockchain`;
+  });
+
+  after(async function () {
+    if (httpServer) await new Promise(resolve => httpServer.close(resolve));
+    if (rpcServer) await rpcServer.close();
+    if (saved.blockchain) Object.assign(require("../../config").blockchain, saved.blockchain);
+    if (saved.deployerKey === undefined) delete process.env.DEPLOYER_PRIVATE_KEY;
+    else process.env.DEPLOYER_PRIVATE_KEY = saved.deployerKey;
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("GET /config", function () {
+    it("returns the preset public RPC, not the override", async function () {
+      const { body } = await call("GET", "/config");
+      expect(body.contractAddress).to.equal(await escrow.getAddress());
+      expect(body.rpcUrl).to.equal("http://127.0.0.1:8545");
+      expect(body.networkParams.rpcUrls).to.deep.equal(["http://127.0.0.1:8545"]);
+      expect(JSON.stringify(body)).to.not.include("apikey");
+    });
+  });
+
+  describe("POST /submit", function () {
+    it("records an ancestry record with the given genealogy hash", async function () {
+      const genealogyHash = ethers.keccak256(ethers.toUtf8Bytes("proof bundle"));
+      const { status, body } = await call("POST", "/submit", {
+        ancestorName: "James Hale", familySearchId: "KWJ1-234", genealogyHash, totalReparationsOwed: "1250.50",
+      });
+      expect(status).to.equal(200);
+      expect(body.recordId).to.equal(1);
+      expect(body.docHash).to.equal(genealogyHash);
+      expect(body.explorerUrl).to.equal(null);
+
+      const record = await escrow.ancestryRecords(1);
+      expect(record.ancestorName).to.equal("James Hale");
+      expect(record.genealogyHash).to.equal(genealogyHash);
+      expect(record.totalReparationsOwed).to.equal(1250500000n);
+    });
+
+    it("commits a DAA's document-manifest root and records the submission on the DAA", async function () {
+      const { status, body } = await call("POST", "/submit", {
+        ancestorName: "Mary Hale", daaId: DAA_ID, genealogyHash: "ignored", totalReparationsOwed: 900,
+      });
+      expect(status).to.equal(200);
+      expect(body.recordId).to.equal(2);
+      expect(body.docHash).to.equal(MANIFEST_ROOT);
+      expect((await escrow.ancestryRecords(2)).genealogyHash).to.equal(MANIFEST_ROOT);
+      expect(db.state.manifests[0].submitted_tx_hash).to.equal(body.transactionHash);
+      expect(db.state.manifests[0].blockchain_record_id).to.equal("2");
+      expect(db.state.agreements[0]).to.include({ blockchain_record_id: 2, blockchain_hash: body.transactionHash, blockchain_network: "localhost" });
+      expect(db.state.decisions.at(-1)).to.deep.include({ queue: "debt_acknowledgment_agreements", item_id: DAA_ID, action: "submit" });
+      expect(db.state.decisions.at(-1).detail).to.include({ recordId: 2, docHash: MANIFEST_ROOT });
+    });
+
+    it("refuses a DAA that is already on chain unless resubmit is asked for", async function () {
+      const { status, body } = await call("POST", "/submit", { ancestorName: "Mary Hale", daaId: DAA_ID, totalReparationsOwed: 900 });
+      expect(status).to.equal(409);
+      expect(body).to.include({ code: "ALREADY_SUBMITTED", recordId: 2, network: "localhost" });
+      expect(db.state.agreements[0].blockchain_record_id).to.equal(2);
+      expect(await escrow.nextRecordId()).to.equal(3n);
+    });
+
+    it("404s for an unknown DAA without sending", async function () {
+      const { status } = await call("POST", "/submit", { ancestorName: "Mary Hale", daaId: "00000000-0000-0000-0000-000000000000" });
+      expect(status).to.equal(404);
+      expect(await escrow.nextRecordId()).to.equal(3n);
+    });
+
+    it("requires ancestorName", async function () {
+      const { status } = await call("POST", "/submit", { totalReparationsOwed: 1 });
+      expect(status).to.equal(400);
+      expect(await escrow.nextRecordId()).to.equal(3n);
+    });
+  });
+
+  describe("DAA generation's on-chain submission", function () {
+    it("submits on the active network with the manifest root", async function () {
+      const { _submitDAAOnChain } = require("../../src/api/routes/daa");
+      const onchain = await _submitDAAOnChain({
+        daaRecord: { daaId: DAA_ID, agreementNumber: "DAA-2026-0001", slaveholderName: "James Hale" },
+        debtCalculation: { recommendedDebt: 1234.5 },
+        documentManifest: { merkle_root: MANIFEST_ROOT },
+        slaveholderData: [],
+      }, { name: "Acknowledger" });
+      expect(onchain).to.include({ success: true, recordId: 3, network: "localhost", explorerUrl: null });
+      const record = await escrow.ancestryRecords(3);
+      expect(record.genealogyHash).to.equal(MANIFEST_ROOT);
+      expect(record.totalReparationsOwed).to.equal(1234500000n);
+      expect(record.notes).to.equal("DAA DAA-2026-0001");
+    });
+  });
+
+  describe("pipeline on-chain submission", function () {
+    it("submits an existing DAA and records it on the agreement, once", async function () {
+      const { submitExistingDAAOnChain } = require("../../src/services/pipeline-orchestrator");
+      const daa = { daa_id: DAA_ID, agreement_number: "DAA-2026-0001", slaveholder_name: "James Hale", total_debt: "500.00", blockchain_record_id: null };
+      const onchain = await submitExistingDAAOnChain(daa);
+      // No manifest can be built here, so docHash falls back to keccak(daa_id).
+      expect(onchain).to.include({ success: true, recordId: 4, network: "localhost", merkleRoot: null });
+      expect(db.state.agreements[0]).to.include({ blockchain_record_id: 4, blockchain_network: "localhost" });
+      expect((await escrow.ancestryRecords(4)).genealogyHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes(DAA_ID)));
+
+      const again = await submitExistingDAAOnChain({ ...daa, blockchain_record_id: "4", blockchain_network: "localhost" });
+      expect(again).to.include({ success: true, alreadySubmitted: true, recordId: 4 });
+      expect(await escrow.nextRecordId()).to.equal(5n);
+    });
+  });
+
+  describe("POST /verify/:id", function () {
+    it("marks the record verified on chain", async function () {
+      expect((await escrow.getRecord(1)).verified).to.be.false;
+      const { status, body } = await call("POST", "/verify/1");
+      expect(status).to.equal(200);
+      expect(body.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect((await escrow.getRecord(1)).verified).to.be.true;
+    });
+
+    it("fails for a record that does not exist", async function () {
+      const { status, body } = await call("POST", "/verify/99");
+      expect(status).to.equal(500);
+      expect(body.error).to.include("Record does not exist");
+    });
+  });
+
+  describe("POST /update-amount/:id", function () {
+    it("applies a direct revision and audits it", async function () {
+      const { status, body } = await call("POST", "/update-amount/1", { newAmount: "1400.25", reason: "CPI update" });
+      expect(status).to.equal(200);
+      expect(body.proposal).to.equal(null); // no DAA holds record 1
+      expect((await escrow.getRecord(1)).totalReparationsOwed).to.equal(1400250000n);
+      const decision = db.state.decisions.at(-1);
+      expect(decision.queue).to.equal("daa_amount_revisions");
+      expect(decision.detail.transactionHash).to.equal(body.transactionHash);
+    });
+
+    it("records a direct revision of a DAA's record as an applied 'direct' row", async function () {
+      const recordId = db.state.agreements[0].blockchain_record_id;
+      const { status, body } = await call("POST", `/update-amount/${recordId}`, { newAmount: "620.50", reason: "Correction" });
+      expect(status).to.equal(200);
+      expect(body.proposal).to.include({ rule: "direct", daa_id: DAA_ID, status: "applied", proposed_amount_usd: 620.5,
+        transaction_hash: body.transactionHash, reviewed_by: "dev" });
+      expect((await escrow.getRecord(recordId)).totalReparationsOwed).to.equal(620500000n);
+    });
+
+    it("applies an approved proposal for the record and marks it applied", async function () {
+      const recordId = Number(db.state.agreements[0].blockchain_record_id);
+      db.state.proposals.push({ id: 7, daa_id: DAA_ID, status: "approved", blockchain_record_id: recordId, proposed_amount_usd: "950.00", reason: "Climb match added" });
+      const { status, body } = await call("POST", `/update-amount/${recordId}`, { proposalId: 7 });
+      expect(status).to.equal(200);
+      expect(body.proposal.status).to.equal("applied");
+      expect(body.proposal.transaction_hash).to.equal(body.transactionHash);
+      expect((await escrow.getRecord(recordId)).totalReparationsOwed).to.equal(950000000n);
+    });
+
+    it("refuses a proposal for another record without sending", async function () {
+      const recordId = Number(db.state.agreements[0].blockchain_record_id);
+      db.state.proposals.push({ id: 8, daa_id: DAA_ID, status: "approved", blockchain_record_id: recordId, proposed_amount_usd: "10.00", reason: "x" });
+      const { status, body } = await call("POST", "/update-amount/1", { proposalId: 8 });
+      expect(status).to.equal(409);
+      expect(body.code).to.equal("RECORD_MISMATCH");
+      expect(db.state.proposals.find(p => p.id === 8).status).to.equal("approved");
+      expect((await escrow.getRecord(1)).totalReparationsOwed).to.equal(1400250000n);
+    });
+
+    it("refuses a proposal whose DAA holds the record id on another network", async function () {
+      const daa = db.state.agreements[0];
+      const recordId = Number(daa.blockchain_record_id);
+      daa.blockchain_network = "base-sepolia";
+      try {
+        const { status, body } = await call("POST", `/update-amount/${recordId}`, { proposalId: 8 });
+        expect(status).to.equal(409);
+        expect(body.code).to.equal("RECORD_MISMATCH");
+      } finally {
+        daa.blockchain_network = "localhost";
+      }
+      expect(db.state.proposals.find(p => p.id === 8).status).to.equal("approved");
+      expect((await escrow.getRecord(recordId)).totalReparationsOwed).to.equal(950000000n);
+    });
+
+    it("refuses a proposal another apply has already claimed", async function () {
+      const recordId = Number(db.state.agreements[0].blockchain_record_id);
+      db.state.proposals.push({ id: 9, daa_id: DAA_ID, status: "applying", blockchain_record_id: recordId, proposed_amount_usd: "20.00", reason: "x" });
+      const { status, body } = await call("POST", `/update-amount/${recordId}`, { proposalId: 9 });
+      expect(status).to.equal(409);
+      expect(body.code).to.equal("BAD_STATE");
+      expect((await escrow.getRecord(recordId)).totalReparationsOwed).to.equal(950000000n);
+    });
+
+    it("gives the claim back when the transaction cannot be sent", async function () {
+      const bad = 99; // no such record: updateReparationsOwed reverts at estimation, nothing is broadcast
+      const otherDaa = "99999999-2222-3333-4444-555555555555";
+      db.state.agreements.push({ daa_id: otherDaa, blockchain_record_id: bad, blockchain_network: "localhost" });
+      db.state.proposals.push({ id: 10, daa_id: otherDaa, status: "approved", blockchain_record_id: bad, proposed_amount_usd: "5.00", reason: "x" });
+      const { status } = await call("POST", `/update-amount/${bad}`, { proposalId: 10 });
+      expect(status).to.equal(500);
+      expect(db.state.proposals.find(p => p.id === 10).status).to.equal("approved");
+    });
+
+    it("requires newAmount or proposalId", async function () {
+      const { status } = await call("POST", "/update-amount/1", {});
+      expect(status).to.equal(400);
+    });
+  });
+});
@@ -18,6 +18,7 @@ const CorporatePage = lazy(() => import('./pages/CorporatePage.jsx'));
 const LegalPage = lazy(() => import('./pages/LegalPage.jsx'));
 const BlockchainPage = lazy(() => import('./pages/BlockchainPage.jsx'));
 const AdminPage = lazy(() => import('./pages/AdminPage.jsx'));
+const SignPage = lazy(() => import('./pages/SignPage.jsx'));
 const DepositorsPage = lazy(() => import('./pages/DepositorsPage.jsx'));
 const SubmitWillPage = lazy(() => import('./components/Intake/SubmitWillPage.jsx'));
 
@@ -78,6 +79,7 @@ export default function App() {
             <Route path="/legal/:topic" element={<LegalPage />} />
             <Route path="/contribute/will" element={<SubmitWillPage />} />
             <Route path="/pay" element={<BlockchainPage />} />
+            <Route path="/sign/:token" element={<SignPage />} />
             <Route path="/admin/*" element={<AdminPage />} />
             <Route path="*" element={<div className="state err">404 — path not found</div>} />
           </Routes>
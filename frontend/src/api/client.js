@@ -4,8 +4,9 @@
 
 const API_URL = import.meta.env.VITE_API_URL || '';
 
-// Admin token management — stored in localStorage, sent as X-Admin-Token header.
-// Set via useAdminAuth hook's login(); cleared on logout or verify failure.
+// Reviewer session token (a JWT from POST /api/reviewers/login) — stored in
+// localStorage, sent as `Authorization: Bearer`. Set via useAdminAuth hook's
+// login(); cleared on logout or verify failure.
 const ADMIN_TOKEN_KEY = 'reparations.admin_token';
 
 export function getAdminToken() {
@@ -47,12 +48,12 @@ async function request(path, { method = 'GET', body, signal, headers = {}, admin
     headers: { 'Accept': 'application/json', ...headers },
     signal,
   };
-  // Attach admin token if requested (admin endpoints) or if one exists (belt+suspenders).
+  // Attach the reviewer token if requested (admin endpoints) or if one exists (belt+suspenders).
   // The backend only checks the header on gated paths, so sending it on public
   // paths is harmless.
   const adminToken = getAdminToken();
   if (adminToken) {
-    opts.headers['X-Admin-Token'] = adminToken;
+    opts.headers['Authorization'] = `Bearer ${adminToken}`;
   }
   if (body !== undefined) {
     opts.headers['Content-Type'] = 'application/json';
@@ -151,9 +152,13 @@ export const api = {
   getBlockchainRecord: (id) => request(`/api/blockchain/record/${id}`),
   getRemainingDebt: (id) => request(`/api/blockchain/debt/${id}`),
 
-  // Admin — gated by X-Admin-Token header on the backend.
+  // Admin — gated by reviewer accounts and roles on the backend.
   // See useAdminAuth hook + src/middleware/admin-auth.js
+  loginReviewer: (username, password) =>
+    request('/api/reviewers/login', { method: 'POST', body: { username, password } }),
   verifyAdmin: () => request('/api/admin/verify'),
+  getReviewDecisions: (params = {}) =>
+    request(`/api/reviewers/decisions?${new URLSearchParams(params)}`),
   getReviewQueue: () => request('/api/contribute/review-queue'),
   approveReview: (id, full_name) =>
     request(`/api/contribute/review-queue/${id}/approve`, { method: 'POST', body: { full_name } }),
@@ -161,6 +166,18 @@ export const api = {
     request(`/api/contribute/review-queue/${id}/reject`, { method: 'POST', body: { reason } }),
   getDataQualityMetrics: () => request('/api/contribute/data-quality-metrics'),
   getPendingVerification: () => request('/api/ancestor-climb/pending-verification'),
+  listDaaSigning: (status) =>
+    request(`/api/daa/signing${status ? `?status=${encodeURIComponent(status)}` : ''}`),
+  getDaaSigning: (daaId) => request(`/api/daa/${daaId}/signing`),
+  sendDaaForSigning: (daaId, { countersigner, obligor, expiresInDays }) =>
+    request(`/api/daa/${daaId}/signing/send`, { method: 'POST', body: { countersigner, obligor, expiresInDays } }),
+
+  // DAA signing links — public; the token in the link is the credential.
+  getSigningRequest: (token) => request(`/api/daa/sign/${encodeURIComponent(token)}`),
+  signDaa: (token, { typedName, walletAddress, walletSignature }) =>
+    request(`/api/daa/sign/${encodeURIComponent(token)}`, {
+      method: 'POST', body: { typedName, walletAddress, walletSignature },
+    }),
 };
 
 /**
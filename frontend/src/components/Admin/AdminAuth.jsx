@@ -2,17 +2,18 @@ import React, { useState } from 'react';
 import { useAdminAuth } from '../../hooks/useAdminAuth.js';
 
 /**
- * AdminAuth — wraps admin routes with a token gate.
+ * AdminAuth — wraps admin routes with a reviewer login.
  *
- * On mount: checks stored token against /api/admin/verify.
+ * On mount: checks stored reviewer token against /api/admin/verify.
  *   - valid token → renders children
- *   - missing/invalid → shows login screen
+ *   - missing/invalid → shows username/password login
  *
  * Children receive a `logout` function via render prop (optional).
  */
 export function AdminAuth({ children }) {
   const { state, login, logout } = useAdminAuth();
-  const [input, setInput] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [submitting, setSubmitting] = useState(false);
 
   if (state.loading) {
@@ -22,44 +23,51 @@ export function AdminAuth({ children }) {
   if (!state.authenticated) {
     async function onSubmit(e) {
       e.preventDefault();
-      if (!input) return;
+      if (!username || !password) return;
       setSubmitting(true);
-      await login(input.trim());
+      await login(username.trim(), password);
+      setPassword('');
       setSubmitting(false);
     }
     return (
       <div className="stack-lg" style={{ maxWidth: 480, margin: '48px auto' }}>
         <div>
-          <h1 style={{ fontSize: 20, fontWeight: 'normal' }}>Admin login</h1>
+          <h1 style={{ fontSize: 20, fontWeight: 'normal' }}>Reviewer login</h1>
           <div className="dim" style={{ fontSize: 12, marginTop: 4 }}>
-            Enter the admin token. The token is set via the <code>ADMIN_TOKEN</code>
-            environment variable on the backend and rotated per event.
+            Log in with your reviewer account. Accounts are created by an
+            operator; ask one if you need access or a different role.
           </div>
         </div>
         <form onSubmit={onSubmit} className="stack">
           <input
-            type="password"
-            placeholder="admin token"
-            value={input}
-            onChange={e => setInput(e.target.value)}
+            type="text"
+            placeholder="username"
+            autoComplete="username"
+            value={username}
+            onChange={e => setUsername(e.target.value)}
             autoFocus
           />
-          <button type="submit" disabled={!input || submitting}>
+          <input
+            type="password"
+            placeholder="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+          />
+          <button type="submit" disabled={!username || !password || submitting}>
             {submitting ? 'Verifying...' : 'Log in'}
           </button>
         </form>
         {state.error && (
           <div className="state err">
             {state.error.status === 401
-              ? 'Token rejected.'
-              : state.error.status === 503
-              ? 'Admin auth not configured on the server.'
+              ? 'Invalid username or password, or session expired.'
               : `Error: ${state.error.message}`}
           </div>
         )}
         <div className="dim" style={{ fontSize: 11 }}>
-          Token is stored in your browser's localStorage and sent as the
-          X-Admin-Token header on admin API calls. Clear browser data to log out.
+          The session token is stored in your browser's localStorage and sent as
+          an Authorization header on admin API calls. It expires after 12 hours.
         </div>
       </div>
     );
@@ -68,6 +76,12 @@ export function AdminAuth({ children }) {
   return (
     <div className="stack-lg">
       <div className="row" style={{ justifyContent: 'flex-end' }}>
+        {state.reviewer && (
+          <span className="dim" style={{ fontSize: 12 }}>
+            {state.reviewer.displayName || state.reviewer.username}
+            {' · '}{(state.reviewer.roles || []).join(', ')}
+          </span>
+        )}
         <button type="button" onClick={logout} style={{ fontSize: 12 }}>
           Log out
         </button>
@@ -15,6 +15,7 @@ export function AdminHome() {
         <Tile to="/admin/review" title="Review queue" body="Approve or reject pending match candidates. The public site shows only items that pass through here." />
         <Tile to="/admin/quality" title="Data quality" body="Garbage rate, confidence distribution, source breakdown. Bulk fix operations for low-confidence records." />
         <Tile to="/admin/participants" title="Participants" body="View all participants from intake, their climb sessions, match counts, DAA status, payment status." />
+        <Tile to="/admin/signing" title="DAA signing" body="Send generated agreements for signature and track each one from draft to sent, signed and countersigned." />
       </div>
       <div className="box warn" style={{ fontSize: 12 }}>
         <strong>Pre-premiere checklist:</strong>
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { api } from '../../api/client.js';
+import { useApi, useAsyncAction } from '../../hooks/useApi.js';
+import { formatUSD } from '../../api/format.js';
+
+const STATUSES = ['draft', 'sent', 'signed', 'countersigned'];
+
+/**
+ * DAASigning — signing workflow for generated DAA documents (M114).
+ * draft → sent → signed → countersigned. Sending issues one link for the
+ * obligor and one for the countersigner; the links are shown once here and
+ * must be passed on to the signers (they are not stored on the server).
+ */
+export function DAASigning() {
+  const [status, setStatus] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const { data, loading, error } = useApi(() => api.listDaaSigning(status), [status, refreshKey]);
+  const agreements = data?.agreements || [];
+
+  return (
+    <div className="stack-xl">
+      <header>
+        <h1 style={{ fontSize: 20, fontWeight: 'normal' }}>DAA signing</h1>
+        <div className="dim" style={{ fontSize: 12, marginTop: 4 }}>
+          Every signature is recorded against the SHA-256 of the generated document.
+          A regenerated document needs a fresh send.
+        </div>
+      </header>
+
+      <div className="row-wrap" style={{ fontSize: 12 }}>
+        <button type="button" onClick={() => setStatus('')} disabled={status === ''}>all</button>
+        {STATUSES.map(s => (
+          <button key={s} type="button" onClick={() => setStatus(s)} disabled={status === s}>{s}</button>
+        ))}
+      </div>
+
+      {loading && <div className="state">Loading<span className="blink">_</span></div>}
+      {error && <div className="state err">{error.message}</div>}
+      <div className="stack">
+        {agreements.map(a => (
+          <AgreementRow key={a.daa_id} agreement={a} onChanged={() => setRefreshKey(k => k + 1)} />
+        ))}
+        {!loading && !error && agreements.length === 0 && <div className="dim">No agreements.</div>}
+      </div>
+    </div>
+  );
+}
+
+function AgreementRow({ agreement: a, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [issued, setIssued] = useState(null);
+  const canSend = a.signing_status === 'draft' || a.signing_status === 'sent';
+
+  return (
+    <div className="box stack">
+      <div className="row" style={{ justifyContent: 'space-between' }}>
+        <div>
+          <div>{a.agreement_number} · {a.acknowledger_name}</div>
+          <div className="dim" style={{ fontSize: 12 }}>
+            {formatUSD(a.total_debt)}
+            {a.blockchain_record_id != null && ` · on-chain #${a.blockchain_record_id}`}
+            {a.document_sha256 && ` · sha256 ${a.document_sha256.slice(0, 12)}…`}
+          </div>
+        </div>
+        <span className={`badge ${a.signing_status}`}>{a.signing_status}</span>
+      </div>
+
+      {a.signers.length > 0 && (
+        <div className="stack" style={{ fontSize: 12 }}>
+          {a.signers.map(s => (
+            <div key={s.role} className="row" style={{ gap: 12 }}>
+              <span className="upper dim" style={{ width: 110 }}>{s.role}</span>
+              <span>{s.signer_name}</span>
+              <span className="dim">
+                {s.signed_at ? `signed ${new Date(s.signed_at).toLocaleString()}`
+                  : s.viewed_at ? 'viewed, not signed'
+                  : `sent ${new Date(s.sent_at).toLocaleDateString()}`}
+                {s.wallet_address && ` · wallet ${s.wallet_address.slice(0, 10)}…`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {issued && (
+        <div className="box warn stack" style={{ fontSize: 12 }}>
+          <div>Copy these links now — they cannot be shown again.</div>
+          {issued.requests.map(r => (
+            <div key={r.id}>
+              <span className="upper dim">{r.role}</span> {r.signerName}:{' '}
+              <code style={{ wordBreak: 'break-all' }}>{r.link.startsWith('/') ? `${window.location.origin}${r.link}` : r.link}</code>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canSend && (
+        open
+          ? <SendForm daaId={a.daa_id} resend={a.signing_status === 'sent'}
+              onSent={(result) => { setIssued(result); setOpen(false); onChanged(); }} />
+          : <div><button type="button" onClick={() => setOpen(true)}>
+              {a.signing_status === 'sent' ? 'Re-send links' : 'Send for signing'}
+            </button></div>
+      )}
+    </div>
+  );
+}
+
+function SendForm({ daaId, resend, onSent }) {
+  const [countersignerName, setCountersignerName] = useState('');
+  const [countersignerEmail, setCountersignerEmail] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [send, sendState] = useAsyncAction(async () => {
+    const result = await api.sendDaaForSigning(daaId, {
+      countersigner: { name: countersignerName, email: countersignerEmail || undefined },
+      expiresInDays: Number(expiresInDays),
+    });
+    onSent(result);
+    return result;
+  });
+
+  return (
+    <div className="stack" style={{ fontSize: 12 }}>
+      {resend && <div className="warn">Re-sending revokes the outstanding links.</div>}
+      <div className="row-wrap">
+        <input type="text" value={countersignerName} onChange={e => setCountersignerName(e.target.value)}
+          placeholder="countersigner name" style={{ flex: 1 }} />
+        <input type="email" value={countersignerEmail} onChange={e => setCountersignerEmail(e.target.value)}
+          placeholder="countersigner email (optional)" style={{ flex: 1 }} />
+        <input type="number" min="1" max="365" value={expiresInDays} onChange={e => setExpiresInDays(e.target.value)}
+          style={{ width: 70 }} title="link lifetime in days" />
+        <button type="button" onClick={() => send().catch(() => {})} disabled={sendState.loading || !countersignerName}>
+          Send
+        </button>
+      </div>
+      <div className="dim">The obligor link goes to the acknowledger named on the agreement.</div>
+      {sendState.error && <div className="state err">{sendState.error.message}</div>}
+    </div>
+  );
+}
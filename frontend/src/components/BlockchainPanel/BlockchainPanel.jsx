@@ -30,24 +30,24 @@ export function BlockchainPanel() {
       <header>
         <h1 style={{ fontSize: 20, fontWeight: 'normal' }}>Payment</h1>
         <div className="dim" style={{ fontSize: 12, marginTop: 4 }}>
-          ReparationsEscrow contract on Base Mainnet. Connect MetaMask to submit
+          ReparationsEscrow contract on {networkName(state.config)}. Connect MetaMask to submit
           a Debt Acknowledgment Agreement on-chain or pay toward an existing record.
         </div>
       </header>
 
       <section className="grid-2">
         <Field label="Contract address" value={state.config.contractAddress} mono />
-        <Field label="Chain" value={`Base Mainnet (${state.config.chainId || 8453})`} />
+        <Field label="Chain" value={`${networkName(state.config)} (${state.config.chainId || 8453})`} />
         <Field label="USDC address" value={state.config.usdcAddress} mono />
-        <Field label="Explorer" value={
+        <Field label="Explorer" value={state.config.explorerUrl ? (
           <a
-            href={`https://basescan.org/address/${state.config.contractAddress}`}
+            href={`${state.config.explorerUrl}/address/${state.config.contractAddress}`}
             target="_blank"
             rel="noopener noreferrer"
           >
-            View on BaseScan →
+            View on block explorer →
           </a>
-        } />
+        ) : 'None (local chain)'} />
       </section>
 
       {!state.connected ? (
@@ -69,7 +69,7 @@ export function BlockchainPanel() {
             </div>
           </section>
 
-          <SubmitRecord contract={state.contract} walletAddress={state.address} />
+          <SubmitRecord contract={state.contract} walletAddress={state.address} config={state.config} />
           <MakePayment contract={state.contract} usdc={state.usdc} config={state.config} />
           <ViewRecord />
         </>
@@ -78,6 +78,18 @@ export function BlockchainPanel() {
   );
 }
 
+function networkName(config) {
+  return config.network?.name || 'Base Mainnet';
+}
+
+// Local Hardhat chains have no explorer — show the bare hash there
+function TxLink({ config, hash }) {
+  if (!config?.explorerUrl) return <span className="mono">{hash}</span>;
+  return (
+    <a href={`${config.explorerUrl}/tx/${hash}`} target="_blank" rel="noopener noreferrer">{hash}</a>
+  );
+}
+
 function Field({ label, value, mono }) {
   return (
     <div className="box">
@@ -99,7 +111,7 @@ function Field({ label, value, mono }) {
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 const USDC_DECIMALS = 6;
 
-function SubmitRecord({ contract, walletAddress }) {
+function SubmitRecord({ contract, walletAddress, config }) {
   const [form, setForm] = useState({ ancestorName: '', fsId: '', totalDebt: '', notes: '' });
   const [computedHash, setComputedHash] = useState(null);
 
@@ -153,11 +165,7 @@ function SubmitRecord({ contract, walletAddress }) {
         {actionState.data && (
           <div className="ok stack" style={{ fontSize: 12 }}>
             <div>
-              Submitted. Tx: <a
-                href={`https://basescan.org/tx/${actionState.data.txHash}`}
-                target="_blank"
-                rel="noopener noreferrer"
-              >{actionState.data.txHash}</a>
+              Submitted. Tx: <TxLink config={config} hash={actionState.data.txHash} />
             </div>
             <div className="dim mono" style={{ fontSize: 11, wordBreak: 'break-all' }}>
               Genealogy hash committed on-chain: {actionState.data.genealogyHash}
@@ -245,11 +253,7 @@ function MakePayment({ contract, usdc, config }) {
         {err && <div className="err" style={{ fontSize: 12 }}>{err.message}</div>}
         {result && (
           <div className="ok" style={{ fontSize: 12 }}>
-            Payment submitted. Tx: <a
-              href={`https://basescan.org/tx/${result.txHash}`}
-              target="_blank"
-              rel="noopener noreferrer"
-            >{result.txHash}</a>
+            Payment submitted. Tx: <TxLink config={config} hash={result.txHash} />
           </div>
         )}
       </div>
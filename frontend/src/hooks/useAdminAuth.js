@@ -2,14 +2,17 @@ import { useState, useEffect, useCallback } from 'react';
 import { api, setAdminToken, clearAdminToken, getAdminToken } from '../api/client.js';
 
 /**
- * useAdminAuth — manages the admin bearer token stored in localStorage.
+ * useAdminAuth — manages the reviewer session token stored in localStorage.
  *
- * On mount, if a token is present, verifies it against /api/admin/verify.
+ * login(username, password) exchanges credentials for a JWT at
+ * /api/reviewers/login. On mount, if a token is present, verifies it against
+ * /api/admin/verify.
  * Returns: { state, login, logout }
  *
  * state:
  *   loading:      verifying stored token
  *   authenticated: token is valid
+ *   reviewer:     { username, displayName, roles } when authenticated
  *   error:        verification failed
  *
  * The admin UI renders only when authenticated === true. Otherwise, the
@@ -19,23 +22,24 @@ export function useAdminAuth() {
   const [state, setState] = useState({
     loading: true,
     authenticated: false,
+    reviewer: null,
     error: null,
   });
 
   const verify = useCallback(async () => {
     const token = getAdminToken();
     if (!token) {
-      setState({ loading: false, authenticated: false, error: null });
+      setState({ loading: false, authenticated: false, reviewer: null, error: null });
       return;
     }
     setState(s => ({ ...s, loading: true, error: null }));
     try {
-      await api.verifyAdmin();
-      setState({ loading: false, authenticated: true, error: null });
+      const { reviewer } = await api.verifyAdmin();
+      setState({ loading: false, authenticated: true, reviewer, error: null });
     } catch (err) {
-      // Invalid token — clear it so we don't keep retrying
+      // Invalid or expired token — clear it so we don't keep retrying
       clearAdminToken();
-      setState({ loading: false, authenticated: false, error: err });
+      setState({ loading: false, authenticated: false, reviewer: null, error: err });
     }
   }, []);
 
@@ -43,23 +47,23 @@ export function useAdminAuth() {
     verify();
   }, [verify]);
 
-  const login = useCallback(async (token) => {
-    setAdminToken(token);
+  const login = useCallback(async (username, password) => {
     setState(s => ({ ...s, loading: true, error: null }));
     try {
-      await api.verifyAdmin();
-      setState({ loading: false, authenticated: true, error: null });
+      const { token, reviewer } = await api.loginReviewer(username, password);
+      setAdminToken(token);
+      setState({ loading: false, authenticated: true, reviewer, error: null });
       return true;
     } catch (err) {
       clearAdminToken();
-      setState({ loading: false, authenticated: false, error: err });
+      setState({ loading: false, authenticated: false, reviewer: null, error: err });
       return false;
     }
   }, []);
 
   const logout = useCallback(() => {
     clearAdminToken();
-    setState({ loading: false, authenticated: false, error: null });
+    setState({ loading: false, authenticated: false, reviewer: null, error: null });
   }, []);
 
   return { state, login, logout };
@@ -3,13 +3,15 @@ import { Routes, Route, NavLink } from 'react-router-dom';
 import { ReviewQueue } from '../components/Admin/ReviewQueue.jsx';
 import { DataQuality } from '../components/Admin/DataQuality.jsx';
 import { ParticipantManagement } from '../components/Admin/ParticipantManagement.jsx';
+import { DAASigning } from '../components/Admin/DAASigning.jsx';
 import { AdminHome } from '../components/Admin/AdminHome.jsx';
 import { AdminAuth } from '../components/Admin/AdminAuth.jsx';
 
-// Admin routes are gated by AdminAuth, which checks a token against
-// /api/admin/verify. The token is set via ADMIN_TOKEN env var on the backend.
-// In dev (NODE_ENV !== 'production'), the backend leaves endpoints open with
-// a startup warning, so AdminAuth will pass without a real token.
+// Admin routes are gated by AdminAuth: a reviewer logs in with username and
+// password and the session token is checked against /api/admin/verify. Each
+// backend route then requires a role (curator, genealogist, finance, operator).
+// In dev (NODE_ENV !== 'production'), the backend admits token-less requests
+// as a "dev" reviewer with every role, with a startup warning.
 export default function AdminPage() {
   return (
     <AdminAuth>
@@ -18,12 +20,14 @@ export default function AdminPage() {
         <NavLink to="/admin/review">Review queue</NavLink>
         <NavLink to="/admin/quality">Data quality</NavLink>
         <NavLink to="/admin/participants">Participants</NavLink>
+        <NavLink to="/admin/signing">DAA signing</NavLink>
       </div>
       <Routes>
         <Route path="/" element={<AdminHome />} />
         <Route path="/review" element={<ReviewQueue />} />
         <Route path="/quality" element={<DataQuality />} />
         <Route path="/participants" element={<ParticipantManagement />} />
+        <Route path="/signing" element={<DAASigning />} />
       </Routes>
     </AdminAuth>
   );
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { api } from '../api/client.js';
+import { useApi, useAsyncAction } from '../hooks/useApi.js';
+
+/**
+ * SignPage — where a DAA signing link lands (/sign/:token).
+ * The signer types their name to sign; optionally they also sign the
+ * walletMessage with MetaMask (EIP-191 personal_sign). The server recomputes
+ * the message and the document hash and verifies both before recording.
+ */
+export default function SignPage() {
+  const { token } = useParams();
+  const [refreshKey, setRefreshKey] = useState(0);
+  const { data, loading, error } = useApi(() => api.getSigningRequest(token), [token, refreshKey]);
+  const [typedName, setTypedName] = useState('');
+  const [wallet, setWallet] = useState(null);
+
+  const [signWallet, walletState] = useAsyncAction(async () => {
+    if (!window.ethereum) throw new Error('MetaMask not detected. Install the MetaMask browser extension.');
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner();
+    const address = await signer.getAddress();
+    const signature = await signer.signMessage(data.walletMessage);
+    setWallet({ address, signature });
+    return { address };
+  });
+
+  const [submit, submitState] = useAsyncAction(async () => {
+    const result = await api.signDaa(token, {
+      typedName,
+      walletAddress: wallet?.address,
+      walletSignature: wallet?.signature,
+    });
+    setRefreshKey(k => k + 1);
+    return result;
+  });
+
+  if (loading) return <div className="state">Loading<span className="blink">_</span></div>;
+  if (error) return <div className="state err">{error.message}</div>;
+
+  return (
+    <div className="stack-xl" style={{ maxWidth: 720 }}>
+      <header>
+        <h1 style={{ fontSize: 20, fontWeight: 'normal' }}>Debt Acknowledgment Agreement {data.agreementNumber}</h1>
+        <div className="dim" style={{ fontSize: 12, marginTop: 4 }}>
+          Signing as <strong>{data.signerName}</strong> ({data.role})
+        </div>
+      </header>
+
+      <section className="box stack" style={{ fontSize: 12 }}>
+        <div className="box-label">Document SHA-256</div>
+        <div className="mono" style={{ wordBreak: 'break-all' }}>{data.documentSha256}</div>
+        <div className="dim">
+          Your signature applies to the document with exactly this hash. If the
+          agreement is regenerated, you will be sent a new link.
+        </div>
+      </section>
+
+      {data.signedAt ? (
+        <div className="box">Signed {new Date(data.signedAt).toLocaleString()}. Thank you.</div>
+      ) : !data.canSign ? (
+        <div className="box warn">
+          {data.role === 'countersigner'
+            ? 'This agreement is waiting for the obligor to sign.'
+            : `This agreement is ${data.signingStatus} and cannot be signed through this link.`}
+        </div>
+      ) : (
+        <section className="box stack">
+          <label style={{ fontSize: 12 }}>
+            Type your full name exactly as shown above to sign
+            <input type="text" value={typedName} onChange={e => setTypedName(e.target.value)}
+              placeholder={data.signerName} style={{ width: '100%', marginTop: 4 }} />
+          </label>
+
+          <div className="stack" style={{ fontSize: 12 }}>
+            <div className="dim">Optional: also sign with a wallet. The message binds this signature to the document hash and the on-chain record.</div>
+            <pre className="mono" style={{ whiteSpace: 'pre-wrap', fontSize: 11 }}>{data.walletMessage}</pre>
+            {wallet
+              ? <div>Wallet signature from <span className="mono">{wallet.address}</span></div>
+              : <div><button type="button" onClick={() => signWallet().catch(() => {})} disabled={walletState.loading}>
+                  {walletState.loading ? 'Waiting for wallet...' : 'Sign with MetaMask'}
+                </button></div>}
+            {walletState.error && <div className="err">{walletState.error.message}</div>}
+          </div>
+
+          <div>
+            <button type="button" onClick={() => submit().catch(() => {})} disabled={submitState.loading || !typedName}>
+              Sign agreement
+            </button>
+          </div>
+          {submitState.error && <div className="state err">{submitState.error.message}</div>}
+        </section>
+      )}
+    </div>
+  );
+}
@@ -31,6 +31,12 @@ module.exports = {
       chainId: 31337
     },
 
+    // Standalone local node (`npx hardhat node`) — BLOCKCHAIN_NETWORK=localhost
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337
+    },
+
     // Base Sepolia Testnet
     "base-sepolia": {
       url: "https://sepolia.base.org",
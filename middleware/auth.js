@@ -57,7 +57,17 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Token issuance for named accounts (reviewer logins, src/services/ReviewerService.js).
+// Claims should identify the account, not carry permissions that outlive it —
+// callers re-read the account row on every request.
+const issueToken = (claims, expiresIn = '12h') => jwt.sign(claims, JWT_SECRET, { expiresIn });
+
+// Verify without the request plumbing. Throws on a bad or expired token.
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  issueToken,
+  verifyToken
 };
@@ -0,0 +1,83 @@
+-- Migration 110: off-chain mirror of ReparationsEscrow events
+-- Until now nothing off-chain recorded AncestryRecordSubmitted / PaymentDeposited /
+-- PaymentDistributed / DescendantVerified / ReparationsAmountUpdated, so the frontend's
+-- BlockchainPanel had to hit the contract for every lookup. EscrowEventIndexer
+-- (src/services/blockchain/EscrowEventIndexer.js) scans confirmed blocks into escrow_events
+-- and advances a per-(chain, contract) cursor. Reorg safety: every row carries its block_hash;
+-- when the cursor's hash no longer matches the chain, the indexer deletes rows above the
+-- rewind point and re-scans. (chain_id, tx_hash, log_index) makes re-scans idempotent.
+
+CREATE TABLE IF NOT EXISTS escrow_index_cursor (
+  chain_id          INTEGER NOT NULL,
+  contract_address  TEXT NOT NULL,                  -- lowercase 0x…
+  last_block        BIGINT NOT NULL,                -- highest block fully indexed
+  last_block_hash   TEXT,                           -- its hash at indexing time (reorg check)
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (chain_id, contract_address)
+);
+
+CREATE TABLE IF NOT EXISTS escrow_events (
+  id                BIGSERIAL PRIMARY KEY,
+  chain_id          INTEGER NOT NULL,
+  contract_address  TEXT NOT NULL,
+  block_number      BIGINT NOT NULL,
+  block_hash        TEXT NOT NULL,
+  block_time        TIMESTAMPTZ,
+  tx_hash           TEXT NOT NULL,
+  log_index         INTEGER NOT NULL,
+  event_name        TEXT NOT NULL,                  -- AncestryRecordSubmitted | PaymentDeposited | …
+  record_id         BIGINT NOT NULL,                -- ReparationsEscrow record id
+  wallet_address    TEXT,                           -- submitter / depositor / recipient / descendant (lowercase)
+  counterparty      TEXT,                           -- verifier for DescendantVerified
+  token_address     TEXT,                           -- 0x000… = ETH
+  amount_raw        NUMERIC(78,0),                  -- on-chain integer amount (PaymentDeposited/Distributed; new amount for updates)
+  amount            NUMERIC(38,18),                 -- amount_raw scaled by token decimals (ETH 18, USDC 6)
+  previous_amount   NUMERIC(38,18),                 -- ReparationsAmountUpdated.oldAmount
+  args              JSONB NOT NULL,                 -- full decoded event args
+  indexed_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT escrow_events_unique_log UNIQUE (chain_id, tx_hash, log_index),
+  CONSTRAINT escrow_events_name_chk CHECK (event_name IN (
+    'AncestryRecordSubmitted', 'PaymentDeposited', 'PaymentDistributed',
+    'DescendantVerified', 'ReparationsAmountUpdated'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_escrow_events_record ON escrow_events (chain_id, record_id, block_number);
+CREATE INDEX IF NOT EXISTS idx_escrow_events_wallet ON escrow_events (wallet_address) WHERE wallet_address IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_escrow_events_block ON escrow_events (chain_id, contract_address, block_number);
+
+-- Event rows joined to the DAA that owns the on-chain record (blockchain_record_id, M028).
+-- Left join: records submitted directly through MetaMask may have no DAA row yet.
+-- Record ids restart at 1 on every chain and deployment, so the DAA must also be on
+-- the event's chain (blockchain_network → chain id, as in network-config.js; unset
+-- means base) and, when its submission tx is known, that tx must be the record's
+-- AncestryRecordSubmitted on the event's contract.
+CREATE OR REPLACE VIEW escrow_payment_history AS
+SELECT
+  e.*,
+  d.daa_id,
+  d.agreement_number,
+  d.acknowledger_name,
+  d.slaveholder_name,
+  d.total_debt AS daa_total_debt
+FROM escrow_events e
+LEFT JOIN debt_acknowledgment_agreements d
+  ON d.blockchain_record_id = e.record_id
+ AND e.chain_id = CASE lower(COALESCE(d.blockchain_network, 'base'))
+       WHEN 'base' THEN 8453
+       WHEN 'base-mainnet' THEN 8453
+       WHEN 'base-sepolia' THEN 84532
+       WHEN 'localhost' THEN 31337
+       WHEN 'hardhat' THEN 31337
+     END
+ AND (d.blockchain_hash IS NULL OR EXISTS (
+       SELECT 1 FROM escrow_events s
+       WHERE s.chain_id = e.chain_id
+         AND s.contract_address = e.contract_address
+         AND s.record_id = e.record_id
+         AND s.event_name = 'AncestryRecordSubmitted'
+         AND lower(s.tx_hash) = lower(d.blockchain_hash)));
+
+COMMENT ON TABLE escrow_events IS
+  'Off-chain mirror of ReparationsEscrow events (M110), written by EscrowEventIndexer from confirmed blocks. Idempotent on (chain_id, tx_hash, log_index); rows above a reorg rewind point are deleted and re-scanned.';
+COMMENT ON TABLE escrow_index_cursor IS
+  'Per-(chain, contract) block cursor for EscrowEventIndexer (M110). last_block_hash is compared against the chain each run to detect reorgs.';
@@ -0,0 +1,171 @@
+-- Migration 111: documented freedom events (manumission deeds, certificates of
+-- freedom) and their use in the M039 inferred-dates view.
+--
+-- Problem this solves:
+--   enslaved_persons_inferred_dates (M039) ends every period of enslavement in
+--   1865. For persons freed earlier by deed, will or court certificate that
+--   overstates years_enslaved (and, for term-of-years deeds, the deed date
+--   alone would understate it). ManumissionExtractor
+--   (src/services/documents/extractors/manumission-extractor.js) now reads
+--   those instruments, and scripts/project-freedom-events.js writes one row per
+--   freed person here.
+--
+-- What this migration does:
+--   1. freedom_events: one row per documented release from slavery, with the
+--      instrument date, the condition (immediate / fixed_date / term_of_years /
+--      age_of_release / death_of_manumitter / born_free) and the computed
+--      effective_year. effective_year is NULL when the condition cannot be
+--      dated (death of manumitter, born free) — those rows are kept for the
+--      record but never end a period in the view.
+--   2. Rebuilds enslaved_persons_inferred_dates with the same leading columns
+--      so DAAOrchestrator and reconcile-lineage-obligations keep working
+--      unchanged. A schedule row takes the earliest matching freedom event:
+--        - by enslaved_lead_id = family_relationships.person2_lead_id, or
+--        - by freed name (schedule "age N" suffix stripped) AND manumitter
+--          name = person1_name, case-insensitive.
+--      Guard: an event dated BEFORE the schedule year is ignored — a person
+--      still listed as enslaved on the schedule was not free yet, so the match
+--      is a namesake (or a re-enslavement we cannot model).
+--      Documented years later than 1865 are capped at 1865.
+--   3. Two columns appended at the end (freedom_event_id, freedom_source) so
+--      outputs can cite the instrument.
+
+CREATE TABLE IF NOT EXISTS freedom_events (
+    id                      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    enslaved_person_id      INTEGER REFERENCES canonical_persons(id),
+    enslaved_lead_id        INTEGER,                    -- family_relationships.person2_lead_id when known
+    enslaved_name_text      TEXT NOT NULL,
+    manumitter_person_id    INTEGER REFERENCES canonical_persons(id),
+    manumitter_name         TEXT,
+    freedom_type            TEXT NOT NULL,              -- deed_of_manumission | certificate_of_freedom
+    condition_type          TEXT NOT NULL,              -- immediate | fixed_date | term_of_years | age_of_release | death_of_manumitter | born_free
+    condition_term_years    INTEGER,
+    condition_release_age   INTEGER,
+    instrument_date         DATE,                       -- deed / will date
+    certificate_issue_date  DATE,
+    effective_date          DATE,
+    effective_year          INTEGER,                    -- NULL when the condition cannot be dated
+    age_at_instrument       INTEGER,
+    birth_year_estimate     INTEGER,
+    sex                     TEXT,
+    descriptors_jsonb       JSONB NOT NULL DEFAULT '{}'::jsonb,   -- height_inches, complexion, distinctive_marks
+    consideration_usd       NUMERIC(12,2),
+    self_purchase           BOOLEAN NOT NULL DEFAULT FALSE,
+    place_state             TEXT,
+    place_locality          TEXT,
+    source_table            TEXT NOT NULL,              -- e.g. person_documents
+    source_id               TEXT NOT NULL,
+    extractor_version       TEXT,
+    confidence              NUMERIC(3,2),
+    created_at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CONSTRAINT freedom_events_source_uniq UNIQUE (source_table, source_id, enslaved_name_text)
+);
+
+CREATE INDEX IF NOT EXISTS idx_freedom_events_lead      ON freedom_events (enslaved_lead_id) WHERE enslaved_lead_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_freedom_events_names     ON freedom_events (LOWER(enslaved_name_text), LOWER(manumitter_name));
+CREATE INDEX IF NOT EXISTS idx_freedom_events_person    ON freedom_events (enslaved_person_id) WHERE enslaved_person_id IS NOT NULL;
+
+COMMENT ON TABLE freedom_events IS
+    'Documented releases from slavery read from manumission deeds and '
+    'certificates of freedom by ManumissionExtractor. effective_year ends the '
+    'period of enslavement in enslaved_persons_inferred_dates. (M111)';
+
+CREATE OR REPLACE VIEW enslaved_persons_inferred_dates AS
+WITH parsed AS (
+    SELECT
+        fr.id                                                           AS relationship_id,
+        fr.person1_name                                                 AS enslaver_name,
+        fr.person2_name                                                 AS enslaved_name,
+        fr.person2_lead_id                                              AS enslaved_lead_id,
+        fr.source_url,
+        fr.confidence                                                   AS relationship_confidence,
+        NULLIF((regexp_match(fr.person2_name, '[Aa]ge\s+([0-9]{1,3})'))[1], '')::int AS age_at_schedule,
+        CASE
+            WHEN fr.source_url ILIKE '%cc=3161105%' THEN 1860
+            WHEN fr.source_url ILIKE '%cc=1401638%' THEN 1850
+            WHEN fr.source_url ILIKE '%1850%'       THEN 1850
+            WHEN fr.source_url ILIKE '%1860%'       THEN 1860
+            ELSE NULL
+        END                                                             AS schedule_year,
+        -- "Harriet, age 15" -> "harriet" for the name match against freedom_events
+        LOWER(TRIM(regexp_replace(fr.person2_name, ',?\s*\(?[Aa]ge\s+[0-9]{1,3}.*$', ''))) AS enslaved_name_key
+    FROM family_relationships fr
+    WHERE fr.relationship_type = 'enslaved_by'
+),
+dated AS (
+    SELECT p.*, fe.id AS freedom_event_id, fe.effective_year, fe.freedom_type
+    FROM parsed p
+    LEFT JOIN LATERAL (
+        SELECT f.id, f.effective_year, f.freedom_type
+        FROM freedom_events f
+        WHERE f.effective_year IS NOT NULL
+          AND f.effective_year >= COALESCE(p.schedule_year, 0)
+          AND (   (p.enslaved_lead_id IS NOT NULL AND f.enslaved_lead_id = p.enslaved_lead_id)
+               OR (LOWER(f.enslaved_name_text) = p.enslaved_name_key
+                   AND LOWER(f.manumitter_name) = LOWER(p.enslaver_name)))
+        ORDER BY f.effective_year, f.id
+        LIMIT 1
+    ) fe ON TRUE
+),
+bounded AS (
+    SELECT d.*,
+        CASE
+            WHEN d.effective_year IS NOT NULL THEN LEAST(d.effective_year, 1865)
+            WHEN d.schedule_year IS NOT NULL  THEN 1865
+            ELSE NULL
+        END AS freedom_year
+    FROM dated d
+)
+SELECT
+    relationship_id,
+    enslaver_name,
+    enslaved_name,
+    enslaved_lead_id,
+    source_url,
+    relationship_confidence,
+    age_at_schedule,
+    schedule_year,
+    CASE
+        WHEN schedule_year IS NOT NULL AND age_at_schedule IS NOT NULL
+            THEN schedule_year - age_at_schedule
+        ELSE NULL
+    END AS inferred_birth_year,
+    -- Documented freedom year when a freedom event matched, else 1865
+    freedom_year AS inferred_freedom_year,
+    CASE
+        WHEN schedule_year IS NOT NULL AND age_at_schedule IS NOT NULL
+            THEN GREATEST(0, LEAST(100, freedom_year - (schedule_year - age_at_schedule)))
+        ELSE NULL
+    END AS inferred_years_enslaved,
+    CASE
+        WHEN freedom_event_id IS NOT NULL THEN 'schedule_year_minus_age_documented_freedom_event'
+        ELSE 'schedule_year_minus_age_enslavement_from_birth'
+    END AS inference_method,
+    CASE
+        WHEN age_at_schedule IS NOT NULL AND schedule_year IS NOT NULL AND freedom_event_id IS NOT NULL THEN 0.80
+        WHEN age_at_schedule IS NOT NULL AND schedule_year IS NOT NULL THEN 0.70
+        WHEN age_at_schedule IS NOT NULL                                THEN 0.35
+        ELSE NULL
+    END AS inference_confidence,
+    freedom_event_id,
+    freedom_type AS freedom_source
+FROM bounded;
+
+COMMENT ON VIEW enslaved_persons_inferred_dates IS
+    'Inferred birth_year / freedom_year / years_enslaved for enslaved persons '
+    'documented in family_relationships via slave-schedule extraction. '
+    'freedom_year is the earliest matching freedom_events.effective_year '
+    '(manumission deed or certificate of freedom) when one exists, else 1865. '
+    'Computed fields only. (M111, supersedes the M039 definition)';
+
+CREATE OR REPLACE VIEW enslaved_persons_inferred_dates_coverage AS
+SELECT
+    COUNT(*)::int                                                   AS total_rows,
+    COUNT(*) FILTER (WHERE age_at_schedule IS NOT NULL)::int        AS with_age,
+    COUNT(*) FILTER (WHERE schedule_year IS NOT NULL)::int          AS with_schedule_year,
+    COUNT(*) FILTER (WHERE inferred_birth_year IS NOT NULL)::int    AS with_inferred_birth,
+    COUNT(*) FILTER (WHERE inferred_years_enslaved IS NOT NULL)::int AS with_inferred_years,
+    ROUND(AVG(age_at_schedule)::numeric, 1)                         AS avg_age_at_schedule,
+    ROUND(AVG(inferred_years_enslaved)::numeric, 1)                 AS avg_inferred_years,
+    COUNT(*) FILTER (WHERE freedom_event_id IS NOT NULL)::int       AS with_documented_freedom
+FROM enslaved_persons_inferred_dates;
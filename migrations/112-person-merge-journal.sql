@@ -0,0 +1,51 @@
+-- Migration 112: merge journal for canonical_persons merge / unmerge / split.
+--
+-- Problem this solves:
+--   PersonService.merge re-points every FK from victim → survivor and logs a
+--   single person_merge_log row, but nothing records WHICH child rows moved or
+--   which were dropped on a unique collision. Undoing a bad merge therefore
+--   meant a one-off script (scripts/unmerge-civilwardc-collisions.mjs) that
+--   guessed by source_type.
+--
+-- What this migration does:
+--   person_merge_journal — one row per identity operation:
+--     merge   : survivor/victim snapshots before the merge, every re-pointed
+--               child row (table, column, primary-key json), every child row
+--               dropped on a unique collision (full row json), and the
+--               victim's blocking keys (removed at merge time).
+--     unmerge : the reversal of a merge (reverses_journal_id points at it).
+--     split   : rows detached from one canonical onto a new (or restored) one,
+--               selected by provenance (document ids / source types,
+--               relationship ids, external id systems).
+--   survivor_id / victim_id deliberately carry NO foreign key: merge re-points
+--   every FK that references canonical_persons, and the journal must keep the
+--   ids as they were.
+
+CREATE TABLE IF NOT EXISTS person_merge_journal (
+    id                   SERIAL PRIMARY KEY,
+    operation            VARCHAR(16) NOT NULL,        -- merge | unmerge | split
+    merge_log_id         INTEGER REFERENCES person_merge_log(id),
+    survivor_id          INTEGER NOT NULL,            -- merge: survivor · split: source canonical
+    victim_id            INTEGER NOT NULL,            -- merge: victim · split: receiving canonical
+    survivor_before      JSONB,                       -- canonical_persons row before the operation
+    victim_before        JSONB,
+    moved_rows           JSONB NOT NULL DEFAULT '[]'::jsonb,   -- [{table, column, keys:[{pk json}]}]
+    dropped_rows         JSONB NOT NULL DEFAULT '[]'::jsonb,   -- [{table, column, row:{...}}]
+    blocking_keys        JSONB NOT NULL DEFAULT '[]'::jsonb,   -- [{key_type, key_value}]
+    selection            JSONB,                       -- split / provenance unmerge: the rule applied
+    reverses_journal_id  INTEGER REFERENCES person_merge_journal(id),
+    reverted_by_journal_id INTEGER REFERENCES person_merge_journal(id),
+    reason               TEXT,
+    performed_by         VARCHAR(100) NOT NULL DEFAULT 'person_service',
+    performed_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CONSTRAINT person_merge_journal_operation_chk CHECK (operation IN ('merge', 'unmerge', 'split'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_merge_journal_log      ON person_merge_journal (merge_log_id);
+CREATE INDEX IF NOT EXISTS idx_merge_journal_survivor ON person_merge_journal (survivor_id);
+CREATE INDEX IF NOT EXISTS idx_merge_journal_victim   ON person_merge_journal (victim_id);
+
+COMMENT ON TABLE person_merge_journal IS
+    'Row-level journal of PersonService.merge / unmerge / split so a merge can be '
+    'reversed exactly: re-pointed child rows, collision-dropped rows and removed '
+    'blocking keys are restored from here. (M112)';
@@ -0,0 +1,53 @@
+-- Migration 113: frozen, versioned calculation manifests for DAAs.
+--
+-- Problem this solves:
+--   A DAA's figure depends on rows that keep changing after it is issued:
+--   reparations_line_items (re-extracted, re-compounded), anchor_rate_series
+--   (new anchors change RateResolver output), global_indicator_targets, the
+--   macro-config constants and the calculator code itself. Nothing recorded
+--   what a DAA was computed FROM, so "does this agreement still add up?" had no
+--   answer.
+--
+-- What this migration does:
+--   daa_calculation_snapshots — one row per (DAA, version). The manifest holds
+--   everything needed to recompute the agreement without touching live rows:
+--     inputs         : line items (id, amounts, rate, updated_at) or the
+--                      slaveholders + enslaved persons + financials
+--     rates          : every rate used, with its citation and basis
+--                      (anchored / proxy / macro-config)
+--     macro_config   : the macro-config values + a hash of them
+--     global_targets : global_indicator_targets rows as read at generation
+--     code_version   : commit + package version
+--     as_of_year     : the "present" year compounding ran to
+--     result         : the stored total_debt and the headline figure
+--   manifest_hash is SHA-256 over the canonical (sorted-key) manifest JSON.
+--   DAASnapshotService.verify recomputes from the frozen manifest and from the
+--   live rows and records the outcome in the last_verification columns.
+
+CREATE TABLE IF NOT EXISTS daa_calculation_snapshots (
+    id                   SERIAL PRIMARY KEY,
+    daa_id               UUID NOT NULL REFERENCES debt_acknowledgment_agreements(daa_id) ON DELETE CASCADE,
+    version              INTEGER NOT NULL,
+    methodology          VARCHAR(32) NOT NULL,          -- line_item | craemer_wealth_gap
+    manifest             JSONB NOT NULL,
+    manifest_hash        CHAR(64) NOT NULL,
+    macro_config_hash    CHAR(64) NOT NULL,
+    code_version         VARCHAR(100),
+    as_of_year           INTEGER NOT NULL,
+    agreement_total_usd  NUMERIC(20,2),                 -- debt_acknowledgment_agreements.total_debt at generation
+    headline_total_usd   NUMERIC(20,2),                 -- recommendedDebt / line-item total_usd
+    created_by           VARCHAR(100) NOT NULL DEFAULT 'daa_orchestrator',
+    created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_verified_at     TIMESTAMPTZ,
+    last_verification    VARCHAR(32),                   -- verified | reproducible_with_drift | not_reproducible
+    last_verification_detail JSONB,
+    CONSTRAINT daa_calculation_snapshots_version_uniq UNIQUE (daa_id, version),
+    CONSTRAINT daa_calculation_snapshots_methodology_chk CHECK (methodology IN ('line_item', 'craemer_wealth_gap'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_daa_snapshots_daa ON daa_calculation_snapshots (daa_id, version DESC);
+
+COMMENT ON TABLE daa_calculation_snapshots IS
+    'Frozen calculation manifest per DAA version: input rows, rates with '
+    'citations, macro-config hash and code version, so a stored DAA can be '
+    're-verified and diffed against the live data. (M113)';
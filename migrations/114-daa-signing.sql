@@ -0,0 +1,63 @@
+-- Migration 114: multi-party signing workflow for generated DAA documents.
+--
+-- Problem this solves:
+--   DAADocumentGenerator.createSignaturePage renders a static signature block
+--   into the DOCX and nothing else happens: the generated file path is not
+--   stored, nobody is asked to sign, and debt_acknowledgment_agreements.status
+--   / signed_at (M028) are never set. There is no record of who signed which
+--   bytes, or when.
+--
+-- What this migration does:
+--   debt_acknowledgment_agreements gains
+--     signing_status   draft -> sent -> signed -> countersigned
+--     document_path    the DOCX written by DAADocumentGenerator.generateDOCX
+--     document_sha256  SHA-256 of that file, recomputed at every signature so
+--                      a regenerated document cannot inherit old signatures
+--     countersigned_at
+--   daa_signing_requests — one row per signer per send. The signing link
+--   carries a random token, only its SHA-256 is stored. A signature records
+--   the typed name, IP, user agent and timestamp, the document hash signed,
+--   and optionally an EIP-191 wallet signature over a message that names the
+--   agreement, the document hash and the on-chain record (blockchain_record_id).
+--   DAASigningService owns every transition.
+
+ALTER TABLE debt_acknowledgment_agreements
+    ADD COLUMN IF NOT EXISTS signing_status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CONSTRAINT daa_signing_status_chk CHECK (signing_status IN ('draft', 'sent', 'signed', 'countersigned')),
+    ADD COLUMN IF NOT EXISTS document_path TEXT,
+    ADD COLUMN IF NOT EXISTS document_sha256 CHAR(64),
+    ADD COLUMN IF NOT EXISTS countersigned_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_daa_signing_status ON debt_acknowledgment_agreements (signing_status);
+
+CREATE TABLE IF NOT EXISTS daa_signing_requests (
+    id                SERIAL PRIMARY KEY,
+    daa_id            UUID NOT NULL REFERENCES debt_acknowledgment_agreements(daa_id) ON DELETE CASCADE,
+    role              VARCHAR(20) NOT NULL,            -- obligor | countersigner
+    signer_name       VARCHAR(255) NOT NULL,
+    signer_email      VARCHAR(255),
+    token_hash        CHAR(64) NOT NULL UNIQUE,        -- SHA-256 of the link token
+    document_sha256   CHAR(64) NOT NULL,               -- hash the signer was sent
+    expires_at        TIMESTAMPTZ NOT NULL,
+    sent_by           VARCHAR(100),
+    sent_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+    viewed_at         TIMESTAMPTZ,
+    signed_at         TIMESTAMPTZ,
+    typed_name        VARCHAR(255),
+    signer_ip         VARCHAR(64),
+    signer_user_agent TEXT,
+    wallet_address    VARCHAR(42),
+    wallet_signature  TEXT,                            -- EIP-191 personal_sign
+    signed_message    TEXT,                            -- exact message the wallet signed
+    revoked_at        TIMESTAMPTZ,
+    CONSTRAINT daa_signing_requests_role_chk CHECK (role IN ('obligor', 'countersigner'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_daa_signing_requests_daa ON daa_signing_requests (daa_id, sent_at DESC);
+
+COMMENT ON TABLE daa_signing_requests IS
+    'Tokenized signing links for a DAA document: signer identity, timestamp, '
+    'document SHA-256 and optional EIP-191 wallet signature tied to the '
+    'on-chain record. (M114)';
+COMMENT ON COLUMN debt_acknowledgment_agreements.signing_status IS
+    'Signing workflow state: draft, sent, signed, countersigned. (M114)';
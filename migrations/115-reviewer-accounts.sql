@@ -0,0 +1,69 @@
+-- Migration 115: named reviewer accounts, roles and an audit log of review decisions.
+--
+-- Problem this solves:
+--   Admin endpoints were gated by one shared ADMIN_TOKEN (src/middleware/
+--   admin-auth.js). Every approve / reject in /api/review/*,
+--   /api/contribute/review-queue/* and /api/ops/* was anonymous: reviewed_by
+--   was whatever the client put in an X-Reviewer header, usually 'admin'.
+--   Nobody could say who promoted a given enslaver canonical.
+--
+-- What this migration does:
+--   reviewers         — one row per person. roles is a subset of
+--                       curator     review queues, canonical promotion / merges
+--                       genealogist climb matches, parse failures
+--                       finance     DAA signing and payments
+--                       operator    /api/ops and reviewer account management
+--                       password_hash is scrypt (ReviewerService.hashPassword).
+--                       Logins issue a JWT via middleware/auth.js; every request
+--                       re-reads the row, so deactivating an account or
+--                       changing its roles takes effect immediately.
+--   review_decisions  — append-only: one row per decision, stamped with the
+--                       reviewer id and username, the queue, the item, the
+--                       action and any canonical_persons row it created or
+--                       touched.
+--   The existing reviewed_by / verified_by / resolved_by text columns on the
+--   queue tables keep receiving the reviewer username.
+
+CREATE TABLE IF NOT EXISTS reviewers (
+    id              SERIAL PRIMARY KEY,
+    username        VARCHAR(64) NOT NULL UNIQUE,
+    display_name    VARCHAR(255),
+    email           VARCHAR(255),
+    password_hash   TEXT NOT NULL,
+    roles           TEXT[] NOT NULL DEFAULT '{}',
+    active          BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by      VARCHAR(64),
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_login_at   TIMESTAMPTZ,
+    CONSTRAINT reviewers_roles_chk CHECK (roles <@ ARRAY['curator', 'genealogist', 'finance', 'operator']::TEXT[]),
+    CONSTRAINT reviewers_username_chk CHECK (username ~ '^[a-z0-9][a-z0-9._-]*$')
+);
+
+CREATE TABLE IF NOT EXISTS review_decisions (
+    id                   BIGSERIAL PRIMARY KEY,
+    reviewer_id          INTEGER REFERENCES reviewers(id) ON DELETE SET NULL,
+    reviewer_username    VARCHAR(64) NOT NULL,          -- kept if the account is deleted
+    queue                VARCHAR(64) NOT NULL,          -- enslaver_candidates, name_match_queue, ops, ...
+    item_id              TEXT,
+    action               VARCHAR(64) NOT NULL,          -- approve, reject, merge, split, link, restart, ...
+    canonical_person_id  INTEGER,                       -- canonical created / linked / merged into
+    detail               JSONB,
+    decided_at           TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_decisions_reviewer ON review_decisions (reviewer_username, decided_at DESC);
+CREATE INDEX IF NOT EXISTS idx_review_decisions_canonical ON review_decisions (canonical_person_id) WHERE canonical_person_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_review_decisions_queue ON review_decisions (queue, decided_at DESC);
+
+-- Petition approvals set claimant_canonical_id with no stamp at all.
+ALTER TABLE historical_reparations_petitions
+    ADD COLUMN IF NOT EXISTS verified_by VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+COMMENT ON TABLE reviewers IS
+    'Named reviewer accounts with roles (curator, genealogist, finance, operator), '
+    'replacing the shared ADMIN_TOKEN. (M115)';
+COMMENT ON TABLE review_decisions IS
+    'Append-only audit of every review decision: who, which queue and item, '
+    'what action, and the canonical person it created or touched. (M115)';
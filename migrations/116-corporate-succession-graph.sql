@@ -0,0 +1,58 @@
+-- Migration 116: corporate succession graph on entity_successions.
+--
+-- Problem this solves:
+--   CorporateSuccessionTracer kept the Farmer-Paellmann succession chains in a
+--   hardcoded KNOWN_CHAINS object, even though M085 added entity_successions
+--   for exactly this purpose. Adding or correcting a chain ("Canal Bank →
+--   JPMorgan Chase") needed a code deploy, chains were flat lists
+--   (predecessor → modern, no intermediate steps), and nothing could answer
+--   "all present-day successors of Canal Bank" or the reverse.
+--
+-- What this migration does:
+--   corporate_entities
+--     chain_key               — the short key the intake form, the DAA wealth
+--                               fingerprint and OracleEventFeed use
+--                               ('jpmorgan', 'aetna', 'norfolk_southern', ...).
+--     chain_documentation     — the chain-level figures that used to live in
+--                               KNOWN_CHAINS[key].documentation (primary source,
+--                               enslaved counts, policy counts, disclosure path).
+--     first_documented_year   — earliest year the entity is documented; shown
+--                               as the predecessor's year in getChain().
+--   entity_successions
+--     succession_date         — exact date when known (succession_year stays).
+--     created_by / reviewed_by / reviewed_at — reviewer usernames (M115);
+--                               approved_by is a UUID and can't hold them.
+--     A unique edge index, so re-running the seed script or re-submitting an
+--     edge doesn't duplicate it.
+--
+--   Historical predecessors that aren't modern corporations ("Canal Bank",
+--   "Nautilus Insurance Company") become corporate_entities rows with
+--   is_active = FALSE. Edges are directed predecessor → successor; the graph
+--   only follows approved edges unless a caller asks for pending ones.
+--
+--   The rows that replace KNOWN_CHAINS are loaded by
+--   scripts/seed-corporate-successions.js (idempotent).
+
+ALTER TABLE corporate_entities
+    ADD COLUMN IF NOT EXISTS chain_key VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS chain_documentation JSONB,
+    ADD COLUMN IF NOT EXISTS first_documented_year INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_corp_entities_chain_key
+    ON corporate_entities (chain_key) WHERE chain_key IS NOT NULL;
+
+ALTER TABLE entity_successions
+    ADD COLUMN IF NOT EXISTS succession_date DATE,
+    ADD COLUMN IF NOT EXISTS created_by VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entity_successions_edge
+    ON entity_successions (predecessor_entity_id, successor_entity_id, succession_kind);
+
+COMMENT ON COLUMN corporate_entities.chain_key IS
+    'Short succession-chain key used by intake and the DAA wealth fingerprint (jpmorgan, aetna, ...). Replaces CorporateSuccessionTracer.KNOWN_CHAINS keys. (M116)';
+COMMENT ON COLUMN corporate_entities.chain_documentation IS
+    'Chain-level documentation for a chain_key entity: {primary, url, enslavedAsCollateral, policies, ...}. (M116)';
+COMMENT ON COLUMN entity_successions.reviewed_by IS
+    'Reviewer username (M115) that approved / rejected this edge. (M116)';
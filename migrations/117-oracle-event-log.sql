@@ -0,0 +1,75 @@
+-- Migration 117: persisted oracle event log and DAA amount-revision proposals.
+--
+-- Problem this solves:
+--   OracleEventFeed.checkSECFilings and checkGenealogyEvents returned their
+--   findings and forgot them. Nothing was stored, the same SEC filing or climb
+--   match came back on every poll, and nothing acted on an event — a DAA
+--   stayed at its issued amount even after new enslaved persons, new line
+--   items or a methodology change moved its figure. The contract supports
+--   revision (updateReparationsOwed, POST /api/blockchain/update-amount/:id),
+--   but nothing fed it.
+--
+-- What this migration does:
+--   oracle_events — one row per distinct event from any source
+--     (sec_filing, climb_match, line_item, methodology). dedup_key is unique,
+--     so re-polling the same window inserts nothing. status moves
+--     new → processed once the rule layer has looked at it.
+--   daa_amount_revision_proposals — what the rule layer proposes for one DAA
+--     because of one event: the current and proposed on-chain amounts, the
+--     rule and the evidence. A finance reviewer (M115) approves or rejects;
+--     an approved proposal is applied through
+--     POST /api/blockchain/update-amount/:recordId with { proposalId }, which
+--     stamps the transaction hash. A newer proposal for the same DAA
+--     supersedes an open one.
+
+CREATE TABLE IF NOT EXISTS oracle_events (
+    id              BIGSERIAL PRIMARY KEY,
+    source          VARCHAR(40) NOT NULL,                -- sec_filing | climb_match | line_item | methodology | ...
+    event_type      VARCHAR(64) NOT NULL,                -- 8-K, new_match, line_item_added, macro_config_change, ...
+    dedup_key       TEXT NOT NULL UNIQUE,                -- source-scoped identity of the event
+    entity_key      VARCHAR(64),                         -- corporate_entities.chain_key, when the event is about one
+    canonical_person_id INTEGER,
+    occurred_at     TIMESTAMPTZ,
+    summary         TEXT,
+    payload         JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status          VARCHAR(20) NOT NULL DEFAULT 'new',
+    observed_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+    processed_at    TIMESTAMPTZ,
+    proposals_created INTEGER NOT NULL DEFAULT 0,
+    recorded_by     VARCHAR(64),                         -- reviewer username for manual events
+    CONSTRAINT oracle_events_status_chk CHECK (status IN ('new', 'processed', 'ignored', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_oracle_events_source ON oracle_events (source, observed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_oracle_events_status ON oracle_events (status) WHERE status = 'new';
+
+CREATE TABLE IF NOT EXISTS daa_amount_revision_proposals (
+    id                   BIGSERIAL PRIMARY KEY,
+    daa_id               UUID NOT NULL REFERENCES debt_acknowledgment_agreements(daa_id) ON DELETE CASCADE,
+    event_id             BIGINT REFERENCES oracle_events(id) ON DELETE SET NULL,
+    rule                 VARCHAR(64) NOT NULL,
+    current_amount_usd   NUMERIC(20,2) NOT NULL,
+    proposed_amount_usd  NUMERIC(20,2) NOT NULL,
+    reason               TEXT NOT NULL,                  -- becomes the on-chain revision reason
+    detail               JSONB,                          -- snapshot verification figures / diff summary
+    blockchain_record_id INTEGER,
+    status               VARCHAR(20) NOT NULL DEFAULT 'proposed',
+    reviewed_by          VARCHAR(64),
+    reviewed_at          TIMESTAMPTZ,
+    review_note          TEXT,
+    transaction_hash     TEXT,
+    applied_at           TIMESTAMPTZ,
+    created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CONSTRAINT daa_revision_status_chk CHECK (status IN ('proposed', 'approved', 'rejected', 'applied', 'superseded')),
+    CONSTRAINT daa_revision_event_uniq UNIQUE (daa_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daa_revisions_daa ON daa_amount_revision_proposals (daa_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_daa_revisions_status ON daa_amount_revision_proposals (status);
+
+COMMENT ON TABLE oracle_events IS
+    'Persisted oracle event log: SEC filings, climb matches, line items, methodology updates; '
+    'deduplicated on dedup_key. (M117)';
+COMMENT ON TABLE daa_amount_revision_proposals IS
+    'Reviewable DAA amount revisions proposed by the oracle rule layer; approved ones are applied '
+    'on-chain through /api/blockchain/update-amount. (M117)';
@@ -0,0 +1,79 @@
+-- Migration 118: participant pipeline state, stage-transition log and runner schedule.
+--
+-- Problem this solves:
+--   pipeline-orchestrator.js kept a participant's stage only as tags appended
+--   to participants.roles[]. There was no record of when a stage was reached,
+--   who or what advanced it, how many times a step had failed or why, and
+--   nothing advanced participants unless someone called
+--   POST /api/pipeline/advance-all — participants sat in climb_complete for
+--   days.
+--
+-- What this migration does:
+--   participant_pipeline_state — one row per participant: the current stage,
+--     when it was entered, consecutive failed attempts at the next step, the
+--     last error / blocked reason, and next_attempt_at, which the background
+--     runner (src/services/pipeline-runner.js) uses for exponential backoff.
+--     A participant whose attempts reach the runner's limit is left for a
+--     manual POST /api/pipeline/advance/:id.
+--   participant_stage_transitions — append-only timeline: every stage change
+--     and every failed attempt, with timestamps, attempt number, error and
+--     actor ('api', 'pipeline-runner', a reviewer username). Waiting on an
+--     external step (climb still running) is not logged; it only updates
+--     last_reason on the state row.
+--   Backfills the state row from the existing roles[] tags. roles[] is still
+--   written so the intake review queue (review.js) keeps working.
+
+CREATE TABLE IF NOT EXISTS participant_pipeline_state (
+    participant_id   UUID PRIMARY KEY REFERENCES participants(id) ON DELETE CASCADE,
+    current_state    VARCHAR(40),
+    entered_state_at TIMESTAMPTZ,
+    attempts         INTEGER NOT NULL DEFAULT 0,      -- consecutive failures at the step out of current_state
+    last_error       TEXT,
+    last_reason      TEXT,                            -- last blocked / waiting reason
+    last_attempt_at  TIMESTAMPTZ,
+    next_attempt_at  TIMESTAMPTZ,                     -- NULL = eligible now
+    last_actor       VARCHAR(64),
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_state_due
+    ON participant_pipeline_state (next_attempt_at NULLS FIRST)
+    WHERE current_state IS DISTINCT FROM 'daa_submitted_onchain';
+
+CREATE TABLE IF NOT EXISTS participant_stage_transitions (
+    id              BIGSERIAL PRIMARY KEY,
+    participant_id  UUID NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+    from_state      VARCHAR(40),
+    to_state        VARCHAR(40),
+    outcome         VARCHAR(20) NOT NULL,
+    attempt         INTEGER NOT NULL DEFAULT 1,
+    error           TEXT,
+    actor           VARCHAR(64),
+    detail          JSONB,
+    started_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    finished_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CONSTRAINT stage_transition_outcome_chk CHECK (outcome IN ('advanced', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_stage_transitions_participant
+    ON participant_stage_transitions (participant_id, started_at);
+
+-- Backfill from roles[]: the furthest pipeline tag wins.
+INSERT INTO participant_pipeline_state (participant_id, current_state, entered_state_at)
+SELECT p.id,
+       CASE
+           WHEN 'daa_submitted_onchain' = ANY(p.roles) THEN 'daa_submitted_onchain'
+           WHEN 'daa_generated' = ANY(p.roles) THEN 'daa_generated'
+           WHEN 'verification_complete' = ANY(p.roles) THEN 'verification_complete'
+           WHEN 'climb_complete' = ANY(p.roles) THEN 'climb_complete'
+           WHEN 'climb_in_progress' = ANY(p.roles) THEN 'climb_in_progress'
+           WHEN 'intake_pending_review' = ANY(p.roles) THEN 'intake_pending_review'
+       END,
+       p.updated_at
+FROM participants p
+ON CONFLICT (participant_id) DO NOTHING;
+
+COMMENT ON TABLE participant_pipeline_state IS
+    'Current pipeline stage per participant plus retry/backoff schedule for the pipeline runner. roles[] tags are kept as a mirror. (M118)';
+COMMENT ON TABLE participant_stage_transitions IS
+    'Append-only pipeline timeline: stage changes and failed attempts with actor and error. Served by /api/pipeline/history/:participantId. (M118)';
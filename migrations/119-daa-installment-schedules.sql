@@ -0,0 +1,79 @@
+-- Migration 119: DAA installment schedules and payment reconciliation.
+--
+-- Problem this solves:
+--   A DAA carries an annual_payment (TieredPaymentCalculator) and
+--   DAAGenerator.recordPayment() writes single rows to daa_payments, but
+--   nothing said WHEN a payment was due. There was no way to tell whether an
+--   acknowledger was current or behind, on-chain deposits (escrow_events,
+--   M110) were never compared with anything, and income was never
+--   re-assessed after signing.
+--
+-- What this migration does:
+--   daa_payment_schedules — a versioned installment plan per DAA: annual or
+--     monthly, the annual amount and where it came from (tiered calculation
+--     inputs or an explicit override), and how often income is re-assessed.
+--     One active version per DAA. Re-assessment writes a new version that
+--     keeps the installments already due and re-plans the rest; the old
+--     version becomes 'superseded'.
+--   daa_installments — the plan's rows: due date, amount due, and whether the
+--     installment is an income re-assessment point. The last row is the
+--     remainder of total_debt (or the horizon ends first; see
+--     daa_payment_schedules.amortized).
+--   daa_payments.payment_source — 'off_chain' rows entered by staff;
+--     on-chain deposits are read from escrow_events at reconciliation time
+--     and matched to daa_payments by transaction hash so nothing is counted
+--     twice.
+--
+--   Reconciliation itself is computed, not stored (DAAInstallmentService):
+--   payments are applied oldest-first to installments in order, and anything
+--   past due beyond the grace period is arrears.
+
+CREATE TABLE IF NOT EXISTS daa_payment_schedules (
+    id                     BIGSERIAL PRIMARY KEY,
+    daa_id                 UUID NOT NULL REFERENCES debt_acknowledgment_agreements(daa_id) ON DELETE CASCADE,
+    version                INTEGER NOT NULL,
+    frequency              VARCHAR(10) NOT NULL,
+    start_date             DATE NOT NULL,
+    annual_amount          NUMERIC(14,2) NOT NULL,
+    installment_amount     NUMERIC(14,2) NOT NULL,
+    total_debt             NUMERIC(20,2) NOT NULL,         -- debt the plan amortizes (DAA total at generation)
+    total_scheduled        NUMERIC(20,2) NOT NULL,
+    amortized              BOOLEAN NOT NULL,               -- false when the horizon ends before total_debt is covered
+    horizon_years          INTEGER NOT NULL,
+    reassess_every_months  INTEGER NOT NULL DEFAULT 12,
+    basis                  JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { method: 'tiered'|'override'|'agreement', inputs, tiered }
+    status                 VARCHAR(12) NOT NULL DEFAULT 'active',
+    created_by             VARCHAR(64),
+    created_at             TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CONSTRAINT daa_schedule_frequency_chk CHECK (frequency IN ('annual', 'monthly')),
+    CONSTRAINT daa_schedule_status_chk CHECK (status IN ('active', 'superseded')),
+    CONSTRAINT daa_schedule_version_uniq UNIQUE (daa_id, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daa_schedule_active
+    ON daa_payment_schedules (daa_id) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS daa_installments (
+    id                BIGSERIAL PRIMARY KEY,
+    schedule_id       BIGINT NOT NULL REFERENCES daa_payment_schedules(id) ON DELETE CASCADE,
+    daa_id            UUID NOT NULL REFERENCES debt_acknowledgment_agreements(daa_id) ON DELETE CASCADE,
+    seq               INTEGER NOT NULL,
+    due_date          DATE NOT NULL,
+    amount_due        NUMERIC(14,2) NOT NULL,
+    is_reassessment   BOOLEAN NOT NULL DEFAULT FALSE,
+    carried_over      BOOLEAN NOT NULL DEFAULT FALSE,      -- copied from the previous version at re-assessment
+    CONSTRAINT daa_installment_seq_uniq UNIQUE (schedule_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daa_installments_daa ON daa_installments (daa_id, due_date);
+
+ALTER TABLE daa_payments
+    ADD COLUMN IF NOT EXISTS payment_source VARCHAR(20) NOT NULL DEFAULT 'off_chain',
+    ADD COLUMN IF NOT EXISTS recorded_by VARCHAR(64);
+
+COMMENT ON TABLE daa_payment_schedules IS
+    'Versioned installment plan per DAA (annual or monthly) with income re-assessment interval; one active version. (M119)';
+COMMENT ON TABLE daa_installments IS
+    'Scheduled installments of a DAA payment plan. Reconciled against daa_payments and escrow_events deposits by DAAInstallmentService. (M119)';
+COMMENT ON COLUMN daa_payments.payment_source IS
+    'off_chain (staff-entered) or on_chain (mirrors an escrow deposit; matched to escrow_events by blockchain_tx_hash). (M119)';
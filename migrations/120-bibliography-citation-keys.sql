@@ -0,0 +1,62 @@
+-- Migration 120: Bibliography citation keys, CSL-JSON storage and import tracking.
+--
+-- Problem this solves:
+--   bibliography rows could only be created one at a time through
+--   BibliographyManager.addEntry(). Researchers keep their sources in Zotero
+--   and had no way to bring a library across (or take one back out) short of
+--   retyping it, and nothing stopped the same source being entered twice.
+--   Rows were identified only by a random citation_id (bib_<hex>), which is
+--   not something a DAA exhibit or a footnote can usefully cite.
+--
+-- What this migration does:
+--   bibliography.citation_key — stable, human-readable key (blake1860large),
+--     assigned once on insert or import and never regenerated. Existing rows
+--     keep their citation_id as their key so nothing that already refers to
+--     them changes.
+--   bibliography.csl_type / csl_json — the full CSL-JSON item the row was
+--     imported from (authors as structured names, issued date parts, pages…),
+--     used verbatim on export. doi / isbn / container_title / publisher /
+--     volume / issue / pages are flattened copies for search and display.
+--   bibliography.dedup_fingerprint — normalized title | year | first author;
+--     the last-resort duplicate test after DOI, URL and Zotero item key.
+--   bibliography.external_ids — { zotero: 'ABCD1234', ... } from the source
+--     manager, and import_source / import_batch_id for provenance.
+--   person_documents.citation_key — lets a primary-source document point at
+--     its bibliography entry; Exhibit A of the DAA prints the key and citation.
+
+ALTER TABLE bibliography
+    ADD COLUMN IF NOT EXISTS citation_key      VARCHAR(120),
+    ADD COLUMN IF NOT EXISTS csl_type          VARCHAR(40),
+    ADD COLUMN IF NOT EXISTS csl_json          JSONB,
+    ADD COLUMN IF NOT EXISTS doi               VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS isbn              VARCHAR(40),
+    ADD COLUMN IF NOT EXISTS container_title   VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS publisher         VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS volume            VARCHAR(40),
+    ADD COLUMN IF NOT EXISTS issue             VARCHAR(40),
+    ADD COLUMN IF NOT EXISTS pages             VARCHAR(40),
+    ADD COLUMN IF NOT EXISTS dedup_fingerprint TEXT,
+    ADD COLUMN IF NOT EXISTS external_ids      JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS import_source     VARCHAR(20),       -- csl-json | ris | bibtex
+    ADD COLUMN IF NOT EXISTS import_batch_id   VARCHAR(64);
+
+UPDATE bibliography SET citation_key = citation_id WHERE citation_key IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bibliography_citation_key ON bibliography (citation_key);
+CREATE INDEX IF NOT EXISTS idx_bibliography_doi ON bibliography (lower(doi)) WHERE doi IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bibliography_fingerprint ON bibliography (dedup_fingerprint) WHERE dedup_fingerprint IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bibliography_zotero ON bibliography ((external_ids->>'zotero')) WHERE external_ids ? 'zotero';
+
+ALTER TABLE person_documents
+    ADD COLUMN IF NOT EXISTS citation_key VARCHAR(120);
+
+CREATE INDEX IF NOT EXISTS idx_person_documents_citation_key ON person_documents (citation_key) WHERE citation_key IS NOT NULL;
+
+COMMENT ON COLUMN bibliography.citation_key IS
+    'Stable human-readable key (surname + year + first title word, a/b suffix on collision). Never regenerated; DAA exhibits cite it. (M120)';
+COMMENT ON COLUMN bibliography.csl_json IS
+    'CSL-JSON item the row was imported from; exported verbatim with id = citation_key. (M120)';
+COMMENT ON COLUMN bibliography.dedup_fingerprint IS
+    'normalized title | year | first-author surname — fallback duplicate test on import. (M120)';
+COMMENT ON COLUMN person_documents.citation_key IS
+    'bibliography.citation_key of the source this document belongs to, printed in DAA Exhibit A. (M120)';
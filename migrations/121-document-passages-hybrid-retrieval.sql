@@ -0,0 +1,45 @@
+-- Migration 121: document_passages (Phase 2d — hybrid lexical + vector retrieval, passage citations)
+-- Plan: memory-bank/plan-phase2-rag.md. RagService.retrieve was pure cosine over ONE embedding per
+-- whole document (the first 2000 chars of OCR for nomic), so (a) exact surnames / plantation names
+-- the embedding smooths over were missed, (b) anything past the embedded slice was invisible, and
+-- (c) a citation could only say "doc 184706", not where in a 30-page inventory the claim is.
+--
+-- What this migration does:
+--   document_passages — person_documents.ocr_text cut into overlapping passages. char_start /
+--     char_end are offsets into ocr_text (ocr_text[char_start:char_end] == text), so a citation
+--     points at the exact span. content_hash detects a re-OCR (passages rebuilt, old ones deleted).
+--   tsv — 'simple' config (no stemming / stop-list: OCR surnames are not English words).
+--   pg_trgm GIN on text — word_similarity fallback for OCR-mangled names ("Mikel" ~ "Mikell").
+--   Passage vectors live in `embeddings` (M107) as subject_table='document_passages',
+--     content_kind='passage_ocr'; no new vector column.
+--   retrieval_log.retrieval_mode — hybrid | lexical (embedder down) | vector, so the quality report
+--     can separate degraded retrievals.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS document_passages (
+  id             BIGSERIAL PRIMARY KEY,
+  document_id    INTEGER NOT NULL REFERENCES person_documents(id) ON DELETE CASCADE,
+  passage_index  INTEGER NOT NULL,
+  char_start     INTEGER NOT NULL,
+  char_end       INTEGER NOT NULL,
+  text           TEXT NOT NULL,
+  content_hash   TEXT NOT NULL,        -- sha256 of the whole ocr_text the passages were cut from
+  tsv            tsvector GENERATED ALWAYS AS (to_tsvector('simple', text)) STORED,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (document_id, passage_index),
+  CONSTRAINT document_passages_span_chk CHECK (char_start >= 0 AND char_end > char_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_passages_tsv ON document_passages USING gin (tsv);
+CREATE INDEX IF NOT EXISTS idx_document_passages_trgm ON document_passages USING gin (text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_document_passages_doc ON document_passages (document_id);
+
+ALTER TABLE retrieval_log ADD COLUMN IF NOT EXISTS retrieval_mode TEXT;
+
+COMMENT ON TABLE document_passages IS
+  'Phase-2d passage index (M121). person_documents.ocr_text cut into overlapping passages with
+   character offsets into ocr_text, so RAG citations point at a span. Lexical side of hybrid
+   retrieval (tsv + trigram); vectors are embeddings rows with content_kind=passage_ocr.';
+COMMENT ON COLUMN retrieval_log.retrieval_mode IS
+  'hybrid | lexical | vector — lexical means the query embedder was unreachable (M121).';
@@ -0,0 +1,51 @@
+-- Migration 122: chat_conversations / chat_messages (tool-calling research assistant)
+--
+-- Problem this solves:
+--   /api/chat kept sessions in an in-process Map keyed by a client-chosen sessionId (default
+--   'default', shared by every caller), so context vanished on every deploy/restart, two users could
+--   read each other's "last person", and nothing recorded what the assistant answered or from which
+--   rows. The new assistant plans over a fixed set of tools and cites rows and documents; those
+--   calls and citations are the audit trail and have to outlive the process.
+--
+-- What this migration does:
+--   chat_conversations — one row per conversation. The UUID is the credential for an anonymous
+--     conversation (like the DAA signing link token); a conversation started by an authenticated
+--     reviewer is bound to reviewer_id and readable only by them.
+--   chat_messages — every turn: the user message, each tool call (name, args, result summary) and
+--     the assistant answer with its structured citations. refused = a write tool was requested by a
+--     caller who is not an authenticated curator (the tool did not run).
+
+CREATE TABLE IF NOT EXISTS chat_conversations (
+    id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    reviewer_id       INTEGER REFERENCES reviewers(id) ON DELETE SET NULL,
+    reviewer_username TEXT,
+    title             TEXT,
+    message_count     INTEGER NOT NULL DEFAULT 0,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_conversations_reviewer ON chat_conversations (reviewer_id, updated_at DESC) WHERE reviewer_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id              BIGSERIAL PRIMARY KEY,
+    conversation_id UUID NOT NULL REFERENCES chat_conversations(id) ON DELETE CASCADE,
+    role            TEXT NOT NULL,
+    content         TEXT,
+    tool_name       TEXT,
+    tool_args       JSONB,
+    tool_result     JSONB,
+    citations       JSONB,
+    refused         BOOLEAN NOT NULL DEFAULT false,
+    provider        TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CONSTRAINT chat_messages_role_chk CHECK (role IN ('user', 'assistant', 'tool'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_conversation ON chat_messages (conversation_id, id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_refused ON chat_messages (created_at) WHERE refused;
+
+COMMENT ON TABLE chat_conversations IS
+    'Research-assistant conversations (M122). Replaces the in-memory session Map in routes/chat.js. reviewer_id set = private to that reviewer; NULL = anonymous, the UUID is the credential.';
+COMMENT ON TABLE chat_messages IS
+    'Every assistant turn (M122): user message, tool calls with args/result summary, assistant answer with structured citations to rows and documents. refused = write tool requested without curator auth.';
@@ -0,0 +1,102 @@
+-- Migration 123: enforced reparations_escrow lifecycle
+--
+-- Problem this solves:
+--   LegalPrecedentService.createEscrowRecord / updateEscrowStatus (M031) wrote
+--   any string into reparations_escrow.escrow_status, so nothing stopped a
+--   record going from 'pending' straight to 'distributed', there was no record
+--   of who changed a status or why, no deadline for the debtor to respond, the
+--   legal basis sent to the debtor was never kept with the record, and an
+--   escrow was not tied to the ReparationsEscrow.sol record its DAA was
+--   submitted as.
+--
+-- What this migration does:
+--   reparations_escrow.escrow_status — one lifecycle, enforced by a CHECK and
+--     by LegalPrecedentService.transitionEscrow():
+--       proposed → noticed → disputed → funded → disbursed → closed
+--     (noticed may go straight to funded; a dispute may be re-noticed; an
+--     escrow can be closed before funding — withdrawn or lapsed). Existing
+--     rows: 'pending' → 'proposed', 'distributed' → 'disbursed' ('funded' and
+--     'disputed' carry over; case and surrounding spaces are ignored). Any
+--     other status M031 let through is closed, with the old value kept in
+--     close_reason, so the CHECK can be added.
+--   deadline_at — when the current stage is due to end (debtor response to a
+--     notice, dispute resolution, disbursement). Overdue escrows are listed by
+--     GET /api/legal/escrow?overdue=true.
+--   citation_bundle — a snapshot of buildDAALegalCitations(jurisdiction,
+--     debtor_type) taken when the record is noticed; the notice letter is
+--     rendered from it and stored in notice_letter, so what the debtor was sent
+--     doesn't change when the legal framework tables are edited later.
+--   blockchain_record_id / chain_id — the ReparationsEscrow record holding the
+--     funds. Defaults to the linked DAA's blockchain_record_id (M028); deposits
+--     and distributions are read from escrow_events (M110).
+--   reparations_escrow_transitions — append-only log of every status change
+--     with actor, reason and the deadline that was set.
+
+ALTER TABLE reparations_escrow
+    ADD COLUMN IF NOT EXISTS jurisdiction         VARCHAR(200),
+    ADD COLUMN IF NOT EXISTS status_changed_at    TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deadline_at          TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS noticed_at           TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS disputed_at          TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS disbursed_at         TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS closed_at            TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS close_reason         TEXT,
+    ADD COLUMN IF NOT EXISTS citation_bundle      JSONB,
+    ADD COLUMN IF NOT EXISTS citations_built_at   TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS notice_letter        TEXT,
+    ADD COLUMN IF NOT EXISTS notice_generated_at  TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS blockchain_record_id BIGINT,
+    ADD COLUMN IF NOT EXISTS chain_id             INTEGER,
+    ADD COLUMN IF NOT EXISTS created_by           VARCHAR(64);
+
+UPDATE reparations_escrow SET escrow_status = lower(btrim(escrow_status))
+ WHERE escrow_status IS DISTINCT FROM lower(btrim(escrow_status));
+UPDATE reparations_escrow SET escrow_status = 'proposed'
+ WHERE escrow_status IS NULL OR escrow_status IN ('', 'pending');
+UPDATE reparations_escrow SET escrow_status = 'disbursed', disbursed_at = COALESCE(disbursed_at, distributed_at)
+ WHERE escrow_status = 'distributed';
+UPDATE reparations_escrow
+   SET escrow_status = 'closed',
+       closed_at = COALESCE(closed_at, now()),
+       close_reason = COALESCE(close_reason, 'Legacy status "' || escrow_status || '" is not in the M123 lifecycle; closed by the migration')
+ WHERE escrow_status NOT IN ('proposed', 'noticed', 'disputed', 'funded', 'disbursed', 'closed');
+UPDATE reparations_escrow SET status_changed_at = COALESCE(closed_at, distributed_at, funded_at, created_at)
+ WHERE status_changed_at IS NULL;
+
+ALTER TABLE reparations_escrow ALTER COLUMN escrow_status SET DEFAULT 'proposed';
+ALTER TABLE reparations_escrow ALTER COLUMN escrow_status SET NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'reparations_escrow_status_chk') THEN
+        ALTER TABLE reparations_escrow ADD CONSTRAINT reparations_escrow_status_chk
+            CHECK (escrow_status IN ('proposed', 'noticed', 'disputed', 'funded', 'disbursed', 'closed'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_reparations_escrow_status ON reparations_escrow (escrow_status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reparations_escrow_deadline ON reparations_escrow (deadline_at)
+    WHERE deadline_at IS NOT NULL AND escrow_status <> 'closed';
+CREATE INDEX IF NOT EXISTS idx_reparations_escrow_daa ON reparations_escrow (daa_id) WHERE daa_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS reparations_escrow_transitions (
+    id           BIGSERIAL PRIMARY KEY,
+    escrow_id    UUID NOT NULL REFERENCES reparations_escrow(escrow_id) ON DELETE CASCADE,
+    from_status  VARCHAR(20),                 -- NULL for the creation row
+    to_status    VARCHAR(20) NOT NULL,
+    reason       TEXT,
+    deadline_at  TIMESTAMPTZ,
+    actor        VARCHAR(64),
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reparations_escrow_transitions ON reparations_escrow_transitions (escrow_id, id);
+
+COMMENT ON COLUMN reparations_escrow.escrow_status IS
+    'proposed → noticed → disputed → funded → disbursed → closed; transitions enforced by LegalPrecedentService.transitionEscrow(). (M123)';
+COMMENT ON COLUMN reparations_escrow.citation_bundle IS
+    'Snapshot of LegalPrecedentService.buildDAALegalCitations(jurisdiction, debtor_type) the notice letter was rendered from. (M123)';
+COMMENT ON COLUMN reparations_escrow.blockchain_record_id IS
+    'ReparationsEscrow.sol record holding the funds; NULL = use the linked DAA''s blockchain_record_id. (M123)';
+COMMENT ON TABLE reparations_escrow_transitions IS
+    'Append-only escrow status log: from/to status, actor, reason and the stage deadline set. (M123)';
@@ -0,0 +1,51 @@
+-- Migration 124: GEDCOM / GEDCOM X uploads as an offline ancestor-climb source
+--
+-- Problem this solves:
+--   The only climb source was the live FamilySearch tree, walked through
+--   Puppeteer with an interactive login. Participants who already have a tree
+--   exported from Ancestry, MyHeritage or RootsMagic had no way to use it.
+--
+-- What this migration does:
+--   ancestor_climb_sessions.source — where the tree came from: 'familysearch'
+--     (the browser climber, the default for existing rows), 'gedcom' or
+--     'gedcomx'. GedcomClimber (src/services/genealogy/GedcomClimber.js) writes
+--     ancestor_climb_matches exactly like the browser climber, so the session,
+--     review and pipeline endpoints need no changes.
+--   climb_tree_imports — one row per uploaded file: format/version, the
+--     exporting program, a SHA-256 of the file, counts, the chosen root, the
+--     parser's warnings and the root's ancestors as parsed (JSONB). Only the
+--     root's direct ancestors are kept — siblings, cousins and other living
+--     relatives in the upload are dropped — so what the session climbed can be
+--     audited later.
+
+ALTER TABLE ancestor_climb_sessions
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'familysearch';
+
+CREATE TABLE IF NOT EXISTS climb_tree_imports (
+    id              BIGSERIAL PRIMARY KEY,
+    session_id      UUID REFERENCES ancestor_climb_sessions(id) ON DELETE CASCADE,
+    participant_id  UUID REFERENCES participants(id) ON DELETE SET NULL,
+    format          VARCHAR(10) NOT NULL,
+    version         VARCHAR(20),
+    source_system   TEXT,                       -- HEAD.SOUR / GEDCOM X contributor
+    file_name       TEXT,
+    file_sha256     CHAR(64) NOT NULL,
+    person_count    INTEGER NOT NULL,
+    family_count    INTEGER NOT NULL DEFAULT 0,
+    ancestor_count  INTEGER NOT NULL,
+    root_xref       TEXT NOT NULL,
+    root_name       TEXT,
+    warnings        JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ancestors       JSONB NOT NULL,             -- [{ id, name, sex, birth_year, death_year, birth_place, locations, fs_id, father_id, mother_id }]
+    uploaded_by     TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CONSTRAINT climb_tree_imports_format_chk CHECK (format IN ('gedcom', 'gedcomx'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_climb_tree_imports_session ON climb_tree_imports (session_id);
+CREATE INDEX IF NOT EXISTS idx_climb_tree_imports_sha ON climb_tree_imports (file_sha256);
+
+COMMENT ON COLUMN ancestor_climb_sessions.source IS
+    'Tree the climb walked: familysearch (browser climber), gedcom or gedcomx (uploaded file, GedcomClimber). (M124)';
+COMMENT ON TABLE climb_tree_imports IS
+    'Uploaded GEDCOM / GEDCOM X family trees used as offline climb sources; keeps only the root''s direct ancestors. (M124)';
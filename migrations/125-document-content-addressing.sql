@@ -0,0 +1,54 @@
+-- Migration 125: IPFS content addresses for stored documents + per-DAA Merkle manifests
+--
+-- Problem this solves:
+--   ReparationsEscrow stores a genealogyHash per ancestry record ("IPFS hash of
+--   supporting documents"), but DocumentProcessor never computed one and
+--   person_documents had nowhere to keep it. What went on-chain for a DAA was
+--   the SHA-256 of the agreement DOCX (or a keccak of the daa_id), which says
+--   nothing about the archival documents the agreement rests on.
+--
+-- What this migration does:
+--   person_documents.ipfs_cid — CIDv1 of the stored file, computed locally
+--     (src/services/document/ipfs-cid.js, kubo defaults) so it matches what
+--     `ipfs add --cid-version=1` would print. NULL until the bytes have been
+--     read; DAADocumentManifestService.addressPending backfills.
+--   daa_document_manifests — one row per version of the set of documents
+--     backing a DAA: the slaveholder's and the enslaved persons' documents plus
+--     the agreement itself. Each document's CID is a leaf of a sorted-pair
+--     keccak256 Merkle tree (the same fold as ReparationsLedger.verifyProof);
+--     merkle_root is what submitDAAOnChain registers as the record's docHash,
+--     and manifest_cid (CID of the canonical-JSON manifest) is written to
+--     debt_acknowledgment_agreements.genealogy_proof_ipfs_hash. A new version
+--     is written only when the root changes.
+
+ALTER TABLE person_documents
+    ADD COLUMN IF NOT EXISTS ipfs_cid TEXT,
+    ADD COLUMN IF NOT EXISTS ipfs_cid_computed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_person_documents_ipfs_cid
+    ON person_documents (ipfs_cid) WHERE ipfs_cid IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS daa_document_manifests (
+    id                    BIGSERIAL PRIMARY KEY,
+    daa_id                UUID NOT NULL REFERENCES debt_acknowledgment_agreements(daa_id) ON DELETE CASCADE,
+    version               INTEGER NOT NULL,
+    merkle_root           CHAR(66) NOT NULL,          -- 0x-prefixed bytes32
+    manifest_cid          TEXT NOT NULL,
+    document_count        INTEGER NOT NULL,
+    manifest              JSONB NOT NULL,             -- { daa_id, agreement_number, documents: [{ id, cid, role, canonical_person_id, ... }], skipped: [...] }
+    created_by            TEXT,
+    created_at            TIMESTAMPTZ NOT NULL DEFAULT now(),
+    submitted_tx_hash     TEXT,
+    blockchain_record_id  TEXT,
+    submitted_at          TIMESTAMPTZ,
+    CONSTRAINT daa_document_manifests_version_uniq UNIQUE (daa_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daa_document_manifests_root ON daa_document_manifests (merkle_root);
+
+COMMENT ON COLUMN person_documents.ipfs_cid IS
+    'CIDv1 (base32, raw leaves, 256 KiB chunks) of the stored file, computed locally; not necessarily pinned. (M125)';
+COMMENT ON TABLE daa_document_manifests IS
+    'Versioned Merkle manifest of the documents backing a DAA; merkle_root is the on-chain docHash. (M125)';
+COMMENT ON COLUMN daa_document_manifests.manifest_cid IS
+    'CIDv1 of the canonical-JSON manifest; mirrored into debt_acknowledgment_agreements.genealogy_proof_ipfs_hash. (M125)';
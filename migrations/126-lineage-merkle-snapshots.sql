@@ -0,0 +1,58 @@
+-- Migration 126: Merkle snapshots of lineage-ledger contributions for ReparationsLedger
+--
+-- Problem this solves:
+--   contracts/ReparationsLedger.sol has setMerkleRoot / verifyProof, but no
+--   code ever built a tree, so nothing on-chain commits to the per-lineage
+--   obligations in daa_lineage_contributions (M040). A descendant or third
+--   party had no way to check that a particular enslaver-to-descendant
+--   contribution is the one the platform published.
+--
+-- What this migration does:
+--   ledger_merkle_snapshots — one row per distinct tree: the root, how leaves
+--     are encoded, entry count, and (once published) the setMerkleRoot
+--     transaction, network and ledger address. A root already snapshotted is
+--     not written twice.
+--   ledger_merkle_snapshot_entries — the frozen entries of a snapshot, one per
+--     daa_lineage_contributions row: the entry JSON exactly as hashed and its
+--     leaf, so a proof can be re-derived for any past snapshot even after the
+--     live rows change. Built by LedgerMerkleService
+--     (src/services/blockchain/LedgerMerkleService.js).
+
+CREATE TABLE IF NOT EXISTS ledger_merkle_snapshots (
+    id                BIGSERIAL PRIMARY KEY,
+    merkle_root       CHAR(66) NOT NULL,            -- 0x-prefixed bytes32
+    leaf_encoding     TEXT NOT NULL,
+    entry_count       INTEGER NOT NULL,
+    total_contribution_usd DECIMAL(16,2) NOT NULL,
+    created_by        TEXT,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+    published_tx_hash TEXT,
+    published_network TEXT,
+    ledger_address    TEXT,
+    published_by      TEXT,
+    published_at      TIMESTAMPTZ,
+    CONSTRAINT ledger_merkle_snapshots_root_uniq UNIQUE (merkle_root)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_merkle_snapshots_published
+    ON ledger_merkle_snapshots (published_at DESC) WHERE published_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS ledger_merkle_snapshot_entries (
+    snapshot_id      BIGINT NOT NULL REFERENCES ledger_merkle_snapshots(id) ON DELETE CASCADE,
+    contribution_id  UUID NOT NULL,                 -- daa_lineage_contributions, not FK: the snapshot outlives the row
+    daa_id           UUID NOT NULL,
+    lineage_id       UUID NOT NULL,
+    leaf             CHAR(66) NOT NULL,
+    entry            JSONB NOT NULL,                -- the object whose canonical JSON is hashed
+    PRIMARY KEY (snapshot_id, contribution_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_merkle_entries_daa ON ledger_merkle_snapshot_entries (daa_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_merkle_entries_lineage ON ledger_merkle_snapshot_entries (lineage_id);
+
+COMMENT ON TABLE ledger_merkle_snapshots IS
+    'Merkle trees over daa_lineage_contributions; published_* set once setMerkleRoot ran on ReparationsLedger. (M126)';
+COMMENT ON COLUMN ledger_merkle_snapshots.leaf_encoding IS
+    'How an entry becomes a leaf, e.g. keccak256(utf8(canonical JSON)). (M126)';
+COMMENT ON TABLE ledger_merkle_snapshot_entries IS
+    'Frozen leaves of a ledger Merkle snapshot: entry JSON as hashed plus its leaf. (M126)';
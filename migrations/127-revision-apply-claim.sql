@@ -0,0 +1,24 @@
+-- Migration 127: 'applying' status for DAA amount revisions.
+--
+-- Problem this solves:
+--   POST /api/blockchain/update-amount/:id checked that a proposal was
+--   approved, sent the transaction, and only then marked it applied. Two
+--   concurrent applies of the same proposal both passed the check and both
+--   sent. A direct { newAmount } update left no row at all, so
+--   DAARevisionService.currentAmount() kept returning the older figure and
+--   the next proposal was measured against an amount no longer on chain.
+--
+-- What this migration does:
+--   Allows status 'applying' on daa_amount_revision_proposals. The route
+--   claims a proposal (approved → applying) in one UPDATE before sending;
+--   the receipt moves it to 'applied', a failed send gives it back as
+--   'approved'. Direct updates are recorded as rule 'direct' rows that start
+--   at 'applying'.
+
+ALTER TABLE daa_amount_revision_proposals DROP CONSTRAINT IF EXISTS daa_revision_status_chk;
+ALTER TABLE daa_amount_revision_proposals ADD CONSTRAINT daa_revision_status_chk
+    CHECK (status IN ('proposed', 'approved', 'rejected', 'applying', 'applied', 'superseded'));
+
+COMMENT ON COLUMN daa_amount_revision_proposals.status IS
+    'proposed → approved | rejected; approved → applying (claimed by update-amount) → applied, '
+    'or back to approved when the transaction could not be sent. Direct revisions start at applying. (M127)';
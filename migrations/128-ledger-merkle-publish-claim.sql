@@ -0,0 +1,20 @@
+-- Migration 128: claim a ledger Merkle snapshot before publishing it.
+--
+-- Problem this solves:
+--   LedgerMerkleService.publish() checked that a snapshot was unpublished,
+--   sent setMerkleRoot, and only then stamped published_at. Two concurrent
+--   publishes of the same snapshot both passed the check and both sent a
+--   transaction (M126).
+--
+-- What this migration does:
+--   Adds ledger_merkle_snapshots.publishing_at. publish() sets it in one
+--   UPDATE guarded on published_at / publishing_at being NULL before it
+--   sends, so a second publish finds nothing to claim. A send that fails
+--   before anything is broadcast clears it again. A claim left behind by a
+--   crash after broadcasting stays set: check the ledger's merkleRoot and
+--   clear it (or stamp the publish) by hand.
+
+ALTER TABLE ledger_merkle_snapshots ADD COLUMN IF NOT EXISTS publishing_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN ledger_merkle_snapshots.publishing_at IS
+    'Set when publish() claims the snapshot, before setMerkleRoot is sent; cleared if nothing was broadcast. (M128)';
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Backfill person_documents.ipfs_cid (migration 125)
+ *
+ * Reads each stored file from S3 and records its CIDv1, computed locally
+ * (src/services/document/ipfs-cid.js) — nothing is pinned. Rows that already
+ * have a CID or have no s3_key are left alone, so it is safe to re-run. New
+ * stored documents get their CID on insert (wills.js upload, PersonService
+ * promote); this covers older rows and files that could not be read then.
+ *
+ * Usage:
+ *   node scripts/address-person-documents.js                 # one batch of 500
+ *   node scripts/address-person-documents.js --batch 200 --all
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '..', '.env') });
+const { pool } = require('../src/database/connection');
+const DAADocumentManifestService = require('../src/services/reparations/DAADocumentManifestService');
+
+const args = process.argv.slice(2);
+const arg = (flag, fallback) => {
+    const i = args.indexOf(flag);
+    return i > -1 ? args[i + 1] : fallback;
+};
+
+const BATCH = parseInt(arg('--batch', '500'), 10);
+const ALL = args.includes('--all');
+
+async function main() {
+    const manifests = new DAADocumentManifestService(pool);
+    let total = 0;
+    let failed = 0;
+    let afterId = 0;
+    for (;;) {
+        const result = await manifests.addressPending({ limit: BATCH, afterId });
+        total += result.addressed;
+        failed += result.failed.length;
+        for (const f of result.failed) console.warn(`  ⚠ document ${f.id}: ${f.error}`);
+        console.log(`✓ ${result.addressed} addressed (${total} total, ${failed} failed)`);
+        // Failed rows are not retried in the same run: the next batch starts after this one.
+        if (!ALL || result.lastId == null) break;
+        afterId = result.lastId;
+    }
+    await pool.end();
+}
+
+main().catch((err) => {
+    console.error('Backfill failed:', err.message);
+    process.exit(1);
+});
@@ -14,6 +14,8 @@
 
 const BaseAgent = require('./BaseAgent');
 const https = require('https');
+const ClimbEngine = require('../../src/services/genealogy/ClimbEngine');
+const { WikiTreeProvider } = require('../../src/services/genealogy/providers');
 
 class WikiTreeGenealogyAgent extends BaseAgent {
   constructor() {
@@ -25,6 +27,9 @@ class WikiTreeGenealogyAgent extends BaseAgent {
     });
     
     this.USER_AGENT = 'ReparationsResearch/1.0 (genealogy-research)';
+    // Descendant walks only read the tree; the engine needs no database for them
+    this.engine = new ClimbEngine(null);
+    this.wikitree = new WikiTreeProvider({ rateLimit: 2000 });
   }
 
   async initialize() {
@@ -243,103 +248,24 @@ class WikiTreeGenealogyAgent extends BaseAgent {
   }
 
   /**
-   * Extract descendants from WikiTree profile (BFS)
+   * Extract descendants from WikiTree profile (ClimbEngine walk over the WikiTree API)
    */
   async extractDescendants(wikitreeId, maxGenerations = 8) {
-    const allDescendants = [];
-    const visited = new Set();
-    const queue = [{ wikitreeId, generation: 0 }];
-    
-    while (queue.length > 0 && allDescendants.length < 500) {
-      const { wikitreeId: currentId, generation } = queue.shift();
-      
-      if (visited.has(currentId) || generation > maxGenerations) continue;
-      visited.add(currentId);
-      
-      if (visited.size > 1) {
-        await this.sleep(2000); // Rate limit
-      }
-      
-      try {
-        const profile = await this.scrapeProfile(currentId);
-        
-        if (!profile.success) continue;
-        
-        // Add children to queue
-        for (const child of profile.children) {
-          queue.push({
-            wikitreeId: child.wikitreeId,
-            generation: generation + 1
-          });
-          
-          // Don't add root person to descendants
-          if (generation === 0) continue;
-          
-          allDescendants.push({
-            wikitreeId: currentId,
-            name: profile.personName,
-            birthYear: profile.birthYear,
-            deathYear: profile.deathYear,
-            generation,
-            isLiving: !profile.deathYear,
-            wikitreeUrl: `https://www.wikitree.com/wiki/${currentId}`
-          });
-        }
-        
-      } catch (err) {
-        // Continue on error
-      }
+    try {
+      const walk = await this.engine.descendants(this.wikitree, wikitreeId, { maxGenerations, maxPersons: 500 });
+      return walk.descendants.map(({ person, generation }) => ({
+        wikitreeId: person.id,
+        name: person.name,
+        birthYear: person.birth_year,
+        deathYear: person.death_year,
+        generation,
+        isLiving: person.living,
+        wikitreeUrl: person.url
+      }));
+    } catch (err) {
+      console.log(`  ⚠ WikiTree walk failed: ${err.message}`);
+      return [];
     }
-    
-    return allDescendants;
-  }
-
-  /**
-   * Scrape single WikiTree profile for children
-   */
-  scrapeProfile(wikitreeId) {
-    return new Promise((resolve, reject) => {
-      const url = `https://www.wikitree.com/wiki/${wikitreeId}`;
-      
-      https.get(url, {
-        headers: { 'User-Agent': this.USER_AGENT }
-      }, (res) => {
-        if (res.statusCode !== 200) {
-          resolve({ success: false });
-          return;
-        }
-        
-        let data = '';
-        res.on('data', chunk => { data += chunk; });
-        res.on('end', () => {
-          const children = [];
-          
-          // Parse children from schema.org markup
-          const childPattern = /<span\s+itemprop="children"[^>]*>.*?<a\s+href="\/wiki\/([^"]+)"[^>]*>.*?<span\s+itemprop="name">([^<]+)<\/span>/gi;
-          
-          let match;
-          while ((match = childPattern.exec(data)) !== null) {
-            const [, childId, name] = match;
-            if (!children.find(c => c.wikitreeId === childId)) {
-              children.push({ wikitreeId: childId, name: name.trim() });
-            }
-          }
-          
-          // Extract person info
-          const nameMatch = data.match(/<h1[^>]*>([^<]+)<\/h1>/);
-          const birthMatch = data.match(/(?:born|b\.)\s*(?:about\s+)?(\d{4})/i);
-          const deathMatch = data.match(/(?:died|d\.)\s*(?:about\s+)?(\d{4})/i);
-          
-          resolve({
-            success: true,
-            personName: nameMatch ? nameMatch[1].trim() : null,
-            birthYear: birthMatch ? parseInt(birthMatch[1]) : null,
-            deathYear: deathMatch ? parseInt(deathMatch[1]) : null,
-            children
-          });
-        });
-      }).on('error', reject);
-    });
   }
 
   /**
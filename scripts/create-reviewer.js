@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * create-reviewer.js  (M115)
+ *
+ * Creates a named reviewer account. Used to bootstrap the first operator —
+ * after that, operators manage accounts through POST /api/reviewers.
+ *
+ * The password is read from REVIEWER_PASSWORD, or prompted for, so it doesn't
+ * land in shell history. --password works too, for scripted setups.
+ *
+ * USAGE:
+ *   node scripts/create-reviewer.js --username jdoe --roles curator,operator [--name "Jane Doe"] [--email j@x.org]
+ *   REVIEWER_PASSWORD=... node scripts/create-reviewer.js --username jdoe --roles finance
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const { Pool } = require('pg');
+
+const argv = process.argv.slice(2);
+const opt = (n, d) => { const i = argv.indexOf(n); return i !== -1 && argv[i + 1] ? argv[i + 1] : d; };
+
+function prompt(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer); }));
+}
+
+async function main() {
+    const username = opt('--username');
+    const roles = opt('--roles', '');
+    if (!username || !roles) {
+        console.error('usage: node scripts/create-reviewer.js --username <name> --roles curator,genealogist,finance,operator');
+        process.exit(2);
+    }
+    if (!process.env.JWT_SECRET) process.env.JWT_SECRET = 'unused-by-create'; // middleware/auth.js requires it at load
+    const ReviewerService = require('../src/services/ReviewerService');
+
+    const password = opt('--password') || process.env.REVIEWER_PASSWORD || await prompt(`password for ${username}: `);
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+    try {
+        const reviewer = await new ReviewerService(pool).create({
+            username,
+            password,
+            displayName: opt('--name', null),
+            email: opt('--email', null),
+            roles,
+            createdBy: 'create-reviewer.js',
+        });
+        console.log(`created reviewer #${reviewer.id} ${reviewer.username} [${reviewer.roles.join(', ')}]`);
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(e => { console.error(`ERROR: ${e.message}`); process.exit(1); });
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Phase-2d: cut person_documents OCR text into document_passages (M121) and embed each passage
+ * into `embeddings` (subject_table='document_passages', content_kind='passage_ocr') for hybrid
+ * retrieval in RagService. Chunking is src/services/rag/passages.js; embedding is RagService's
+ * embedQuery, so passages land in the SAME space the query path embeds into (EMBED_SOURCE /
+ * EMBED_MODEL / OLLAMA_URL as for RagService — ollama nomic-embed-text by default).
+ *
+ * Idempotent: a document is re-chunked only when its ocr_text hash changed (old passages and
+ * their vectors are deleted first); passages already embedded for the model are skipped.
+ * CONC=1 by default — ollama 0.24.0 wedges under concurrent requests (see embed-documents.mjs).
+ *
+ *   LIMIT=50 node scripts/embed-passages.mjs                  # smoke test
+ *   CHUNK_ONLY=1 node scripts/embed-passages.mjs              # lexical index only (no embedder needed)
+ *   nohup node scripts/embed-passages.mjs > /tmp/embed-passages.log 2>&1 &
+ */
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+const require = createRequire(import.meta.url);
+const { chunkText, contentHash } = require('../src/services/rag/passages');
+const { embedQuery, EMBED_MODEL } = require('../src/services/rag/RagService');
+
+const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+const LIMIT = parseInt(process.env.LIMIT || '0', 10);
+const CHUNK_ONLY = process.env.CHUNK_ONLY === '1';
+const CONC = parseInt(process.env.CONC || '1', 10);
+const BATCH = 100;
+
+async function chunkDocuments() {
+  let lastId = 0, docs = 0, passages = 0, unchanged = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT d.id, d.ocr_text,
+              (SELECT p.content_hash FROM document_passages p WHERE p.document_id = d.id LIMIT 1) AS have_hash
+         FROM person_documents d
+        WHERE d.ocr_text IS NOT NULL AND length(d.ocr_text) > 40 AND d.id > $1
+        ORDER BY d.id LIMIT $2`, [lastId, BATCH]);
+    if (!rows.length) break;
+    lastId = rows[rows.length - 1].id;
+    for (const d of rows) {
+      const hash = contentHash(d.ocr_text);
+      if (d.have_hash === hash) { unchanged++; continue; }
+      const parts = chunkText(d.ocr_text);
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        if (d.have_hash) {
+          await client.query(
+            `DELETE FROM embeddings WHERE subject_table = 'document_passages'
+                AND subject_id IN (SELECT id::text FROM document_passages WHERE document_id = $1)`, [d.id]);
+          await client.query('DELETE FROM document_passages WHERE document_id = $1', [d.id]);
+        }
+        await client.query(
+          `INSERT INTO document_passages (document_id, passage_index, char_start, char_end, text, content_hash)
+           SELECT $1, u.i, u.s, u.e, u.t, $2
+             FROM unnest($3::int[], $4::int[], $5::int[], $6::text[]) AS u(i, s, e, t)`,
+          [d.id, hash, parts.map(p => p.index), parts.map(p => p.start), parts.map(p => p.end), parts.map(p => p.text)]);
+        await client.query('COMMIT');
+        docs++; passages += parts.length;
+      } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error(`  doc ${d.id}: ${e.message}`);
+      } finally { client.release(); }
+      if (LIMIT && docs >= LIMIT) break;
+    }
+    if (LIMIT && docs >= LIMIT) break;
+  }
+  console.log(`chunk: ${docs} documents → ${passages} passages (${unchanged} unchanged)`);
+}
+
+async function embedPassages() {
+  let lastId = 0, done = 0, err = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT p.id, p.text FROM document_passages p
+        WHERE p.id > $1
+          AND NOT EXISTS (SELECT 1 FROM embeddings e WHERE e.subject_table = 'document_passages'
+                            AND e.subject_id = p.id::text AND e.content_kind = 'passage_ocr' AND e.model = $2)
+        ORDER BY p.id LIMIT $3`, [lastId, EMBED_MODEL, BATCH]);
+    if (!rows.length) break;
+    lastId = rows[rows.length - 1].id;
+    const results = [];
+    for (let i = 0; i < rows.length; i += CONC) {
+      const embs = await Promise.all(rows.slice(i, i + CONC).map(async p => {
+        try { return { p, e: await embedQuery(p.text) }; } catch { return null; }
+      }));
+      for (const x of embs) { if (x) results.push(x); else err++; }
+    }
+    if (results.length) {
+      await pool.query(
+        `INSERT INTO embeddings (subject_table, subject_id, content_kind, model, embedding, content_hash)
+         SELECT 'document_passages', u.sid, 'passage_ocr', $1, u.v::vector, u.h
+           FROM unnest($2::text[], $3::text[], $4::text[]) AS u(sid, v, h)
+         ON CONFLICT (subject_table, subject_id, content_kind, model) DO NOTHING`,
+        [EMBED_MODEL, results.map(r => String(r.p.id)), results.map(r => '[' + r.e.join(',') + ']'), results.map(r => contentHash(r.p.text))]);
+      done += results.length;
+    }
+    console.log(`  ...passage id<=${lastId} embedded=${done} err=${err}`);
+    if (LIMIT && done >= LIMIT) break;
+  }
+  console.log(`embed: ${done} passages embedded (${EMBED_MODEL}), ${err} errors`);
+}
+
+(async () => {
+  try {
+    console.log(`embed-passages: model=${EMBED_MODEL} conc=${CONC} ${LIMIT ? 'LIMIT=' + LIMIT : '(full)'}${CHUNK_ONLY ? ' CHUNK_ONLY' : ''}`);
+    await chunkDocuments();
+    if (!CHUNK_ONLY) {
+      try { await embedQuery('preflight'); } catch (e) {
+        console.error(`FATAL preflight: model='${EMBED_MODEL}' failed a test embed: ${e.message}. Passages are chunked; rerun when the embedder is up (or CHUNK_ONLY=1).`);
+        process.exitCode = 3; return;
+      }
+      await embedPassages();
+    }
+  } catch (e) { console.error('ERROR:', e.message); process.exitCode = 2; }
+  finally { await pool.end(); }
+})();
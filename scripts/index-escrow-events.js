@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Escrow Event Indexer
+ *
+ * Mirrors ReparationsEscrow events on the configured network (BLOCKCHAIN_NETWORK)
+ * into escrow_events (migration 110). Resumes from escrow_index_cursor, so it
+ * is safe to stop and restart at any point.
+ *
+ * Usage:
+ *   node scripts/index-escrow-events.js                    # one pass up to the confirmed head
+ *   node scripts/index-escrow-events.js --watch            # keep polling (default every 30s)
+ *   node scripts/index-escrow-events.js --watch --interval 10
+ *   node scripts/index-escrow-events.js --confirmations 0 --start-block 1234567
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '..', '.env') });
+const { pool } = require('../src/database/connection');
+const EscrowEventIndexer = require('../src/services/blockchain/EscrowEventIndexer');
+
+const args = process.argv.slice(2);
+const arg = (flag, fallback) => {
+    const i = args.indexOf(flag);
+    return i > -1 ? args[i + 1] : fallback;
+};
+
+const WATCH = args.includes('--watch');
+const INTERVAL_S = parseInt(arg('--interval', '30'), 10);
+const CONFIRMATIONS = arg('--confirmations', null);
+const START_BLOCK = arg('--start-block', null);
+
+async function main() {
+    const indexer = new EscrowEventIndexer(pool, {
+        confirmations: CONFIRMATIONS !== null ? parseInt(CONFIRMATIONS, 10) : undefined,
+        startBlock: START_BLOCK !== null ? parseInt(START_BLOCK, 10) : undefined
+    });
+
+    console.log(`Indexing ReparationsEscrow ${indexer.contractAddress} on ${indexer.network.name} (chain ${indexer.network.chainId})`);
+    console.log(`  confirmations=${indexer.confirmations} batch=${indexer.batchSize} start=${indexer.startBlock}`);
+
+    if (WATCH) {
+        indexer.start(INTERVAL_S * 1000);
+        const shutdown = () => {
+            console.log('\nStopping indexer');
+            indexer.stop();
+            process.exit(0);
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+        return;
+    }
+
+    const result = await indexer.runOnce();
+    console.log(`✓ Blocks ${result.fromBlock}-${result.toBlock} (head ${result.head}): ${result.stored} new event(s)${result.reorged ? ' — reorg rewound' : ''}`);
+}
+
+main().catch((err) => {
+    console.error('Indexer failed:', err.message);
+    process.exit(1);
+});
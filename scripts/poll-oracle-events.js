@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Oracle Event Poller (M117)
+ *
+ * Runs the OracleEventFeed sources into oracle_events (deduplicated, so
+ * overlapping windows are harmless), then runs the DAARevisionService rules
+ * over every event still 'new'. Proposals it creates wait for a finance
+ * reviewer at /api/oracle/proposals.
+ *
+ * Usage:
+ *   node scripts/poll-oracle-events.js                         # all sources, then rules
+ *   node scripts/poll-oracle-events.js --sources sec_filing,climb_match
+ *   node scripts/poll-oracle-events.js --since 2026-01-01 --no-process
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '..', '.env') });
+const { pool } = require('../src/database/connection');
+const OracleEventFeed = require('../src/services/reparations/OracleEventFeed');
+const DAARevisionService = require('../src/services/reparations/DAARevisionService');
+const DAAGenerator = require('../src/services/reparations/DAAGenerator');
+const DAADocumentGenerator = require('../src/services/reparations/DAADocumentGenerator');
+const DAAOrchestrator = require('../src/services/reparations/DAAOrchestrator');
+
+const args = process.argv.slice(2);
+const arg = (flag, fallback) => {
+    const i = args.indexOf(flag);
+    return i > -1 ? args[i + 1] : fallback;
+};
+
+const SOURCES = arg('--sources', null);
+const SINCE = arg('--since', null);
+const PROCESS = !args.includes('--no-process');
+
+async function main() {
+    const feed = new OracleEventFeed(pool);
+    const poll = await feed.poll({
+        sources: SOURCES ? SOURCES.split(',').map(s => s.trim()) : null,
+        since: SINCE ? new Date(SINCE) : null
+    });
+    for (const [name, r] of Object.entries(poll.sources)) {
+        console.log(r.error
+            ? `✗ ${name}: ${r.error}`
+            : `✓ ${name}: ${r.found} found, ${r.inserted} new, ${r.duplicates} already logged`);
+    }
+
+    if (PROCESS) {
+        const orchestrator = new DAAOrchestrator(pool, new DAAGenerator(pool), new DAADocumentGenerator());
+        const revisions = new DAARevisionService(pool, orchestrator.snapshots);
+        const r = await revisions.processPending();
+        console.log(`✓ Rules: ${r.events} event(s) — ${r.processed} processed, ${r.ignored} ignored, ${r.failed} failed; ${r.proposals} proposal(s)`);
+        for (const e of r.errors) console.log(`  ✗ event ${e.eventId}: ${e.error}`);
+    }
+    await pool.end();
+}
+
+main().catch((err) => {
+    console.error('Oracle poll failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * project-estate-inventories.js
+ *
+ * Runs EstateInventoryExtractor over segmented probate inventories and writes
+ * one estate_valuations (M049) row per inventory, keyed by the canonical
+ * decedent enslaver. DisgorgementCalculator.forEnslaver reads these rows
+ * (source_other_table = 'estate_inventory') as the non-chattel estate
+ * component.
+ *
+ *   probate_documents (document_type='inventory', M080)
+ *     + person_documents.ocr_text in image order       -> extractor
+ *     -> estate_valuations (source_other_id = probate_documents.id)
+ *
+ * RESOLUTION: decedent name -> canonical_persons (person_type='enslaver'),
+ * lowest id on ties — the same rule as project-probate-to-disgorgement.js.
+ * Unresolved decedents, inventories with no year and pound-denominated
+ * inventories are skipped and counted (not invented).
+ *
+ * The itemised line items (enslaved persons with appraised values, property
+ * lines with categories) are kept in provenance_jsonb so the row can be
+ * audited back to the inventory.
+ *
+ * IDEMPOTENT: replaces this script's prior row for each inventory it processes.
+ *
+ * USAGE:
+ *   node scripts/project-estate-inventories.js                      # dry-run
+ *   node scripts/project-estate-inventories.js --county Liberty --limit 50
+ *   node scripts/project-estate-inventories.js --apply
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { EstateInventoryExtractor } = require('../src/services/documents/extractors/estate-inventory-extractor');
+const { ESTATE_INVENTORY_SOURCE } = require('../src/services/reparations/DisgorgementCalculator');
+
+const args = process.argv.slice(2);
+const opt = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 ? args[i + 1] : null;
+};
+const APPLY = args.includes('--apply');
+const COUNTY = opt('--county');
+const LIMIT = parseInt(opt('--limit') || '0', 10);
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+
+async function main() {
+    console.log('═══ Estate Inventories → estate_valuations ═══');
+    console.log(`mode: ${APPLY ? 'APPLY (writes rows)' : 'DRY-RUN (no writes)'}${COUNTY ? `  county=${COUNTY}` : ''}\n`);
+    const extractor = new EstateInventoryExtractor();
+    const c = await pool.connect();
+    const counts = { inventories: 0, written: 0, unresolved: 0, no_valuation: 0, no_decedent: 0 };
+    let sumTotal = 0, sumNonChattel = 0;
+    try {
+        const docs = await c.query(`
+            SELECT id, collection_key, county, state, person_document_ids
+            FROM probate_documents
+            WHERE document_type = 'inventory'
+              AND ($1::text IS NULL OR county ILIKE $1)
+            ORDER BY collection_key, first_image_number
+            ${LIMIT > 0 ? `LIMIT ${LIMIT}` : ''}
+        `, [COUNTY]);
+
+        if (APPLY) await c.query('BEGIN');
+        for (const doc of docs.rows) {
+            counts.inventories++;
+            const pages = await c.query(
+                `SELECT ocr_text FROM person_documents WHERE id = ANY($1::int[]) ORDER BY image_number`,
+                [doc.person_document_ids]);
+            const text = pages.rows.map(r => r.ocr_text || '').join('\n');
+
+            const extraction = await extractor.extract({
+                blockText: text,
+                sourceMetadata: { probate_document_id: doc.id, collection_key: doc.collection_key, county: doc.county, state: doc.state },
+            });
+            const valuation = EstateInventoryExtractor.toEstateValuation(extraction);
+            const decedent = extraction.entities.find(e => e.role === 'decedent_enslaver');
+            if (!valuation) { counts.no_valuation++; continue; }
+            if (!decedent) { counts.no_decedent++; continue; }
+
+            const cp = await c.query(`
+                SELECT id FROM canonical_persons
+                WHERE LOWER(canonical_name) = LOWER($1) AND person_type = 'enslaver'
+                ORDER BY id LIMIT 1
+            `, [decedent.attributes.name]);
+            if (cp.rows.length === 0) { counts.unresolved++; continue; }
+
+            sumTotal += valuation.total_estate_value_cents / 100;
+            sumNonChattel += Number(valuation.breakdown_jsonb.non_chattel_value_usd) || 0;
+            counts.written++;
+            if (!APPLY) continue;
+
+            const provenance = {
+                source: 'estate_inventory_extractor',
+                extractor_version: extraction.extractor_version,
+                probate_document_id: doc.id,
+                collection_key: doc.collection_key,
+                decedent_name: decedent.attributes.name,
+                enslaved_persons: extraction.entities
+                    .filter(e => e.role === 'enslaved_person_appraised')
+                    .map(e => e.attributes),
+                line_items: extraction.entities
+                    .filter(e => e.role === 'estate_line_item')
+                    .map(e => e.attributes),
+            };
+            await c.query(
+                `DELETE FROM estate_valuations WHERE source_other_table = $1 AND source_other_id = $2`,
+                [ESTATE_INVENTORY_SOURCE, doc.id]);
+            await c.query(`
+                INSERT INTO estate_valuations
+                    (canonical_person_id, source_other_table, source_other_id,
+                     total_estate_value_cents, currency_year, breakdown_jsonb,
+                     confidence_low_cents, confidence_high_cents, provenance_jsonb)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [
+                cp.rows[0].id, ESTATE_INVENTORY_SOURCE, doc.id,
+                valuation.total_estate_value_cents, valuation.currency_year,
+                JSON.stringify(valuation.breakdown_jsonb),
+                valuation.confidence_low_cents, valuation.confidence_high_cents,
+                JSON.stringify(provenance),
+            ]);
+        }
+        if (APPLY) await c.query('COMMIT');
+
+        console.log(`Inventories read:        ${counts.inventories}`);
+        console.log(`  ${APPLY ? 'written' : 'would write'}:           ${counts.written}  (Σ total $${Math.round(sumTotal).toLocaleString()}, Σ non-chattel $${Math.round(sumNonChattel).toLocaleString()} nominal)`);
+        console.log(`  skipped, no valuation: ${counts.no_valuation}  (no dollar total or no year)`);
+        console.log(`  skipped, no decedent:  ${counts.no_decedent}`);
+        console.log(`  skipped, unresolved:   ${counts.unresolved}  (decedent not in canonical_persons)`);
+        if (!APPLY) console.log('\nDRY-RUN: no rows written. Re-run with --apply.');
+    } catch (e) {
+        if (APPLY) await c.query('ROLLBACK').catch(() => {});
+        throw e;
+    } finally {
+        c.release();
+        await pool.end();
+    }
+}
+
+main().catch(e => { console.error('FATAL', e.message); process.exit(1); });
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * project-freedom-events.js
+ *
+ * Runs ManumissionExtractor over archived manumission deeds and certificates
+ * of freedom and writes one freedom_events (M111) row per freed person. The
+ * inferred-dates view (enslaved_persons_inferred_dates) reads effective_year
+ * from these rows to end a period of enslavement before 1865.
+ *
+ *   person_documents (document_type IN certificate_of_freedom / manumission_deed,
+ *                     ocr_text present)
+ *     -> extractor -> ManumissionExtractor.toFreedomEvent
+ *     -> freedom_events (source_table='person_documents', source_id = lowest
+ *                        person_documents.id sharing the image)
+ *
+ * One image is often indexed once per named person; rows are grouped by
+ * s3_key (falling back to source_url) so each instrument is read once.
+ *
+ * RESOLUTION (all optional — unresolved rows are still written by name):
+ *   freed person   -> person_documents.canonical_person_id of the row whose
+ *                     name_as_appears matches the extracted name
+ *   manumitter     -> canonical_persons (person_type='enslaver'), lowest id
+ *   lead id        -> family_relationships.person2_lead_id where the freed
+ *                     name and manumitter name match an enslaved_by edge
+ *
+ * IDEMPOTENT: upserts on (source_table, source_id, enslaved_name_text).
+ *
+ * USAGE:
+ *   node scripts/project-freedom-events.js                 # dry-run
+ *   node scripts/project-freedom-events.js --limit 100
+ *   node scripts/project-freedom-events.js --apply
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { ManumissionExtractor } = require('../src/services/documents/extractors/manumission-extractor');
+
+const args = process.argv.slice(2);
+const opt = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 ? args[i + 1] : null;
+};
+const APPLY = args.includes('--apply');
+const LIMIT = parseInt(opt('--limit') || '0', 10);
+const DOCUMENT_TYPES = ['certificate_of_freedom', 'manumission_deed'];
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+
+async function main() {
+    console.log('═══ Manumissions / certificates of freedom → freedom_events ═══');
+    console.log(`mode: ${APPLY ? 'APPLY (writes rows)' : 'DRY-RUN (no writes)'}\n`);
+    const extractor = new ManumissionExtractor();
+    const c = await pool.connect();
+    const counts = { documents: 0, written: 0, no_freed_person: 0, undated: 0, born_free: 0, lead_linked: 0 };
+    try {
+        const docs = await c.query(`
+            SELECT MIN(id) AS id, MIN(ocr_text) AS ocr_text, MIN(document_type) AS document_type,
+                   ARRAY_AGG(id) AS ids
+            FROM person_documents
+            WHERE document_type = ANY($1::text[])
+              AND ocr_text IS NOT NULL AND LENGTH(ocr_text) > 30
+            GROUP BY COALESCE(s3_key, source_url, id::text)
+            ORDER BY MIN(id)
+            ${LIMIT > 0 ? `LIMIT ${LIMIT}` : ''}
+        `, [DOCUMENT_TYPES]);
+
+        if (APPLY) await c.query('BEGIN');
+        for (const doc of docs.rows) {
+            counts.documents++;
+            const extraction = await extractor.extract({
+                blockText: doc.ocr_text,
+                sourceMetadata: { person_document_id: doc.id, document_type: doc.document_type },
+            });
+            const row = ManumissionExtractor.toFreedomEvent(extraction);
+            if (!row) { counts.no_freed_person++; continue; }
+            if (row.condition_type === 'born_free') counts.born_free++;
+            else if (row.effective_year === null) counts.undated++;
+
+            const freed = await c.query(`
+                SELECT canonical_person_id FROM person_documents
+                WHERE id = ANY($1::int[]) AND canonical_person_id IS NOT NULL
+                  AND LOWER(name_as_appears) = LOWER($2)
+                ORDER BY id LIMIT 1
+            `, [doc.ids, row.enslaved_name_text]);
+            const manumitter = row.manumitter_name ? await c.query(`
+                SELECT id FROM canonical_persons
+                WHERE LOWER(canonical_name) = LOWER($1) AND person_type = 'enslaver'
+                ORDER BY id LIMIT 1
+            `, [row.manumitter_name]) : { rows: [] };
+            const lead = row.manumitter_name ? await c.query(`
+                SELECT person2_lead_id FROM family_relationships
+                WHERE relationship_type = 'enslaved_by' AND person2_lead_id IS NOT NULL
+                  AND LOWER(person1_name) = LOWER($1)
+                  AND LOWER(TRIM(regexp_replace(person2_name, ',?\\s*\\(?[Aa]ge\\s+[0-9]{1,3}.*$', ''))) = LOWER($2)
+                ORDER BY id LIMIT 1
+            `, [row.manumitter_name, row.enslaved_name_text]) : { rows: [] };
+            if (lead.rows.length) counts.lead_linked++;
+
+            counts.written++;
+            if (!APPLY) continue;
+
+            await c.query(`
+                INSERT INTO freedom_events
+                    (enslaved_person_id, enslaved_lead_id, enslaved_name_text,
+                     manumitter_person_id, manumitter_name, freedom_type, condition_type,
+                     condition_term_years, condition_release_age, instrument_date,
+                     certificate_issue_date, effective_date, effective_year,
+                     age_at_instrument, birth_year_estimate, sex, descriptors_jsonb,
+                     consideration_usd, self_purchase, place_state, place_locality,
+                     source_table, source_id, extractor_version, confidence)
+                VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,
+                        'person_documents', $22, $23, $24)
+                ON CONFLICT (source_table, source_id, enslaved_name_text) DO UPDATE SET
+                    enslaved_person_id = EXCLUDED.enslaved_person_id,
+                    enslaved_lead_id = EXCLUDED.enslaved_lead_id,
+                    manumitter_person_id = EXCLUDED.manumitter_person_id,
+                    manumitter_name = EXCLUDED.manumitter_name,
+                    freedom_type = EXCLUDED.freedom_type,
+                    condition_type = EXCLUDED.condition_type,
+                    condition_term_years = EXCLUDED.condition_term_years,
+                    condition_release_age = EXCLUDED.condition_release_age,
+                    instrument_date = EXCLUDED.instrument_date,
+                    certificate_issue_date = EXCLUDED.certificate_issue_date,
+                    effective_date = EXCLUDED.effective_date,
+                    effective_year = EXCLUDED.effective_year,
+                    age_at_instrument = EXCLUDED.age_at_instrument,
+                    birth_year_estimate = EXCLUDED.birth_year_estimate,
+                    sex = EXCLUDED.sex,
+                    descriptors_jsonb = EXCLUDED.descriptors_jsonb,
+                    consideration_usd = EXCLUDED.consideration_usd,
+                    self_purchase = EXCLUDED.self_purchase,
+                    place_state = EXCLUDED.place_state,
+                    place_locality = EXCLUDED.place_locality,
+                    extractor_version = EXCLUDED.extractor_version,
+                    confidence = EXCLUDED.confidence
+            `, [
+                freed.rows[0]?.canonical_person_id || null,
+                lead.rows[0]?.person2_lead_id || null,
+                row.enslaved_name_text,
+                manumitter.rows[0]?.id || null,
+                row.manumitter_name,
+                row.freedom_type, row.condition_type,
+                row.condition_term_years, row.condition_release_age,
+                row.instrument_date, row.certificate_issue_date, row.effective_date, row.effective_year,
+                row.age_at_instrument, row.birth_year_estimate, row.sex,
+                JSON.stringify(row.descriptors_jsonb),
+                row.consideration_usd, row.self_purchase, row.place_state, row.place_locality,
+                String(doc.id), extraction.extractor_version,
+                ManumissionExtractor.classifyConfidence(doc.ocr_text).toFixed(2),
+            ]);
+        }
+        if (APPLY) await c.query('COMMIT');
+
+        console.log(`Documents read:            ${counts.documents}`);
+        console.log(`  ${APPLY ? 'written' : 'would write'}:             ${counts.written}  (${counts.lead_linked} linked to a schedule lead)`);
+        console.log(`    of which born free:    ${counts.born_free}  (kept, never end a period)`);
+        console.log(`    of which undated:      ${counts.undated}  (condition has no computable year)`);
+        console.log(`  skipped, no freed person: ${counts.no_freed_person}`);
+        if (!APPLY) console.log('\nDRY-RUN: no rows written. Re-run with --apply.');
+    } catch (e) {
+        if (APPLY) await c.query('ROLLBACK').catch(() => {});
+        throw e;
+    } finally {
+        c.release();
+        await pool.end();
+    }
+}
+
+main().catch(e => { console.error('FATAL', e.message); process.exit(1); });
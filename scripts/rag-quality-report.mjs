@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Phase-2d retrieval-quality report. Runs RagService.qualityReport() and writes its checks to
+ * retrieval_health_ledger (M106) under one run_id, next to the integrity checks from
+ * retrieval-health-audit.mjs — so RAG quality is diffed run-over-run the same way:
+ *   rag_grounded_rate / rag_weak_retrieval_rate / rag_lexical_only_rate   (retrieval_log, M108)
+ *   rag_passage_coverage                                                  (document_passages, M121)
+ *   rag_eval_recall_at_k (per query + aggregate)                          (--eval file)
+ * Never 'critical': quality regressions warn, they do not block a deploy.
+ *
+ * The eval file is JSON: [{ "query": "...", "expect": [184706, ...] }, ...] — questions whose
+ * answering documents are known. Running it needs the query embedder (EMBED_SOURCE / OLLAMA_URL);
+ * without it retrieval is lexical-only and the report says so.
+ *
+ *   node scripts/rag-quality-report.mjs                         # last 7 days + coverage
+ *   node scripts/rag-quality-report.mjs --eval rag-eval.json --k 6
+ *   node scripts/rag-quality-report.mjs --days 30 --dry         # report only, no ledger write
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+const require = createRequire(import.meta.url);
+const RagService = require('../src/services/rag/RagService');
+
+const DRY = process.argv.includes('--dry');
+const arg = (f, d) => { const i = process.argv.indexOf(f); return i > -1 ? process.argv[i + 1] : d; };
+const DAYS = parseInt(arg('--days', '7'), 10);
+const K = parseInt(arg('--k', '6'), 10);
+const EVAL = arg('--eval', null);
+const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+
+(async () => {
+  try {
+    const evalSet = EVAL ? JSON.parse(fs.readFileSync(path.resolve(EVAL), 'utf8')) : [];
+    const rag = new RagService(pool);
+    const r = await rag.qualityReport({ days: DAYS, evalSet, k: K, write: !DRY });
+    console.log(`=== rag-quality-report run ${r.runId} ${DRY ? '(DRY)' : ''} ===`);
+    console.log(`  retrieval_log (last ${DAYS}d): ${JSON.stringify(r.log)}`);
+    console.log(`  coverage: ${JSON.stringify(r.coverage)}`);
+    if (r.eval) {
+      console.log(`  eval: recall@${r.eval.k}=${r.eval.recallAtK} MRR=${r.eval.mrr} over ${r.eval.queries} queries`);
+      r.eval.perQuery.filter(q => q.recall < 1).forEach(q => console.log(`    miss (${q.recall.toFixed(2)}): ${q.query}`));
+    }
+    for (const c of r.checks) console.log(`  ${c.status === 'ok' ? 'OK  ' : c.status.toUpperCase().padEnd(4)} ${c.check_name} [${c.subject_id}]`);
+    if (!DRY) console.log(`\nwrote ${r.checks.length} ledger rows (run ${r.runId}).`);
+  } catch (e) { console.error('ERROR:', e.message); process.exitCode = 2; }
+  finally { await pool.end(); }
+})();
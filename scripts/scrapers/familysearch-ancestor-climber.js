@@ -8,15 +8,19 @@
  * 1. Start with user's FamilySearch ID
  * 2. Go to their person details page
  * 3. Extract: name, dates, location, father_fs_id, mother_fs_id
- * 4. Check if person matches our enslaver database (exact name + location)
- * 5. If MATCH: record it AND continue climbing (don't stop!)
- * 6. Queue BOTH parents for processing
- * 7. Repeat BFS until historical cutoff (1450s) or tree exhausted
- * 8. Classify each match as DEBT (inheritance) or CREDIT (rape/violence victim line)
+ * 4. No parents in the tree: discover them (participant tree, records, WikiTree)
+ * 5. Check if person matches our enslaver database (find_person_match, then SlaveVoyages)
+ * 6. If MATCH: verify and record it AND continue climbing (don't stop!)
+ * 7. Queue BOTH parents for processing
+ * 8. Repeat BFS until historical cutoff (1600) or tree exhausted
+ *
+ * The BFS, matching, MatchVerifier/GarbageDetector checks and session persistence
+ * are ClimbEngine's (shared with GEDCOM and WikiTree climbs); this script reads
+ * the tree through FamilySearchBrowserProvider with the page functions below.
  *
  * v2 IMPROVEMENTS:
  * - Finds ALL slaveholder matches, not just first
- * - Historical cutoff at 1450s (start of transatlantic slave trade)
+ * - Historical cutoff at 1600 (colonial transatlantic trade onset)
  * - Location matching to reduce false positives
  * - Credit vs debt classification per lineage
  * - Session persistence for resume after interruption
@@ -34,13 +38,13 @@ const { neon } = require('@neondatabase/serverless');
 const fs = require('fs');
 const { execSync, spawn } = require('child_process');
 const DocumentVerifier = require('../../src/services/genealogy/DocumentVerifier');
-const MatchVerifier = require('../../src/services/match-verification');
 const BranchClassifier = require('../../src/services/genealogy/BranchClassifier');
-const GarbageDetector = require('../../src/services/genealogy/GarbageDetector');
+const ClimbEngine = require('../../src/services/genealogy/ClimbEngine');
+const { FamilySearchBrowserProvider } = require('../../src/services/genealogy/providers');
+const { isMatchableName } = require('../../src/services/genealogy/enslaver-match');
 
-// Initialize branch classifier and garbage detector for context-aware climbing
+// Branch classifier for source routing in parent discovery (shared with the engine's garbage checks)
 const branchClassifier = new BranchClassifier();
-const garbageDetector = new GarbageDetector();
 
 puppeteer.use(StealthPlugin());
 
@@ -51,12 +55,16 @@ const sql = neon(process.env.DATABASE_URL);
 // silo — the same fix doors 3–5 use, replacing the after-the-fact reconcile-climb-minted.js sweep.
 // Thin adapter maps the neon `sql` client to PersonService's db.query(text,params)->{rows} shape.
 const PersonService = require('../../src/services/PersonService');
-const personService = new PersonService({ query: async (t, p) => ({ rows: await sql.query(t, p) }) });
+const personDb = { query: async (t, p) => ({ rows: await sql.query(t, p) }) };
+const personService = new PersonService(personDb);
 async function writeClimbKeys(cid, name, birthYear) {
   try { await personService._writeBlockingKeys('canonical_persons', cid, { name, birthYear: birthYear || null }); }
   catch (e) { /* non-fatal — reconcile-climb-minted.js remains the safety net */ }
 }
 
+// The climb itself (BFS, matching, verification, session rows) is the shared ClimbEngine
+const climbEngine = new ClimbEngine(personDb, { sql, branchClassifier, log: console.log });
+
 // Initialize DocumentVerifier
 const documentVerifier = new DocumentVerifier(process.env.DATABASE_URL, {
     bucket: process.env.S3_BUCKET_NAME,
@@ -67,21 +75,17 @@ const documentVerifier = new DocumentVerifier(process.env.DATABASE_URL, {
     } : undefined
 });
 
-// Initialize MatchVerifier for race-aware post-match verification
-const matchVerifier = new MatchVerifier(sql);
-
 // Configuration
 const INTERACTIVE = process.env.FAMILYSEARCH_INTERACTIVE === 'true';
-const MAX_GENERATIONS = 50; // Increased - we use birth year cutoff instead
+const MAX_GENERATIONS = ClimbEngine.MAX_GENERATIONS; // We use birth year cutoff instead
 const MAX_NAME_ONLY_GENERATIONS = 12; // Hard cap for name-only BFS (no FS tree to validate)
-// Stop walking once ancestors are older than the colonial-era transatlantic
-// trade to the English colonies (~1619 Jamestown). Prior value (1450) produced
-// ~330 garbage name_only_match rows per deep climb from medieval ancestor
-// chains that had nothing to do with US slavery — see LX39-1MY session.
-const HISTORICAL_CUTOFF_YEAR = 1600; // Colonial transatlantic trade onset
+// The engine stops walking once ancestors are older than the colonial-era
+// transatlantic trade to the English colonies (~1619 Jamestown). Prior value
+// (1450) produced ~330 garbage name_only_match rows per deep climb from
+// medieval ancestor chains that had nothing to do with US slavery — see LX39-1MY session.
+const HISTORICAL_CUTOFF_YEAR = ClimbEngine.HISTORICAL_CUTOFF_YEAR;
 const MIN_ANCESTOR_BIRTH_YEAR = 1600; // Don't create identity records for estimated births before this
 const PERSON_PAGE_URL = 'https://www.familysearch.org/en/tree/person/details/';
-const SAVE_PROGRESS_EVERY = 10; // Save to DB every N ancestors
 
 let browser = null;
 let page = null;
@@ -154,11 +158,9 @@ function lookupInFamilyTree(personName, familyTreeMap) {
     return null;
 }
 
-// Session state (can be restored for resume)
+// This run's session and what it has seen (the engine persists the climb state)
 let sessionId = null;
-let visited = new Set();
 let ancestors = [];
-let allMatches = []; // NEW: Store ALL matches, not just first
 let failedExtractions = []; // Track failed profiles for diagnostics
 
 /**
@@ -2167,391 +2169,6 @@ async function savePersonRelationship(parentPersonId, childPersonId, relationshi
 // END MULTI-SOURCE PARENT DISCOVERY
 // ═══════════════════════════════════════════════════════════════
 
-/**
- * Check if person is in our enslaver database
- *
- * VERIFICATION REQUIREMENTS (v3 - stricter):
- * 1. Name match (required)
- * 2. Location match (required for high confidence)
- * 3. Date overlap (birth year within 15-year window)
- * 4. Document evidence (tracked in match result)
- *
- * All matches are flagged as UNVERIFIED until manual document review.
- */
-async function checkEnslaverDatabase(person) {
-    if (!person.name) return null;
-
-    // Skip generic single-word names that cause false positives
-    const nameParts = person.name.trim().split(/\s+/);
-    if (nameParts.length < 2 || person.name.length < 5) {
-        return null; // Skip "Ann", "John", etc.
-    }
-
-    const personLocation = (person.locations && person.locations[0]) || null;
-
-    // ═══ TIER 1: Check external IDs via find_person_match() ═══
-    if (person.fs_id) {
-        try {
-            const tier1 = await sql`SELECT * FROM find_person_match(
-                ${person.name}, ${person.birth_year || null}, ${personLocation},
-                NULL, ${person.fs_id}, 'familysearch'
-            )`;
-            if (tier1.length > 0 && tier1[0].match_tier <= 2) {
-                // Only match enslavers
-                if (['enslaver', 'slaveholder', 'owner'].includes(tier1[0].person_type)) {
-                    return formatTieredMatch(tier1[0]);
-                }
-            }
-        } catch (err) {
-            // find_person_match may not exist yet (migration not applied) — fall through to legacy
-            if (!err.message.includes('find_person_match')) throw err;
-            console.log('   [Identity] find_person_match() not available, using legacy matching');
-            return checkEnslaverDatabaseLegacy(person);
-        }
-    }
-
-    // ═══ TIER 2+3: Tiered name matching via find_person_match() ═══
-    try {
-        const matches = await sql`SELECT * FROM find_person_match(
-            ${person.name}, ${person.birth_year || null}, ${personLocation},
-            NULL, NULL, NULL
-        )`;
-
-        // Only auto-accept Tier 1-2 enslaver matches
-        const autoMatch = matches.find(m =>
-            m.match_tier <= 2 &&
-            m.match_confidence >= 0.65 &&
-            ['enslaver', 'slaveholder', 'owner'].includes(m.person_type)
-        );
-        if (autoMatch) return formatTieredMatch(autoMatch);
-
-        // Tier 3 candidates: save qualifying matches with human review flags
-        const tier3 = matches.filter(m =>
-            m.match_tier === 3 &&
-            ['enslaver', 'slaveholder', 'owner'].includes(m.person_type)
-        );
-        if (tier3.length > 0) {
-            // Filter out obvious junk before saving
-            const qualifying = tier3.filter(m => {
-                const name = (m.canonical_name || '').trim();
-                // Skip single-word names (too common: "Ann", "John", etc.)
-                if (!name.includes(' ')) return false;
-                // Skip very short names
-                if (name.length < 5) return false;
-                // Skip pre-1600 births (predates American slavery)
-                if (m.birth_year_estimate && m.birth_year_estimate < 1600) return false;
-                return true;
-            });
-
-            if (qualifying.length > 0) {
-                // Return the best qualifying Tier 3 match with human review flags
-                const best = qualifying.reduce((a, b) =>
-                    parseFloat(b.match_confidence) > parseFloat(a.match_confidence) ? b : a
-                );
-                const result = formatTieredMatch(best);
-                result.requires_human_review = true;
-                result.review_reason = 'Name-only match (Tier 3) — needs human verification';
-                result.classification = 'unverified';
-                result.verification_status = 'pending_review';
-                console.log(`   ~ ${tier3.length} Tier 3 candidate(s), saving best: "${best.canonical_name}" (${(parseFloat(best.match_confidence) * 100).toFixed(0)}%) [pending review]`);
-                return result;
-            } else {
-                console.log(`   ~ ${tier3.length} Tier 3 candidate(s) — all filtered out (single-word name, too short, or pre-1600)`);
-            }
-        }
-    } catch (err) {
-        if (!err.message.includes('find_person_match')) throw err;
-        return checkEnslaverDatabaseLegacy(person);
-    }
-
-    // Fallback: check SlaveVoyages API for international slave traders
-    const svMatch = await checkSlaveVoyages(person);
-    if (svMatch) return svMatch;
-
-    return null;
-}
-
-/**
- * Format a find_person_match() result into the match record format expected by the climber
- */
-function formatTieredMatch(row) {
-    const tierLabels = { 1: 'external_id_match', 2: 'name_date_location_match', 3: 'name_only_match' };
-    return {
-        type: tierLabels[row.match_tier] || 'tiered_match',
-        confidence: parseFloat(row.match_confidence),
-        verified: false,
-        verification_notes: `${row.match_details}. REQUIRES DOCUMENT REVIEW.`,
-        date_verified: row.match_tier <= 2 && row.birth_year_estimate != null,
-        location_verified: row.match_tier <= 2 && row.primary_state != null,
-        id: row.canonical_person_id,
-        canonical_name: row.canonical_name,
-        person_type: row.person_type,
-        birth_year_estimate: row.birth_year_estimate,
-        primary_state: row.primary_state
-    };
-}
-
-/**
- * Legacy enslaver database check — used when migration 033 hasn't been applied yet.
- * Preserves the original matching logic as a fallback.
- */
-async function checkEnslaverDatabaseLegacy(person) {
-    const personLocations = person.locations || [];
-    const personBirthYear = person.birth_year;
-
-    const birthYearsOverlap = (dbYear) => {
-        if (!personBirthYear || !dbYear) return null;
-        return Math.abs(personBirthYear - dbYear) <= 15;
-    };
-
-    const locationsOverlap = (dbState, dbCounty) => {
-        if (personLocations.length === 0) return null;
-        if (!dbState && !dbCounty) return null;
-        return personLocations.some(loc => {
-            const locLower = loc.toLowerCase();
-            if (dbState && (locLower.includes(dbState.toLowerCase()) || dbState.toLowerCase().includes(locLower))) return true;
-            if (dbCounty && (locLower.includes(dbCounty.toLowerCase()) || dbCounty.toLowerCase().includes(locLower))) return true;
-            return false;
-        });
-    };
-
-    // Check by FS ID first
-    if (person.fs_id) {
-        const fsMatch = await sql`
-            SELECT id, canonical_name, person_type, notes, primary_state, primary_county, birth_year_estimate
-            FROM canonical_persons
-            WHERE notes::text LIKE ${'%"familysearch_id":"' + person.fs_id + '"%'}
-            AND person_type IN ('enslaver', 'slaveholder', 'owner')
-            LIMIT 1
-        `;
-        if (fsMatch.length > 0) {
-            return { type: 'exact_fs_match', confidence: 0.99, verified: false,
-                verification_notes: 'FamilySearch ID match - high confidence but needs document verification', ...fsMatch[0] };
-        }
-    }
-
-    // Exact name match
-    const exactMatch = await sql`
-        SELECT id, canonical_name, person_type, birth_year_estimate, primary_state, primary_county
-        FROM canonical_persons WHERE person_type IN ('enslaver', 'slaveholder', 'owner')
-        AND canonical_name = ${person.name} LIMIT 5
-    `;
-    for (const match of exactMatch) {
-        const dateMatch = birthYearsOverlap(match.birth_year_estimate);
-        const locationMatch = locationsOverlap(match.primary_state, match.primary_county);
-        if (dateMatch === false || locationMatch === false) continue;
-        let confidence = 0.50;
-        if (locationMatch === true) confidence += 0.25;
-        if (dateMatch === true) confidence += 0.15;
-        return { type: locationMatch === true ? 'exact_name_location_match' : 'exact_name_match',
-            confidence, verified: false, verification_notes: 'Legacy name match. REQUIRES DOCUMENT REVIEW.',
-            date_verified: dateMatch === true, location_verified: locationMatch === true, ...match };
-    }
-
-    // Case-insensitive name match
-    const nameMatch = await sql`
-        SELECT id, canonical_name, person_type, birth_year_estimate, primary_state, primary_county
-        FROM canonical_persons WHERE person_type IN ('enslaver', 'slaveholder', 'owner')
-        AND LOWER(canonical_name) = LOWER(${person.name}) LIMIT 5
-    `;
-    for (const match of nameMatch) {
-        const dateMatch = birthYearsOverlap(match.birth_year_estimate);
-        const locationMatch = locationsOverlap(match.primary_state, match.primary_county);
-        if (dateMatch === false || locationMatch === false) continue;
-        let confidence = 0.45;
-        if (locationMatch === true) confidence += 0.25;
-        if (dateMatch === true) confidence += 0.15;
-        return { type: locationMatch === true ? 'name_location_match' : 'name_match',
-            confidence, verified: false, verification_notes: 'Legacy case-insensitive name match. REQUIRES DOCUMENT REVIEW.',
-            date_verified: dateMatch === true, location_verified: locationMatch === true, ...match };
-    }
-
-    // Fallback: SlaveVoyages
-    const svMatch = await checkSlaveVoyages(person);
-    if (svMatch) return svMatch;
-
-    return null;
-}
-
-/**
- * Classify lineage as DEBT (inheritance) or CREDIT (rape/violence victim)
- *
- * WARNING: This classification is DISABLED until proper verification is implemented.
- *
- * The previous implementation matched ancestor names against enslaved records
- * without verifying dates, locations, or documents. This led to FALSE POSITIVES
- * (e.g., Lydia Williams with a 1786 marriage certificate was falsely matched
- * to a "Lydia Williams" in enslaved records - marriage = FREE person).
- *
- * REQUIREMENTS FOR PROPER CLASSIFICATION:
- * 1. Document evidence (Slave Schedules, Wills, Deeds, etc.)
- * 2. Date verification (birth/death years must match)
- * 3. Location verification (county/state must match)
- * 4. Cross-reference with free status documents (marriage, property, voting records)
- *
- * Until these are implemented, all matches are marked as UNVERIFIED.
- */
-async function classifyLineage(path, slaveholder) {
-    // DISABLED: Name-only matching is unreliable and produces false positives
-    // TODO: Implement proper document-based verification
-
-    return {
-        classification: 'unverified',
-        reason: 'Classification disabled - requires document verification. Match found by name/location only.'
-    };
-}
-
-/**
- * Save climb session progress to database (for resume capability)
- */
-async function saveClimbProgress(sessionId, queue, visited, matches, status = 'in_progress') {
-    if (!sessionId) return;
-
-    try {
-        await sql`
-            UPDATE ancestor_climb_sessions
-            SET current_queue = ${JSON.stringify(queue.map(q => ({ fs_id: q[0], generation: q[1], path: q[2] })))},
-                visited_set = ${Array.from(visited)},
-                all_matches = ${JSON.stringify(matches)},
-                ancestors_visited = ${visited.size},
-                matches_found = ${matches.length},
-                last_activity = NOW(),
-                status = ${status}
-            WHERE id = ${sessionId}
-        `;
-    } catch (e) {
-        console.log(`   ⚠ Could not save progress: ${e.message}`);
-    }
-}
-
-/**
- * Create a new climb session in database
- */
-async function createClimbSession(modernPersonName, modernPersonFsId, config = {}) {
-    try {
-        const result = await sql`
-            INSERT INTO ancestor_climb_sessions (
-                modern_person_name,
-                modern_person_fs_id,
-                status,
-                config
-            ) VALUES (
-                ${modernPersonName},
-                ${modernPersonFsId || 'NAME-ONLY'},
-                'in_progress',
-                ${JSON.stringify(config)}
-            )
-            RETURNING id
-        `;
-        return result[0]?.id;
-    } catch (e) {
-        console.log(`   ⚠ Could not create session: ${e.message}`);
-        return null;
-    }
-}
-
-/**
- * Load existing session for resume
- */
-async function loadClimbSession(sessionId) {
-    try {
-        const result = await sql`
-            SELECT * FROM ancestor_climb_sessions WHERE id = ${sessionId}
-        `;
-        if (result.length === 0) return null;
-
-        const session = result[0];
-        return {
-            modernPersonName: session.modern_person_name,
-            modernPersonFsId: session.modern_person_fs_id,
-            queue: session.current_queue.map(q => [q.fs_id, q.generation, q.path]),
-            visited: new Set(session.visited_set || []),
-            matches: session.all_matches || [],
-            config: session.config || {}
-        };
-    } catch (e) {
-        console.log(`   ⚠ Could not load session: ${e.message}`);
-        return null;
-    }
-}
-
-/**
- * Save match to normalized matches table (with verification columns from migration 034)
- */
-async function saveMatch(sessionId, modernPerson, match) {
-    try {
-        const verdict = match.verdict;
-        await sql`
-            INSERT INTO ancestor_climb_matches (
-                session_id,
-                modern_person_name,
-                modern_person_fs_id,
-                slaveholder_name,
-                slaveholder_fs_id,
-                slaveholder_birth_year,
-                generation_distance,
-                lineage_path,
-                lineage_path_fs_ids,
-                match_type,
-                match_confidence,
-                classification,
-                classification_reason,
-                verification_status,
-                verification_evidence,
-                confidence_adjusted,
-                requires_human_review,
-                review_reason
-            ) VALUES (
-                ${sessionId},
-                ${modernPerson.name},
-                ${modernPerson.fs_id || 'NAME-ONLY'},
-                ${match.match.canonical_name || match.match.full_name},
-                ${match.person.fs_id},
-                ${match.person.birth_year},
-                ${match.generation},
-                ${match.path},
-                ${[]},
-                ${match.match.type},
-                ${match.match.confidence},
-                ${verdict ? verdict.classification : (match.classification?.classification || 'unverified')},
-                ${verdict ? verdict.evidence.map(e => e.detail).join('; ') : (match.classification?.reason || 'Unknown')},
-                ${verdict ? (verdict.requires_human_review ? 'needs_review' : 'auto_verified') : 'unverified'},
-                ${verdict ? JSON.stringify(verdict.evidence) : '[]'},
-                ${verdict ? verdict.confidence_adjusted : null},
-                ${verdict ? verdict.requires_human_review : false},
-                ${verdict ? verdict.review_reason : null}
-            )
-        `;
-    } catch (e) {
-        // Fallback: if new columns don't exist yet (migration 034 not applied), save without them
-        if (e.message.includes('column') && (e.message.includes('verification_status') || e.message.includes('confidence_adjusted'))) {
-            try {
-                await sql`
-                    INSERT INTO ancestor_climb_matches (
-                        session_id, modern_person_name, modern_person_fs_id,
-                        slaveholder_name, slaveholder_fs_id, slaveholder_birth_year,
-                        generation_distance, lineage_path, lineage_path_fs_ids,
-                        match_type, match_confidence, classification, classification_reason
-                    ) VALUES (
-                        ${sessionId}, ${modernPerson.name}, ${modernPerson.fs_id || 'NAME-ONLY'},
-                        ${match.match.canonical_name || match.match.full_name},
-                        ${match.person.fs_id}, ${match.person.birth_year},
-                        ${match.generation}, ${match.path}, ${[]},
-                        ${match.match.type}, ${match.match.confidence},
-                        ${match.classification?.classification || 'unverified'},
-                        ${match.classification?.reason || 'Unknown'}
-                    )
-                `;
-                console.log(`   ⚠ Saved match without verification columns (run migration 034)`);
-            } catch (e2) {
-                console.log(`   ⚠ Could not save match: ${e2.message}`);
-            }
-        } else {
-            console.log(`   ⚠ Could not save match: ${e.message}`);
-        }
-    }
-}
-
 /**
  * Learning loop: when the climber extracts race indicators from a FamilySearch page,
  * feed that data back into free_persons to improve future climbs.
@@ -2586,672 +2203,341 @@ async function registerRaceEvidence(person) {
 }
 
 /**
- * BFS climb through ancestors - finds ALL slaveholder matches
+ * Read one tree person from their details page.
+ * Returns the extracted person (name, dates, locations, father_fs_id, mother_fs_id)
+ * or null when the page has no usable person on it.
  */
-async function climbAncestors(startFsId, startName = null, resumeSession = null, participantInfo = {}, familyTreeMap = {}) {
-    console.log('═══════════════════════════════════════════════════════════════');
-    console.log('   FAMILYSEARCH ANCESTOR CLIMBER v2');
-    console.log('═══════════════════════════════════════════════════════════════');
-    console.log(`Starting Person: ${startFsId}`);
-    console.log(`Mode: Find ALL slaveholder connections`);
-    console.log(`Historical Cutoff: ${HISTORICAL_CUTOFF_YEAR}`);
-    console.log('═══════════════════════════════════════════════════════════════\n');
+async function readTreePerson(fsId, generation = 0, participantRoot = false) {
+    const url = PERSON_PAGE_URL + fsId;
+    console.log(`\n📍 Gen ${generation}: Visiting ${fsId}`);
 
-    // Initialize or restore session state
-    // Queue entries: [identifier, generation, path, entryType, metadata]
-    // entryType: 'fs_id' (default), 'uuid', 'name_only'
-    let queue, localVisited, localMatches;
-    const visitedFsIds = new Set();   // Track visited FamilySearch IDs
-    const visitedUuids = new Set();   // Track visited canonical_persons UUIDs
-
-    if (resumeSession) {
-        console.log(`Resuming session ${resumeSession.sessionId}...`);
-        queue = resumeSession.queue;
-        localVisited = resumeSession.visited;
-        localMatches = resumeSession.matches;
-        // Populate visited sets from legacy Set
-        for (const id of localVisited) {
-            visitedFsIds.add(id);
-        }
-    } else if (startFsId === 'NAME-ONLY' && participantInfo) {
-        // Name-only mode: skip gen 0 FS page, queue parents directly
-        queue = [];
-        localVisited = new Set();
-        localMatches = [];
-
-        // Create session for name-only climbs so progress is tracked
-        sessionId = await createClimbSession(startName || 'Unknown', null, {
-            max_generations: MAX_GENERATIONS,
-            historical_cutoff: HISTORICAL_CUTOFF_YEAR,
-            mode: 'name_only',
-            participant_info: participantInfo
-        });
-        console.log(`Session ID: ${sessionId}\n`);
-
-        // Create identity records for provided parents and queue them
-        if (participantInfo.fatherName) {
-            const father = await findOrCreatePerson(
-                participantInfo.fatherName,
-                participantInfo.birthYear ? participantInfo.birthYear - 25 : null,
-                participantInfo.birthLocation || null,
-                'participant_provided'
-            );
-            if (father) {
-                queue.push([father.uuid || `cp_${father.id}`, 1, [startName || 'participant'], 'uuid',
-                    { name: participantInfo.fatherName, canonical_person_id: father.id,
-                      birth_year: participantInfo.birthYear ? participantInfo.birthYear - 25 : null,
-                      location: participantInfo.birthLocation || null }]);
-                // Save inferred parent link
-                await saveInferredParentLink(null, { name: startName, fs_id: null },
-                    { parentName: participantInfo.fatherName, parentFsId: null,
-                      relationship: 'father', discoveryMethod: 'participant_provided', confidence: 0.70 });
-            }
-        }
-        if (participantInfo.motherName) {
-            const mother = await findOrCreatePerson(
-                participantInfo.motherName,
-                participantInfo.birthYear ? participantInfo.birthYear - 25 : null,
-                participantInfo.birthLocation || null,
-                'participant_provided'
-            );
-            if (mother) {
-                queue.push([mother.uuid || `cp_${mother.id}`, 1, [startName || 'participant'], 'uuid',
-                    { name: participantInfo.motherName, canonical_person_id: mother.id,
-                      birth_year: participantInfo.birthYear ? participantInfo.birthYear - 25 : null,
-                      location: participantInfo.birthLocation || null }]);
-                await saveInferredParentLink(null, { name: startName, fs_id: null },
-                    { parentName: participantInfo.motherName, parentFsId: null,
-                      relationship: 'mother', discoveryMethod: 'participant_provided', confidence: 0.70 });
-            }
-        }
-
-        console.log(`Queued ${queue.length} parent(s) for name-only climbing\n`);
-    } else {
-        queue = [[startFsId, 0, [], 'fs_id']];
-        localVisited = new Set();
-        localMatches = [];
-
-        // Create new session
-        sessionId = await createClimbSession(startName || startFsId, startFsId, {
-            max_generations: MAX_GENERATIONS,
-            historical_cutoff: HISTORICAL_CUTOFF_YEAR
-        });
-        console.log(`Session ID: ${sessionId}\n`);
-    }
-
-    // Track modern person for match saving
-    let modernPerson = null;
-
-    // For name-only climbs, set modernPerson immediately so matches can be saved
-    if (startFsId === 'NAME-ONLY' && startName) {
-        modernPerson = {
-            name: startName,
-            fs_id: null,
-            birth_year: participantInfo.birthYear || null,
-            birth_place: participantInfo.birthLocation || null,
-            locations: participantInfo.birthLocation ? [participantInfo.birthLocation] : []
-        };
+    if (!await safeGoto(url)) {
+        console.log('   ⚠ Navigation failed, skipping this ancestor');
+        return null;
     }
+    await new Promise(r => setTimeout(r, 2000));
 
-    // Main BFS loop - NO LONGER STOPS AT FIRST MATCH
-    while (queue.length > 0) {
-        const entry = queue.shift();
-        const [identifier, generation, path, entryType = 'fs_id', metadata = {}] = entry;
-
-        if (generation > MAX_GENERATIONS) continue;
-
-        // ─── Resolve entry to an FS ID for navigation ───
-        let fsId = null;
-        let nameOnlyPerson = null;
-
-        if (entryType === 'fs_id') {
-            fsId = identifier;
-            if (visitedFsIds.has(fsId)) continue;
-            visitedFsIds.add(fsId);
-            localVisited.add(fsId); // backward compat
-        } else if (entryType === 'uuid') {
-            if (visitedUuids.has(identifier)) continue;
-            visitedUuids.add(identifier);
-            // Look up FS ID from person_external_ids
-            try {
-                const extId = await sql`
-                    SELECT external_id FROM person_external_ids
-                    WHERE canonical_person_id = ${metadata.canonical_person_id}
-                    AND id_system = 'familysearch' LIMIT 1
-                `;
-                if (extId.length > 0) {
-                    fsId = extId[0].external_id;
-                    if (visitedFsIds.has(fsId)) continue;
-                    visitedFsIds.add(fsId);
-                    localVisited.add(fsId);
-                } else {
-                    // No FS ID — treat as name_only
-                    nameOnlyPerson = metadata;
-                }
-            } catch (err) {
-                // person_external_ids may not exist yet
-                nameOnlyPerson = metadata;
-            }
-        } else if (entryType === 'name_only') {
-            nameOnlyPerson = metadata;
-            // Dedup by canonical_person_id if available
-            if (metadata.canonical_person_id) {
-                const dedupKey = `cp_${metadata.canonical_person_id}`;
-                if (visitedUuids.has(dedupKey)) continue;
-                visitedUuids.add(dedupKey);
-            }
-        }
-
-        // ─── Handle name_only entries: search FS tree, then records ───
-        if (nameOnlyPerson && !fsId) {
-            // FIX 1: Generation cap for name-only entries
-            if (generation > MAX_NAME_ONLY_GENERATIONS) {
-                console.log(`\n📍 Gen ${generation}: Skipping name-only "${nameOnlyPerson.name}" — exceeds max name-only depth (${MAX_NAME_ONLY_GENERATIONS})`);
-                continue;
-            }
-            console.log(`\n📍 Gen ${generation}: Name-only search for "${nameOnlyPerson.name}" (queue: ${queue.length})`);
+    // Check if we got redirected away from details page (e.g., to portrait/pedigree view)
+    let currentUrl = page.url();
+    if (!currentUrl.includes('/tree/person/details/')) {
+        if (currentUrl.includes('ident.familysearch') || currentUrl.includes('/auth/')) {
+            console.log('   ⚠ Session expired - re-login required');
+            console.log('   Please log in via the Chrome window...');
             try {
-                // Check page health before expensive TreeSearch; recover if needed
-                if (!await isPageHealthy()) {
-                    await recoverPage();
-                }
-                const treeResult = await searchTreeForPerson(
-                    nameOnlyPerson.name,
-                    nameOnlyPerson.birth_year || null,
-                    nameOnlyPerson.location || null
-                );
-                if (treeResult && treeResult.fsId) {
-                    fsId = treeResult.fsId;
-                    if (visitedFsIds.has(fsId)) continue;
-                    visitedFsIds.add(fsId);
-                    localVisited.add(fsId);
-                    console.log(`   ✓ Found tree person: ${fsId}`);
-                    // Save the discovered FS ID to person_external_ids
-                    if (nameOnlyPerson.canonical_person_id) {
-                        try {
-                            await sql`INSERT INTO person_external_ids
-                                (canonical_person_id, id_system, external_id, external_url, confidence, discovered_by, session_id)
-                                VALUES (${nameOnlyPerson.canonical_person_id}, 'familysearch', ${fsId},
-                                    ${'https://www.familysearch.org/tree/person/details/' + fsId},
-                                    0.80, 'ancestor_climber', ${sessionId})
-                                ON CONFLICT (id_system, external_id) DO NOTHING`;
-                        } catch (e) { /* table may not exist */ }
-                    }
-                } else {
-                    // No tree person found — try record search + discoverParents
-                    console.log(`   ~ No tree person found, searching records...`);
-                    // Track name-only ancestors as visited for progress counting
-                    const nameKey = `name:${nameOnlyPerson.name.toLowerCase()}`;
-                    localVisited.add(nameKey);
-
-                    // Estimate birth year from generation depth when unknown
-                    const estimatedBirthYear = nameOnlyPerson.birth_year ||
-                        (participantInfo.birthYear ? participantInfo.birthYear - (generation * 28) : null);
-
-                    const syntheticPerson = {
-                        name: nameOnlyPerson.name,
-                        birth_year: estimatedBirthYear,
-                        birth_place: nameOnlyPerson.location || null,
-                        locations: nameOnlyPerson.location ? [nameOnlyPerson.location] : [],
-                        fs_id: null
-                    };
-
-                    // Check enslaver DB for this name-only person
-                    const enslaverMatch = await checkEnslaverDatabase(syntheticPerson);
-                    if (enslaverMatch && enslaverMatch.confidence >= 0.50) {
-                        // Run the same verification pipeline as FS-ID matches
-                        const verdict = await matchVerifier.verify(syntheticPerson, enslaverMatch, generation);
-
-                        console.log(`   🎯 Name-only person "${nameOnlyPerson.name}" matches enslaver DB`);
-                        console.log(`   Match type: ${enslaverMatch.type} (raw: ${(enslaverMatch.confidence * 100).toFixed(0)}%, adjusted: ${(verdict.confidence_adjusted * 100).toFixed(0)}%)`);
-                        console.log(`   Classification: ${verdict.classification}${verdict.requires_human_review ? ' [NEEDS REVIEW]' : ''}`);
-                        if (verdict.evidence.length > 0) {
-                            for (const e of verdict.evidence) {
-                                const prefix = e.type === 'disqualifying' ? '  ✗' : '  ✓';
-                                console.log(`   ${prefix} ${e.detail}`);
-                            }
-                        }
-
-                        const matchRecord = {
-                            person: syntheticPerson,
-                            match: enslaverMatch,
-                            generation,
-                            path: [...path, nameOnlyPerson.name],
-                            classification: { classification: verdict.classification, reason: verdict.evidence.map(e => e.detail).join('; ') || 'No evidence' },
-                            documentVerification: { hasDocuments: false },
-                            verdict
-                        };
-                        localMatches.push(matchRecord);
-                        // Persist to DB
-                        if (sessionId && modernPerson) {
-                            await saveMatch(sessionId, modernPerson, matchRecord);
-                        }
-                    }
-
-                    // Classify branch context for garbage detection
-                    const branchCtx = branchClassifier.primaryContext(syntheticPerson);
-                    // Try to discover THEIR parents via records (family tree map has priority)
-                    const discoveredParents = await discoverParents(syntheticPerson, {}, familyTreeMap, branchCtx?.type || null);
-                    for (const parent of discoveredParents) {
-                        if (parent.confidence < 0.50) continue;
-                        // Garbage detection: validate discovered parent against branch context
-                        if (branchCtx && parent.discoveryMethod !== 'participant_family_tree' && parent.discoveryMethod !== 'participant_provided') {
-                            const garbageCheck = garbageDetector.validate(syntheticPerson, parent, branchCtx);
-                            if (garbageCheck.recommendation === 'reject') {
-                                console.log(`   ✗ REJECTED ${parent.parentName}: ${garbageCheck.reason}`);
-                                continue;
-                            }
-                            if (garbageCheck.adjustedConfidence !== undefined) {
-                                parent.confidence = garbageCheck.adjustedConfidence;
-                            }
-                        }
-                        await saveInferredParentLink(sessionId, syntheticPerson, parent);
-                        if (parent.parentFsId && !visitedFsIds.has(parent.parentFsId)) {
-                            queue.push([parent.parentFsId, generation + 1, [...path, nameOnlyPerson.name], 'fs_id']);
-                        } else if (parent.parentName) {
-                            // Create/find identity for discovered parent and queue
-                            const personRecord = await findOrCreatePerson(
-                                parent.parentName,
-                                parent.parentBirthYear || (nameOnlyPerson.birth_year ? nameOnlyPerson.birth_year - 25 : null),
-                                nameOnlyPerson.location,
-                                parent.discoveryMethod
-                            );
-                            if (personRecord) {
-                                if (nameOnlyPerson.canonical_person_id) {
-                                    await savePersonRelationship(
-                                        personRecord.id, nameOnlyPerson.canonical_person_id,
-                                        parent.relationship === 'father' ? 'parent' : 'parent',
-                                        Math.round(parent.confidence * 100)
-                                    );
-                                }
-                                // Carry parent's own location if available (from family tree), else inherit child's
-                                const parentLocation = parent.parentBirthLocation || parent.parentLocation || nameOnlyPerson.location;
-                                queue.push([personRecord.uuid || `cp_${personRecord.id}`, generation + 1,
-                                    [...path, nameOnlyPerson.name], 'uuid',
-                                    { name: parent.parentName, canonical_person_id: personRecord.id,
-                                      birth_year: parent.parentBirthYear, location: parentLocation }]);
-                            }
-                        }
-                    }
-                    // Rate limiting then continue to next queue entry
-                    await new Promise(r => setTimeout(r, 1500));
-                    continue;
-                }
-            } catch (err) {
-                console.log(`   ⚠ Name-only search error: ${err.message.substring(0, 60)}`);
-                continue;
+                await page.waitForFunction(() => {
+                    return window.location.href.includes('/tree/person/') ||
+                           window.location.href.includes('/tree/pedigree/');
+                }, { timeout: 180000 });
+                const cookies = await page.cookies();
+                fs.writeFileSync('./fs-climber-cookies.json', JSON.stringify(cookies, null, 2));
+                console.log(`   ✓ Re-logged in, saved ${cookies.length} cookies`);
+                currentUrl = page.url();
+            } catch (loginErr) {
+                console.log('   ⚠ Login timeout - skipping this ancestor');
+                return null;
             }
         }
 
-        if (!fsId) continue; // Safety: nothing to navigate to
-
-        if (localVisited.has(fsId) && !visitedFsIds.has(fsId)) {
-            // Already visited via a different path
-            continue;
-        }
-
-        // Navigate to person's page
-        const url = PERSON_PAGE_URL + fsId;
-        console.log(`\n📍 Gen ${generation}: Visiting ${fsId} (queue: ${queue.length}, matches: ${localMatches.length})`);
-
-        try {
-            if (!await safeGoto(url)) {
-                console.log('   ⚠ Navigation failed, skipping this ancestor');
-                continue;
-            }
+        // Redirected to portrait/pedigree view - navigate explicitly to details
+        if (!currentUrl.includes('/tree/person/details/')) {
+            console.log(`   [Debug] Redirected to ${currentUrl}, forcing details view...`);
+            await safeGoto(PERSON_PAGE_URL + fsId);
             await new Promise(r => setTimeout(r, 2000));
+            currentUrl = page.url();
 
-            // Check if we got redirected away from details page (e.g., to portrait/pedigree view)
-            let currentUrl = page.url();
+            // If STILL redirected, it means FS doesn't have details for this person
+            // or user preference forces portrait view - try to parse what we have
             if (!currentUrl.includes('/tree/person/details/')) {
-                if (currentUrl.includes('ident.familysearch') || currentUrl.includes('/auth/')) {
-                    console.log('   ⚠ Session expired - re-login required');
-                    console.log('   Please log in via the Chrome window...');
-                    try {
-                        await page.waitForFunction(() => {
-                            return window.location.href.includes('/tree/person/') ||
-                                   window.location.href.includes('/tree/pedigree/');
-                        }, { timeout: 180000 });
-                        const cookies = await page.cookies();
-                        fs.writeFileSync('./fs-climber-cookies.json', JSON.stringify(cookies, null, 2));
-                        console.log(`   ✓ Re-logged in, saved ${cookies.length} cookies`);
-                        currentUrl = page.url();
-                    } catch (loginErr) {
-                        console.log('   ⚠ Login timeout - skipping this ancestor');
-                        continue;
-                    }
-                }
-
-                // Redirected to portrait/pedigree view - navigate explicitly to details
-                if (!currentUrl.includes('/tree/person/details/')) {
-                    console.log(`   [Debug] Redirected to ${currentUrl}, forcing details view...`);
-                    await safeGoto(PERSON_PAGE_URL + fsId);
-                    await new Promise(r => setTimeout(r, 2000));
-                    currentUrl = page.url();
-
-                    // If STILL redirected, it means FS doesn't have details for this person
-                    // or user preference forces portrait view - try to parse what we have
-                    if (!currentUrl.includes('/tree/person/details/')) {
-                        console.log(`   [Debug] Still on ${currentUrl.split('?')[0]}, will parse current view`);
-                    }
-                }
-            }
-
-            // Wait for React app to render actual person content
-            try {
-                await page.waitForFunction(() => {
-                    const bodyText = document.body.innerText;
-                    const title = document.title;
-                    // Check for any sign the SPA has rendered person data
-                    const hasPersonContent = bodyText.includes('Family Members') ||
-                                             bodyText.includes('Parents and Siblings') ||
-                                             bodyText.includes('Vital Information') ||
-                                             bodyText.includes('Person Not Found');
-                    const hasTitleName = title.match(/^[A-Z].*\(/) !== null;
-                    const hasH1 = document.querySelector('h1')?.innerText?.length > 2;
-                    return hasPersonContent || hasTitleName || hasH1;
-                }, { timeout: 10000 });
-            } catch (e) {
-                // SPA may still be loading - give it a bit more time
-                await new Promise(r => setTimeout(r, 3000));
-            }
-
-            // Check for "Person Not Found" before attempting extraction
-            const pageBodyText = await page.evaluate(() => document.body.innerText);
-            const pageTitle = await page.title();
-            if (pageBodyText.includes('Person Not Found') ||
-                pageTitle.includes('[Unknown Name]') ||
-                pageTitle.includes('UNKNOWN')) {
-                // For generation 0 with participant info, don't skip — let parent discovery handle it
-                if (generation === 0 && participantInfo && (participantInfo.fatherName || participantInfo.motherName)) {
-                    console.log(`   ⚠ Person Not Found on FamilySearch (${fsId}), but participant info provided — attempting parent discovery`);
-                    // Fall through to extraction (which will also fail, triggering discoverParents)
-                } else {
-                    console.log(`   ⚠ Person Not Found on FamilySearch (${fsId}), skipping`);
-                    continue;
-                }
+                console.log(`   [Debug] Still on ${currentUrl.split('?')[0]}, will parse current view`);
             }
+        }
+    }
 
-            // ADAPTIVE WAIT TIMES based on generation depth
-            const baseScrollDelay = generation <= 3 ? 1500 :
-                                   generation <= 6 ? 2000 :
-                                   generation <= 10 ? 2500 : 3000;
-            const baseSectionWait = generation <= 3 ? 5000 :
-                                   generation <= 6 ? 7000 :
-                                   generation <= 10 ? 8000 : 10000;
-
-            // Step 1: Scroll down to trigger Family Members section loading
-            await page.evaluate(() => {
-                window.scrollTo(0, 500);
-            });
-            await new Promise(r => setTimeout(r, baseScrollDelay));
+    // Wait for React app to render actual person content
+    try {
+        await page.waitForFunction(() => {
+            const bodyText = document.body.innerText;
+            const title = document.title;
+            // Check for any sign the SPA has rendered person data
+            const hasPersonContent = bodyText.includes('Family Members') ||
+                                     bodyText.includes('Parents and Siblings') ||
+                                     bodyText.includes('Vital Information') ||
+                                     bodyText.includes('Person Not Found');
+            const hasTitleName = title.match(/^[A-Z].*\(/) !== null;
+            const hasH1 = document.querySelector('h1')?.innerText?.length > 2;
+            return hasPersonContent || hasTitleName || hasH1;
+        }, { timeout: 10000 });
+    } catch (e) {
+        // SPA may still be loading - give it a bit more time
+        await new Promise(r => setTimeout(r, 3000));
+    }
 
-            // Step 2: Scroll more to ensure section is in viewport
-            await page.evaluate(() => {
-                window.scrollTo(0, 1000);
-            });
-            await new Promise(r => setTimeout(r, baseScrollDelay));
+    // Check for "Person Not Found" before attempting extraction
+    const pageBodyText = await page.evaluate(() => document.body.innerText);
+    const pageTitle = await page.title();
+    if (pageBodyText.includes('Person Not Found') ||
+        pageTitle.includes('[Unknown Name]') ||
+        pageTitle.includes('UNKNOWN')) {
+        // The provider falls back to the participant's own details for their page
+        console.log(`   ⚠ Person Not Found on FamilySearch (${fsId})${participantRoot ? ' — using participant info' : ', skipping'}`);
+        return null;
+    }
 
-            // Step 3: Wait for Family Members section to appear (with adaptive timeout)
-            try {
-                await page.waitForFunction(() => {
-                    const bodyText = document.body.innerText;
-                    return bodyText.includes('Family Members') ||
-                           bodyText.includes('Parents and Siblings') ||
-                           bodyText.includes('Children');
-                }, { timeout: baseSectionWait });
+    // ADAPTIVE WAIT TIMES based on generation depth
+    const baseScrollDelay = generation <= 3 ? 1500 :
+                           generation <= 6 ? 2000 :
+                           generation <= 10 ? 2500 : 3000;
+    const baseSectionWait = generation <= 3 ? 5000 :
+                           generation <= 6 ? 7000 :
+                           generation <= 10 ? 8000 : 10000;
 
-                console.log('   [Debug] Family Members section loaded');
-            } catch (e) {
-                console.log('   [Debug] Family Members section not found (may have no family data)');
-            }
+    // Step 1: Scroll down to trigger Family Members section loading
+    await page.evaluate(() => {
+        window.scrollTo(0, 500);
+    });
+    await new Promise(r => setTimeout(r, baseScrollDelay));
 
-            // Step 4: Brief wait for any final dynamic content
-            await new Promise(r => setTimeout(r, 1000));
+    // Step 2: Scroll more to ensure section is in viewport
+    await page.evaluate(() => {
+        window.scrollTo(0, 1000);
+    });
+    await new Promise(r => setTimeout(r, baseScrollDelay));
 
-            // Extract person data
-            const person = await extractPersonFromPage();
+    // Step 3: Wait for Family Members section to appear (with adaptive timeout)
+    try {
+        await page.waitForFunction(() => {
+            const bodyText = document.body.innerText;
+            return bodyText.includes('Family Members') ||
+                   bodyText.includes('Parents and Siblings') ||
+                   bodyText.includes('Children');
+        }, { timeout: baseSectionWait });
 
-            // Store modern person on first iteration
-            if (generation === 0) {
-                modernPerson = person;
-            }
+        console.log('   [Debug] Family Members section loaded');
+    } catch (e) {
+        console.log('   [Debug] Family Members section not found (may have no family data)');
+    }
 
-            // Debug: show what we found
-            if (person.raw.allParentIds) {
-                console.log(`   [Debug] Found IDs: ${person.raw.allParentIds.join(', ') || 'none'}`);
-            }
+    // Step 4: Brief wait for any final dynamic content
+    await new Promise(r => setTimeout(r, 1000));
 
-            if (!person.name) {
-                // For generation 0 with participant info, use the provided name
-                // and continue to parent discovery instead of skipping
-                if (generation === 0 && participantInfo && (participantInfo.fatherName || participantInfo.motherName)) {
-                    console.log('   ⚠ Person page is empty/unknown, but participant info provided — using provided name');
-                    person.name = startName || participantInfo.name || fsId;
-                    person.birth_year = person.birth_year || participantInfo.birthYear || null;
-                    person.birth_place = person.birth_place || participantInfo.birthLocation || null;
-                    if (participantInfo.birthLocation && !person.locations?.length) {
-                        person.locations = [participantInfo.birthLocation];
-                    }
-                    person.fs_id = fsId;
-                } else {
-                    console.log('   ⚠ Could not extract name, capturing diagnostics...');
+    // Extract person data
+    const person = await extractPersonFromPage();
 
-                    const diagnostic = await captureFailedExtraction(fsId, generation, page, 'no_name');
+    // Debug: show what we found
+    if (person.raw.allParentIds) {
+        console.log(`   [Debug] Found IDs: ${person.raw.allParentIds.join(', ') || 'none'}`);
+    }
 
-                    console.log(`   📁 Saved to: ${diagnostic.folder}`);
-                    console.log(`   📄 HTML: ${diagnostic.htmlSize || 0} bytes`);
-                    console.log(`   🔗 Links found: ${diagnostic.linkCount || 0}`);
-                    if (diagnostic.fsIdsFound && diagnostic.fsIdsFound.length > 0) {
-                        console.log(`   🆔 FS IDs on page: ${diagnostic.fsIdsFound.join(', ')}`);
-                    }
-                    if (diagnostic.indicators) {
-                        console.log(`   📊 Page indicators:`);
-                        console.log(`      - Family Members section: ${diagnostic.indicators.hasFamilyMembers ? 'YES' : 'NO'}`);
-                        console.log(`      - Body text length: ${diagnostic.indicators.bodyTextLength} chars`);
-                        console.log(`      - Login prompt: ${diagnostic.indicators.hasLoginPrompt ? 'YES' : 'NO'}`);
-                    }
-                    if (diagnostic.textSample) {
-                        console.log(`   Preview: "${diagnostic.textSample.substring(0, 80)}..."`);
-                    }
+    if (!person.name) {
+        if (participantRoot) {
+            console.log('   ⚠ Person page is empty/unknown, but participant info provided — using provided name');
+            return null;
+        }
+        console.log('   ⚠ Could not extract name, capturing diagnostics...');
 
-                    continue;
-                }
-            }
+        const diagnostic = await captureFailedExtraction(fsId, generation, page, 'no_name');
 
-            // UI GARBAGE CHECK - Skip if person name is UI garbage
-            const isUIGarbage = (text) => {
-                if (!text) return true;
-                if (text.includes('\n')) return true; // Multi-line text (UI menus)
-                const uiPatterns = [
-                    /Family Tree/i, /Search/i, /Memories/i, /Get Involved/i,
-                    /Activities/i, /Sign In/i, /Help/i
-                ];
-                return uiPatterns.some(pattern => pattern.test(text));
-            };
+        console.log(`   📁 Saved to: ${diagnostic.folder}`);
+        console.log(`   📄 HTML: ${diagnostic.htmlSize || 0} bytes`);
+        console.log(`   🔗 Links found: ${diagnostic.linkCount || 0}`);
+        if (diagnostic.fsIdsFound && diagnostic.fsIdsFound.length > 0) {
+            console.log(`   🆔 FS IDs on page: ${diagnostic.fsIdsFound.join(', ')}`);
+        }
+        if (diagnostic.indicators) {
+            console.log(`   📊 Page indicators:`);
+            console.log(`      - Family Members section: ${diagnostic.indicators.hasFamilyMembers ? 'YES' : 'NO'}`);
+            console.log(`      - Body text length: ${diagnostic.indicators.bodyTextLength} chars`);
+            console.log(`      - Login prompt: ${diagnostic.indicators.hasLoginPrompt ? 'YES' : 'NO'}`);
+        }
+        if (diagnostic.textSample) {
+            console.log(`   Preview: "${diagnostic.textSample.substring(0, 80)}..."`);
+        }
+        return null;
+    }
 
-            if (isUIGarbage(person.name)) {
-                console.log(`   ⚠ UI garbage detected in name ("${person.name.substring(0, 30)}..."), skipping`);
-                continue;
-            }
+    // UI GARBAGE CHECK - Skip if person name is UI garbage
+    const isUIGarbage = (text) => {
+        if (!text) return true;
+        if (text.includes('\n')) return true; // Multi-line text (UI menus)
+        const uiPatterns = [
+            /Family Tree/i, /Search/i, /Memories/i, /Get Involved/i,
+            /Activities/i, /Sign In/i, /Help/i
+        ];
+        return uiPatterns.some(pattern => pattern.test(text));
+    };
 
-            const years = person.birth_year
-                ? (person.death_year ? `${person.birth_year}-${person.death_year}` : `${person.birth_year}-`)
-                : '?';
+    if (isUIGarbage(person.name)) {
+        console.log(`   ⚠ UI garbage detected in name ("${person.name.substring(0, 30)}..."), skipping`);
+        return null;
+    }
 
-            console.log(`   Name: ${person.name} (${years})`);
-            console.log(`   Locations: ${person.locations?.join(', ') || 'none found'}`);
-            console.log(`   Father: ${person.father_fs_id || 'not found'}`);
-            console.log(`   Mother: ${person.mother_fs_id || 'not found'}`);
-            
-            // Capture diagnostics if no parents found
-            if (!person.father_fs_id && !person.mother_fs_id) {
-                console.log('   ⚠ No parents found in tree, attempting multi-source discovery...');
-                const diagnostic = await captureFailedExtraction(fsId, generation, page, 'no_parents');
-                console.log(`   📁 Debug saved: ${diagnostic.folder}/${fsId}-gen${generation}-no_parents.*`);
-
-                // Classify branch context for garbage detection and source routing
-                const branchCtx = branchClassifier.primaryContext(person);
-
-                // MULTI-SOURCE PARENT DISCOVERY
-                // Only run for first few generations where participant info is most relevant
-                const discoveredParents = await discoverParents(person, participantInfo, familyTreeMap, branchCtx?.type || null);
-
-                for (const parent of discoveredParents) {
-                    if (parent.confidence < 0.50) continue; // Skip very low confidence
-                    // Garbage detection: validate discovered parent against branch context
-                    if (branchCtx && parent.discoveryMethod !== 'participant_family_tree' && parent.discoveryMethod !== 'participant_provided') {
-                        const garbageCheck = garbageDetector.validate(person, parent, branchCtx);
-                        if (garbageCheck.recommendation === 'reject') {
-                            console.log(`   ✗ REJECTED ${parent.parentName}: ${garbageCheck.reason}`);
-                            continue;
-                        }
-                        if (garbageCheck.adjustedConfidence !== undefined) {
-                            parent.confidence = garbageCheck.adjustedConfidence;
-                        }
-                    }
+    const years = person.birth_year
+        ? (person.death_year ? `${person.birth_year}-${person.death_year}` : `${person.birth_year}-`)
+        : '?';
 
-                    // Save evidence to audit trail
-                    await saveInferredParentLink(sessionId, person, parent);
-
-                    if (parent.parentFsId && !visitedFsIds.has(parent.parentFsId)) {
-                        // Has FS ID — queue as fs_id (existing behavior)
-                        console.log(`   ✓ Discovered ${parent.relationship}: ${parent.parentName} (${parent.parentFsId}) via ${parent.discoveryMethod}`);
-                        queue.push([parent.parentFsId, generation + 1, [...path, person.name], 'fs_id']);
-                    } else if (parent.parentName && !parent.parentFsId) {
-                        // No FS ID — create/find identity record and queue as uuid for name-based climbing
-                        const parentBirthYear = parent.parentBirthYear || (person.birth_year ? person.birth_year - 25 : null);
-                        const parentLocation = (person.locations && person.locations[0]) || null;
-                        const personRecord = await findOrCreatePerson(
-                            parent.parentName, parentBirthYear, parentLocation, parent.discoveryMethod
-                        );
-
-                        if (personRecord) {
-                            console.log(`   ✓ Discovered ${parent.relationship}: ${parent.parentName} → canonical_persons #${personRecord.id} (${personRecord.isNew ? 'NEW' : 'existing'}, tier ${personRecord.matchTier}) via ${parent.discoveryMethod}`);
-
-                            // Save parent-child relationship
-                            if (person.canonical_person_id || person._canonical_id) {
-                                await savePersonRelationship(
-                                    personRecord.id,
-                                    person.canonical_person_id || person._canonical_id,
-                                    'parent',
-                                    Math.round(parent.confidence * 100)
-                                );
-                            }
+    console.log(`   Name: ${person.name} (${years})`);
+    console.log(`   Locations: ${person.locations?.join(', ') || 'none found'}`);
+    console.log(`   Father: ${person.father_fs_id || 'not found'}`);
+    console.log(`   Mother: ${person.mother_fs_id || 'not found'}`);
 
-                            // Queue for continued climbing via name-only path
-                            queue.push([
-                                personRecord.uuid || `cp_${personRecord.id}`,
-                                generation + 1,
-                                [...path, person.name],
-                                'uuid',
-                                { name: parent.parentName, canonical_person_id: personRecord.id,
-                                  birth_year: parentBirthYear, location: parentLocation }
-                            ]);
-                        } else {
-                            console.log(`   ~ Found ${parent.relationship} name "${parent.parentName}" but could not create identity record`);
-                        }
-                    }
-                }
-            }
+    // Capture diagnostics if no parents found; the provider goes on to multi-source discovery
+    if (!person.father_fs_id && !person.mother_fs_id) {
+        console.log('   ⚠ No parents found in tree, attempting multi-source discovery...');
+        const diagnostic = await captureFailedExtraction(fsId, generation, page, 'no_parents');
+        console.log(`   📁 Debug saved: ${diagnostic.folder}/${fsId}-gen${generation}-no_parents.*`);
+    }
 
-            // Store ancestor in global list
-            ancestors.push({
-                ...person,
-                generation,
-                path: [...path, person.name]
-            });
+    // Rate limiting
+    await new Promise(r => setTimeout(r, 1500));
 
-            // HISTORICAL CUTOFF - stop climbing if before 1450
-            if (person.birth_year && person.birth_year < HISTORICAL_CUTOFF_YEAR) {
-                console.log(`   ⏹ Historical cutoff reached (born ${person.birth_year})`);
-                continue; // Don't queue parents, but don't break the whole loop
-            }
+    const { raw, ...extracted } = person;
+    return { ...extracted, fs_id: fsId };
+}
 
-            // Check enslaver database (wrapped in try-catch to not break queue logic)
-            try {
-                const enslaverMatch = await checkEnslaverDatabase(person);
-
-                if (enslaverMatch) {
-                    // Run race-aware verification pipeline
-                    const verdict = await matchVerifier.verify(person, enslaverMatch, generation);
-
-                    console.log(`\n   🎯 MATCH CANDIDATE: ${enslaverMatch.canonical_name || enslaverMatch.full_name}`);
-                    console.log(`   Match type: ${enslaverMatch.type} (raw: ${(enslaverMatch.confidence * 100).toFixed(0)}%, adjusted: ${(verdict.confidence_adjusted * 100).toFixed(0)}%)`);
-                    console.log(`   Classification: ${verdict.classification}${verdict.requires_human_review ? ' [NEEDS REVIEW]' : ''}`);
-                    if (verdict.evidence.length > 0) {
-                        for (const e of verdict.evidence) {
-                            const prefix = e.type === 'disqualifying' ? '  ✗' : '  ✓';
-                            console.log(`   ${prefix} ${e.detail}`);
-                        }
-                    }
+/**
+ * canonical_persons identities for discovered parent names, with the FS IDs
+ * found for them in person_external_ids.
+ */
+const climbIdentities = {
+    findOrCreate: findOrCreatePerson,
 
-                    // Check for supporting documents
-                    const docVerification = await documentVerifier.verifyMatch(
-                        enslaverMatch.canonical_name || enslaverMatch.full_name,
-                        modernPerson?.name || person.name,
-                        [...path, person.name]
-                    );
+    async fsIdOf(canonicalPersonId) {
+        try {
+            const extId = await sql`
+                SELECT external_id FROM person_external_ids
+                WHERE canonical_person_id = ${canonicalPersonId}
+                AND id_system = 'familysearch' LIMIT 1
+            `;
+            return extId.length > 0 ? extId[0].external_id : null;
+        } catch (err) {
+            // person_external_ids may not exist yet
+            return null;
+        }
+    },
 
-                    if (docVerification.hasDocuments) {
-                        console.log(`   📄 Found ${docVerification.documentCount} document(s): ${docVerification.documentTypes.join(', ')}`);
-                    }
+    async linkFsId(canonicalPersonId, fsId) {
+        try {
+            await sql`INSERT INTO person_external_ids
+                (canonical_person_id, id_system, external_id, external_url, confidence, discovered_by, session_id)
+                VALUES (${canonicalPersonId}, 'familysearch', ${fsId},
+                    ${PERSON_PAGE_URL + fsId},
+                    0.80, 'ancestor_climber', ${sessionId})
+                ON CONFLICT (id_system, external_id) DO NOTHING`;
+        } catch (e) { /* table may not exist */ }
+    },
+
+    async get(canonicalPersonId) {
+        const rows = await sql`
+            SELECT canonical_name, birth_year_estimate, primary_state
+            FROM canonical_persons WHERE id = ${canonicalPersonId}
+        `;
+        if (rows.length === 0) return null;
+        return { name: rows[0].canonical_name, birth_year: rows[0].birth_year_estimate, location: rows[0].primary_state };
+    }
+};
 
-                    const matchRecord = {
-                        person,
-                        match: enslaverMatch,
-                        generation,
-                        path: [...path, person.name],
-                        classification: { classification: verdict.classification, reason: verdict.evidence.map(e => e.detail).join('; ') || 'No evidence' },
-                        documentVerification: docVerification,
-                        verdict // Store full verdict for DB save
-                    };
-
-                    localMatches.push(matchRecord);
-                    allMatches.push(matchRecord);
-
-                    // Save ALL matches (even disqualified ones are valuable data)
-                    if (sessionId && modernPerson) {
-                        await saveMatch(sessionId, modernPerson, matchRecord);
-                    }
+/**
+ * Climb a session through ClimbEngine over the browser tree provider.
+ * The engine owns the BFS, matching, verification and session persistence;
+ * this script supplies the page reads, parent discovery and the climber-only
+ * side effects (audit trail, relationships, document check, race evidence).
+ *
+ * @param {object} session - { id, rootFsId, resume }
+ * @param {object} participantInfo - { name, birthYear, birthLocation, fatherName, motherName }
+ * @param {object} familyTreeMap - Flat lookup map from buildFamilyTreeMap()
+ */
+async function climb(session, participantInfo = {}, familyTreeMap = {}) {
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log('   FAMILYSEARCH ANCESTOR CLIMBER v2');
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`Starting Person: ${session.rootFsId}`);
+    console.log(`Mode: Find ALL slaveholder connections`);
+    console.log(`Historical Cutoff: ${HISTORICAL_CUTOFF_YEAR}`);
+    console.log('═══════════════════════════════════════════════════════════════\n');
 
-                    // Learning loop: feed race data back to free_persons table
-                    if (person.race_indicators && person.race_indicators.length > 0) {
-                        await registerRaceEvidence(person);
-                    }
+    const hasParentNames = !!(participantInfo.fatherName || participantInfo.motherName);
+    const provider = new FamilySearchBrowserProvider({
+        readPerson: (fsId, { generation }) =>
+            readTreePerson(fsId, generation, hasParentNames && fsId === session.rootFsId),
+        discoverParents: (person, { generation }) => {
+            const branchCtx = branchClassifier.primaryContext(person);
+            // Participant-provided parent names belong to the participant only
+            return discoverParents(person, generation === 0 ? participantInfo : {}, familyTreeMap, branchCtx?.type || null);
+        },
+        findTreePerson: async (name, birthYear, location) => {
+            // Check page health before expensive TreeSearch; recover if needed
+            if (!await isPageHealthy()) await recoverPage();
+            const result = await searchTreeForPerson(name, birthYear, location);
+            return result ? result.fsId : null;
+        }
+    }, climbIdentities, {
+        participant: hasParentNames || session.rootFsId === FamilySearchBrowserProvider.NAME_ONLY_ROOT
+            ? { fsId: session.rootFsId, ...participantInfo }
+            : null,
+        maxInferredGenerations: MAX_NAME_ONLY_GENERATIONS,
+        log: console.log
+    });
 
-                    console.log(`   ✓ Match recorded (${verdict.classification}), continuing climb...`);
-                }
-            } catch (dbErr) {
-                console.log(`   ⚠ DB check error: ${dbErr.message.substring(0, 50)}`);
+    const hooks = {
+        onVisit: (person, { generation, path }) => {
+            if (!person.fs_id) console.log(`\n📍 Gen ${generation}: Name-only "${person.name}"`);
+            ancestors.push({ ...person, generation, path });
+        },
+        onParent: async (child, link) => {
+            const parent = link.person;
+            if (link.inferred) {
+                console.log(`   ✓ Discovered ${link.relationship}: ${parent.name}${parent.fs_id ? ` (${parent.fs_id})` : ` → canonical_persons #${parent.canonical_person_id}`} via ${link.discoveryMethod}`);
+                // Save evidence to audit trail
+                await saveInferredParentLink(sessionId, child, {
+                    parentName: parent.name,
+                    parentFsId: parent.fs_id,
+                    relationship: link.relationship,
+                    discoveryMethod: link.discoveryMethod,
+                    sourceUrl: link.sourceUrl,
+                    sourceType: link.sourceType,
+                    confidence: link.confidence
+                });
             }
-
-            // Queue parents (BOTH sides)
-            if (person.father_fs_id && !visitedFsIds.has(person.father_fs_id)) {
-                queue.push([person.father_fs_id, generation + 1, [...path, person.name], 'fs_id']);
+            if (parent.canonical_person_id && child.canonical_person_id) {
+                await savePersonRelationship(parent.canonical_person_id, child.canonical_person_id, 'parent',
+                    Math.round(link.confidence * 100));
             }
-            if (person.mother_fs_id && !visitedFsIds.has(person.mother_fs_id)) {
-                queue.push([person.mother_fs_id, generation + 1, [...path, person.name], 'fs_id']);
+        },
+        onMatch: async (person, enslaverMatch, verdict, { path }) => {
+            console.log(`   Match type: ${enslaverMatch.type} (raw: ${(enslaverMatch.confidence * 100).toFixed(0)}%, adjusted: ${(verdict.confidence_adjusted * 100).toFixed(0)}%)`);
+            console.log(`   Classification: ${verdict.classification}${verdict.requires_human_review ? ' [NEEDS REVIEW]' : ''}`);
+            for (const e of verdict.evidence) {
+                const prefix = e.type === 'disqualifying' ? '  ✗' : '  ✓';
+                console.log(`   ${prefix} ${e.detail}`);
             }
 
-            // Save progress periodically
-            if (localVisited.size % SAVE_PROGRESS_EVERY === 0) {
-                await saveClimbProgress(sessionId, queue, localVisited, localMatches);
-                console.log(`   💾 Progress saved (${localVisited.size} ancestors visited)`);
+            // Check for supporting documents
+            const docVerification = await documentVerifier.verifyMatch(
+                enslaverMatch.canonical_name || enslaverMatch.full_name,
+                path[0],
+                path
+            );
+            if (docVerification.hasDocuments) {
+                console.log(`   📄 Found ${docVerification.documentCount} document(s): ${docVerification.documentTypes.join(', ')}`);
             }
 
-            // Rate limiting
-            await new Promise(r => setTimeout(r, 1500));
+            // Learning loop: feed race data back to free_persons table
+            await registerRaceEvidence(person);
+        },
+        // find_person_match() had no candidate: try international slave trade data
+        fallbackMatch: (person) => isMatchableName(person.name) ? checkSlaveVoyages(person) : null
+    };
 
-        } catch (e) {
-            console.log(`   ⚠ Error: ${e.message}`);
-        }
+    if (session.resume) {
+        console.log(`Resuming session ${session.id}...`);
+        return climbEngine.resume(provider, session.id, hooks);
     }
-
-    // Final save
-    await saveClimbProgress(sessionId, queue, localVisited, localMatches, 'completed');
-
-    return { matches: localMatches, visited: localVisited.size, sessionId };
+    return climbEngine.climb(provider, session.rootFsId, {
+        ...hooks,
+        sessionId: session.id,
+        modernPersonName: participantInfo.name,
+        maxGenerations: MAX_GENERATIONS
+    });
 }
 
 /**
@@ -3262,12 +2548,13 @@ async function saveResults(startFsId, result) {
     console.log('   CLIMB RESULTS');
     console.log('═══════════════════════════════════════════════════════════════\n');
 
-    const { matches, visited, sessionId: sid } = result;
+    const { matches, visited, maxGeneration, rejectedLinks, flaggedLinks, sessionId: sid } = result;
 
     console.log(`Session ID: ${sid}`);
     console.log(`Ancestors visited: ${visited}`);
     console.log(`Ancestors scraped: ${ancestors.length}`);
-    console.log(`Max generation reached: ${Math.max(...ancestors.map(a => a.generation), 0)}`);
+    console.log(`Max generation reached: ${maxGeneration}`);
+    console.log(`Parent links rejected / flagged: ${rejectedLinks.length} / ${flaggedLinks.length}`);
 
     if (matches && matches.length > 0) {
         console.log(`\n✓ ${matches.length} POTENTIAL ENSLAVER CONNECTION(S) FOUND\n`);
@@ -3281,24 +2568,13 @@ async function saveResults(startFsId, result) {
 
         console.log(`📋 MATCHES REQUIRING VERIFICATION:`);
         for (const match of matches) {
-            const name = match.match.canonical_name || match.match.full_name;
-            const matchType = match.match.type || 'unknown';
-            const confidence = match.match.confidence ? `${(match.match.confidence * 100).toFixed(0)}%` : 'N/A';
-
-            // Build verification status
-            const checks = [];
-            if (match.match.location_verified) checks.push('✓ location');
-            else checks.push('? location');
-            if (match.match.date_verified) checks.push('✓ dates');
-            else checks.push('? dates');
-
-            console.log(`   • ${name}`);
-            console.log(`     Generation ${match.generation}: ${match.path.join(' → ')}`);
+            const matchType = match.match_type || 'unknown';
+            const confidence = match.confidence ? `${(match.confidence * 100).toFixed(0)}%` : 'N/A';
+
+            console.log(`   • ${match.slaveholder}`);
+            console.log(`     Generation ${match.generation}: ${(match.path || [match.ancestor]).join(' → ')}`);
             console.log(`     Match type: ${matchType} | Confidence: ${confidence}`);
-            console.log(`     Checks: ${checks.join(', ')}`);
-            if (match.match.verification_notes) {
-                console.log(`     Notes: ${match.match.verification_notes}`);
-            }
+            console.log(`     Classification: ${match.classification}${match.requires_human_review ? ' [NEEDS REVIEW]' : ''}`);
             console.log('');
         }
 
@@ -3448,7 +2724,7 @@ Options:
 
 v2 Features:
 - Finds ALL slaveholder connections, not just the first
-- Historical cutoff at 1450 (transatlantic slave trade start)
+- Historical cutoff at 1600 (colonial transatlantic trade onset)
 - Credit vs Debt classification (rape victim line vs inheritance)
 - Session persistence for resume after interruption
 - Location matching to reduce false positives
@@ -3536,64 +2812,66 @@ v2 Features:
     try {
         await launchBrowser();
 
-        let result;
+        let session;
 
         if (resumeSessionId) {
-            // Resume existing session
+            // Resume existing session: participant info and family tree come from its config
             console.log(`\nResuming session: ${resumeSessionId}\n`);
-            const session = await loadClimbSession(resumeSessionId);
+            const rows = await sql`
+                SELECT modern_person_fs_id, config FROM ancestor_climb_sessions WHERE id = ${resumeSessionId}
+            `;
 
-            if (!session) {
+            if (rows.length === 0) {
                 console.error(`Session not found: ${resumeSessionId}`);
                 process.exit(1);
             }
 
-            await ensureLoggedIn(session.modernPersonFsId);
-            result = await climbAncestors(session.modernPersonFsId, session.modernPersonName, {
-                sessionId: resumeSessionId,
-                queue: session.queue,
-                visited: session.visited,
-                matches: session.matches
-            });
-            await saveResults(session.modernPersonFsId, result);
-
-        } else if (nameOnlyMode) {
-            // Name-only climb: create a placeholder FS ID, use participant info for parent discovery
-            const placeholderFsId = 'NAME-ONLY';
-            console.log(`\n═══ NAME-ONLY MODE ═══`);
-            console.log(`Participant: ${personName}`);
-            console.log(`Parents: father=${participantInfo.fatherName || 'unknown'}, mother=${participantInfo.motherName || 'unknown'}`);
-            console.log(`No FamilySearch ID — will discover ancestors from records\n`);
-
-            // Still need Chrome for record searches
-            ensureLoggedIn._hasParticipantInfo = true;
-            await ensureLoggedIn(placeholderFsId);
-            result = await climbAncestors(placeholderFsId, personName, null, participantInfo, familyTreeMap);
-            await saveResults(placeholderFsId, result);
+            const config = rows[0].config || {};
+            Object.assign(participantInfo, config.participant_info || {});
+            familyTreeMap = config.family_tree || {};
+            session = { id: resumeSessionId, rootFsId: rows[0].modern_person_fs_id, resume: true };
+            ensureLoggedIn._hasParticipantInfo = Object.keys(participantInfo).length > 0;
+            await ensureLoggedIn(session.rootFsId);
 
         } else {
-            // Normal FS ID climb
-            ensureLoggedIn._hasParticipantInfo = hasParticipantInfo;
-            await ensureLoggedIn(startFsId);
-            result = await climbAncestors(startFsId, personName, null, participantInfo, familyTreeMap);
-            await saveResults(startFsId, result);
+            // Name-only climb: no FS ID, the participant's own details stand in for the root
+            const rootFsId = nameOnlyMode ? FamilySearchBrowserProvider.NAME_ONLY_ROOT : startFsId;
+            if (nameOnlyMode) {
+                console.log(`\n═══ NAME-ONLY MODE ═══`);
+                console.log(`Participant: ${personName}`);
+                console.log(`Parents: father=${participantInfo.fatherName || 'unknown'}, mother=${participantInfo.motherName || 'unknown'}`);
+                console.log(`No FamilySearch ID — will discover ancestors from records\n`);
+            }
+
+            // Still need Chrome for record searches in name-only mode
+            ensureLoggedIn._hasParticipantInfo = nameOnlyMode || hasParticipantInfo;
+            await ensureLoggedIn(rootFsId);
+
+            if (personName) participantInfo.name = personName;
+            const id = await climbEngine.openSession({
+                modernPersonName: personName || startFsId,
+                modernPersonFsId: nameOnlyMode ? null : startFsId,
+                config: {
+                    max_generations: MAX_GENERATIONS,
+                    historical_cutoff: HISTORICAL_CUTOFF_YEAR,
+                    ...(nameOnlyMode ? { mode: 'name_only' } : {}),
+                    participant_info: participantInfo,
+                    family_tree: familyTreeMap
+                },
+                source: 'familysearch'
+            });
+            session = { id, rootFsId, resume: false };
         }
 
+        sessionId = session.id;
+        console.log(`Session ID: ${sessionId}\n`);
+        const result = await climb(session, participantInfo, familyTreeMap);
+        await saveResults(session.rootFsId, result);
+
     } catch (e) {
+        // The engine has already marked a failed climb 'failed' with its last_error
         console.error('Fatal error:', e.message);
         console.error(e.stack);
-        // Save failed status to DB so kiosk UI can show the error
-        if (sessionId) {
-            try {
-                await sql`
-                    UPDATE ancestor_climb_sessions
-                    SET status = 'failed',
-                        last_activity = NOW(),
-                        config = jsonb_set(COALESCE(config, '{}'), '{error}', ${JSON.stringify(e.message)}::jsonb)
-                    WHERE id = ${sessionId}
-                `;
-            } catch (_) { /* best effort */ }
-        }
     } finally {
         // Close our tab but leave Chrome and other tabs running
         if (page) {
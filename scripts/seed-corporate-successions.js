@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * seed-corporate-successions.js  (M116)
+ *
+ * Loads the documented Farmer-Paellmann succession chains into the
+ * entity_successions graph. These used to be the hardcoded KNOWN_CHAINS
+ * object in CorporateSuccessionTracer; researchers now add and correct chains
+ * through /api/corporate-debts/succession/*, so this only seeds the starting set.
+ *
+ * For each chain: finds the modern corporate_entities row (the M021
+ * defendant rows) or creates it, stamps chain_key + chain_documentation,
+ * creates an inactive corporate_entities row per historical predecessor, and
+ * adds one approved predecessor → modern edge. KNOWN_CHAINS listed
+ * predecessors flat, so every edge is one hop; intermediate steps (e.g.
+ * Citizens Bank → Canal Bank → ...) are for researchers to add with citations.
+ *
+ * Idempotent: existing entities are reused and existing edges skipped.
+ *
+ * USAGE: node scripts/seed-corporate-successions.js [--apply]
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const CorporateSuccessionTracer = require('../src/services/reparations/CorporateSuccessionTracer');
+
+const APPLY = process.argv.includes('--apply');
+const SEEDED_BY = 'seed-corporate-successions';
+const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+
+// modern: name used if no M021 row matches `match` (ILIKE on modern_name).
+// predecessors: [name, firstDocumentedYear, role, kind, traceability, successionYear]
+const CHAINS = [
+    {
+        key: 'jpmorgan', modern: 'JPMorgan Chase & Co.', match: 'JPMorgan Chase%', ticker: 'JPM',
+        predecessors: [
+            ['Citizens Bank of Louisiana', 1831, 'predecessor bank', 'corporate_acquisition', 'direct', null],
+            ['Canal Bank (New Orleans Canal & Banking Co.)', 1831, 'predecessor bank', 'corporate_acquisition', 'direct', null],
+            ['Lexington Branch, 2nd Bank of Kentucky', 1835, 'predecessor bank', 'corporate_acquisition', 'direct', null],
+            ['J. Pierpont Morgan / George Peabody & Co.', 1871, 'Peabody Firms', 'renaming', 'direct', null],
+            ['Bowery Savings Bank (via Washington Mutual)', 1834, 'acquired 2008', 'corporate_acquisition', 'direct', 2008]
+        ],
+        documentation: {
+            primary: 'Philadelphia CTO Disclosure (2024)',
+            enslavedAsCollateral: 21055,
+            enslavedOwned: 1300,
+            url: 'storage/corporate-disclosures/banking/jpmorgan-philadelphia-cto-disclosure-2024.pdf'
+        }
+    },
+    {
+        key: 'aetna', modern: 'CVS Health Corporation (Aetna successor)', match: 'CVS Health%', ticker: 'CVS',
+        predecessors: [
+            ['Aetna Life Insurance Company', 1853, 'insured enslaved persons', 'corporate_acquisition', 'direct', 2018]
+        ],
+        documentation: {
+            primary: 'CA DOI Slavery Era Insurance Registry (2002)',
+            policies: 7,
+            enslavedNames: 16,
+            url: 'storage/corporate-disclosures/insurance/ca-doi-slavery-era-insurance-registry-2002.pdf'
+        }
+    },
+    {
+        key: 'new_york_life', modern: 'New York Life Insurance Company', match: 'New York Life%', ticker: null,
+        predecessors: [
+            ['Nautilus Insurance Company', 1845, 'wrote slave life policies', 'renaming', 'direct', 1849]
+        ],
+        documentation: {
+            primary: 'CA DOI Slavery Era Insurance Registry (2002)',
+            policies: 339,
+            enslavedNames: 484,
+            slaveholderNames: 233,
+            url: 'storage/corporate-disclosures/insurance/ca-doi-slavery-era-insurance-registry-2002.pdf'
+        }
+    },
+    {
+        key: 'bbh', modern: 'Brown Brothers Harriman & Co.', match: 'Brown Brothers Harriman%', ticker: null,
+        predecessors: [
+            ['Brown Brothers & Co.', 1818, 'cotton factor, plantation owner', 'corporate_merger', 'direct', 1931]
+        ],
+        documentation: {
+            primary: 'Beckert, Empire of Cotton (2015), p.223; Louisiana court records',
+            enslaved: 346,
+            plantations: 3,
+            acres: 4614
+        }
+    },
+    {
+        key: 'csx', modern: 'CSX Corporation', match: 'CSX Corporation%', ticker: 'CSX',
+        predecessors: [
+            ['36 predecessor railroad lines', 1830, 'enslaved labor in construction', 'corporate_merger', 'partial', null]
+        ],
+        documentation: {
+            primary: 'Kornweibel, Railroads in the African American Experience (2010)',
+            predecessorCount: 36
+        }
+    },
+    {
+        key: 'norfolk_southern', modern: 'Norfolk Southern Corporation', match: 'Norfolk Southern%', ticker: 'NSC',
+        predecessors: [
+            ['39 predecessor railroad lines', 1827, 'enslaved labor', 'corporate_merger', 'partial', null],
+            ['South Carolina Canal and Rail Road Company', 1827, 'earliest predecessor', 'corporate_merger', 'attenuated', null]
+        ],
+        documentation: {
+            primary: 'Kornweibel (2010)',
+            predecessorCount: 39
+        }
+    }
+];
+
+async function findEntity(sqlWhere, param) {
+    const r = await pool.query(`SELECT entity_id FROM corporate_entities WHERE ${sqlWhere} ORDER BY created_at LIMIT 1`, [param]);
+    return r.rows[0]?.entity_id || null;
+}
+
+async function main() {
+    const tracer = new CorporateSuccessionTracer(pool);
+    let entitiesCreated = 0, edgesAdded = 0, edgesSkipped = 0;
+
+    for (const chain of CHAINS) {
+        let modernId = await findEntity('chain_key = $1', chain.key) || await findEntity('modern_name ILIKE $1', chain.match);
+        console.log(`${chain.key}: ${modernId ? `modern entity ${modernId}` : `would create "${chain.modern}"`}`);
+        if (!APPLY) {
+            for (const [name, , role, kind, traceability] of chain.predecessors) {
+                console.log(`   + ${name} → ${chain.modern} (${kind}, ${traceability}; ${role})`);
+            }
+            continue;
+        }
+
+        if (modernId) {
+            await pool.query(`
+                UPDATE corporate_entities
+                SET chain_key = $2, chain_documentation = $3, stock_ticker = COALESCE(stock_ticker, $4), updated_at = NOW()
+                WHERE entity_id = $1
+            `, [modernId, chain.key, JSON.stringify(chain.documentation), chain.ticker]);
+        } else {
+            const node = await tracer.createEntity({
+                name: chain.modern, ticker: chain.ticker, active: true, chainKey: chain.key,
+                chainDocumentation: chain.documentation, sourceDocument: chain.documentation.primary
+            });
+            modernId = node.id;
+            entitiesCreated++;
+        }
+
+        for (const [name, year, role, kind, traceability, successionYear] of chain.predecessors) {
+            let predId = await findEntity('modern_name = $1 AND is_active = FALSE', name);
+            if (!predId) {
+                predId = (await tracer.createEntity({
+                    name, historicalName: name, active: false, firstDocumentedYear: year,
+                    sourceDocument: chain.documentation.primary
+                })).id;
+                entitiesCreated++;
+            }
+            try {
+                await tracer.addSuccession({
+                    predecessor: { type: 'corporate_entity', id: predId },
+                    successor: { type: 'corporate_entity', id: modernId },
+                    kind, traceability, year: successionYear, notes: role,
+                    citation: chain.documentation.primary, status: 'approved', createdBy: SEEDED_BY
+                });
+                edgesAdded++;
+                console.log(`   + ${name} → ${chain.modern}`);
+            } catch (e) {
+                if (e.code !== 'DUPLICATE') throw e;
+                edgesSkipped++;
+            }
+        }
+    }
+
+    console.log(APPLY
+        ? `\nentities created: ${entitiesCreated}, edges added: ${edgesAdded}, already present: ${edgesSkipped}`
+        : '\nDry run. Re-run with --apply to write.');
+    await pool.end();
+}
+
+main().catch(async e => { console.error(`ERROR: ${e.message}`); await pool.end(); process.exit(1); });
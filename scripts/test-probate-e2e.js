@@ -18,7 +18,8 @@
  *   node scripts/test-probate-e2e.js --api-base http://localhost:3000
  *   node scripts/test-probate-e2e.js --api-base https://reparations-platform.onrender.com
  *
- * Requires ADMIN_TOKEN in .env to call admin-only API endpoints.
+ * Requires ADMIN_TOKEN in .env to call admin-only API endpoints: a reviewer session
+ * token from POST /api/reviewers/login (any role).
  */
 
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
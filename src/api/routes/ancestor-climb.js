@@ -9,16 +9,55 @@
  *   to FamilySearch the first time (cookies/profile persisted in /tmp profile).
  * - The script writes progress to the database tables created by
  *   migrations/027-ancestor-climb-sessions.sql.
+ * - POST /gedcom climbs an uploaded GEDCOM / GEDCOM X tree in-process instead
+ *   (GedcomClimber, no browser); it writes the same session and match tables.
  */
 
 const express = require('express');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const multer = require('multer');
 const db = require('../../database/connection');
+const { requireRole } = require('../../middleware/admin-auth');
+const GedcomClimber = require('../../services/genealogy/GedcomClimber');
+const GedcomExporter = require('../../services/genealogy/GedcomExporter');
+const { parseFamilyTree, findRoot, ancestorsOf, GedcomError } = require('../../services/genealogy/GedcomParser');
 
 const router = express.Router();
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(ged|gedcom|json)$/i.test(file.originalname || '')) cb(null, true);
+    else cb(new GedcomError('Only .ged, .gedcom or GEDCOM X .json files are accepted'), false);
+  }
+});
+
+// multer's errors (size limit, file filter) come back as 400s like parse errors
+function treeUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ success: false, error: err.message });
+    next();
+  });
+}
+
+// The uploaded file, or { content } in a JSON body (GEDCOM text or a GEDCOM X document)
+function uploadedTree(req) {
+  if (req.file) return { content: req.file.buffer, fileName: req.file.originalname };
+  const { content, fileName } = req.body || {};
+  if (!content) throw new GedcomError('Upload a "file" or send { content } in the body');
+  return { content: typeof content === 'string' ? content : JSON.stringify(content), fileName: fileName || null };
+}
+
+function sendGedcomError(res, error) {
+  if (error instanceof GedcomError) {
+    return res.status(error.httpStatus).json({ success: false, error: error.message, code: error.code, candidates: error.candidates });
+  }
+  return res.status(500).json({ success: false, error: error.message });
+}
+
 // Validate FamilySearch ID format (e.g., G21N-HD2)
 function isValidFsId(id) {
   return /^[A-Z0-9]{4}-[A-Z0-9]{2,4}$/.test(id || '');
@@ -83,6 +122,75 @@ router.post('/start', async (req, res) => {
   }
 });
 
+// POST /api/ancestor-climb/gedcom/preview
+// multipart "file" or { content }; optional rootId / rootName
+// Parses the tree without climbing: counts, warnings, and the root's ancestors
+// (or the candidates when the root name is ambiguous).
+router.post('/gedcom/preview', requireRole('genealogist'), treeUpload, async (req, res) => {
+  try {
+    const { content, fileName } = uploadedTree(req);
+    const tree = parseFamilyTree(content);
+    const { rootId, rootName } = req.body || {};
+    let root = null;
+    let ancestors = [];
+    if (rootId || rootName) {
+      root = findRoot(tree, { rootId, rootName });
+      ancestors = ancestorsOf(tree, root.id);
+    }
+    return res.json({
+      success: true,
+      fileName,
+      format: tree.format,
+      version: tree.version,
+      sourceSystem: tree.sourceSystem,
+      personCount: tree.persons.size,
+      familyCount: tree.familyCount,
+      warnings: tree.warnings,
+      root,
+      ancestorCount: ancestors.length,
+      ancestors
+    });
+  } catch (error) {
+    return sendGedcomError(res, error);
+  }
+});
+
+// POST /api/ancestor-climb/gedcom
+// multipart "file" or { content }; rootId or rootName (required),
+// name? (modern person's name, defaults to the root's), participantId?, maxGenerations?
+// Opens the session synchronously (so parse errors are 400s) and climbs in the background.
+router.post('/gedcom', requireRole('genealogist'), treeUpload, async (req, res) => {
+  try {
+    const { content, fileName } = uploadedTree(req);
+    const { rootId, rootName, name, participantId, maxGenerations } = req.body || {};
+    const climber = new GedcomClimber(db.pool, { sql: db.sql, log: (msg) => console.log(msg) });
+    const prepared = await climber.prepare(content, {
+      rootId,
+      rootName,
+      modernPersonName: name,
+      participantId,
+      maxGenerations,
+      fileName,
+      uploadedBy: req.reviewer.username
+    });
+
+    climber.run(prepared).catch(err => console.error(`GEDCOM climb ${prepared.sessionId} failed: ${err.message}`));
+
+    return res.status(202).json({
+      success: true,
+      message: 'GEDCOM climb started. Poll the session endpoint for progress and matches.',
+      sessionId: prepared.sessionId,
+      importId: prepared.importId,
+      format: prepared.format,
+      root: prepared.root,
+      ancestorCount: prepared.ancestors.length,
+      warnings: prepared.warnings
+    });
+  } catch (error) {
+    return sendGedcomError(res, error);
+  }
+});
+
 // GET /api/ancestor-climb/sessions?fsId=G21N-HD2
 // Lists climb sessions, optionally filtered by modern_person_fs_id
 router.get('/sessions', async (req, res) => {
@@ -134,8 +242,8 @@ router.get('/session/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const sessionResult = await db.query(
-      `SELECT id, modern_person_name, modern_person_fs_id, status, started_at, last_activity,
-              ancestors_visited, matches_found
+      `SELECT id, modern_person_name, modern_person_fs_id, status, source, started_at, last_activity,
+              ancestors_visited, matches_found, last_error
          FROM ancestor_climb_sessions WHERE id = $1 LIMIT 1`,
       [id]
     );
@@ -161,6 +269,23 @@ router.get('/session/:id', async (req, res) => {
   }
 });
 
+// GET /api/ancestor-climb/session/:id/export?format=gedcom|gedcomx
+// The session's verified lineage (auto- or human-verified matches only) as a
+// GEDCOM 7 or GEDCOM X file. Gated: it names the living person who was climbed.
+router.get('/session/:id/export', requireRole('genealogist'), async (req, res) => {
+  try {
+    const out = await new GedcomExporter(db.pool).export('session', req.params.id, { format: req.query.format });
+    res.set('Content-Type', out.contentType);
+    res.set('Content-Disposition', `attachment; filename="${out.fileName}"`);
+    return res.send(out.body);
+  } catch (error) {
+    if (error instanceof GedcomExporter.ExportError) {
+      return res.status(error.httpStatus).json({ success: false, error: error.message, code: error.code });
+    }
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/ancestor-climb/pending-verification
 // Returns recent matches that are still unverified (for human review queue stub)
 router.get('/pending-verification', async (req, res) => {
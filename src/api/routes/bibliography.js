@@ -6,6 +6,7 @@
  * Endpoints:
  * - GET    /api/bibliography                 - Get all bibliography entries
  * - GET    /api/bibliography/stats           - Get bibliography statistics
+ * - GET    /api/bibliography/key/:citationKey - Get entry by stable citation key
  * - GET    /api/bibliography/:id             - Get single entry
  * - POST   /api/bibliography                 - Add new entry
  * - POST   /api/bibliography/pending         - Flag a pending citation
@@ -14,13 +15,24 @@
  * - POST   /api/bibliography/participants    - Add participant
  * - GET    /api/bibliography/participants    - Get all participants
  * - POST   /api/bibliography/analyze         - Analyze text for copy/paste
- * - GET    /api/bibliography/export          - Export bibliography
+ * - GET    /api/bibliography/export          - Export bibliography (json, bibtex, apa, chicago, csl-json, ris)
+ * - POST   /api/bibliography/import          - Import CSL-JSON / RIS / BibTeX (curator)
  * - POST   /api/bibliography/from-url        - Generate citation from URL
  */
 
 const express = require('express');
 const router = express.Router();
 const BibliographyManager = require('../../utils/bibliography-manager');
+const { requireRole } = require('../../middleware/admin-auth');
+const { BibliographyImportError } = BibliographyManager;
+
+const EXPORT_TYPES = {
+    bibtex: { contentType: 'application/x-bibtex', ext: 'bib' },
+    'csl-json': { contentType: 'application/vnd.citationstyles.csl+json', ext: 'json' },
+    ris: { contentType: 'application/x-research-info-systems', ext: 'ris' },
+    apa: { contentType: 'text/plain', ext: 'txt' },
+    chicago: { contentType: 'text/plain', ext: 'txt' }
+};
 
 // Initialize bibliography manager (will use pool if available)
 let bibliographyManager = null;
@@ -103,7 +115,7 @@ router.get('/stats', async (req, res) => {
 router.get('/export', async (req, res) => {
     try {
         const format = req.query.format || 'json';
-        const validFormats = ['json', 'bibtex', 'apa', 'chicago'];
+        const validFormats = ['json', ...Object.keys(EXPORT_TYPES)];
 
         if (!validFormats.includes(format)) {
             return res.status(400).json({
@@ -120,8 +132,9 @@ router.get('/export', async (req, res) => {
                 data: exported
             });
         } else {
-            res.set('Content-Type', 'text/plain');
-            res.set('Content-Disposition', `attachment; filename="bibliography.${format === 'bibtex' ? 'bib' : 'txt'}"`);
+            const { contentType, ext } = EXPORT_TYPES[format];
+            res.set('Content-Type', `${contentType}; charset=utf-8`);
+            res.set('Content-Disposition', `attachment; filename="bibliography.${ext}"`);
             res.send(exported);
         }
     } catch (error) {
@@ -133,6 +146,47 @@ router.get('/export', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/bibliography/import
+ * Import a Zotero (or other reference manager) export. Body:
+ *   { data: <file contents or CSL-JSON array>, format?: 'csl-json'|'ris'|'bibtex',
+ *     category?, dryRun? }
+ * Duplicates (by DOI, Zotero key, URL + title, or title/year/author) are
+ * reported and skipped. Each imported entry gets a stable citation key.
+ */
+router.post('/import', requireRole('curator'), async (req, res) => {
+    try {
+        const { data, format, category, dryRun } = req.body || {};
+        if (!data || (typeof data === 'string' && !data.trim())) {
+            return res.status(400).json({
+                success: false,
+                error: 'data is required (CSL-JSON, RIS or BibTeX)'
+            });
+        }
+
+        const result = await req.bibliographyManager.importEntries(data, {
+            format,
+            category,
+            dryRun: dryRun === true || dryRun === 'true',
+            addedBy: req.reviewer.username
+        });
+
+        res.status(result.dryRun || !result.imported.length ? 200 : 201).json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof BibliographyImportError) {
+            return res.status(error.httpStatus).json({ success: false, error: error.message, code: error.code });
+        }
+        console.error('Error importing bibliography:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/bibliography/pending
  * Get all pending citations
@@ -414,6 +468,34 @@ router.post('/from-url', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/bibliography/key/:citationKey
+ * Get a bibliography entry by its stable citation key (as cited in DAA exhibits)
+ */
+router.get('/key/:citationKey', async (req, res) => {
+    try {
+        const entry = await req.bibliographyManager.getEntryByKey(req.params.citationKey);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Bibliography entry not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            entry
+        });
+    } catch (error) {
+        console.error('Error fetching bibliography entry:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/bibliography/:id
  * Get single bibliography entry
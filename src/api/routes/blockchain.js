@@ -2,29 +2,64 @@
  * Blockchain API Routes
  *
  * Provides API endpoints for interacting with the ReparationsEscrow
- * smart contract deployed on Base Mainnet.
+ * smart contract. The network, RPC URL and deployment file are selected by
+ * configuration (see src/services/blockchain/network-config.js):
  *
- * Contract: 0x914846ceA07e57d848d9d60C8238865D83d9ab1E
- * Network:  Base Mainnet (chain 8453)
+ *   base          Base Mainnet (chain 8453)  — production,
+ *                 contract 0x914846ceA07e57d848d9d60C8238865D83d9ab1E
+ *   base-sepolia  Base Sepolia (chain 84532)
+ *   localhost     local Hardhat node (chain 31337) for development/tests
  *
  * Endpoints:
  *   GET  /api/blockchain/status          — Contract status + stats
  *   GET  /api/blockchain/record/:id      — Get on-chain record
- *   POST /api/blockchain/submit          — Submit DAA record on-chain
+ *   POST /api/blockchain/submit          — Submit DAA record on-chain (finance)
  *   GET  /api/blockchain/debt/:id        — Get remaining debt
- *   GET  /api/blockchain/config          — Frontend config (contract address, ABI, chain)
+ *   GET  /api/blockchain/config          — Frontend config (active network, contract address, ABI)
+ *   GET  /api/blockchain/payments/record/:id       — Indexed payment history for a record (+ DAA)
+ *   GET  /api/blockchain/payments/wallet/:address  — Indexed deposits/distributions for a wallet
+ *   GET  /api/blockchain/indexer/status  — Event-indexer cursor (see scripts/index-escrow-events.js)
+ *   POST /api/blockchain/update-amount/:id — Revise reparations owed (finance). With { proposalId }
+ *                                          applies an approved DAA amount-revision proposal (M117,
+ *                                          see /api/oracle) and records the transaction on it; a
+ *                                          direct { newAmount } is recorded as a 'direct' revision.
+ *
+ * Lineage-ledger Merkle root on ReparationsLedger (M126, LedgerMerkleService):
+ *   GET  /api/blockchain/merkle/root            — root on the ledger now + the snapshot it belongs to
+ *   GET  /api/blockchain/merkle/snapshots       — stored snapshots
+ *   GET  /api/blockchain/merkle/snapshots/:id   — one snapshot with its entries and leaves
+ *   POST /api/blockchain/merkle/snapshots       — snapshot the live contributions (finance)
+ *   POST /api/blockchain/merkle/snapshots/:id/publish — setMerkleRoot (finance)
+ *   GET  /api/blockchain/merkle/proof           — ?contributionId= | ?daaId=&lineageId=
+ *                                                 (&snapshotId=&onChain=1) — public
  */
 
 const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-
-// Load deployment config
-const DEPLOYMENT_PATH = path.resolve(__dirname, '../../../deployments/base-deployment.json');
-const ABI_PATH = path.resolve(__dirname, '../../../deployments/ReparationsEscrow-abi.json');
-
+const db = require('../../database/connection');
+const DAARevisionService = require('../../services/reparations/DAARevisionService');
+const DAADocumentManifestService = require('../../services/reparations/DAADocumentManifestService');
+const LedgerMerkleService = require('../../services/blockchain/LedgerMerkleService');
+const { LedgerMerkleError } = require('../../services/blockchain/LedgerMerkleService');
+const { DAARevisionError } = require('../../services/reparations/DAARevisionService');
+const ReviewerService = require('../../services/ReviewerService');
+const { requireRole } = require('../../middleware/admin-auth');
+const {
+    paymentHistoryForRecord,
+    paymentHistoryForWallet,
+    indexerStatus
+} = require('../../services/blockchain/EscrowEventIndexer');
+const {
+    getActiveNetwork,
+    connectEscrow,
+    explorerTxUrl,
+    publicRpcUrl,
+    walletNetworkParams
+} = require('../../services/blockchain/network-config');
+const { submitAncestryRecord, recordDAASubmission } = require('../../services/blockchain/escrow-submission');
+
+let network = null;
 let deployment = null;
 let abi = null;
 let provider = null;
@@ -34,13 +69,11 @@ function getContract() {
     if (contract) return contract;
 
     try {
-        deployment = JSON.parse(fs.readFileSync(DEPLOYMENT_PATH, 'utf-8'));
-        abi = JSON.parse(fs.readFileSync(ABI_PATH, 'utf-8'));
-        provider = new ethers.JsonRpcProvider('https://mainnet.base.org');
-        contract = new ethers.Contract(deployment.contractAddress, abi, provider);
+        network = getActiveNetwork();
+        ({ provider, contract, deployment, abi } = connectEscrow(network));
         return contract;
     } catch (err) {
-        console.error('[blockchain] Failed to initialize contract:', err.message);
+        console.error(`[blockchain] Failed to initialize contract${network ? ` on ${network.name}` : ''}:`, err.message);
         return null;
     }
 }
@@ -53,9 +86,34 @@ function getContract() {
 function getSigner() {
     if (!process.env.DEPLOYER_PRIVATE_KEY) return null;
     if (!provider) getContract();
+    if (!provider) return null;
     return new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider);
 }
 
+/**
+ * Chain and contract address of the active deployment, which the indexed
+ * history is scoped to; null when the contract is not configured
+ */
+function activeEscrow() {
+    if (!getContract()) return null;
+    return { chainId: network.chainId, contractAddress: deployment.contractAddress };
+}
+
+/**
+ * Active network summary included in responses
+ */
+function networkInfo() {
+    if (!network) {
+        try { network = getActiveNetwork(); } catch (err) { return null; }
+    }
+    return {
+        key: network.key,
+        name: network.name,
+        chainId: network.chainId,
+        testnet: network.testnet
+    };
+}
+
 // ── Read Endpoints ──────────────────────────────────────────────────
 
 /**
@@ -69,6 +127,7 @@ router.get('/status', async (req, res) => {
             return res.json({
                 success: true,
                 deployed: false,
+                network: networkInfo(),
                 message: 'Blockchain contract not configured'
             });
         }
@@ -82,9 +141,10 @@ router.get('/status', async (req, res) => {
             deployed: true,
             contract: {
                 address: deployment.contractAddress,
-                network: 'Base Mainnet',
-                chainId: 8453,
-                explorer: deployment.explorerUrl,
+                network: network.name,
+                networkKey: network.key,
+                chainId: network.chainId,
+                explorer: deployment.explorerUrl || null,
                 owner,
                 paused,
                 totalRecords: Number(nextRecordId) - 1,
@@ -105,23 +165,19 @@ router.get('/status', async (req, res) => {
 router.get('/config', async (req, res) => {
     try {
         if (!deployment || !abi) getContract();
+        const active = network || getActiveNetwork();
 
         res.json({
             success: true,
+            network: networkInfo(),
             contractAddress: deployment?.contractAddress || null,
-            chainId: 8453,
-            chainName: 'Base',
-            rpcUrl: 'https://mainnet.base.org',
-            explorerUrl: 'https://basescan.org',
+            chainId: active.chainId,
+            chainName: active.chainName,
+            rpcUrl: publicRpcUrl(active),
+            explorerUrl: active.explorerUrl,
             usdcAddress: deployment?.usdcAddress || null,
             abi: abi || [],
-            networkParams: {
-                chainId: '0x2105', // 8453 in hex
-                chainName: 'Base',
-                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
-                rpcUrls: ['https://mainnet.base.org'],
-                blockExplorerUrls: ['https://basescan.org']
-            }
+            networkParams: walletNetworkParams(active)
         });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -182,21 +238,90 @@ router.get('/debt/:id', async (req, res) => {
     }
 });
 
+// ── Indexed History (escrow_events, M110) ──────────────────────────
+// Served from Postgres — no RPC round-trips. Data is as fresh as the last
+// scripts/index-escrow-events.js pass.
+
+/**
+ * GET /api/blockchain/payments/record/:id
+ * Deposits, distributions, verifications and amount revisions for one record
+ */
+router.get('/payments/record/:id', async (req, res) => {
+    try {
+        const recordId = parseInt(req.params.id);
+        if (!Number.isInteger(recordId) || recordId < 1) {
+            return res.status(400).json({ success: false, error: 'record id must be a positive integer' });
+        }
+
+        const escrow = activeEscrow();
+        if (!escrow) return res.status(503).json({ success: false, error: 'Contract not configured' });
+        const history = await paymentHistoryForRecord(db, escrow, recordId);
+
+        res.json({ success: true, network: networkInfo(), ...history });
+    } catch (error) {
+        console.error('[blockchain] Record history error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/blockchain/payments/wallet/:address
+ * Everything a wallet deposited or received across records
+ */
+router.get('/payments/wallet/:address', async (req, res) => {
+    try {
+        if (!ethers.isAddress(req.params.address)) {
+            return res.status(400).json({ success: false, error: 'invalid wallet address' });
+        }
+
+        const escrow = activeEscrow();
+        if (!escrow) return res.status(503).json({ success: false, error: 'Contract not configured' });
+        const history = await paymentHistoryForWallet(db, escrow, req.params.address);
+
+        res.json({ success: true, network: networkInfo(), ...history });
+    } catch (error) {
+        console.error('[blockchain] Wallet history error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/blockchain/indexer/status
+ * How far the event indexer has got on the active network
+ */
+router.get('/indexer/status', async (req, res) => {
+    try {
+        const escrow = activeEscrow();
+        if (!escrow) return res.status(503).json({ success: false, error: 'Contract not configured' });
+        res.json({ success: true, network: networkInfo(), cursors: await indexerStatus(db, escrow) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ── Write Endpoints (server-side, using deployer key) ───────────────
 
 /**
  * POST /api/blockchain/submit
- * Submit a DAA record on-chain (called by DAAOrchestrator after generating a DAA)
+ * Submit a DAA record on-chain (finance)
  *
  * Body: {
  *   ancestorName: string,
  *   familySearchId: string,
  *   genealogyHash: string (IPFS hash or document hash),
+ *   daaId: string (optional — use the DAA's document manifest root, M125, and
+ *          store the record id and network on the agreement),
+ *   resubmit: boolean (required to submit a DAA that already has a record id;
+ *          the new record then replaces it on the agreement),
  *   totalReparationsOwed: number (in USDC, 6 decimals),
  *   notes: string
  * }
+ *
+ * docHash: with daaId, the latest document-manifest root for that DAA; else a
+ * bytes32 genealogyHash (0x + 64 hex, e.g. a manifest root) as given; else
+ * keccak256 of the genealogyHash string.
  */
-router.post('/submit', async (req, res) => {
+router.post('/submit', requireRole('finance'), async (req, res) => {
     try {
         const signer = getSigner();
         if (!signer) {
@@ -209,41 +334,71 @@ router.post('/submit', async (req, res) => {
         const c = getContract();
         if (!c) return res.status(503).json({ success: false, error: 'Contract not configured' });
 
-        const { ancestorName, familySearchId, genealogyHash, totalReparationsOwed, notes } = req.body;
+        const { ancestorName, familySearchId, genealogyHash, daaId, resubmit, totalReparationsOwed, notes } = req.body;
 
         if (!ancestorName) return res.status(400).json({ success: false, error: 'ancestorName required' });
 
-        // Convert to contract-compatible values
-        const amount = ethers.parseUnits(String(totalReparationsOwed || '0'), 6); // USDC 6 decimals
-        const docHash = ethers.keccak256(ethers.toUtf8Bytes(genealogyHash || 'pending'));
+        let manifest = null;
+        let previous = null;
+        if (daaId) {
+            const daa = await db.query(
+                `SELECT blockchain_record_id, blockchain_network, blockchain_hash
+                 FROM debt_acknowledgment_agreements WHERE daa_id = $1`,
+                [daaId]
+            );
+            if (!daa.rows.length) return res.status(404).json({ success: false, error: 'DAA not found' });
+            // Payments, revisions and the escrow link key on the stored record id
+            if (daa.rows[0].blockchain_record_id != null) {
+                if (resubmit !== true) {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'DAA is already on chain; send resubmit: true to submit it again and replace the stored record',
+                        code: 'ALREADY_SUBMITTED',
+                        recordId: Number(daa.rows[0].blockchain_record_id),
+                        network: daa.rows[0].blockchain_network
+                    });
+                }
+                previous = daa.rows[0];
+            }
+            manifest = await new DAADocumentManifestService(db).latest(daaId);
+            if (!manifest) {
+                return res.status(409).json({ success: false, error: 'DAA has no document manifest; build one with POST /api/daa/:daaId/manifest' });
+            }
+        }
 
-        const contractWithSigner = c.connect(signer);
-        const tx = await contractWithSigner.submitAncestryRecord(
+        const docHash = manifest
+            ? manifest.merkle_root
+            : ethers.isHexString(genealogyHash, 32)
+                ? genealogyHash
+                : ethers.keccak256(ethers.toUtf8Bytes(genealogyHash || 'pending'));
+
+        const submission = await submitAncestryRecord(c.connect(signer), network, {
             ancestorName,
-            familySearchId || '',
+            familySearchId,
             docHash,
-            amount,
-            notes || ''
-        );
-
-        const receipt = await tx.wait();
-
-        // Extract record ID from event
-        const event = receipt.logs.find(log => {
-            try {
-                return c.interface.parseLog(log)?.name === 'AncestryRecordSubmitted';
-            } catch { return false; }
+            amountUsd: totalReparationsOwed,
+            notes
         });
 
-        const recordId = event ? c.interface.parseLog(event).args[0] : null;
-
-        res.json({
-            success: true,
-            recordId: recordId ? Number(recordId) : null,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber,
-            explorerUrl: `https://basescan.org/tx/${receipt.hash}`
+        if (daaId && submission.recordId != null) {
+            await recordDAASubmission(db, daaId, submission)
+                .catch(e => console.warn(`[blockchain] storing on-chain record on DAA ${daaId} failed: ${e.message}`));
+        }
+        if (manifest) {
+            await new DAADocumentManifestService(db).markSubmitted(manifest.id, submission)
+                .catch(e => console.warn(`[blockchain] marking manifest submitted failed: ${e.message}`));
+        }
+        await new ReviewerService(db).recordDecision(req.reviewer, {
+            queue: 'debt_acknowledgment_agreements', itemId: daaId || null, action: previous ? 'resubmit' : 'submit',
+            detail: {
+                recordId: submission.recordId, network: submission.network, transactionHash: submission.transactionHash,
+                docHash, ancestorName,
+                ...(previous ? { previousRecordId: Number(previous.blockchain_record_id), previousNetwork: previous.blockchain_network,
+                    previousTransactionHash: previous.blockchain_hash } : {})
+            }
         });
+
+        res.json({ success: true, ...submission });
     } catch (error) {
         console.error('[blockchain] Submit error:', error.message);
         res.status(500).json({ success: false, error: error.message });
@@ -260,6 +415,7 @@ router.post('/verify/:id', async (req, res) => {
         if (!signer) return res.status(503).json({ success: false, error: 'Signer not configured' });
 
         const c = getContract();
+        if (!c) return res.status(503).json({ success: false, error: 'Contract not configured' });
         const contractWithSigner = c.connect(signer);
 
         const tx = await contractWithSigner.verifyAncestryRecord(parseInt(req.params.id));
@@ -268,7 +424,7 @@ router.post('/verify/:id', async (req, res) => {
         res.json({
             success: true,
             transactionHash: receipt.hash,
-            explorerUrl: `https://basescan.org/tx/${receipt.hash}`
+            explorerUrl: explorerTxUrl(network, receipt.hash)
         });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -279,34 +435,190 @@ router.post('/verify/:id', async (req, res) => {
  * POST /api/blockchain/update-amount/:id
  * Update reparations owed (revisable DAA)
  *
- * Body: { newAmount: number, reason: string }
+ * Body: { proposalId } — apply an approved revision proposal (amount and reason
+ *                        come from the proposal, which must be for record :id
+ *                        on the active network)
+ *    or { newAmount: number, reason: string } — direct revision, recorded as a
+ *                        'direct' revision of the DAA holding record :id
+ *
+ * The proposal is claimed (approved → applying) before the transaction is
+ * sent, so two concurrent applies cannot both send it.
  */
-router.post('/update-amount/:id', async (req, res) => {
+router.post('/update-amount/:id', requireRole('finance'), async (req, res) => {
+    const revisions = new DAARevisionService(db, null);
     try {
+        const recordId = parseInt(req.params.id);
+        const { proposalId } = req.body || {};
+        let { newAmount, reason } = req.body || {};
+        if (proposalId == null && newAmount == null) {
+            return res.status(400).json({ success: false, error: 'newAmount or proposalId required' });
+        }
+        if (proposalId == null && !(Number(newAmount) > 0)) {
+            return res.status(400).json({ success: false, error: 'newAmount must be a positive number' });
+        }
+
         const signer = getSigner();
         if (!signer) return res.status(503).json({ success: false, error: 'Signer not configured' });
 
         const c = getContract();
+        if (!c) return res.status(503).json({ success: false, error: 'Contract not configured' });
         const contractWithSigner = c.connect(signer);
 
-        const { newAmount, reason } = req.body;
-        const amount = ethers.parseUnits(String(newAmount), 6);
+        let proposal;
+        if (proposalId != null) {
+            proposal = await revisions.claimForApply(proposalId, recordId, network.key);
+            newAmount = proposal.proposed_amount_usd;
+            reason = proposal.reason;
+        } else {
+            reason = reason || 'Methodology revision';
+            proposal = await revisions.recordDirect(recordId, {
+                network: network.key, amount: newAmount, reason, reviewer: req.reviewer.username
+            });
+        }
 
-        const tx = await contractWithSigner.updateReparationsOwed(
-            parseInt(req.params.id),
-            amount,
-            reason || 'Methodology revision'
-        );
+        let tx;
+        try {
+            tx = await contractWithSigner.updateReparationsOwed(
+                recordId,
+                ethers.parseUnits(String(newAmount), 6),
+                reason || 'Methodology revision'
+            );
+        } catch (error) {
+            // Nothing was broadcast, so the claim can be given back
+            if (proposal) await revisions.release(proposal.id, error.message);
+            throw error;
+        }
         const receipt = await tx.wait();
 
+        if (proposal) proposal = await revisions.markApplied(proposal.id, receipt.hash);
+        await new ReviewerService(db).recordDecision(req.reviewer, {
+            queue: 'daa_amount_revisions', itemId: proposal ? proposal.id : null, action: 'apply',
+            detail: { recordId, newAmount: String(newAmount), reason: reason || 'Methodology revision', transactionHash: receipt.hash }
+        });
+
         res.json({
             success: true,
             transactionHash: receipt.hash,
-            explorerUrl: `https://basescan.org/tx/${receipt.hash}`
+            explorerUrl: explorerTxUrl(network, receipt.hash),
+            proposal
         });
     } catch (error) {
+        if (error instanceof DAARevisionError) {
+            return res.status(error.httpStatus).json({ success: false, error: error.message, code: error.code });
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ── Lineage-ledger Merkle root (ReparationsLedger) ────────────────
+
+function merkleFailure(res, error) {
+    if (error instanceof LedgerMerkleError) {
+        return res.status(error.httpStatus).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('[blockchain] Merkle error:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * GET /api/blockchain/merkle/root
+ * The root ReparationsLedger holds now and the stored snapshot it matches
+ */
+router.get('/merkle/root', async (req, res) => {
+    try {
+        const { root, snapshot } = await new LedgerMerkleService(db).onChainRoot();
+        res.json({ success: true, network: networkInfo(), root, snapshot });
+    } catch (error) {
+        merkleFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/blockchain/merkle/snapshots?limit=&offset=
+ */
+router.get('/merkle/snapshots', async (req, res) => {
+    try {
+        const snapshots = await new LedgerMerkleService(db).list({ limit: req.query.limit, offset: req.query.offset });
+        res.json({ success: true, count: snapshots.length, snapshots });
+    } catch (error) {
+        merkleFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/blockchain/merkle/snapshots/:id
+ * Every entry with its leaf — enough to rebuild the tree independently
+ */
+router.get('/merkle/snapshots/:id', async (req, res) => {
+    try {
+        const merkle = new LedgerMerkleService(db);
+        const snapshot = await merkle.get(parseInt(req.params.id));
+        if (!snapshot) return res.status(404).json({ success: false, error: 'Snapshot not found' });
+        res.json({ success: true, snapshot, entries: await merkle.entries(snapshot.id) });
+    } catch (error) {
+        merkleFailure(res, error);
+    }
+});
+
+/**
+ * POST /api/blockchain/merkle/snapshots
+ * Snapshot the live daa_lineage_contributions. Returns the existing snapshot
+ * (201 only when new) if the tree is unchanged.
+ */
+router.post('/merkle/snapshots', requireRole('finance'), async (req, res) => {
+    try {
+        const snapshot = await new LedgerMerkleService(db).snapshot({ createdBy: req.reviewer.username });
+        if (snapshot.created) {
+            await new ReviewerService(db).recordDecision(req.reviewer, {
+                queue: 'ledger_merkle_snapshots', itemId: snapshot.id, action: 'snapshot',
+                detail: { merkleRoot: snapshot.merkle_root, entryCount: snapshot.entry_count }
+            });
+        }
+        res.status(snapshot.created ? 201 : 200).json({ success: true, snapshot });
+    } catch (error) {
+        merkleFailure(res, error);
+    }
+});
+
+/**
+ * POST /api/blockchain/merkle/snapshots/:id/publish
+ * setMerkleRoot on ReparationsLedger with the deployer key (must be the ledger owner)
+ */
+router.post('/merkle/snapshots/:id/publish', requireRole('finance'), async (req, res) => {
+    try {
+        const published = await new LedgerMerkleService(db)
+            .publish(parseInt(req.params.id), { publishedBy: req.reviewer.username });
+        await new ReviewerService(db).recordDecision(req.reviewer, {
+            queue: 'ledger_merkle_snapshots', itemId: published.snapshot.id, action: 'publish',
+            detail: { merkleRoot: published.snapshot.merkle_root, previousRoot: published.previousRoot, transactionHash: published.transactionHash }
+        });
+        res.json({ success: true, network: networkInfo(), ...published });
+    } catch (error) {
+        merkleFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/blockchain/merkle/proof
+ * Query: contributionId, or daaId (+ lineageId) — every contribution of the DAA;
+ *        snapshotId (default: latest published); onChain=1 also asks the ledger
+ *
+ * To check independently: leaf = keccak256(canonical JSON of entry), then fold
+ * the proof with sorted-pair keccak256 and compare with ReparationsLedger.merkleRoot().
+ */
+router.get('/merkle/proof', async (req, res) => {
+    const snapshotId = req.query.snapshotId === undefined ? null : parseInt(req.query.snapshotId);
+    if (Number.isNaN(snapshotId)) return res.status(400).json({ success: false, error: 'snapshotId must be an integer' });
+    try {
+        const result = await new LedgerMerkleService(db).prove({
+            contributionId: req.query.contributionId || null,
+            daaId: req.query.daaId || null,
+            lineageId: req.query.lineageId || null,
+        }, { snapshotId, checkChain: req.query.onChain === '1' || req.query.onChain === 'true' });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        merkleFailure(res, error);
+    }
+});
+
 module.exports = router;
@@ -16,14 +16,17 @@ const SourceAnalyzer = require('../../services/SourceAnalyzer');
 const FamilySearchCatalogProcessor = require('../../services/FamilySearchCatalogProcessor');
 const UniversalRouter = require('../../services/UniversalRouter');
 const PersonService = require('../../services/PersonService');
-const { isAdmin } = require('../../middleware/admin-auth');
+const ReviewerService = require('../../services/ReviewerService');
+const { isAdmin, requireRole } = require('../../middleware/admin-auth');
 // External-assertion gate (M102): public callers see only canonical persons with a stored
 // proposition-specific document (assertable_slaveowner OR assertable_enslaved). Authenticated
-// curator/research callers (admin token) bypass it. Returns a SQL fragment for canonical WHERE.
-const canonicalGateClause = (req) => (isAdmin(req) ? '' : ' AND (assertable_slaveowner OR assertable_enslaved)');
+// curator/research callers (admin token) bypass it. Resolves to a SQL fragment for canonical WHERE.
+const canonicalGateClause = async (req) => ((await isAdmin(req)) ? '' : ' AND (assertable_slaveowner OR assertable_enslaved)');
 
 // Use centralized database connection (Neon serverless HTTP)
 const { query: dbQuery, pool: sharedPool } = require('../../database/connection');
+// Review-queue decisions are stamped with the reviewer and audited (M115).
+const reviewers = new ReviewerService(sharedPool);
 
 // Initialize classifiers and analyzers
 const sourceClassifier = new SourceClassifier();
@@ -193,13 +196,14 @@ router.get('/search/:query', async (req, res) => {
         const idMatch = query.trim().match(/^(?:id:|#)?\s*(\d+)$/i);
         if (idMatch) {
             const pid = idMatch[1];
+            const gate = await canonicalGateClause(req);
             const idResult = await sharedPool.query(`
                 SELECT id::text AS id, canonical_name AS name, person_type AS type,
                        NULL AS source_url, 'canonical' AS source_type,
                        COALESCE(confidence_score, 1.0) AS confidence_score,
                        CONCAT_WS(', ', primary_county, primary_state) AS locations,
                        notes AS context_text, created_at, 'canonical_persons' AS table_source
-                FROM canonical_persons WHERE id = $1::int${canonicalGateClause(req)}
+                FROM canonical_persons WHERE id = $1::int${gate}
                 UNION ALL
                 SELECT lead_id::text, full_name, person_type, source_url, source_type,
                        confidence_score, array_to_string(locations, ', '), context_text,
@@ -314,7 +318,7 @@ router.get('/search/:query', async (req, res) => {
         // External-assertion gate: hide canonicals with no stored proposition-specific document
         // from public search (admin/research token bypasses). enslaved_individuals + unconfirmed
         // leads are a separate tier (not gated by these canonical flags).
-        canonicalWhere += canonicalGateClause(req);
+        canonicalWhere += await canonicalGateClause(req);
 
         // Handle source filter
         if (source) {
@@ -904,7 +908,7 @@ router.get('/person/:id', async (req, res) => {
                 // STUB (no slaveowner/enslaved assertion, no enslaved list / forensic estate) with a
                 // "documentation pending" note — honest, and makes no external claim. Authenticated
                 // curator/research callers (admin token) bypass and get the full profile.
-                if (!isAdmin(req) && !person.assertable_slaveowner && !person.assertable_enslaved) {
+                if (!(await isAdmin(req)) && !person.assertable_slaveowner && !person.assertable_enslaved) {
                     return res.json({
                         success: true,
                         gated: true,
@@ -4471,7 +4475,7 @@ router.post('/smart-extract', async (req, res) => {
  * POST /api/contribute/review-queue/:id/approve
  * Approve a review item and create enslaved individual
  */
-router.post('/review-queue/:id/approve', async (req, res) => {
+router.post('/review-queue/:id/approve', requireRole('curator'), async (req, res) => {
     try {
         const { id } = req.params;
         const { full_name, gender, notes } = req.body;
@@ -4531,9 +4535,14 @@ router.post('/review-queue/:id/approve', async (req, res) => {
             UPDATE name_match_queue
             SET queue_status = 'approved',
                 resolved_at = NOW(),
-                resolution_type = 'human_approved'
+                resolution_type = 'human_approved',
+                resolved_by = $2
             WHERE id = $1
-        `, [id]);
+        `, [id, req.reviewer.username]);
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'name_match_queue', itemId: id, action: 'approve',
+            detail: { enslaved_id: insertResult.rows[0].enslaved_id, full_name: full_name || item.unconfirmed_name },
+        });
         res.json({
             success: true,
             message: 'Enslaved individual created',
@@ -4550,7 +4559,7 @@ router.post('/review-queue/:id/approve', async (req, res) => {
  * POST /api/contribute/review-queue/:id/reject
  * Reject a review item
  */
-router.post('/review-queue/:id/reject', async (req, res) => {
+router.post('/review-queue/:id/reject', requireRole('curator'), async (req, res) => {
     try {
         const { id } = req.params;
         const { reason } = req.body;
@@ -4563,9 +4572,13 @@ router.post('/review-queue/:id/reject', async (req, res) => {
             SET queue_status = 'rejected',
                 resolved_at = NOW(),
                 resolution_type = 'human_rejected',
-                resolution_notes = $2
+                resolution_notes = $2,
+                resolved_by = $3
             WHERE id = $1
-        `, [id, reason || 'Rejected by reviewer']);
+        `, [id, reason || 'Rejected by reviewer', req.reviewer.username]);
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'name_match_queue', itemId: id, action: 'reject', detail: { reason: reason || null },
+        });
         res.json({
             success: true,
             message: 'Item rejected'
@@ -4581,7 +4594,7 @@ router.post('/review-queue/:id/reject', async (req, res) => {
  * POST /api/contribute/review-queue/approve-all
  * Approve all pending review items
  */
-router.post('/review-queue/approve-all', async (req, res) => {
+router.post('/review-queue/approve-all', requireRole('curator'), async (req, res) => {
     try {
         const { Pool } = require('pg');
         const pool = sharedPool;
@@ -4621,12 +4634,17 @@ router.post('/review-queue/approve-all', async (req, res) => {
 
             await pool.query(`
                 UPDATE name_match_queue
-                SET queue_status = 'approved', resolved_at = NOW(), resolution_type = 'bulk_approved'
+                SET queue_status = 'approved', resolved_at = NOW(), resolution_type = 'bulk_approved',
+                    resolved_by = $2
                 WHERE id = $1
-            `, [item.id]);
+            `, [item.id, req.reviewer.username]);
 
             approved++;
         }
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'name_match_queue', action: 'bulk_approve',
+            detail: { approved, ids: items.rows.map(i => i.id) },
+        });
         res.json({
             success: true,
             message: `Approved ${approved} items`,
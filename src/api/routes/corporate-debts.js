@@ -24,6 +24,21 @@
  *
  * See GitHub Issues: #7, #9, #12, #13
  * ═══════════════════════════════════════════════════════════════════════
+ *
+ * SUCCESSION GRAPH (M116, CorporateSuccessionTracer over entity_successions)
+ *   GET    /succession/chains                 — chain keys (jpmorgan, aetna, ...) with summary
+ *   GET    /succession/chains/:key            — one chain, predecessors at any depth
+ *   GET    /succession/lookup?q=              — company name / ticker → chain keys
+ *   GET    /succession/entities?q=            — find graph nodes by name
+ *   POST   /succession/entities               — add a (historical) corporate entity   (curator, genealogist)
+ *   GET    /succession/graph/successors       — ?entity_type=&entity_id= or ?name=; &depth=&include_pending=
+ *   GET    /succession/graph/predecessors     — same parameters, reverse direction
+ *   GET    /succession/edges                  — ?entity_id=&kind=&status=
+ *   GET    /succession/edges/:id
+ *   POST   /succession/edges                  — new edge, pending_review                (curator, genealogist)
+ *   PATCH  /succession/edges/:id              — edit; changing status needs curator,
+ *                                               others' edits send an approval back       (curator, genealogist)
+ *   DELETE /succession/edges/:id                                                       (curator)
  */
 
 const express = require('express');
@@ -33,12 +48,22 @@ const {
     ReparationsSystem,
     InsuranceCalculator,
     BankingCalculator,
-    RailroadCalculator
+    RailroadCalculator,
+    CorporateSuccessionTracer
 } = require('../../services/reparations');
+const { SuccessionError } = require('../../services/reparations/CorporateSuccessionTracer');
+const ReviewerService = require('../../services/ReviewerService');
+const { requireRole } = require('../../middleware/admin-auth');
+const db = require('../../database/connection');
 
 // Initialize database connection
 const sql = neon(process.env.DATABASE_URL);
 
+// The tracer and the reviewer log take the pg-style db.query() interface.
+const tracer = new CorporateSuccessionTracer(db);
+const reviewers = new ReviewerService(db);
+const researcher = requireRole('curator', 'genealogist');
+
 // ── Research-in-progress guard ──────────────────────────────────────────
 // All calculation endpoints wrap their results with this metadata.
 const RESEARCH_STATUS = {
@@ -549,4 +574,252 @@ router.get('/brown-brothers-harriman', async (req, res) => {
     }
 });
 
+// ========================================================================
+// SUCCESSION GRAPH (M116)
+// ========================================================================
+
+function successionFailure(res, error) {
+    if (error instanceof SuccessionError) {
+        // AMBIGUOUS carries the matching entities so the caller can pick an entity_id
+        return res.status(error.httpStatus).json({ success: false, error: error.message, code: error.code, candidates: error.candidates });
+    }
+    console.error('Succession graph error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Resolve the start node of a graph query: explicit ?entity_type=&entity_id=,
+ * or ?name= when it matches exactly one entity (409 AMBIGUOUS with the
+ * candidates otherwise).
+ */
+async function resolveStart(query) {
+    if (query.entity_id) {
+        return { type: query.entity_type || 'corporate_entity', id: query.entity_id };
+    }
+    if (!query.name) throw new SuccessionError('entity_id or name is required', 'BAD_INPUT');
+    const matches = await tracer.findEntities(query.name);
+    if (matches.length === 0) throw new SuccessionError(`No entity matches "${query.name}"`, 'NOT_FOUND', 404);
+    if (matches.length > 1) {
+        const err = new SuccessionError(`"${query.name}" matches ${matches.length} entities; pass entity_id`, 'AMBIGUOUS', 409);
+        err.candidates = matches;
+        throw err;
+    }
+    return { type: matches[0].type, id: matches[0].id };
+}
+
+function graphOptions(query) {
+    return {
+        maxDepth: query.depth,
+        includePending: query.include_pending === 'true' || query.include_pending === '1'
+    };
+}
+
+/**
+ * GET /api/corporate-debts/succession/chains
+ */
+router.get('/succession/chains', async (req, res) => {
+    try {
+        const chains = await tracer.listAllChains();
+        res.json({ success: true, count: chains.length, chains });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/corporate-debts/succession/chains/:key
+ */
+router.get('/succession/chains/:key', async (req, res) => {
+    try {
+        const chain = await tracer.getChain(req.params.key);
+        if (!chain) return res.status(404).json({ success: false, error: `No chain "${req.params.key}"` });
+        res.json({ success: true, key: req.params.key, chain });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/corporate-debts/succession/lookup?q=Canal%20Bank
+ */
+router.get('/succession/lookup', async (req, res) => {
+    try {
+        const matches = await tracer.reverseLookup(req.query.q);
+        res.json({ success: true, query: req.query.q || '', matches });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/corporate-debts/succession/entities?q=
+ */
+router.get('/succession/entities', async (req, res) => {
+    try {
+        const entities = await tracer.findEntities(req.query.q, { limit: req.query.limit });
+        res.json({ success: true, count: entities.length, entities });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * POST /api/corporate-debts/succession/entities
+ * Body: { name, historicalName?, entityType?, ticker?, active?, firstDocumentedYear?, sourceDocument?, sourceUrl?, notes? }
+ */
+router.post('/succession/entities', researcher, async (req, res) => {
+    const body = req.body || {};
+    try {
+        const entity = await tracer.createEntity({
+            name: body.name,
+            historicalName: body.historicalName || null,
+            entityType: body.entityType || null,
+            ticker: body.ticker || null,
+            active: !!body.active,
+            firstDocumentedYear: body.firstDocumentedYear || null,
+            sourceDocument: body.sourceDocument || null,
+            sourceUrl: body.sourceUrl || null,
+            notes: body.notes || null
+        });
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'corporate_entities', itemId: entity.id, action: 'create', detail: { name: entity.name }
+        });
+        res.status(201).json({ success: true, entity });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/corporate-debts/succession/graph/successors?name=Canal%20Bank
+ * Every entity downstream, and the present-day endpoints with their paths.
+ */
+router.get('/succession/graph/successors', async (req, res) => {
+    try {
+        const graph = await tracer.successors(await resolveStart(req.query), graphOptions(req.query));
+        res.json({ success: true, ...graph });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/corporate-debts/succession/graph/predecessors?name=JPMorgan
+ */
+router.get('/succession/graph/predecessors', async (req, res) => {
+    try {
+        const graph = await tracer.predecessors(await resolveStart(req.query), graphOptions(req.query));
+        res.json({ success: true, ...graph });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/corporate-debts/succession/edges?entity_id=&kind=&status=
+ */
+router.get('/succession/edges', async (req, res) => {
+    try {
+        const edges = await tracer.listSuccessions({
+            entityId: req.query.entity_id || null,
+            kind: req.query.kind || null,
+            status: req.query.status || null,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+        res.json({ success: true, count: edges.length, edges });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * GET /api/corporate-debts/succession/edges/:id
+ */
+router.get('/succession/edges/:id', async (req, res) => {
+    try {
+        res.json({ success: true, edge: await tracer.getSuccession(req.params.id) });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * POST /api/corporate-debts/succession/edges
+ * Body: { predecessor: {type, id}, successor: {type, id}, kind, year?, date?, legalInstrument?,
+ *         flowPath?, traceability?, citation?, notes? }
+ * New edges are pending_review; graph queries skip them until a curator approves.
+ */
+router.post('/succession/edges', researcher, async (req, res) => {
+    const body = req.body || {};
+    try {
+        const edge = await tracer.addSuccession({
+            predecessor: body.predecessor,
+            successor: body.successor,
+            kind: body.kind,
+            year: body.year ?? null,
+            date: body.date || null,
+            legalInstrument: body.legalInstrument || null,
+            flowPath: body.flowPath || null,
+            traceability: body.traceability || 'partial',
+            citation: body.citation || null,
+            notes: body.notes || null,
+            status: 'pending_review',
+            createdBy: req.reviewer.username
+        });
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'entity_successions', itemId: edge.id, action: 'create',
+            detail: { predecessor: edge.predecessor, successor: edge.successor, kind: edge.kind }
+        });
+        res.status(201).json({ success: true, edge });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * PATCH /api/corporate-debts/succession/edges/:id
+ * Body: any of { kind, year, date, legalInstrument, flowPath, traceability, citation, notes, status }
+ * An edit by a non-curator sends an approved edge back to pending_review.
+ */
+router.patch('/succession/edges/:id', researcher, async (req, res) => {
+    const body = req.body || {};
+    const curator = req.reviewer.roles.includes('curator');
+    if (body.status !== undefined && !curator) {
+        return res.status(403).json({ success: false, error: 'Requires role: curator (to change review status)' });
+    }
+    const changes = {};
+    for (const key of ['kind', 'year', 'date', 'legalInstrument', 'flowPath', 'traceability', 'citation', 'notes', 'status']) {
+        if (body[key] !== undefined) changes[key] = body[key];
+    }
+    try {
+        const edge = await tracer.updateSuccession(req.params.id, changes, req.reviewer.username,
+            { resetApproval: !curator });
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'entity_successions', itemId: edge.id,
+            action: changes.status ? changes.status : 'update',
+            detail: { ...changes, status: edge.status }
+        });
+        res.json({ success: true, edge });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
+/**
+ * DELETE /api/corporate-debts/succession/edges/:id
+ */
+router.delete('/succession/edges/:id', requireRole('curator'), async (req, res) => {
+    try {
+        const edge = await tracer.deleteSuccession(req.params.id);
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'entity_successions', itemId: edge.id, action: 'delete',
+            detail: { predecessor: edge.predecessor, successor: edge.successor, kind: edge.kind }
+        });
+        res.json({ success: true, deleted: edge });
+    } catch (error) {
+        successionFailure(res, error);
+    }
+});
+
 module.exports = router;
@@ -8,6 +8,39 @@
  * `participants` row — including the M037 wealth-fingerprint columns that
  * the calculators expect but the script CLI never passed in. (Partial fix
  * toward issue #40; full fix requires calculators to re-read the row.)
+ *
+ * GET /:daaId/scenarios re-runs the debt calculation for an existing DAA under
+ * every rate-resolver anchor family and both Darity operationalizations
+ * (ScenarioEngine) — a sensitivity table plus a tornado breakdown.
+ *
+ * Calculation snapshots (M113, DAASnapshotService):
+ *   GET  /:daaId/snapshots           — frozen manifest versions
+ *   GET  /:daaId/snapshots/:version  — one manifest
+ *   POST /:daaId/verify              — recompute from the manifest and from live
+ *                                      rows; records the outcome on the snapshot
+ *   GET  /:daaId/diff                — the same comparison, nothing recorded
+ *
+ * Signing workflow (M114, DAASigningService) — draft → sent → signed → countersigned:
+ *   GET  /signing                    — agreements with signing status (finance)
+ *   GET  /:daaId/signing             — one agreement's signing requests (finance)
+ *   POST /:daaId/signing/send        — issue obligor + countersigner links (finance)
+ *   GET  /sign/:token                — what the signer sees behind a link (public)
+ *   POST /sign/:token                — record a signature, optional EIP-191 (public)
+ *
+ * Installments and payments (M119, DAAInstallmentService) — finance role:
+ *   GET  /:daaId/schedule            — active installment plan
+ *   POST /:daaId/schedule            — create the plan, or re-assess it from a date
+ *   POST /:daaId/payments            — record an off-chain payment
+ *   GET  /:daaId/payment-status      — installments reconciled against off- and
+ *                                      on-chain payments; arrears, next due, credit
+ *   GET  /arrears                    — DAAs behind on their plan
+ *
+ * Document manifests (M125, DAADocumentManifestService) — the CIDs of the
+ * documents behind a DAA under one Merkle root, the on-chain docHash:
+ *   GET  /:daaId/manifest            — latest manifest (?version=N for another)
+ *   POST /:daaId/manifest            — rebuild; a new version only when the root changes (curator)
+ *   GET  /:daaId/manifest/verify     — ?documentId= or ?cid= (&version=) — inclusion
+ *                                      proof against the manifest root (public)
  */
 
 const express = require('express');
@@ -17,6 +50,14 @@ const DAAGenerator = require('../../services/reparations/DAAGenerator');
 const DAADocumentGenerator = require('../../services/reparations/DAADocumentGenerator');
 const DAAOrchestrator = require('../../services/reparations/DAAOrchestrator');
 const { DAAProbateGateError } = require('../../services/reparations/DAAOrchestrator');
+const ScenarioEngine = require('../../services/reparations/ScenarioEngine');
+const { DAASigningError } = require('../../services/reparations/DAASigningService');
+const { DAAInstallmentError, FREQUENCIES } = require('../../services/reparations/DAAInstallmentService');
+const { DAAManifestError } = require('../../services/reparations/DAADocumentManifestService');
+const ReviewerService = require('../../services/ReviewerService');
+const { requireRole } = require('../../middleware/admin-auth');
+const { getActiveNetwork } = require('../../services/blockchain/network-config');
+const { escrowSigner, submitAncestryRecord, recordDAASubmission } = require('../../services/blockchain/escrow-submission');
 
 let _orchestrator = null;
 function getOrchestrator() {
@@ -28,6 +69,12 @@ function getOrchestrator() {
     return _orchestrator;
 }
 
+let _scenarioEngine = null;
+function getScenarioEngine() {
+    if (!_scenarioEngine) _scenarioEngine = new ScenarioEngine(db, getOrchestrator());
+    return _scenarioEngine;
+}
+
 async function hydrateFromParticipant(participantId) {
     const r = await db.query(`SELECT * FROM participants WHERE id = $1 LIMIT 1`, [participantId]);
     if (r.rowCount === 0) return null;
@@ -114,6 +161,17 @@ router.post('/generate', async (req, res) => {
             }
         }
 
+        // Keep the on-chain record on the agreement so signing-time wallet
+        // signatures (M114) and revision proposals can reference it.
+        if (onchain?.success && onchain.recordId != null) {
+            await recordDAASubmission(db, result.daaRecord.daaId, onchain)
+                .catch(e => console.warn(`[daa] storing on-chain record failed: ${e.message}`));
+        }
+        if (onchain?.success && result.documentManifest) {
+            await getOrchestrator().manifests.markSubmitted(result.documentManifest.id, onchain)
+                .catch(e => console.warn(`[daa] marking manifest submitted failed: ${e.message}`));
+        }
+
         // Link DAA to participant if we have one (idempotent; PK is
         // (participant_id, daa_id) per migration 036).
         if (participantRow && result?.daaRecord?.daaId) {
@@ -129,6 +187,13 @@ router.post('/generate', async (req, res) => {
             daaId: result.daaRecord.daaId,
             agreementNumber: result.daaRecord.agreementNumber,
             docxPath: result.docxPath,
+            documentSha256: result.documentSha256,
+            documentManifest: result.documentManifest ? {
+                version: result.documentManifest.version,
+                merkleRoot: result.documentManifest.merkle_root,
+                manifestCid: result.documentManifest.manifest_cid,
+                documentCount: result.documentManifest.document_count,
+            } : null,
             slaveholderCount: result.slaveholderData.length,
             enslavedCount: result.debtCalculation.totalEnslavedCount,
             totalDebt: result.debtCalculation.totalDebt,
@@ -147,52 +212,404 @@ router.post('/generate', async (req, res) => {
     }
 });
 
-// Internal helper. Mirrors src/api/routes/blockchain.js POST /submit but
-// callable in-process so we don't need an HTTP round-trip from this handler
-// to itself. Returns { success, recordId, transactionHash, explorerUrl } or
+// Internal helper. Same submission as src/api/routes/blockchain.js POST /submit
+// (escrow-submission.js) on the active network, callable in-process so we
+// don't need an HTTP round-trip from this handler to itself. Returns
+// { success, recordId, transactionHash, network, explorerUrl } or
 // { success:false, error } when the deployer key isn't configured.
 async function submitDAAOnChain(daaResult, acknowledgerInfo) {
-    if (!process.env.DEPLOYER_PRIVATE_KEY) {
+    const network = getActiveNetwork();
+    const contract = escrowSigner(network);
+    if (!contract) {
         return { success: false, error: 'DEPLOYER_PRIVATE_KEY not configured — server-side submission disabled' };
     }
     const { ethers } = require('ethers');
-    const fs = require('fs');
-    const path = require('path');
-
-    const deployment = JSON.parse(fs.readFileSync(
-        path.resolve(__dirname, '../../../deployments/base-deployment.json'), 'utf-8'));
-    const abi = JSON.parse(fs.readFileSync(
-        path.resolve(__dirname, '../../../deployments/ReparationsEscrow-abi.json'), 'utf-8'));
-
-    const provider = new ethers.JsonRpcProvider('https://mainnet.base.org');
-    const signer = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider);
-    const contract = new ethers.Contract(deployment.contractAddress, abi, signer);
 
     const totalOwed = daaResult.debtCalculation.recommendedDebt || daaResult.debtCalculation.totalDebt || 0;
     const ancestorName = daaResult.daaRecord.slaveholderName || daaResult.slaveholderData?.[0]?.slaveholder?.slaveholder_name || acknowledgerInfo.name;
     const fsIdForRecord = daaResult.slaveholderData?.[0]?.slaveholder?.slaveholder_fs_id || '';
-    const docHash = ethers.keccak256(ethers.toUtf8Bytes(daaResult.daaRecord.daaId || daaResult.docxPath || 'pending'));
-    const amount = ethers.parseUnits(String(totalOwed.toFixed(2)), 6);
-    const notes = `DAA ${daaResult.daaRecord.agreementNumber || daaResult.daaRecord.daaId}`;
+    // docHash is the root of the DAA's document manifest (M125), which has the
+    // signed DOCX (M114) as one of its leaves. Without a manifest, fall back to
+    // the DOCX SHA-256 itself.
+    const docHash = daaResult.documentManifest
+        ? daaResult.documentManifest.merkle_root
+        : daaResult.documentSha256
+            ? `0x${daaResult.documentSha256}`
+            : ethers.keccak256(ethers.toUtf8Bytes(daaResult.daaRecord.daaId || daaResult.docxPath || 'pending'));
 
-    const tx = await contract.submitAncestryRecord(ancestorName, fsIdForRecord, docHash, amount, notes);
-    const receipt = await tx.wait();
-
-    const event = receipt.logs.find(l => {
-        try { return contract.interface.parseLog(l)?.name === 'AncestryRecordSubmitted'; }
-        catch { return false; }
+    const submission = await submitAncestryRecord(contract, network, {
+        ancestorName,
+        familySearchId: fsIdForRecord,
+        docHash,
+        amountUsd: Number(totalOwed),
+        notes: `DAA ${daaResult.daaRecord.agreementNumber || daaResult.daaRecord.daaId}`,
     });
-    const recordId = event ? Number(contract.interface.parseLog(event).args[0]) : null;
+    return { success: true, ...submission };
+}
 
-    return {
-        success: true,
-        recordId,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        explorerUrl: `https://basescan.org/tx/${receipt.hash}`,
-    };
+// GET /api/daa/:daaId/scenarios
+// Query (optional): rate_<family>=<decimal> overrides one anchor family's rate,
+//   e.g. ?rate_bond_yield=0.04
+// Financial inputs come from the linked participant (participant_daas) when
+// there is one, else the income stored on the agreement.
+router.get('/:daaId/scenarios', async (req, res) => {
+    try {
+        const engine = getScenarioEngine();
+        const inputs = await engine.loadDaaInputs(req.params.daaId);
+        if (!inputs) return res.status(404).json({ success: false, error: 'DAA not found' });
+
+        let financials = inputs.financials;
+        const link = await db.query(
+            `SELECT participant_id FROM participant_daas WHERE daa_id = $1 LIMIT 1`, [req.params.daaId]);
+        if (link.rows.length) {
+            const hydrated = await hydrateFromParticipant(link.rows[0].participant_id);
+            if (hydrated) financials = { ...hydrated, annualIncome: hydrated.annualIncome || financials.annualIncome };
+        }
+
+        const rates = {};
+        for (const family of ScenarioEngine.RATE_FAMILIES) {
+            const v = req.query[`rate_${family}`];
+            if (v === undefined) continue;
+            if (!Number.isFinite(Number(v)) || Number(v) < 0 || Number(v) > 1) {
+                return res.status(400).json({ success: false, error: `rate_${family} must be a decimal between 0 and 1` });
+            }
+            rates[family] = Number(v);
+        }
+
+        const result = await engine.run(inputs.slaveholderData, financials, { rates });
+        return res.json({
+            success: true,
+            daaId: inputs.daa.daa_id,
+            agreementNumber: inputs.daa.agreement_number,
+            issuedTotalDebt: Number(inputs.daa.total_debt),
+            slaveholderCount: inputs.slaveholderData.length,
+            enslavedCount: inputs.slaveholderData.reduce((n, d) => n + d.enslavedPersons.length, 0),
+            participantLinked: link.rows.length > 0,
+            ...result,
+        });
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/daa/:daaId/snapshots
+router.get('/:daaId/snapshots', async (req, res) => {
+    try {
+        const snapshots = await getOrchestrator().snapshots.list(req.params.daaId);
+        return res.json({ success: true, daaId: req.params.daaId, snapshots });
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/daa/:daaId/snapshots/:version
+router.get('/:daaId/snapshots/:version', async (req, res) => {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version)) return res.status(400).json({ success: false, error: 'version must be an integer' });
+    try {
+        const snapshot = await getOrchestrator().snapshots.get(req.params.daaId, version);
+        if (!snapshot) return res.status(404).json({ success: false, error: 'snapshot not found' });
+        return res.json({ success: true, snapshot });
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/daa/:daaId/verify   Body: { version? }  (default latest)
+// GET  /api/daa/:daaId/diff     Query: ?version=N  — read-only
+async function verifySnapshot(req, res, record) {
+    const raw = record ? req.body?.version : req.query.version;
+    const version = raw === undefined || raw === null || raw === '' ? null : parseInt(raw, 10);
+    if (version !== null && !Number.isInteger(version)) {
+        return res.status(400).json({ success: false, error: 'version must be an integer' });
+    }
+    try {
+        const outcome = await getOrchestrator().snapshots.verify(req.params.daaId, { version, record });
+        if (!outcome) return res.status(404).json({ success: false, error: 'no calculation snapshot for this DAA' });
+        return res.json({ success: true, ...outcome });
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+}
+router.post('/:daaId/verify', (req, res) => verifySnapshot(req, res, true));
+router.get('/:daaId/diff', (req, res) => verifySnapshot(req, res, false));
+
+function signingFailure(res, error) {
+    if (error instanceof DAASigningError) {
+        return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+    }
+    return res.status(500).json({ success: false, error: error.message });
+}
+
+// GET /api/daa/signing   Query: ?status=draft|sent|signed|countersigned&limit=
+router.get('/signing', async (req, res) => {
+    try {
+        const agreements = await getOrchestrator().signing.list({
+            signingStatus: req.query.status || null,
+            limit: req.query.limit,
+        });
+        return res.json({ success: true, count: agreements.length, agreements });
+    } catch (error) {
+        return signingFailure(res, error);
+    }
+});
+
+// GET /api/daa/:daaId/signing
+router.get('/:daaId/signing', async (req, res) => {
+    try {
+        const signing = await getOrchestrator().signing.status(req.params.daaId);
+        if (!signing) return res.status(404).json({ success: false, error: 'DAA not found' });
+        return res.json({ success: true, signing });
+    } catch (error) {
+        return signingFailure(res, error);
+    }
+});
+
+// POST /api/daa/:daaId/signing/send
+// Body: { countersigner: { name, email? }, obligor?: { name, email? }, expiresInDays? }
+// The response carries the link tokens; they are not stored and cannot be
+// retrieved again (re-sending revokes the outstanding links). Gated to finance
+// in server.js, which sets req.reviewer.
+router.post('/:daaId/signing/send', async (req, res) => {
+    const body = req.body || {};
+    try {
+        const sent = await getOrchestrator().signing.send(req.params.daaId, {
+            obligor: body.obligor,
+            countersigner: body.countersigner,
+            expiresInDays: body.expiresInDays,
+            sentBy: req.reviewer.username,
+        });
+        await new ReviewerService(db).recordDecision(req.reviewer, {
+            queue: 'daa_signing_requests', itemId: req.params.daaId, action: 'send',
+            detail: {
+                documentSha256: sent.documentSha256,
+                requests: sent.requests.map(r => ({ id: r.id, role: r.role, signerName: r.signerName, expiresAt: r.expiresAt })),
+            },
+        });
+        return res.json({ success: true, ...sent });
+    } catch (error) {
+        return signingFailure(res, error);
+    }
+});
+
+// GET /api/daa/sign/:token
+router.get('/sign/:token', async (req, res) => {
+    try {
+        const signing = await getOrchestrator().signing.lookup(req.params.token);
+        return res.json({ success: true, ...signing });
+    } catch (error) {
+        return signingFailure(res, error);
+    }
+});
+
+// POST /api/daa/sign/:token
+// Body: { typedName, walletAddress?, walletSignature? }
+// walletSignature is personal_sign (EIP-191) over the walletMessage returned
+// by GET /sign/:token.
+router.post('/sign/:token', async (req, res) => {
+    const body = req.body || {};
+    try {
+        const signed = await getOrchestrator().signing.sign(req.params.token, {
+            typedName: body.typedName,
+            walletAddress: body.walletAddress,
+            walletSignature: body.walletSignature,
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null,
+        });
+        return res.json({ success: true, ...signed });
+    } catch (error) {
+        return signingFailure(res, error);
+    }
+});
+
+function installmentFailure(res, error) {
+    if (error instanceof DAAInstallmentError) {
+        return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+    }
+    return res.status(500).json({ success: false, error: error.message });
+}
+
+// GET /api/daa/arrears   Query: ?asOf=YYYY-MM-DD&limit=
+router.get('/arrears', requireRole('finance'), async (req, res) => {
+    try {
+        const agreements = await getOrchestrator().installments.arrears({ asOf: req.query.asOf || null, limit: req.query.limit });
+        return res.json({ success: true, count: agreements.length, agreements });
+    } catch (error) {
+        return installmentFailure(res, error);
+    }
+});
+
+// GET /api/daa/:daaId/schedule
+router.get('/:daaId/schedule', requireRole('finance'), async (req, res) => {
+    try {
+        const installments = getOrchestrator().installments;
+        const schedule = await installments.activeSchedule(req.params.daaId);
+        if (!schedule) return res.status(404).json({ success: false, error: 'no installment plan for this DAA' });
+        return res.json({ success: true, schedule, installments: await installments.installments(schedule.id) });
+    } catch (error) {
+        return installmentFailure(res, error);
+    }
+});
+
+// POST /api/daa/:daaId/schedule
+// Body: { frequency?: 'annual'|'monthly', startDate?, annualAmount?, reassessEveryMonths?, horizonYears?,
+//         annualIncome?, netWorth?, corporateConnection?, fromParticipant?: bool }
+// With fromParticipant the tiered inputs are re-read from the linked participant
+// row — the usual way to re-assess income. A plan that already exists is
+// re-assessed: installments due before startDate are kept, the rest re-planned.
+router.post('/:daaId/schedule', requireRole('finance'), async (req, res) => {
+    const body = req.body || {};
+    if (body.frequency !== undefined && !FREQUENCIES.includes(body.frequency)) {
+        return res.status(400).json({ success: false, error: `frequency must be one of ${FREQUENCIES.join(', ')}` });
+    }
+    try {
+        let income = { annualIncome: body.annualIncome, netWorth: body.netWorth, corporateConnection: body.corporateConnection };
+        if (body.fromParticipant) {
+            const link = await db.query(
+                `SELECT participant_id FROM participant_daas WHERE daa_id = $1 LIMIT 1`, [req.params.daaId]);
+            const hydrated = link.rows.length ? await hydrateFromParticipant(link.rows[0].participant_id) : null;
+            if (!hydrated) return res.status(404).json({ success: false, error: 'no participant linked to this DAA' });
+            income = {
+                annualIncome: hydrated.annualIncome,
+                netWorth: hydrated.netWorth,
+                corporateConnection: hydrated.corporateConnectionType,
+            };
+        }
+        const result = await getOrchestrator().installments.generate(req.params.daaId, {
+            frequency: body.frequency,
+            startDate: body.startDate,
+            annualAmount: body.annualAmount,
+            reassessEveryMonths: body.reassessEveryMonths,
+            horizonYears: body.horizonYears,
+            ...income,
+            createdBy: req.reviewer.username,
+        });
+        await new ReviewerService(db).recordDecision(req.reviewer, {
+            queue: 'daa_payment_schedules', itemId: result.schedule.id,
+            action: result.schedule.version > 1 ? 'reassess' : 'create',
+            detail: { daaId: req.params.daaId, version: result.schedule.version, annualAmount: result.schedule.annual_amount },
+        });
+        return res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        return installmentFailure(res, error);
+    }
+});
+
+// POST /api/daa/:daaId/payments
+// Body: { amount, paymentDate?, paymentMethod?, paymentProcessor?, acknowledgerIncome?, txHash?, network?, notes? }
+// On-chain escrow deposits are picked up from the event index automatically;
+// record them here only to attach a method or income figure (matched by txHash).
+router.post('/:daaId/payments', requireRole('finance'), async (req, res) => {
+    const body = req.body || {};
+    const amount = Number(body.amount);
+    if (!(amount > 0)) return res.status(400).json({ success: false, error: 'amount must be a positive number' });
+    if (body.paymentDate !== undefined && isNaN(Date.parse(body.paymentDate))) {
+        return res.status(400).json({ success: false, error: 'paymentDate must be a date' });
+    }
+    try {
+        const daa = await db.query(`SELECT daa_id FROM debt_acknowledgment_agreements WHERE daa_id = $1`, [req.params.daaId]);
+        if (daa.rowCount === 0) return res.status(404).json({ success: false, error: 'DAA not found' });
+        const payment = await getOrchestrator().daaGenerator.recordPayment(req.params.daaId, amount, body.acknowledgerIncome ?? null, {
+            paymentDate: body.paymentDate,
+            paymentMethod: body.paymentMethod || (body.txHash ? 'blockchain_escrow' : 'direct_transfer'),
+            paymentProcessor: body.paymentProcessor || (body.txHash ? 'ethereum' : 'bank_transfer'),
+            txHash: body.txHash || null,
+            network: body.network || null,
+            recordedBy: req.reviewer.username,
+        });
+        await new ReviewerService(db).recordDecision(req.reviewer, {
+            queue: 'daa_payments', itemId: payment.paymentId, action: 'record',
+            detail: { daaId: req.params.daaId, amount, paymentDate: body.paymentDate || null, txHash: body.txHash || null },
+        });
+        return res.status(201).json({ success: true, payment });
+    } catch (error) {
+        return installmentFailure(res, error);
+    }
+});
+
+// GET /api/daa/:daaId/payment-status   Query: ?asOf=YYYY-MM-DD
+router.get('/:daaId/payment-status', requireRole('finance'), async (req, res) => {
+    if (req.query.asOf !== undefined && isNaN(Date.parse(req.query.asOf))) {
+        return res.status(400).json({ success: false, error: 'asOf must be a date' });
+    }
+    try {
+        const status = await getOrchestrator().installments.status(req.params.daaId, { asOf: req.query.asOf || null });
+        return res.json({ success: true, ...status });
+    } catch (error) {
+        return installmentFailure(res, error);
+    }
+});
+
+function manifestFailure(res, error) {
+    if (error instanceof DAAManifestError) {
+        return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+    }
+    return res.status(500).json({ success: false, error: error.message });
+}
+
+function parseVersion(raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const version = parseInt(raw, 10);
+    return Number.isInteger(version) ? version : NaN;
 }
 
+// GET /api/daa/:daaId/manifest   Query: ?version=N  (default latest)
+router.get('/:daaId/manifest', async (req, res) => {
+    const version = parseVersion(req.query.version);
+    if (Number.isNaN(version)) return res.status(400).json({ success: false, error: 'version must be an integer' });
+    try {
+        const manifests = getOrchestrator().manifests;
+        const manifest = version !== null
+            ? await manifests.get(req.params.daaId, version)
+            : await manifests.latest(req.params.daaId);
+        if (!manifest) return res.status(404).json({ success: false, error: 'no document manifest for this DAA' });
+        return res.json({ success: true, manifest, versions: await manifests.list(req.params.daaId) });
+    } catch (error) {
+        return manifestFailure(res, error);
+    }
+});
+
+// POST /api/daa/:daaId/manifest
+// Re-reads the DAA's documents (computing missing CIDs) and stores a new
+// version if the root moved. An already-submitted root stays on-chain; the
+// new one needs its own submission.
+router.post('/:daaId/manifest', requireRole('curator'), async (req, res) => {
+    try {
+        const manifest = await getOrchestrator().manifests.buildManifest(req.params.daaId, {
+            createdBy: req.reviewer.username,
+        });
+        if (manifest.created) {
+            await new ReviewerService(db).recordDecision(req.reviewer, {
+                queue: 'daa_document_manifests', itemId: manifest.id, action: 'build',
+                detail: { daaId: req.params.daaId, version: manifest.version, merkleRoot: manifest.merkle_root },
+            });
+        }
+        return res.status(manifest.created ? 201 : 200).json({ success: true, manifest });
+    } catch (error) {
+        return manifestFailure(res, error);
+    }
+});
+
+// GET /api/daa/:daaId/manifest/verify   Query: ?documentId=N | ?cid=bafk…  (&version=N)
+// Returns the leaf, its sibling path and the root; folding the path with
+// sorted-pair keccak256 reproduces the root (ReparationsLedger.verifyProof).
+router.get('/:daaId/manifest/verify', async (req, res) => {
+    const version = parseVersion(req.query.version);
+    if (Number.isNaN(version)) return res.status(400).json({ success: false, error: 'version must be an integer' });
+    const documentId = req.query.documentId === undefined ? null : parseInt(req.query.documentId, 10);
+    if (Number.isNaN(documentId)) return res.status(400).json({ success: false, error: 'documentId must be an integer' });
+    try {
+        const proof = await getOrchestrator().manifests.prove(req.params.daaId, {
+            documentId,
+            cid: req.query.cid || null,
+            version,
+        });
+        return res.json({ success: true, ...proof });
+    } catch (error) {
+        return manifestFailure(res, error);
+    }
+});
+
 // Global reparations indicator targets (Brattle / Darity-Mullen / Craemer, etc.)
 // Published scholarly population-level estimates that contextualize an
 // individual's itemized line-item DAA. Read-only; powers the "International Law
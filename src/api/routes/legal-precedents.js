@@ -14,11 +14,22 @@
  * - GET /mechanisms - Garnishment mechanisms by strategy
  * - GET /daa-citations/:jurisdiction/:defendantType - Build DAA citations
  * - GET /framework-summary - Comprehensive overview
+ *
+ * Escrow lifecycle (finance role; proposed → noticed → disputed → funded → disbursed → closed):
+ * - POST /escrow - Create an escrow record (proposed)
+ * - GET  /escrow - List escrow records (?status, ?overdue)
+ * - GET  /escrow/:idOrStatus - One record with transitions and on-chain record, or records by status
+ * - POST /escrow/:id/transition - Move to the next status
+ * - POST /escrow/:id/citations - (Re)build the legal-citation bundle
+ * - GET  /escrow/:id/notice - Notice letter
+ * - POST /escrow/:id/onchain - Link a ReparationsEscrow.sol record
  */
 
 const express = require('express');
 const router = express.Router();
 const LegalPrecedentService = require('../../services/reparations/LegalPrecedentService');
+const { EscrowError, ESCROW_STATUSES, ESCROW_TRANSITIONS } = LegalPrecedentService;
+const { requireRole } = require('../../middleware/admin-auth');
 
 const service = new LegalPrecedentService();
 
@@ -322,17 +333,27 @@ router.get('/framework-summary', async (req, res) => {
 });
 
 // =========================================================================
-// ESCROW ENDPOINTS
+// ESCROW ENDPOINTS (lifecycle, M123)
 // =========================================================================
 
+const escrowFailure = (res, error, label) => {
+    if (error instanceof EscrowError) {
+        return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(`${label}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+};
+
 /**
  * POST /api/legal/escrow
- * Create escrow record when payment received
+ * Create an escrow record in 'proposed'
  * "We will cross that bridge when somebody bites"
+ *
+ * Body: { debtorName, debtorType, amount, daaId?, jurisdiction?, currency?, notes?, blockchainRecordId?, chainId? }
  */
-router.post('/escrow', async (req, res) => {
+router.post('/escrow', requireRole('finance'), async (req, res) => {
     try {
-        const { debtorName, debtorType, amount, daaId } = req.body;
+        const { debtorName, debtorType, amount, daaId, ...opts } = req.body || {};
 
         if (!debtorName || !debtorType || !amount) {
             return res.status(400).json({
@@ -341,35 +362,137 @@ router.post('/escrow', async (req, res) => {
             });
         }
 
-        const escrow = await service.createEscrowRecord(debtorName, debtorType, amount, daaId);
-        res.json({
+        const escrow = await service.createEscrowRecord(debtorName, debtorType, amount, daaId || null, {
+            jurisdiction: opts.jurisdiction,
+            currency: opts.currency,
+            notes: opts.notes,
+            blockchainRecordId: opts.blockchainRecordId,
+            chainId: opts.chainId,
+            actor: req.reviewer.username
+        });
+        res.status(201).json({
             success: true,
             message: 'Escrow record created - someone bit!',
-            escrow
+            escrow,
+            allowedTransitions: ESCROW_TRANSITIONS[escrow.escrow_status]
         });
     } catch (error) {
-        console.error('Error creating escrow:', error);
-        res.status(500).json({ success: false, error: error.message });
+        escrowFailure(res, error, 'Error creating escrow');
+    }
+});
+
+/**
+ * GET /api/legal/escrow
+ * Query: ?status=&overdue=true&limit=
+ * overdue = past the current stage's deadline and not closed
+ */
+router.get('/escrow', requireRole('finance'), async (req, res) => {
+    try {
+        const escrows = await service.listEscrows({
+            status: req.query.status || null,
+            overdue: req.query.overdue === 'true',
+            limit: req.query.limit
+        });
+        res.json({ success: true, count: escrows.length, escrows, lifecycle: ESCROW_TRANSITIONS });
+    } catch (error) {
+        escrowFailure(res, error, 'Error listing escrow records');
+    }
+});
+
+/**
+ * GET /api/legal/escrow/:idOrStatus
+ * An escrow id returns the record with its transition log, DAA, on-chain
+ * record and allowed next statuses. A status name returns the records in
+ * that status (the original endpoint).
+ */
+router.get('/escrow/:idOrStatus', requireRole('finance'), async (req, res) => {
+    try {
+        const { idOrStatus } = req.params;
+        if (ESCROW_STATUSES.includes(idOrStatus) || idOrStatus === 'pending' || idOrStatus === 'distributed') {
+            const escrows = await service.getEscrowByStatus(idOrStatus);
+            return res.json({
+                success: true,
+                status: idOrStatus,
+                count: escrows.length,
+                escrows
+            });
+        }
+        const detail = await service.getEscrow(idOrStatus);
+        res.json({ success: true, ...detail });
+    } catch (error) {
+        escrowFailure(res, error, 'Error fetching escrow records');
     }
 });
 
 /**
- * GET /api/legal/escrow/:status
- * Get escrow records by status
+ * POST /api/legal/escrow/:id/transition
+ * Body: { to, reason?, deadline?, deadlineDays?, jurisdiction? }
+ * reason is required for disputed and closed. Moving to noticed builds the
+ * citation bundle if the escrow has none (jurisdiction from the body or the
+ * record) and stores the notice letter.
  */
-router.get('/escrow/:status', async (req, res) => {
+router.post('/escrow/:id/transition', requireRole('finance'), async (req, res) => {
     try {
-        const { status } = req.params;
-        const escrows = await service.getEscrowByStatus(status);
+        const { to, reason, deadline, deadlineDays, jurisdiction } = req.body || {};
+        if (!to) {
+            return res.status(400).json({ success: false, error: `Required field: to (one of ${ESCROW_STATUSES.join(', ')})` });
+        }
+        const result = await service.transitionEscrow(req.params.id, to, {
+            reason, deadline, deadlineDays, jurisdiction, actor: req.reviewer.username
+        });
         res.json({
             success: true,
-            status,
-            count: escrows.length,
-            escrows
+            ...result,
+            allowedTransitions: ESCROW_TRANSITIONS[result.escrow.escrow_status]
         });
     } catch (error) {
-        console.error('Error fetching escrow records:', error);
-        res.status(500).json({ success: false, error: error.message });
+        escrowFailure(res, error, 'Error changing escrow status');
+    }
+});
+
+/**
+ * POST /api/legal/escrow/:id/citations
+ * Body: { jurisdiction? } - (re)build the legal-citation bundle from
+ * buildDAALegalCitations(jurisdiction, debtorType); proposed or disputed only
+ */
+router.post('/escrow/:id/citations', requireRole('finance'), async (req, res) => {
+    try {
+        const escrow = await service.attachEscrowCitations(req.params.id, (req.body || {}).jurisdiction);
+        res.json({ success: true, escrow });
+    } catch (error) {
+        escrowFailure(res, error, 'Error attaching escrow citations');
+    }
+});
+
+/**
+ * GET /api/legal/escrow/:id/notice
+ * The notice letter (stored once noticed; otherwise an unsaved preview).
+ * ?format=text returns the letter as text/plain.
+ */
+router.get('/escrow/:id/notice', requireRole('finance'), async (req, res) => {
+    try {
+        const notice = await service.getEscrowNotice(req.params.id);
+        if (req.query.format === 'text') {
+            return res.type('text/plain').send(notice.letter);
+        }
+        res.json({ success: true, ...notice });
+    } catch (error) {
+        escrowFailure(res, error, 'Error generating escrow notice');
+    }
+});
+
+/**
+ * POST /api/legal/escrow/:id/onchain
+ * Body: { recordId, chainId? } - link a ReparationsEscrow.sol record
+ * (otherwise the linked DAA's blockchain_record_id is used)
+ */
+router.post('/escrow/:id/onchain', requireRole('finance'), async (req, res) => {
+    try {
+        const { recordId, chainId } = req.body || {};
+        const escrow = await service.linkEscrowOnChain(req.params.id, recordId, chainId ?? null);
+        res.json({ success: true, escrow });
+    } catch (error) {
+        escrowFailure(res, error, 'Error linking on-chain escrow record');
     }
 });
 
@@ -8,6 +8,7 @@
  * - POST /api/names/resolve - Resolve a name to canonical identity
  * - GET /api/names/search/:query - Search for similar names
  * - GET /api/names/canonical/:id - Get canonical person details
+ * - GET /api/names/canonical/:id/export - Family / inheritance neighbourhood as GEDCOM 7 or GEDCOM X
  * - GET /api/names/queue - Get match queue for human review
  * - POST /api/names/queue/:id/resolve - Resolve a queue item
  * - GET /api/names/stats - Get name resolution statistics
@@ -16,6 +17,7 @@
 const express = require('express');
 const router = express.Router();
 const NameResolver = require('../../services/NameResolver');
+const GedcomExporter = require('../../services/genealogy/GedcomExporter');
 const { isAdmin } = require('../../middleware/admin-auth');
 
 let nameResolver = null;
@@ -61,7 +63,7 @@ router.get('/search/:query', async (req, res) => {
         }
 
         // External-assertion gate: anonymous public callers don't see gated canonicals; admin bypasses.
-        const results = await nameResolver.searchSimilarNames(query, { limit, includeGated: isAdmin(req) });
+        const results = await nameResolver.searchSimilarNames(query, { limit, includeGated: await isAdmin(req) });
 
         res.json({
             success: true,
@@ -102,7 +104,7 @@ router.get('/candidates/:name', async (req, res) => {
             state,
             county,
             personType,
-            includeGated: isAdmin(req)
+            includeGated: await isAdmin(req)
         });
 
         // Add phonetic analysis to response
@@ -296,7 +298,7 @@ router.get('/canonical/:id', async (req, res) => {
 
         // External-assertion gate (M102): a canonical with no stored proposition-specific document
         // is not publicly assertable — return a name-only neutral stub to anonymous callers.
-        if (!isAdmin(req) && !person.assertable_slaveowner && !person.assertable_enslaved) {
+        if (!(await isAdmin(req)) && !person.assertable_slaveowner && !person.assertable_enslaved) {
             return res.json({
                 success: true,
                 gated: true,
@@ -363,6 +365,38 @@ router.get('/canonical/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/names/canonical/:id/export?format=gedcom|gedcomx&depth=1
+ * The person's canonical_family_edges / inheritance_edges neighbourhood (depth 1-3)
+ * as a GEDCOM 7 or GEDCOM X file, with person_documents as sources and
+ * enslavement relationships as extension tags. Anonymous callers get the
+ * external-assertion gate (M102): no enslaver / enslaved assertions for gated persons.
+ */
+router.get('/canonical/:id/export', async (req, res) => {
+    try {
+        const out = await new GedcomExporter(nameResolver.db).export('person', req.params.id, {
+            format: req.query.format,
+            depth: req.query.depth,
+            gated: !(await isAdmin(req))
+        });
+        res.set('Content-Type', out.contentType);
+        res.set('Content-Disposition', `attachment; filename="${out.fileName}"`);
+        res.send(out.body);
+    } catch (error) {
+        if (error instanceof GedcomExporter.ExportError) {
+            return res.status(error.httpStatus).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * POST /api/names/canonical
  * Create a new canonical person
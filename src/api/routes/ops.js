@@ -1,9 +1,11 @@
 /**
  * /api/ops — operational status endpoints.
  *
- * Protected by X-Ops-Secret header (OPS_SECRET env var). Lets us query
- * scrape state, process health, and recent logs from any network without
- * needing SSH. Paired with migration 045 (scrape_runs) + PM2.
+ * Protected by a reviewer session with the operator role (M115), or the
+ * X-Ops-Secret header (OPS_SECRET env var) for unattended callers — scrapers
+ * posting heartbeats and the Pi health watchdog. Lets us query scrape state,
+ * process health, and recent logs from any network without needing SSH.
+ * Paired with migration 045 (scrape_runs) + PM2.
  */
 
 const express = require('express');
@@ -13,12 +15,18 @@ const path = require('path');
 const router = express.Router();
 const db = require('../../database/connection');
 const logger = require('../../utils/logger');
+const ReviewerService = require('../../services/ReviewerService');
+const { requireRole } = require('../../middleware/admin-auth');
+
+const reviewers = new ReviewerService(db);
+const operator = requireRole('operator');
 
 function authed(req, res, next) {
+    if (req.headers['x-ops-secret'] === undefined) return operator(req, res, next);
     const secret = process.env.OPS_SECRET;
     if (!secret) return res.status(503).json({ success: false, error: 'OPS_SECRET not configured' });
     if (req.headers['x-ops-secret'] !== secret) {
-        return res.status(401).json({ success: false, error: 'bad or missing X-Ops-Secret' });
+        return res.status(401).json({ success: false, error: 'bad X-Ops-Secret' });
     }
     next();
 }
@@ -105,7 +113,9 @@ router.post('/restart', authed, express.json(), async (req, res) => {
     if (!name) return res.status(400).json({ success: false, error: 'name required' });
     try {
         const out = execSync(`pm2 restart ${name} 2>&1`, { encoding: 'utf8', timeout: 15000 });
-        logger.info('ops/restart', { name });
+        const by = req.reviewer ? req.reviewer.username : 'ops-secret';
+        logger.info('ops/restart', { name, by });
+        if (req.reviewer) await reviewers.recordDecision(req.reviewer, { queue: 'ops', itemId: name, action: 'restart' });
         res.json({ success: true, output: out });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -0,0 +1,169 @@
+/**
+ * Oracle event log and DAA amount revisions (M117).
+ *
+ * OracleEventFeed polls its sources (SEC filings, new climb matches, new or
+ * revised line items, methodology updates) into oracle_events, deduplicated;
+ * DAARevisionService turns qualifying events into amount-revision proposals.
+ * An approved proposal is applied on chain with
+ * POST /api/blockchain/update-amount/:recordId { proposalId }.
+ *
+ * Routes:
+ *   GET  /api/oracle/events                  — ?source=&status=&limit=&offset=      (any reviewer)
+ *   POST /api/oracle/events                  — record a manual event
+ *                                              { source, eventType, dedupKey, summary?, payload?, ... } (operator, curator)
+ *   POST /api/oracle/poll                    — { sources?, since?, process? } run sources, then rules (operator)
+ *   POST /api/oracle/process                 — run rules over events still 'new'  (operator)
+ *   GET  /api/oracle/proposals               — ?daa_id=&status=&limit=&offset=     (any reviewer)
+ *   GET  /api/oracle/proposals/:id                                                 (any reviewer)
+ *   POST /api/oracle/proposals/:id/approve   — { note? }                           (finance)
+ *   POST /api/oracle/proposals/:id/reject    — { note? }                           (finance)
+ *   GET  /api/oracle/chainlink-config        — Phase 2 Chainlink feed config       (public)
+ *
+ * scripts/poll-oracle-events.js does the same poll + process from cron.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../../database/connection');
+const OracleEventFeed = require('../../services/reparations/OracleEventFeed');
+const DAARevisionService = require('../../services/reparations/DAARevisionService');
+const { DAARevisionError } = require('../../services/reparations/DAARevisionService');
+const DAAGenerator = require('../../services/reparations/DAAGenerator');
+const DAADocumentGenerator = require('../../services/reparations/DAADocumentGenerator');
+const DAAOrchestrator = require('../../services/reparations/DAAOrchestrator');
+const ReviewerService = require('../../services/ReviewerService');
+const { requireReviewer, requireRole } = require('../../middleware/admin-auth');
+
+const feed = new OracleEventFeed(db);
+const reviewers = new ReviewerService(db);
+let _revisions = null;
+
+function getRevisions() {
+    if (!_revisions) {
+        const orchestrator = new DAAOrchestrator(db, new DAAGenerator(db), new DAADocumentGenerator());
+        _revisions = new DAARevisionService(db, orchestrator.snapshots);
+    }
+    return _revisions;
+}
+
+function failure(res, e) {
+    if (e instanceof DAARevisionError) return res.status(e.httpStatus).json({ success: false, error: e.message, code: e.code });
+    return res.status(500).json({ success: false, error: e.message });
+}
+
+router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id)) return res.status(400).json({ success: false, error: 'bad id' });
+    next();
+});
+
+// GET /api/oracle/events
+router.get('/events', requireReviewer, async (req, res) => {
+    try {
+        const events = await feed.listEvents({
+            source: req.query.source || null,
+            status: req.query.status || null,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+        res.json({ success: true, count: events.length, events });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// POST /api/oracle/events — manual event, e.g. a new methodology paper
+router.post('/events', requireRole('operator', 'curator'), async (req, res) => {
+    const body = req.body || {};
+    if (!body.source || !body.eventType || !body.dedupKey) {
+        return res.status(400).json({ success: false, error: 'source, eventType and dedupKey required' });
+    }
+    try {
+        const event = await feed.record({
+            source: body.source,
+            eventType: body.eventType,
+            dedupKey: body.dedupKey,
+            entityKey: body.entityKey,
+            canonicalPersonId: body.canonicalPersonId,
+            occurredAt: body.occurredAt,
+            summary: body.summary,
+            payload: body.payload
+        }, { recordedBy: req.reviewer.username });
+        if (!event) return res.status(409).json({ success: false, error: 'An event with this dedupKey is already recorded' });
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'oracle_events', itemId: event.id, action: 'record', detail: { source: event.source, eventType: event.event_type }
+        });
+        res.status(201).json({ success: true, event });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// POST /api/oracle/poll
+router.post('/poll', requireRole('operator'), async (req, res) => {
+    const body = req.body || {};
+    const since = body.since ? new Date(body.since) : null;
+    if (since && isNaN(since)) return res.status(400).json({ success: false, error: 'since must be a date' });
+    try {
+        const poll = await feed.poll({ sources: body.sources || null, since });
+        const processed = body.process === false ? null : await getRevisions().processPending();
+        res.json({ success: true, poll, processed });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// POST /api/oracle/process
+router.post('/process', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, processed: await getRevisions().processPending({ limit: req.body?.limit }) });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// GET /api/oracle/proposals
+router.get('/proposals', requireReviewer, async (req, res) => {
+    try {
+        const proposals = await getRevisions().list({
+            daaId: req.query.daa_id || null,
+            status: req.query.status || null,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+        res.json({ success: true, count: proposals.length, proposals });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// GET /api/oracle/proposals/:id
+router.get('/proposals/:id', requireReviewer, async (req, res) => {
+    try {
+        res.json({ success: true, proposal: await getRevisions().get(req.params.id) });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// POST /api/oracle/proposals/:id/approve | /reject
+for (const action of ['approve', 'reject']) {
+    router.post(`/proposals/:id/${action}`, requireRole('finance'), async (req, res) => {
+        try {
+            const proposal = await getRevisions()[action](req.params.id, req.reviewer.username, req.body?.note || null);
+            await reviewers.recordDecision(req.reviewer, {
+                queue: 'daa_amount_revisions', itemId: proposal.id, action,
+                detail: { daaId: proposal.daa_id, current: proposal.current_amount_usd, proposed: proposal.proposed_amount_usd, note: req.body?.note || null }
+            });
+            res.json({ success: true, proposal });
+        } catch (e) {
+            failure(res, e);
+        }
+    });
+}
+
+// GET /api/oracle/chainlink-config
+router.get('/chainlink-config', (req, res) => {
+    res.json({ success: true, config: feed.getChainlinkConfig() });
+});
+
+module.exports = router;
@@ -2,20 +2,29 @@
  * Pipeline API
  *
  * Thin HTTP wrapper around src/services/pipeline-orchestrator.js. Each
- * call advances a participant by at most one stage. Drive progress with
- * cron, a UI button, or a manual curl during testing.
+ * call advances a participant by at most one stage. The background runner
+ * (src/services/pipeline-runner.js, PIPELINE_RUNNER_INTERVAL_S) drives
+ * progress; these endpoints are for manual pushes and inspection.
+ *
+ *   POST /api/pipeline/advance/:participantId  — one stage, { dryRun? }; sends
+ *                                                the DAA on chain from daa_generated
+ *   GET  /api/pipeline/status/:participantId   — current stage + retry schedule
+ *   GET  /api/pipeline/history/:participantId  — stage-transition timeline (M118)
+ *   POST /api/pipeline/advance-all             — one stage for every non-terminal participant;
+ *                                                on-chain only with { submitOnChain: true }
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/connection');
 const orchestrator = require('../../services/pipeline-orchestrator');
+const pipelineState = require('../../services/pipeline-state');
 
 // POST /api/pipeline/advance/:participantId
 // Body: { dryRun?: boolean — return what *would* happen without writing }
 router.post('/advance/:participantId', async (req, res) => {
     try {
-        const opts = { dryRun: req.body?.dryRun === true };
+        const opts = { dryRun: req.body?.dryRun === true, actor: 'api' };
         const result = await orchestrator.advance(req.params.participantId, opts);
         res.json({ success: true, ...result });
     } catch (e) {
@@ -33,28 +42,52 @@ router.get('/status/:participantId', async (req, res) => {
         );
         if (r.rowCount === 0) return res.status(404).json({ success: false, error: 'not found' });
         const p = r.rows[0];
+        const state = await pipelineState.loadState(db, p.id);
         res.json({
             success: true,
             participantId: p.id,
             fullName: p.full_name,
-            currentState: orchestrator.currentState(p.roles),
+            currentState: state?.current_state || orchestrator.currentState(p.roles),
             allStates: orchestrator.PIPELINE_STATES,
             roles: p.roles,
             intakeDate: p.intake_date,
             updatedAt: p.updated_at,
+            schedule: state && {
+                enteredStateAt: state.entered_state_at,
+                attempts: state.attempts,
+                lastError: state.last_error,
+                lastReason: state.last_reason,
+                lastAttemptAt: state.last_attempt_at,
+                nextAttemptAt: state.next_attempt_at,
+                lastActor: state.last_actor,
+            },
         });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
+// GET /api/pipeline/history/:participantId?limit=
+// Stage changes and failed attempts, oldest first.
+router.get('/history/:participantId', async (req, res) => {
+    try {
+        const r = await db.query(`SELECT id, full_name FROM participants WHERE id = $1 LIMIT 1`, [req.params.participantId]);
+        if (r.rowCount === 0) return res.status(404).json({ success: false, error: 'not found' });
+        const timeline = await pipelineState.history(db, req.params.participantId, { limit: req.query.limit });
+        res.json({ success: true, participantId: r.rows[0].id, fullName: r.rows[0].full_name, count: timeline.length, timeline });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
 // POST /api/pipeline/advance-all
 // Walks every participant whose current state isn't terminal and advances
 // each by one step. Cap=50 by default to keep one call short; loop with
-// cron for long-running queues.
+// cron for long-running queues. DAAs are only sent on chain when the body
+// says { submitOnChain: true }.
 router.post('/advance-all', async (req, res) => {
     const limit = Math.min(parseInt(req.body?.limit) || 50, 200);
-    const opts = { dryRun: req.body?.dryRun === true };
+    const opts = { dryRun: req.body?.dryRun === true, actor: 'advance-all', submitOnChain: req.body?.submitOnChain === true };
     try {
         const r = await db.query(
             `SELECT id FROM participants
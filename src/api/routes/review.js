@@ -1,12 +1,21 @@
 /**
  * Human Review API — queue-based moderation for the curated evidence graph.
  *
- * Routes (all require X-Admin-Token):
+ * Every route requires a reviewer session (server.js mounts requireReviewer);
+ * each action additionally requires the role that owns its queue — curator
+ * for the identity queues, genealogist for climb matches and parse failures
+ * (M115). Decisions are stamped with req.reviewer.username and appended to
+ * review_decisions.
+ *
+ * Routes:
  *   GET  /api/review/queues               — list available queues + pending counts
  *   GET  /api/review/queue/:name          — next N items in a specific queue
  *   POST /api/review/:queue/:id/approve   — approve (create canonical / link)
  *   POST /api/review/:queue/:id/reject    — reject with reason
  *   POST /api/review/:queue/:id/edit      — approve with edits
+ *   GET  /api/review/duplicate_canonicals/merges                      — recent merges + reversibility
+ *   POST /api/review/duplicate_canonicals/merges/:mergeLogId/unmerge  — reverse a merge (journal)
+ *   POST /api/review/duplicate_canonicals/split                       — detach a conflated identity
  *
  * Queues:
  *   enslaver_candidates         — pending rows from enslaver_candidates_review_queue
@@ -29,10 +38,20 @@ const router = express.Router();
 const db = require('../../database/connection');
 const S3Service = require('../../services/storage/S3Service');
 const PersonService = require('../../services/PersonService');
+const ReviewerService = require('../../services/ReviewerService');
+const { requireRole } = require('../../middleware/admin-auth');
 
 // Shared identity gate — write blocking keys for canonicals approved via the review queue so
 // they're discoverable in the unified pool (no born-a-silo canonical). See the debt registry.
 const personService = new PersonService(db);
+const reviewers = new ReviewerService(db);
+
+const curator = requireRole('curator');
+const genealogist = requireRole('genealogist');
+
+// Append one decision to the review_decisions audit (non-fatal).
+const decide = (req, queue, itemId, action, extra = {}) =>
+    reviewers.recordDecision(req.reviewer, { queue, itemId, action, ...extra });
 
 // GET /api/review/queues — list all queues + pending counts
 router.get('/queues', async (req, res) => {
@@ -368,7 +387,7 @@ async function getCrossSourceEnslavers(limit, offset) {
 // Body: { winner_canonical_id: null | number, edit_name?: string }
 //   If winner_canonical_id provided, attach candidate's depositors as edges to that canonical.
 //   If not, create a new canonical_persons row using proposed_name (or edit_name if provided).
-router.post('/enslaver_candidates/:id/approve', async (req, res) => {
+router.post('/enslaver_candidates/:id/approve', curator, async (req, res) => {
     const { id } = req.params;
     const { winner_canonical_id, edit_name } = req.body || {};
     try {
@@ -381,12 +400,13 @@ router.post('/enslaver_candidates/:id/approve', async (req, res) => {
         if (!cpId) {
             // Create new canonical_persons row
             const ins = await db.query(`
-                INSERT INTO canonical_persons (canonical_name, person_type, primary_state, notes)
-                VALUES ($1, 'enslaver', $2, $3)
+                INSERT INTO canonical_persons (canonical_name, person_type, primary_state, notes, created_by)
+                VALUES ($1, 'enslaver', $2, $3, $4)
                 RETURNING id
             `, [
                 finalName, c.proposed_primary_state,
                 `Approved via review queue. Original candidate: "${c.proposed_name}". ${c.corroborating_depositor_count} corroborating Freedmens depositors.`,
+                `reviewer:${req.reviewer.username}`,
             ]);
             cpId = ins.rows[0].id;
             try { await personService._writeBlockingKeys('canonical_persons', cpId, { name: finalName, birthYear: null }); } catch (e) { /* non-fatal */ }
@@ -421,7 +441,10 @@ router.post('/enslaver_candidates/:id/approve', async (req, res) => {
                 reviewed_at = NOW(),
                 reviewer_notes = COALESCE(reviewer_notes, '') || ' | Approved via /review UI.'
             WHERE candidate_id = $1
-        `, [id, cpId, req.headers['x-reviewer'] || 'admin']);
+        `, [id, cpId, req.reviewer.username]);
+        await decide(req, 'enslaver_candidates', id, winner_canonical_id ? 'approve_link' : 'approve_create', {
+            canonicalPersonId: cpId, detail: { name: finalName, edges_added: edgesAdded },
+        });
 
         res.json({ success: true, canonical_id: cpId, edges_added: edgesAdded });
     } catch (e) {
@@ -431,7 +454,7 @@ router.post('/enslaver_candidates/:id/approve', async (req, res) => {
 });
 
 // POST /api/review/enslaver_candidates/:id/reject
-router.post('/enslaver_candidates/:id/reject', async (req, res) => {
+router.post('/enslaver_candidates/:id/reject', curator, async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body || {};
     try {
@@ -442,7 +465,8 @@ router.post('/enslaver_candidates/:id/reject', async (req, res) => {
                 reviewed_by = $2, reviewed_at = NOW(),
                 reviewer_notes = COALESCE(reviewer_notes, '') || ' | Rejected: ' || $3
             WHERE candidate_id = $1
-        `, [id, req.headers['x-reviewer'] || 'admin', reason || 'no-reason-given']);
+        `, [id, req.reviewer.username, reason || 'no-reason-given']);
+        await decide(req, 'enslaver_candidates', id, 'reject', { detail: { reason: reason || null } });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -451,7 +475,7 @@ router.post('/enslaver_candidates/:id/reject', async (req, res) => {
 
 // POST /api/review/unresolved_petitions/:id/approve
 // Body: { winner_canonical_id: number | null, edit_claimant?: string }
-router.post('/unresolved_petitions/:id/approve', async (req, res) => {
+router.post('/unresolved_petitions/:id/approve', curator, async (req, res) => {
     const { id } = req.params;
     const { winner_canonical_id, edit_claimant } = req.body || {};
     try {
@@ -459,10 +483,10 @@ router.post('/unresolved_petitions/:id/approve', async (req, res) => {
         if (!cpId && edit_claimant) {
             // Create new canonical under edit_claimant
             const ins = await db.query(`
-                INSERT INTO canonical_persons (canonical_name, person_type, primary_state, notes)
-                VALUES ($1, 'enslaver', 'District of Columbia', 'Approved via petition review queue')
+                INSERT INTO canonical_persons (canonical_name, person_type, primary_state, notes, created_by)
+                VALUES ($1, 'enslaver', 'District of Columbia', 'Approved via petition review queue', $2)
                 RETURNING id
-            `, [edit_claimant]);
+            `, [edit_claimant, `reviewer:${req.reviewer.username}`]);
             cpId = ins.rows[0].id;
             try { await personService._writeBlockingKeys('canonical_persons', cpId, { name: edit_claimant, birthYear: null }); } catch (e) { /* non-fatal */ }
         }
@@ -470,9 +494,13 @@ router.post('/unresolved_petitions/:id/approve', async (req, res) => {
 
         await db.query(`
             UPDATE historical_reparations_petitions
-            SET claimant_canonical_id = $2, verification_status = 'verified'
+            SET claimant_canonical_id = $2, verification_status = 'verified',
+                verified_by = $3, verified_at = NOW()
             WHERE petition_id = $1
-        `, [id, cpId]);
+        `, [id, cpId, req.reviewer.username]);
+        await decide(req, 'unresolved_petitions', id, winner_canonical_id ? 'approve_link' : 'approve_create', {
+            canonicalPersonId: cpId, detail: edit_claimant ? { name: edit_claimant } : null,
+        });
         res.json({ success: true, canonical_id: cpId });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -480,7 +508,7 @@ router.post('/unresolved_petitions/:id/approve', async (req, res) => {
 });
 
 // POST /api/review/pending_climb_matches/:id/approve
-router.post('/pending_climb_matches/:id/approve', async (req, res) => {
+router.post('/pending_climb_matches/:id/approve', genealogist, async (req, res) => {
     const { id } = req.params;
     const { classification } = req.body || {};
     try {
@@ -491,7 +519,8 @@ router.post('/pending_climb_matches/:id/approve', async (req, res) => {
                 requires_human_review = FALSE,
                 verified_by = $3, verified_at = NOW()
             WHERE id = $1
-        `, [id, classification, req.headers['x-reviewer'] || 'admin']);
+        `, [id, classification, req.reviewer.username]);
+        await decide(req, 'pending_climb_matches', id, 'approve', { detail: classification ? { classification } : null });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -499,7 +528,7 @@ router.post('/pending_climb_matches/:id/approve', async (req, res) => {
 });
 
 // POST /api/review/pending_climb_matches/:id/reject
-router.post('/pending_climb_matches/:id/reject', async (req, res) => {
+router.post('/pending_climb_matches/:id/reject', genealogist, async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body || {};
     try {
@@ -511,7 +540,8 @@ router.post('/pending_climb_matches/:id/reject', async (req, res) => {
                 requires_human_review = FALSE,
                 verified_by = $3, verified_at = NOW()
             WHERE id = $1
-        `, [id, reason || 'no-reason', req.headers['x-reviewer'] || 'admin']);
+        `, [id, reason || 'no-reason', req.reviewer.username]);
+        await decide(req, 'pending_climb_matches', id, 'reject', { detail: { reason: reason || null } });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -519,7 +549,7 @@ router.post('/pending_climb_matches/:id/reject', async (req, res) => {
 });
 
 // POST /api/review/ambiguous_unconfirmed/:id/approve (promote to enslaved or enslaver as specified)
-router.post('/ambiguous_unconfirmed/:id/approve', async (req, res) => {
+router.post('/ambiguous_unconfirmed/:id/approve', curator, async (req, res) => {
     const { id } = req.params;
     const { target_type, edit_name } = req.body || {};
     if (!['enslaved','enslaver','freedperson'].includes(target_type)) {
@@ -532,7 +562,8 @@ router.post('/ambiguous_unconfirmed/:id/approve', async (req, res) => {
                 reviewed_by = $4, reviewed_at = NOW(),
                 review_notes = COALESCE(review_notes, '') || ' | Approved via review UI as ' || $2
             WHERE lead_id = $1 RETURNING lead_id
-        `, [id, target_type, edit_name || null, req.headers['x-reviewer'] || 'admin']);
+        `, [id, target_type, edit_name || null, req.reviewer.username]);
+        if (upd.rowCount) await decide(req, 'ambiguous_unconfirmed', id, 'approve', { detail: { target_type, edit_name: edit_name || null } });
         res.json({ success: true, updated: upd.rowCount });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -540,7 +571,7 @@ router.post('/ambiguous_unconfirmed/:id/approve', async (req, res) => {
 });
 
 // POST /api/review/ambiguous_unconfirmed/:id/reject
-router.post('/ambiguous_unconfirmed/:id/reject', async (req, res) => {
+router.post('/ambiguous_unconfirmed/:id/reject', curator, async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body || {};
     try {
@@ -550,7 +581,8 @@ router.post('/ambiguous_unconfirmed/:id/reject', async (req, res) => {
                 reviewed_by = $3, reviewed_at = NOW(),
                 review_notes = COALESCE(review_notes, '') || ' | Rejected via review UI: ' || $2
             WHERE lead_id = $1
-        `, [id, reason || 'not_a_person', req.headers['x-reviewer'] || 'admin']);
+        `, [id, reason || 'not_a_person', req.reviewer.username]);
+        await decide(req, 'ambiguous_unconfirmed', id, 'reject', { detail: { reason: reason || 'not_a_person' } });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -561,7 +593,7 @@ router.post('/ambiguous_unconfirmed/:id/reject', async (req, res) => {
 
 // POST /api/review/parse_failures/:id/submit
 // Body: { reviewer_fields: { depositor_name, last_master, ... }, mark_training_eligible: true }
-router.post('/parse_failures/:id/submit', async (req, res) => {
+router.post('/parse_failures/:id/submit', genealogist, async (req, res) => {
     const { id } = req.params;
     const { reviewer_fields, mark_training_eligible } = req.body || {};
     if (!reviewer_fields || typeof reviewer_fields !== 'object') {
@@ -575,7 +607,8 @@ router.post('/parse_failures/:id/submit', async (req, res) => {
                 training_eligible = $3,
                 reviewed_by = $4, reviewed_at = NOW()
             WHERE failure_id = $1
-        `, [id, JSON.stringify(reviewer_fields), !!mark_training_eligible, req.headers['x-reviewer'] || 'admin']);
+        `, [id, JSON.stringify(reviewer_fields), !!mark_training_eligible, req.reviewer.username]);
+        await decide(req, 'parse_failures', id, 'submit', { detail: { training_eligible: !!mark_training_eligible } });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -583,7 +616,7 @@ router.post('/parse_failures/:id/submit', async (req, res) => {
 });
 
 // POST /api/review/parse_failures/:id/unreviewable
-router.post('/parse_failures/:id/unreviewable', async (req, res) => {
+router.post('/parse_failures/:id/unreviewable', genealogist, async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body || {};
     try {
@@ -593,7 +626,8 @@ router.post('/parse_failures/:id/unreviewable', async (req, res) => {
                 reviewer_notes = COALESCE(reviewer_notes, '') || ' | Marked unreviewable: ' || $2,
                 reviewed_by = $3, reviewed_at = NOW()
             WHERE failure_id = $1
-        `, [id, reason || 'no reason', req.headers['x-reviewer'] || 'admin']);
+        `, [id, reason || 'no reason', req.reviewer.username]);
+        await decide(req, 'parse_failures', id, 'unreviewable', { detail: { reason: reason || null } });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -602,29 +636,16 @@ router.post('/parse_failures/:id/unreviewable', async (req, res) => {
 
 // ═══ DEDUP PAIR ACTIONS (duplicate_canonicals queue) ═══
 // All three resolve a row in dedup_candidate_pairs. Merges are HAND-CONFIRMED
-// here (Biscoe rule: never auto-merge) and executed FK-safely by the existing
-// scripts/merge-canonical-persons.mjs tool (42-FK-aware, logs person_merge_log).
-const { execFile } = require('child_process');
-const nodePath = require('path');
-const MERGE_TOOL = nodePath.resolve(__dirname, '../../../scripts/merge-canonical-persons.mjs');
-
-function runMerge(survivor, victim) {
-    return new Promise((resolve, reject) => {
-        execFile('node', [MERGE_TOOL, '--survivor', String(survivor), '--victim', String(victim), '--apply'],
-            { cwd: nodePath.resolve(__dirname, '../../../'), timeout: 120000 },
-            (err, stdout, stderr) => {
-                if (err) return reject(new Error((stderr || stdout || err.message).slice(-800)));
-                resolve(stdout);
-            });
-    });
-}
+// here (Biscoe rule: never auto-merge) and executed FK-safely by
+// PersonService.merge (every FK referencing canonical_persons, logs
+// person_merge_log + the row-level person_merge_journal so the merge can be undone).
 
 // POST /api/review/duplicate_canonicals/:id/merge  Body: { survivor_id, victim_id }
-router.post('/duplicate_canonicals/:id/merge', async (req, res) => {
+router.post('/duplicate_canonicals/:id/merge', curator, async (req, res) => {
     const { id } = req.params;
     let { survivor_id, victim_id } = req.body || {};
     survivor_id = parseInt(survivor_id, 10); victim_id = parseInt(victim_id, 10);
-    const reviewer = req.headers['x-reviewer'] || 'admin';
+    const reviewer = req.reviewer.username;
     try {
         const pair = (await db.query(`SELECT person_a_id, person_b_id, status FROM dedup_candidate_pairs WHERE id = $1`, [id])).rows[0];
         if (!pair) return res.status(404).json({ success: false, error: 'pair not found' });
@@ -634,25 +655,105 @@ router.post('/duplicate_canonicals/:id/merge', async (req, res) => {
             return res.status(400).json({ success: false, error: 'survivor_id/victim_id must be the two persons of this pair' });
         }
         // Remove all dedup_candidate_pairs that reference the victim BEFORE merging.
-        // The merge tool rewrites victim→survivor on every FK, which would turn the
+        // The merge rewrites victim→survivor on every FK, which would turn the
         // merged pair into a self-referential (survivor,survivor) row and violate the
         // person_a_id<person_b_id CHECK. The durable audit lives in person_merge_log;
         // survivor's other pending pairs (with third parties) are untouched.
         await db.query(`DELETE FROM dedup_candidate_pairs WHERE person_a_id=$1 OR person_b_id=$1`, [victim_id]);
-        await runMerge(survivor_id, victim_id);
-        res.json({ success: true, survivor: survivor_id, victim: victim_id, reviewer });
+        const r = await personService.merge(survivor_id, victim_id, { mergedBy: reviewer, reason: `review queue: duplicate_canonicals pair #${id}` });
+        if (!r.ok) return res.status(500).json({ success: false, error: r.reason });
+        await decide(req, 'duplicate_canonicals', id, 'merge', {
+            canonicalPersonId: survivor_id, detail: { victim_id, merge_log_id: r.mergeLogId },
+        });
+        res.json({ success: true, survivor: survivor_id, victim: victim_id, merge_log_id: r.mergeLogId, reviewer });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// GET /api/review/duplicate_canonicals/merges?limit=20&offset=0 — recent merges, newest first,
+// with whether each can be reversed exactly (journaled) or only by provenance (legacy).
+router.get('/duplicate_canonicals/merges', async (req, res) => {
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    try {
+        const r = await db.query(`
+            SELECT l.id AS merge_log_id, l.surviving_person_id, l.merged_person_id, l.merge_reason, l.merged_by, l.merged_at,
+                   s.canonical_name AS survivor_name, v.canonical_name AS victim_name, v.person_type AS victim_type,
+                   j.id AS journal_id, j.reverted_by_journal_id,
+                   COALESCE((SELECT SUM(jsonb_array_length(m->'keys')) FROM jsonb_array_elements(j.moved_rows) m), 0)::int AS moved_rows
+            FROM person_merge_log l
+            LEFT JOIN canonical_persons s ON s.id = l.surviving_person_id
+            LEFT JOIN canonical_persons v ON v.id = l.merged_person_id
+            LEFT JOIN LATERAL (
+                SELECT id, reverted_by_journal_id, moved_rows FROM person_merge_journal
+                WHERE merge_log_id = l.id AND operation = 'merge' ORDER BY id DESC LIMIT 1
+            ) j ON TRUE
+            ORDER BY l.merged_at DESC NULLS LAST, l.id DESC
+            LIMIT $1 OFFSET $2
+        `, [limit, offset]);
+        res.json({
+            success: true,
+            merges: r.rows.map(row => ({
+                ...row,
+                reversal: row.reverted_by_journal_id ? 'unmerged' : row.journal_id ? 'exact' : 'provenance',
+            })),
+        });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// POST /api/review/duplicate_canonicals/merges/:mergeLogId/unmerge  Body: { reason?, dry_run? }
+router.post('/duplicate_canonicals/merges/:mergeLogId/unmerge', curator, async (req, res) => {
+    const body = req.body || {};
+    const reviewer = req.reviewer.username;
+    try {
+        const r = await personService.unmerge(req.params.mergeLogId, {
+            dryRun: !!body.dry_run, performedBy: reviewer, reason: body.reason || 'review queue: unmerge', personType: body.person_type,
+        });
+        if (!r.ok) return res.status(/not found/.test(r.reason) ? 404 : 409).json({ success: false, error: r.reason });
+        if (!body.dry_run) await decide(req, 'duplicate_canonicals', req.params.mergeLogId, 'unmerge', { detail: { reason: body.reason || null } });
+        res.json({ success: true, ...r, reviewer });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// POST /api/review/duplicate_canonicals/split
+// Body: { canonical_id, person: { name, personType, state, county, birthYear, sex }, selection: {
+//         documentIds, documentSourceTypes, nameAsAppears, relationshipIds, externalIds, externalIdSystems },
+//         reason?, dry_run? }
+// Detaches a conflated identity (e.g. a same-named enslaved petitioner on a slaveholder record)
+// onto a new canonical, journaled like a merge.
+router.post('/duplicate_canonicals/split', curator, async (req, res) => {
+    const body = req.body || {};
+    const reviewer = req.reviewer.username;
+    const canonicalId = parseInt(body.canonical_id, 10);
+    if (!Number.isInteger(canonicalId)) return res.status(400).json({ success: false, error: 'canonical_id required' });
+    if (!body.selection || typeof body.selection !== 'object') return res.status(400).json({ success: false, error: 'selection object required' });
+    try {
+        const r = await personService.split(canonicalId, body.selection, body.person || {}, {
+            dryRun: !!body.dry_run, performedBy: reviewer, reason: body.reason || 'review queue: split',
+        });
+        if (!r.ok) return res.status(/not found/.test(r.reason) ? 404 : 400).json({ success: false, error: r.reason, moved: r.moved });
+        if (!body.dry_run) await decide(req, 'duplicate_canonicals', canonicalId, 'split', {
+            canonicalPersonId: canonicalId, detail: { new_canonical_id: r.targetId, moved: r.moved, reason: body.reason || null },
+        });
+        res.json({ success: true, ...r, reviewer });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
 // POST /api/review/duplicate_canonicals/:id/distinct — confirm NOT a duplicate
-router.post('/duplicate_canonicals/:id/distinct', async (req, res) => {
+router.post('/duplicate_canonicals/:id/distinct', curator, async (req, res) => {
     const { id } = req.params;
     try {
         await db.query(`UPDATE dedup_candidate_pairs SET status='confirmed_distinct', reviewed_by=$2, reviewed_at=NOW(),
             reviewer_notes=COALESCE(reviewer_notes,'') || ' | ' || COALESCE($3,'') WHERE id=$1`,
-            [id, req.headers['x-reviewer'] || 'admin', (req.body && req.body.reason) || '']);
+            [id, req.reviewer.username, (req.body && req.body.reason) || '']);
+        await decide(req, 'duplicate_canonicals', id, 'distinct', { detail: { reason: (req.body && req.body.reason) || null } });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -660,11 +761,12 @@ router.post('/duplicate_canonicals/:id/distinct', async (req, res) => {
 });
 
 // POST /api/review/duplicate_canonicals/:id/skip — defer (needs more research)
-router.post('/duplicate_canonicals/:id/skip', async (req, res) => {
+router.post('/duplicate_canonicals/:id/skip', curator, async (req, res) => {
     const { id } = req.params;
     try {
         await db.query(`UPDATE dedup_candidate_pairs SET status='skipped', reviewed_by=$2, reviewed_at=NOW() WHERE id=$1`,
-            [id, req.headers['x-reviewer'] || 'admin']);
+            [id, req.reviewer.username]);
+        await decide(req, 'duplicate_canonicals', id, 'skip');
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -673,9 +775,9 @@ router.post('/duplicate_canonicals/:id/skip', async (req, res) => {
 
 // ═══ CROSS-SOURCE ENSLAVER ACTIONS ═══
 // POST /api/review/cross_source_enslavers/:id/link — confirm the lead IS this canonical person
-router.post('/cross_source_enslavers/:id/link', async (req, res) => {
+router.post('/cross_source_enslavers/:id/link', curator, async (req, res) => {
     const { id } = req.params;
-    const reviewer = req.headers['x-reviewer'] || 'admin';
+    const reviewer = req.reviewer.username;
     try {
         const c = (await db.query(`SELECT canonical_person_id, unconfirmed_lead_id, status FROM cross_source_candidates WHERE id=$1`, [id])).rows[0];
         if (!c) return res.status(404).json({ success: false, error: 'candidate not found' });
@@ -690,6 +792,9 @@ router.post('/cross_source_enslavers/:id/link', async (req, res) => {
         await db.query(`UPDATE cross_source_candidates SET status='skipped',
             reviewer_notes=COALESCE(reviewer_notes,'') || ' | lead linked elsewhere'
             WHERE status='pending' AND unconfirmed_lead_id=$1 AND id<>$2`, [c.unconfirmed_lead_id, id]);
+        await decide(req, 'cross_source_enslavers', id, 'link', {
+            canonicalPersonId: c.canonical_person_id, detail: { lead_id: c.unconfirmed_lead_id },
+        });
         res.json({ success: true, lead: c.unconfirmed_lead_id, canonical: c.canonical_person_id });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -697,11 +802,12 @@ router.post('/cross_source_enslavers/:id/link', async (req, res) => {
 });
 
 // POST /api/review/cross_source_enslavers/:id/distinct — NOT the same person
-router.post('/cross_source_enslavers/:id/distinct', async (req, res) => {
+router.post('/cross_source_enslavers/:id/distinct', curator, async (req, res) => {
     try {
         await db.query(`UPDATE cross_source_candidates SET status='confirmed_distinct', reviewed_by=$2, reviewed_at=NOW(),
             reviewer_notes=COALESCE(reviewer_notes,'') || ' | ' || COALESCE($3,'') WHERE id=$1`,
-            [req.params.id, req.headers['x-reviewer'] || 'admin', (req.body && req.body.reason) || '']);
+            [req.params.id, req.reviewer.username, (req.body && req.body.reason) || '']);
+        await decide(req, 'cross_source_enslavers', req.params.id, 'distinct', { detail: { reason: (req.body && req.body.reason) || null } });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -709,10 +815,11 @@ router.post('/cross_source_enslavers/:id/distinct', async (req, res) => {
 });
 
 // POST /api/review/cross_source_enslavers/:id/skip
-router.post('/cross_source_enslavers/:id/skip', async (req, res) => {
+router.post('/cross_source_enslavers/:id/skip', curator, async (req, res) => {
     try {
         await db.query(`UPDATE cross_source_candidates SET status='skipped', reviewed_by=$2, reviewed_at=NOW() WHERE id=$1`,
-            [req.params.id, req.headers['x-reviewer'] || 'admin']);
+            [req.params.id, req.reviewer.username]);
+        await decide(req, 'cross_source_enslavers', req.params.id, 'skip');
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
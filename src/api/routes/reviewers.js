@@ -0,0 +1,115 @@
+/**
+ * Reviewer accounts API (M115, ReviewerService).
+ *
+ * Routes:
+ *   POST  /api/reviewers/login       — { username, password } → { token, reviewer }   (public)
+ *   GET   /api/reviewers/me          — the reviewer behind the token                  (any reviewer)
+ *   GET   /api/reviewers/decisions   — review_decisions audit; ?reviewer=&queue=&canonical_id=
+ *                                                                                      (curator, operator)
+ *   GET   /api/reviewers             — all accounts                                    (operator)
+ *   POST  /api/reviewers             — { username, password, roles[], displayName?, email? } (operator)
+ *   PATCH /api/reviewers/:id         — { roles?, active?, password?, displayName?, email? }  (operator)
+ *
+ * The first account is created offline with scripts/create-reviewer.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../../database/connection');
+const ReviewerService = require('../../services/ReviewerService');
+const { ReviewerError } = require('../../services/ReviewerService');
+const { requireReviewer, requireRole } = require('../../middleware/admin-auth');
+
+const reviewers = new ReviewerService(db);
+
+function failure(res, e) {
+    if (e instanceof ReviewerError) return res.status(e.httpStatus).json({ success: false, error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+}
+
+// POST /api/reviewers/login
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ success: false, error: 'username and password required' });
+    try {
+        const session = await reviewers.authenticate(username, password);
+        if (!session) return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        res.json({ success: true, ...session });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// GET /api/reviewers/me
+router.get('/me', requireReviewer, (req, res) => {
+    res.json({ success: true, reviewer: req.reviewer });
+});
+
+// GET /api/reviewers/decisions?reviewer=&queue=&canonical_id=&limit=&offset=
+router.get('/decisions', requireRole('curator', 'operator'), async (req, res) => {
+    try {
+        const decisions = await reviewers.decisions({
+            reviewer: req.query.reviewer || null,
+            queue: req.query.queue || null,
+            canonicalPersonId: req.query.canonical_id || null,
+            limit: req.query.limit,
+            offset: req.query.offset,
+        });
+        res.json({ success: true, count: decisions.length, decisions });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// GET /api/reviewers
+router.get('/', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, reviewers: await reviewers.list() });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// POST /api/reviewers
+router.post('/', requireRole('operator'), async (req, res) => {
+    const body = req.body || {};
+    try {
+        const reviewer = await reviewers.create({
+            username: body.username,
+            password: body.password,
+            displayName: body.displayName || null,
+            email: body.email || null,
+            roles: body.roles || [],
+            createdBy: req.reviewer.username,
+        });
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'reviewers', itemId: reviewer.id, action: 'create', detail: { username: reviewer.username, roles: reviewer.roles },
+        });
+        res.status(201).json({ success: true, reviewer });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+// PATCH /api/reviewers/:id
+router.patch('/:id', requireRole('operator'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, error: 'bad id' });
+    const body = req.body || {};
+    try {
+        const reviewer = await reviewers.update(id, {
+            roles: body.roles, active: body.active, password: body.password,
+            displayName: body.displayName, email: body.email,
+        });
+        if (!reviewer) return res.status(404).json({ success: false, error: 'reviewer not found' });
+        await reviewers.recordDecision(req.reviewer, {
+            queue: 'reviewers', itemId: id, action: 'update',
+            detail: { roles: body.roles, active: body.active, passwordReset: body.password !== undefined },
+        });
+        res.json({ success: true, reviewer });
+    } catch (e) {
+        failure(res, e);
+    }
+});
+
+module.exports = router;
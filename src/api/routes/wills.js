@@ -28,6 +28,7 @@ const crypto = require('crypto');
 const db = require('../../database/connection');
 const S3Service = require('../../services/storage/S3Service');
 const PersonService = require('../../services/PersonService');
+const { cidForBuffer } = require('../../services/document/ipfs-cid');
 const logger = require('../../utils/logger');
 
 // Shared identity gate — write blocking keys for canonicals this route mints so they're
@@ -426,8 +427,8 @@ router.post('/ingest', upload.single('willPdf'), async (req, res) => {
            (s3_key, s3_url, document_type, filename, file_size, mime_type,
             title, source_type_label, collection_name,
             name_as_appears, document_year, created_by, canonical_person_id,
-            evidence_strength)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            evidence_strength, ipfs_cid, ipfs_cid_computed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
          RETURNING id`,
         [
           s3Key,                                               // $1  s3_key
@@ -448,6 +449,7 @@ router.post('/ingest', upload.single('willPdf'), async (req, res) => {
           'public-ingestion',                                  // $12 created_by
           resolvedPersonId || null,                            // $13 canonical_person_id
           tier,                                                // $14 evidence_strength
+          cidForBuffer(file.buffer),                           // $15 ipfs_cid (M125)
         ]
       );
       personDocId = pdResult.rows[0].id;
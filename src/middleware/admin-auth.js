@@ -1,98 +1,143 @@
 /**
- * Admin authentication middleware.
+ * Admin authentication middleware — named reviewer accounts with roles (M115).
  *
- * Simple bearer-token check for admin-only endpoints. The token is set via
- * ADMIN_TOKEN environment variable; rotate it per event.
+ * Replaces the single shared ADMIN_TOKEN. A reviewer logs in at
+ * POST /api/reviewers/login and sends the returned JWT as
+ * `Authorization: Bearer <token>`. The token is issued by middleware/auth.js;
+ * ReviewerService.resolveToken re-reads the account on every request, so a
+ * deactivated account or a removed role is refused at once.
  *
  * Usage:
- *   const requireAdmin = require('./middleware/admin-auth');
- *   app.post('/api/admin/something', requireAdmin, handler);
+ *   const { requireReviewer, requireRole } = require('./middleware/admin-auth');
+ *   app.use('/api/review', requireReviewer, reviewRouter);           // any role
+ *   router.post('/x/:id/approve', requireRole('curator'), handler);  // one of these roles
  *
- * Frontend sends the token as `X-Admin-Token` header. It's stored in
- * localStorage by the React app's AdminAuth component after the user enters
- * it at /admin.
+ * Both set req.reviewer = { id, username, displayName, roles }. Handlers stamp
+ * reviewed_by / verified_by with req.reviewer.username and append to
+ * review_decisions (ReviewerService.recordDecision).
  *
- * Security notes:
- * - This is NOT a full auth system. It's a single shared secret intended for
- *   one-operator scenarios (you plus whoever is running the premiere).
- * - Token is sent in a header, not a URL, so it won't end up in server logs
- *   or browser history.
- * - Rotate ADMIN_TOKEN immediately after the premiere.
- * - If ADMIN_TOKEN is unset in production, all admin routes return 503 (not
- *   500) so misconfiguration is loud rather than silent.
+ * Development (NODE_ENV !== 'production'): a request WITHOUT a token is let
+ * through as the pseudo-reviewer "dev" holding every role, with a startup
+ * warning, so local work isn't blocked. A request WITH a token is always
+ * checked, so roles can be exercised locally. Production requires a token.
  */
 
-// Timing-safe comparison to avoid leaking token length via response time.
-function safeEqual(a, b) {
-  if (typeof a !== 'string' || typeof b !== 'string') return false;
-  if (a.length !== b.length) return false;
-  let mismatch = 0;
-  for (let i = 0; i < a.length; i++) {
-    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+const ReviewerService = require('../services/ReviewerService');
+const { ROLES } = require('../services/ReviewerService');
+
+const DEV_REVIEWER = Object.freeze({ id: null, username: 'dev', displayName: 'Development (no auth)', roles: ROLES });
+
+let _service = null;
+function reviewerService() {
+  if (!_service) _service = new ReviewerService(require('../database/connection'));
+  return _service;
+}
+
+// Tests swap in a ReviewerService over a fake db.
+function setReviewerService(service) {
+  _service = service;
+}
+
+function bearerToken(req) {
+  const authHeader = (req && req.headers && req.headers['authorization']) || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+}
+
+function devOpen() {
+  if (process.env.NODE_ENV === 'production') return false;
+  if (!global.__adminAuthDevWarned) {
+    console.warn('[admin-auth] no reviewer token on request — admitting as "dev" with every role (dev mode only).');
+    global.__adminAuthDevWarned = true;
   }
-  return mismatch === 0;
+  return true;
 }
 
-function requireAdmin(req, res, next) {
-  const expected = process.env.ADMIN_TOKEN;
+function authenticateReviewer(roles) {
+  return async function (req, res, next) {
+    try {
+      const token = bearerToken(req);
+      let reviewer = null;
+      if (token) {
+        reviewer = await reviewerService().resolveToken(token);
+        if (!reviewer) {
+          return res.status(401).json({ success: false, error: 'Reviewer session invalid or expired. Log in again.' });
+        }
+      } else if (devOpen()) {
+        reviewer = DEV_REVIEWER;
+      } else {
+        return res.status(401).json({ success: false, error: 'Reviewer authentication required.' });
+      }
 
-  // In production, refuse to accept admin requests if no token is configured.
-  // In development (no NODE_ENV or NODE_ENV=development), allow with a warning
-  // so local dev isn't blocked.
-  if (!expected) {
-    if (process.env.NODE_ENV === 'production') {
-      return res.status(503).json({
-        success: false,
-        error: 'Admin auth not configured. Set ADMIN_TOKEN env var.'
-      });
-    }
-    if (!global.__adminAuthDevWarned) {
-      console.warn('[admin-auth] ADMIN_TOKEN not set — admin endpoints are OPEN (dev mode only).');
-      global.__adminAuthDevWarned = true;
+      if (roles.length && !roles.some(r => reviewer.roles.includes(r))) {
+        return res.status(403).json({
+          success: false,
+          error: `Requires role: ${roles.join(' or ')}`,
+          reviewer: reviewer.username,
+        });
+      }
+      req.reviewer = reviewer;
+      next();
+    } catch (e) {
+      res.status(500).json({ success: false, error: e.message });
     }
-    return next();
-  }
+  };
+}
 
-  // Accept both the X-Admin-Token header and an Authorization: Bearer fallback.
-  const headerToken = req.headers['x-admin-token'];
-  const authHeader = req.headers['authorization'] || '';
-  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  const provided = headerToken || bearerToken;
+/** Any active reviewer, whatever their roles. */
+const requireReviewer = authenticateReviewer([]);
 
-  if (!provided || !safeEqual(provided, expected)) {
-    return res.status(401).json({
-      success: false,
-      error: 'Admin authentication required.'
-    });
-  }
+/** An active reviewer holding at least one of `roles`. */
+function requireRole(...roles) {
+  const unknown = roles.filter(r => !ROLES.includes(r));
+  if (unknown.length) throw new Error(`requireRole: unknown role(s) ${unknown.join(', ')}`);
+  return authenticateReviewer(roles);
+}
 
-  next();
+/**
+ * Identify the caller without requiring one: req.reviewer is the reviewer, or
+ * null for an anonymous request. For public endpoints that offer more to
+ * reviewers (the chat assistant's curator-only write tools). A token that is
+ * sent but invalid is still refused rather than quietly treated as anonymous;
+ * the development rule above applies to a request without a token.
+ */
+async function optionalReviewer(req, res, next) {
+  try {
+    const token = bearerToken(req);
+    if (!token) {
+      req.reviewer = devOpen() ? DEV_REVIEWER : null;
+      return next();
+    }
+    const reviewer = await reviewerService().resolveToken(token);
+    if (!reviewer) {
+      return res.status(401).json({ success: false, error: 'Reviewer session invalid or expired. Log in again.' });
+    }
+    req.reviewer = reviewer;
+    next();
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
 }
 
 /**
- * Verify-only endpoint handler: returns 200 if the token is valid.
- * Mount at e.g. /api/admin/verify so the frontend can check a stored token
- * on page load before showing the admin UI.
+ * Verify-only endpoint handler, mounted behind requireReviewer at
+ * /api/admin/verify so the frontend can check a stored token on page load.
  */
 function adminVerify(req, res) {
-  res.json({ success: true, admin: true });
+  res.json({ success: true, admin: true, reviewer: req.reviewer });
 }
 
 /**
- * Non-blocking admin check — returns a boolean instead of short-circuiting the request.
+ * Non-blocking admin check — resolves to a boolean instead of short-circuiting the request.
  * Used by the external-assertion gate (M102): an authenticated curator/research caller sees
  * GATED canonical persons (internal use is allowed by the standard); anonymous public callers
- * do not. Mirrors requireAdmin's token logic. In dev (no ADMIN_TOKEN) this returns TRUE so local
- * work sees everything — production (ADMIN_TOKEN set) gates anonymous callers.
+ * do not. The token is resolved to its account like requireReviewer does, so a deactivated
+ * reviewer's still-unexpired token no longer opens the gate. In dev a caller without a token
+ * is admitted, as above.
  */
-function isAdmin(req) {
-  const expected = process.env.ADMIN_TOKEN;
-  if (!expected) return process.env.NODE_ENV !== 'production';
-  const headerToken = req && req.headers && req.headers['x-admin-token'];
-  const authHeader = (req && req.headers && req.headers['authorization']) || '';
-  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  const provided = headerToken || bearerToken;
-  return !!provided && safeEqual(provided, expected);
+async function isAdmin(req) {
+  const token = bearerToken(req);
+  if (!token) return process.env.NODE_ENV !== 'production';
+  return Boolean(await reviewerService().resolveToken(token));
 }
 
-module.exports = { requireAdmin, adminVerify, isAdmin };
+module.exports = { requireReviewer, requireRole, optionalReviewer, adminVerify, isAdmin, setReviewerService };
@@ -62,8 +62,8 @@ app.use(cors({
     }
     return callback(null, true); // Allow all for now during development
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Token'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Ops-Secret'],
   credentials: true
 }));
 
@@ -126,16 +126,19 @@ app.set('documentProcessor', documentProcessor);
 // Mount Routes
 // =============================================================================
 
-// Admin auth (Apr 11, 2026) — gate specific admin-only endpoints.
-// Must be registered BEFORE the routers that own those paths. Set ADMIN_TOKEN
-// in production; dev mode (NODE_ENV !== 'production') leaves endpoints OPEN.
-const { requireAdmin, adminVerify } = require('./middleware/admin-auth');
+// Admin auth — named reviewer accounts with roles (M115), replacing the shared
+// ADMIN_TOKEN. Gates must be registered BEFORE the routers that own those
+// paths. Routers that mix roles (review, contribute review-queue, ops,
+// reviewers) also check roles per route. Dev mode (NODE_ENV !== 'production')
+// admits token-less requests as the "dev" reviewer.
+const { requireReviewer, requireRole, adminVerify } = require('./middleware/admin-auth');
 
 // Verify endpoint for React admin UI token check
-app.get('/api/admin/verify', requireAdmin, adminVerify);
+app.get('/api/admin/verify', requireReviewer, adminVerify);
+app.use('/api/reviewers', require('./api/routes/reviewers'));
 
 // Gate ancestor-climb admin endpoint (must precede router mount)
-app.use('/api/ancestor-climb/pending-verification', requireAdmin);
+app.use('/api/ancestor-climb/pending-verification', requireReviewer);
 
 // Gate contribute admin paths (must precede contribute router mount below)
 const ADMIN_CONTRIBUTE_PATHS = [
@@ -144,7 +147,11 @@ const ADMIN_CONTRIBUTE_PATHS = [
   '/api/contribute/data-quality-metrics',
   '/api/contribute/training',
 ];
-app.use(ADMIN_CONTRIBUTE_PATHS, requireAdmin);
+app.use(ADMIN_CONTRIBUTE_PATHS, requireReviewer);
+
+// Gate DAA signing administration (M114). The signer-facing /api/daa/sign/:token
+// routes stay public — the link token is the credential.
+app.use(['/api/daa/signing', '/api/daa/:daaId/signing'], requireRole('finance'));
 
 app.use('/api/documents', documentsRouter);
 app.use('/api/research', researchRouter);
@@ -155,7 +162,7 @@ app.use('/api/debug', debugRouter);
 app.use('/api/bibliography', bibliographyRouter);
 app.use('/api/ancestor-climb', ancestorClimbRouter);
 app.use('/api/kiosk', kioskRouter);
-app.use('/api/review', requireAdmin, require('./api/routes/review'));
+app.use('/api/review', requireReviewer, require('./api/routes/review'));
 app.use('/api/intake', require('./api/routes/intake'));
 app.use('/api/ops', require('./api/routes/ops'));
 app.use('/api/match-verification', require('./api/routes/match-verification'));
@@ -205,6 +212,9 @@ app.use('/api/legal', require('./api/routes/legal-precedents'));
 // Contract: 0x914846ceA07e57d848d9d60C8238865D83d9ab1E
 app.use('/api/blockchain', require('./api/routes/blockchain'));
 
+// Oracle event log + DAA amount-revision proposals (M117)
+app.use('/api/oracle', require('./api/routes/oracle'));
+
 // Distributed scraper API (browser-based multi-device scraping)
 const { router: scraperRouter, initializeRouter: initScraper } = require('./api/routes/distributed-scraper');
 initScraper(db);
@@ -617,6 +627,14 @@ async function startServer() {
       logger.info(`Reparations Platform running on port ${PORT}`);
       logger.info(`Environment: ${config.env || process.env.NODE_ENV || 'development'}`);
     });
+
+    // Participant pipeline runner (M118) — off unless an interval is configured
+    const runnerIntervalS = parseInt(process.env.PIPELINE_RUNNER_INTERVAL_S, 10);
+    if (runnerIntervalS > 0) {
+      const PipelineRunner = require('./services/pipeline-runner');
+      new PipelineRunner(db, { logger }).start(runnerIntervalS * 1000);
+      logger.info(`Pipeline runner every ${runnerIntervalS}s`);
+    }
   } catch (error) {
     logger.error('Failed to start server', { error: error.message });
     process.exit(1);
@@ -13,6 +13,8 @@
  */
 'use strict';
 
+const { cidForBuffer } = require('./document/ipfs-cid');
+
 const SUBJECT_TABLES = {
   canonical_persons:        { idCol: 'id',      nameCol: 'canonical_name', kind: 'canonical' },
   unconfirmed_persons:      { idCol: 'lead_id', nameCol: 'name',           kind: 'lead' },
@@ -65,6 +67,10 @@ const ENSLAVED_CONTENT = [
 const DOC_PROP_SLAVEOWNER = [...new Set([...OWNER_NAMED, ...OWNER_CONTENT])];
 const DOC_PROP_ENSLAVED = [...new Set([...ENSLAVED_NAMED, ...ENSLAVED_CONTENT])];
 
+// canonical_persons fields merge() fills on the survivor from the victim (COALESCE); unmerge()
+// clears them again when the survivor had none of its own.
+const MERGE_ENRICHED_FIELDS = ['primary_county', 'primary_state', 'birth_year_estimate', 'death_year_estimate', 'sex'];
+
 // Doc-type lists are hardcoded constants (no injection) → safe to inline as SQL literals so the
 // SAME role-aware predicate is reused by recomputeGate (single id) and the bulk/audit scripts.
 const _sqlArr = (a) => `ARRAY[${a.map((s) => `'${s.replace(/'/g, "''")}'`).join(',')}]::text[]`;
@@ -102,7 +108,11 @@ function assertableEnslavedSQL(cp) {
 }
 
 class PersonService {
-  constructor(db) { this.db = db; }
+  // opts.readObject(s3Key) → Buffer, for the CID of a stored evidence file (default S3Service)
+  constructor(db, opts = {}) {
+    this.db = db;
+    this.readObject = opts.readObject || ((key) => require('./storage/S3Service').getObjectBuffer(key));
+  }
 
   // ---- helpers ----
   _norm(s) { return (s == null ? '' : String(s)).toLowerCase().replace(/[^a-z0-9]/g, ''); }
@@ -335,6 +345,17 @@ class PersonService {
     return r.rows[0] || { assertable_slaveowner: false, assertable_enslaved: false };
   }
 
+  // CIDv1 of a stored evidence file: the caller's, else computed from the S3 bytes. An
+  // unreadable file is stored without one; scripts/address-person-documents.js fills it in.
+  async _cidFor(doc) {
+    if (doc.ipfsCid) return doc.ipfsCid;
+    try {
+      return cidForBuffer(await this.readObject(doc.s3Key));
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * promoteToCanonical(leadRef, evidence, opts) — mint/attach a canonical under the standard.
    * - DEDUPES first (resolve): an unambiguous existing-canonical match is REUSED (link), never
@@ -342,11 +363,11 @@ class PersonService {
    * - Creates a canonical only when no existing match (requires ≥ a secondary source; gate
    *   booleans default FALSE — a secondary-only canonical exists + works internally but stays
    *   GATED). Writes soundex/metaphone + blocking keys so it's discoverable in the unified pool.
-   * - Writes a person_documents row (s3_key only if a real stored file is supplied) + optional
-   *   external id, then recomputeGate (gate lifts only for a proposition with a qualifying
+   * - Writes a person_documents row (s3_key only if a real stored file is supplied, with its
+   *   CIDv1 as wills.js does, M125) + optional external id, then recomputeGate (gate lifts only for a proposition with a qualifying
    *   STORED doc). Marks the source lead 'promoted'. NEVER asserts anything externally.
    * evidence: { sourceType?, confidence?, personType?, externalId?, idSystem?, createdBy?,
-   *   document?: { documentType, sourceUrl, s3Url, s3Key, evidenceStrength, documentYear, nameAsAppears } }
+   *   document?: { documentType, sourceUrl, s3Url, s3Key, ipfsCid, evidenceStrength, documentYear, nameAsAppears } }
    */
   async promoteToCanonical(leadRef, evidence = {}, opts = {}) {
     const dry = !!opts.dryRun;
@@ -380,15 +401,17 @@ class PersonService {
 
     // Evidence document (≥ secondary; s3_key only when a real stored file is supplied).
     const doc = evidence.document || {};
+    const cid = doc.s3Key ? await this._cidFor(doc) : null;
     await this.db.query(
       `INSERT INTO person_documents
-         (canonical_person_id, name_as_appears, document_type, source_url, source_type, s3_url, s3_key, evidence_strength, document_year, created_by)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+         (canonical_person_id, name_as_appears, document_type, source_url, source_type, s3_url, s3_key, evidence_strength, document_year, created_by,
+          ipfs_cid, ipfs_cid_computed_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11::text, CASE WHEN $11::text IS NULL THEN NULL ELSE now() END)
        ON CONFLICT (COALESCE(canonical_person_id, '-1'::integer), COALESCE(unconfirmed_person_id, '-1'::integer), COALESCE(s3_url, ''::text), name_as_appears) DO NOTHING`,
       [canonicalId, doc.nameAsAppears || subj.name, doc.documentType || null, doc.sourceUrl || evidence.sourceUrl || null,
        evidence.sourceType || 'secondary', doc.s3Url || null, doc.s3Key || null,
        doc.evidenceStrength || (doc.s3Key ? 'primary' : 'secondary_database'), doc.documentYear || null,
-       evidence.createdBy || 'person_service']);
+       evidence.createdBy || 'person_service', cid]);
 
     if (evidence.externalId && evidence.idSystem) {
       await this.db.query(
@@ -434,6 +457,9 @@ class PersonService {
    * collision), mark victim person_type='merged' (kept, excluded from search), log to
    * person_merge_log. HAND-CONFIRMED only (never auto-called — Biscoe). opts.dryRun reports the
    * FK refs without writing.
+   * Every re-pointed / dropped child row, both pre-merge snapshots and the victim's blocking keys
+   * (removed — a merged record must not compete in the unified pool) go to person_merge_journal
+   * (M112) so unmerge() can reverse the merge exactly.
    */
   async merge(survivorId, victimId, opts = {}) {
     survivorId = Number(survivorId); victimId = Number(victimId);
@@ -452,6 +478,8 @@ class PersonService {
     const client = await this.db.connect();
     try {
       await client.query('BEGIN');
+      const before = Object.fromEntries((await client.query(
+        `SELECT id, to_jsonb(cp.*) AS row FROM canonical_persons cp WHERE id IN ($1,$2)`, [survivorId, victimId])).rows.map(r => [r.id, r.row]));
       await client.query(`
         UPDATE canonical_persons sv SET
           primary_county = COALESCE(sv.primary_county, vc.primary_county),
@@ -462,28 +490,276 @@ class PersonService {
           notes = COALESCE(sv.notes,'') || ' [merged from #' || vc.id || ' "' || vc.canonical_name || '"]',
           updated_at = NOW()
         FROM canonical_persons vc WHERE sv.id = $1 AND vc.id = $2`, [survivorId, victimId]);
+      const moved = [], dropped = [];
       for (const w of work) {
+        const keyExpr = await this._rowKeyExpr(client, w.table_name, w.column_name);
+        const keys = (await client.query(`SELECT ${keyExpr} AS k FROM ${w.table_name} WHERE ${w.column_name} = $1`, [victimId])).rows.map(r => r.k);
+        const droppedKeys = new Set();
+        // SAVEPOINT around the bulk update: a unique-collision error would otherwise abort the
+        // whole transaction and the row-walk below could never run.
+        await client.query('SAVEPOINT s');
         try {
           await client.query(`UPDATE ${w.table_name} SET ${w.column_name} = $1 WHERE ${w.column_name} = $2`, [survivorId, victimId]);
+          await client.query('RELEASE SAVEPOINT s');
         } catch (e) {
           if (!/unique constraint/i.test(e.message)) throw e;
-          await client.query('SAVEPOINT s');
-          const dups = await client.query(`SELECT ctid FROM ${w.table_name} WHERE ${w.column_name} = $1`, [victimId]);
+          await client.query('ROLLBACK TO SAVEPOINT s');
+          const dups = await client.query(`SELECT ctid, to_jsonb(${w.table_name}.*) AS row, ${keyExpr} AS k FROM ${w.table_name} WHERE ${w.column_name} = $1`, [victimId]);
           for (const d of dups.rows) {
             await client.query('SAVEPOINT r');
             try { await client.query(`UPDATE ${w.table_name} SET ${w.column_name} = $1 WHERE ctid = $2`, [survivorId, d.ctid]); await client.query('RELEASE SAVEPOINT r'); }
-            catch { await client.query('ROLLBACK TO SAVEPOINT r'); await client.query(`DELETE FROM ${w.table_name} WHERE ctid = $1`, [d.ctid]); }
+            catch {
+              await client.query('ROLLBACK TO SAVEPOINT r');
+              await client.query(`DELETE FROM ${w.table_name} WHERE ctid = $1`, [d.ctid]);
+              dropped.push({ table: w.table_name, column: w.column_name, row: d.row });
+              droppedKeys.add(JSON.stringify(d.k));
+            }
           }
           await client.query('RELEASE SAVEPOINT s');
         }
+        moved.push({ table: w.table_name, column: w.column_name, keys: keys.filter(k => !droppedKeys.has(JSON.stringify(k))) });
       }
+      const bk = (await client.query(
+        `DELETE FROM person_blocking_keys WHERE subject_table='canonical_persons' AND subject_id=$1 RETURNING key_type, key_value`, [victimId])).rows;
       await client.query(`UPDATE canonical_persons SET person_type='merged', notes=COALESCE(notes,'') || ' [merged into #' || $1 || ']', updated_at=NOW() WHERE id=$2`, [survivorId, victimId]);
-      await client.query(`INSERT INTO person_merge_log (surviving_person_id, merged_person_id, merge_reason, merged_by, merged_at) VALUES ($1,$2,$3,$4,NOW())`, [survivorId, victimId, opts.reason || 'PersonService.merge', opts.mergedBy || 'person_service']);
+      const log = await client.query(`INSERT INTO person_merge_log (surviving_person_id, merged_person_id, merge_reason, merge_details, merged_by, merged_at) VALUES ($1,$2,$3,$4,$5,NOW()) RETURNING id`,
+        [survivorId, victimId, opts.reason || 'PersonService.merge', JSON.stringify(before[victimId]), opts.mergedBy || 'person_service']);
+      const journal = await client.query(
+        `INSERT INTO person_merge_journal (operation, merge_log_id, survivor_id, victim_id, survivor_before, victim_before, moved_rows, dropped_rows, blocking_keys, reason, performed_by)
+         VALUES ('merge',$1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id`,
+        [log.rows[0].id, survivorId, victimId, JSON.stringify(before[survivorId]), JSON.stringify(before[victimId]),
+         JSON.stringify(moved), JSON.stringify(dropped), JSON.stringify(bk), opts.reason || 'PersonService.merge', opts.mergedBy || 'person_service']);
       await client.query('COMMIT');
-      return { ok: true, action: 'merged', survivorId, victimId, fkRefs: work.length };
+      return { ok: true, action: 'merged', survivorId, victimId, fkRefs: work.length, mergeLogId: log.rows[0].id, journalId: journal.rows[0].id };
     } catch (e) { await client.query('ROLLBACK'); return { ok: false, reason: e.message }; }
     finally { client.release(); }
   }
+
+  /** SQL expression identifying a child row across a re-point: its primary key as jsonb, or —
+   *  for PK-less tables / PKs that contain the FK column — the whole row minus that column. */
+  async _rowKeyExpr(q, table, column) {
+    this._pkCache ||= {};
+    if (!(table in this._pkCache)) {
+      this._pkCache[table] = (await q.query(
+        `SELECT kcu.column_name FROM information_schema.table_constraints tc
+           JOIN information_schema.key_column_usage kcu ON tc.constraint_name = kcu.constraint_name AND tc.table_name = kcu.table_name
+          WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_name = $1 ORDER BY kcu.ordinal_position`, [table])).rows.map(r => r.column_name);
+    }
+    const pk = this._pkCache[table];
+    return pk.length && !pk.includes(column)
+      ? `jsonb_build_object(${pk.map(c => `'${c}', ${table}.${c}`).join(', ')})`
+      : `(to_jsonb(${table}.*) - '${column}')`;
+  }
+
+  /**
+   * unmerge(mergeLogId, opts) — reverse a merge recorded in person_merge_log.
+   * JOURNALED merges (M112) are reversed exactly: re-pointed child rows go back to the victim,
+   * collision-dropped rows are re-inserted, the victim's blocking keys and person_type/notes are
+   * restored, and the survivor loses only the fields merge() filled from the victim (unless
+   * edited since). Rows that moved or vanished after the merge are left alone and counted.
+   * LEGACY merges (no journal) fall back to provenance: documents / relationships whose
+   * as-recorded name is the victim's name go back via split(); identical names refuse.
+   * The pair is recorded as confirmed_distinct in dedup_candidate_pairs so the resolver does
+   * not propose it again. opts: { dryRun, reason, performedBy, personType (legacy only) }
+   */
+  async unmerge(mergeLogId, opts = {}) {
+    mergeLogId = Number(mergeLogId);
+    if (!Number.isInteger(mergeLogId)) return { ok: false, reason: 'merge log id required' };
+    const log = (await this.db.query(
+      `SELECT id, surviving_person_id, merged_person_id, merge_details FROM person_merge_log WHERE id=$1`, [mergeLogId])).rows[0];
+    if (!log) return { ok: false, reason: 'merge log entry not found' };
+    const j = (await this.db.query(
+      `SELECT * FROM person_merge_journal WHERE merge_log_id=$1 AND operation='merge' ORDER BY id DESC LIMIT 1`, [mergeLogId])).rows[0];
+    if (!j) return this._unmergeByProvenance(log, opts);
+    if (j.reverted_by_journal_id) return { ok: false, reason: `already unmerged (journal #${j.reverted_by_journal_id})` };
+
+    const survivorId = j.survivor_id, victimId = j.victim_id;
+    const movedCount = j.moved_rows.reduce((n, m) => n + m.keys.length, 0);
+    if (opts.dryRun) {
+      return { ok: true, action: 'would_unmerge', survivorId, victimId, rows: movedCount, droppedRows: j.dropped_rows.length, blockingKeys: j.blocking_keys.length,
+        tables: j.moved_rows.filter(m => m.keys.length).map(m => `${m.table}.${m.column}:${m.keys.length}`) };
+    }
+
+    const client = await this.db.connect();
+    let restored = 0, reinserted = 0, journalId;
+    try {
+      await client.query('BEGIN');
+      const survivorNow = (await client.query(`SELECT to_jsonb(cp.*) AS row FROM canonical_persons cp WHERE id=$1`, [survivorId])).rows[0]?.row;
+      for (const m of j.moved_rows) {
+        if (!m.keys.length) continue;
+        const keyExpr = await this._rowKeyExpr(client, m.table, m.column);
+        const r = await client.query(
+          `UPDATE ${m.table} SET ${m.column} = $1 WHERE ${m.column} = $2 AND ${keyExpr} IN (SELECT jsonb_array_elements($3::jsonb))`,
+          [victimId, survivorId, JSON.stringify(m.keys)]);
+        restored += r.rowCount;
+      }
+      for (const d of j.dropped_rows) {
+        const r = await client.query(
+          `INSERT INTO ${d.table} SELECT * FROM jsonb_populate_record(NULL::${d.table}, $1::jsonb) ON CONFLICT DO NOTHING`, [JSON.stringify(d.row)]);
+        reinserted += r.rowCount;
+      }
+      const vb = j.victim_before || {}, sb = j.survivor_before || {};
+      await client.query(`UPDATE canonical_persons SET person_type=$2, notes=$3, updated_at=NOW() WHERE id=$1`, [victimId, vb.person_type || null, vb.notes ?? null]);
+      // Undo merge()'s COALESCE enrichment: a field the survivor lacked and still holds the
+      // victim's value goes back to NULL (a value edited since the merge is kept).
+      const sets = [], params = [survivorId, ` [merged from #${victimId} "${vb.canonical_name}"]`];
+      for (const f of MERGE_ENRICHED_FIELDS) {
+        if (sb[f] != null || vb[f] == null) continue;
+        params.push(String(vb[f]));
+        sets.push(`${f} = CASE WHEN ${f}::text = $${params.length} THEN NULL ELSE ${f} END`);
+      }
+      sets.push(`notes = NULLIF(replace(COALESCE(notes,''), $2, ''), '')`, 'updated_at = NOW()');
+      await client.query(`UPDATE canonical_persons SET ${sets.join(', ')} WHERE id=$1`, params);
+      if (j.blocking_keys.length) {
+        await client.query(
+          `INSERT INTO person_blocking_keys (subject_table, subject_id, key_type, key_value)
+           SELECT 'canonical_persons', $1, u.kt, u.kv FROM unnest($2::text[], $3::text[]) AS u(kt, kv)
+           ON CONFLICT (subject_table, subject_id, key_value) DO NOTHING`,
+          [victimId, j.blocking_keys.map(k => k.key_type), j.blocking_keys.map(k => k.key_value)]);
+      }
+      journalId = (await client.query(
+        `INSERT INTO person_merge_journal (operation, merge_log_id, survivor_id, victim_id, survivor_before, victim_before, moved_rows, dropped_rows, blocking_keys, reverses_journal_id, reason, performed_by)
+         VALUES ('unmerge',$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING id`,
+        [mergeLogId, survivorId, victimId, JSON.stringify(survivorNow || null), JSON.stringify(vb), JSON.stringify(j.moved_rows), JSON.stringify(j.dropped_rows),
+         JSON.stringify(j.blocking_keys), j.id, opts.reason || 'PersonService.unmerge', opts.performedBy || 'person_service'])).rows[0].id;
+      await client.query(`UPDATE person_merge_journal SET reverted_by_journal_id=$2 WHERE id=$1`, [j.id, journalId]);
+      await this._markDistinct(client, survivorId, victimId, opts.performedBy, `unmerged (journal #${journalId})`);
+      await client.query('COMMIT');
+    } catch (e) { await client.query('ROLLBACK'); return { ok: false, reason: e.message }; }
+    finally { client.release(); }
+
+    await this.recomputeGate(survivorId);
+    await this.recomputeGate(victimId);
+    return { ok: true, action: 'unmerged', survivorId, victimId, journalId, restoredRows: restored, reinsertedRows: reinserted,
+      staleRows: movedCount - restored, blockingKeys: j.blocking_keys.length };
+  }
+
+  /** Legacy (pre-journal) merge: the only provenance left is how each row recorded the name. */
+  async _unmergeByProvenance(log, opts) {
+    const rows = (await this.db.query(
+      `SELECT id, canonical_name, person_type FROM canonical_persons WHERE id IN ($1,$2)`, [log.surviving_person_id, log.merged_person_id])).rows;
+    const survivor = rows.find(r => r.id === log.surviving_person_id), victim = rows.find(r => r.id === log.merged_person_id);
+    if (!survivor || !victim) return { ok: false, reason: 'merge predates the journal and the victim row no longer exists' };
+    if (this._norm(survivor.canonical_name) === this._norm(victim.canonical_name)) {
+      return { ok: false, reason: 'merge predates the journal and both records share the name — use split() with an explicit selection' };
+    }
+    const personType = opts.personType || (log.merge_details && log.merge_details.person_type) || survivor.person_type;
+    return this.split(log.surviving_person_id, { nameAsAppears: victim.canonical_name }, { personType },
+      { ...opts, targetId: log.merged_person_id, operation: 'unmerge', mergeLogId: log.id });
+  }
+
+  /**
+   * split(canonicalId, selection, person, opts) — detach the rows a provenance selection picks
+   * out of one canonical onto a NEW canonical (person: { name, personType, state, county,
+   * birthYear, sex, notes }) or, with opts.targetId, onto an existing/restored one. Generalises
+   * one-off conflation fixes like scripts/unmerge-civilwardc-collisions.mjs.
+   * selection (any combination; a row matching any rule moves):
+   *   documentIds[], documentSourceTypes[], nameAsAppears   → person_documents
+   *   relationshipIds[]                                    → enslaved_owner_relationships
+   *   externalIds[] (row ids), externalIdSystems[]         → person_external_ids
+   * Relationships and external ids whose source_url / external_url is a moved document's
+   * source_url travel with it. Journaled as operation 'split' (or opts.operation).
+   */
+  async split(canonicalId, selection = {}, person = {}, opts = {}) {
+    canonicalId = Number(canonicalId);
+    const src = (await this.db.query(`SELECT id, canonical_name, person_type FROM canonical_persons WHERE id=$1`, [canonicalId])).rows[0];
+    if (!src) return { ok: false, reason: 'canonical not found' };
+    if (src.person_type === 'merged') return { ok: false, reason: `#${canonicalId} is a merged record — unmerge it instead` };
+    if (!opts.targetId && !person.name) return { ok: false, reason: 'person.name required for the new canonical' };
+    const ints = a => (Array.isArray(a) ? a.map(Number).filter(Number.isInteger) : []);
+    const strs = a => (Array.isArray(a) ? a.map(String) : []);
+    const nameKey = selection.nameAsAppears ? this._norm(selection.nameAsAppears) : null;
+
+    const docs = (await this.db.query(
+      `SELECT id, source_url FROM person_documents
+        WHERE canonical_person_id=$1
+          AND (id = ANY($2::int[]) OR source_type = ANY($3::text[])
+               OR ($4::text IS NOT NULL AND regexp_replace(lower(name_as_appears), '[^a-z0-9]', '', 'g') = $4))`,
+      [canonicalId, ints(selection.documentIds), strs(selection.documentSourceTypes), nameKey])).rows;
+    const docUrls = docs.map(d => d.source_url).filter(Boolean);
+    const rels = (await this.db.query(
+      `SELECT id, enslaved_canonical_id = $1 AS enslaved_side, owner_canonical_id = $1 AS owner_side
+         FROM enslaved_owner_relationships
+        WHERE (enslaved_canonical_id=$1 OR owner_canonical_id=$1)
+          AND (id = ANY($2::int[]) OR source_url = ANY($3::text[])
+               OR ($4::text IS NOT NULL AND regexp_replace(lower(CASE WHEN owner_canonical_id=$1 THEN owner_name ELSE enslaved_name END), '[^a-z0-9]', '', 'g') = $4))`,
+      [canonicalId, ints(selection.relationshipIds), docUrls, nameKey])).rows;
+    const extIds = (await this.db.query(
+      `SELECT id FROM person_external_ids
+        WHERE canonical_person_id=$1 AND (id = ANY($2::int[]) OR id_system = ANY($3::text[]) OR external_url = ANY($4::text[]))`,
+      [canonicalId, ints(selection.externalIds), strs(selection.externalIdSystems), docUrls])).rows;
+    const counts = { documents: docs.length, relationships: rels.length, externalIds: extIds.length };
+    if (!docs.length && !rels.length && !extIds.length) return { ok: false, reason: 'selection matched no rows', moved: counts };
+    if (opts.dryRun) return { ok: true, action: opts.operation === 'unmerge' ? 'would_unmerge' : 'would_split', sourceId: canonicalId, targetId: opts.targetId || null, moved: counts };
+
+    const client = await this.db.connect();
+    let targetId = opts.targetId ? Number(opts.targetId) : null, journalId;
+    try {
+      await client.query('BEGIN');
+      const sourceBefore = (await client.query(`SELECT to_jsonb(cp.*) AS row FROM canonical_persons cp WHERE id=$1`, [canonicalId])).rows[0].row;
+      let targetBefore = null;
+      if (targetId) {
+        targetBefore = (await client.query(`SELECT to_jsonb(cp.*) AS row FROM canonical_persons cp WHERE id=$1`, [targetId])).rows[0]?.row;
+        if (!targetBefore) throw new Error(`target canonical #${targetId} not found`);
+        if (targetBefore.person_type === 'merged') {
+          await client.query(`UPDATE canonical_persons SET person_type=$2, notes=COALESCE(notes,'') || ' [unmerged from #' || $3 || ']', updated_at=NOW() WHERE id=$1`,
+            [targetId, person.personType || src.person_type, canonicalId]);
+        }
+      } else {
+        const { first, last } = this._parseName(person.name);
+        const sx = this._sex1(person.sex); const sex = sx === 'u' ? null : sx;
+        targetId = (await client.query(
+          `INSERT INTO canonical_persons
+             (canonical_name, first_name, last_name, first_name_soundex, last_name_soundex, last_name_metaphone,
+              sex, person_type, birth_year_estimate, primary_state, primary_county, notes, confidence_score, verification_status, created_by)
+           VALUES ($1, $2::text, $3::text, soundex($2::text), soundex($3::text), metaphone($3::text,8), $4,$5,$6,$7,$8,$9,$10,'split',$11)
+           RETURNING id`,
+          [person.name, first || null, last || null, sex, person.personType || null, person.birthYear || null, person.state || null, person.county || null,
+           `${person.notes ? person.notes + ' ' : ''}[split from #${canonicalId}]`, person.confidence || 0.70, opts.performedBy || 'person_service'])).rows[0].id;
+      }
+      await client.query(`UPDATE person_documents SET canonical_person_id=$1 WHERE id = ANY($2::int[])`, [targetId, docs.map(d => d.id)]);
+      await client.query(
+        `UPDATE enslaved_owner_relationships SET
+           enslaved_canonical_id = CASE WHEN enslaved_canonical_id=$2 THEN $1 ELSE enslaved_canonical_id END,
+           owner_canonical_id    = CASE WHEN owner_canonical_id=$2 THEN $1 ELSE owner_canonical_id END,
+           updated_at = NOW()
+         WHERE id = ANY($3::int[])`, [targetId, canonicalId, rels.map(r => r.id)]);
+      await client.query(`UPDATE person_external_ids SET canonical_person_id=$1 WHERE id = ANY($2::int[])`, [targetId, extIds.map(x => x.id)]);
+
+      const keys = rows => rows.map(r => ({ id: r.id }));
+      const moved = [
+        { table: 'person_documents', column: 'canonical_person_id', keys: keys(docs) },
+        { table: 'enslaved_owner_relationships', column: 'enslaved_canonical_id', keys: keys(rels.filter(r => r.enslaved_side)) },
+        { table: 'enslaved_owner_relationships', column: 'owner_canonical_id', keys: keys(rels.filter(r => r.owner_side)) },
+        { table: 'person_external_ids', column: 'canonical_person_id', keys: keys(extIds) },
+      ];
+      journalId = (await client.query(
+        `INSERT INTO person_merge_journal (operation, merge_log_id, survivor_id, victim_id, survivor_before, victim_before, moved_rows, selection, reason, performed_by)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id`,
+        [opts.operation || 'split', opts.mergeLogId || null, canonicalId, targetId, JSON.stringify(sourceBefore), JSON.stringify(targetBefore),
+         JSON.stringify(moved), JSON.stringify(selection), opts.reason || `PersonService.${opts.operation || 'split'}`, opts.performedBy || 'person_service'])).rows[0].id;
+      await this._markDistinct(client, canonicalId, targetId, opts.performedBy, `${opts.operation || 'split'} (journal #${journalId})`);
+      await client.query('COMMIT');
+    } catch (e) { await client.query('ROLLBACK'); return { ok: false, reason: e.message }; }
+    finally { client.release(); }
+
+    const target = (await this.db.query(`SELECT canonical_name, sex, birth_year_estimate FROM canonical_persons WHERE id=$1`, [targetId])).rows[0];
+    await this._writeBlockingKeys('canonical_persons', targetId, { name: target.canonical_name, sex: target.sex, birthYear: target.birth_year_estimate });
+    await this.recomputeGate(canonicalId);
+    const gate = await this.recomputeGate(targetId);
+    return { ok: true, action: opts.operation === 'unmerge' ? 'unmerged' : 'split', sourceId: canonicalId, targetId, journalId, moved: counts, gate };
+  }
+
+  /** Record a reversed merge / split pair as confirmed_distinct so dedup does not re-propose it. */
+  async _markDistinct(client, idA, idB, reviewer, note) {
+    await client.query(
+      `INSERT INTO dedup_candidate_pairs (person_a_id, person_b_id, score, route, a_name, b_name, status, reviewed_by, reviewed_at, reviewer_notes)
+       SELECT a.id, b.id, 0, 'review', a.canonical_name, b.canonical_name, 'confirmed_distinct', $3, NOW(), $4
+         FROM canonical_persons a, canonical_persons b WHERE a.id = LEAST($1::int,$2::int) AND b.id = GREATEST($1::int,$2::int)
+       ON CONFLICT (person_a_id, person_b_id) DO UPDATE SET status='confirmed_distinct', reviewed_by=EXCLUDED.reviewed_by, reviewed_at=NOW(),
+         reviewer_notes=COALESCE(dedup_candidate_pairs.reviewer_notes,'') || ' | ' || EXCLUDED.reviewer_notes`,
+      [idA, idB, reviewer || 'person_service', note]);
+  }
 }
 
 // Export the proposition→document-type lists + the ROLE-AWARE SQL predicate builders so the gate
@@ -0,0 +1,202 @@
+/**
+ * ReviewerService — named reviewer accounts, roles and the review-decision log (M115).
+ *
+ * Replaces the shared ADMIN_TOKEN. A reviewer logs in with username + password
+ * and gets a JWT from middleware/auth.js (issueToken). The token only names
+ * the account: resolveToken() re-reads the reviewers row on every request, so
+ * deactivating an account or changing its roles takes effect immediately.
+ *
+ * ROLES
+ *   curator      review queues, canonical promotion, merges / splits
+ *   genealogist  ancestor-climb matches, parse failures
+ *   finance      DAA signing and payments
+ *   operator     /api/ops and reviewer account management
+ *
+ * recordDecision() appends to review_decisions so "who promoted this enslaver
+ * canonical?" has an answer. It never throws — the decision it records has
+ * already been applied, and the queue row's reviewed_by column carries the
+ * same username.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const { issueToken, verifyToken } = require('../../middleware/auth');
+
+const ROLES = ['curator', 'genealogist', 'finance', 'operator'];
+const MIN_PASSWORD_LENGTH = 12;
+const TOKEN_TTL = process.env.REVIEWER_TOKEN_TTL || '12h';
+
+class ReviewerError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = 'ReviewerError';
+    this.httpStatus = httpStatus;
+  }
+}
+
+// Public shape of a reviewers row — never the password hash.
+const publicReviewer = (row) => row && ({
+  id: row.id,
+  username: row.username,
+  displayName: row.display_name,
+  email: row.email,
+  roles: row.roles || [],
+  active: row.active,
+  createdAt: row.created_at,
+  lastLoginAt: row.last_login_at,
+});
+
+class ReviewerService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** scrypt with a per-password salt: "scrypt$<salt>$<hash>" (base64). */
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  static verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  static normalizeRoles(roles) {
+    const list = [...new Set((Array.isArray(roles) ? roles : String(roles || '').split(','))
+      .map(r => String(r).trim().toLowerCase()).filter(Boolean))];
+    const unknown = list.filter(r => !ROLES.includes(r));
+    if (unknown.length) throw new ReviewerError(`Unknown role(s): ${unknown.join(', ')}. Valid: ${ROLES.join(', ')}`);
+    return list;
+  }
+
+  static checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ReviewerError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  async create({ username, password, displayName = null, email = null, roles = [], createdBy = null }) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9._-]*$/.test(name) || name.length > 64) {
+      throw new ReviewerError('username must be lowercase letters, digits, ".", "_" or "-"');
+    }
+    ReviewerService.checkPassword(password);
+    const roleList = ReviewerService.normalizeRoles(roles);
+    try {
+      const r = await this.db.query(`
+        INSERT INTO reviewers (username, display_name, email, password_hash, roles, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [name, displayName, email, ReviewerService.hashPassword(password), roleList, createdBy]);
+      return publicReviewer(r.rows[0]);
+    } catch (e) {
+      if (e.code === '23505') throw new ReviewerError(`username "${name}" already exists`, 409);
+      throw e;
+    }
+  }
+
+  /**
+   * Check a username / password and issue a token.
+   * @returns {Promise<{token: string, reviewer: Object}|null>} null on bad credentials
+   */
+  async authenticate(username, password) {
+    const r = await this.db.query(
+      `SELECT * FROM reviewers WHERE username = $1 AND active = TRUE`,
+      [String(username || '').trim().toLowerCase()]);
+    const row = r.rows[0];
+    if (!row || !ReviewerService.verifyPassword(password, row.password_hash)) return null;
+    await this.db.query(`UPDATE reviewers SET last_login_at = NOW() WHERE id = $1`, [row.id]);
+    const token = issueToken({ id: row.id, username: row.username, type: 'reviewer' }, TOKEN_TTL);
+    return { token, reviewer: publicReviewer(row) };
+  }
+
+  /**
+   * Token → current reviewer, or null when the token is invalid / expired or
+   * the account is gone or deactivated.
+   */
+  async resolveToken(token) {
+    let claims;
+    try { claims = verifyToken(token); } catch { return null; }
+    if (claims.type !== 'reviewer' || !claims.id) return null;
+    const r = await this.db.query(`SELECT * FROM reviewers WHERE id = $1 AND active = TRUE`, [claims.id]);
+    return publicReviewer(r.rows[0]);
+  }
+
+  async list() {
+    const r = await this.db.query(`SELECT * FROM reviewers ORDER BY active DESC, username`);
+    return r.rows.map(publicReviewer);
+  }
+
+  async get(id) {
+    const r = await this.db.query(`SELECT * FROM reviewers WHERE id = $1`, [id]);
+    return publicReviewer(r.rows[0]) || null;
+  }
+
+  /**
+   * @param {number} id
+   * @param {Object} changes - { roles?, active?, password?, displayName?, email? }
+   */
+  async update(id, { roles, active, password, displayName, email } = {}) {
+    const sets = [];
+    const params = [id];
+    const set = (col, val) => { params.push(val); sets.push(`${col} = $${params.length}`); };
+    if (roles !== undefined) set('roles', ReviewerService.normalizeRoles(roles));
+    if (active !== undefined) set('active', !!active);
+    if (password !== undefined) { ReviewerService.checkPassword(password); set('password_hash', ReviewerService.hashPassword(password)); }
+    if (displayName !== undefined) set('display_name', displayName);
+    if (email !== undefined) set('email', email);
+    if (!sets.length) throw new ReviewerError('nothing to update');
+    const r = await this.db.query(
+      `UPDATE reviewers SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`, params);
+    return publicReviewer(r.rows[0]) || null;
+  }
+
+  /**
+   * Append one decision to review_decisions. Non-fatal.
+   *
+   * @param {Object} reviewer - req.reviewer ({ id, username })
+   * @param {Object} decision - { queue, itemId, action, canonicalPersonId?, detail? }
+   */
+  async recordDecision(reviewer, { queue, itemId = null, action, canonicalPersonId = null, detail = null }) {
+    try {
+      await this.db.query(`
+        INSERT INTO review_decisions
+          (reviewer_id, reviewer_username, queue, item_id, action, canonical_person_id, detail)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [reviewer?.id || null, reviewer?.username || 'unknown', queue,
+          itemId == null ? null : String(itemId), action,
+          canonicalPersonId == null ? null : Number(canonicalPersonId),
+          detail ? JSON.stringify(detail) : null]);
+    } catch (e) {
+      console.error(`[reviewers] failed to record ${queue}/${action} by ${reviewer?.username}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Audit query over review_decisions, newest first.
+   * @param {Object} [filter] - { reviewer, queue, canonicalPersonId, limit, offset }
+   */
+  async decisions({ reviewer = null, queue = null, canonicalPersonId = null, limit = 50, offset = 0 } = {}) {
+    const r = await this.db.query(`
+      SELECT id, reviewer_id, reviewer_username, queue, item_id, action,
+             canonical_person_id, detail, decided_at
+      FROM review_decisions
+      WHERE ($1::text IS NULL OR reviewer_username = $1)
+        AND ($2::text IS NULL OR queue = $2)
+        AND ($3::int IS NULL OR canonical_person_id = $3)
+      ORDER BY decided_at DESC, id DESC
+      LIMIT $4 OFFSET $5
+    `, [reviewer, queue, canonicalPersonId == null ? null : Number(canonicalPersonId),
+        Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500), Math.max(parseInt(offset, 10) || 0, 0)]);
+    return r.rows;
+  }
+}
+
+module.exports = ReviewerService;
+module.exports.ROLES = ROLES;
+module.exports.ReviewerError = ReviewerError;
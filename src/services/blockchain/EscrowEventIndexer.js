@@ -0,0 +1,399 @@
+/**
+ * EscrowEventIndexer
+ *
+ * Mirrors ReparationsEscrow events into Postgres (migration 110) so payment
+ * history can be served without hitting the contract:
+ *
+ *   AncestryRecordSubmitted, PaymentDeposited, PaymentDistributed,
+ *   DescendantVerified, ReparationsAmountUpdated
+ *
+ * Resumable: progress is a per-(chain, contract) block cursor in
+ * escrow_index_cursor, advanced only after a batch of logs is stored.
+ *
+ * Reorg-safe: only blocks `confirmations` behind head are scanned, and each run
+ * first checks that the cursor block's hash still matches the chain. If it does
+ * not, rows above (cursor - reorgDepth) are deleted and that range is re-scanned.
+ * Inserts are idempotent on (chain_id, tx_hash, log_index).
+ *
+ * Run via scripts/index-escrow-events.js (one pass, or --watch).
+ */
+
+const { ethers } = require('ethers');
+const { getActiveNetwork, connectEscrow } = require('./network-config');
+
+const INDEXED_EVENTS = [
+    'AncestryRecordSubmitted',
+    'PaymentDeposited',
+    'PaymentDistributed',
+    'DescendantVerified',
+    'ReparationsAmountUpdated'
+];
+
+// Record amounts are USDC (the route submits with parseUnits(…, 6)); ETH deposits use 18
+const USDC_DECIMALS = 6;
+const ETH_DECIMALS = 18;
+
+class EscrowEventIndexer {
+    /**
+     * @param {Object} database - pg-compatible pool
+     * @param {Object} options - { network, provider, contract, deployment,
+     *                             confirmations, batchSize, reorgDepth, startBlock, logger }
+     */
+    constructor(database, options = {}) {
+        this.db = database;
+        this.network = options.network || getActiveNetwork();
+
+        const conn = options.contract
+            ? { provider: options.provider, contract: options.contract, deployment: options.deployment }
+            : connectEscrow(this.network);
+
+        this.provider = conn.provider;
+        this.contract = conn.contract;
+        this.deployment = conn.deployment;
+        this.contractAddress = this.deployment.contractAddress.toLowerCase();
+
+        // Local Hardhat blocks are final as soon as they are mined
+        this.confirmations = options.confirmations ?? (this.network.key === 'localhost' ? 0 : 12);
+        this.batchSize = options.batchSize || 2000;
+        this.reorgDepth = options.reorgDepth || 64;
+        this.startBlock = options.startBlock ?? this.deployment.blockNumber ?? 0;
+        this.log = options.logger || console;
+
+        this.topics = INDEXED_EVENTS.map(name => this.contract.interface.getEvent(name).topicHash);
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Current cursor, or one positioned just before the deployment block
+     */
+    async getCursor() {
+        const result = await this.db.query(
+            `SELECT last_block, last_block_hash
+             FROM escrow_index_cursor
+             WHERE chain_id = $1 AND contract_address = $2`,
+            [this.network.chainId, this.contractAddress]
+        );
+
+        if (result.rows.length === 0) {
+            return { last_block: this.startBlock - 1, last_block_hash: null };
+        }
+
+        return {
+            last_block: Number(result.rows[0].last_block),
+            last_block_hash: result.rows[0].last_block_hash
+        };
+    }
+
+    async saveCursor(blockNumber, blockHash) {
+        await this.db.query(
+            `INSERT INTO escrow_index_cursor (chain_id, contract_address, last_block, last_block_hash, updated_at)
+             VALUES ($1, $2, $3, $4, now())
+             ON CONFLICT (chain_id, contract_address)
+             DO UPDATE SET last_block = EXCLUDED.last_block,
+                           last_block_hash = EXCLUDED.last_block_hash,
+                           updated_at = now()`,
+            [this.network.chainId, this.contractAddress, blockNumber, blockHash]
+        );
+    }
+
+    /**
+     * Rewind the cursor if the block it points at was reorganized away
+     * @returns {Promise<Object>} cursor to resume from, with `reorged` flag
+     */
+    async checkReorg(cursor) {
+        if (!cursor.last_block_hash || cursor.last_block < 0) return { ...cursor, reorged: false };
+
+        const block = await this.provider.getBlock(cursor.last_block);
+        if (block && block.hash === cursor.last_block_hash) return { ...cursor, reorged: false };
+
+        const rewindTo = Math.max(this.startBlock - 1, cursor.last_block - this.reorgDepth);
+        this.log.warn(`[escrow-indexer] Reorg detected at block ${cursor.last_block} on ${this.network.name}; rewinding to ${rewindTo}`);
+
+        await this.db.query(
+            `DELETE FROM escrow_events
+             WHERE chain_id = $1 AND contract_address = $2 AND block_number > $3`,
+            [this.network.chainId, this.contractAddress, rewindTo]
+        );
+
+        const rewound = rewindTo >= 0 ? await this.provider.getBlock(rewindTo) : null;
+        await this.saveCursor(rewindTo, rewound ? rewound.hash : null);
+
+        return { last_block: rewindTo, last_block_hash: rewound ? rewound.hash : null, reorged: true };
+    }
+
+    /**
+     * Index every confirmed block past the cursor
+     * @returns {Promise<Object>} { fromBlock, toBlock, head, stored, reorged }
+     */
+    async runOnce() {
+        const head = await this.provider.getBlockNumber();
+        const safeHead = head - this.confirmations;
+        const cursor = await this.checkReorg(await this.getCursor());
+
+        const fromBlock = cursor.last_block + 1;
+        let stored = 0;
+        let from = fromBlock;
+
+        while (from <= safeHead) {
+            const to = Math.min(from + this.batchSize - 1, safeHead);
+
+            const logs = await this.provider.getLogs({
+                address: this.deployment.contractAddress,
+                fromBlock: from,
+                toBlock: to,
+                topics: [this.topics]
+            });
+
+            const blockTimes = new Map();
+            for (const log of logs) {
+                if (!blockTimes.has(log.blockNumber)) {
+                    const block = await this.provider.getBlock(log.blockNumber);
+                    blockTimes.set(log.blockNumber, block ? new Date(block.timestamp * 1000) : null);
+                }
+                stored += await this.storeEvent(log, blockTimes.get(log.blockNumber));
+            }
+
+            const toBlock = await this.provider.getBlock(to);
+            await this.saveCursor(to, toBlock ? toBlock.hash : null);
+            from = to + 1;
+        }
+
+        return {
+            network: this.network.key,
+            fromBlock,
+            toBlock: Math.max(safeHead, cursor.last_block),
+            head,
+            stored,
+            reorged: cursor.reorged
+        };
+    }
+
+    /**
+     * Decode one log and upsert it into escrow_events
+     * @returns {Promise<number>} 1 if a new row was written
+     */
+    async storeEvent(log, blockTime = null) {
+        const parsed = this.contract.interface.parseLog(log);
+        if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) return 0;
+
+        const row = normalizeEvent(parsed);
+
+        const result = await this.db.query(
+            `INSERT INTO escrow_events (
+                chain_id, contract_address, block_number, block_hash, block_time,
+                tx_hash, log_index, event_name, record_id, wallet_address, counterparty,
+                token_address, amount_raw, amount, previous_amount, args
+             ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+             ON CONFLICT (chain_id, tx_hash, log_index) DO NOTHING
+             RETURNING id`,
+            [
+                this.network.chainId, this.contractAddress, log.blockNumber, log.blockHash, blockTime,
+                log.transactionHash, log.index, parsed.name, row.recordId, row.wallet, row.counterparty,
+                row.token, row.amountRaw, row.amount, row.previousAmount, JSON.stringify(row.args)
+            ]
+        );
+
+        return result.rows.length;
+    }
+
+    /**
+     * Poll on an interval until stop() is called. Overlapping runs are skipped.
+     */
+    start(intervalMs = 30000) {
+        if (this.timer) return;
+
+        const tick = async () => {
+            if (!this.running) {
+                this.running = true;
+                try {
+                    const r = await this.runOnce();
+                    if (r.stored > 0 || r.reorged) {
+                        this.log.info(`[escrow-indexer] ${r.network}: blocks ${r.fromBlock}-${r.toBlock}, ${r.stored} new event(s)${r.reorged ? ' after reorg' : ''}`);
+                    }
+                } catch (err) {
+                    this.log.error(`[escrow-indexer] Run failed: ${err.message}`);
+                } finally {
+                    this.running = false;
+                }
+            }
+            if (this.timer) this.timer = setTimeout(tick, intervalMs);
+        };
+
+        this.timer = setTimeout(tick, 0);
+    }
+
+    stop() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * Map decoded event args onto escrow_events columns
+ * @private
+ */
+function normalizeEvent(parsed) {
+    const a = parsed.args;
+    const lower = (addr) => (addr ? String(addr).toLowerCase() : null);
+    const scale = (raw, token) => ethers.formatUnits(
+        raw,
+        token && token === ethers.ZeroAddress ? ETH_DECIMALS : USDC_DECIMALS
+    );
+
+    const row = {
+        recordId: a.recordId.toString(),
+        wallet: null,
+        counterparty: null,
+        token: null,
+        amountRaw: null,
+        amount: null,
+        previousAmount: null,
+        args: {}
+    };
+
+    parsed.fragment.inputs.forEach((input, i) => {
+        const v = a[i];
+        row.args[input.name] = typeof v === 'bigint' ? v.toString() : v;
+    });
+
+    switch (parsed.name) {
+        case 'AncestryRecordSubmitted':
+            row.wallet = lower(a.submitter);
+            break;
+        case 'PaymentDeposited':
+            row.wallet = lower(a.depositor);
+            row.token = lower(a.token);
+            row.amountRaw = a.amount.toString();
+            row.amount = scale(a.amount, a.token);
+            break;
+        case 'PaymentDistributed':
+            row.wallet = lower(a.recipient);
+            row.token = lower(a.token);
+            row.amountRaw = a.amount.toString();
+            row.amount = scale(a.amount, a.token);
+            break;
+        case 'DescendantVerified':
+            row.wallet = lower(a.descendant);
+            row.counterparty = lower(a.verifier);
+            break;
+        case 'ReparationsAmountUpdated':
+            row.amountRaw = a.newAmount.toString();
+            row.amount = scale(a.newAmount, null);
+            row.previousAmount = scale(a.oldAmount, null);
+            break;
+    }
+
+    return row;
+}
+
+// ── Read helpers (used by /api/blockchain payment-history endpoints) ────────
+//
+// `escrow` is { chainId, contractAddress } of the active deployment. Record ids
+// restart at 1 on every deployment, so rows from an earlier contract on the
+// same chain must not be mixed in.
+
+/**
+ * Payment history + totals for one on-chain record
+ */
+async function paymentHistoryForRecord(db, escrow, recordId) {
+    const events = await db.query(
+        `SELECT * FROM escrow_payment_history
+         WHERE chain_id = $1 AND contract_address = $2 AND record_id = $3
+         ORDER BY block_number, log_index`,
+        [escrow.chainId, escrow.contractAddress.toLowerCase(), recordId]
+    );
+
+    const totals = await db.query(
+        `SELECT event_name, token_address, SUM(amount) AS total, COUNT(*) AS count
+         FROM escrow_events
+         WHERE chain_id = $1 AND contract_address = $2 AND record_id = $3
+           AND event_name IN ('PaymentDeposited', 'PaymentDistributed')
+         GROUP BY event_name, token_address`,
+        [escrow.chainId, escrow.contractAddress.toLowerCase(), recordId]
+    );
+
+    const first = events.rows[0];
+    return {
+        recordId: Number(recordId),
+        daa: first && first.daa_id ? {
+            daaId: first.daa_id,
+            agreementNumber: first.agreement_number,
+            acknowledgerName: first.acknowledger_name,
+            slaveholderName: first.slaveholder_name,
+            totalDebt: first.daa_total_debt
+        } : null,
+        totals: totals.rows.map(t => ({
+            type: t.event_name === 'PaymentDeposited' ? 'deposited' : 'distributed',
+            token: t.token_address,
+            total: t.total,
+            count: Number(t.count)
+        })),
+        events: events.rows.map(formatEventRow)
+    };
+}
+
+/**
+ * Deposits made by, and distributions paid to, one wallet
+ */
+async function paymentHistoryForWallet(db, escrow, walletAddress) {
+    const events = await db.query(
+        `SELECT * FROM escrow_payment_history
+         WHERE chain_id = $1 AND contract_address = $2 AND wallet_address = $3
+           AND event_name IN ('PaymentDeposited', 'PaymentDistributed', 'DescendantVerified')
+         ORDER BY block_number, log_index`,
+        [escrow.chainId, escrow.contractAddress.toLowerCase(), walletAddress.toLowerCase()]
+    );
+
+    return {
+        wallet: walletAddress.toLowerCase(),
+        deposited: events.rows.filter(e => e.event_name === 'PaymentDeposited').map(formatEventRow),
+        received: events.rows.filter(e => e.event_name === 'PaymentDistributed').map(formatEventRow),
+        verifiedFor: events.rows.filter(e => e.event_name === 'DescendantVerified').map(e => Number(e.record_id))
+    };
+}
+
+/**
+ * Cursor position for the status endpoint
+ */
+async function indexerStatus(db, escrow) {
+    const result = await db.query(
+        `SELECT c.contract_address, c.last_block, c.updated_at,
+                (SELECT COUNT(*) FROM escrow_events e
+                 WHERE e.chain_id = c.chain_id AND e.contract_address = c.contract_address) AS event_count
+         FROM escrow_index_cursor c
+         WHERE c.chain_id = $1 AND c.contract_address = $2`,
+        [escrow.chainId, escrow.contractAddress.toLowerCase()]
+    );
+    return result.rows.map(r => ({
+        contractAddress: r.contract_address,
+        lastBlock: Number(r.last_block),
+        updatedAt: r.updated_at,
+        eventCount: Number(r.event_count)
+    }));
+}
+
+function formatEventRow(e) {
+    return {
+        event: e.event_name,
+        recordId: Number(e.record_id),
+        daaId: e.daa_id || null,
+        wallet: e.wallet_address,
+        counterparty: e.counterparty,
+        token: e.token_address,
+        amount: e.amount,
+        previousAmount: e.previous_amount,
+        blockNumber: Number(e.block_number),
+        blockTime: e.block_time,
+        transactionHash: e.tx_hash,
+        logIndex: e.log_index,
+        args: e.args
+    };
+}
+
+module.exports = EscrowEventIndexer;
+module.exports.INDEXED_EVENTS = INDEXED_EVENTS;
+module.exports.normalizeEvent = normalizeEvent;
+module.exports.paymentHistoryForRecord = paymentHistoryForRecord;
+module.exports.paymentHistoryForWallet = paymentHistoryForWallet;
+module.exports.indexerStatus = indexerStatus;
@@ -0,0 +1,362 @@
+/**
+ * LedgerMerkleService
+ *
+ * Commits the lineage ledger to ReparationsLedger's single merkleRoot (M126).
+ *
+ * One leaf per daa_lineage_contributions row — one descendant's DAA owing a
+ * share toward one enslaver's lineage obligation (M040). The leaf is
+ * keccak256 of the canonical JSON (sorted keys) of:
+ *
+ *   { contribution_id, daa_id, agreement_number, lineage_id,
+ *     enslaver_person_id, enslaver_name, contribution_usd ("1234.50"),
+ *     share_basis, share_fraction ("0.12500" | null),
+ *     document_root (the DAA's document-manifest root, M125, or null) }
+ *
+ * The descendant appears only through the agreement, never by name: proofs
+ * are public.
+ *
+ * FLOW
+ *   snapshot()  build the tree over the live rows and freeze it with its
+ *               entries (ledger_merkle_snapshots / _entries); a root that is
+ *               already stored (or stored concurrently) is returned instead
+ *   publish()   claims the snapshot (publishing_at, M128), then
+ *               setMerkleRoot(root) with the deployer key; records the tx
+ *   prove()     the entry, its leaf and sibling path from a stored snapshot
+ *               (default: the latest published one). With checkChain the
+ *               ledger's own verifyProof is called as well.
+ *
+ * Trees are built by merkle.js, whose fold is the contract's, so a proof that
+ * verifies here verifies on-chain against the same root.
+ */
+
+const { ethers } = require('ethers');
+const { getActiveNetwork, connectLedger, explorerTxUrl } = require('./network-config');
+const { leafHash, buildTree, proofFor, verifyProof } = require('./merkle');
+const { canonicalJson } = require('../reparations/DAASnapshotService');
+
+const LEAF_ENCODING = 'v1: keccak256(utf8(canonical JSON of entry)); sorted-pair keccak256 tree';
+
+class LedgerMerkleError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'LedgerMerkleError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const money = (v) => Number(v || 0).toFixed(2);
+
+/** The object a contribution row is hashed as. */
+function toEntry(row) {
+    return {
+        contribution_id: row.contribution_id,
+        daa_id: row.daa_id,
+        agreement_number: row.agreement_number || null,
+        lineage_id: row.lineage_id,
+        enslaver_person_id: row.enslaver_person_id == null ? null : Number(row.enslaver_person_id),
+        enslaver_name: row.enslaver_canonical_name || null,
+        contribution_usd: money(row.contribution_usd),
+        share_basis: row.share_basis,
+        share_fraction: row.share_fraction == null ? null : Number(row.share_fraction).toFixed(5),
+        document_root: row.document_root || null,
+    };
+}
+
+const entryLeaf = (entry) => leafHash(canonicalJson(entry));
+
+class LedgerMerkleService {
+    /**
+     * @param {Object} database - pg-compatible pool
+     * @param {Object} options - { network, ledger (contract), signer }
+     */
+    constructor(database, options = {}) {
+        this.db = database;
+        this.network = options.network || null;
+        this.ledger = options.ledger || null;
+        this.signer = options.signer || null;
+    }
+
+    _network() {
+        if (!this.network) this.network = getActiveNetwork();
+        return this.network;
+    }
+
+    _ledger() {
+        if (!this.ledger) {
+            try {
+                this.ledger = connectLedger(this._network()).contract;
+            } catch (err) {
+                throw new LedgerMerkleError(err.message, 'LEDGER_NOT_CONFIGURED', 503);
+            }
+        }
+        return this.ledger;
+    }
+
+    _signer() {
+        if (this.signer) return this.signer;
+        if (!process.env.DEPLOYER_PRIVATE_KEY) {
+            throw new LedgerMerkleError('Server-side signing not configured', 'SIGNER_NOT_CONFIGURED', 503);
+        }
+        this.signer = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, this._ledger().runner);
+        return this.signer;
+    }
+
+    /** Live contribution rows as entries, with their leaves. */
+    async collectEntries() {
+        const { rows } = await this.db.query(`
+            SELECT dlc.contribution_id, dlc.daa_id, d.agreement_number, dlc.lineage_id,
+                   ell.enslaver_person_id, ell.enslaver_canonical_name,
+                   dlc.contribution_usd, dlc.share_basis, dlc.share_fraction,
+                   m.merkle_root AS document_root
+            FROM daa_lineage_contributions dlc
+            JOIN enslaver_lineage_ledger ell ON ell.lineage_id = dlc.lineage_id
+            JOIN debt_acknowledgment_agreements d ON d.daa_id = dlc.daa_id
+            LEFT JOIN LATERAL (
+                SELECT merkle_root FROM daa_document_manifests
+                WHERE daa_id = dlc.daa_id
+                ORDER BY version DESC
+                LIMIT 1
+            ) m ON true
+            ORDER BY dlc.contribution_id
+        `);
+        return rows.map((row) => {
+            const entry = toEntry(row);
+            return { entry, leaf: entryLeaf(entry) };
+        });
+    }
+
+    /**
+     * Freeze the current ledger as a snapshot.
+     * @returns {Promise<Object>} snapshot row plus { created }
+     */
+    async snapshot({ createdBy = null } = {}) {
+        const entries = await this.collectEntries();
+        if (!entries.length) {
+            throw new LedgerMerkleError('No lineage contributions to commit', 'EMPTY', 409);
+        }
+        const tree = buildTree(entries.map(e => e.leaf));
+
+        const existing = await this.db.query(
+            `SELECT * FROM ledger_merkle_snapshots WHERE merkle_root = $1`, [tree.root]);
+        if (existing.rows.length) return { ...existing.rows[0], created: false };
+
+        // A concurrent snapshot of the same root inserts nothing here (no
+        // snapshot row, so no entries) and returns the stored one.
+        const total = entries.reduce((sum, e) => sum + Number(e.entry.contribution_usd), 0);
+        const inserted = await this.db.query(`
+            WITH s AS (
+                INSERT INTO ledger_merkle_snapshots
+                    (merkle_root, leaf_encoding, entry_count, total_contribution_usd, created_by)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (merkle_root) DO NOTHING
+                RETURNING id
+            )
+            INSERT INTO ledger_merkle_snapshot_entries
+                (snapshot_id, contribution_id, daa_id, lineage_id, leaf, entry)
+            SELECT s.id, e.contribution_id, e.daa_id, e.lineage_id, e.leaf, e.entry
+            FROM s, jsonb_to_recordset($6::jsonb)
+                AS e(contribution_id UUID, daa_id UUID, lineage_id UUID, leaf TEXT, entry JSONB)
+        `, [tree.root, LEAF_ENCODING, entries.length, total.toFixed(2), createdBy, JSON.stringify(entries.map(e => ({
+            contribution_id: e.entry.contribution_id,
+            daa_id: e.entry.daa_id,
+            lineage_id: e.entry.lineage_id,
+            leaf: e.leaf,
+            entry: e.entry,
+        })))]);
+
+        const { rows } = await this.db.query(
+            `SELECT * FROM ledger_merkle_snapshots WHERE merkle_root = $1`, [tree.root]);
+        return { ...rows[0], created: inserted.rowCount > 0 };
+    }
+
+    async get(id) {
+        const r = await this.db.query(`SELECT * FROM ledger_merkle_snapshots WHERE id = $1`, [id]);
+        return r.rows[0] || null;
+    }
+
+    async list({ limit = 50, offset = 0 } = {}) {
+        const r = await this.db.query(`
+            SELECT * FROM ledger_merkle_snapshots
+            ORDER BY id DESC
+            LIMIT $1 OFFSET $2
+        `, [Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500), Math.max(parseInt(offset, 10) || 0, 0)]);
+        return r.rows;
+    }
+
+    /** Latest published snapshot, or the latest one when none is published. */
+    async current() {
+        const r = await this.db.query(`
+            SELECT * FROM ledger_merkle_snapshots
+            ORDER BY (published_at IS NOT NULL) DESC, published_at DESC NULLS LAST, id DESC
+            LIMIT 1
+        `);
+        return r.rows[0] || null;
+    }
+
+    async entries(snapshotId) {
+        const r = await this.db.query(`
+            SELECT contribution_id, daa_id, lineage_id, leaf, entry
+            FROM ledger_merkle_snapshot_entries
+            WHERE snapshot_id = $1
+            ORDER BY contribution_id
+        `, [snapshotId]);
+        return r.rows;
+    }
+
+    /**
+     * setMerkleRoot(snapshot root) on ReparationsLedger with the deployer key.
+     * The snapshot is claimed (publishing_at) before anything is sent, so two
+     * concurrent publishes cannot both send it.
+     * @returns {Promise<Object>} { snapshot, previousRoot, transactionHash, explorerUrl }
+     */
+    async publish(snapshotId, { publishedBy = null } = {}) {
+        const snapshot = await this.get(snapshotId);
+        if (!snapshot) throw new LedgerMerkleError('Snapshot not found', 'NOT_FOUND', 404);
+        if (snapshot.published_at) {
+            throw new LedgerMerkleError(`Snapshot ${snapshotId} was already published`, 'ALREADY_PUBLISHED', 409);
+        }
+
+        const ledger = this._ledger();
+        const signer = this._signer();
+        await this._claim(snapshotId);
+
+        let previousRoot, tx;
+        try {
+            const owner = await ledger.owner();
+            if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+                throw new LedgerMerkleError(`Signer ${signer.address} is not the ledger owner (${owner})`, 'NOT_OWNER', 409);
+            }
+            previousRoot = await ledger.merkleRoot();
+            tx = await ledger.connect(signer).setMerkleRoot(snapshot.merkle_root);
+        } catch (error) {
+            // Nothing was broadcast, so the claim can be given back
+            await this.db.query(`
+                UPDATE ledger_merkle_snapshots SET publishing_at = NULL
+                WHERE id = $1 AND published_at IS NULL
+            `, [snapshotId]);
+            throw error;
+        }
+        const receipt = await tx.wait();
+
+        const network = this._network();
+        const { rows } = await this.db.query(`
+            UPDATE ledger_merkle_snapshots
+            SET published_tx_hash = $2, published_network = $3, ledger_address = $4,
+                published_by = $5, published_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [snapshotId, receipt.hash, network.key, await ledger.getAddress(), publishedBy]);
+
+        return {
+            snapshot: rows[0],
+            previousRoot,
+            transactionHash: receipt.hash,
+            explorerUrl: explorerTxUrl(network, receipt.hash),
+        };
+    }
+
+    async _claim(snapshotId) {
+        const r = await this.db.query(`
+            UPDATE ledger_merkle_snapshots SET publishing_at = NOW()
+            WHERE id = $1 AND published_at IS NULL AND publishing_at IS NULL
+            RETURNING id
+        `, [snapshotId]);
+        if (r.rows.length) return;
+        const snapshot = await this.get(snapshotId);
+        if (snapshot?.published_at) {
+            throw new LedgerMerkleError(`Snapshot ${snapshotId} was already published`, 'ALREADY_PUBLISHED', 409);
+        }
+        throw new LedgerMerkleError(`Snapshot ${snapshotId} is already being published`, 'PUBLISHING', 409);
+    }
+
+    /**
+     * The ledger's current root and the snapshot it belongs to, if any.
+     */
+    async onChainRoot() {
+        const root = (await this._ledger().merkleRoot()).toLowerCase();
+        const r = await this.db.query(
+            `SELECT * FROM ledger_merkle_snapshots WHERE merkle_root = $1`, [root]);
+        return { root, snapshot: r.rows[0] || null };
+    }
+
+    /**
+     * Inclusion proofs from a stored snapshot.
+     *
+     * @param {Object} target - { contributionId } | { daaId, lineageId? }
+     * @param {Object} [opts] - { snapshotId (default current()), checkChain }
+     * @returns {Promise<Object>} { snapshot, included, proofs: [{ entry, leaf, proof, verified, onChain? }] }
+     */
+    async prove({ contributionId = null, daaId = null, lineageId = null } = {}, { snapshotId = null, checkChain = false } = {}) {
+        if (!contributionId && !daaId) {
+            throw new LedgerMerkleError('contributionId or daaId required', 'BAD_REQUEST', 400);
+        }
+        const snapshot = snapshotId != null ? await this.get(snapshotId) : await this.current();
+        if (!snapshot) throw new LedgerMerkleError('No ledger snapshot', 'NOT_FOUND', 404);
+
+        const lower = (v) => (v ? String(v).toLowerCase() : null);
+        const rows = await this.entries(snapshot.id);
+        const matches = rows.filter(r => (contributionId
+            ? r.contribution_id === lower(contributionId)
+            : r.daa_id === lower(daaId) && (!lineageId || r.lineage_id === lower(lineageId))));
+        const base = {
+            snapshot: {
+                id: snapshot.id,
+                merkleRoot: snapshot.merkle_root,
+                leafEncoding: snapshot.leaf_encoding,
+                entryCount: snapshot.entry_count,
+                published: snapshot.published_at
+                    ? { transactionHash: snapshot.published_tx_hash, network: snapshot.published_network,
+                        ledgerAddress: snapshot.ledger_address, publishedAt: snapshot.published_at }
+                    : null,
+            },
+        };
+        if (!matches.length) return { ...base, included: false, proofs: [] };
+
+        const tree = buildTree(rows.map(r => r.leaf));
+        let chain = null;
+        if (checkChain) {
+            try {
+                chain = { ledger: this._ledger(), root: (await this._ledger().merkleRoot()).toLowerCase() };
+            } catch (err) {
+                chain = { error: err.message };
+            }
+        }
+
+        const proofs = [];
+        for (const row of matches) {
+            const leaf = row.leaf.toLowerCase();
+            const proof = proofFor(tree, leaf);
+            const item = {
+                entry: row.entry,
+                leaf,
+                // Recomputed from the entry, so a tampered stored leaf cannot pass
+                leafMatchesEntry: entryLeaf(row.entry) === leaf,
+                proof,
+                verified: verifyProof(leaf, proof, snapshot.merkle_root),
+            };
+            if (chain) item.onChain = await this._checkOnChain(chain, leaf, proof, snapshot.merkle_root);
+            proofs.push(item);
+        }
+        return { ...base, included: true, proofs };
+    }
+
+    async _checkOnChain(chain, leaf, proof, root) {
+        if (chain.error) return { error: chain.error };
+        try {
+            return {
+                root: chain.root,
+                rootIsSnapshot: chain.root === root,
+                verified: await chain.ledger.verifyProof(leaf, proof),
+            };
+        } catch (err) {
+            return { root: chain.root, error: err.message };
+        }
+    }
+}
+
+module.exports = LedgerMerkleService;
+module.exports.LedgerMerkleError = LedgerMerkleError;
+module.exports.LEAF_ENCODING = LEAF_ENCODING;
+module.exports.toEntry = toEntry;
+module.exports.entryLeaf = entryLeaf;
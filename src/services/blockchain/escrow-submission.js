@@ -0,0 +1,78 @@
+/**
+ * Server-side ReparationsEscrow.submitAncestryRecord, shared by every path that
+ * puts a DAA on chain: POST /api/blockchain/submit, POST /api/daa/generate with
+ * submitOnChain, and the participant pipeline.
+ *
+ * recordDAASubmission() writes the record id, transaction and network key onto
+ * debt_acknowledgment_agreements. Revision proposals (claimForApply, recordDirect),
+ * installment reconciliation and the signing message all read those columns,
+ * so a submission that skips it leaves the DAA looking off-chain.
+ */
+
+const { ethers } = require('ethers');
+const { connectEscrow, explorerTxUrl } = require('./network-config');
+
+/**
+ * ReparationsEscrow connected to the deployer key on `network`, or null when
+ * DEPLOYER_PRIVATE_KEY is not set.
+ */
+function escrowSigner(network) {
+    if (!process.env.DEPLOYER_PRIVATE_KEY) return null;
+    const { provider, contract } = connectEscrow(network);
+    return contract.connect(new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider));
+}
+
+/**
+ * Send submitAncestryRecord and wait for the receipt.
+ * @param {Object} contract - ReparationsEscrow with a signer
+ * @param {Object} network - getActiveNetwork() result
+ * @param {Object} record - { ancestorName, familySearchId, docHash (bytes32), amountUsd (number|string), notes }
+ * @returns {Promise<Object>} { recordId, docHash, transactionHash, blockNumber, network, explorerUrl }
+ */
+async function submitAncestryRecord(contract, network, { ancestorName, familySearchId = '', docHash, amountUsd, notes = '' }) {
+    // USDC has 6 decimals; numbers are computed dollar figures, strings pass through as given
+    const amount = ethers.parseUnits(typeof amountUsd === 'number' ? amountUsd.toFixed(2) : String(amountUsd || '0'), 6);
+    const tx = await contract.submitAncestryRecord(ancestorName, familySearchId || '', docHash, amount, notes || '');
+    const receipt = await tx.wait();
+
+    let recordId = null;
+    for (const log of receipt.logs) {
+        let parsed = null;
+        try { parsed = contract.interface.parseLog(log); } catch { /* another contract's log */ }
+        if (parsed?.name === 'AncestryRecordSubmitted') {
+            recordId = Number(parsed.args.recordId);
+            break;
+        }
+    }
+
+    return {
+        recordId,
+        docHash,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        network: network.key,
+        explorerUrl: explorerTxUrl(network, receipt.hash),
+    };
+}
+
+/**
+ * Store an on-chain submission on the agreement.
+ * @param {Object} db - pg-compatible pool
+ * @param {string} daaId
+ * @param {Object} submission - submitAncestryRecord() result
+ */
+async function recordDAASubmission(db, daaId, { recordId, transactionHash, network }) {
+    await db.query(
+        `UPDATE debt_acknowledgment_agreements
+         SET blockchain_record_id = $2, blockchain_hash = $3, blockchain_network = $4,
+             blockchain_submitted_at = NOW()
+         WHERE daa_id = $1`,
+        [daaId, recordId, transactionHash, network]
+    );
+}
+
+module.exports = {
+    escrowSigner,
+    submitAncestryRecord,
+    recordDAASubmission,
+};
@@ -0,0 +1,72 @@
+/**
+ * Merkle trees that ReparationsLedger.verifyProof accepts.
+ *
+ * The contract folds a proof with keccak256 over the SORTED pair at each level
+ * (smaller hash first), so no left/right flags are needed. Trees here are
+ * built the same way:
+ *
+ *   - leaves are bytes32 hashes (leafHash() for a string value), de-duplicated
+ *     and sorted, so the same set of values always gives the same root
+ *   - each level pairs neighbours with keccak256(min ‖ max); an odd node out is
+ *     carried up unchanged
+ *   - one leaf: the root is the leaf and its proof is empty
+ *
+ * verifyProof() here is the contract's loop, so a proof that passes here passes
+ * on-chain against the same root.
+ */
+
+const { ethers } = require('ethers');
+
+const leafHash = (value) => ethers.keccak256(ethers.toUtf8Bytes(String(value)));
+
+function hashPair(a, b) {
+    return BigInt(a) <= BigInt(b)
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * @param {string[]} leaves - bytes32 hex strings
+ * @returns {{ root: string|null, leaves: string[], layers: string[][] }}
+ */
+function buildTree(leaves) {
+    const sorted = [...new Set(leaves.map(l => ethers.hexlify(l).toLowerCase()))]
+        .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+    if (!sorted.length) return { root: null, leaves: [], layers: [] };
+    const layers = [sorted];
+    while (layers[layers.length - 1].length > 1) {
+        const level = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        layers.push(next);
+    }
+    return { root: layers[layers.length - 1][0], leaves: sorted, layers };
+}
+
+/**
+ * Sibling hashes from a leaf to the root, or null when the leaf is not in the tree.
+ */
+function proofFor(tree, leaf) {
+    let index = tree.leaves.indexOf(ethers.hexlify(leaf).toLowerCase());
+    if (index < 0) return null;
+    const proof = [];
+    for (let depth = 0; depth < tree.layers.length - 1; depth++) {
+        const level = tree.layers[depth];
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < level.length) proof.push(level[sibling]);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+/** ReparationsLedger.verifyProof, off-chain. */
+function verifyProof(leaf, proof, root) {
+    if (!root) return false;
+    let computed = ethers.hexlify(leaf).toLowerCase();
+    for (const element of proof) computed = hashPair(computed, element);
+    return computed === ethers.hexlify(root).toLowerCase();
+}
+
+module.exports = { leafHash, hashPair, buildTree, proofFor, verifyProof };
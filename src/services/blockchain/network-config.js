@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * network-config.js — which chain the ReparationsEscrow routes talk to.
+ *
+ * The escrow is live on Base Mainnet, but development and tests need the same
+ * /api/blockchain endpoints pointed at Base Sepolia or a local Hardhat node.
+ * The active network is chosen by configuration (config.js → blockchain):
+ *
+ *   BLOCKCHAIN_NETWORK          base | base-sepolia | localhost (alias: hardhat)
+ *   BLOCKCHAIN_RPC_URL          override the preset RPC (e.g. an Alchemy URL)
+ *   BLOCKCHAIN_DEPLOYMENT_PATH  override deployments/<network>-deployment.json
+ *   REPARATIONS_LEDGER_ADDRESS  ReparationsLedger (Merkle roots, see
+ *                               LedgerMerkleService); else the deployment
+ *                               file's ledgerAddress
+ *
+ * Deployment files are the ones contracts/scripts/deploy.js writes, so a local
+ * run is:
+ *
+ *   npx hardhat node
+ *   npx hardhat run contracts/scripts/deploy.js --network localhost
+ *   BLOCKCHAIN_NETWORK=localhost DEPLOYER_PRIVATE_KEY=<hardhat account #0> npm start
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.resolve(__dirname, '../../../deployments');
+const ABI_PATH = path.join(DEPLOYMENTS_DIR, 'ReparationsEscrow-abi.json');
+
+// Mirrors the networks in hardhat.config.js
+const NETWORKS = {
+    base: {
+        key: 'base',
+        name: 'Base Mainnet',
+        chainName: 'Base',
+        chainId: 8453,
+        rpcUrl: 'https://mainnet.base.org',
+        explorerUrl: 'https://basescan.org',
+        testnet: false,
+    },
+    'base-sepolia': {
+        key: 'base-sepolia',
+        name: 'Base Sepolia',
+        chainName: 'Base Sepolia',
+        chainId: 84532,
+        rpcUrl: 'https://sepolia.base.org',
+        explorerUrl: 'https://sepolia.basescan.org',
+        testnet: true,
+    },
+    localhost: {
+        key: 'localhost',
+        name: 'Local Hardhat',
+        chainName: 'Hardhat',
+        chainId: 31337,
+        rpcUrl: 'http://127.0.0.1:8545',
+        explorerUrl: null,
+        testnet: true,
+    },
+};
+
+const ALIASES = { hardhat: 'localhost', 'base-mainnet': 'base' };
+
+// The part of contracts/ReparationsLedger.sol the Merkle service calls
+const LEDGER_ABI = [
+    'function owner() view returns (address)',
+    'function merkleRoot() view returns (bytes32)',
+    'function setMerkleRoot(bytes32 _root)',
+    'function verifyProof(bytes32 leaf, bytes32[] proof) view returns (bool)',
+];
+
+/**
+ * Resolve the active network from config (or explicit overrides).
+ * @param {Object} [overrides] - { network, rpcUrl, deploymentPath }
+ * @returns {Object} network preset + rpcUrl/deploymentPath actually in use
+ */
+function getActiveNetwork(overrides = {}) {
+    const settings = { ...require('../../../config').blockchain, ...overrides };
+    const requested = String(settings.network || 'base').toLowerCase();
+    const key = ALIASES[requested] || requested;
+    const preset = NETWORKS[key];
+
+    if (!preset) {
+        throw new Error(`Unknown blockchain network "${requested}" (expected one of: ${Object.keys(NETWORKS).join(', ')})`);
+    }
+
+    return {
+        ...preset,
+        rpcUrl: settings.rpcUrl || preset.rpcUrl,
+        ledgerAddress: settings.ledgerAddress || null,
+        deploymentPath: settings.deploymentPath
+            ? path.resolve(settings.deploymentPath)
+            : path.join(DEPLOYMENTS_DIR, `${key}-deployment.json`),
+    };
+}
+
+/**
+ * Read the deployment file for a network and check it matches the chain.
+ * @returns {Object} parsed deployment JSON
+ */
+function loadDeployment(network) {
+    const deployment = JSON.parse(fs.readFileSync(network.deploymentPath, 'utf-8'));
+
+    if (deployment.chainId && Number(deployment.chainId) !== network.chainId) {
+        throw new Error(
+            `${path.basename(network.deploymentPath)} is for chain ${deployment.chainId}, ` +
+            `but the active network is ${network.name} (chain ${network.chainId})`
+        );
+    }
+
+    return deployment;
+}
+
+function loadAbi() {
+    return JSON.parse(fs.readFileSync(ABI_PATH, 'utf-8'));
+}
+
+// ethers shares identical calls made within 250ms; with it on, two server-side
+// sends in quick succession read the same pending nonce and the second fails.
+const PROVIDER_OPTIONS = { staticNetwork: true, cacheTimeout: -1 };
+
+/**
+ * Read-only provider + ReparationsEscrow contract for a network.
+ * Throws if the deployment file or ABI is missing.
+ * @returns {{ provider, contract, deployment, abi }}
+ */
+function connectEscrow(network) {
+    const { ethers } = require('ethers');
+    const deployment = loadDeployment(network);
+    const abi = loadAbi();
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, PROVIDER_OPTIONS);
+    const contract = new ethers.Contract(deployment.contractAddress, abi, provider);
+    return { provider, contract, deployment, abi };
+}
+
+/**
+ * Read-only provider + ReparationsLedger contract for a network. Throws when
+ * no ledger address is configured.
+ * @returns {{ provider, contract, address }}
+ */
+function connectLedger(network) {
+    const { ethers } = require('ethers');
+    let address = network.ledgerAddress;
+    if (!address && fs.existsSync(network.deploymentPath)) address = loadDeployment(network).ledgerAddress;
+    if (!address) {
+        throw new Error(`No ReparationsLedger address for ${network.name} (set REPARATIONS_LEDGER_ADDRESS)`);
+    }
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, PROVIDER_OPTIONS);
+    const contract = new ethers.Contract(address, LEDGER_ABI, provider);
+    return { provider, contract, address };
+}
+
+/**
+ * The escrow a stored blockchain_network's records live on, for matching
+ * escrow_events rows: { chainId, contractAddress (lowercase) } from that
+ * network's deployment file. Unset means base (agreements stored before the
+ * network was recorded). Null for an unknown network or one not deployed.
+ */
+function escrowForNetwork(key) {
+    const requested = String(key || 'base').toLowerCase();
+    const networkKey = ALIASES[requested] || requested;
+    if (!NETWORKS[networkKey]) return null;
+
+    // BLOCKCHAIN_DEPLOYMENT_PATH describes the active network only
+    const active = getActiveNetwork();
+    const network = active.key === networkKey
+        ? active
+        : { ...NETWORKS[networkKey], deploymentPath: path.join(DEPLOYMENTS_DIR, `${networkKey}-deployment.json`) };
+    if (!fs.existsSync(network.deploymentPath)) return null;
+
+    const { contractAddress } = loadDeployment(network);
+    return contractAddress ? { chainId: network.chainId, contractAddress: contractAddress.toLowerCase() } : null;
+}
+
+/**
+ * Block-explorer link for a transaction, or null on chains without one.
+ */
+function explorerTxUrl(network, txHash) {
+    return network.explorerUrl ? `${network.explorerUrl}/tx/${txHash}` : null;
+}
+
+/**
+ * The preset's public RPC endpoint. BLOCKCHAIN_RPC_URL overrides often carry
+ * a provider API key, so anything sent to a browser uses this instead.
+ */
+function publicRpcUrl(network) {
+    return NETWORKS[network.key].rpcUrl;
+}
+
+/**
+ * wallet_addEthereumChain parameters for MetaMask.
+ */
+function walletNetworkParams(network) {
+    return {
+        chainId: '0x' + network.chainId.toString(16),
+        chainName: network.chainName,
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: [publicRpcUrl(network)],
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : [],
+    };
+}
+
+module.exports = {
+    NETWORKS,
+    getActiveNetwork,
+    loadDeployment,
+    loadAbi,
+    connectEscrow,
+    connectLedger,
+    escrowForNetwork,
+    LEDGER_ABI,
+    explorerTxUrl,
+    publicRpcUrl,
+    walletNetworkParams,
+};
@@ -0,0 +1,236 @@
+/**
+ * ResearchAssistant — the /api/chat planner (replaces the INTENTS / ENTITIES regexes).
+ *
+ * ask(message, { conversationId, reviewer }):
+ *   1. load the conversation (chat_conversations / chat_messages, M122) — or start one
+ *   2. PLAN: the free LLM router (callLLM) sees the tool catalogue (tools.js), the recent turns and
+ *      the results so far, and returns ONE JSON step:
+ *        {"tool": "<name>", "args": {...}}            run a tool, then plan again
+ *        {"answer": "...", "citations": ["R1", ...]}   finish, citing result refs
+ *      at most MAX_STEPS tool calls per message.
+ *   3. every tool call and the answer are appended to chat_messages with structured citations
+ *
+ * Grounding: tool results are numbered R1, R2, … (one per citable row/document). The answer's
+ * citations are resolved against those refs only — a citation the model invents is dropped, and
+ * an answer that cites nothing falls back to the last tool's citations, flagged grounded:false.
+ *
+ * Writes: a tool marked write:true runs only for a reviewer holding 'curator'. Anyone else gets a
+ * refusal (403) and the attempt is logged with refused=true; the tool never runs. The shipped
+ * tools (tools.js) are all read-only.
+ */
+'use strict';
+
+const { callLLM } = require('../probate/probate-llm-extractor');
+const PersonService = require('../PersonService');
+const RagService = require('../rag/RagService');
+const DAAGenerator = require('../reparations/DAAGenerator');
+const { TOOLS, describeTools } = require('./tools');
+
+const MAX_STEPS = 4;
+const HISTORY_TURNS = 6;            // prior user/assistant messages shown to the planner
+const RESULT_CHARS = 3000;          // per tool result in the planner prompt
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ChatError extends Error {
+  constructor(message, code, httpStatus = 400) {
+    super(message);
+    this.name = 'ChatError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+const isCurator = (reviewer) => !!reviewer && (reviewer.roles || []).includes('curator');
+
+class ResearchAssistant {
+  /**
+   * @param {Object} db - pg pool
+   * @param {Object} [opts] - { llm, tools, persons, rag, daa } overrides (tests)
+   */
+  constructor(db, opts = {}) {
+    this.db = db;
+    this.llm = opts.llm || callLLM;
+    this.tools = opts.tools || TOOLS;
+    this.persons = opts.persons || new PersonService(db);
+    this.rag = opts.rag || new RagService(db);
+    this.daa = opts.daa || new DAAGenerator(db);
+  }
+
+  // ── conversations (M122) ────────────────────────────────────────────────
+
+  async startConversation(reviewer, title) {
+    const { rows } = await this.db.query(
+      `INSERT INTO chat_conversations (reviewer_id, reviewer_username, title)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [reviewer?.id || null, reviewer?.username || null, String(title || '').slice(0, 200) || null]);
+    return rows[0];
+  }
+
+  /** A conversation the caller may read: anonymous ones by id, reviewer-bound ones by their owner. */
+  async getConversation(id, reviewer) {
+    if (!UUID_RE.test(String(id || ''))) throw new ChatError('Invalid conversation id', 'BAD_ID');
+    const { rows } = await this.db.query('SELECT * FROM chat_conversations WHERE id = $1', [id]);
+    const convo = rows[0];
+    if (!convo) throw new ChatError('Conversation not found', 'NOT_FOUND', 404);
+    if (convo.reviewer_id && convo.reviewer_id !== reviewer?.id) {
+      throw new ChatError('Conversation not found', 'NOT_FOUND', 404);
+    }
+    return convo;
+  }
+
+  async messages(conversationId, { limit = 200 } = {}) {
+    const { rows } = await this.db.query(
+      `SELECT id, role, content, tool_name, tool_args, tool_result, citations, refused, provider, created_at
+         FROM chat_messages WHERE conversation_id = $1
+        ORDER BY id ASC LIMIT $2`, [conversationId, limit]);
+    return rows;
+  }
+
+  async listConversations(reviewer, { limit = 50 } = {}) {
+    if (!reviewer?.id) return [];
+    const { rows } = await this.db.query(
+      `SELECT id, title, message_count, created_at, updated_at FROM chat_conversations
+        WHERE reviewer_id = $1 ORDER BY updated_at DESC LIMIT $2`, [reviewer.id, limit]);
+    return rows;
+  }
+
+  async _append(conversationId, msg) {
+    await this.db.query(
+      `INSERT INTO chat_messages (conversation_id, role, content, tool_name, tool_args, tool_result, citations, refused, provider)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7::jsonb, $8, $9)`,
+      [conversationId, msg.role, msg.content ?? null, msg.tool_name || null,
+       msg.tool_args ? JSON.stringify(msg.tool_args) : null,
+       msg.tool_result ? JSON.stringify(msg.tool_result) : null,
+       msg.citations ? JSON.stringify(msg.citations) : null,
+       !!msg.refused, msg.provider || null]);
+    await this.db.query(
+      `UPDATE chat_conversations SET message_count = message_count + 1, updated_at = now() WHERE id = $1`,
+      [conversationId]);
+  }
+
+  // ── planning ────────────────────────────────────────────────────────────
+
+  _prompt(message, history, results, reviewer) {
+    const turns = history.map(m => `${m.role.toUpperCase()}: ${String(m.content || '').slice(0, 800)}`).join('\n');
+    const done = results.map(r =>
+      `${r.tool}(${JSON.stringify(r.args)}) →\n` +
+      (r.error ? `  ERROR: ${r.error}` :
+        `  refs: ${r.refs.map(x => `${x.ref}=${x.citation.label}`).join('; ') || '(none)'}\n` +
+        `  data: ${JSON.stringify(r.data).slice(0, RESULT_CHARS)}`)).join('\n\n');
+    return `You are the research assistant for a database of historical slavery records, slaveholders, ` +
+      `their documents, genealogical lineages and Debt Acknowledgment Agreements (DAAs).\n` +
+      `Answer ONLY from tool results. Never state a fact that is not in a result; if the tools find ` +
+      `nothing, say so. A name-only person candidate is NOT a confirmed identification — say it needs review.\n` +
+      `Caller: ${reviewer ? `reviewer ${reviewer.username} (roles: ${(reviewer.roles || []).join(', ') || 'none'})` : 'anonymous public user'}. ` +
+      `[WRITE] tools change the database and run only for curators.\n\n` +
+      `TOOLS:\n${describeTools(this.tools)}\n\n` +
+      `Return JSON with EXACTLY ONE of:\n` +
+      `  {"tool": "<tool name>", "args": {...}}  — to call a tool (you will see its result and plan again)\n` +
+      `  {"answer": "<markdown answer>", "citations": ["R1", ...]}  — when you can answer; cite the refs you used\n\n` +
+      (turns ? `CONVERSATION SO FAR:\n${turns}\n\n` : '') +
+      (done ? `TOOL RESULTS THIS TURN:\n${done}\n\n` : '') +
+      `USER: ${message}`;
+  }
+
+  /**
+   * Answer one user message.
+   * @returns {Promise<Object>} { conversationId, response, citations, toolCalls, grounded, refused, provider }
+   */
+  async ask(message, { conversationId = null, reviewer = null } = {}) {
+    const text = String(message || '').trim();
+    if (!text) throw new ChatError('message is required', 'EMPTY');
+    if (text.length > 4000) throw new ChatError('message is too long (4000 characters max)', 'TOO_LONG');
+
+    const convo = conversationId
+      ? await this.getConversation(conversationId, reviewer)
+      : await this.startConversation(reviewer, text);
+    const history = conversationId
+      ? (await this.messages(convo.id)).filter(m => m.role !== 'tool').slice(-HISTORY_TURNS)
+      : [];
+    await this._append(convo.id, { role: 'user', content: text });
+
+    const ctx = { db: this.db, reviewer, persons: this.persons, rag: this.rag, daa: this.daa };
+    const results = [];
+    const refs = new Map();            // 'R1' → citation
+    let provider = null;
+
+    for (let step = 0; step <= MAX_STEPS; step++) {
+      let plan;
+      try {
+        const out = await this.llm(this._prompt(text, history, results, reviewer), { maxTokens: 1500 });
+        plan = out.json || {};
+        provider = out.provider || provider;
+      } catch (e) {
+        throw new ChatError(`The research assistant is unavailable (${e.message}). Try the search bar.`, 'LLM_UNAVAILABLE', 503);
+      }
+
+      if (plan.tool && step < MAX_STEPS) {
+        const name = String(plan.tool);
+        const args = plan.args && typeof plan.args === 'object' ? plan.args : {};
+        const tool = this.tools[name];
+        if (!tool) {
+          results.push({ tool: name, args, error: `unknown tool; use one of ${Object.keys(this.tools).join(', ')}`, refs: [] });
+          continue;
+        }
+        if (tool.write && !isCurator(reviewer)) {
+          const response = `That would change the database (${name}). Only an authenticated curator can make changes through the assistant — nothing was changed.`;
+          await this._append(convo.id, { role: 'tool', tool_name: name, tool_args: args, refused: true });
+          await this._append(convo.id, { role: 'assistant', content: response, citations: [], refused: true, provider });
+          return { conversationId: convo.id, response, citations: [], toolCalls: [...results.map(r => ({ tool: r.tool, args: r.args })), { tool: name, args }], grounded: false, refused: true, provider };
+        }
+
+        let entry;
+        try {
+          const out = await tool.run(ctx, args);
+          const itemRefs = (out.citations || []).map(citation => {
+            const ref = `R${refs.size + 1}`;
+            refs.set(ref, citation);
+            return { ref, citation };
+          });
+          entry = { tool: name, args, data: out.data, refs: itemRefs };
+        } catch (e) {
+          entry = { tool: name, args, error: e.message, refs: [] };
+        }
+        results.push(entry);
+        await this._append(convo.id, {
+          role: 'tool', tool_name: name, tool_args: args,
+          tool_result: entry.error ? { error: entry.error } : { refs: entry.refs.map(r => r.ref), data: entry.data },
+          citations: entry.refs.map(r => ({ ref: r.ref, ...r.citation })),
+        });
+        continue;
+      }
+
+      // Answer (or out of steps: answer from what we have).
+      let response = typeof plan.answer === 'string' && plan.answer.trim() ? plan.answer.trim() : null;
+      if (!response) {
+        response = results.length
+          ? 'I could not put together an answer from the records I found. Try rephrasing, or search by name.'
+          : 'I could not work out how to answer that from the database. Try asking about a person, a document, a lineage or a DAA.';
+      }
+      const cited = (Array.isArray(plan.citations) ? plan.citations : [])
+        .map(c => String(c).trim().replace(/^\[|\]$/g, '').toUpperCase())
+        .filter((c, i, a) => refs.has(c) && a.indexOf(c) === i)
+        .map(c => ({ ref: c, ...refs.get(c) }));
+      const lastWithRefs = [...results].reverse().find(r => r.refs.length);
+      const citations = cited.length ? cited
+        : (lastWithRefs ? lastWithRefs.refs.slice(0, 5).map(r => ({ ref: r.ref, ...r.citation })) : []);
+
+      await this._append(convo.id, { role: 'assistant', content: response, citations, provider });
+      return {
+        conversationId: convo.id,
+        response,
+        citations,
+        toolCalls: results.map(r => ({ tool: r.tool, args: r.args, ...(r.error ? { error: r.error } : {}) })),
+        grounded: cited.length > 0,
+        refused: false,
+        provider,
+      };
+    }
+    throw new ChatError('planner did not finish', 'NO_ANSWER', 500);
+  }
+}
+
+module.exports = ResearchAssistant;
+module.exports.ChatError = ChatError;
+module.exports.isCurator = isCurator;
+module.exports.MAX_STEPS = MAX_STEPS;
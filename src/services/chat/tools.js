@@ -0,0 +1,217 @@
+/**
+ * Research-assistant tools — the ONLY things the /api/chat planner can do.
+ *
+ * Each tool: { description, params, write, run(ctx, args) → { data, citations } }.
+ *   params     name → 'type — description' (rendered into the planner prompt)
+ *   write      true = changes the database. ResearchAssistant runs a write tool only for an
+ *              authenticated curator; for anyone else the call is refused before run() and
+ *              logged (chat_messages.refused). The gate is here in code, not in the prompt.
+ *              Every tool below is read-only: the planner picks its calls from model output
+ *              that retrieved document text feeds into, so a write would run without the
+ *              curator having confirmed it. Changes go through the curator's own routes.
+ *   citations  [{ ref_type: 'row', table, id, label } | { ref_type: 'document', document_id,
+ *              passage_id?, char_start?, char_end?, source_url?, label }] — what the answer may
+ *              cite. Every claim the assistant makes must trace to one of these.
+ *
+ * ctx = { db, reviewer, persons (PersonService), rag (RagService), daa (DAAGenerator) }.
+ *
+ * Living people: ancestor-climb lineages start at a modern (living) person, and DAAs name an
+ * acknowledger. Neither name is returned to an anonymous caller.
+ */
+'use strict';
+
+const ACTIVE_LEAD = `(status IS NULL OR status NOT IN ('rejected', 'needs_review'))`;
+const clampInt = (v, d, max) => Math.min(Math.max(parseInt(v, 10) || d, 1), max);
+const num = (v) => (v == null ? null : Number(v));
+
+const personCitation = (s) => ({
+  ref_type: 'row',
+  table: s.subject_table,
+  id: String(s.subject_id),
+  label: s.name || s.canonical_name || `${s.subject_table} ${s.subject_id}`,
+});
+
+const TOOLS = {
+  resolve_person: {
+    description: 'Find a person (enslaved, slaveholder or other) in the unified person pool. Name-only matches come back as candidates, never as a confirmed match.',
+    params: {
+      name: 'string — full or partial name (required)',
+      birthYear: 'integer — optional corroborator',
+      location: 'string — optional state/county corroborator',
+      personType: 'string — optional: enslaved | enslaver | owner',
+    },
+    async run(ctx, args) {
+      if (!args.name) throw new Error('name is required');
+      const r = await ctx.persons.resolve({
+        name: String(args.name),
+        birthYear: args.birthYear ? parseInt(args.birthYear, 10) : undefined,
+        location: args.location || undefined,
+        personType: args.personType || undefined,
+      });
+      const pick = (s) => ({
+        subject_table: s.subject_table, subject_id: s.subject_id, name: s.name,
+        person_type: s.person_type || null, birth_year: s.birth_year || null, state: s.state || null,
+        confidence: s.confidence, signals: s.signals,
+      });
+      const match = r.match ? pick(r.match) : null;
+      const candidates = r.candidates.slice(0, 8).map(pick);
+      return {
+        data: { match, candidates, ambiguous: !!r.ambiguous },
+        citations: (match ? [match] : candidates).map(personCitation),
+      };
+    },
+  },
+
+  ask_documents: {
+    description: 'Answer a question from the OCR text of archived primary-source documents (hybrid passage retrieval + grounded answer). Use for questions about what a will, inventory, schedule or petition says.',
+    params: { question: 'string — the question (required)', k: 'integer — passages to retrieve, default 6' },
+    async run(ctx, args) {
+      if (!args.question) throw new Error('question is required');
+      const r = await ctx.rag.query(String(args.question), { k: clampInt(args.k, 6, 12), log: true });
+      return {
+        data: { answer: r.answer, mode: r.mode, retrieved: r.retrieved.length },
+        citations: r.citations.map(c => ({
+          ref_type: 'document', document_id: c.document_id, passage_id: c.passage_id,
+          char_start: c.char_start, char_end: c.char_end, source_url: c.source_url || null,
+          label: `${c.document_type || 'document'} ${c.document_id}, chars ${c.char_start}–${c.char_end}`,
+        })),
+      };
+    },
+  },
+
+  search_documents: {
+    description: 'List archived documents linked to a canonical person, optionally by document type (will, estate_inventory, census_slave_schedule, ...).',
+    params: {
+      canonicalPersonId: 'integer — canonical_persons id (required; get it from resolve_person)',
+      documentType: 'string — optional document_type filter',
+      limit: 'integer — default 10',
+    },
+    async run(ctx, args) {
+      const id = parseInt(args.canonicalPersonId, 10);
+      if (!Number.isInteger(id)) throw new Error('canonicalPersonId is required');
+      const { rows } = await ctx.db.query(
+        `SELECT id, document_type, collection_name, document_year, source_url,
+                (s3_key IS NOT NULL AND s3_key <> '') AS archived
+           FROM person_documents
+          WHERE canonical_person_id = $1
+            AND ($2::text IS NULL OR document_type = $2)
+          ORDER BY document_year NULLS LAST, id
+          LIMIT $3`,
+        [id, args.documentType || null, clampInt(args.limit, 10, 50)]);
+      return {
+        data: { canonicalPersonId: id, documents: rows },
+        citations: rows.map(d => ({
+          ref_type: 'document', document_id: d.id, source_url: d.source_url || null,
+          label: `${d.document_type || 'document'} ${d.id}${d.document_year ? ` (${d.document_year})` : ''}`,
+        })),
+      };
+    },
+  },
+
+  lineage: {
+    description: 'Ancestor-climb lineages that reach a slaveholder: generation distance, match type/confidence, verification status and the path of ancestors.',
+    params: {
+      slaveholderId: 'integer — canonical_persons id of the slaveholder',
+      slaveholderName: 'string — or a name (partial match)',
+      limit: 'integer — default 10',
+    },
+    async run(ctx, args) {
+      const id = args.slaveholderId != null ? parseInt(args.slaveholderId, 10) : null;
+      if (!Number.isInteger(id) && !args.slaveholderName) throw new Error('slaveholderId or slaveholderName is required');
+      const { rows } = await ctx.db.query(
+        `SELECT id, modern_person_name, slaveholder_id, slaveholder_name, slaveholder_birth_year,
+                generation_distance, lineage_path, match_type, match_confidence, classification,
+                verification_status
+           FROM ancestor_climb_matches
+          WHERE ($1::int IS NOT NULL AND slaveholder_id = $1)
+             OR ($1::int IS NULL AND slaveholder_name ILIKE $2)
+          ORDER BY generation_distance ASC, match_confidence DESC NULLS LAST, id ASC
+          LIMIT $3`,
+        [Number.isInteger(id) ? id : null, `%${args.slaveholderName || ''}%`, clampInt(args.limit, 10, 50)]);
+      // The first entries of lineage_path are living people; only reviewers see them.
+      const open = !!ctx.reviewer;
+      const lineages = rows.map(m => ({
+        match_id: m.id,
+        slaveholder_id: m.slaveholder_id,
+        slaveholder_name: m.slaveholder_name,
+        slaveholder_birth_year: m.slaveholder_birth_year,
+        generation_distance: m.generation_distance,
+        match_type: m.match_type,
+        match_confidence: num(m.match_confidence),
+        classification: m.classification,
+        verification_status: m.verification_status,
+        modern_person_name: open ? m.modern_person_name : null,
+        lineage_path: open ? m.lineage_path : (m.lineage_path || []).slice(-2),
+      }));
+      return {
+        data: { lineages, redacted: !open },
+        citations: rows.map(m => ({ ref_type: 'row', table: 'ancestor_climb_matches', id: String(m.id), label: `lineage to ${m.slaveholder_name} (${m.generation_distance} generations)` })),
+      };
+    },
+  },
+
+  daa_summary: {
+    description: 'Debt Acknowledgment Agreement summaries: slaveholder, status, total debt, annual payment, enslaved count, amount paid.',
+    params: {
+      daaId: 'string — a DAA id for one agreement',
+      slaveholderName: 'string — or filter by slaveholder name',
+      status: 'string — optional status filter',
+    },
+    async run(ctx, args) {
+      const open = !!ctx.reviewer;
+      const shape = (d) => ({
+        daa_id: d.daa_id,
+        agreement_number: d.agreement_number,
+        slaveholder_name: d.slaveholder_name,
+        acknowledger_name: open ? d.acknowledger_name : null,
+        status: d.status,
+        total_debt: num(d.total_debt),
+        annual_payment: num(d.annual_payment),
+        enslaved_count: num(d.enslaved_count ?? d.enslavedPersons?.length),
+        total_paid: num(d.total_paid ?? (d.payments || []).reduce((s, p) => s + Number(p.amount || 0), 0)),
+        signed_at: d.signed_at || null,
+      });
+      let rows;
+      if (args.daaId) {
+        rows = [await ctx.daa.getDAA(String(args.daaId))];
+      } else {
+        rows = await ctx.daa.listDAAs({ slaveholderName: args.slaveholderName || undefined, status: args.status || undefined, limit: 10 });
+      }
+      const daas = rows.map(shape);
+      return {
+        data: { daas },
+        citations: daas.map(d => ({ ref_type: 'row', table: 'debt_acknowledgment_agreements', id: String(d.daa_id), label: `DAA ${d.agreement_number || d.daa_id} (${d.slaveholder_name})` })),
+      };
+    },
+  },
+
+  database_stats: {
+    description: 'Counts of person records by type and of archived documents by type — for "how many" questions.',
+    params: {},
+    async run(ctx) {
+      const [leads, canon, docs] = await Promise.all([
+        ctx.db.query(`SELECT person_type, COUNT(*)::int AS count FROM unconfirmed_persons WHERE ${ACTIVE_LEAD} GROUP BY 1 ORDER BY 2 DESC`),
+        ctx.db.query(`SELECT person_type, COUNT(*)::int AS count FROM canonical_persons WHERE person_type <> 'merged' GROUP BY 1 ORDER BY 2 DESC`),
+        ctx.db.query(`SELECT document_type, COUNT(*)::int AS count FROM person_documents GROUP BY 1 ORDER BY 2 DESC LIMIT 15`),
+      ]);
+      return {
+        data: { leads_by_type: leads.rows, canonical_by_type: canon.rows, documents_by_type: docs.rows },
+        citations: [
+          { ref_type: 'row', table: 'unconfirmed_persons', id: '*', label: 'unconfirmed_persons (aggregate)' },
+          { ref_type: 'row', table: 'canonical_persons', id: '*', label: 'canonical_persons (aggregate)' },
+          { ref_type: 'row', table: 'person_documents', id: '*', label: 'person_documents (aggregate)' },
+        ],
+      };
+    },
+  },
+};
+
+/** Tool catalogue for the planner prompt. */
+function describeTools(tools = TOOLS) {
+  return Object.entries(tools).map(([name, t]) => {
+    const params = Object.entries(t.params).map(([p, d]) => `    ${p}: ${d}`).join('\n');
+    return `- ${name}${t.write ? ' [WRITE]' : ''}: ${t.description}${params ? `\n${params}` : ''}`;
+  }).join('\n');
+}
+
+module.exports = { TOOLS, describeTools };
@@ -7,6 +7,7 @@ const path = require('path');
 const crypto = require('crypto');
 const StorageAdapter = require('./StorageAdapter');
 const OCRService = require('./OCRService');
+const { contentAddress } = require('./ipfs-cid');
 
 class EnhancedDocumentProcessor {
   constructor(config = {}) {
@@ -19,7 +20,8 @@ class EnhancedDocumentProcessor {
     this.ipfsEnabled = config.ipfsEnabled || false;
     this.ipfsGateway = config.ipfsGateway || 'https://ipfs.io/ipfs/';
     this.reparationsCalculator = config.reparationsCalculator || null;
-    this.generateIPFSHash = config.generateIPFSHash || false;
+    // CIDs are computed locally (ipfs-cid), so this is on unless turned off
+    this.generateIPFSHash = config.generateIPFSHash !== false;
     this.performOCRFlag = config.performOCR || false;
 
     // New: initialize storage adapter
@@ -65,10 +67,9 @@ class EnhancedDocumentProcessor {
 
       console.log('✓ Stage 1: File stored', result.stages.storage);
 
-      // STAGE 2: optionally generate IPFS hash (existing code)...
-      if (this.generateIPFSHash && this.ipfsEnabled) {
-        // existing ipfs generation code here (no change suggested)
-        result.stages.ipfs = await this.generateIPFSHashForFile(result.stages.storage);
+      // STAGE 2: IPFS content address (CIDv1 of the uploaded bytes)
+      if (this.generateIPFSHash) {
+        result.stages.ipfs = await this.generateIPFSHashForFile(result.stages.storage, uploadedFile.path);
       }
 
       // STAGE 3: OCR (if configured)
@@ -154,10 +155,14 @@ class EnhancedDocumentProcessor {
     return result;
   }
 
-  // placeholder for your existing generateIPFSHashForFile and performOCR functions
-  async generateIPFSHashForFile(storageInfo) {
-    // keep your existing implementation, e.g., use local file to compute IPFS hash or call ipfs API.
-    return null;
+  // CIDv1 of the stored file, computed locally; nothing is pinned here.
+  async generateIPFSHashForFile(storageInfo, filePath = storageInfo && storageInfo.filePath) {
+    try {
+      return contentAddress(await fs.readFile(filePath), this.ipfsGateway);
+    } catch (err) {
+      console.warn('IPFS CID compute failed:', err.message);
+      return null;
+    }
   }
 
   async performOCR(filePath, documentType, fileInfo = {}) {
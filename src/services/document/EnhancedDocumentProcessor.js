@@ -4,6 +4,7 @@ const DocumentService = require('../DocumentService');
 const FileTypeDetector = require('./FileTypeDetector');
 const S3StorageAdapter = require('./S3StorageAdapter');
 const OCRProcessor = require('./OCRProcessor');
+const { contentAddress } = require('./ipfs-cid');
 const { validateDocumentMetadata } = require('../../../middleware/validation');
 
 class EnhancedDocumentProcessor {
@@ -39,6 +40,9 @@ class EnhancedDocumentProcessor {
         // Upload to S3
         const storageResult = await this.storageAdapter.uploadFile(file, validatedMetadata);
 
+        // CIDv1 of the bytes, computed locally
+        storageResult.ipfs = contentAddress(Buffer.from(file.buffer));
+
         // Enqueue for OCR processing
         await this.ocrQueue.add({
           file: storageResult,
@@ -70,6 +74,7 @@ class EnhancedDocumentProcessor {
           metadata, 
           { 
             storage: file, 
+            ipfs: file.ipfs,
             ocr: ocrResults 
           }
         );
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * ipfs-cid — CIDv1 for a file's bytes, computed locally (no IPFS node, no network).
+ *
+ * Matches what `ipfs add --cid-version=1` prints with kubo's defaults, so a CID
+ * stored here resolves to the same bytes on any gateway once someone pins them:
+ *
+ *   - 256 KiB fixed-size chunks, raw leaves (codec raw 0x55, sha2-256)
+ *   - a file of one chunk (or empty) IS that raw leaf
+ *   - larger files are a balanced UnixFS tree of dag-pb nodes (codec 0x70),
+ *     at most 174 links per node, each node carrying UnixFS File data
+ *     (filesize + per-child blocksizes) and links with Tsize
+ *   - string form is multibase base32 (lower case, "b" prefix)
+ *
+ * Only the encoding rules needed for that are implemented here; the CID is not
+ * a content check on its own — see DAADocumentManifestService for how CIDs are
+ * committed to on-chain.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+const UNIXFS_FILE = 2;
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+const DEFAULT_GATEWAY = 'https://ipfs.io/ipfs/';
+
+function varint(n) {
+  const out = [];
+  let v = n;
+  while (v >= 0x80) {
+    out.push((v % 0x80) | 0x80);
+    v = Math.floor(v / 0x80);
+  }
+  out.push(v);
+  return Buffer.from(out);
+}
+
+function base32(bytes) {
+  let out = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function cidBytes(codec, block) {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  return Buffer.concat([varint(1), varint(codec), varint(SHA2_256), varint(digest.length), digest]);
+}
+
+const field = (num, wire) => varint(num * 8 + wire);
+const bytesField = (num, buf) => Buffer.concat([field(num, 2), varint(buf.length), buf]);
+
+// UnixFS Data message for a File node with children (no inline data)
+function unixfsFile(blocksizes) {
+  const filesize = blocksizes.reduce((a, b) => a + b, 0);
+  return Buffer.concat([
+    field(1, 0), varint(UNIXFS_FILE),
+    field(3, 0), varint(filesize),
+    ...blocksizes.map(size => Buffer.concat([field(4, 0), varint(size)])),
+  ]);
+}
+
+// dag-pb PBNode: Links (field 2) before Data (field 1), as the canonical form requires
+function dagPbNode(links, data) {
+  const encodedLinks = links.map(link => bytesField(2, Buffer.concat([
+    bytesField(1, link.cid),
+    bytesField(2, Buffer.alloc(0)),
+    field(3, 0), varint(link.tsize),
+  ])));
+  return Buffer.concat([...encodedLinks, bytesField(1, data)]);
+}
+
+/**
+ * CIDv1 of a buffer.
+ * @param {Buffer|Uint8Array|string} input
+ * @returns {string} e.g. "bafkrei…" (single chunk) or "bafybei…" (UnixFS tree)
+ */
+function cidForBuffer(input) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  if (buf.length <= CHUNK_SIZE) return `b${base32(cidBytes(CODEC_RAW, buf))}`;
+
+  // Layer 0: raw leaves. Each entry: { cid, tsize (bytes under the link), size (file bytes) }
+  let layer = [];
+  for (let off = 0; off < buf.length; off += CHUNK_SIZE) {
+    const chunk = buf.subarray(off, off + CHUNK_SIZE);
+    layer.push({ cid: cidBytes(CODEC_RAW, chunk), tsize: chunk.length, size: chunk.length });
+  }
+  while (layer.length > 1) {
+    const next = [];
+    for (let i = 0; i < layer.length; i += MAX_LINKS) {
+      const links = layer.slice(i, i + MAX_LINKS);
+      const node = dagPbNode(links, unixfsFile(links.map(l => l.size)));
+      next.push({
+        cid: cidBytes(CODEC_DAG_PB, node),
+        tsize: node.length + links.reduce((a, l) => a + l.tsize, 0),
+        size: links.reduce((a, l) => a + l.size, 0),
+      });
+    }
+    layer = next;
+  }
+  return `b${base32(layer[0].cid)}`;
+}
+
+/** CIDv1 of a file on disk. */
+async function cidForFile(filePath) {
+  return cidForBuffer(await fs.readFile(filePath));
+}
+
+/**
+ * The { ipfsHash, sha256, ipfsGatewayUrl } block the documents table stores
+ * (DocumentRepository.saveWithRelations).
+ */
+function contentAddress(input, gateway = DEFAULT_GATEWAY) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  const ipfsHash = cidForBuffer(buf);
+  return {
+    ipfsHash,
+    sha256: crypto.createHash('sha256').update(buf).digest('hex'),
+    ipfsGatewayUrl: `${gateway}${ipfsHash}`,
+  };
+}
+
+/** True for a base32 CIDv1 string this module could have produced. */
+function isCidV1(value) {
+  return typeof value === 'string' && /^baf[a-z2-7]{56}$/.test(value);
+}
+
+module.exports = { cidForBuffer, cidForFile, contentAddress, isCidV1, CHUNK_SIZE, MAX_LINKS };
@@ -0,0 +1,609 @@
+/**
+ * Extractor for bills of sale and sale receipts for enslaved people.
+ *
+ * Document_class: bill_of_sale
+ * Test corpus: samples/bills_of_sale/ (transcribed deed + receipt forms)
+ *
+ * Why this class is high-value: a bill of sale is the primary instrument of
+ * a transfer. One deed names the seller (prior enslaver), the buyer (new
+ * enslaver), each enslaved person conveyed — usually with an age and often
+ * an individual price — the consideration, the date, the county of
+ * execution and the witnesses who can later be used to corroborate the
+ * instrument. Mother/child groupings ("and her child Henry") are recorded
+ * as parent_of edges, which is often the only surviving evidence of them.
+ *
+ * Two forms are recognised:
+ *   - Deed form: "Know all men by these presents that I, A, of B County,
+ *     for and in consideration of the sum of $N to me in hand paid by C,
+ *     have bargained and sold unto the said C ... a negro woman named D ..."
+ *   - Receipt form: "Received of C five hundred dollars in full payment for
+ *     a negro man named D ... which I warrant ... A"  (seller signs last)
+ *
+ * Implementation notes:
+ *   - Regex/heuristic, same as the runaway-ad extractor. Transcriptions keep
+ *     capitalisation but OCR often doesn't, so patterns are /i and names are
+ *     delimited by stopwords rather than by capital letters.
+ *   - Per-person prices are read from the span between one named person and
+ *     the next. When a deed names one person and no separate price, the whole
+ *     consideration is attributed to them (price_basis: 'whole_consideration').
+ *   - "aged about N" ages get a ±2 year confidence bound.
+ */
+
+const { BaseExtractor } = require('./base-extractor');
+
+const EXTRACTOR_VERSION = '0.1.0-heuristic';
+
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec';
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30,
+    forty: 40, fourty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+const NUMBER_WORD_RE = `(?:${Object.keys(NUMBER_WORDS).join('|')}|hundred|thousand|and|-|\\s)+`;
+
+// Words that end a name when reading left to right ("John Smith of Fairfax County")
+const NAME_STOPWORDS = new Set([
+    'of', 'and', 'for', 'his', 'her', 'their', 'the', 'said', 'county', 'parish', 'heirs',
+    'have', 'has', 'hath', 'do', 'does', 'did', 'in', 'at', 'to', 'by', 'from', 'on',
+    'executor', 'executors', 'administrator', 'administrators', 'aged', 'age', 'about',
+    'being', 'which', 'who', 'that', 'this', 'is', 'was', 'a', 'an', 'my', 'our', 'for',
+    'dollars', 'seal', 'ls', 'witness', 'test', 'teste', 'state', 'sum', 'year', 'years',
+    'now', 'late', 'planter', 'esq', 'esquire', 'sen', 'jun', 'jr', 'sr',
+]);
+const NAME_NOT_START = /^(?:negro|mulatto|slave|woman|man|boy|girl|child|sold|received|know|all|men|signed|sealed|delivered|presence|whereof)$/i;
+
+const STATES = [
+    'virginia', 'maryland', 'delaware', 'kentucky', 'tennessee', 'missouri', 'louisiana',
+    'mississippi', 'alabama', 'georgia', 'south\\s+carolina', 'north\\s+carolina', 'florida',
+    'texas', 'arkansas', 'district\\s+of\\s+columbia',
+];
+
+// Dateline abbreviations ("Petersburg, Va., January 20th 1840")
+const STATE_ABBREVIATIONS = {
+    va: 'Virginia', md: 'Maryland', del: 'Delaware', ky: 'Kentucky', tenn: 'Tennessee',
+    mo: 'Missouri', la: 'Louisiana', miss: 'Mississippi', ala: 'Alabama', ga: 'Georgia',
+    sc: 'South Carolina', nc: 'North Carolina', fla: 'Florida', tex: 'Texas', ark: 'Arkansas',
+    dc: 'District Of Columbia',
+};
+
+class BillOfSaleExtractor extends BaseExtractor {
+    static get documentClass() {
+        return 'bill_of_sale';
+    }
+
+    static classifyConfidence(blockText) {
+        if (!blockText || blockText.length < 30) return 0.0;
+        let score = 0.0;
+        // Conveyance verbs — the defining signal of the instrument
+        if (/\b(bargained?(?:,)?\s+(?:and\s+)?sold|sold\s+and\s+delivered|have\s+(?:this\s+day\s+)?sold|do\s+hereby\s+(?:sell|convey)|bill\s+of\s+sale)\b/i.test(blockText)) score += 0.35;
+        // Consideration / receipt clause
+        if (/\b(in\s+consideration\s+of|in\s+hand\s+paid|received\s+of|in\s+full\s+(?:payment|consideration))\b/i.test(blockText)) score += 0.2;
+        // Deed boilerplate
+        if (/\bknow\s+all\s+men\s+by\s+these\s+presents\b/i.test(blockText)) score += 0.15;
+        // Title / soundness warranty
+        if (/\b(warrant|warranty|defend\s+the\s+title|sound\s+in\s+(?:body|mind)|slaves?\s+for\s+life)\b/i.test(blockText)) score += 0.15;
+        // Slavery vocabulary
+        if (/\b(negro|mulatto|slave|slaves)\b/i.test(blockText)) score += 0.1;
+        // Execution / witness clause
+        if (/\b(signed,?\s+sealed|in\s+(?:the\s+)?presence\s+of|witness(?:es)?\s*:|\(seal\)|\[seal\])/i.test(blockText)) score += 0.1;
+        // Runaway-ad vocabulary — keep classifyBlock from routing ads here
+        if (/\b(ranaway|runaway|absconded)\b/i.test(blockText) && /\breward\b/i.test(blockText)) score -= 0.3;
+        return Math.max(0.0, Math.min(1.0, score));
+    }
+
+    async extract({ blockText, blockCoordinates, sourceMetadata = {}, lineageHints = {} }) {
+        if (!blockText) {
+            return this.#emptyResult(sourceMetadata, 'no blockText supplied');
+        }
+
+        // Flatten line breaks but keep them for the witness block, which is
+        // usually laid out one name per line.
+        const text = blockText.replace(/[ \t]+/g, ' ');
+        const flat = text.replace(/\s*\n\s*/g, ' ');
+        const entities = [];
+        const relationships = [];
+        const events = [];
+        const confidenceBounds = [];
+
+        const isReceipt = /^\s*(?:\$\s*[\d,.]+\s*)?(?:[a-z .,]*\d{4}\.?\s*)?received\s+of\b/i.test(flat)
+                       || (!/\bthese\s+presents\b/i.test(flat) && /\breceived\s+of\b/i.test(flat));
+
+        // ── Seller ──
+        let sellerName = null;
+        const grantorMatch = flat.match(/\bthese\s+presents,?\s+that\s+(?:we|i),?\s+/i)
+                          || flat.match(/\bthat\s+i,\s+/i);
+        if (grantorMatch) {
+            sellerName = this.#readName(flat, grantorMatch.index + grantorMatch[0].length);
+        }
+        if (!sellerName) {
+            const soldBy = flat.match(/\b(?:sold|bought|purchased)\s+(?:of|from|by)\s+(?:mr\.?\s+|mrs\.?\s+)?/i);
+            if (soldBy && !isReceipt) sellerName = this.#readName(flat, soldBy.index + soldBy[0].length);
+        }
+        if (!sellerName) sellerName = this.#signatureName(text);
+
+        // ── Buyer ──
+        let buyerName = null;
+        const buyerPatterns = [
+            /\bpaid\s+(?:to\s+(?:me|us)\s+)?by\s+(?:mr\.?\s+|mrs\.?\s+)?/i,
+            /\breceived\s+of\s+(?:mr\.?\s+|mrs\.?\s+)?/i,
+            /\b(?:sold|sell|convey|conveyed|delivered)\s+(?:and\s+\w+\s+)?(?:un)?to\s+(?:the\s+said\s+)?(?:mr\.?\s+|mrs\.?\s+)?/i,
+            /\bunto\s+(?:the\s+said\s+)?(?:mr\.?\s+|mrs\.?\s+)?/i,
+        ];
+        for (const pattern of buyerPatterns) {
+            const m = flat.match(pattern);
+            if (!m) continue;
+            const cand = this.#readName(flat, m.index + m[0].length);
+            if (cand && cand !== sellerName) { buyerName = cand; break; }
+        }
+
+        // In the receipt form the seller signs at the foot; make sure we did
+        // not pick the buyer's name from a "Received of" line as the signature.
+        if (sellerName && sellerName === buyerName) sellerName = null;
+
+        const sellerIdx = sellerName ? entities.push({
+            type: 'person',
+            role: 'seller_enslaver',
+            attributes: { name: sellerName },
+        }) - 1 : -1;
+        const buyerIdx = buyerName ? entities.push({
+            type: 'person',
+            role: 'buyer_enslaver',
+            attributes: { name: buyerName },
+        }) - 1 : -1;
+
+        // ── Consideration ──
+        const consideration = this.#extractConsideration(flat);
+        let considerationIdx = -1;
+        if (consideration !== null) {
+            considerationIdx = entities.push({
+                type: 'monetary_amount',
+                role: 'sale_consideration',
+                attributes: { amount_usd: consideration, currency_year: null },
+            }) - 1;
+        }
+
+        // ── Enslaved persons ──
+        const people = this.#extractEnslavedPersons(flat);
+        const enslavedIdxs = [];
+        for (const person of people) {
+            const idx = entities.push({
+                type: 'person',
+                role: 'enslaved_person_sold',
+                attributes: person.attributes,
+            }) - 1;
+            enslavedIdxs.push(idx);
+            if (person.ageApproximate && person.attributes.age !== undefined) {
+                confidenceBounds.push({
+                    fieldPath: `entities[${idx}].attributes.age`,
+                    low: Math.max(0, person.attributes.age - 2),
+                    high: person.attributes.age + 2,
+                });
+            }
+            person.entityIdx = idx;
+        }
+        if (enslavedIdxs.length === 1 && consideration !== null
+            && entities[enslavedIdxs[0]].attributes.price_usd === undefined) {
+            entities[enslavedIdxs[0]].attributes.price_usd = consideration;
+            entities[enslavedIdxs[0]].attributes.price_basis = 'whole_consideration';
+        }
+
+        // Mother/child groupings: "and her child Henry" follows the mother
+        for (let i = 0; i < people.length; i++) {
+            if (!people[i].childOfPrevious) continue;
+            for (let j = i - 1; j >= 0; j--) {
+                if (entities[people[j].entityIdx].attributes.sex === 'F') {
+                    relationships.push({
+                        type: 'parent_of',
+                        fromEntityIdx: people[j].entityIdx,
+                        toEntityIdx: people[i].entityIdx,
+                        attributes: { sourced_from: 'bill_of_sale' },
+                    });
+                    break;
+                }
+            }
+        }
+
+        // ── Date ──
+        const saleDate = this.#extractSaleDate(flat);
+        const year = saleDate ? parseInt(saleDate.slice(0, 4), 10) : this.#extractYear(sourceMetadata);
+        if (considerationIdx >= 0) entities[considerationIdx].attributes.currency_year = year;
+
+        // ── Place of execution ──
+        const place = this.#extractPlace(flat);
+        let placeIdx = -1;
+        if (place) {
+            placeIdx = entities.push({
+                type: 'place',
+                role: 'sale_jurisdiction',
+                attributes: place,
+            }) - 1;
+        }
+
+        // ── Witnesses ──
+        const witnessIdxs = [];
+        for (const name of this.#extractWitnesses(text, [sellerName, buyerName])) {
+            witnessIdxs.push(entities.push({
+                type: 'person',
+                role: 'witness',
+                attributes: { name },
+            }) - 1);
+        }
+
+        // ── Relationships and events ──
+        const asOf = saleDate || this.#extractDate(sourceMetadata);
+        for (const idx of enslavedIdxs) {
+            if (sellerIdx >= 0) {
+                relationships.push({
+                    type: 'enslaved_by',
+                    fromEntityIdx: idx,
+                    toEntityIdx: sellerIdx,
+                    attributes: { sourced_from: 'bill_of_sale', as_of_date: asOf, position: 'before_sale' },
+                });
+            }
+            if (buyerIdx >= 0) {
+                relationships.push({
+                    type: 'enslaved_by',
+                    fromEntityIdx: idx,
+                    toEntityIdx: buyerIdx,
+                    attributes: { sourced_from: 'bill_of_sale', as_of_date: asOf, position: 'after_sale' },
+                });
+            }
+            if (sellerIdx >= 0 && buyerIdx >= 0) {
+                relationships.push({
+                    type: 'sold_to',
+                    fromEntityIdx: sellerIdx,
+                    toEntityIdx: buyerIdx,
+                    attributes: {
+                        instrument_type: 'bill_of_sale',
+                        subject_entity_idx: idx,
+                        price_usd: entities[idx].attributes.price_usd ?? null,
+                    },
+                });
+            }
+        }
+        for (const idx of witnessIdxs) {
+            if (sellerIdx < 0) break;
+            relationships.push({
+                type: 'witnessed',
+                fromEntityIdx: idx,
+                toEntityIdx: sellerIdx,
+                attributes: { instrument_type: 'bill_of_sale' },
+            });
+        }
+
+        if (enslavedIdxs.length > 0 || (sellerIdx >= 0 && buyerIdx >= 0)) {
+            events.push({
+                type: 'sale',
+                date_window_start: saleDate || (year ? `${year}-01-01` : null),
+                date_window_end: saleDate || (year ? `${year}-12-31` : null),
+                place_text: place?.name || 'unknown',
+                participantEntityIdxs: [sellerIdx, buyerIdx, ...enslavedIdxs, ...witnessIdxs].filter(i => i >= 0),
+                attributes: {
+                    instrument_type: 'bill_of_sale',
+                    instrument_form: isReceipt ? 'receipt' : 'deed',
+                    consideration_usd: consideration,
+                    currency_year: year,
+                    warranty: this.#extractWarranty(flat),
+                    term: /\bslaves?\s+for\s+life\b/i.test(flat) ? 'life' : null,
+                    includes_future_increase: /\b(future\s+(?:increase|issue|children)|together\s+with\s+(?:her|their)\s+increase)\b/i.test(flat),
+                },
+            });
+        }
+
+        return {
+            document_class: 'bill_of_sale',
+            extractor_version: EXTRACTOR_VERSION,
+            entities,
+            relationships,
+            events,
+            provenance: {
+                source_metadata: sourceMetadata,
+                block_coordinates: blockCoordinates,
+                ocr_text_snippet: blockText.slice(0, 500),
+            },
+            confidence_bounds: confidenceBounds,
+        };
+    }
+
+    /**
+     * Named enslaved persons, in document order. Two anchors:
+     *   - "named X" / "called X" / "by the name of X"
+     *   - list items after "to wit:" ("Harry aged about 30 years $600; Lucy ...")
+     * Each person's age/price/sex is read from the span up to the next anchor.
+     */
+    #extractEnslavedPersons(flat) {
+        const anchors = [];
+        const namedRe = /\b(?:named|called|by\s+the\s+name\s+of)\s+/gi;
+        let m;
+        while ((m = namedRe.exec(flat)) !== null) {
+            const start = m.index + m[0].length;
+            const name = this.#readName(flat, start, 2);
+            if (name) anchors.push({ index: m.index, nameEnd: start + this.#rawNameLength(flat, start, 2), name });
+        }
+
+        const toWit = flat.match(/\bto\s+wit\s*[:,;]\s*/i);
+        if (toWit) {
+            const listStart = toWit.index + toWit[0].length;
+            const listEnd = this.#clauseEnd(flat, listStart, 600);
+            let offset = listStart;
+            for (const segment of flat.slice(listStart, listEnd).split(/;/)) {
+                const lead = segment.match(/^\s*(?:and\s+)?(?:(?:one|a|my)\s+)?(?:(?:negro|mulatto|black|yellow)\s+)?(?:(?:man|woman|boy|girl|child|fellow|wench)\s+)?(?:slave\s+)?(?:named\s+|called\s+)?/i);
+                const start = offset + (lead ? lead[0].length : 0);
+                const name = this.#readName(flat, start, 2);
+                if (name && !anchors.some(a => Math.abs(a.nameEnd - start) < 40 && a.name === name)) {
+                    anchors.push({ index: offset, nameEnd: start + this.#rawNameLength(flat, start, 2), name });
+                }
+                offset += segment.length + 1;
+            }
+        }
+
+        anchors.sort((a, b) => a.index - b.index);
+        const people = [];
+        for (let i = 0; i < anchors.length; i++) {
+            const a = anchors[i];
+            if (people.some(p => p.attributes.name === a.name)) continue;
+            const nextIdx = i + 1 < anchors.length ? anchors[i + 1].index : flat.length;
+            const after = flat.slice(a.nameEnd, Math.min(nextIdx, this.#clauseEnd(flat, a.nameEnd, 160)));
+            const before = flat.slice(Math.max(0, a.index - 45), a.index);
+            const attributes = { name: a.name };
+
+            const sex = this.#sexFromDescriptor(before);
+            if (sex) attributes.sex = sex;
+            const color = before.match(/\b(negro|mulatto|black|yellow|colored)\b(?![\s\S]*\b(?:negro|mulatto|black|yellow|colored)\b)/i);
+            if (color) attributes.descriptor = color[1].toLowerCase();
+
+            let ageApproximate = false;
+            const age = this.#readAge(after);
+            if (age) {
+                if (age.months !== undefined) attributes.age_months = age.months;
+                else attributes.age = age.years;
+                ageApproximate = age.approximate;
+            }
+
+            const price = this.#readAmount(after);
+            if (price !== null) {
+                attributes.price_usd = price;
+                attributes.price_basis = 'individual';
+            }
+            if (/\bslave\s+for\s+life\b/i.test(after)) attributes.term = 'life';
+
+            people.push({
+                attributes,
+                ageApproximate,
+                childOfPrevious: /\b(?:her|their|the\s+said\s+\w+'?s?)\s+(?:infant\s+)?(?:child|son|daughter|children|infant|boy|girl)\s*(?:named|called)?\s*$/i.test(before),
+            });
+        }
+        return people;
+    }
+
+    #sexFromDescriptor(before) {
+        const m = before.match(/\b(man|boy|fellow|son|woman|girl|wench|daughter)\b(?![\s\S]*\b(?:man|boy|fellow|son|woman|girl|wench|daughter)\b)/i);
+        if (!m) return null;
+        return /^(man|boy|fellow|son)$/i.test(m[1]) ? 'M' : 'F';
+    }
+
+    #readAge(span) {
+        const num = `(\\d{1,2}|${NUMBER_WORD_RE})`;
+        const re = new RegExp(`\\b(?:aged|age|abt\\.?|about)\\s+(about\\s+|abt\\.?\\s+)?${num}\\s*(years?|yrs?\\.?|months?|mos?\\.?)`, 'i');
+        const m = span.match(re) || span.match(new RegExp(`()\\b${num}\\s+(years?|yrs?\\.?|months?|mos?\\.?)\\s+old\\b`, 'i'));
+        if (!m) return null;
+        const n = /^\d+$/.test(m[2].trim()) ? parseInt(m[2], 10) : this.#wordsToNumber(m[2]);
+        if (n === null || n > 99) return null;
+        const approximate = !!m[1] || /\babout\b|\babt\b/i.test(m[0]);
+        if (/^mo/i.test(m[3])) return { months: n, approximate };
+        return { years: n, approximate };
+    }
+
+    #readAmount(span) {
+        const dollar = span.match(/\$\s*(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?/);
+        if (dollar) return parseInt(dollar[1].replace(/,/g, ''), 10) + (dollar[2] ? parseInt(dollar[2], 10) / 100 : 0);
+        const numeric = span.match(/\b(\d{1,3}(?:,\d{3})+|\d{2,5})\s+dollars\b/i);
+        if (numeric) return parseInt(numeric[1].replace(/,/g, ''), 10);
+        const spelled = span.match(new RegExp(`\\b(${NUMBER_WORD_RE})\\s+dollars\\b`, 'i'));
+        if (spelled) return this.#wordsToNumber(spelled[1]);
+        return null;
+    }
+
+    #extractConsideration(flat) {
+        const clause = flat.match(/\b(?:sum\s+of|consideration\s+of|received\s+of\b[^$]{0,80}?)\s*((?:\$\s*[\d,]+(?:\.\d{2})?)|(?:[\d,]{2,}\s+dollars)|(?:[a-z\s-]+?\s+dollars))/i);
+        if (clause) {
+            const amt = this.#readAmount(clause[1]);
+            if (amt !== null) return amt;
+        }
+        return null;
+    }
+
+    #extractSaleDate(flat) {
+        const dayOf = flat.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|d)?\\s+day\\s+of\\s+(${MONTHS})\\.?,?\\s+(?:in\\s+the\\s+year\\s+(?:of\\s+our\\s+lord\\s+)?)?(?:a\\.?\\s*d\\.?\\s+)?(1[6-8]\\d\\d)`, 'i'));
+        if (dayOf) return `${dayOf[3]}-${this.#monthToNum(dayOf[2])}-${dayOf[1].padStart(2, '0')}`;
+        const monthFirst = flat.match(new RegExp(`\\b(${MONTHS})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th|d)?,?\\s+(1[6-8]\\d\\d)\\b`, 'i'));
+        if (monthFirst) return `${monthFirst[3]}-${this.#monthToNum(monthFirst[1])}-${monthFirst[2].padStart(2, '0')}`;
+        return null;
+    }
+
+    #extractPlace(flat) {
+        const stateRe = new RegExp(`\\b(?:state\\s+of\\s+)?(${STATES.join('|')})\\b`, 'i');
+        const countyOf = flat.match(/\b(county|parish)\s+of\s+([a-z]{3,20}(?:\s+[a-z]{3,20})?)/i);
+        const countyBefore = flat.match(/\b([a-z]{3,20})\s+(county|parish)\b/i);
+        let county = null;
+        if (countyOf && !/^(said|the|aforesaid)\b/i.test(countyOf[2])) {
+            const name = countyOf[2].split(/\s+/).filter((w, i) => i === 0 || !NAME_STOPWORDS.has(w.toLowerCase()) && !/^state$/i.test(w));
+            county = this.#properCase(`${name.join(' ')} ${countyOf[1]}`);
+        } else if (countyBefore && !/^(said|the|aforesaid|this|same)$/i.test(countyBefore[1])) {
+            county = this.#properCase(`${countyBefore[1]} ${countyBefore[2]}`);
+        }
+        const stateMatch = flat.match(stateRe);
+        let state = stateMatch ? this.#properCase(stateMatch[1].replace(/\s+/g, ' ')) : null;
+        let city = null;
+        // Case-sensitive: lowercase "la"/"mo"/"ga" are too common to trust
+        const dateline = flat.match(/\b([A-Z][a-z]{2,20}),\s*(Va|Md|Del|Ky|Tenn|Mo|La|Miss|Ala|Ga|S\.\s?C|N\.\s?C|Fla|Tex|Ark|D\.\s?C)\./);
+        if (dateline) {
+            city = dateline[1];
+            state = state || STATE_ABBREVIATIONS[dateline[2].replace(/[.\s]/g, '').toLowerCase()];
+        }
+        if (!county && !state) return null;
+        return {
+            name: [city, county, state].filter(Boolean).join(', '),
+            city,
+            county,
+            state,
+        };
+    }
+
+    /**
+     * Witness names follow "in presence of" / "Witness:" / "Test:". The
+     * witness block is read line by line (one name per line is the usual
+     * layout); the seller's own signature and "[Seal]" marks are dropped.
+     */
+    #extractWitnesses(text, partyNames) {
+        const re = /\b(?:in\s+(?:the\s+)?presence\s+of|witness(?:es)?|teste?|attest)\s*[:.\-—]?\s*/gi;
+        let last = null, m;
+        while ((m = re.exec(text)) !== null) {
+            // "In witness whereof" opens the execution clause, not the witness list
+            if (/^\s*whereof/i.test(text.slice(m.index + m[0].length))) continue;
+            if (/witness/i.test(m[0]) && !/[:.\-—]/.test(m[0]) && !/\n/.test(m[0])) continue;
+            last = m;
+        }
+        if (!last) return [];
+        const block = text.slice(last.index + last[0].length, last.index + last[0].length + 240);
+        const names = [];
+        for (const chunk of block.split(/\n|,|;|\band\b/i)) {
+            const cleaned = chunk.replace(/[[(]\s*(?:seal|l\.?\s*s\.?)\s*[\])]/gi, ' ').trim();
+            if (!cleaned) continue;
+            const name = this.#readName(cleaned, 0);
+            if (!name || name.split(' ').length < 2) continue;
+            if (partyNames.includes(name) || names.includes(name)) continue;
+            names.push(name);
+            if (names.length >= 4) break;
+        }
+        return names;
+    }
+
+    #extractWarranty(flat) {
+        const soundness = /\bsound\s+(?:in\s+)?(?:body|mind|health)|\b(?:sound\s+and\s+healthy|healthy\s+and\s+sound)\b/i.test(flat);
+        const title = /\b(warrant|warranty|defend)\b[^.]{0,120}\b(title|claim|claims)\b/i.test(flat)
+                   || /\bfree\s+from\s+(?:all\s+)?(?:incumbrances?|encumbrances?|claims?)\b/i.test(flat);
+        if (title && soundness) return 'title_and_soundness';
+        if (soundness) return 'soundness';
+        if (title || /\bwarrant\b/i.test(flat)) return 'title';
+        return null;
+    }
+
+    /**
+     * The foot-of-document signature: the last line carrying "(Seal)", or
+     * failing that the last name-shaped line before any witness block.
+     */
+    #signatureName(text) {
+        const lines = text.split(/\n/).map(l => l.trim()).filter(Boolean);
+        for (let i = lines.length - 1; i >= 0; i--) {
+            const sealed = lines[i].match(/^(.*?)\s*[[(]\s*(?:seal|l\.?\s*s\.?)\s*[\])]/i);
+            if (sealed) {
+                const name = this.#readName(sealed[1].replace(/^.*\b(?:delivered|presence\s+of)\b\s*/i, ''), 0);
+                if (name) return name;
+            }
+        }
+        const witnessLine = lines.findIndex(l => /^(?:in\s+(?:the\s+)?presence\s+of|witness(?:es)?\s*:|teste?\s*:|attest)/i.test(l));
+        const lastLines = witnessLine > 0 ? lines.slice(0, witnessLine) : lines;
+        const last = lastLines[lastLines.length - 1];
+        if (last && last.length <= 40 && !/\d{4}|dollars|\$/.test(last)) {
+            const name = this.#readName(last, 0);
+            if (name && name.split(' ').length >= 2) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Read a personal name starting at `start`: up to `maxWords` tokens,
+     * stopping at punctuation or a stopword. Returns proper-cased text or null.
+     */
+    #readName(text, start, maxWords = 4) {
+        const words = this.#nameTokens(text, start, maxWords);
+        if (words.length === 0) return null;
+        const name = this.#properCase(words.join(' '));
+        return name.replace(/\./g, '').length >= 2 ? name : null;
+    }
+
+    #rawNameLength(text, start, maxWords) {
+        const words = this.#nameTokens(text, start, maxWords);
+        if (words.length === 0) return 0;
+        const last = words[words.length - 1];
+        return text.indexOf(last, start) - start + last.length;
+    }
+
+    #nameTokens(text, start, maxWords) {
+        const segment = text.slice(start, start + 60).split(/[,;:()[\]\n]/)[0];
+        const words = [];
+        for (const raw of segment.trim().split(/\s+/)) {
+            const w = raw.replace(/[^a-z'.-]/gi, '');
+            if (!w) break;
+            const bare = w.replace(/\.$/, '').toLowerCase();
+            if (NAME_STOPWORDS.has(bare) || NUMBER_WORDS[bare]) break;
+            if (words.length === 0 && NAME_NOT_START.test(bare)) return [];
+            if (!/^[a-z]/i.test(w)) break;
+            words.push(w);
+            if (words.length >= maxWords) break;
+        }
+        return words;
+    }
+
+    #clauseEnd(flat, from, maxLen) {
+        const rest = flat.slice(from, from + maxLen);
+        const stop = rest.search(/\b(?:which\s+(?:said\s+)?(?:slaves?|negro(?:es)?|property)|the\s+(?:title|right)\s+(?:to|of)|i\s+(?:do\s+)?(?:hereby\s+)?warrant|in\s+witness\s+whereof|to\s+have\s+and\s+to\s+hold)\b/i);
+        return from + (stop === -1 ? rest.length : stop);
+    }
+
+    #wordsToNumber(s) {
+        let total = 0, current = 0, seen = false;
+        for (const w of s.toLowerCase().split(/[\s-]+/)) {
+            if (!w || w === 'and') continue;
+            if (NUMBER_WORDS[w] !== undefined) { current += NUMBER_WORDS[w]; seen = true; }
+            else if (w === 'hundred') { current = (current || 1) * 100; seen = true; }
+            else if (w === 'thousand') { total += (current || 1) * 1000; current = 0; seen = true; }
+            else return null;
+        }
+        return seen ? total + current : null;
+    }
+
+    #emptyResult(sourceMetadata, reason) {
+        return {
+            document_class: 'bill_of_sale',
+            extractor_version: EXTRACTOR_VERSION,
+            entities: [],
+            relationships: [],
+            events: [],
+            provenance: { source_metadata: sourceMetadata, error: reason },
+            confidence_bounds: [],
+        };
+    }
+
+    #extractYear(sourceMetadata) {
+        const dateStr = sourceMetadata.document_date || sourceMetadata.date;
+        if (!dateStr) return null;
+        const m = String(dateStr).match(/^(\d{4})/);
+        return m ? parseInt(m[1], 10) : null;
+    }
+
+    #extractDate(sourceMetadata) {
+        return sourceMetadata.document_date || sourceMetadata.date || null;
+    }
+
+    #monthToNum(monthName) {
+        const key = monthName.toLowerCase().slice(0, 3);
+        const map = {
+            jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+            jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
+        };
+        return map[key] || '01';
+    }
+
+    #properCase(s) {
+        return s.split(/\s+/).map(w => {
+            if (w.length === 0) return w;
+            return w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+        }).join(' ');
+    }
+}
+
+module.exports = { BillOfSaleExtractor };
@@ -0,0 +1,502 @@
+/**
+ * Extractor for probate estate inventories and appraisements.
+ *
+ * Document_class: estate_inventory
+ * Test corpus: samples/estate_inventories/ (transcribed inventory pages)
+ *
+ * Why this class is high-value: the inventory is the one probate record that
+ * puts a dollar figure on every enslaved person in the estate, alongside the
+ * land, livestock and household goods appraised with them. One document gives
+ * the decedent enslaver, each enslaved person's name/age/appraised value, the
+ * total estate valuation and the split between chattel and non-chattel
+ * wealth. The non-chattel share is what estate_valuations (M049) carries into
+ * DisgorgementCalculator.forEnslaver.
+ *
+ * Input is the text of one logical inventory — for FamilySearch rolls that is
+ * the probate_documents row's page transcripts joined in image order
+ * (document-segmenter.js already stitched continuation pages together).
+ *
+ * Implementation notes:
+ *   - Inventories are ledgers: one line item per line, value in the right-hand
+ *     column. Parsing is line-oriented; a line whose last token is an amount
+ *     is a line item. "Amount brought/carried forward" page subtotals are
+ *     skipped so multi-page inventories are not double-counted.
+ *   - Each line item is emitted as an entity (enslaved person or property)
+ *     carrying line_item_idx; toEstateValuation() folds them into the
+ *     estate_valuations row shape.
+ *   - A stated "Total" is preferred over the summed line items; when the two
+ *     disagree both are kept and the gap becomes the confidence bound.
+ *   - Dollar inventories only. Pound/shilling appraisals (pre-1790s) are
+ *     returned with line items but no valuation.
+ */
+
+const { BaseExtractor } = require('./base-extractor');
+
+const EXTRACTOR_VERSION = '0.1.0-heuristic';
+
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec';
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30,
+    forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+
+// Line-item category by keyword, first match wins. 'enslaved_person' lines are
+// detected separately (a name plus slavery vocabulary or an age).
+// Tools come first so "plantation tools" / "cotton gin" aren't read as land / crops.
+const CATEGORIES = [
+    ['tools', /\b(plough|plow|hoes?|axes?|tools|wagon|cart|gin|saws?|spades?|harness|gear)\b/i],
+    ['land', /\b(tract|acres?|land|lots?|plantation|dwelling|house\s+and\s+lot)\b/i],
+    ['livestock', /\b(horses?|mares?|colts?|mules?|cattle|cows?|calves|oxen|steers?|hogs?|sheep|goats?|head\s+of)\b/i],
+    ['crops', /\b(corn|cotton|fodder|bushels?|bales?|wheat|oats|rice|tobacco|peas|potatoes|sugar|molasses)\b/i],
+    ['monetary', /\b(cash|notes?|bonds?|accounts?|money|due\s+(?:from|by))\b/i],
+    ['household', /\b(furniture|beds?|bedsteads?|bedding|tables?|chairs?|kitchen|plate|silver|desk|bureau|clock|books?|crockery|china)\b/i],
+];
+
+const ENSLAVED_VOCAB = /\b(negro(?:es)?|mulatto|slaves?|man|woman|boy|girl|child|children|infant|fellow|wench)\b/i;
+const DESCRIPTOR_WORDS = /^(?:negro|negroes|mulatto|black|yellow|slave|man|woman|boy|girl|child|infant|fellow|wench|old|young|named|one|a|an|and|her|his|their|son|daughter|&)$/i;
+
+// Leading tokens that rule a line out as an enslaved-person entry
+const PROPERTY_LEAD = /^\s*(?:\d+\s+|one\s+|a\s+|lot\s+of\s+|parcel\s+of\s+)?(?:head|tract|bushels?|bales?|lbs?|pounds|barrels?|pair|set|acres?)\b/i;
+
+class EstateInventoryExtractor extends BaseExtractor {
+    static get documentClass() {
+        return 'estate_inventory';
+    }
+
+    static classifyConfidence(blockText) {
+        if (!blockText || blockText.length < 30) return 0.0;
+        let score = 0.0;
+        // Heading — same anchors the probate document-classifier uses
+        if (/inventory\s+(?:and|&)?\s*appraise?ment|appraise?ment\s+of\s+the\s+(?:estate|property|goods|effects)|a\s+true\s+(?:and\s+perfect\s+)?inventory/i.test(blockText)) score += 0.45;
+        // Appraisers' oath / signature
+        if (/\bappraisers?\b|\bappraised\b/i.test(blockText)) score += 0.15;
+        // Decedent
+        if (/\b(deceased|dec'?d|late\s+of)\b/i.test(blockText)) score += 0.1;
+        // Ledger shape: several lines ending in an amount
+        const amountLines = blockText.split(/\n/).filter(l => /\d[\d,]*(?:[.\s]\d{2})?\s*$/.test(l.trim())).length;
+        if (amountLines >= 3) score += 0.2;
+        // Slavery vocabulary
+        if (/\b(negro|mulatto|slave|slaves)\b/i.test(blockText)) score += 0.1;
+        return Math.min(1.0, score);
+    }
+
+    async extract({ blockText, blockCoordinates, sourceMetadata = {}, lineageHints = {} }) {
+        if (!blockText) {
+            return this.#emptyResult(sourceMetadata, 'no blockText supplied');
+        }
+
+        const text = blockText.replace(/[ \t]+/g, ' ');
+        const flat = text.replace(/\s*\n\s*/g, ' ');
+        const entities = [];
+        const relationships = [];
+        const events = [];
+        const confidenceBounds = [];
+        const isSterling = /£|\bpounds?\s+(?:sterling|currency)\b|\b\d+\s*\/\s*\d+\s*\/\s*\d+\s*$/im.test(text)
+                        && !/\$/.test(text);
+
+        // ── Decedent ──
+        // "goods and chattels of the Estate of X" — take the first "of" that is followed by a name
+        let decedentIdx = -1;
+        let decedentName = null;
+        for (const m of flat.matchAll(/\b(?:estate|property|goods(?:\s+and\s+chattels)?|effects)\s+of\s+(?:the\s+late\s+)?(?:mr\.?\s+|mrs\.?\s+|dr\.?\s+|col\.?\s+|capt\.?\s+)?/gi)) {
+            decedentName = this.#readName(flat, m.index + m[0].length);
+            if (decedentName) break;
+        }
+        if (decedentName) {
+            decedentIdx = entities.push({
+                type: 'person',
+                role: 'decedent_enslaver',
+                attributes: { name: decedentName },
+            }) - 1;
+        }
+
+        // ── Line items ──
+        const lineItems = [];
+        let statedTotal = null;
+        for (const rawLine of text.split(/\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+            const amount = this.#trailingAmount(line);
+            if (!amount) continue;
+            const description = line.slice(0, amount.index).replace(/[.\s…_-]+$/, '').trim();
+            if (/\b(?:brought|carried)\s+(?:forward|over)\b|\bamount\s+(?:brought|carried)\b/i.test(description)) continue;
+            if (/^(?:total|sum\s+total|whole\s+amount|amount|aggregate)\b/i.test(description)) {
+                statedTotal = amount.value;
+                continue;
+            }
+            if (!/[a-z]{3,}/i.test(description)) continue;
+            // Dates and year headings ("January 5th 1852") are not line items
+            if (new RegExp(`\\b(${MONTHS})\\b`, 'i').test(description) && amount.value >= 1600 && amount.value <= 1899 && !amount.cents) continue;
+            lineItems.push({ description, value: amount.value });
+        }
+
+        const enslavedIdxs = [];
+        let enslavedTotal = 0, nonChattelTotal = 0;
+        const categoryTotals = {};
+        lineItems.forEach((item, lineIdx) => {
+            const persons = this.#enslavedPersonsOnLine(item.description);
+            if (persons.length > 0) {
+                enslavedTotal += item.value;
+                categoryTotals.enslaved_person = (categoryTotals.enslaved_person || 0) + item.value;
+                let motherIdx = -1;
+                for (const person of persons) {
+                    const attributes = { name: person.name, line_item_idx: lineIdx };
+                    if (person.sex) attributes.sex = person.sex;
+                    if (person.age !== undefined) attributes.age = person.age;
+                    if (person.ageMonths !== undefined) attributes.age_months = person.ageMonths;
+                    if (persons.length === 1) {
+                        attributes.appraised_value_usd = item.value;
+                    } else {
+                        attributes.joint_appraised_value_usd = item.value;
+                        attributes.appraised_jointly_with = persons.filter(p => p !== person).map(p => p.name);
+                    }
+                    const idx = entities.push({
+                        type: 'person',
+                        role: 'enslaved_person_appraised',
+                        attributes,
+                    }) - 1;
+                    enslavedIdxs.push(idx);
+                    if (person.ageApproximate && attributes.age !== undefined) {
+                        confidenceBounds.push({
+                            fieldPath: `entities[${idx}].attributes.age`,
+                            low: Math.max(0, attributes.age - 2),
+                            high: attributes.age + 2,
+                        });
+                    }
+                    if (person.childOfPrevious && motherIdx >= 0) {
+                        relationships.push({
+                            type: 'parent_of',
+                            fromEntityIdx: motherIdx,
+                            toEntityIdx: idx,
+                            attributes: { sourced_from: 'estate_inventory' },
+                        });
+                    }
+                    if (person.sex === 'F') motherIdx = idx;
+                }
+                return;
+            }
+            const category = (CATEGORIES.find(([, re]) => re.test(item.description)) || ['other'])[0];
+            nonChattelTotal += item.value;
+            categoryTotals[category] = (categoryTotals[category] || 0) + item.value;
+            entities.push({
+                type: 'property',
+                role: 'estate_line_item',
+                attributes: { description: item.description, category, value_usd: item.value, line_item_idx: lineIdx },
+            });
+        });
+
+        // ── Date / place ──
+        const appraisalDate = this.#extractDate(flat);
+        const year = appraisalDate ? parseInt(appraisalDate.slice(0, 4), 10) : this.#metadataYear(sourceMetadata);
+        const place = this.#extractPlace(flat, sourceMetadata);
+        if (place) {
+            entities.push({ type: 'place', role: 'estate_jurisdiction', attributes: place });
+        }
+
+        // ── Total valuation ──
+        const round2 = n => Math.round(n * 100) / 100;
+        const summedTotal = round2(enslavedTotal + nonChattelTotal);
+        const totalUsd = statedTotal !== null ? statedTotal : summedTotal;
+        let totalIdx = -1;
+        if (!isSterling && (lineItems.length > 0 || statedTotal !== null)) {
+            totalIdx = entities.push({
+                type: 'monetary_amount',
+                role: 'estate_total_appraisal',
+                attributes: {
+                    amount_usd: totalUsd,
+                    stated_total_usd: statedTotal,
+                    summed_total_usd: summedTotal,
+                    enslaved_value_usd: round2(enslavedTotal),
+                    non_chattel_value_usd: round2(Math.max(0, totalUsd - enslavedTotal)),
+                    category_totals_usd: Object.fromEntries(Object.entries(categoryTotals).map(([k, v]) => [k, round2(v)])),
+                    currency_year: year,
+                },
+            }) - 1;
+            if (statedTotal !== null && Math.abs(statedTotal - summedTotal) >= 0.01) {
+                confidenceBounds.push({
+                    fieldPath: `entities[${totalIdx}].attributes.amount_usd`,
+                    low: Math.min(statedTotal, summedTotal),
+                    high: Math.max(statedTotal, summedTotal),
+                });
+            }
+        }
+
+        // ── Appraisers ──
+        const appraiserIdxs = [];
+        for (const name of this.#extractAppraisers(text, decedentName)) {
+            appraiserIdxs.push(entities.push({ type: 'person', role: 'appraiser', attributes: { name } }) - 1);
+        }
+
+        // ── Relationships and events ──
+        const asOf = appraisalDate || sourceMetadata.document_date || sourceMetadata.date || null;
+        if (decedentIdx >= 0) {
+            for (const idx of enslavedIdxs) {
+                relationships.push({
+                    type: 'enslaved_by',
+                    fromEntityIdx: idx,
+                    toEntityIdx: decedentIdx,
+                    attributes: { sourced_from: 'estate_inventory', as_of_date: asOf, position: 'at_death' },
+                });
+            }
+            for (const idx of appraiserIdxs) {
+                relationships.push({
+                    type: 'appraised',
+                    fromEntityIdx: idx,
+                    toEntityIdx: decedentIdx,
+                    attributes: { instrument_type: 'estate_inventory' },
+                });
+            }
+            // The inventory post-dates the death; it bounds it from above.
+            events.push({
+                type: 'death',
+                date_window_start: null,
+                date_window_end: asOf,
+                place_text: place?.name || 'unknown',
+                participantEntityIdxs: [decedentIdx],
+                attributes: { instrument_type: 'estate_inventory', inferred_from: 'appraisal_date' },
+            });
+        }
+        if (lineItems.length > 0 || enslavedIdxs.length > 0) {
+            events.push({
+                type: 'appraisal',
+                date_window_start: appraisalDate || (year ? `${year}-01-01` : null),
+                date_window_end: appraisalDate || (year ? `${year}-12-31` : null),
+                place_text: place?.name || 'unknown',
+                participantEntityIdxs: [decedentIdx, ...enslavedIdxs, ...appraiserIdxs].filter(i => i >= 0),
+                attributes: {
+                    instrument_type: 'estate_inventory',
+                    line_item_count: lineItems.length,
+                    enslaved_count: enslavedIdxs.length,
+                    total_appraised_usd: totalIdx >= 0 ? totalUsd : null,
+                    currency: isSterling ? 'GBP' : 'USD',
+                    currency_year: year,
+                },
+            });
+        }
+
+        return {
+            document_class: 'estate_inventory',
+            extractor_version: EXTRACTOR_VERSION,
+            entities,
+            relationships,
+            events,
+            provenance: {
+                source_metadata: sourceMetadata,
+                block_coordinates: blockCoordinates,
+                ocr_text_snippet: blockText.slice(0, 500),
+            },
+            confidence_bounds: confidenceBounds,
+        };
+    }
+
+    /**
+     * Fold an estate_inventory extraction into the estate_valuations (M049)
+     * column shape. Returns null when the inventory carries no dollar
+     * valuation or no year (currency_year is NOT NULL in M049).
+     *
+     * breakdown_jsonb keeps both the M049 cents keys and the *_usd keys that
+     * scripts/project-probate-to-disgorgement.js writes, so readers of either
+     * convention see the same numbers.
+     *
+     * @param {StructuredExtraction} extraction
+     * @returns {{total_estate_value_cents:number, currency_year:number, breakdown_jsonb:object,
+     *            confidence_low_cents:number, confidence_high_cents:number}|null}
+     */
+    static toEstateValuation(extraction) {
+        const total = extraction?.entities?.find(e => e.role === 'estate_total_appraisal');
+        if (!total || !total.attributes.currency_year) return null;
+        const a = total.attributes;
+        const cents = usd => Math.round((usd || 0) * 100);
+        const bound = (extraction.confidence_bounds || [])
+            .find(b => b.fieldPath === `entities[${extraction.entities.indexOf(total)}].attributes.amount_usd`);
+        const byCategory = a.category_totals_usd || {};
+        return {
+            total_estate_value_cents: cents(a.amount_usd),
+            currency_year: a.currency_year,
+            breakdown_jsonb: {
+                real_property_cents: cents(byCategory.land),
+                personal_property_cents: cents((byCategory.livestock || 0) + (byCategory.crops || 0)
+                    + (byCategory.tools || 0) + (byCategory.household || 0) + (byCategory.other || 0)),
+                monetary_cents: cents(byCategory.monetary),
+                enslaved_persons_cents: cents(a.enslaved_value_usd),
+                enslaved_value_usd: a.enslaved_value_usd,
+                non_chattel_value_usd: a.non_chattel_value_usd,
+                total_appraised_value_usd: a.amount_usd,
+                stated_total_usd: a.stated_total_usd,
+                summed_total_usd: a.summed_total_usd,
+                category_totals_usd: byCategory,
+            },
+            confidence_low_cents: cents(bound ? bound.low : a.amount_usd),
+            confidence_high_cents: cents(bound ? bound.high : a.amount_usd),
+        };
+    }
+
+    /**
+     * Enslaved persons named on one line item: "Negro man Jack aged about 40",
+     * "Sarah and her child Mary", "Boy Tom 12 years". Lines that open with a
+     * quantity/measure ("14 head of cattle") are never persons.
+     */
+    #enslavedPersonsOnLine(description) {
+        if (PROPERTY_LEAD.test(description)) return [];
+        if (CATEGORIES.some(([cat, re]) => cat !== 'livestock' && re.test(description))) return [];
+        const hasVocab = ENSLAVED_VOCAB.test(description);
+        const hasAge = /\b(?:aged?|about)\s+\w+|\b\d{1,2}\s*(?:years?|yrs?|months?|mos?)\b|,\s*\d{1,2}\s*$|\s\d{1,2}$/i.test(description);
+        if (!hasVocab && !hasAge) return [];
+        if (!hasVocab && (CATEGORIES.some(([, re]) => re.test(description)))) return [];
+
+        const persons = [];
+        // Split into one chunk per person: "Sarah 30 and her child Mary 2", "Jim, Ned & Sam"
+        const chunks = description.split(/\s*(?:,\s*(?:and\s+)?|\s&\s|\band\b)\s*(?=(?:her|his|their|the|a|an|negro|mulatto|boy|girl|child|infant|son|daughter)?\s*[a-z])/i);
+        for (const chunk of chunks) {
+            const words = chunk.replace(/[.,;:]/g, ' ').split(/\s+/).filter(Boolean);
+            const before = [];
+            let name = null, nameAt = -1;
+            for (let i = 0; i < words.length; i++) {
+                const w = words[i];
+                if (DESCRIPTOR_WORDS.test(w)) { before.push(w); continue; }
+                if (/^(?:aged?|about|abt|years?|yrs?|old|months?|mos?|\d+)$/i.test(w)) break;
+                if (!/^[a-z][a-z'-]+$/i.test(w) || NUMBER_WORDS[w.toLowerCase()]) break;
+                name = w;
+                nameAt = i;
+                // Two-word given names are rare here; "Old Jack" is handled by DESCRIPTOR_WORDS
+                break;
+            }
+            if (!name) continue;
+            const rest = words.slice(nameAt + 1).join(' ');
+            const person = { name: this.#properCase(name) };
+            const lead = before.join(' ');
+            if (/\b(man|boy|fellow|son)\b/i.test(lead)) person.sex = 'M';
+            else if (/\b(woman|girl|wench|daughter)\b/i.test(lead)) person.sex = 'F';
+            person.childOfPrevious = /\b(her|their)\s+(child|son|daughter|infant|boy|girl)\b/i.test(lead);
+            const age = this.#readAge(rest);
+            if (age) {
+                if (age.months !== undefined) person.ageMonths = age.months;
+                else person.age = age.years;
+                person.ageApproximate = age.approximate;
+            }
+            persons.push(person);
+        }
+        return persons;
+    }
+
+    #readAge(s) {
+        const numWords = Object.keys(NUMBER_WORDS).join('|');
+        const m = s.match(new RegExp(`^(?:aged?\\s+)?(about\\s+|abt\\.?\\s+)?(\\d{1,2}|(?:(?:${numWords})[\\s-]*){1,2})\\s*(years?|yrs?\\.?|months?|mos?\\.?)?`, 'i'));
+        if (!m || !m[2]) return null;
+        const raw = m[2].trim();
+        const n = /^\d+$/.test(raw) ? parseInt(raw, 10)
+            : raw.toLowerCase().split(/[\s-]+/).reduce((sum, w) => sum + (NUMBER_WORDS[w] || 0), 0);
+        if (!n && n !== 0) return null;
+        const approximate = !!m[1];
+        if (m[3] && /^mo/i.test(m[3])) return { months: n, approximate };
+        return { years: n, approximate };
+    }
+
+    /**
+     * Right-hand-column amount: "$600.00", "600 00", "1,250.50", "75".
+     * Returns { value, index, cents } or null.
+     */
+    #trailingAmount(line) {
+        const m = line.match(/\$?\s*(\d{1,3}(?:,\d{3})+|\d+)(?:(?:\.|\s)(\d{2}))?\s*$/);
+        if (!m) return null;
+        // A bare 1-2 digit trailing number on a person line is an age, not a value
+        if (!m[2] && !/\$/.test(m[0]) && /^\d{1,2}$/.test(m[1]) && !/\s{2,}|\.{2,}/.test(line)) return null;
+        const value = parseInt(m[1].replace(/,/g, ''), 10) + (m[2] ? parseInt(m[2], 10) / 100 : 0);
+        return { value, index: m.index, cents: !!m[2] };
+    }
+
+    #extractAppraisers(text, decedentName) {
+        const lines = text.split(/\n/).map(l => l.trim()).filter(Boolean);
+        const names = [];
+        for (let i = 0; i < lines.length; i++) {
+            if (!/\bappraisers?\b/i.test(lines[i]) || this.#trailingAmount(lines[i])) continue;
+            // Names on the "Appraisers" line itself ("A, B Appraisers" / "Appraisers: A, B"),
+            // else on the lines above it
+            const own = (lines[i].match(/^appraisers?\s*[:.-]\s*(.+)$/i)?.[1] || lines[i].replace(/\bappraisers?\b.*$/i, '')).trim();
+            const candidates = own && !/\b(we|undersigned|sworn|being)\b/i.test(own)
+                ? [own]
+                : lines.slice(Math.max(0, i - 3), i).filter(l => !this.#trailingAmount(l) && !/\b(we|undersigned|sworn|oath|total)\b/i.test(l));
+            for (const c of candidates) {
+                for (const chunk of c.split(/,|;|\band\b|\s{3,}/i)) {
+                    const name = this.#readName(chunk.trim(), 0);
+                    if (name && name.split(' ').length >= 2 && name !== decedentName && !names.includes(name)) names.push(name);
+                }
+            }
+            if (names.length > 0) break;
+        }
+        return names.slice(0, 5);
+    }
+
+    #extractDate(flat) {
+        const dayOf = flat.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|d)?\\s+day\\s+of\\s+(${MONTHS})\\.?,?\\s+(?:in\\s+the\\s+year\\s+)?(?:a\\.?\\s*d\\.?\\s+)?(1[6-8]\\d\\d)`, 'i'));
+        if (dayOf) return `${dayOf[3]}-${this.#monthToNum(dayOf[2])}-${dayOf[1].padStart(2, '0')}`;
+        const monthFirst = flat.match(new RegExp(`\\b(${MONTHS})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th|d)?,?\\s+(1[6-8]\\d\\d)\\b`, 'i'));
+        if (monthFirst) return `${monthFirst[3]}-${this.#monthToNum(monthFirst[1])}-${monthFirst[2].padStart(2, '0')}`;
+        return null;
+    }
+
+    #extractPlace(flat, sourceMetadata) {
+        const m = flat.match(/\b([a-z]{3,20})\s+(county|parish)\b/i);
+        const county = m && !/^(said|the|aforesaid|this|same)$/i.test(m[1])
+            ? this.#properCase(`${m[1]} ${m[2]}`)
+            : (sourceMetadata.county ? `${sourceMetadata.county} County` : null);
+        const stateMatch = flat.match(/\bstate\s+of\s+([a-z]+(?:\s+carolina)?)/i);
+        const state = stateMatch ? this.#properCase(stateMatch[1]) : (sourceMetadata.state || null);
+        if (!county && !state) return null;
+        return { name: [county, state].filter(Boolean).join(', '), county, state };
+    }
+
+    #readName(text, start) {
+        const segment = text.slice(start, start + 60).split(/[,;:()[\]\n]/)[0];
+        const words = [];
+        for (const raw of segment.trim().split(/\s+/)) {
+            const w = raw.replace(/[^a-z'.-]/gi, '');
+            if (!w || /^(late|of|deceased|dec'?d\.?|in|and|who|the|county|taken|esq\.?|appraisers?|estate)$/i.test(w)) break;
+            if (!/^[a-z]/i.test(w)) break;
+            words.push(w);
+            if (words.length >= 4) break;
+        }
+        if (words.length === 0) return null;
+        return this.#properCase(words.join(' '));
+    }
+
+    #emptyResult(sourceMetadata, reason) {
+        return {
+            document_class: 'estate_inventory',
+            extractor_version: EXTRACTOR_VERSION,
+            entities: [],
+            relationships: [],
+            events: [],
+            provenance: { source_metadata: sourceMetadata, error: reason },
+            confidence_bounds: [],
+        };
+    }
+
+    #metadataYear(sourceMetadata) {
+        const dateStr = sourceMetadata.document_date || sourceMetadata.date || sourceMetadata.year;
+        if (!dateStr) return null;
+        const m = String(dateStr).match(/^(\d{4})/);
+        return m ? parseInt(m[1], 10) : null;
+    }
+
+    #monthToNum(monthName) {
+        const key = monthName.toLowerCase().slice(0, 3);
+        const map = {
+            jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+            jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
+        };
+        return map[key] || '01';
+    }
+
+    #properCase(s) {
+        return s.split(/\s+/).map(w => {
+            if (w.length === 0) return w;
+            return w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+        }).join(' ');
+    }
+}
+
+module.exports = { EstateInventoryExtractor };
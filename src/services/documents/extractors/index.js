@@ -5,14 +5,18 @@
  */
 
 const { NewspaperRunawayAdExtractor } = require('./newspaper-runaway-ad-extractor');
-// Future: add will-extractor, estate-inventory-extractor, bill-of-sale-extractor,
-// custody-event-register-extractor, multi-entry-parish-roll-extractor, etc.
+const { BillOfSaleExtractor } = require('./bill-of-sale-extractor');
+const { EstateInventoryExtractor } = require('./estate-inventory-extractor');
+const { ManumissionExtractor } = require('./manumission-extractor');
+// Future: add will-extractor, custody-event-register-extractor,
+// multi-entry-parish-roll-extractor, etc.
 // const { WillExtractor } = require('./will-extractor');
-// const { EstateInventoryExtractor } = require('./estate-inventory-extractor');
-// const { BillOfSaleExtractor } = require('./bill-of-sale-extractor');
 
 const REGISTRY = {
     [NewspaperRunawayAdExtractor.documentClass]: NewspaperRunawayAdExtractor,
+    [BillOfSaleExtractor.documentClass]: BillOfSaleExtractor,
+    [EstateInventoryExtractor.documentClass]: EstateInventoryExtractor,
+    [ManumissionExtractor.documentClass]: ManumissionExtractor,
 };
 
 function getExtractor(documentClass) {
@@ -0,0 +1,478 @@
+/**
+ * Extractor for deeds of manumission and certificates of freedom.
+ *
+ * Document_class: manumission
+ * Test corpus: samples/manumissions/ (transcribed deeds + county-clerk certificates)
+ *
+ * Why this class is high-value: it is the one instrument that ENDS a period
+ * of enslavement on a documented date. The inferred-dates view (M039)
+ * otherwise assumes every enslaved person was held until 1865; a deed or
+ * certificate replaces that assumption with the actual freedom date, which
+ * moves years_enslaved in both directions (earlier freedom shortens the span,
+ * a term-of-years condition lengthens it past the deed date).
+ *
+ * Two forms are recognised (instrument_form):
+ *   - deed_of_manumission: "Know all men by these presents that I, A, ...
+ *     do hereby manumit, emancipate and set free my negro man named B,
+ *     aged about 25 years, from and after the 1st day of January 1830 ..."
+ *   - certificate_of_freedom: "I hereby certify that Harry Jackson, a
+ *     negro man aged about 25 years, five feet eight inches high, dark
+ *     complexion, scar on his left cheek, was manumitted by A by deed dated
+ *     3rd March 1820 ... Given under my hand this 10th day of May 1825."
+ *     (PersonService lists certificate_of_freedom as an ENSLAVED_NAMED type.)
+ *
+ * Conditions (condition_type on the manumission event):
+ *   immediate            — free on the instrument date
+ *   fixed_date           — "from and after the Nth day of Month YYYY"
+ *   term_of_years        — "after serving the term of N years"
+ *   age_of_release       — "when he shall arrive at the age of N"
+ *   death_of_manumitter  — "at my death" (no computable effective date)
+ *   born_free            — certificate attests free birth; no manumission
+ *
+ * effective_year is computed where the condition allows; otherwise it is
+ * left null and the event's date window is open-ended.
+ */
+
+const { BaseExtractor } = require('./base-extractor');
+
+const EXTRACTOR_VERSION = '0.1.0-heuristic';
+
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec';
+const DATE_RE = `(\\d{1,2})(?:st|nd|rd|th|d)?\\s+(?:day\\s+)?(?:of\\s+)?(${MONTHS})\\.?,?\\s+(?:in\\s+the\\s+year\\s+(?:of\\s+our\\s+lord\\s+)?)?(1[6-8]\\d\\d)`;
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30,
+    forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+const NUM = `(\\d{1,3}|(?:(?:${Object.keys(NUMBER_WORDS).join('|')})[\\s-]*){1,2})`;
+
+const NAME_STOPWORDS = new Set([
+    'of', 'and', 'for', 'his', 'her', 'their', 'the', 'said', 'county', 'parish', 'a', 'an',
+    'aged', 'age', 'about', 'who', 'which', 'was', 'is', 'has', 'hath', 'have', 'do', 'in',
+    'by', 'to', 'from', 'on', 'at', 'negro', 'mulatto', 'man', 'woman', 'boy', 'girl',
+    'formerly', 'late', 'now', 'being', 'heretofore', 'my', 'esq', 'clerk', 'state',
+]);
+
+class ManumissionExtractor extends BaseExtractor {
+    static get documentClass() {
+        return 'manumission';
+    }
+
+    static classifyConfidence(blockText) {
+        if (!blockText || blockText.length < 30) return 0.0;
+        let score = 0.0;
+        // Operative words of release
+        if (/\b(manumit(?:ted)?|emancipate[ds]?|set\s+(?:him|her|them)?\s*free|liberate|release\s+from\s+(?:all\s+)?(?:slavery|servitude|bondage))\b/i.test(blockText)) score += 0.45;
+        // Certificate / register form
+        if (/\b(certificate\s+of\s+freedom|free\s+(?:negro|person\s+of\s+colou?r)|born\s+free|free\s+born|register\s+of\s+free)\b/i.test(blockText)) score += 0.3;
+        // Deed / certificate boilerplate
+        if (/\b(know\s+all\s+men\s+by\s+these\s+presents|i\s+(?:do\s+)?hereby\s+certify|given\s+under\s+my\s+hand)\b/i.test(blockText)) score += 0.15;
+        // Physical description (typical of certificates)
+        if (/\b\d\s*(?:feet|ft\.?)\s*\d{1,2}\s*(?:inches|ins?\.?)|\bcomplexion\b/i.test(blockText)) score += 0.1;
+        // Slavery vocabulary
+        if (/\b(negro|mulatto|slave|slavery|servitude)\b/i.test(blockText)) score += 0.1;
+        // A sale conveys ownership; it is not a release
+        if (/\bbargained?\s+(?:and\s+)?sold\b/i.test(blockText) && !/\bmanumit/i.test(blockText)) score -= 0.3;
+        return Math.max(0.0, Math.min(1.0, score));
+    }
+
+    async extract({ blockText, blockCoordinates, sourceMetadata = {}, lineageHints = {} }) {
+        if (!blockText) {
+            return this.#emptyResult(sourceMetadata, 'no blockText supplied');
+        }
+
+        const text = blockText.replace(/[ \t]+/g, ' ');
+        const flat = text.replace(/\s*\n\s*/g, ' ');
+        const entities = [];
+        const relationships = [];
+        const events = [];
+        const confidenceBounds = [];
+
+        const isCertificate = /\b(certificate\s+of\s+freedom|hereby\s+certify|register\s+of\s+free|given\s+under\s+my\s+hand)\b/i.test(flat)
+                           && !/\bdo\s+hereby\s+(?:manumit|emancipate|set\s+free)\b/i.test(flat);
+        const bornFree = /\b(born\s+free|free\s+born|free\s+by\s+birth)\b/i.test(flat);
+
+        // ── Freed person ──
+        const freed = this.#extractFreedPerson(flat, isCertificate);
+        let freedIdx = -1;
+        if (freed) {
+            freedIdx = entities.push({
+                type: 'person',
+                role: 'freed_person',
+                attributes: freed.attributes,
+            }) - 1;
+            if (freed.ageApproximate && freed.attributes.age !== undefined) {
+                confidenceBounds.push({
+                    fieldPath: `entities[${freedIdx}].attributes.age`,
+                    low: Math.max(0, freed.attributes.age - 2),
+                    high: freed.attributes.age + 2,
+                });
+            }
+        }
+
+        // ── Manumitting enslaver ──
+        let manumitterName = null;
+        const manumitterPatterns = isCertificate
+            ? [/\b(?:manumitted|emancipated|liberated|set\s+free|freed)\s+(?:and\s+\w+\s+)?by\s+(?:the\s+(?:last\s+will(?:\s+and\s+testament)?|deed)\s+of\s+)?(?:mr\.?\s+|mrs\.?\s+|the\s+late\s+)?/i,
+               /\b(?:formerly\s+(?:the\s+)?(?:property|slave)\s+of|free\s+by\s+the\s+(?:last\s+will(?:\s+and\s+testament)?|deed)\s+of)\s+(?:mr\.?\s+|mrs\.?\s+|the\s+late\s+)?/i]
+            : [/\bthese\s+presents,?\s+that\s+(?:we|i),?\s+/i, /\bthat\s+i,\s+/i,
+               /\b(?:manumitted|emancipated)\s+by\s+(?:mr\.?\s+|mrs\.?\s+)?/i];
+        for (const re of manumitterPatterns) {
+            const m = flat.match(re);
+            if (!m) continue;
+            manumitterName = this.#readName(flat, m.index + m[0].length);
+            if (manumitterName) break;
+        }
+        if (!manumitterName && !isCertificate) manumitterName = this.#signatureName(text);
+        let manumitterIdx = -1;
+        if (manumitterName && manumitterName !== freed?.attributes.name) {
+            manumitterIdx = entities.push({
+                type: 'person',
+                role: 'manumitting_enslaver',
+                attributes: { name: manumitterName },
+            }) - 1;
+        }
+
+        // ── Dates ──
+        // Deed: the execution date ("this Nth day of ..."). Certificate: the
+        // date of the referenced deed/will ("by deed dated ...") when given,
+        // and separately the certificate's own issue date.
+        const dates = [...flat.matchAll(new RegExp(`\\b${DATE_RE}`, 'gi'))].map(m => ({
+            index: m.index,
+            iso: `${m[3]}-${this.#monthToNum(m[2])}-${m[1].padStart(2, '0')}`,
+        }));
+        const referenced = flat.match(new RegExp(`\\b(?:deed|will|instrument|manumission)\\s+(?:of\\s+manumission\\s+)?(?:bearing\\s+)?dated?\\s+(?:the\\s+)?${DATE_RE}`, 'i'));
+        const referencedDate = referenced ? `${referenced[3]}-${this.#monthToNum(referenced[2])}-${referenced[1].padStart(2, '0')}` : null;
+        const fixed = flat.match(new RegExp(`\\bfrom\\s+and\\s+after\\s+(?:the\\s+)?${DATE_RE}`, 'i'));
+        const fixedDate = fixed ? `${fixed[3]}-${this.#monthToNum(fixed[2])}-${fixed[1].padStart(2, '0')}` : null;
+        const executed = flat.match(new RegExp(`\\b(?:this|the)\\s+${DATE_RE}`, 'gi'));
+        const executionDate = executed
+            ? (() => { const m = executed[executed.length - 1].match(new RegExp(DATE_RE, 'i')); return `${m[3]}-${this.#monthToNum(m[2])}-${m[1].padStart(2, '0')}`; })()
+            : (dates.length ? dates[dates.length - 1].iso : null);
+        const issueDate = isCertificate ? executionDate : null;
+        const instrumentDate = isCertificate ? (referencedDate || null) : executionDate;
+
+        // ── Conditions → effective date ──
+        const instrumentYear = instrumentDate ? parseInt(instrumentDate, 10) : null;
+        let conditionType = 'immediate';
+        let termYears = null, releaseAge = null, effectiveDate = null, effectiveYear = null;
+        const term = flat.match(new RegExp(`\\b(?:term\\s+of|serv(?:e|ed|ing)\\s+(?:[a-z]+\\s+){0,5}?)\\s*${NUM}\\s+years`, 'i'));
+        const ageRelease = flat.match(new RegExp(`\\b(?:arrives?|arrived|shall\\s+arrive|attains?|shall\\s+attain|reach(?:es)?|shall\\s+reach)\\s+(?:at\\s+)?(?:to\\s+)?(?:the\\s+)?(?:full\\s+)?age\\s+of\\s+${NUM}`, 'i'));
+        if (bornFree && !/\bmanumit/i.test(flat)) {
+            conditionType = 'born_free';
+        } else if (fixedDate) {
+            conditionType = 'fixed_date';
+            effectiveDate = fixedDate;
+            effectiveYear = parseInt(fixedDate, 10);
+        } else if (term) {
+            conditionType = 'term_of_years';
+            termYears = this.#toNumber(term[1]);
+            if (instrumentYear && termYears !== null) effectiveYear = instrumentYear + termYears;
+        } else if (ageRelease) {
+            conditionType = 'age_of_release';
+            releaseAge = this.#toNumber(ageRelease[1]);
+            const age = freed?.attributes.age;
+            if (instrumentYear && releaseAge !== null && age !== undefined) {
+                effectiveYear = instrumentYear + Math.max(0, releaseAge - age);
+                if (freed.ageApproximate) {
+                    confidenceBounds.push({
+                        fieldPath: 'events[0].attributes.effective_year',
+                        low: effectiveYear - 2,
+                        high: effectiveYear + 2,
+                    });
+                }
+            }
+        } else if (/\b(?:at|after|from\s+and\s+after)\s+my\s+(?:death|decease)\b/i.test(flat)) {
+            conditionType = 'death_of_manumitter';
+        } else if (instrumentDate) {
+            effectiveDate = instrumentDate;
+            effectiveYear = instrumentYear;
+        }
+        // A certificate that cites no deed date still proves freedom by its issue date
+        if (isCertificate && conditionType === 'immediate' && !effectiveYear && issueDate) {
+            effectiveYear = parseInt(issueDate, 10);
+        }
+
+        // ── Consideration (self-purchase / purchase by a relative) ──
+        const consideration = flat.match(/\b(?:sum\s+of|consideration\s+of)\s+\$?\s*(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?(?:\s+dollars)?/i);
+        const considerationUsd = consideration
+            ? parseInt(consideration[1].replace(/,/g, ''), 10) + (consideration[2] ? parseInt(consideration[2], 10) / 100 : 0)
+            : null;
+        let paidBy = null;
+        const payer = flat.match(/\bpaid\s+(?:to\s+me\s+)?by\s+(?:the\s+said\s+)?/i);
+        if (payer) paidBy = this.#readName(flat, payer.index + payer[0].length);
+
+        // ── Place ──
+        const place = this.#extractPlace(flat);
+        if (place) {
+            entities.push({ type: 'place', role: 'manumission_jurisdiction', attributes: place });
+        }
+
+        // ── Issuing clerk (certificates) / witnesses (deeds) ──
+        const officialIdxs = [];
+        if (isCertificate) {
+            const clerk = text.match(/\n\s*([^\n,]{4,40}?),?\s+(?:clerk|register|registrar)\b/i);
+            const clerkName = clerk ? this.#readName(clerk[1], 0) : null;
+            if (clerkName) {
+                officialIdxs.push(entities.push({ type: 'person', role: 'issuing_clerk', attributes: { name: clerkName } }) - 1);
+            }
+        } else {
+            for (const name of this.#extractWitnesses(text, [manumitterName, freed?.attributes.name])) {
+                officialIdxs.push(entities.push({ type: 'person', role: 'witness', attributes: { name } }) - 1);
+            }
+        }
+
+        // ── Relationships and events ──
+        if (freedIdx >= 0 && manumitterIdx >= 0) {
+            relationships.push({
+                type: 'enslaved_by',
+                fromEntityIdx: freedIdx,
+                toEntityIdx: manumitterIdx,
+                attributes: {
+                    sourced_from: 'manumission',
+                    as_of_date: instrumentDate,
+                    // The edge ends at freedom; consumers close the period here
+                    ended_by: 'manumission',
+                    end_year: effectiveYear,
+                },
+            });
+            relationships.push({
+                type: 'manumitted_by',
+                fromEntityIdx: freedIdx,
+                toEntityIdx: manumitterIdx,
+                attributes: { instrument_type: isCertificate ? 'certificate_of_freedom' : 'deed_of_manumission' },
+            });
+        }
+
+        if (freedIdx >= 0) {
+            const windowStart = effectiveDate || (effectiveYear ? `${effectiveYear}-01-01` : instrumentDate);
+            const windowEnd = effectiveDate || (effectiveYear ? `${effectiveYear}-12-31` : issueDate);
+            events.push({
+                type: conditionType === 'born_free' ? 'freedom_attested' : 'manumission',
+                date_window_start: windowStart || null,
+                date_window_end: windowEnd || null,
+                place_text: place?.name || 'unknown',
+                participantEntityIdxs: [freedIdx, manumitterIdx, ...officialIdxs].filter(i => i >= 0),
+                attributes: {
+                    instrument_type: 'manumission',
+                    instrument_form: isCertificate ? 'certificate_of_freedom' : 'deed_of_manumission',
+                    instrument_date: instrumentDate,
+                    certificate_issue_date: issueDate,
+                    condition_type: conditionType,
+                    condition_term_years: termYears,
+                    condition_release_age: releaseAge,
+                    effective_date: effectiveDate,
+                    effective_year: effectiveYear,
+                    consideration_usd: considerationUsd,
+                    paid_by: paidBy,
+                    self_purchase: !!(paidBy && freed && paidBy.split(' ')[0] === freed.attributes.name.split(' ')[0]),
+                },
+            });
+        }
+
+        return {
+            document_class: 'manumission',
+            extractor_version: EXTRACTOR_VERSION,
+            entities,
+            relationships,
+            events,
+            provenance: {
+                source_metadata: sourceMetadata,
+                block_coordinates: blockCoordinates,
+                ocr_text_snippet: blockText.slice(0, 500),
+            },
+            confidence_bounds: confidenceBounds,
+        };
+    }
+
+    /**
+     * Fold a manumission extraction into the freedom_events (M111) column
+     * shape. Returns null when no freed person was identified.
+     *
+     * @param {StructuredExtraction} extraction
+     * @returns {object|null}
+     */
+    static toFreedomEvent(extraction) {
+        const freed = extraction?.entities?.find(e => e.role === 'freed_person');
+        const event = extraction?.events?.find(e => e.type === 'manumission' || e.type === 'freedom_attested');
+        if (!freed || !event) return null;
+        const manumitter = extraction.entities.find(e => e.role === 'manumitting_enslaver');
+        const place = extraction.entities.find(e => e.role === 'manumission_jurisdiction');
+        const a = event.attributes;
+        const { name, age, sex, ...descriptors } = freed.attributes;
+        const refYear = parseInt(a.instrument_date || a.certificate_issue_date, 10);
+        return {
+            enslaved_name_text: name,
+            manumitter_name: manumitter?.attributes.name || null,
+            freedom_type: a.instrument_form,
+            condition_type: a.condition_type,
+            condition_term_years: a.condition_term_years,
+            condition_release_age: a.condition_release_age,
+            instrument_date: a.instrument_date,
+            certificate_issue_date: a.certificate_issue_date,
+            effective_date: a.effective_date,
+            effective_year: a.effective_year,
+            age_at_instrument: age ?? null,
+            birth_year_estimate: age !== undefined && refYear ? refYear - age : null,
+            sex: sex || null,
+            descriptors_jsonb: descriptors,
+            consideration_usd: a.consideration_usd,
+            self_purchase: a.self_purchase,
+            place_state: place?.attributes.state || null,
+            place_locality: place?.attributes.county || null,
+        };
+    }
+
+    #extractFreedPerson(flat, isCertificate) {
+        let name = null, anchorEnd = -1, before = '';
+        const patterns = isCertificate
+            ? [/\bcertify\s+that\s+(?:the\s+bearer(?:\s+hereof)?,?\s+)?(?:(?:a\s+)?(?:free\s+)?(?:negro|mulatto|colou?red)\s+(?:man|woman|boy|girl)?\s*(?:named\s+|called\s+)?)?/i,
+               /\b(?:named|called|by\s+the\s+name\s+of)\s+/i]
+            : [/\b(?:named|called|by\s+the\s+name\s+of)\s+/i,
+               /\b(?:manumit|emancipate|set\s+free|release)(?:,?\s+(?:and\s+)?(?:emancipate|set\s+free|release|manumit|discharge))*\s+(?:from\s+slavery\s+)?(?:my\s+)?(?:(?:negro|mulatto|black|yellow)\s+)?(?:(?:man|woman|boy|girl|slave)\s+)?/i];
+        for (const re of patterns) {
+            const m = flat.match(re);
+            if (!m) continue;
+            const cand = this.#readName(flat, m.index + m[0].length, 3);
+            if (cand) {
+                name = cand;
+                anchorEnd = m.index + m[0].length;
+                before = flat.slice(Math.max(0, m.index - 40), anchorEnd);
+                break;
+            }
+        }
+        if (!name) return null;
+
+        // Descriptors live in the 260 chars after the name (certificates put
+        // them all in one run: age, height, complexion, marks).
+        const span = flat.slice(anchorEnd, anchorEnd + 260);
+        const attributes = { name };
+        let ageApproximate = false;
+        const age = span.match(new RegExp(`\\b(?:aged|age)\\s+(about\\s+|abt\\.?\\s+)?${NUM}\\s*(?:years?|yrs?)`, 'i'))
+                 || span.match(new RegExp(`\\b(about\\s+)?${NUM}\\s+years\\s+(?:of\\s+age|old)`, 'i'));
+        if (age) {
+            const n = this.#toNumber(age[2]);
+            if (n !== null && n < 110) {
+                attributes.age = n;
+                ageApproximate = !!age[1];
+            }
+        }
+        const sexWord = (before + ' ' + span.slice(0, 80)).match(/\b(man|boy|fellow|woman|girl|wench)\b/i);
+        if (sexWord) attributes.sex = /^(man|boy|fellow)$/i.test(sexWord[1]) ? 'M' : 'F';
+        else if (/\b(?:his|him)\b/i.test(span.slice(0, 120))) attributes.sex = 'M';
+        else if (/\b(?:her|she)\b/i.test(span.slice(0, 120))) attributes.sex = 'F';
+        const height = span.match(/\b(\d|five|six|four)\s*(?:feet|foot|ft\.?)\s*(\d{1,2}|\w+)?\s*(?:(?:and\s+(?:a\s+half|\S+)\s+)?inches|ins?\.?)?/i);
+        if (height) {
+            const ft = this.#toNumber(height[1]);
+            const inch = height[2] ? this.#toNumber(height[2]) : 0;
+            if (ft !== null && inch !== null && inch < 12) attributes.height_inches = ft * 12 + inch;
+        }
+        const complexion = span.match(/\b(black|brown|dark|light|yellow|bright|copper|mulatto)(?:\s+(?:brown|mulatto))?\s+(?:complexion|complected|coloured|colored)\b|\bcomplexion\s+(black|brown|dark|light|yellow|bright|copper)\b/i);
+        if (complexion) attributes.complexion = (complexion[1] || complexion[2]).toLowerCase();
+        const marks = span.match(/\b(?:a\s+|with\s+a\s+|has\s+a\s+)?(?:small\s+|large\s+)?(?:scar|mark|mole|brand)\b[^,.;]{0,60}/i);
+        if (marks) attributes.distinctive_marks = marks[0].trim();
+        return { attributes, ageApproximate };
+    }
+
+    #extractPlace(flat) {
+        const countyOf = flat.match(/\b(county|parish)\s+of\s+([a-z]{3,20}(?:\s+[a-z]{3,20})?)/i);
+        const countyBefore = flat.match(/\b([a-z]{3,20}(?:\s+[a-z]{3,20})?)\s+(county|parish)\b/i);
+        let county = null;
+        if (countyOf && !/^(said|the|aforesaid)\b/i.test(countyOf[2])) {
+            const words = countyOf[2].split(/\s+/).filter((w, i) => i === 0 || !NAME_STOPWORDS.has(w.toLowerCase()));
+            county = this.#properCase(`${words.join(' ')} ${countyOf[1]}`);
+        } else if (countyBefore) {
+            const words = countyBefore[1].split(/\s+/).filter(w => !NAME_STOPWORDS.has(w.toLowerCase()) && !/^(this|same|aforesaid)$/i.test(w));
+            if (words.length) county = this.#properCase(`${words.join(' ')} ${countyBefore[2]}`);
+        }
+        const stateMatch = flat.match(/\b(virginia|maryland|delaware|kentucky|tennessee|missouri|louisiana|mississippi|alabama|georgia|south\s+carolina|north\s+carolina|district\s+of\s+columbia|pennsylvania|new\s+jersey|new\s+york)\b/i);
+        const state = stateMatch ? this.#properCase(stateMatch[1].replace(/\s+/g, ' ')) : null;
+        if (!county && !state) return null;
+        return { name: [county, state].filter(Boolean).join(', '), county, state };
+    }
+
+    #extractWitnesses(text, partyNames) {
+        const re = /\b(?:in\s+(?:the\s+)?presence\s+of|witness(?:es)?\s*:|teste?\s*:|attest\s*:)\s*/gi;
+        let last = null, m;
+        while ((m = re.exec(text)) !== null) last = m;
+        if (!last) return [];
+        const names = [];
+        for (const chunk of text.slice(last.index + last[0].length, last.index + last[0].length + 200).split(/\n|,|;|\band\b/i)) {
+            const name = this.#readName(chunk.replace(/[[(]\s*seal\s*[\])]/gi, ' ').trim(), 0);
+            if (!name || name.split(' ').length < 2 || partyNames.includes(name) || names.includes(name)) continue;
+            names.push(name);
+            if (names.length >= 4) break;
+        }
+        return names;
+    }
+
+    #signatureName(text) {
+        const lines = text.split(/\n/).map(l => l.trim()).filter(Boolean);
+        for (let i = lines.length - 1; i >= 0; i--) {
+            const sealed = lines[i].match(/^(.*?)\s*[[(]\s*seal\s*[\])]/i);
+            if (sealed) return this.#readName(sealed[1], 0);
+        }
+        return null;
+    }
+
+    #readName(text, start, maxWords = 4) {
+        const segment = text.slice(start, start + 60).split(/[,;:()[\]\n]/)[0];
+        const words = [];
+        for (const raw of segment.trim().split(/\s+/)) {
+            const w = raw.replace(/[^a-z'.-]/gi, '');
+            if (!w) break;
+            const bare = w.replace(/\.$/, '').toLowerCase();
+            if (NAME_STOPWORDS.has(bare) || NUMBER_WORDS[bare]) break;
+            if (!/^[a-z]/i.test(w)) break;
+            words.push(w);
+            if (words.length >= maxWords) break;
+        }
+        if (words.length === 0) return null;
+        const name = this.#properCase(words.join(' '));
+        return name.replace(/\./g, '').length >= 2 ? name : null;
+    }
+
+    #toNumber(s) {
+        const raw = String(s).trim().toLowerCase();
+        if (/^\d+$/.test(raw)) return parseInt(raw, 10);
+        let n = 0, seen = false;
+        for (const w of raw.split(/[\s-]+/)) {
+            if (NUMBER_WORDS[w] === undefined) return null;
+            n += NUMBER_WORDS[w];
+            seen = true;
+        }
+        return seen ? n : null;
+    }
+
+    #emptyResult(sourceMetadata, reason) {
+        return {
+            document_class: 'manumission',
+            extractor_version: EXTRACTOR_VERSION,
+            entities: [],
+            relationships: [],
+            events: [],
+            provenance: { source_metadata: sourceMetadata, error: reason },
+            confidence_bounds: [],
+        };
+    }
+
+    #monthToNum(monthName) {
+        const key = monthName.toLowerCase().slice(0, 3);
+        const map = {
+            jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+            jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
+        };
+        return map[key] || '01';
+    }
+
+    #properCase(s) {
+        return s.split(/\s+/).map(w => {
+            if (w.length === 0) return w;
+            return w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+        }).join(' ');
+    }
+}
+
+module.exports = { ManumissionExtractor };
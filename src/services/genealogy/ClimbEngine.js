@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * ClimbEngine — one ancestor climb for every family-tree source.
+ *
+ * The tree itself comes from a provider (./providers): the live FamilySearch
+ * tree, WikiTree, or an uploaded GEDCOM held in memory. A provider answers
+ * three questions about a person id and nothing else:
+ *
+ *   getPerson(id)                 → person | null
+ *   getParents(id, { generation }) → [{ relationship: 'father'|'mother', person,
+ *                                       discoveryMethod?, confidence? }]
+ *   getChildren(id)               → [person]
+ *
+ *   person = { id, name, sex, birth_year, death_year, birth_place, locations[],
+ *              fs_id, living }            (the GedcomParser shape)
+ *
+ * plus `name` (the session source), `discoveryMethod` and `linkConfidence`
+ * (how much a parent link from this source is worth to GarbageDetector). A
+ * parent link may carry its own discoveryMethod / confidence when the provider
+ * found it some other way than the tree (record search, participant input).
+ *
+ * climb(provider, rootId, { sessionId, ... })
+ *   breadth-first up the parent links. Every ancestor below the historical
+ *   cutoff goes through findEnslaverMatch() (tiered find_person_match) and
+ *   MatchVerifier.verify(); matches land in ancestor_climb_matches with their
+ *   verdict and the lineage path from the root. Each parent link is checked by
+ *   GarbageDetector against the child's BranchClassifier context before it is
+ *   climbed; rejected links are not climbed and are kept, with flagged ones, in
+ *   the session config. A missing find_person_match() fails the session. The
+ *   queue is saved with the progress, so resume(provider, sessionId) picks an
+ *   interrupted or failed session up where it stopped.
+ *
+ *   Hooks, all optional: onVisit(person, ctx) for every ancestor reached,
+ *   onParent(child, link, ctx) for every link about to be climbed,
+ *   onMatch(person, match, verdict, ctx) after a match is saved, and
+ *   fallbackMatch(person) when find_person_match() has no candidate.
+ *
+ * descendants(provider, rootId, { onPerson, ... })
+ *   breadth-first down the child links with the same visited-set and
+ *   generation bookkeeping; onPerson gets the person's own children, read once
+ *   for the walk, and its return value is handed to those children as `parent`
+ *   (DescendantMapper threads its row ids this way).
+ */
+
+const BranchClassifier = require('./BranchClassifier');
+const GarbageDetector = require('./GarbageDetector');
+const { findEnslaverMatch } = require('./enslaver-match');
+
+const MAX_GENERATIONS = 50;
+const HISTORICAL_CUTOFF_YEAR = 1600;
+const PROGRESS_EVERY = 25;
+const MAX_DESCENDANTS = 500;
+
+class ClimbEngine {
+  /**
+   * @param {Object} db - pg pool
+   * @param {Object} [opts] - { sql (neon-style tag for MatchVerifier), verifier, branchClassifier,
+   *                           garbageDetector, log }
+   */
+  constructor(db, opts = {}) {
+    this.db = db;
+    this.verifier = opts.verifier || null;
+    this.sql = opts.sql || null;
+    this.branchClassifier = opts.branchClassifier || new BranchClassifier();
+    this.garbageDetector = opts.garbageDetector || new GarbageDetector();
+    this.log = opts.log || (() => {});
+  }
+
+  _verifier() {
+    if (!this.verifier) {
+      const MatchVerifier = require('../match-verification');
+      this.verifier = new MatchVerifier(this.sql || require('../../database/connection').sql);
+    }
+    return this.verifier;
+  }
+
+  /**
+   * Open an ancestor_climb_sessions row.
+   * @param {Object} opts - { modernPersonName, modernPersonFsId, config, source, createdBy }
+   * @returns {Promise<number>} session id
+   */
+  async openSession({ modernPersonName, modernPersonFsId, config = {}, source = 'familysearch', createdBy = null }) {
+    const session = await this.db.query(
+      `INSERT INTO ancestor_climb_sessions (modern_person_name, modern_person_fs_id, status, config, source, created_by)
+       VALUES ($1, $2, 'in_progress', $3, $4, $5)
+       RETURNING id`,
+      [modernPersonName, modernPersonFsId || 'NAME-ONLY', JSON.stringify(config), source, createdBy]);
+    return session.rows[0].id;
+  }
+
+  /**
+   * Open a session for a provider's person and climb it.
+   * @param {Object} provider
+   * @param {string} rootId
+   * @param {Object} [opts] - { modernPersonName, config, createdBy, maxGenerations, rootDiscoveryMethod }
+   */
+  async climbFrom(provider, rootId, opts = {}) {
+    const root = await provider.getPerson(rootId);
+    if (!root) throw new Error(`${provider.name}: no person ${rootId}`);
+    const modernPersonName = (opts.modernPersonName || root.name || 'Unknown').trim();
+    const maxGenerations = clampGenerations(opts.maxGenerations);
+    const sessionId = await this.openSession({
+      modernPersonName,
+      modernPersonFsId: root.fs_id,
+      config: { mode: provider.name, root_id: root.id, max_generations: maxGenerations, historical_cutoff: HISTORICAL_CUTOFF_YEAR, ...opts.config },
+      source: provider.name,
+      createdBy: opts.createdBy,
+    });
+    return this.climb(provider, root.id, { ...opts, sessionId, modernPersonName, maxGenerations });
+  }
+
+  /**
+   * Climb an open session to completion.
+   * @param {Object} provider
+   * @param {string} rootId
+   * @param {Object} opts - { sessionId, modernPersonName, modernPersonFsId, maxGenerations, rootDiscoveryMethod,
+   *                         onVisit, onParent, onMatch, fallbackMatch }
+   * @returns {Promise<Object>} { sessionId, visited, maxGeneration, matches, rejectedLinks, flaggedLinks, errors }
+   */
+  async climb(provider, rootId, opts = {}) {
+    return this._run(provider, opts, async () => {
+      const root = await provider.getPerson(rootId);
+      if (!root) throw new Error(`${provider.name}: no person ${rootId}`);
+      return {
+        modernPerson: { name: opts.modernPersonName || root.name || 'Unknown', fs_id: opts.modernPersonFsId || root.fs_id || 'NAME-ONLY' },
+        queue: [[root, 0, [], []]],
+        visited: new Set(),
+        matches: [],
+      };
+    });
+  }
+
+  /**
+   * Carry on a session from its saved queue and visited set; it is in_progress again while it runs.
+   * @param {Object} provider - the provider the session was climbed with
+   * @param {number} sessionId
+   * @param {Object} [opts] - as climb(); maxGenerations defaults to the session's
+   */
+  async resume(provider, sessionId, opts = {}) {
+    const r = await this.db.query(
+      `SELECT modern_person_name, modern_person_fs_id, config, current_queue, visited_set, all_matches,
+              max_generation_reached
+         FROM ancestor_climb_sessions WHERE id = $1`, [sessionId]);
+    const session = r.rows[0];
+    if (!session) throw new Error(`No climb session ${sessionId}`);
+    await this.db.query(
+      `UPDATE ancestor_climb_sessions SET status = 'in_progress', completed_at = NULL, last_activity = NOW()
+        WHERE id = $1`, [sessionId]);
+    return this._run(provider, {
+      ...opts,
+      sessionId,
+      maxGenerations: opts.maxGenerations || (session.config && session.config.max_generations),
+    }, async () => {
+      const queue = [];
+      for (const entry of session.current_queue || []) {
+        // Sessions saved before the queue held persons only have the FamilySearch id
+        const person = entry.person || await provider.getPerson(entry.id || entry.fs_id);
+        if (person) queue.push([person, entry.generation, entry.path || [], entry.path_fs_ids || []]);
+      }
+      return {
+        modernPerson: { name: session.modern_person_name, fs_id: session.modern_person_fs_id },
+        queue,
+        visited: new Set(session.visited_set || []),
+        matches: session.all_matches || [],
+        maxGeneration: session.max_generation_reached || 0,
+      };
+    });
+  }
+
+  async _run(provider, opts, load) {
+    const { sessionId } = opts;
+    const maxGenerations = clampGenerations(opts.maxGenerations);
+    let queue = [];
+    let visited = new Set();
+    let matches = [];
+    const rejectedLinks = [];
+    const flaggedLinks = [];
+    let errors = 0;
+    let maxGeneration = 0;
+    let current = null;
+
+    try {
+      const state = await load();
+      ({ queue, visited, matches } = state);
+      maxGeneration = state.maxGeneration || 0;
+      const { modernPerson } = state;
+
+      // Queue entries: [person, generation, path (names), path fs ids]
+      while (queue.length) {
+        current = queue.shift();
+        const [person, generation, path, pathFsIds] = current;
+        if (visited.has(person.id) || generation > maxGenerations) continue;
+        visited.add(person.id);
+        maxGeneration = Math.max(maxGeneration, generation);
+        const here = [...path, person.name || '(unnamed)'];
+        const hereFsIds = [...pathFsIds, person.fs_id || null];
+        const aboveCutoff = person.birth_year && person.birth_year < HISTORICAL_CUTOFF_YEAR;
+        const ctx = { sessionId, generation, path: here };
+        if (opts.onVisit) await opts.onVisit(person, ctx);
+
+        if (generation > 0 && !aboveCutoff) {
+          try {
+            let match = await findEnslaverMatch(this.db, person, { log: this.log });
+            if (!match && opts.fallbackMatch) match = await opts.fallbackMatch(person);
+            if (match) {
+              const verdict = await this._verifier().verify(person, match, generation);
+              await this._saveMatch(sessionId, modernPerson, { person, match, generation, path: here, pathFsIds: hereFsIds, verdict });
+              matches.push({
+                ancestor: person.name, ancestor_id: person.id, generation, path: here,
+                slaveholder: match.canonical_name, slaveholder_id: match.id, match_type: match.type,
+                confidence: match.confidence, classification: verdict.classification,
+                requires_human_review: verdict.requires_human_review,
+              });
+              this.log(`   🎯 Gen ${generation}: ${person.name} → ${match.canonical_name} (${verdict.classification})`);
+              if (opts.onMatch) await opts.onMatch(person, match, verdict, ctx);
+            }
+          } catch (err) {
+            // Without find_person_match() (M033) the climb can't match anything
+            if (err.message.includes('find_person_match')) throw err;
+            errors++;
+            this.log(`   ⚠ ${person.name}: ${err.message}`);
+          }
+        }
+
+        if (aboveCutoff || generation >= maxGenerations) continue;
+
+        let parents = [];
+        try {
+          parents = await provider.getParents(person.id, { generation });
+        } catch (err) {
+          errors++;
+          this.log(`   ⚠ ${provider.name} parents of ${person.name}: ${err.message}`);
+        }
+
+        const branchCtx = person.name ? this.branchClassifier.primaryContext(person) : null;
+        for (const parentLink of parents) {
+          const { relationship, person: parent } = parentLink;
+          if (!parent || visited.has(parent.id)) continue;
+          const discoveryMethod = parentLink.discoveryMethod
+            || (generation === 0 ? (opts.rootDiscoveryMethod || provider.discoveryMethod) : provider.discoveryMethod);
+          let confidence = parentLink.confidence ?? provider.linkConfidence;
+          if (branchCtx && parent.name) {
+            const check = this.garbageDetector.validate(person, {
+              parentName: parent.name,
+              parentBirthYear: parent.birth_year,
+              parentBirthPlace: parent.birth_place,
+              relationship,
+              confidence,
+              discoveryMethod,
+            }, branchCtx);
+            const link = { child_id: person.id, child: person.name, parent_id: parent.id, parent: parent.name, relationship, reason: check.reason };
+            if (check.recommendation === 'reject') {
+              rejectedLinks.push(link);
+              this.log(`   ✗ Not climbing ${parent.name} (${relationship} of ${person.name}): ${check.reason}`);
+              continue;
+            }
+            if (check.recommendation === 'flag_for_review') flaggedLinks.push({ ...link, adjusted_confidence: check.adjustedConfidence });
+            if (check.adjustedConfidence !== undefined) confidence = check.adjustedConfidence;
+          }
+          if (opts.onParent) {
+            try {
+              await opts.onParent(person, { ...parentLink, discoveryMethod, confidence }, ctx);
+            } catch (err) {
+              errors++;
+              this.log(`   ⚠ ${parent.name} (${relationship} of ${person.name}): ${err.message}`);
+            }
+          }
+          queue.push([parent, generation + 1, here, hereFsIds]);
+        }
+
+        current = null;
+        if (visited.size % PROGRESS_EVERY === 0) {
+          await this._saveProgress(sessionId, { queue, visited, maxGeneration, matches, status: 'in_progress' });
+        }
+      }
+      current = null;
+
+      await this._saveProgress(sessionId, { queue, visited, maxGeneration, matches, rejectedLinks, flaggedLinks, status: 'completed' });
+    } catch (err) {
+      // The person the climb failed on is climbed again on resume
+      if (current) {
+        visited.delete(current[0].id);
+        queue.unshift(current);
+      }
+      await this._saveProgress(sessionId, { queue, visited, maxGeneration, matches, rejectedLinks, flaggedLinks, status: 'failed', error: err.message });
+      throw err;
+    }
+    return { sessionId, visited: visited.size, maxGeneration, matches, rejectedLinks, flaggedLinks, errors };
+  }
+
+  /**
+   * Walk a person's descendants. The root itself is not reported.
+   * @param {Object} provider
+   * @param {string} rootId
+   * @param {Object} [opts] - { maxGenerations (8), maxPersons (500),
+   *   onPerson(person, { generation, parent, children }) — children is [] at maxGenerations }
+   * @returns {Promise<Object>} { root, descendants: [{ person, generation, parent_id, result }], errors }
+   */
+  async descendants(provider, rootId, opts = {}) {
+    const maxGenerations = opts.maxGenerations || 8;
+    const maxPersons = opts.maxPersons || MAX_DESCENDANTS;
+    const root = await provider.getPerson(rootId);
+    if (!root) throw new Error(`${provider.name}: no person ${rootId}`);
+    const visited = new Set([root.id]);
+    const found = [];
+    let errors = 0;
+
+    const childrenOf = async (person, generation) => {
+      if (generation >= maxGenerations) return [];
+      try {
+        return await provider.getChildren(person.id);
+      } catch (err) {
+        errors++;
+        this.log(`   ⚠ ${provider.name} children of ${person.name}: ${err.message}`);
+        return [];
+      }
+    };
+
+    // Queue entries: [person, generation, result of onPerson for this person, its children]
+    const queue = [[root, 0, null, await childrenOf(root, 0)]];
+    while (queue.length && found.length < maxPersons) {
+      const [person, generation, result, children] = queue.shift();
+      for (const child of children) {
+        if (!child || visited.has(child.id) || found.length >= maxPersons) continue;
+        visited.add(child.id);
+        const grandchildren = await childrenOf(child, generation + 1);
+        const childResult = opts.onPerson
+          ? await opts.onPerson(child, { generation: generation + 1, parent: result, children: grandchildren })
+          : null;
+        found.push({ person: child, generation: generation + 1, parent_id: person.id, result: childResult });
+        queue.push([child, generation + 1, childResult, grandchildren]);
+      }
+    }
+    return { root, descendants: found, errors };
+  }
+
+  // One ancestor_climb_matches row per match, with the verdict and the lineage path from the root.
+  async _saveMatch(sessionId, modernPerson, { person, match, generation, path, pathFsIds, verdict }) {
+    await this.db.query(
+      `INSERT INTO ancestor_climb_matches (
+         session_id, modern_person_name, modern_person_fs_id,
+         slaveholder_id, slaveholder_name, slaveholder_fs_id, slaveholder_birth_year, slaveholder_location,
+         generation_distance, lineage_path, lineage_path_fs_ids,
+         match_type, match_confidence, classification, classification_reason,
+         verification_status, verification_evidence, confidence_adjusted,
+         requires_human_review, review_reason
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)`,
+      [sessionId, modernPerson.name, modernPerson.fs_id,
+       match.id || null, match.canonical_name || match.full_name, person.fs_id || null, person.birth_year || null,
+       (person.locations && person.locations[0]) || null,
+       generation, path, pathFsIds,
+       match.type, match.confidence, verdict.classification,
+       verdict.evidence.map(e => e.detail).join('; ') || 'No evidence',
+       verdict.requires_human_review ? 'needs_review' : 'auto_verified',
+       JSON.stringify(verdict.evidence), verdict.confidence_adjusted,
+       verdict.requires_human_review, verdict.review_reason]);
+  }
+
+  async _saveProgress(sessionId, { queue, visited, maxGeneration, matches, rejectedLinks, flaggedLinks, status, error = null }) {
+    const done = status !== 'in_progress';
+    const links = rejectedLinks ? { rejected_links: rejectedLinks, flagged_links: flaggedLinks } : {};
+    // What resume() needs to carry on: the persons still to visit, with their paths
+    const pending = queue.map(([person, generation, path, pathFsIds]) => ({ id: person.id, person, generation, path, path_fs_ids: pathFsIds }));
+    await this.db.query(
+      `UPDATE ancestor_climb_sessions
+          SET status = $2,
+              ancestors_visited = $3,
+              max_generation_reached = $4,
+              matches_found = $5,
+              visited_set = $6,
+              all_matches = $7,
+              current_queue = $11::jsonb,
+              config = COALESCE(config, '{}'::jsonb) || $8::jsonb,
+              last_error = COALESCE($9, last_error),
+              error_count = error_count + CASE WHEN $9::text IS NULL THEN 0 ELSE 1 END,
+              last_activity = NOW(),
+              completed_at = CASE WHEN $10 THEN NOW() ELSE completed_at END
+        WHERE id = $1`,
+      [sessionId, status, visited.size, maxGeneration, matches.length, [...visited],
+       JSON.stringify(matches), JSON.stringify(links), error, done, JSON.stringify(pending)]);
+  }
+}
+
+function clampGenerations(value) {
+  return Math.min(Math.max(parseInt(value, 10) || MAX_GENERATIONS, 1), MAX_GENERATIONS);
+}
+
+module.exports = ClimbEngine;
+module.exports.MAX_GENERATIONS = MAX_GENERATIONS;
+module.exports.HISTORICAL_CUTOFF_YEAR = HISTORICAL_CUTOFF_YEAR;
+module.exports.MAX_DESCENDANTS = MAX_DESCENDANTS;
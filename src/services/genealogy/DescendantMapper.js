@@ -2,11 +2,12 @@
  * DescendantMapper.js
  * 
  * Orchestrates the mapping of slave owner descendants
- * Coordinates WikiTreeScraper and database storage
+ * Walks the tree with ClimbEngine.descendants() over a tree provider
+ * (WikiTree API by default) and stores what it finds
  * Builds complete genealogy trees from ancestor to modern descendants
  * 
  * Features:
- * - Recursive tree traversal with depth control
+ * - Breadth-first tree traversal with depth control
  * - Database storage of suspected descendants
  * - Parent-child relationship tracking
  * - Confidence scoring
@@ -14,18 +15,21 @@
  * - Privacy protection
  */
 
-const WikiTreeScraper = require('./WikiTreeScraper');
-const { v4: uuidv4 } = require('uuid');
+const ClimbEngine = require('./ClimbEngine');
+const WikiTreeProvider = require('./providers/WikiTreeProvider');
 
 class DescendantMapper {
+    /**
+     * @param {Object} db - pg pool
+     * @param {Object} [options] - { provider (default WikiTreeProvider), engine, rateLimit, maxDepth }
+     */
     constructor(db, options = {}) {
         this.db = db;
-        this.scraper = new WikiTreeScraper({
-            headless: options.headless !== undefined ? options.headless : true,
+        this.provider = options.provider || new WikiTreeProvider({
             rateLimit: options.rateLimit || 2000
         });
+        this.engine = options.engine || new ClimbEngine(db);
         this.maxDepth = options.maxDepth || 8;
-        this.processedIds = new Set(); // Track processed WikiTree IDs
         this.descendantsFound = [];
     }
 
@@ -33,15 +37,14 @@ class DescendantMapper {
      * Initialize the mapper
      */
     async init() {
-        await this.scraper.init();
-        console.log('DescendantMapper initialized');
+        console.log(`DescendantMapper initialized (${this.provider.name})`);
     }
 
     /**
      * Close and cleanup
      */
     async close() {
-        await this.scraper.close();
+        if (this.provider.close) await this.provider.close();
     }
 
     /**
@@ -59,7 +62,6 @@ class DescendantMapper {
         console.log('========================================\n');
 
         const startTime = Date.now();
-        this.processedIds.clear();
         this.descendantsFound = [];
 
         try {
@@ -67,45 +69,31 @@ class DescendantMapper {
             const ownerId = await this.ensureOwnerRecord(ownerName, wikiTreeId, ownerData);
             console.log(`Owner ID: ${ownerId}\n`);
 
-            // Scrape ancestor's profile
-            console.log('Scraping ancestor profile...');
-            const ancestorProfile = await this.scraper.scrapeProfile(wikiTreeId);
-            
-            if (!ancestorProfile.success) {
-                throw new Error(`Failed to scrape ancestor profile: ${ancestorProfile.error}`);
+            // Fetch ancestor's profile
+            console.log('Fetching ancestor profile...');
+            const ancestor = await this.provider.getPerson(wikiTreeId);
+
+            if (!ancestor) {
+                throw new Error(`Failed to fetch ancestor profile: no ${this.provider.name} person ${wikiTreeId}`);
             }
 
-            console.log(`✓ Ancestor: ${ancestorProfile.name}`);
-            console.log(`  Birth: ${ancestorProfile.birthYear || 'Unknown'}`);
-            console.log(`  Death: ${ancestorProfile.deathYear || 'Unknown'}`);
-            console.log(`  Children: ${ancestorProfile.children.length}\n`);
+            console.log(`✓ Ancestor: ${ancestor.name}`);
+            console.log(`  Birth: ${ancestor.birth_year || 'Unknown'}`);
+            console.log(`  Death: ${ancestor.death_year || 'Unknown'}\n`);
 
-            // Traverse descendants recursively
+            // Traverse descendants
             // Note: We start at generation 1 (children), not 0 (ancestor)
-            // The ancestor is not stored in descendants_suspected table
+            // The ancestor is not stored in descendants_suspected table;
+            // each stored row id is handed down as its children's parent_descendant_id
             console.log('Traversing descendant tree...\n');
-            
-            // Process each child of the ancestor
-            if (ancestorProfile.children.length > 0) {
-                for (const child of ancestorProfile.children) {
-                    // Rate limiting
-                    await this.scraper.wait();
-
-                    // Scrape child's profile
-                    const childProfile = await this.scraper.scrapeProfile(child.wikiTreeId);
-
-                    if (childProfile.success) {
-                        await this.traverseDescendants(
-                            ownerId,
-                            childProfile,
-                            null, // No parent ID (children are first generation)
-                            1     // Generation 1 (children)
-                        );
-                    } else {
-                        console.log(`  ⚠️  Failed to scrape ${child.name}: ${childProfile.error}`);
-                    }
-                }
-            } else {
+
+            const walk = await this.engine.descendants(this.provider, wikiTreeId, {
+                maxGenerations: this.maxDepth,
+                onPerson: (person, { generation, parent, children }) =>
+                    this.recordDescendant(ownerId, person, parent, generation, children)
+            });
+
+            if (walk.descendants.length === 0) {
                 console.log('  No children found for ancestor.\n');
             }
 
@@ -141,27 +129,15 @@ class DescendantMapper {
     }
 
     /**
-     * Recursively traverse descendants
+     * Store one descendant reached by the walk; returns its row id for its children.
+     * `children` are the ones the walk read for this person (none at maxDepth).
      */
-    async traverseDescendants(ownerId, personProfile, parentDescendantId, generation) {
-        // Check if already processed
-        if (this.processedIds.has(personProfile.wikiTreeId)) {
-            console.log(`  ⚠️  Skipping ${personProfile.name} (already processed)`);
-            return null;
-        }
-
-        // Check depth limit
-        if (generation > this.maxDepth) {
-            console.log(`  ⏹  Reached max depth at generation ${generation}`);
-            return null;
-        }
-
-        this.processedIds.add(personProfile.wikiTreeId);
+    async recordDescendant(ownerId, person, parentDescendantId, generation, children = []) {
 
         // Store this descendant in database
         const descendantId = await this.storeDescendant(
             ownerId,
-            personProfile,
+            { ...person, children },
             parentDescendantId,
             generation
         );
@@ -169,36 +145,14 @@ class DescendantMapper {
         // Track for summary
         this.descendantsFound.push({
             id: descendantId,
-            name: personProfile.name,
-            wikiTreeId: personProfile.wikiTreeId,
+            name: person.name,
+            wikiTreeId: person.id,
             generation,
             parentId: parentDescendantId,
-            childrenCount: personProfile.children.length
+            childrenCount: children.length
         });
 
-        console.log(`  Gen ${generation}: ${personProfile.name} (${personProfile.children.length} children)`);
-
-        // Recursively process children
-        if (personProfile.children.length > 0 && generation < this.maxDepth) {
-            for (const child of personProfile.children) {
-                // Rate limiting
-                await this.scraper.wait();
-
-                // Scrape child's profile
-                const childProfile = await this.scraper.scrapeProfile(child.wikiTreeId);
-
-                if (childProfile.success) {
-                    await this.traverseDescendants(
-                        ownerId,
-                        childProfile,
-                        descendantId,
-                        generation + 1
-                    );
-                } else {
-                    console.log(`    ⚠️  Failed to scrape ${child.name}: ${childProfile.error}`);
-                }
-            }
-        }
+        console.log(`  Gen ${generation}: ${person.name} (${children.length} children)`);
 
         return descendantId;
     }
@@ -210,8 +164,8 @@ class DescendantMapper {
         // Calculate confidence score
         const confidenceScore = this.calculateConfidence(profile);
 
-        // Estimate living status
-        const isLiving = this.scraper.estimateLiving(profile.birthYear, profile.deathYear);
+        // Living status as the provider reports it
+        const isLiving = !!profile.living;
 
         // Build relationship path
         const relationshipPath = this.buildRelationshipPath(generation);
@@ -219,9 +173,9 @@ class DescendantMapper {
         // Build confidence factors JSON
         const confidenceFactors = {
             has_wikitree_profile: 0.3,
-            has_birth_date: profile.birthYear ? 0.2 : 0,
-            has_death_date: profile.deathYear || profile.isLiving ? 0.2 : 0,
-            has_location: (profile.birthPlace || profile.deathPlace) ? 0.15 : 0,
+            has_birth_date: profile.birth_year ? 0.2 : 0,
+            has_death_date: profile.death_year || profile.living ? 0.2 : 0,
+            has_location: (profile.birth_place || profile.death_place) ? 0.15 : 0,
             has_children: profile.children && profile.children.length > 0 ? 0.15 : 0
         };
 
@@ -256,19 +210,19 @@ class DescendantMapper {
                 this.ownerData.deathYear || null,
                 this.ownerData.birthYear || null,
                 profile.name,
-                profile.birthYear,
-                profile.deathYear,
+                profile.birth_year,
+                profile.death_year,
                 generation,
                 relationshipPath,
                 parentDescendantId,
-                profile.wikiTreeId, // Store WikiTree ID in familysearch_person_id field
-                `{WikiTree profile: https://www.wikitree.com/wiki/${profile.wikiTreeId}}`,
+                profile.id, // Store WikiTree ID in familysearch_person_id field
+                `{${profile.url || profile.id}}`,
                 confidenceScore,
                 JSON.stringify(confidenceFactors),
                 confidenceScore >= 0.85 ? 'confirmed_lineage' : (confidenceScore >= 0.60 ? 'probable' : 'suspected'),
                 isLiving,
                 isLiving ? 0.95 : 0.0,
-                'wikitree_scraping'
+                `${this.provider.name}_api`
             ]);
 
             return result.rows[0].id;
@@ -289,17 +243,17 @@ class DescendantMapper {
         score += 0.3;
 
         // Birth date known = 0.2
-        if (profile.birthYear) {
+        if (profile.birth_year) {
             score += 0.2;
         }
 
         // Death date known (if deceased) = 0.2
-        if (profile.deathYear || profile.isLiving) {
+        if (profile.death_year || profile.living) {
             score += 0.2;
         }
 
         // Has location data = 0.15
-        if (profile.birthPlace || profile.deathPlace) {
+        if (profile.birth_place || profile.death_place) {
             score += 0.15;
         }
 
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * GedcomClimber — the ancestor climb over an uploaded family tree (GEDCOM 5.5.1 / 7
+ * or GEDCOM X JSON) instead of the live FamilySearch tree. No browser, no login.
+ *
+ * prepare(file, { rootId | rootName, ... })
+ *   parses the file (GedcomParser), picks the root, keeps only the root's direct
+ *   ancestors, and writes an ancestor_climb_sessions row (source 'gedcom' /
+ *   'gedcomx') plus a climb_tree_imports row (M124). Parse errors surface here,
+ *   before anything is written.
+ *
+ * run(prepared)
+ *   the shared ClimbEngine climb over the file's parent links, through an
+ *   InMemoryTreeProvider: findEnslaverMatch() + MatchVerifier.verify() for every
+ *   ancestor below the historical cutoff, GarbageDetector on every parent link.
+ *   The participant's own parents (generation 0 → 1) are participant-provided
+ *   and never rejected on surname grounds; deeper links are 'gedcom_import'.
+ *   The session ends 'completed' (or 'failed' with last_error), which is what
+ *   the pipeline orchestrator's climb step waits for.
+ *
+ * Unlike the browser climber there is no record search for missing parents
+ * and no SlaveVoyages fallback: the file is the whole tree.
+ */
+
+const crypto = require('crypto');
+const ClimbEngine = require('./ClimbEngine');
+const InMemoryTreeProvider = require('./providers/InMemoryTreeProvider');
+const { parseFamilyTree, findRoot, ancestorsOf } = require('./GedcomParser');
+
+const { MAX_GENERATIONS, HISTORICAL_CUTOFF_YEAR } = ClimbEngine;
+const TREE_LINK_CONFIDENCE = 0.85;      // a parent link asserted in the participant's own tree
+
+class GedcomClimber {
+  /**
+   * @param {Object} db - pg pool
+   * @param {Object} [opts] - ClimbEngine options ({ sql, verifier, branchClassifier, garbageDetector, log }),
+   *                           or { engine } to share one
+   */
+  constructor(db, opts = {}) {
+    this.db = db;
+    this.engine = opts.engine || new ClimbEngine(db, opts);
+  }
+
+  /**
+   * Parse a file and open a climb session for it.
+   *
+   * @param {Buffer|string} file
+   * @param {Object} opts - { rootId, rootName, modernPersonName, fileName, participantId, uploadedBy, maxGenerations }
+   * @returns {Promise<Object>} { sessionId, importId, format, root, ancestors, warnings, personCount }
+   */
+  async prepare(file, opts = {}) {
+    const tree = parseFamilyTree(file);
+    const root = findRoot(tree, opts);
+    const ancestors = ancestorsOf(tree, root.id);
+    const modernPersonName = (opts.modernPersonName || root.name || 'Unknown').trim();
+    const maxGenerations = Math.min(Math.max(parseInt(opts.maxGenerations, 10) || MAX_GENERATIONS, 1), MAX_GENERATIONS);
+    const sha = crypto.createHash('sha256').update(Buffer.isBuffer(file) ? file : String(file)).digest('hex');
+
+    const config = {
+      mode: tree.format,
+      source_format: tree.format,
+      source_version: tree.version,
+      source_system: tree.sourceSystem,
+      file_name: opts.fileName || null,
+      root_xref: root.id,
+      max_generations: maxGenerations,
+      historical_cutoff: HISTORICAL_CUTOFF_YEAR,
+    };
+    const sessionId = await this.engine.openSession({
+      modernPersonName,
+      modernPersonFsId: root.fs_id || 'GEDCOM',
+      config,
+      source: tree.format,
+      createdBy: opts.uploadedBy || 'gedcom_import',
+    });
+
+    const imported = await this.db.query(
+      `INSERT INTO climb_tree_imports
+         (session_id, participant_id, format, version, source_system, file_name, file_sha256,
+          person_count, family_count, ancestor_count, root_xref, root_name, warnings, ancestors, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING id`,
+      [sessionId, opts.participantId || null, tree.format, tree.version, tree.sourceSystem, opts.fileName || null, sha,
+       tree.persons.size, tree.familyCount, ancestors.length, root.id, root.name,
+       JSON.stringify(tree.warnings), JSON.stringify(ancestors), opts.uploadedBy || null]);
+
+    if (opts.participantId) {
+      await this.db.query(
+        `INSERT INTO participant_climb_sessions (participant_id, session_id, relationship_to_climbed_person)
+         VALUES ($1, $2, 'self') ON CONFLICT DO NOTHING`,
+        [opts.participantId, sessionId]);
+    }
+
+    return {
+      sessionId,
+      importId: imported.rows[0].id,
+      format: tree.format,
+      version: tree.version,
+      root,
+      modernPersonName,
+      maxGenerations,
+      ancestors,
+      warnings: tree.warnings,
+      personCount: tree.persons.size,
+    };
+  }
+
+  /**
+   * Climb a prepared tree to completion.
+   * @returns {Promise<Object>} { sessionId, visited, maxGeneration, matches, rejectedLinks, flaggedLinks, errors }
+   */
+  async run(prepared) {
+    const { sessionId, root, ancestors, format = 'gedcom', modernPersonName, maxGenerations = MAX_GENERATIONS } = prepared;
+    const provider = new InMemoryTreeProvider(ancestors, {
+      name: format,
+      discoveryMethod: 'gedcom_import',
+      linkConfidence: TREE_LINK_CONFIDENCE,
+    });
+    return this.engine.climb(provider, root.id, {
+      sessionId,
+      modernPersonName,
+      modernPersonFsId: root.fs_id || 'GEDCOM',
+      maxGenerations,
+      rootDiscoveryMethod: 'participant_provided',
+    });
+  }
+
+  /** prepare() + run(). */
+  async climbFile(file, opts = {}) {
+    const prepared = await this.prepare(file, opts);
+    return { ...(await this.run(prepared)), importId: prepared.importId, warnings: prepared.warnings };
+  }
+}
+
+module.exports = GedcomClimber;
+module.exports.MAX_GENERATIONS = MAX_GENERATIONS;
+module.exports.HISTORICAL_CUTOFF_YEAR = HISTORICAL_CUTOFF_YEAR;
@@ -0,0 +1,409 @@
+'use strict';
+
+/**
+ * GedcomExporter — builds export trees from the database and hands them to
+ * GedcomWriter, so descendants can load our evidence into their own
+ * genealogy software.
+ *
+ * Two exports:
+ *
+ *   sessionLineage(sessionId)
+ *     the verified lineage of a climb session: every ancestor_climb_matches
+ *     row with verification_status auto_verified / human_verified, its
+ *     lineage_path rebuilt as parent links from the climbed (living) person up
+ *     to the matched ancestor. Lineage links come from a family tree, so they
+ *     are evidence tier 3.
+ *
+ *   personNeighborhood(canonicalId, { depth })
+ *     the canonical_family_edges (M066) and inheritance_edges (M067) graph
+ *     around a canonical person, `depth` hops out (max MAX_DEPTH).
+ *
+ * Both attach, for every canonical person in the tree: person_documents as
+ * sources (MAX_DOCUMENTS_PER_PERSON, verified first), and the
+ * slaveholding_relationships (M052) of enslavers with their enslaved people.
+ *
+ * { gated: true } applies the external-assertion gate (M102) for anonymous
+ * callers: enslaver / enslaved status, enslavement links and bequests of
+ * enslaved people are only exported for canonical persons whose matching
+ * assertable_* flag is set. Names, dates and kinship are exported either way.
+ */
+
+const { toGedcom7, toGedcomX } = require('./GedcomWriter');
+
+const MAX_DEPTH = 3;
+const MAX_PERSONS = 500;
+const MAX_DOCUMENTS_PER_PERSON = 25;
+const MAX_ENSLAVED_PER_ENSLAVER = 250;
+const VERIFIED_MATCH_STATUSES = ['auto_verified', 'human_verified'];
+const ENSLAVER_TYPES = ['enslaver', 'slaveholder', 'owner', 'confirmed_owner', 'free_poc_slaveholder'];
+const ENSLAVED_TYPES = ['enslaved', 'enslaved_ancestor', 'freedperson'];
+
+const FORMATS = {
+  gedcom: { contentType: 'text/vnd.familysearch.gedcom; charset=utf-8', extension: 'ged' },
+  gedcomx: { contentType: 'application/x-gedcomx-v1+json', extension: 'json' },
+};
+
+const DOCUMENT_COLUMNS = `id, canonical_person_id, enslaved_individual_id, name_as_appears, document_type,
+       collection_name, page_reference, image_number, film_number, document_year, source_url, s3_url,
+       context_snippet, citation_key, human_verified`;
+
+class ExportError extends Error {
+  constructor(message, code, httpStatus = 400) {
+    super(message);
+    this.name = 'ExportError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+/** Normalise a format query value: gedcom / gedcom7 / ged → gedcom; gedcomx / gedcom-x / json → gedcomx. */
+function normalizeFormat(format) {
+  const f = String(format || 'gedcom').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (['gedcom', 'gedcom7', 'ged'].includes(f)) return 'gedcom';
+  if (['gedcomx', 'json'].includes(f)) return 'gedcomx';
+  throw new ExportError(`Unknown export format "${format}" (use gedcom or gedcomx)`, 'BAD_FORMAT');
+}
+
+function emptyTree(title) {
+  return { title, persons: [], parentLinks: [], spouses: [], siblings: [], enslavements: [], bequests: [], documents: new Map() };
+}
+
+class GedcomExporter {
+  /**
+   * @param {Object} db - pg pool
+   * @param {Object} [opts] - { now: () => Date }
+   */
+  constructor(db, opts = {}) {
+    this.db = db;
+    this.now = opts.now || (() => new Date());
+  }
+
+  /**
+   * Serialise an export.
+   * @param {'session'|'person'} kind
+   * @param {string|number} id - session UUID / canonical person id
+   * @param {Object} [opts] - { format, depth, gated }
+   * @returns {Promise<Object>} { body, contentType, fileName, format, counts }
+   */
+  async export(kind, id, opts = {}) {
+    const format = normalizeFormat(opts.format);
+    const tree = kind === 'session'
+      ? await this.sessionLineage(id)
+      : await this.personNeighborhood(id, opts);
+    const now = this.now();
+    const body = format === 'gedcom'
+      ? toGedcom7(tree, { now })
+      : JSON.stringify(toGedcomX(tree, { now }), null, 2);
+    return {
+      body,
+      format,
+      contentType: FORMATS[format].contentType,
+      fileName: `${kind}-${String(id).slice(0, 36)}.${FORMATS[format].extension}`,
+      counts: {
+        persons: tree.persons.length,
+        parentLinks: tree.parentLinks.length,
+        enslavements: tree.enslavements.length,
+        bequests: tree.bequests.length,
+        sources: tree.documents.size,
+      },
+    };
+  }
+
+  async sessionLineage(sessionId) {
+    const { rows: [session] } = await this.db.query(
+      `SELECT id, modern_person_name, modern_person_fs_id, status, source, started_at
+         FROM ancestor_climb_sessions WHERE id = $1`, [sessionId]);
+    if (!session) throw new ExportError('Climb session not found', 'NOT_FOUND', 404);
+
+    const { rows: matches } = await this.db.query(
+      `SELECT id, slaveholder_id, slaveholder_name, slaveholder_fs_id, slaveholder_birth_year, slaveholder_location,
+              generation_distance, lineage_path, lineage_path_fs_ids, match_type, match_confidence,
+              classification, verification_status, confidence_adjusted
+         FROM ancestor_climb_matches
+        WHERE session_id = $1 AND verification_status = ANY($2)
+        ORDER BY generation_distance, id`, [sessionId, VERIFIED_MATCH_STATUSES]);
+
+    const tree = emptyTree(`Verified lineage of ${session.modern_person_name} (climb session ${session.id}, ${session.source || 'familysearch'} tree)`);
+    const byKey = new Map();
+    const person = (key, fields) => {
+      if (!byKey.has(key)) {
+        const p = { key, facts: [], documents: [], ...fields };
+        byKey.set(key, p);
+        tree.persons.push(p);
+      }
+      return byKey.get(key);
+    };
+    const rootFsId = /^[A-Z0-9]{4}-[A-Z0-9]{2,4}$/.test(session.modern_person_fs_id || '') ? session.modern_person_fs_id : null;
+    person('root', { name: session.modern_person_name, fs_id: rootFsId, living: true });
+
+    const linkKeys = new Set();
+    const lineageNote = `Lineage from climb session ${session.id} (${session.source || 'familysearch'} tree); a compiled link, not a primary source`;
+    for (const m of matches) {
+      const names = m.lineage_path || [];
+      const fsIds = m.lineage_path_fs_ids || [];
+      // A path step is the same person across matches when its FamilySearch id or its whole path prefix agrees
+      const keyAt = i => (i === 0 ? 'root' : fsIds[i] ? `fs:${fsIds[i]}` : `path:${names.slice(0, i + 1).join('␟')}`);
+      for (let i = 1; i < names.length; i++) {
+        const last = i === names.length - 1;
+        const p = person(keyAt(i), { name: names[i], fs_id: fsIds[i] || null });
+        if (last) {
+          p.fs_id = p.fs_id || m.slaveholder_fs_id || null;
+          p.birth_year = p.birth_year || m.slaveholder_birth_year || null;
+          p.place = p.place || m.slaveholder_location || null;
+          if (m.slaveholder_id) p.canonical_id = m.slaveholder_id;
+          p.facts.push({
+            type: 'Enslaver match',
+            value: m.slaveholder_name,
+            note: `${m.match_type || 'match'}, confidence ${m.confidence_adjusted ?? m.match_confidence}, ` +
+              `classified ${m.classification} (${m.verification_status}), generation ${m.generation_distance}`,
+          });
+        }
+        const linkKey = `${keyAt(i - 1)}>${keyAt(i)}`;
+        if (!linkKeys.has(linkKey)) {
+          linkKeys.add(linkKey);
+          tree.parentLinks.push({ child: keyAt(i - 1), parent: keyAt(i), tier: 3, documents: [], note: lineageNote });
+        }
+      }
+    }
+
+    await this._attachCanonicalEvidence(tree, byKey, { gated: false });
+    return tree;
+  }
+
+  async personNeighborhood(canonicalId, { depth = 1, gated = false } = {}) {
+    const centerId = parseInt(canonicalId, 10);
+    if (!Number.isInteger(centerId)) throw new ExportError('Canonical person id must be an integer', 'BAD_ID');
+    const hops = Math.min(Math.max(parseInt(depth, 10) || 1, 1), MAX_DEPTH);
+
+    const { rows: [center] } = await this.db.query('SELECT id, canonical_name FROM canonical_persons WHERE id = $1', [centerId]);
+    if (!center) throw new ExportError('Canonical person not found', 'NOT_FOUND', 404);
+
+    const ids = new Set([centerId]);
+    const familyEdges = new Map();
+    const inheritanceEdges = new Map();
+    let frontier = [centerId];
+    let truncated = false;
+    // One pass past the last hop picks up edges among people already reached (e.g. the
+    // other parent of a child) without reaching anyone new
+    for (let hop = 0; hop <= hops && frontier.length; hop++) {
+      const { rows: fam } = await this.db.query(
+        `SELECT id, person_a_id, person_b_id, relationship_type, evidence_tier, confidence, verified,
+                source_document_id, source_url, notes
+           FROM canonical_family_edges
+          WHERE (person_a_id = ANY($1) OR person_b_id = ANY($1))
+            AND person_a_id IS NOT NULL AND person_b_id IS NOT NULL`, [frontier]);
+      const { rows: inh } = await this.db.query(
+        `SELECT id, testator_id, heir_id, relationship_to_testator, asset_type, asset_description,
+                enslaved_persons_count, source_document_id, document_year, document_jurisdiction,
+                document_reference, evidence_tier, verified, notes
+           FROM inheritance_edges
+          WHERE testator_id = ANY($1) OR heir_id = ANY($1)`, [frontier]);
+      const next = [];
+      const reach = id => {
+        if (ids.has(id) || hop === hops) return;
+        if (ids.size >= MAX_PERSONS) { truncated = true; return; }
+        ids.add(id);
+        next.push(id);
+      };
+      for (const e of fam) { familyEdges.set(e.id, e); reach(e.person_a_id); reach(e.person_b_id); }
+      for (const e of inh) { inheritanceEdges.set(e.id, e); reach(e.testator_id); reach(e.heir_id); }
+      frontier = next;
+    }
+
+    const title = `Family and inheritance neighbourhood of ${center.canonical_name} (canonical person ${centerId}, ${hops} hop${hops === 1 ? '' : 's'})` +
+      (truncated ? `; truncated at ${MAX_PERSONS} people` : '');
+    const tree = emptyTree(title);
+    const byKey = new Map();
+    for (const id of ids) {
+      const p = { key: `cp:${id}`, canonical_id: id, facts: [], documents: [] };
+      byKey.set(p.key, p);
+      tree.persons.push(p);
+    }
+    const inTree = (...cps) => cps.every(id => ids.has(id));
+    const edgeNote = e => (e.evidence_tier === 3
+      ? ['Compiled or inferred link (evidence tier 3), not a primary source', e.source_url].filter(Boolean).join(': ')
+      : e.notes || null);
+    const edgeDocs = e => (e.source_document_id ? [e.source_document_id] : []);
+
+    const parentLinks = new Map();
+    for (const e of familyEdges.values()) {
+      if (!inTree(e.person_a_id, e.person_b_id)) continue;
+      const link = { tier: e.evidence_tier, documents: edgeDocs(e), note: edgeNote(e) };
+      if (e.relationship_type === 'parent_of' || e.relationship_type === 'child_of') {
+        const [parent, child] = e.relationship_type === 'parent_of' ? [e.person_a_id, e.person_b_id] : [e.person_b_id, e.person_a_id];
+        const k = `${parent}>${child}`;
+        // parent_of and child_of are written as denormalised pairs; keep one link with the better evidence
+        const seen = parentLinks.get(k);
+        if (seen) {
+          seen.documents = [...new Set([...seen.documents, ...link.documents])];
+          if (link.tier < seen.tier) Object.assign(seen, { tier: link.tier, note: link.note });
+          continue;
+        }
+        parentLinks.set(k, { parent: `cp:${parent}`, child: `cp:${child}`, ...link });
+      } else if (e.relationship_type === 'spouse') {
+        tree.spouses.push({ a: `cp:${e.person_a_id}`, b: `cp:${e.person_b_id}`, ...link });
+      } else if (e.relationship_type === 'sibling_of') {
+        tree.siblings.push({ a: `cp:${e.person_a_id}`, b: `cp:${e.person_b_id}`, ...link });
+      }
+    }
+    tree.parentLinks = [...parentLinks.values()];
+
+    for (const e of inheritanceEdges.values()) {
+      if (!inTree(e.testator_id, e.heir_id)) continue;
+      tree.bequests.push({
+        testator: `cp:${e.testator_id}`,
+        heir: `cp:${e.heir_id}`,
+        relationship: e.relationship_to_testator,
+        asset_type: e.asset_type,
+        asset_description: e.asset_description,
+        enslaved_count: e.enslaved_persons_count,
+        year: e.document_year,
+        jurisdiction: e.document_jurisdiction,
+        reference: e.document_reference,
+        tier: e.evidence_tier,
+        documents: edgeDocs(e),
+        note: e.evidence_tier === 3 ? 'Inferred bequest (evidence tier 3), no document' : null,
+      });
+    }
+
+    await this._attachCanonicalEvidence(tree, byKey, { gated });
+    return tree;
+  }
+
+  /**
+   * Fill canonical persons from canonical_persons, attach their person_documents,
+   * add slaveholding_relationships for enslavers, and load every cited document.
+   * Applies the assertion gate when asked.
+   */
+  async _attachCanonicalEvidence(tree, byKey, { gated }) {
+    const canonical = tree.persons.filter(p => p.canonical_id);
+    const ids = [...new Set(canonical.map(p => p.canonical_id))];
+    const assertable = new Map();
+
+    if (ids.length) {
+      const { rows } = await this.db.query(
+        `SELECT id, canonical_name, sex, birth_year_estimate, death_year_estimate, primary_county, primary_state,
+                person_type, assertable_slaveowner, assertable_enslaved
+           FROM canonical_persons WHERE id = ANY($1)`, [ids]);
+      const byId = new Map(rows.map(r => [r.id, r]));
+      for (const p of canonical) {
+        const cp = byId.get(p.canonical_id);
+        if (!cp) continue;
+        assertable.set(cp.id, { enslaver: Boolean(cp.assertable_slaveowner), enslaved: Boolean(cp.assertable_enslaved) });
+        p.name = p.name || cp.canonical_name;
+        p.sex = p.sex || cp.sex;
+        if (!p.birth_year && cp.birth_year_estimate) Object.assign(p, { birth_year: cp.birth_year_estimate, birth_estimated: true });
+        if (!p.death_year && cp.death_year_estimate) Object.assign(p, { death_year: cp.death_year_estimate, death_estimated: true });
+        p.place = p.place || [cp.primary_county, cp.primary_state].filter(Boolean).join(', ') || null;
+        p.person_type = cp.person_type;
+        const isEnslaver = ENSLAVER_TYPES.includes(cp.person_type);
+        const isEnslaved = ENSLAVED_TYPES.includes(cp.person_type);
+        if ((isEnslaver || isEnslaved) && (!gated || (isEnslaver ? cp.assertable_slaveowner : cp.assertable_enslaved))) {
+          p.facts.push({ type: 'Recorded status', value: cp.person_type.replace(/_/g, ' ') });
+        }
+      }
+      const { rows: docs } = await this.db.query(
+        `SELECT ${DOCUMENT_COLUMNS}
+           FROM (SELECT pd.*, row_number() OVER (PARTITION BY canonical_person_id
+                                                ORDER BY human_verified DESC NULLS LAST, document_year NULLS LAST, id) AS rn
+                   FROM person_documents pd
+                  WHERE canonical_person_id = ANY($1)) d
+          WHERE rn <= $2
+          ORDER BY canonical_person_id, rn`, [ids, MAX_DOCUMENTS_PER_PERSON]);
+      for (const d of docs) {
+        tree.documents.set(d.id, d);
+        for (const p of canonical) if (p.canonical_id === d.canonical_person_id) p.documents.push(d.id);
+      }
+
+      const enslaverIds = ids.filter(id => !gated || assertable.get(id)?.enslaver);
+      if (enslaverIds.length) await this._attachEnslavements(tree, byKey, enslaverIds);
+    }
+
+    if (gated) {
+      tree.bequests = tree.bequests.filter(b => b.asset_type !== 'enslaved_persons'
+        || assertable.get(byKey.get(b.testator)?.canonical_id)?.enslaver);
+    }
+
+    // Documents cited by edges but not among the per-person documents
+    const cited = new Set([
+      ...tree.parentLinks, ...tree.spouses, ...tree.siblings, ...tree.enslavements, ...tree.bequests,
+    ].flatMap(l => l.documents || []));
+    const missing = [...cited].filter(id => !tree.documents.has(id));
+    if (missing.length) {
+      const { rows } = await this.db.query(`SELECT ${DOCUMENT_COLUMNS} FROM person_documents WHERE id = ANY($1)`, [missing]);
+      for (const d of rows) tree.documents.set(d.id, d);
+    }
+  }
+
+  async _attachEnslavements(tree, byKey, enslaverIds) {
+    const { rows } = await this.db.query(
+      `SELECT * FROM (
+         SELECT sr.id, sr.enslaver_canonical_id, sr.relationship_type, sr.date_window_start, sr.date_window_end,
+                sr.era_inferred, sr.place_text, sr.evidence_source_table, sr.evidence_source_id,
+                sr.confidence_low, sr.confidence_high, sr.notes,
+                sr.enslaved_individual_id, ei.full_name AS ei_name, ei.birth_year AS ei_birth_year,
+                ei.death_year AS ei_death_year, ei.gender AS ei_gender,
+                sr.enslaved_unconfirmed_id, up.full_name AS up_name, up.gender AS up_gender,
+                row_number() OVER (PARTITION BY sr.enslaver_canonical_id ORDER BY sr.date_window_start NULLS LAST, sr.id) AS rn
+           FROM slaveholding_relationships sr
+           LEFT JOIN enslaved_individuals ei ON ei.enslaved_id = sr.enslaved_individual_id
+           LEFT JOIN unconfirmed_persons up ON up.lead_id = sr.enslaved_unconfirmed_id
+          WHERE sr.enslaver_canonical_id = ANY($1)
+       ) r
+       WHERE rn <= $2 AND (ei_name IS NOT NULL OR up_name IS NOT NULL)
+       ORDER BY enslaver_canonical_id, rn`, [enslaverIds, MAX_ENSLAVED_PER_ENSLAVER]);
+
+    const enslaverKeys = new Map();
+    for (const p of tree.persons) if (p.canonical_id && !enslaverKeys.has(p.canonical_id)) enslaverKeys.set(p.canonical_id, p.key);
+    const enslavedIds = [];
+    for (const r of rows) {
+      const key = r.ei_name ? `ei:${r.enslaved_individual_id}` : `up:${r.enslaved_unconfirmed_id}`;
+      if (!byKey.has(key)) {
+        const p = r.ei_name
+          ? { key, name: r.ei_name, sex: r.ei_gender, birth_year: r.ei_birth_year, death_year: r.ei_death_year }
+          : { key, name: r.up_name, sex: r.up_gender };
+        Object.assign(p, { facts: [], documents: [] });
+        if (r.ei_name) enslavedIds.push(r.enslaved_individual_id);
+        byKey.set(key, p);
+        tree.persons.push(p);
+      }
+      const confidence = r.confidence_low != null || r.confidence_high != null
+        ? `Confidence ${[r.confidence_low, r.confidence_high].filter(v => v != null).join('–')}` : null;
+      const documentSource = r.evidence_source_table === 'person_documents' && /^\d+$/.test(r.evidence_source_id || '');
+      tree.enslavements.push({
+        enslaver: enslaverKeys.get(r.enslaver_canonical_id),
+        enslaved: key,
+        type: r.relationship_type,
+        date_start: r.date_window_start,
+        date_end: r.date_window_end,
+        era: r.era_inferred,
+        place: r.place_text,
+        documents: documentSource ? [parseInt(r.evidence_source_id, 10)] : [],
+        note: [
+          !documentSource && r.evidence_source_table ? `Source: ${r.evidence_source_table} ${r.evidence_source_id}` : null,
+          confidence, r.notes,
+        ].filter(Boolean).join('\n') || null,
+      });
+    }
+
+    if (enslavedIds.length) {
+      const { rows: docs } = await this.db.query(
+        `SELECT ${DOCUMENT_COLUMNS}
+           FROM (SELECT pd.*, row_number() OVER (PARTITION BY enslaved_individual_id
+                                                ORDER BY human_verified DESC NULLS LAST, document_year NULLS LAST, id) AS rn
+                   FROM person_documents pd
+                  WHERE enslaved_individual_id = ANY($1)) d
+          WHERE rn <= $2`, [enslavedIds, MAX_DOCUMENTS_PER_PERSON]);
+      for (const d of docs) {
+        tree.documents.set(d.id, d);
+        byKey.get(`ei:${d.enslaved_individual_id}`)?.documents.push(d.id);
+      }
+    }
+  }
+}
+
+module.exports = GedcomExporter;
+module.exports.ExportError = ExportError;
+module.exports.normalizeFormat = normalizeFormat;
+module.exports.FORMATS = FORMATS;
+module.exports.MAX_DEPTH = MAX_DEPTH;
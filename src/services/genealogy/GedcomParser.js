@@ -0,0 +1,315 @@
+'use strict';
+
+/**
+ * GedcomParser — family-tree files (GEDCOM 5.5.1 / 7.0 and GEDCOM X JSON) into
+ * the person shape the ancestor climber walks.
+ *
+ * Participants export these from Ancestry, MyHeritage, RootsMagic or
+ * FamilySearch. parseFamilyTree() detects the format from the content and
+ * returns:
+ *
+ *   { format: 'gedcom'|'gedcomx', version, sourceSystem, persons: Map(id → person),
+ *     familyCount, warnings: [] }
+ *
+ *   person = { id, name, sex, birth_year, death_year, birth_place, locations[],
+ *              fs_id, father_id, mother_id, living }
+ *
+ * id is the file's own xref (@I12@ / GEDCOM X person id). fs_id is the
+ * FamilySearch PID when the export carries one (_FSFTID, EXID/REFN typed
+ * FamilySearch, or a FamilySearch ark identifier) — the climber uses it for
+ * tier-1 identity matching.
+ *
+ * Parents: only birth links count toward a lineage. A child in several
+ * families takes the first one whose pedigree is birth (or unstated);
+ * adopted / foster / sealing links are skipped and reported in warnings.
+ *
+ * Not supported: GEDCOM X XML, ANSEL-encoded GEDCOM (convert to UTF-8 first).
+ */
+
+const FS_PID_RE = /\b([0-9A-Z]{4}-[0-9A-Z]{2,4})\b/;
+const NON_BIRTH_PEDIGREE = new Set(['ADOPTED', 'FOSTER', 'SEALING']);
+
+class GedcomError extends Error {
+  constructor(message, code = 'BAD_FILE') {
+    super(message);
+    this.name = 'GedcomError';
+    this.code = code;
+    this.httpStatus = 400;
+  }
+}
+
+/** First plausible year in a GEDCOM / GEDCOM X date ("ABT 1820", "BET 1818 AND 1822", "+1820-03-04", "1720/21"). */
+function yearOf(date) {
+  if (!date) return null;
+  const text = String(date).replace(/@#D[A-Z ]+@/g, ' ');
+  const m = /(?:^|[^\d])(\d{3,4})(?!\d)/.exec(text);
+  if (!m) return null;
+  const y = parseInt(m[1], 10);
+  return y >= 1000 && y <= 2100 ? y : null;
+}
+
+/** "John /Smith/ Jr." → "John Smith Jr." */
+function cleanName(raw) {
+  if (!raw) return null;
+  const name = String(raw).replace(/\//g, ' ').replace(/\s+/g, ' ').trim();
+  return name && name !== '?' ? name : null;
+}
+
+function fsPid(value) {
+  const m = FS_PID_RE.exec(String(value || '').toUpperCase());
+  return m ? m[1] : null;
+}
+
+function newPerson(id) {
+  return {
+    id, name: null, sex: null, birth_year: null, death_year: null, birth_place: null,
+    locations: [], fs_id: null, father_id: null, mother_id: null, living: false,
+  };
+}
+
+function addLocation(person, place) {
+  const p = place && String(place).trim();
+  if (p && !person.locations.includes(p)) person.locations.push(p);
+}
+
+// ── GEDCOM 5.5.1 / 7.0 ────────────────────────────────────────────────────
+
+const LINE_RE = /^\s*(\d+)\s+(?:(@[^@]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/;
+
+/** Lines → nested records: { xref, tag, value, children }. CONT / CONC are folded into the parent value. */
+function gedcomRecords(text) {
+  const records = [];
+  const stack = [];
+  const lines = text.split(/\r\n|\r|\n/);
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const m = LINE_RE.exec(lines[i]);
+    if (!m) throw new GedcomError(`Line ${i + 1} is not a GEDCOM line: "${lines[i].slice(0, 60)}"`);
+    const level = parseInt(m[1], 10);
+    const node = { xref: m[2] || null, tag: m[3].toUpperCase(), value: m[4] ?? '', children: [] };
+    while (stack.length > level) stack.pop();
+    if (level === 0) {
+      records.push(node);
+    } else {
+      const parent = stack[level - 1];
+      if (!parent) throw new GedcomError(`Line ${i + 1}: level ${level} has no parent line`);
+      if (node.tag === 'CONT') { parent.value += `\n${node.value}`; continue; }
+      if (node.tag === 'CONC') { parent.value += node.value; continue; }
+      parent.children.push(node);
+    }
+    stack[level] = node;
+    stack.length = level + 1;
+  }
+  return records;
+}
+
+const child = (node, tag) => node.children.find(c => c.tag === tag);
+const childValue = (node, tag) => child(node, tag)?.value?.trim() || null;
+
+function parseGedcom(text) {
+  const records = gedcomRecords(text);
+  const head = records.find(r => r.tag === 'HEAD');
+  if (!head) throw new GedcomError('Not a GEDCOM file: no HEAD record');
+  const gedc = child(head, 'GEDC');
+  const version = (gedc && childValue(gedc, 'VERS')) || null;
+  const charset = childValue(head, 'CHAR');
+  if (charset && /ANSEL/i.test(charset)) {
+    throw new GedcomError('ANSEL-encoded GEDCOM is not supported; re-export as UTF-8', 'UNSUPPORTED');
+  }
+  const sourceSystem = childValue(head, 'SOUR');
+
+  const persons = new Map();
+  const families = new Map();
+  const warnings = [];
+
+  for (const r of records) {
+    if (r.tag === 'INDI' && r.xref) {
+      const p = newPerson(r.xref);
+      p.name = cleanName(childValue(r, 'NAME'));
+      const sex = (childValue(r, 'SEX') || '').toUpperCase();
+      p.sex = sex === 'M' || sex === 'F' ? sex : null;
+      for (const c of r.children) {
+        if (c.tag === 'BIRT' || c.tag === 'CHR' || c.tag === 'BAPM') {
+          const year = yearOf(childValue(c, 'DATE'));
+          const place = childValue(c, 'PLAC');
+          // Christening / baptism only stand in when there is no birth
+          if (c.tag === 'BIRT' || p.birth_year == null) p.birth_year = year ?? p.birth_year;
+          if (c.tag === 'BIRT' || !p.birth_place) p.birth_place = place || p.birth_place;
+          addLocation(p, place);
+        } else if (c.tag === 'DEAT' || c.tag === 'BURI') {
+          if (c.tag === 'DEAT' || p.death_year == null) p.death_year = yearOf(childValue(c, 'DATE')) ?? p.death_year;
+          addLocation(p, childValue(c, 'PLAC'));
+        } else if (['RESI', 'CENS', 'EVEN', 'OCCU', 'PROP'].includes(c.tag)) {
+          addLocation(p, childValue(c, 'PLAC'));
+        } else if (c.tag === '_FSFTID' || c.tag === '_FSID') {
+          p.fs_id = p.fs_id || fsPid(c.value);
+        } else if (c.tag === 'EXID' || c.tag === 'REFN') {
+          if (/familysearch/i.test(childValue(c, 'TYPE') || '')) p.fs_id = p.fs_id || fsPid(c.value);
+        }
+      }
+      // Exports flag living people with RESN privacy or a vendor _LIVING tag
+      p.living = /PRIVACY|CONFIDENTIAL/i.test(childValue(r, 'RESN') || '') || /^Y/i.test(childValue(r, '_LIVING') || '');
+      p._famc = r.children.filter(c => c.tag === 'FAMC').map(c => ({ fam: c.value.trim(), pedi: (childValue(c, 'PEDI') || '').toUpperCase() }));
+      persons.set(p.id, p);
+    } else if (r.tag === 'FAM' && r.xref) {
+      families.set(r.xref, {
+        husb: childValue(r, 'HUSB'),
+        wife: childValue(r, 'WIFE'),
+        // 5.5.1 puts the pedigree on the child's FAMC; Family Tree Maker puts _FREL/_MREL on CHIL
+        chil: r.children.filter(c => c.tag === 'CHIL').map(c => ({
+          id: c.value.trim(),
+          frel: (childValue(c, '_FREL') || '').toUpperCase(),
+          mrel: (childValue(c, '_MREL') || '').toUpperCase(),
+        })),
+      });
+    }
+  }
+
+  const linkParents = (p, fam, { frel = '', mrel = '' } = {}) => {
+    if (fam.husb && persons.has(fam.husb) && !p.father_id && !NON_BIRTH_PEDIGREE.has(frel)) p.father_id = fam.husb;
+    if (fam.wife && persons.has(fam.wife) && !p.mother_id && !NON_BIRTH_PEDIGREE.has(mrel)) p.mother_id = fam.wife;
+  };
+  for (const p of persons.values()) {
+    for (const { fam: famId, pedi } of p._famc) {
+      const fam = families.get(famId);
+      if (!fam) { warnings.push(`${p.id}: FAMC ${famId} has no FAM record`); continue; }
+      if (NON_BIRTH_PEDIGREE.has(pedi)) { warnings.push(`${p.id}: ${pedi.toLowerCase()} link to ${famId} not climbed`); continue; }
+      const entry = fam.chil.find(c => c.id === p.id) || {};
+      linkParents(p, fam, entry);
+    }
+    delete p._famc;
+  }
+  // Files that list CHIL without a matching FAMC
+  for (const [famId, fam] of families) {
+    for (const c of fam.chil) {
+      const p = persons.get(c.id);
+      if (p && !p.father_id && !p.mother_id) {
+        if (NON_BIRTH_PEDIGREE.has(c.frel) || NON_BIRTH_PEDIGREE.has(c.mrel)) warnings.push(`${p.id}: non-birth link to ${famId} not climbed`);
+        linkParents(p, fam, c);
+      }
+    }
+  }
+
+  return { format: 'gedcom', version, sourceSystem, persons, familyCount: families.size, warnings };
+}
+
+// ── GEDCOM X (JSON) ───────────────────────────────────────────────────────
+
+const typeOf = (uri) => String(uri || '').split('/').pop();
+
+function gedcomxName(person) {
+  const form = person.names?.[0]?.nameForms?.[0];
+  if (!form) return null;
+  if (form.fullText) return cleanName(form.fullText);
+  return cleanName((form.parts || []).map(part => part.value).join(' '));
+}
+
+function parseGedcomX(doc) {
+  if (!doc || !Array.isArray(doc.persons)) throw new GedcomError('Not a GEDCOM X document: no persons array');
+  const persons = new Map();
+  const warnings = [];
+
+  for (const gp of doc.persons) {
+    if (!gp.id) continue;
+    const p = newPerson(gp.id);
+    p.name = gedcomxName(gp);
+    const gender = typeOf(gp.gender?.type);
+    p.sex = gender === 'Male' ? 'M' : gender === 'Female' ? 'F' : null;
+    p.living = gp.living === true;
+    for (const f of gp.facts || []) {
+      const type = typeOf(f.type);
+      const year = yearOf(f.date?.formal || f.date?.original);
+      const place = f.place?.original || null;
+      if (type === 'Birth' || ((type === 'Christening' || type === 'Baptism') && p.birth_year == null)) {
+        p.birth_year = year ?? p.birth_year;
+        p.birth_place = place || p.birth_place;
+      } else if (type === 'Death' || (type === 'Burial' && p.death_year == null)) {
+        p.death_year = year ?? p.death_year;
+      }
+      addLocation(p, place);
+    }
+    for (const values of Object.values(gp.identifiers || {})) {
+      for (const v of [].concat(values)) {
+        if (!p.fs_id && /familysearch/i.test(String(v))) p.fs_id = fsPid(String(v).split(/[:/]/).pop());
+      }
+    }
+    persons.set(p.id, p);
+  }
+
+  const ref = (r) => String(r?.resource || r?.resourceId || '').replace(/^#/, '');
+  for (const rel of doc.relationships || []) {
+    if (typeOf(rel.type) !== 'ParentChild') continue;
+    const parent = persons.get(ref(rel.person1));
+    const kid = persons.get(ref(rel.person2));
+    if (!parent || !kid) continue;
+    const lineage = (rel.facts || []).map(f => typeOf(f.type)).find(t => /Adoptive|Foster|Guardian|Step/.test(t));
+    if (lineage) { warnings.push(`${kid.id}: ${lineage} link to ${parent.id} not climbed`); continue; }
+    if (parent.sex === 'M' && !kid.father_id) kid.father_id = parent.id;
+    else if (parent.sex === 'F' && !kid.mother_id) kid.mother_id = parent.id;
+    else if (!parent.sex && !kid.father_id) kid.father_id = parent.id;
+    else if (!parent.sex && !kid.mother_id) kid.mother_id = parent.id;
+  }
+
+  const families = (doc.relationships || []).filter(r => typeOf(r.type) === 'Couple').length;
+  return { format: 'gedcomx', version: '1.0', sourceSystem: doc.attribution?.contributor?.resource || null, persons, familyCount: families, warnings };
+}
+
+// ── entry points ──────────────────────────────────────────────────────────
+
+/**
+ * Parse a family-tree export, detecting the format from its content.
+ * @param {Buffer|string} input
+ * @returns {Object} tree (see top of file)
+ */
+function parseFamilyTree(input) {
+  let text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input || '');
+  text = text.replace(/^\uFEFF/, '');
+  const start = text.trimStart();
+  if (!start) throw new GedcomError('File is empty');
+  if (/^0\s+HEAD\b/.test(start)) return parseGedcom(text);
+  if (start.startsWith('{')) {
+    let doc;
+    try { doc = JSON.parse(start); } catch (e) { throw new GedcomError(`GEDCOM X JSON does not parse: ${e.message}`); }
+    return parseGedcomX(doc);
+  }
+  if (start.startsWith('<')) throw new GedcomError('GEDCOM X XML is not supported; export GEDCOM X JSON or GEDCOM', 'UNSUPPORTED');
+  throw new GedcomError('Unrecognized file: expected GEDCOM (0 HEAD …) or GEDCOM X JSON');
+}
+
+/**
+ * Find the climb's starting person: an explicit id, else a unique name match.
+ * @returns {Object} person
+ */
+function findRoot(tree, { rootId = null, rootName = null } = {}) {
+  if (rootId) {
+    const id = String(rootId).trim();
+    const p = tree.persons.get(id) || tree.persons.get(`@${id.replace(/@/g, '')}@`);
+    if (!p) throw new GedcomError(`No person ${rootId} in the file`, 'ROOT_NOT_FOUND');
+    return p;
+  }
+  if (!rootName) throw new GedcomError('rootId or rootName is required to pick the climb\'s starting person', 'ROOT_REQUIRED');
+  const wanted = cleanName(rootName).toLowerCase();
+  const hits = [...tree.persons.values()].filter(p => p.name && p.name.toLowerCase() === wanted);
+  if (!hits.length) throw new GedcomError(`No person named "${rootName}" in the file`, 'ROOT_NOT_FOUND');
+  if (hits.length > 1) {
+    const err = new GedcomError(`${hits.length} people are named "${rootName}"; pass rootId`, 'ROOT_AMBIGUOUS');
+    err.candidates = hits.map(p => ({ id: p.id, name: p.name, birth_year: p.birth_year }));
+    throw err;
+  }
+  return hits[0];
+}
+
+/** Ancestors of root (root included), in BFS order — what the climber will visit. */
+function ancestorsOf(tree, rootId) {
+  const seen = new Set([rootId]);
+  const order = [rootId];
+  for (let i = 0; i < order.length; i++) {
+    const p = tree.persons.get(order[i]);
+    for (const pid of [p.father_id, p.mother_id]) {
+      if (pid && !seen.has(pid)) { seen.add(pid); order.push(pid); }
+    }
+  }
+  return order.map(id => tree.persons.get(id));
+}
+
+module.exports = { parseFamilyTree, parseGedcom, parseGedcomX, findRoot, ancestorsOf, yearOf, GedcomError };
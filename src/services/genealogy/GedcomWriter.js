@@ -0,0 +1,398 @@
+'use strict';
+
+/**
+ * GedcomWriter — serialises an export tree (built by GedcomExporter) as
+ * GEDCOM 7.0 text or GEDCOM X JSON. Pure: no database.
+ *
+ * Export tree:
+ *
+ *   { title, persons: [person], parentLinks, spouses, siblings, enslavements,
+ *     bequests, documents: Map(person_documents.id → row) }
+ *
+ *   person      = { key, name, sex, birth_year, birth_estimated, death_year,
+ *                   death_estimated, place, fs_id, canonical_id, person_type,
+ *                   living, facts: [{ type, value, note }], documents: [id] }
+ *   parentLinks = [{ parent, child, tier, documents: [id], note }]      (keys)
+ *   spouses / siblings = [{ a, b, tier, documents, note }]
+ *   enslavements = [{ enslaver, enslaved, type, date_start, date_end, era,
+ *                     place, documents, note }]
+ *   bequests    = [{ testator, heir, relationship, asset_type, asset_description,
+ *                    enslaved_count, year, jurisdiction, reference, tier,
+ *                    documents, note }]
+ *
+ * Evidence tiers (M066/M067: 1 primary document, 2 secondary, 3 compiled or
+ * inferred) become GEDCOM QUAY 3/2/1 and GEDCOM X High/Medium/Low confidence.
+ *
+ * Enslavement and inheritance have no standard GEDCOM structure, so they use
+ * extension tags declared in HEAD.SCHMA (GEDCOM 7) and extension relationship
+ * types (GEDCOM X), all under EXTENSION_BASE:
+ *
+ *   _ENSLAVED   on the enslaver, → enslaved person: TYPE (slaveholding
+ *               relationship type), DATE, PLAC, NOTE, SOUR
+ *   _ENSLAVER   on the enslaved person, → enslaver (the reverse pointer)
+ *   _BEQUEATHED on the testator, → heir: TYPE (asset type), DATE, PLAC, NOTE,
+ *               _ENSLAVED_COUNT, SOUR
+ *   _INHERITED  on the heir, → testator (the reverse pointer)
+ *
+ * Genealogy software that doesn't know them keeps or drops them as unknown
+ * tags; GedcomParser ignores them.
+ */
+
+const EXTENSION_BASE = 'https://reparations-platform.onrender.com/gedcom/v1/';
+const EXTENSION_TAGS = ['_ENSLAVED', '_ENSLAVER', '_BEQUEATHED', '_INHERITED', '_ENSLAVED_COUNT'];
+const FS_EXID_TYPE = 'https://www.familysearch.org/ark:/61903/4:1:';
+const CANONICAL_EXID_TYPE = 'https://reparations-platform.onrender.com/person/';
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const QUAY = { 1: '3', 2: '2', 3: '1' };
+const GX_CONFIDENCE = { 1: 'http://gedcomx.org/High', 2: 'http://gedcomx.org/Medium', 3: 'http://gedcomx.org/Low' };
+const NAME_SUFFIXES = new Set(['jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv', 'esq', 'esq.']);
+
+/** "John Smith Jr." → "John /Smith/ Jr." (last non-suffix word is the surname). */
+function gedcomName(name) {
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return '//';
+  let end = words.length;
+  while (end > 1 && NAME_SUFFIXES.has(words[end - 1].toLowerCase())) end--;
+  if (end === 1) return `${words.slice(0, end).join(' ')} ${words.slice(end).join(' ')}`.trim();
+  return [...words.slice(0, end - 1), `/${words[end - 1]}/`, ...words.slice(end)].join(' ');
+}
+
+/** Date / ISO string → "4 MAR 1820" (null if unparseable). */
+function gedcomDay(d) {
+  if (!d) return null;
+  const dt = d instanceof Date ? d : new Date(d);
+  if (Number.isNaN(dt.getTime())) return null;
+  return `${dt.getUTCDate()} ${MONTHS[dt.getUTCMonth()]} ${dt.getUTCFullYear()}`;
+}
+
+/** GEDCOM 7 date value: 1820 / EST 1820 / FROM 4 MAR 1840 TO 1 JAN 1850 / FROM … / TO … */
+function gedcomDate({ year = null, estimated = false, from = null, to = null } = {}) {
+  if (from || to) {
+    const f = gedcomDay(from);
+    const t = gedcomDay(to);
+    if (!f && !t) return null;
+    if (f && t) return `FROM ${f} TO ${t}`;
+    return f ? `FROM ${f}` : `TO ${t}`;
+  }
+  if (!year) return null;
+  return estimated ? `EST ${year}` : String(year);
+}
+
+/** GEDCOM X date: { original, formal } (formal is simple-date / range syntax). */
+function gedcomxDate({ year = null, estimated = false, from = null, to = null } = {}) {
+  const iso = d => {
+    if (!d) return null;
+    const dt = d instanceof Date ? d : new Date(d);
+    return Number.isNaN(dt.getTime()) ? null : dt.toISOString().slice(0, 10);
+  };
+  if (from || to) {
+    const f = iso(from);
+    const t = iso(to);
+    if (!f && !t) return null;
+    return { original: [f, t].filter(Boolean).join(' – '), formal: `${f ? `+${f}` : ''}/${t ? `+${t}` : ''}` };
+  }
+  if (!year) return null;
+  return estimated ? { original: `about ${year}`, formal: `A+${year}` } : { original: String(year), formal: `+${year}` };
+}
+
+function sexCode(sex) {
+  const s = String(sex || '').trim().toLowerCase();
+  if (s.startsWith('m')) return 'M';
+  if (s.startsWith('f') || s === 'w') return 'F';
+  return 'U';
+}
+
+/** One source title for a person_documents row. */
+function documentTitle(doc) {
+  const kind = doc.document_type ? doc.document_type.replace(/_/g, ' ') : 'document';
+  const parts = [doc.collection_name || `${kind[0].toUpperCase()}${kind.slice(1)} naming ${doc.name_as_appears}`];
+  if (doc.collection_name && doc.document_type) parts.push(kind);
+  if (doc.page_reference) parts.push(`p. ${doc.page_reference}`);
+  else if (doc.image_number) parts.push(`image ${doc.image_number}`);
+  if (doc.document_year) parts.push(String(doc.document_year));
+  return parts.join(', ');
+}
+
+/** Families for the GEDCOM FAM records: parent pairs (from spouse edges and shared children). */
+function buildFamilies(tree, byKey) {
+  const families = [];
+  const byPair = new Map();
+  const pairKey = (a, b) => [a, b].filter(Boolean).sort().join('|');
+  const family = (a, b) => {
+    const k = pairKey(a, b);
+    if (!byPair.has(k)) {
+      // Husband / wife slots by sex when known; GEDCOM 7 treats them as partner roles either way
+      const [p1, p2] = [a, b].filter(Boolean).sort((x, y) => (sexCode(byKey.get(y)?.sex) === 'M') - (sexCode(byKey.get(x)?.sex) === 'M'));
+      const fam = { husb: p1 || null, wife: p2 || null, children: [], documents: new Map(), notes: [] };
+      byPair.set(k, fam);
+      families.push(fam);
+    }
+    return byPair.get(k);
+  };
+  // Each document keeps the best tier of the links that cite it
+  const cite = (fam, link) => {
+    for (const d of link.documents || []) {
+      const seen = fam.documents.get(d);
+      fam.documents.set(d, seen && (!link.tier || seen < link.tier) ? seen : link.tier || null);
+    }
+    if (link.note) fam.notes.push(link.note);
+  };
+
+  for (const s of tree.spouses) cite(family(s.a, s.b), s);
+
+  const parentsOf = new Map();
+  for (const link of tree.parentLinks) {
+    if (!parentsOf.has(link.child)) parentsOf.set(link.child, []);
+    const list = parentsOf.get(link.child);
+    if (!list.some(l => l.parent === link.parent)) list.push(link);
+  }
+  for (const [child, links] of parentsOf) {
+    // Two parents share a family; a third (conflicting tree data) gets one of its own
+    for (let i = 0; i < links.length; i += 2) {
+      const pair = links.slice(i, i + 2);
+      const fam = family(pair[0].parent, pair[1] && pair[1].parent);
+      if (!fam.children.includes(child)) fam.children.push(child);
+      pair.forEach(l => cite(fam, l));
+    }
+  }
+
+  for (const s of tree.siblings) {
+    const shared = families.some(f => f.children.includes(s.a) && f.children.includes(s.b));
+    if (shared) continue;
+    const fam = { husb: null, wife: null, children: [s.a, s.b], documents: new Map(), notes: [] };
+    cite(fam, s);
+    families.push(fam);
+  }
+  return families;
+}
+
+class GedcomLines {
+  constructor() { this.lines = []; }
+
+  /** Adds a line; multi-line values continue with CONT, a leading @ is doubled. */
+  add(level, tag, value = null, xref = null) {
+    const head = `${level}${xref ? ` ${xref}` : ''} ${tag}`;
+    if (value == null || value === '') { this.lines.push(head); return this; }
+    const parts = String(value).split(/\r\n|\r|\n/).map(v => (v.startsWith('@') && !/^@[^@]+@$/.test(v) ? `@${v}` : v));
+    this.lines.push(`${head} ${parts[0]}`.trimEnd());
+    for (const p of parts.slice(1)) this.lines.push(`${level + 1} CONT ${p}`.trimEnd());
+    return this;
+  }
+
+  toString() { return `${this.lines.join('\n')}\n`; }
+}
+
+/**
+ * @param {Object} tree - export tree
+ * @param {Object} [opts] - { now: Date, source: HEAD.SOUR product id }
+ * @returns {string} GEDCOM 7.0 text
+ */
+function toGedcom7(tree, opts = {}) {
+  const now = opts.now || new Date();
+  const byKey = new Map(tree.persons.map(p => [p.key, p]));
+  const xref = new Map(tree.persons.map((p, i) => [p.key, `@I${i + 1}@`]));
+  const docXref = new Map([...tree.documents.keys()].map((id, i) => [id, `@S${i + 1}@`]));
+  const families = buildFamilies(tree, byKey);
+  families.forEach((f, i) => { f.xref = `@F${i + 1}@`; });
+  const out = new GedcomLines();
+
+  const citeDocs = (level, ids, tier) => {
+    for (const id of ids || []) {
+      if (!docXref.has(id)) continue;
+      const doc = tree.documents.get(id);
+      out.add(level, 'SOUR', docXref.get(id));
+      if (doc.page_reference) out.add(level + 1, 'PAGE', doc.page_reference);
+      if (tier && QUAY[tier]) out.add(level + 1, 'QUAY', QUAY[tier]);
+    }
+  };
+
+  out.add(0, 'HEAD');
+  out.add(1, 'GEDC').add(2, 'VERS', '7.0');
+  out.add(1, 'SCHMA');
+  for (const tag of EXTENSION_TAGS) out.add(2, 'TAG', `${tag} ${EXTENSION_BASE}${tag}`);
+  out.add(1, 'SOUR', opts.source || 'REPARATIONS-BLOCKCHAIN').add(2, 'NAME', 'Reparations Platform');
+  out.add(1, 'DATE', gedcomDay(now));
+  if (tree.title) out.add(1, 'NOTE', tree.title);
+
+  for (const p of tree.persons) {
+    out.add(0, 'INDI', null, xref.get(p.key));
+    if (p.living) out.add(1, 'RESN', 'PRIVACY');
+    out.add(1, 'NAME', gedcomName(p.name));
+    out.add(1, 'SEX', sexCode(p.sex));
+    const birth = gedcomDate({ year: p.birth_year, estimated: p.birth_estimated });
+    if (birth || p.place) {
+      out.add(1, 'BIRT');
+      if (birth) out.add(2, 'DATE', birth);
+      if (p.place) out.add(2, 'PLAC', p.place);
+    }
+    const death = gedcomDate({ year: p.death_year, estimated: p.death_estimated });
+    if (death) out.add(1, 'DEAT').add(2, 'DATE', death);
+    for (const f of p.facts || []) {
+      out.add(1, 'FACT', f.value).add(2, 'TYPE', f.type);
+      if (f.note) out.add(2, 'NOTE', f.note);
+    }
+    for (const fam of families) {
+      if (fam.children.includes(p.key)) out.add(1, 'FAMC', fam.xref);
+    }
+    for (const fam of families) {
+      if (fam.husb === p.key || fam.wife === p.key) out.add(1, 'FAMS', fam.xref);
+    }
+    for (const e of tree.enslavements.filter(x => x.enslaver === p.key)) writeEnslavement(out, '_ENSLAVED', xref.get(e.enslaved), e, citeDocs);
+    for (const e of tree.enslavements.filter(x => x.enslaved === p.key)) writeEnslavement(out, '_ENSLAVER', xref.get(e.enslaver), e, citeDocs);
+    for (const b of tree.bequests.filter(x => x.testator === p.key)) writeBequest(out, '_BEQUEATHED', xref.get(b.heir), b, citeDocs);
+    for (const b of tree.bequests.filter(x => x.heir === p.key)) writeBequest(out, '_INHERITED', xref.get(b.testator), b, citeDocs);
+    if (p.canonical_id) out.add(1, 'EXID', String(p.canonical_id)).add(2, 'TYPE', CANONICAL_EXID_TYPE);
+    if (p.fs_id) out.add(1, 'EXID', p.fs_id).add(2, 'TYPE', FS_EXID_TYPE);
+    citeDocs(1, p.documents, 1);
+  }
+
+  for (const fam of families) {
+    out.add(0, 'FAM', null, fam.xref);
+    if (fam.husb) out.add(1, 'HUSB', xref.get(fam.husb));
+    if (fam.wife) out.add(1, 'WIFE', xref.get(fam.wife));
+    for (const c of fam.children) out.add(1, 'CHIL', xref.get(c));
+    for (const [doc, tier] of fam.documents) citeDocs(1, [doc], tier);
+    for (const note of new Set(fam.notes)) out.add(1, 'NOTE', note);
+  }
+
+  for (const [id, doc] of tree.documents) {
+    out.add(0, 'SOUR', null, docXref.get(id));
+    out.add(1, 'TITL', documentTitle(doc));
+    if (doc.citation_key) out.add(1, 'ABBR', doc.citation_key);
+    if (doc.context_snippet) out.add(1, 'TEXT', doc.context_snippet);
+    out.add(1, 'REFN', `person_documents:${id}`).add(2, 'TYPE', 'person_documents');
+    const where = [doc.source_url && `Source: ${doc.source_url}`, doc.s3_url && `Archived image: ${doc.s3_url}`,
+      doc.film_number && `Film ${doc.film_number}`, doc.human_verified ? 'Transcription verified by a reviewer' : null].filter(Boolean);
+    if (where.length) out.add(1, 'NOTE', where.join('\n'));
+  }
+
+  out.add(0, 'TRLR');
+  return out.toString();
+}
+
+function writeEnslavement(out, tag, other, e, citeDocs) {
+  if (!other) return;
+  out.add(1, tag, other);
+  if (e.type) out.add(2, 'TYPE', e.type);
+  const date = gedcomDate({ from: e.date_start, to: e.date_end });
+  if (date) out.add(2, 'DATE', date);
+  if (e.place) out.add(2, 'PLAC', e.place);
+  const note = [e.era && !date ? `Era: ${e.era}` : null, e.note].filter(Boolean).join('\n');
+  if (note) out.add(2, 'NOTE', note);
+  citeDocs(2, e.documents, e.tier);
+}
+
+function writeBequest(out, tag, other, b, citeDocs) {
+  if (!other) return;
+  out.add(1, tag, other);
+  if (b.asset_type) out.add(2, 'TYPE', b.asset_type);
+  if (b.year) out.add(2, 'DATE', String(b.year));
+  if (b.jurisdiction) out.add(2, 'PLAC', b.jurisdiction);
+  if (b.enslaved_count) out.add(2, '_ENSLAVED_COUNT', String(b.enslaved_count));
+  const note = [b.relationship && `Described as: ${b.relationship}`, b.asset_description, b.reference, b.note].filter(Boolean).join('\n');
+  if (note) out.add(2, 'NOTE', note);
+  citeDocs(2, b.documents, b.tier);
+}
+
+/**
+ * @param {Object} tree - export tree
+ * @param {Object} [opts] - { now: Date }
+ * @returns {Object} GEDCOM X document (serialise with JSON.stringify)
+ */
+function toGedcomX(tree, opts = {}) {
+  const now = opts.now || new Date();
+  // GEDCOM X has no document-level note, so tree.title isn't carried over
+  const id = new Map(tree.persons.map((p, i) => [p.key, `I${i + 1}`]));
+  const docId = new Map([...tree.documents.keys()].map((d, i) => [d, `S${i + 1}`]));
+  const sourceRefs = ids => (ids || []).filter(d => docId.has(d)).map(d => ({ description: `#${docId.get(d)}` }));
+  const ref = key => ({ resource: `#${id.get(key)}`, resourceId: id.get(key) });
+  const withEvidence = (obj, link) => {
+    const sources = sourceRefs(link.documents);
+    if (sources.length) obj.sources = sources;
+    if (link.tier && GX_CONFIDENCE[link.tier]) obj.confidence = GX_CONFIDENCE[link.tier];
+    if (link.note) obj.notes = [{ text: link.note }];
+    return obj;
+  };
+
+  const persons = tree.persons.map(p => {
+    const person = {
+      id: id.get(p.key),
+      living: Boolean(p.living),
+      gender: { type: { M: 'http://gedcomx.org/Male', F: 'http://gedcomx.org/Female' }[sexCode(p.sex)] || 'http://gedcomx.org/Unknown' },
+      names: [{ nameForms: [{ fullText: p.name || '' }] }],
+      facts: [],
+    };
+    const birth = gedcomxDate({ year: p.birth_year, estimated: p.birth_estimated });
+    if (birth || p.place) {
+      person.facts.push({ type: 'http://gedcomx.org/Birth', ...(birth ? { date: birth } : {}), ...(p.place ? { place: { original: p.place } } : {}) });
+    }
+    const death = gedcomxDate({ year: p.death_year, estimated: p.death_estimated });
+    if (death) person.facts.push({ type: 'http://gedcomx.org/Death', date: death });
+    for (const f of p.facts || []) person.facts.push({ type: `${EXTENSION_BASE}${f.type.replace(/\W+/g, '')}`, value: f.value, ...(f.note ? { qualifiers: [{ name: `${EXTENSION_BASE}Note`, value: f.note }] } : {}) });
+    const identifiers = {};
+    if (p.fs_id) identifiers['http://gedcomx.org/Persistent'] = [`https://familysearch.org/ark:/61903/4:1:${p.fs_id}`];
+    if (p.canonical_id) identifiers['http://gedcomx.org/Primary'] = [`${CANONICAL_EXID_TYPE}${p.canonical_id}`];
+    if (Object.keys(identifiers).length) person.identifiers = identifiers;
+    const sources = sourceRefs(p.documents);
+    if (sources.length) person.sources = sources;
+    return person;
+  });
+
+  const relationships = [];
+  for (const l of tree.parentLinks) {
+    relationships.push(withEvidence({ type: 'http://gedcomx.org/ParentChild', person1: ref(l.parent), person2: ref(l.child) }, l));
+  }
+  for (const s of tree.spouses) {
+    relationships.push(withEvidence({ type: 'http://gedcomx.org/Couple', person1: ref(s.a), person2: ref(s.b) }, s));
+  }
+  for (const s of tree.siblings) {
+    relationships.push(withEvidence({ type: `${EXTENSION_BASE}Sibling`, person1: ref(s.a), person2: ref(s.b) }, s));
+  }
+  for (const e of tree.enslavements) {
+    const date = gedcomxDate({ from: e.date_start, to: e.date_end });
+    const fact = { type: `${EXTENSION_BASE}${e.type || 'enslaved'}` };
+    if (date) fact.date = date;
+    if (e.place) fact.place = { original: e.place };
+    if (e.era && !date) fact.value = e.era;
+    relationships.push(withEvidence({ type: `${EXTENSION_BASE}Enslavement`, person1: ref(e.enslaver), person2: ref(e.enslaved), facts: [fact] }, e));
+  }
+  for (const b of tree.bequests) {
+    const fact = { type: `${EXTENSION_BASE}${b.asset_type || 'unspecified'}` };
+    if (b.year) fact.date = { original: String(b.year), formal: `+${b.year}` };
+    if (b.jurisdiction) fact.place = { original: b.jurisdiction };
+    const value = [b.relationship && `Described as: ${b.relationship}`, b.asset_description, b.reference].filter(Boolean).join('; ');
+    if (value) fact.value = value;
+    if (b.enslaved_count) fact.qualifiers = [{ name: `${EXTENSION_BASE}EnslavedCount`, value: String(b.enslaved_count) }];
+    relationships.push(withEvidence({ type: `${EXTENSION_BASE}Inheritance`, person1: ref(b.testator), person2: ref(b.heir), facts: [fact] }, b));
+  }
+
+  const sourceDescriptions = [...tree.documents].map(([d, doc]) => {
+    const sd = {
+      id: docId.get(d),
+      resourceType: 'http://gedcomx.org/PhysicalArtifact',
+      titles: [{ value: documentTitle(doc) }],
+      citations: [{ value: [documentTitle(doc), doc.source_url].filter(Boolean).join('. ') }],
+      identifiers: { 'http://gedcomx.org/Primary': [`person_documents:${d}`] },
+    };
+    if (doc.source_url || doc.s3_url) sd.about = doc.source_url || doc.s3_url;
+    if (doc.citation_key) sd.identifiers[`${EXTENSION_BASE}CitationKey`] = [doc.citation_key];
+    return sd;
+  });
+
+  return {
+    attribution: { contributor: { resource: 'https://reparations-platform.onrender.com' }, modified: now.getTime() },
+    persons,
+    relationships,
+    sourceDescriptions,
+  };
+}
+
+module.exports = {
+  toGedcom7,
+  toGedcomX,
+  gedcomName,
+  gedcomDate,
+  documentTitle,
+  EXTENSION_BASE,
+  EXTENSION_TAGS,
+};
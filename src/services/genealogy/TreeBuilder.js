@@ -165,9 +165,11 @@ class DescendantTreeBuilder {
 
     /**
      * Get all descendants as a flat list
+     * Each row carries parent_id so callers (e.g. ReparationsCalculator's
+     * per-stirpes modes) can rebuild the branch structure.
      * @param {string} ancestorId - Enslaved person ID
      * @param {number} maxGenerations - Maximum depth
-     * @returns {Promise<Array>} Array of descendants with generation info
+     * @returns {Promise<Array>} Array of descendants with generation and parent info
      */
     async getAllDescendants(ancestorId, maxGenerations = null) {
         const maxDepth = maxGenerations || this.MAX_GENERATIONS;
@@ -178,7 +180,8 @@ class DescendantTreeBuilder {
                 SELECT
                     ei.*,
                     1 as generation,
-                    $1 as ancestor_id
+                    $1 as ancestor_id,
+                    er.enslaved_id_1 as parent_id
                 FROM enslaved_individuals ei
                 JOIN enslaved_relationships er ON er.enslaved_id_2 = ei.enslaved_id
                 WHERE er.enslaved_id_1 = $1
@@ -191,7 +194,8 @@ class DescendantTreeBuilder {
                 SELECT
                     ei.*,
                     d.generation + 1,
-                    d.ancestor_id
+                    d.ancestor_id,
+                    er.enslaved_id_1
                 FROM enslaved_individuals ei
                 JOIN enslaved_relationships er ON er.enslaved_id_2 = ei.enslaved_id
                 JOIN descendants d ON er.enslaved_id_1 = d.enslaved_id
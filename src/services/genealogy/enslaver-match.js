@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * enslaver-match — the climber's "is this ancestor a known enslaver?" check.
+ *
+ * Moved out of scripts/scrapers/familysearch-ancestor-climber.js; ClimbEngine
+ * runs it for every climb source, so GEDCOM uploads match exactly like the
+ * live FamilySearch climb. Candidates come from find_person_match() (M033):
+ *
+ *   Tier 1  external id (FamilySearch PID) — accepted when tier <= 2 and the
+ *           person is an enslaver
+ *   Tier 2  name + date + location, confidence >= 0.65 — accepted
+ *   Tier 3  name only — the best qualifying candidate is returned flagged
+ *           requires_human_review / pending_review, never accepted
+ *
+ * The result is a candidate for MatchVerifier.verify(), not a verdict.
+ * Throws the database error when find_person_match() is missing; ClimbEngine
+ * fails the session on it, as there is nothing to fall back to.
+ */
+
+const ENSLAVER_TYPES = ['enslaver', 'slaveholder', 'owner'];
+const AUTO_ACCEPT_CONFIDENCE = 0.65;
+const MIN_BIRTH_YEAR = 1600;
+
+/**
+ * Format a find_person_match() row into the match record the climber saves.
+ */
+function formatTieredMatch(row) {
+  const tierLabels = { 1: 'external_id_match', 2: 'name_date_location_match', 3: 'name_only_match' };
+  return {
+    type: tierLabels[row.match_tier] || 'tiered_match',
+    confidence: parseFloat(row.match_confidence),
+    verified: false,
+    verification_notes: `${row.match_details}. REQUIRES DOCUMENT REVIEW.`,
+    date_verified: row.match_tier <= 2 && row.birth_year_estimate != null,
+    location_verified: row.match_tier <= 2 && row.primary_state != null,
+    id: row.canonical_person_id,
+    canonical_name: row.canonical_name,
+    person_type: row.person_type,
+    birth_year_estimate: row.birth_year_estimate,
+    primary_state: row.primary_state,
+  };
+}
+
+/** Names too generic to match on: one word ("Ann") or very short. */
+function isMatchableName(name) {
+  if (!name) return false;
+  const trimmed = name.trim();
+  return trimmed.split(/\s+/).length >= 2 && trimmed.length >= 5;
+}
+
+/**
+ * @param {Object} db - { query(text, params) → { rows } }
+ * @param {Object} person - climber person: { name, birth_year, locations, fs_id }
+ * @param {Object} [opts] - { log } (console-style; default silent)
+ * @returns {Promise<Object|null>} match record (formatTieredMatch shape) or null
+ */
+async function findEnslaverMatch(db, person, { log = () => {} } = {}) {
+  if (!isMatchableName(person.name)) return null;
+  const location = (person.locations && person.locations[0]) || null;
+
+  if (person.fs_id) {
+    const { rows } = await db.query('SELECT * FROM find_person_match($1, $2, $3, NULL, $4, $5)',
+      [person.name, person.birth_year || null, location, person.fs_id, 'familysearch']);
+    if (rows.length && rows[0].match_tier <= 2 && ENSLAVER_TYPES.includes(rows[0].person_type)) {
+      return formatTieredMatch(rows[0]);
+    }
+  }
+
+  const { rows: matches } = await db.query('SELECT * FROM find_person_match($1, $2, $3, NULL, NULL, NULL)',
+    [person.name, person.birth_year || null, location]);
+
+  const autoMatch = matches.find(m =>
+    m.match_tier <= 2 &&
+    m.match_confidence >= AUTO_ACCEPT_CONFIDENCE &&
+    ENSLAVER_TYPES.includes(m.person_type));
+  if (autoMatch) return formatTieredMatch(autoMatch);
+
+  const tier3 = matches.filter(m => m.match_tier === 3 && ENSLAVER_TYPES.includes(m.person_type));
+  if (!tier3.length) return null;
+  const qualifying = tier3.filter(m => {
+    const name = (m.canonical_name || '').trim();
+    if (!name.includes(' ') || name.length < 5) return false;
+    if (m.birth_year_estimate && m.birth_year_estimate < MIN_BIRTH_YEAR) return false;
+    return true;
+  });
+  if (!qualifying.length) {
+    log(`   ~ ${tier3.length} Tier 3 candidate(s) — all filtered out (single-word name, too short, or pre-1600)`);
+    return null;
+  }
+  const best = qualifying.reduce((a, b) => (parseFloat(b.match_confidence) > parseFloat(a.match_confidence) ? b : a));
+  const result = formatTieredMatch(best);
+  result.requires_human_review = true;
+  result.review_reason = 'Name-only match (Tier 3) — needs human verification';
+  result.classification = 'unverified';
+  result.verification_status = 'pending_review';
+  log(`   ~ ${tier3.length} Tier 3 candidate(s), saving best: "${best.canonical_name}" (${(parseFloat(best.match_confidence) * 100).toFixed(0)}%) [pending review]`);
+  return result;
+}
+
+module.exports = { findEnslaverMatch, formatTieredMatch, isMatchableName, ENSLAVER_TYPES };
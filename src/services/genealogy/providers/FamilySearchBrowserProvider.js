@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * FamilySearchBrowserProvider — a climb-engine tree provider over a logged-in
+ * FamilySearch browser session (scripts/scrapers/familysearch-ancestor-climber.js
+ * drives the Puppeteer page and hands its page functions in). For accounts
+ * without an API token, where FamilySearchProvider cannot be used; given one
+ * as `tree`, tree reads go through the API and only discovery uses the page.
+ *
+ * Tree persons are read from their details page (father_fs_id / mother_fs_id).
+ * When a person has no parents in the tree, parents are discovered instead —
+ * participant family tree, participant-provided names (root only), record
+ * search, WikiTree — and each named parent is resolved to a canonical_persons
+ * identity, then to a tree person when one is known or can be found. A parent
+ * that stays name-only is climbed as `cp_<canonical id>` by its name, up to
+ * maxInferredGenerations: past that there is no tree to check the names
+ * against. A resumed session gets its name-only persons back from
+ * canonical_persons (identities.get).
+ *
+ * Discovered links carry their own discoveryMethod / confidence and
+ * `inferred: true`, so the caller can keep an audit trail of them.
+ */
+
+const NAME_ONLY_ROOT = 'NAME-ONLY';
+const MAX_INFERRED_GENERATIONS = 12;
+const MIN_LINK_CONFIDENCE = 0.5;
+
+class FamilySearchBrowserProvider {
+  /**
+   * @param {Object} page - the browser session:
+   *   readPerson(fsId, { generation }) → person with father_fs_id / mother_fs_id, or null
+   *   discoverParents(person, { generation }) → [{ parentName, parentFsId, parentBirthYear,
+   *     parentBirthLocation, relationship, confidence, discoveryMethod, sourceUrl, sourceType }]
+   *   findTreePerson(name, birthYear, location) → fsId | null
+   * @param {Object} identities - canonical_persons for discovered names:
+   *   findOrCreate(name, birthYear, location, source) → { id } | null
+   *   fsIdOf(canonicalId) → fsId | null;  linkFsId(canonicalId, fsId)
+   *   get(canonicalId) → { name, birth_year, location } | null
+   * @param {Object} [opts] - { tree (FamilySearchProvider), maxInferredGenerations (12), log,
+   *                           participant ({ fsId, name, birthYear, birthLocation }): stands in for
+   *                           the root when its page is empty, and is the NAME-ONLY root }
+   */
+  constructor(page, identities, opts = {}) {
+    this.name = 'familysearch';
+    this.discoveryMethod = 'familysearch_tree';
+    this.linkConfidence = 0.85;
+    this.page = page;
+    this.identities = identities;
+    this.tree = opts.tree || null;
+    this.participant = opts.participant || null;
+    this.maxInferredGenerations = opts.maxInferredGenerations || MAX_INFERRED_GENERATIONS;
+    this.log = opts.log || (() => {});
+    this.persons = new Map();
+  }
+
+  async getPerson(id, { generation } = {}) {
+    if (!this.persons.has(id)) {
+      const person = await this._read(id, generation);
+      if (!person) return null;
+      this.persons.set(id, person);
+    }
+    return this.persons.get(id);
+  }
+
+  async _read(id, generation) {
+    if (id === NAME_ONLY_ROOT) return this._participantPerson(null);
+    if (String(id).startsWith('cp_')) return this._nameOnlyPerson(Number(id.slice(3)));
+    const person = this.tree ? await this.tree.getPerson(id) : await this.page.readPerson(id, { generation });
+    if (person && person.name) return { ...person, id, fs_id: id };
+    // An empty root page still climbs when the participant told us who they are
+    if (this.participant && this.participant.fsId === id) return this._participantPerson(id);
+    return null;
+  }
+
+  // Only reached on resume: discovered name-only persons are cached when found
+  async _nameOnlyPerson(canonicalId) {
+    const identity = await this.identities.get(canonicalId);
+    if (!identity) return null;
+    return this._nameOnly(canonicalId, identity.name, identity.birth_year, identity.location);
+  }
+
+  _nameOnly(canonicalId, name, birthYear, location) {
+    return {
+      id: `cp_${canonicalId}`,
+      name,
+      birth_year: birthYear || null,
+      birth_place: location || null,
+      locations: location ? [location] : [],
+      fs_id: null,
+      canonical_person_id: canonicalId,
+    };
+  }
+
+  _participantPerson(fsId) {
+    const p = this.participant || {};
+    return {
+      id: fsId || NAME_ONLY_ROOT,
+      name: p.name || fsId || 'participant',
+      birth_year: p.birthYear || null,
+      birth_place: p.birthLocation || null,
+      locations: p.birthLocation ? [p.birthLocation] : [],
+      fs_id: fsId,
+    };
+  }
+
+  async getParents(id, { generation = 0 } = {}) {
+    const person = await this.getPerson(id);
+    if (!person) return [];
+    const parents = person.fs_id ? await this._treeParents(person, generation) : [];
+    return parents.length ? parents : this._discoveredParents(person, generation);
+  }
+
+  async _treeParents(person, generation) {
+    if (this.tree) return this.tree.getParents(person.fs_id);
+    const parents = [];
+    for (const [relationship, fsId] of [['father', person.father_fs_id], ['mother', person.mother_fs_id]]) {
+      if (!fsId) continue;
+      try {
+        const parent = await this.getPerson(fsId, { generation: generation + 1 });
+        if (parent) parents.push({ relationship, person: parent });
+      } catch (err) {
+        this.log(`   ⚠ ${fsId} (${relationship} of ${person.name}): ${err.message}`);
+      }
+    }
+    return parents;
+  }
+
+  async _discoveredParents(child, generation) {
+    const found = await this.page.discoverParents(child, { generation });
+    const parents = [];
+    for (const d of found) {
+      if (!d.parentName || (d.confidence ?? 0) < MIN_LINK_CONFIDENCE) continue;
+      const parent = await this._resolve(d, child, generation + 1);
+      if (!parent) continue;
+      parents.push({
+        relationship: d.relationship,
+        person: parent,
+        discoveryMethod: d.discoveryMethod,
+        confidence: d.confidence,
+        inferred: true,
+        sourceUrl: d.sourceUrl || null,
+        sourceType: d.sourceType || null,
+      });
+    }
+    return parents;
+  }
+
+  // A discovered parent → tree person when possible, else a name-only person
+  async _resolve(d, child, generation) {
+    if (d.parentFsId) return this.getPerson(d.parentFsId, { generation });
+
+    const estimatedBirthYear = d.parentBirthYear || (child.birth_year ? child.birth_year - 25 : null);
+    const location = d.parentBirthLocation || (child.locations && child.locations[0]) || null;
+    const identity = await this.identities.findOrCreate(d.parentName, estimatedBirthYear, location, d.discoveryMethod);
+    if (!identity) return null;
+
+    let fsId = await this.identities.fsIdOf(identity.id);
+    if (!fsId && generation <= this.maxInferredGenerations) {
+      fsId = await this.page.findTreePerson(d.parentName, d.parentBirthYear || null, location);
+      if (fsId) await this.identities.linkFsId(identity.id, fsId);
+    }
+    if (fsId) {
+      const person = await this.getPerson(fsId, { generation });
+      if (person) return { ...person, canonical_person_id: identity.id };
+    }
+    if (generation > this.maxInferredGenerations) {
+      this.log(`   ~ Not climbing name-only "${d.parentName}": past generation ${this.maxInferredGenerations}`);
+      return null;
+    }
+
+    const person = this._nameOnly(identity.id, d.parentName, estimatedBirthYear, location);
+    this.persons.set(person.id, person);
+    return person;
+  }
+
+  // The browser climber reads ancestors only
+  async getChildren() {
+    return [];
+  }
+}
+
+module.exports = FamilySearchBrowserProvider;
+module.exports.NAME_ONLY_ROOT = NAME_ONLY_ROOT;
+module.exports.MAX_INFERRED_GENERATIONS = MAX_INFERRED_GENERATIONS;
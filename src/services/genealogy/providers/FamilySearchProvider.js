@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * FamilySearchProvider — a climb-engine tree provider over the FamilySearch
+ * Family Tree API (/platform/tree, GEDCOM X JSON). Needs an OAuth access token
+ * (FAMILYSEARCH_ACCESS_TOKEN); the browser climber remains the route for
+ * cookie-only sessions.
+ *
+ * Person ids are FamilySearch PIDs, so every person carries fs_id and tier-1
+ * identity matching applies to all of them. Only biological parent links are
+ * followed; adoptive, foster, guardian and step links are skipped, as in
+ * GedcomParser.
+ */
+
+const { parseGedcomX } = require('../GedcomParser');
+
+const API_URL = 'https://api.familysearch.org';
+const NON_BIOLOGICAL = /Adoptive|Foster|Guardian|Step/;
+
+class FamilySearchProvider {
+  /**
+   * @param {Object} [opts] - { accessToken, baseUrl, fetch, log }
+   */
+  constructor(opts = {}) {
+    this.name = 'familysearch';
+    this.discoveryMethod = 'familysearch_tree';
+    this.linkConfidence = 0.85;
+    this.accessToken = opts.accessToken || process.env.FAMILYSEARCH_ACCESS_TOKEN || null;
+    this.baseUrl = (opts.baseUrl || process.env.FAMILYSEARCH_API_URL || API_URL).replace(/\/$/, '');
+    this.fetch = opts.fetch || fetch;
+    this.log = opts.log || (() => {});
+    this.persons = new Map();
+  }
+
+  async _get(path) {
+    if (!this.accessToken) throw new Error('FamilySearch API needs FAMILYSEARCH_ACCESS_TOKEN');
+    const res = await this.fetch(`${this.baseUrl}${path}`, {
+      headers: { Accept: 'application/x-fs-v1+json', Authorization: `Bearer ${this.accessToken}` },
+    });
+    if (res.status === 204 || res.status === 404 || res.status === 410) return null;
+    if (res.status === 401) throw new Error('FamilySearch access token rejected (401)');
+    if (!res.ok) throw new Error(`FamilySearch API ${res.status}`);
+    return res.json();
+  }
+
+  // GEDCOM X persons → climb persons, cached by PID
+  _remember(doc) {
+    if (!doc || !Array.isArray(doc.persons)) return;
+    for (const p of parseGedcomX({ persons: doc.persons }).persons.values()) {
+      p.fs_id = p.id;
+      this.persons.set(p.id, p);
+    }
+  }
+
+  async getPerson(id) {
+    if (!this.persons.has(id)) {
+      const doc = await this._get(`/platform/tree/persons/${encodeURIComponent(id)}`);
+      if (!doc) return null;
+      this._remember(doc);
+    }
+    return this.persons.get(id) || null;
+  }
+
+  async getParents(id) {
+    const doc = await this._get(`/platform/tree/persons/${encodeURIComponent(id)}/parents`);
+    if (!doc) return [];
+    this._remember(doc);
+    for (const rel of doc.childAndParentsRelationships || []) {
+      if (ref(rel.child) !== id) continue;
+      const parents = [];
+      for (const [relationship, parent, facts] of [
+        ['father', rel.parent1 || rel.father, rel.parent1Facts || rel.fatherFacts],
+        ['mother', rel.parent2 || rel.mother, rel.parent2Facts || rel.motherFacts],
+      ]) {
+        const person = parent && this.persons.get(ref(parent));
+        if (!person) continue;
+        if ((facts || []).some(f => NON_BIOLOGICAL.test(String(f.type)))) {
+          this.log(`   ${id}: non-biological ${relationship} link to ${person.id} not climbed`);
+          continue;
+        }
+        parents.push({ relationship, person });
+      }
+      if (parents.length) return parents;
+    }
+    return [];
+  }
+
+  async getChildren(id) {
+    const doc = await this._get(`/platform/tree/persons/${encodeURIComponent(id)}/children`);
+    if (!doc) return [];
+    this._remember(doc);
+    const ids = new Set((doc.childAndParentsRelationships || []).map(rel => ref(rel.child)).filter(Boolean));
+    const persons = (doc.persons || []).map(p => p.id).filter(pid => pid !== id && (!ids.size || ids.has(pid)));
+    return persons.map(pid => this.persons.get(pid)).filter(Boolean);
+  }
+}
+
+const ref = (r) => String(r?.resourceId || r?.resource || '').replace(/^#/, '').split('/').pop();
+
+module.exports = FamilySearchProvider;
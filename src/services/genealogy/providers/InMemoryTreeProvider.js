@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * InMemoryTreeProvider — a climb-engine tree provider over persons already in
+ * memory: a parsed GEDCOM / GEDCOM X upload (GedcomParser), or a hand-built
+ * tree in tests. Parent links are the persons' own father_id / mother_id;
+ * children are derived from them.
+ */
+
+class InMemoryTreeProvider {
+  /**
+   * @param {Map|Array|Object} persons - Map(id → person), array of persons, or a parsed tree ({ persons })
+   * @param {Object} [opts] - { name ('memory'), discoveryMethod, linkConfidence (0.85) }
+   */
+  constructor(persons, opts = {}) {
+    const list = persons instanceof Map ? [...persons.values()]
+      : Array.isArray(persons) ? persons
+        : persons && persons.persons instanceof Map ? [...persons.persons.values()]
+          : [];
+    this.persons = new Map(list.map(p => [p.id, p]));
+    this.name = opts.name || 'memory';
+    this.discoveryMethod = opts.discoveryMethod || this.name;
+    this.linkConfidence = opts.linkConfidence ?? 0.85;
+    this.children = new Map();
+    for (const p of this.persons.values()) {
+      for (const parentId of [p.father_id, p.mother_id]) {
+        if (!parentId) continue;
+        if (!this.children.has(parentId)) this.children.set(parentId, []);
+        this.children.get(parentId).push(p.id);
+      }
+    }
+  }
+
+  async getPerson(id) {
+    return this.persons.get(id) || null;
+  }
+
+  async getParents(id) {
+    const p = this.persons.get(id);
+    if (!p) return [];
+    return [['father', p.father_id], ['mother', p.mother_id]]
+      .filter(([, parentId]) => parentId && this.persons.has(parentId))
+      .map(([relationship, parentId]) => ({ relationship, person: this.persons.get(parentId) }));
+  }
+
+  async getChildren(id) {
+    return (this.children.get(id) || []).map(childId => this.persons.get(childId));
+  }
+}
+
+module.exports = InMemoryTreeProvider;
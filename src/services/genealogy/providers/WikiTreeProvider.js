@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * WikiTreeProvider — a climb-engine tree provider over the public WikiTree API
+ * (https://api.wikitree.com/api.php, no login). Replaces page scraping:
+ * getProfile gives a person with Father / Mother ids, getRelatives gives
+ * children. Private profiles come back without names and are still walked.
+ *
+ * Person ids are WikiTree ids ("Hopewell-183"); numeric user ids (the API's
+ * Father / Mother) are accepted too. Responses are cached per provider, and
+ * requests are spaced by rateLimit ms.
+ */
+
+const { yearOf } = require('../GedcomParser');
+
+const API_URL = 'https://api.wikitree.com/api.php';
+const FIELDS = 'Id,Name,LongName,Gender,BirthDate,DeathDate,BirthLocation,DeathLocation,Father,Mother,IsLiving';
+
+class WikiTreeProvider {
+  /**
+   * @param {Object} [opts] - { appId, rateLimit (ms, 1000), fetch, log }
+   */
+  constructor(opts = {}) {
+    this.name = 'wikitree';
+    this.discoveryMethod = 'wikitree';
+    this.linkConfidence = 0.65;           // same weight the browser climber gives a WikiTree parent
+    this.appId = opts.appId || process.env.WIKITREE_APP_ID || 'ReparationsResearch';
+    this.rateLimit = opts.rateLimit ?? 1000;
+    this.fetch = opts.fetch || fetch;
+    this.log = opts.log || (() => {});
+    this.profiles = new Map();
+    this.childIds = new Map();
+    this.lastRequest = 0;
+  }
+
+  async _api(params) {
+    const wait = this.lastRequest + this.rateLimit - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    this.lastRequest = Date.now();
+    const body = new URLSearchParams({ ...params, appId: this.appId, format: 'json' });
+    const res = await this.fetch(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString(),
+    });
+    if (!res.ok) throw new Error(`WikiTree API ${res.status}`);
+    return res.json();
+  }
+
+  _remember(profile) {
+    const person = toPerson(profile);
+    this.profiles.set(person.id, { profile, person });
+    if (profile.Id) this.profiles.set(String(profile.Id), { profile, person });
+    return person;
+  }
+
+  async _profile(id) {
+    const key = String(id);
+    if (!this.profiles.has(key)) {
+      const data = await this._api({ action: 'getProfile', key, fields: FIELDS });
+      const profile = data?.[0]?.profile;
+      if (!profile || !profile.Name) return null;
+      this._remember(profile);
+      if (!this.profiles.has(key)) this.profiles.set(key, this.profiles.get(profile.Name));
+    }
+    return this.profiles.get(key);
+  }
+
+  async getPerson(id) {
+    const hit = await this._profile(id);
+    return hit ? hit.person : null;
+  }
+
+  async getParents(id) {
+    const hit = await this._profile(id);
+    if (!hit) return [];
+    const parents = [];
+    for (const [relationship, parentId] of [['father', hit.profile.Father], ['mother', hit.profile.Mother]]) {
+      if (!parentId || Number(parentId) <= 0) continue;
+      const person = await this.getPerson(parentId);
+      if (person) parents.push({ relationship, person });
+    }
+    return parents;
+  }
+
+  async getChildren(id) {
+    const hit = await this._profile(id);
+    if (!hit) return [];
+    if (!this.childIds.has(hit.person.id)) {
+      const data = await this._api({ action: 'getRelatives', keys: hit.person.id, getChildren: '1', fields: FIELDS });
+      const children = Object.values(data?.[0]?.items?.[0]?.person?.Children || {});
+      this.childIds.set(hit.person.id, children.filter(c => c && c.Name).map(c => this._remember(c).id));
+    }
+    return this.childIds.get(hit.person.id).map(childId => this.profiles.get(childId).person);
+  }
+}
+
+/** WikiTree profile → climb person ("0000-00-00" dates are unknown). */
+function toPerson(profile) {
+  const birthPlace = profile.BirthLocation || null;
+  const deathPlace = profile.DeathLocation || null;
+  return {
+    id: profile.Name,
+    name: profile.LongName ? profile.LongName.replace(/\s+/g, ' ').trim() : null,
+    sex: profile.Gender === 'Male' ? 'M' : profile.Gender === 'Female' ? 'F' : null,
+    birth_year: yearOf(profile.BirthDate),
+    death_year: yearOf(profile.DeathDate),
+    birth_place: birthPlace,
+    death_place: deathPlace,
+    locations: [birthPlace, deathPlace].filter(Boolean),
+    fs_id: null,
+    wikitree_id: profile.Name,
+    url: `https://www.wikitree.com/wiki/${profile.Name}`,
+    living: Number(profile.IsLiving) === 1,
+  };
+}
+
+module.exports = WikiTreeProvider;
+module.exports.toPerson = toPerson;
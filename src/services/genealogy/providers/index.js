@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Tree providers for ClimbEngine. Each one exposes getPerson / getParents /
+ * getChildren over one family-tree source; see ClimbEngine for the shape.
+ */
+
+const InMemoryTreeProvider = require('./InMemoryTreeProvider');
+const WikiTreeProvider = require('./WikiTreeProvider');
+const FamilySearchProvider = require('./FamilySearchProvider');
+const FamilySearchBrowserProvider = require('./FamilySearchBrowserProvider');
+
+module.exports = { InMemoryTreeProvider, WikiTreeProvider, FamilySearchProvider, FamilySearchBrowserProvider };
@@ -9,30 +9,38 @@
  *     → daa_generated         (DAAOrchestrator produced a daaRecord)
  *     → daa_submitted_onchain (blockchain submit returned a recordId)
  *
- * State is stored as tags appended to participants.roles[]. Append-only
- * and idempotent: calling advance() twice from the same state is safe.
+ * State lives in participant_pipeline_state (M118); every stage change and
+ * every failed attempt is appended to participant_stage_transitions with the
+ * actor, so /api/pipeline/history/:participantId can show a timeline (see
+ * pipeline-state.js). The stage is still mirrored as a tag in
+ * participants.roles[] for the intake review queue. Idempotent: calling
+ * advance() twice from the same state is safe.
+ *
+ * Each call advances at most one stage. pipeline-runner.js calls it on an
+ * interval for every due participant, backing off exponentially after
+ * failures.
+ *
+ * The daa_generated → daa_submitted_onchain step sends a transaction with the
+ * deployer key, so it only runs when the caller asks for it: advance() does
+ * by default (a manual push for one participant), the runner and advance-all
+ * pass submitOnChain: false unless explicitly enabled.
  *
  * What this orchestrator does NOT do:
  *   - Trigger the FamilySearch climber. The climber needs interactive
  *     Chrome + FS login on the host machine; it's started by hand or via
  *     POST /api/ancestor-climb/start. Once a session exists and reaches
  *     status='completed', advance() picks it up.
- *   - Run on a timer. Each call advances at most one stage. A cron or
- *     manual call drives progress.
  */
 
 const db = require('../database/connection');
 const daaRoute = require('../api/routes/daa');
 const MatchVerifier = require('./match-verification');
+const pipelineState = require('./pipeline-state');
+const DAADocumentManifestService = require('./reparations/DAADocumentManifestService');
+const { getActiveNetwork } = require('./blockchain/network-config');
+const { escrowSigner, submitAncestryRecord, recordDAASubmission } = require('./blockchain/escrow-submission');
 
-const PIPELINE_STATES = [
-    'intake_pending_review',
-    'climb_in_progress',
-    'climb_complete',
-    'verification_complete',
-    'daa_generated',
-    'daa_submitted_onchain',
-];
+const { PIPELINE_STATES } = pipelineState;
 
 function currentState(roles) {
     if (!Array.isArray(roles) || roles.length === 0) return null;
@@ -145,12 +153,44 @@ async function runVerification(sessionId) {
     return stats;
 }
 
+/**
+ * Advance one participant by at most one stage and record the attempt.
+ *
+ * @param {string} participantId
+ * @param {Object} [opts] - { dryRun, actor, submitOnChain } — actor is logged
+ *   on the transition ('api', 'pipeline-runner', a reviewer username);
+ *   submitOnChain: false stops at daa_generated instead of sending the DAA
+ *   on chain (default true)
+ */
 async function advance(participantId, opts = {}) {
     const dryRun = opts.dryRun === true;
+    const submitOnChain = opts.submitOnChain !== false;
     const r = await db.query(`SELECT * FROM participants WHERE id = $1 LIMIT 1`, [participantId]);
     if (r.rowCount === 0) throw new Error(`participant ${participantId} not found`);
     const participant = r.rows[0];
-    const from = currentState(participant.roles);
+    const prev = await pipelineState.loadState(db, participantId);
+    const startedAt = new Date();
+
+    let result;
+    try {
+        result = await step(participant, prev?.current_state || currentState(participant.roles), dryRun, submitOnChain);
+    } catch (e) {
+        if (!dryRun) {
+            const from = prev?.current_state || currentState(participant.roles);
+            await pipelineState.recordOutcome(db, participantId, prev,
+                { participantId, from, to: from, failed: true, reason: e.message },
+                { actor: opts.actor, startedAt });
+        }
+        throw e;
+    }
+    if (!dryRun) {
+        result.schedule = await pipelineState.recordOutcome(db, participantId, prev, result, { actor: opts.actor, startedAt });
+    }
+    return result;
+}
+
+async function step(participant, from, dryRun, submitOnChain = true) {
+    const participantId = participant.id;
 
     // Sync climb state from ancestor_climb_sessions before deciding.
     // The climber is owned by an external process; pipeline tags can lag
@@ -173,7 +213,7 @@ async function advance(participantId, opts = {}) {
         return { participantId, from, to: 'climb_in_progress', sessionId: session.id, output: { status: session.status } };
     }
 
-    const state = currentState(participant.roles);
+    const state = from;
 
     if (state === null || state === 'intake_pending_review') {
         return {
@@ -210,16 +250,22 @@ async function advance(participantId, opts = {}) {
         };
         const result = await invokeRouteHandler(daaRoute, 'post', '/generate', fakeReq);
         if (!result.success) {
-            return { participantId, from: state, to: state, blocked: true, reason: result.error, code: result.code };
+            return { participantId, from: state, to: state, blocked: true, failed: true, reason: result.error, code: result.code };
         }
         await appendRole(participantId, 'daa_generated', dryRun);
         return { participantId, from: state, to: 'daa_generated', output: result };
     }
 
     if (state === 'daa_generated') {
-        if (!process.env.DEPLOYER_PRIVATE_KEY) {
+        if (!submitOnChain) {
             return {
                 participantId, from: state, to: state, blocked: true,
+                reason: 'on-chain submission not enabled for this caller — POST /api/pipeline/advance/:participantId, or set PIPELINE_AUTO_SUBMIT_ONCHAIN=true for the runner',
+            };
+        }
+        if (!process.env.DEPLOYER_PRIVATE_KEY) {
+            return {
+                participantId, from: state, to: state, blocked: true, failed: true,
                 reason: 'DEPLOYER_PRIVATE_KEY not set — on-chain submission requires server-side signer or participant MetaMask flow.',
             };
         }
@@ -230,7 +276,7 @@ async function advance(participantId, opts = {}) {
         const daaRow = await db.query(
             `SELECT daa.daa_id, daa.agreement_number, daa.acknowledger_name,
                     daa.slaveholder_name, daa.slaveholder_familysearch_id,
-                    daa.total_debt
+                    daa.total_debt, daa.blockchain_record_id, daa.blockchain_network
              FROM participant_daas pd
              JOIN debt_acknowledgment_agreements daa ON daa.daa_id = pd.daa_id
              WHERE pd.participant_id = $1
@@ -246,7 +292,7 @@ async function advance(participantId, opts = {}) {
         }
         const onchain = await submitExistingDAAOnChain(daa);
         if (!onchain.success) {
-            return { participantId, from: state, to: state, blocked: true, reason: onchain.error, output: onchain };
+            return { participantId, from: state, to: state, blocked: true, failed: true, reason: onchain.error, output: onchain };
         }
         await appendRole(participantId, 'daa_submitted_onchain', dryRun);
         return { participantId, from: state, to: 'daa_submitted_onchain', output: onchain };
@@ -289,45 +335,56 @@ async function invokeRouteHandler(router, method, path, req) {
 // Submit an EXISTING DAA on-chain, by daa_id, without regenerating it.
 // Used by the orchestrator's daa_generated → daa_submitted_onchain
 // transition so we don't INSERT a duplicate DAA row just to call
-// submitAncestryRecord.
+// submitAncestryRecord. Goes to the active network (BLOCKCHAIN_NETWORK) and
+// stores the record on the agreement; a DAA that already has one is not sent
+// again.
 async function submitExistingDAAOnChain(daa) {
-    if (!process.env.DEPLOYER_PRIVATE_KEY) {
-        return { success: false, error: 'DEPLOYER_PRIVATE_KEY not configured' };
+    if (daa.blockchain_record_id != null) {
+        return {
+            success: true,
+            alreadySubmitted: true,
+            daaId: daa.daa_id,
+            recordId: Number(daa.blockchain_record_id),
+            network: daa.blockchain_network,
+        };
     }
     const { ethers } = require('ethers');
-    const fs = require('fs');
-    const path = require('path');
     try {
-        const deployment = JSON.parse(fs.readFileSync(
-            path.resolve(__dirname, '../../deployments/base-deployment.json'), 'utf-8'));
-        const abi = JSON.parse(fs.readFileSync(
-            path.resolve(__dirname, '../../deployments/ReparationsEscrow-abi.json'), 'utf-8'));
-        const provider = new ethers.JsonRpcProvider('https://mainnet.base.org');
-        const signer = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider);
-        const contract = new ethers.Contract(deployment.contractAddress, abi, signer);
+        const network = getActiveNetwork();
+        const contract = escrowSigner(network);
+        if (!contract) return { success: false, error: 'DEPLOYER_PRIVATE_KEY not configured' };
 
-        const totalOwed = Number(daa.total_debt) || 0;
-        const docHash = ethers.keccak256(ethers.toUtf8Bytes(daa.daa_id));
-        const amount = ethers.parseUnits(totalOwed.toFixed(2), 6);
-        const ancestorName = daa.slaveholder_name || daa.acknowledger_name || 'unknown';
-        const fsIdForRecord = daa.slaveholder_familysearch_id || '';
-        const notes = `DAA ${daa.agreement_number || daa.daa_id}`;
+        // docHash is the DAA's document manifest root (M125); build or refresh
+        // it first. A DAA with no stored documents falls back to keccak(daa_id).
+        const manifests = new DAADocumentManifestService(db);
+        let manifest = null;
+        try {
+            manifest = await manifests.buildManifest(daa.daa_id, { createdBy: 'pipeline_orchestrator' });
+        } catch (e) {
+            console.warn(`[pipeline] document manifest for ${daa.daa_id} unavailable: ${e.message}`);
+        }
 
-        const tx = await contract.submitAncestryRecord(ancestorName, fsIdForRecord, docHash, amount, notes);
-        const receipt = await tx.wait();
-        const event = receipt.logs.find(l => {
-            try { return contract.interface.parseLog(l)?.name === 'AncestryRecordSubmitted'; }
-            catch { return false; }
+        const submission = await submitAncestryRecord(contract, network, {
+            ancestorName: daa.slaveholder_name || daa.acknowledger_name || 'unknown',
+            familySearchId: daa.slaveholder_familysearch_id || '',
+            docHash: manifest ? manifest.merkle_root : ethers.keccak256(ethers.toUtf8Bytes(daa.daa_id)),
+            amountUsd: Number(daa.total_debt) || 0,
+            notes: `DAA ${daa.agreement_number || daa.daa_id}`,
         });
-        const recordId = event ? Number(contract.interface.parseLog(event).args[0]) : null;
+        if (submission.recordId != null) {
+            await recordDAASubmission(db, daa.daa_id, submission)
+                .catch(e => console.warn(`[pipeline] storing on-chain record failed: ${e.message}`));
+        }
+        if (manifest) {
+            await manifests.markSubmitted(manifest.id, submission)
+                .catch(e => console.warn(`[pipeline] marking manifest submitted failed: ${e.message}`));
+        }
 
         return {
             success: true,
             daaId: daa.daa_id,
-            recordId,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber,
-            explorerUrl: `https://basescan.org/tx/${receipt.hash}`,
+            merkleRoot: manifest ? manifest.merkle_root : null,
+            ...submission,
         };
     } catch (e) {
         return { success: false, error: e.message };
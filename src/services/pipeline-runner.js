@@ -0,0 +1,136 @@
+/**
+ * PipelineRunner
+ *
+ * Background driver for pipeline-orchestrator.advance(). On every tick it
+ * picks the participants that are due (not terminal, next_attempt_at passed,
+ * fewer than maxAttempts consecutive failures) and advances each one as far
+ * as it will go — a participant whose climb just completed moves through
+ * verification and DAA generation in the same tick instead of one stage per
+ * manual advance-all call.
+ *
+ * Failures back off exponentially (pipeline-state.backoffMs); a participant
+ * that reaches maxAttempts stays put until someone calls
+ * POST /api/pipeline/advance/:participantId, which resets the count on
+ * success.
+ *
+ * The runner stops at daa_generated: sending the DAA on chain spends the
+ * deployer key, so it is left to POST /api/pipeline/advance/:participantId
+ * unless PIPELINE_AUTO_SUBMIT_ONCHAIN=true (or options.submitOnChain).
+ *
+ * Started by src/server.js when PIPELINE_RUNNER_INTERVAL_S is set.
+ */
+
+const { PIPELINE_STATES } = require('./pipeline-state');
+
+class PipelineRunner {
+    /**
+     * @param {Object} database - pg-compatible pool
+     * @param {Object} options - { advance, batchSize, maxAttempts, submitOnChain, logger }
+     */
+    constructor(database, options = {}) {
+        this.db = database;
+        this.advance = options.advance || require('./pipeline-orchestrator').advance;
+        this.batchSize = options.batchSize || 50;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.PIPELINE_MAX_ATTEMPTS, 10) || 8;
+        this.submitOnChain = options.submitOnChain ?? process.env.PIPELINE_AUTO_SUBMIT_ONCHAIN === 'true';
+        this.log = options.logger || console;
+        this.timer = null;
+        this.running = false;
+        this.lastRun = null;
+    }
+
+    /**
+     * Participants the runner should try now, least recently tried first so
+     * a long tail of waiting participants can't starve the rest. Without
+     * submitOnChain, those waiting at daa_generated are not due.
+     */
+    async due() {
+        const r = await this.db.query(
+            `SELECT p.id
+             FROM participants p
+             LEFT JOIN participant_pipeline_state s ON s.participant_id = p.id
+             WHERE s.current_state IS DISTINCT FROM 'daa_submitted_onchain'
+               AND NOT ('daa_submitted_onchain' = ANY(COALESCE(p.roles, ARRAY[]::text[])))
+               AND (s.next_attempt_at IS NULL OR s.next_attempt_at <= NOW())
+               AND COALESCE(s.attempts, 0) < $1
+               AND ($3 OR s.current_state IS DISTINCT FROM 'daa_generated')
+             ORDER BY s.last_attempt_at ASC NULLS FIRST, p.intake_date ASC
+             LIMIT $2`,
+            [this.maxAttempts, this.batchSize, this.submitOnChain],
+        );
+        return r.rows.map(row => row.id);
+    }
+
+    /**
+     * One pass over the due participants.
+     */
+    async runOnce() {
+        const startedAt = new Date();
+        const summary = { participants: 0, advanced: 0, blocked: 0, failed: 0, terminal: 0, errors: [] };
+
+        for (const id of await this.due()) {
+            summary.participants++;
+            // Bounded by the number of stages: each step either moves forward or stops.
+            for (let i = 0; i < PIPELINE_STATES.length; i++) {
+                let result;
+                try {
+                    result = await this.advance(id, { actor: 'pipeline-runner', submitOnChain: this.submitOnChain });
+                } catch (err) {
+                    summary.failed++;
+                    summary.errors.push({ participantId: id, error: err.message });
+                    break;
+                }
+                const outcome = result.schedule?.outcome;
+                if (outcome === 'advanced') {
+                    summary.advanced++;
+                    continue;
+                }
+                if (outcome === 'failed') {
+                    summary.failed++;
+                    summary.errors.push({ participantId: id, error: result.reason });
+                } else if (outcome === 'terminal') {
+                    summary.terminal++;
+                } else {
+                    summary.blocked++;
+                }
+                break;
+            }
+        }
+
+        this.lastRun = { ...summary, startedAt, finishedAt: new Date() };
+        return this.lastRun;
+    }
+
+    /**
+     * Run on an interval until stop() is called. Overlapping runs are skipped.
+     */
+    start(intervalMs = 5 * 60 * 1000) {
+        if (this.timer) return;
+
+        const tick = async () => {
+            if (!this.running) {
+                this.running = true;
+                try {
+                    const r = await this.runOnce();
+                    if (r.advanced > 0 || r.failed > 0) {
+                        this.log.info(`[pipeline-runner] ${r.participants} due: ${r.advanced} stage(s) advanced, ${r.failed} failed, ${r.blocked} waiting`);
+                    }
+                } catch (err) {
+                    this.log.error(`[pipeline-runner] Run failed: ${err.message}`);
+                } finally {
+                    this.running = false;
+                }
+            }
+            if (this.timer) this.timer = setTimeout(tick, intervalMs);
+        };
+
+        this.timer = setTimeout(tick, 0);
+    }
+
+    stop() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = PipelineRunner;
@@ -0,0 +1,136 @@
+/**
+ * Pipeline state + stage-transition log (M118)
+ *
+ * Persistence behind pipeline-orchestrator.advance(). Every attempt ends in
+ * one of four outcomes, derived from the advance() result:
+ *
+ *   advanced  to !== from          — transition logged, attempts reset
+ *   failed    result.failed / threw — transition logged with the error,
+ *                                    next_attempt_at pushed out by backoffMs()
+ *   blocked   waiting on something outside the pipeline (climb running, no
+ *             session yet) — only last_reason is updated, nothing logged
+ *   terminal  daa_submitted_onchain
+ *
+ * The runner (pipeline-runner.js) only picks participants whose
+ * next_attempt_at has passed.
+ */
+
+const PIPELINE_STATES = [
+    'intake_pending_review',
+    'climb_in_progress',
+    'climb_complete',
+    'verification_complete',
+    'daa_generated',
+    'daa_submitted_onchain',
+];
+
+const BACKOFF_BASE_MS = (parseInt(process.env.PIPELINE_RETRY_BASE_S, 10) || 60) * 1000;
+const BACKOFF_MAX_MS = (parseInt(process.env.PIPELINE_RETRY_MAX_S, 10) || 6 * 60 * 60) * 1000;
+
+/**
+ * Delay before retrying after the Nth consecutive failure: base · 2^(n-1), capped.
+ */
+function backoffMs(attempts, { baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS } = {}) {
+    if (attempts <= 0) return 0;
+    return Math.min(baseMs * 2 ** (attempts - 1), maxMs);
+}
+
+function outcomeOf(result) {
+    if (result.failed) return 'failed';
+    if (result.terminal) return 'terminal';
+    if (!result.blocked && result.to && result.to !== result.from) return 'advanced';
+    return 'blocked';
+}
+
+async function loadState(db, participantId) {
+    const r = await db.query(
+        `SELECT * FROM participant_pipeline_state WHERE participant_id = $1`,
+        [participantId],
+    );
+    return r.rows[0] || null;
+}
+
+/**
+ * Persist one advance() attempt.
+ *
+ * @param {Object} db
+ * @param {string} participantId
+ * @param {Object|null} prev - participant_pipeline_state row before the attempt
+ * @param {Object} result - advance() result ({ from, to, blocked, failed, terminal, reason, output })
+ * @param {Object} ctx - { actor, startedAt, now }
+ * @returns {Promise<Object>} { outcome, attempts, nextAttemptAt }
+ */
+async function recordOutcome(db, participantId, prev, result, { actor = 'api', startedAt = new Date(), now = new Date() } = {}) {
+    const outcome = outcomeOf(result);
+    const priorAttempts = prev?.attempts || 0;
+    let state = result.from ?? null;
+    let enteredAt = prev?.entered_state_at ?? null;
+    let attempts = priorAttempts;
+    let lastError = prev?.last_error ?? null;
+    let lastReason = null;
+    let nextAttemptAt = null;
+
+    if (outcome === 'advanced') {
+        state = result.to;
+        enteredAt = now;
+        attempts = 0;
+        lastError = null;
+    } else if (outcome === 'failed') {
+        attempts = priorAttempts + 1;
+        lastError = result.reason || result.error || 'unknown error';
+        nextAttemptAt = new Date(now.getTime() + backoffMs(attempts));
+    } else {
+        lastReason = result.reason || null;
+    }
+
+    if (outcome === 'advanced' || outcome === 'failed') {
+        await db.query(
+            `INSERT INTO participant_stage_transitions
+                 (participant_id, from_state, to_state, outcome, attempt, error, actor, detail, started_at, finished_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [participantId, result.from ?? null, outcome === 'advanced' ? result.to : null, outcome,
+                priorAttempts + 1, outcome === 'failed' ? lastError : null, actor,
+                JSON.stringify({ sessionId: result.sessionId || null, output: result.output ?? null }),
+                startedAt, now],
+        );
+    }
+
+    await db.query(
+        `INSERT INTO participant_pipeline_state
+             (participant_id, current_state, entered_state_at, attempts, last_error, last_reason,
+              last_attempt_at, next_attempt_at, last_actor, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+         ON CONFLICT (participant_id) DO UPDATE SET
+             current_state = EXCLUDED.current_state,
+             entered_state_at = EXCLUDED.entered_state_at,
+             attempts = EXCLUDED.attempts,
+             last_error = EXCLUDED.last_error,
+             last_reason = EXCLUDED.last_reason,
+             last_attempt_at = EXCLUDED.last_attempt_at,
+             next_attempt_at = EXCLUDED.next_attempt_at,
+             last_actor = EXCLUDED.last_actor,
+             updated_at = NOW()`,
+        [participantId, state, enteredAt, attempts, lastError, lastReason, now, nextAttemptAt, actor],
+    );
+
+    return { outcome, attempts, nextAttemptAt };
+}
+
+/**
+ * Timeline for one participant, oldest first.
+ */
+async function history(db, participantId, { limit = 200 } = {}) {
+    const r = await db.query(
+        `SELECT id, from_state, to_state, outcome, attempt, error, actor, detail, started_at, finished_at
+         FROM participant_stage_transitions
+         WHERE participant_id = $1
+         ORDER BY started_at ASC, id ASC
+         LIMIT $2`,
+        [participantId, Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000)],
+    );
+    return r.rows;
+}
+
+module.exports = {
+    PIPELINE_STATES, backoffMs, outcomeOf, loadState, recordOutcome, history, BACKOFF_BASE_MS, BACKOFF_MAX_MS,
+};
@@ -6,8 +6,17 @@
  * STRICTLY on the retrieved OCR text, returning structured {answer, citations:[document_id]} so
  * every claim traces to a row (the project's audit rule). The model never answers from its own
  * knowledge — only from retrieved, cited documents.
+ *
+ * Phase 2d (M121): retrieval is HYBRID over document_passages — Postgres full-text (exact
+ * surnames, plantation names) + pg_trgm word_similarity (OCR-mangled names) + pgvector cosine,
+ * fused by reciprocal rank (passages.js). Each hit is a passage with char_start/char_end into
+ * person_documents.ocr_text, so citations point at the span. If the query embedder is down the
+ * retrieval degrades to lexical-only and says so (retrieval_log.retrieval_mode). qualityReport()
+ * writes retrieval-quality checks into the M106 retrieval_health_ledger.
  */
+const crypto = require('crypto');
 const { callLLM } = require('../probate/probate-llm-extractor');
+const { fuseRankings, queryTerms, nameTerms } = require('./passages');
 
 // Query must embed in the SAME space as the corpus. The bulk corpus is built with self-hosted
 // ollama nomic-embed-text (free, no daily cap) — so that is the default. EMBED_SOURCE=gemini stays
@@ -43,57 +52,287 @@ async function embedQuery(text, attempt = 0) {
   return v;
 }
 
+// Candidates pulled from each ranker before fusion, per final result.
+const CANDIDATES_PER_K = 4;
+// Doc-level snippet when the hit comes from a whole-document (doc_ocr) vector with no passages yet.
+const DOC_SNIPPET_CHARS = 1200;
+
+// retrieval_health_ledger thresholds for qualityReport(). warn/fail never 'critical': retrieval
+// quality informs, it does not gate a deploy (only the M106 integrity checks do).
+const QUALITY_THRESHOLDS = {
+  groundedRateWarn: 0.6,        // share of answers citing ≥1 retrieved doc
+  weakRateWarn: 0.5,            // share of vector retrievals with top similarity < 0.5
+  lexicalOnlyRateWarn: 0.2,     // share of retrievals where the embedder was down
+  passageCoverageWarn: 0.95,    // share of OCR'd documents cut into passages
+  evalRecallWarn: 0.8,
+  evalRecallFail: 0.5,
+};
+
 class RagService {
-  constructor(db) { this.db = db; }
-
-  /** Retrieve the top-k document chunks semantically nearest the question. */
-  async retrieve(question, k = 6) {
-    const q = '[' + (await embedQuery(question)).join(',') + ']';
-    const { rows } = await this.db.query(
-      `SELECT e.subject_id AS document_id,
-              1 - (e.embedding <=> $1::vector) AS similarity,
-              left(pd.ocr_text, 1200) AS snippet,
-              pd.document_type, pd.source_url, pd.collection_name
-         FROM embeddings e
-         JOIN person_documents pd ON pd.id = e.subject_id::int
-        WHERE e.content_kind = 'doc_ocr' AND e.model = $2
-        ORDER BY e.embedding <=> $1::vector
-        LIMIT $3`, [q, EMBED_MODEL, k]);
-    return rows;
+  /**
+   * @param {Object} db - pg pool
+   * @param {Object} [opts] - { embed, llm } overrides (tests / alternate providers)
+   */
+  constructor(db, { embed = embedQuery, llm = callLLM } = {}) {
+    this.db = db;
+    this.embed = embed;
+    this.llm = llm;
+  }
+
+  /** Retrieve the top-k passages for the question (hybrid: lexical + trigram + vector, RRF-fused). */
+  async retrieve(question, k = 6, opts = {}) {
+    return (await this._retrieve(question, k, opts)).passages;
   }
 
-  /** Grounded answer: retrieve → LLM answers ONLY from retrieved docs → {answer, citations}.
-   *  Logs the retrieval to retrieval_log (Phase 2c) for the feedback loop. opts.log=false to skip. */
-  async query(question, { k = 6, log = true } = {}) {
+  /** @returns {{ passages: Array, mode: 'hybrid'|'lexical'|'vector', embedError: string|null }} */
+  async _retrieve(question, k = 6, { mode = 'hybrid' } = {}) {
+    const n = Math.max(k * CANDIDATES_PER_K, 20);
+    const lists = {};
+    let embedError = null;
+
+    if (mode !== 'vector') {
+      const terms = queryTerms(question);
+      if (terms.length) {
+        lists.lexical = (await this.db.query(
+          `SELECT p.id AS passage_id, p.document_id, p.char_start, p.char_end, p.text,
+                  ts_rank_cd(p.tsv, q) AS lexical_score
+             FROM document_passages p, to_tsquery('simple', $1) q
+            WHERE p.tsv @@ q
+            ORDER BY lexical_score DESC
+            LIMIT $2`, [terms.join(' | '), n])).rows;
+      }
+      const names = nameTerms(question);
+      if (names.length) {
+        lists.trigram = (await this.db.query(
+          `SELECT p.id AS passage_id, p.document_id, p.char_start, p.char_end, p.text,
+                  word_similarity($1, p.text) AS trigram_score
+             FROM document_passages p
+            WHERE $1 <% p.text
+            ORDER BY trigram_score DESC
+            LIMIT $2`, [names.join(' '), n])).rows;
+      }
+    }
+
+    if (mode !== 'lexical') {
+      let q = null;
+      try {
+        q = '[' + (await this.embed(question)).join(',') + ']';
+      } catch (e) {
+        embedError = e.message;
+        if (mode === 'vector') throw e;
+      }
+      if (q) {
+        lists.vector = (await this.db.query(
+          `SELECT p.id AS passage_id, p.document_id, p.char_start, p.char_end, p.text,
+                  1 - (e.embedding <=> $1::vector) AS similarity
+             FROM embeddings e
+             JOIN document_passages p ON p.id = e.subject_id::bigint
+            WHERE e.subject_table = 'document_passages' AND e.content_kind = 'passage_ocr' AND e.model = $2
+            ORDER BY e.embedding <=> $1::vector
+            LIMIT $3`, [q, EMBED_MODEL, n])).rows;
+        if (!lists.vector.length) {
+          // Passage vectors not built yet → whole-document vectors (M107 doc_ocr), cited as the
+          // document's first passage (or its opening DOC_SNIPPET_CHARS when not yet chunked).
+          lists.vector = (await this.db.query(
+            `SELECT p.id AS passage_id, pd.id AS document_id,
+                    COALESCE(p.char_start, 0) AS char_start,
+                    COALESCE(p.char_end, least(length(pd.ocr_text), $4)) AS char_end,
+                    COALESCE(p.text, left(pd.ocr_text, $4)) AS text,
+                    1 - (e.embedding <=> $1::vector) AS similarity
+               FROM embeddings e
+               JOIN person_documents pd ON pd.id = e.subject_id::int
+               LEFT JOIN document_passages p ON p.document_id = pd.id AND p.passage_index = 0
+              WHERE e.content_kind = 'doc_ocr' AND e.model = $2
+              ORDER BY e.embedding <=> $1::vector
+              LIMIT $3`, [q, EMBED_MODEL, n, DOC_SNIPPET_CHARS])).rows;
+        }
+      }
+    }
+
+    const fused = fuseRankings(lists, { key: r => r.passage_id != null ? `p${r.passage_id}` : `d${r.document_id}` })
+      .slice(0, k);
+    const docIds = [...new Set(fused.map(r => r.document_id))];
+    const meta = new Map();
+    if (docIds.length) {
+      const { rows } = await this.db.query(
+        `SELECT id, document_type, source_url, collection_name FROM person_documents WHERE id = ANY($1::int[])`,
+        [docIds]);
+      rows.forEach(r => meta.set(String(r.id), r));
+    }
+
+    const passages = fused.map(r => {
+      const m = meta.get(String(r.document_id)) || {};
+      return {
+        document_id: r.document_id,
+        passage_id: r.passage_id ?? null,
+        char_start: r.char_start,
+        char_end: r.char_end,
+        snippet: r.text,
+        score: +r.score.toFixed(6),
+        similarity: r.similarity != null ? +r.similarity : null,
+        lexical_rank: r.ranks.lexical || null,
+        trigram_rank: r.ranks.trigram || null,
+        vector_rank: r.ranks.vector || null,
+        document_type: m.document_type || null,
+        source_url: m.source_url || null,
+        collection_name: m.collection_name || null,
+      };
+    });
+    const used = mode === 'hybrid' && !lists.vector ? 'lexical' : mode;
+    return { passages, mode: used, embedError };
+  }
+
+  /** Grounded answer: retrieve → LLM answers ONLY from retrieved passages → {answer, citations}.
+   *  Citations carry document_id + char_start/char_end (the span in ocr_text). Logs the retrieval
+   *  to retrieval_log (Phase 2c) for the feedback loop. opts.log=false to skip. */
+  async query(question, { k = 6, log = true, mode = 'hybrid' } = {}) {
     const t0 = Date.now();
-    const ctx = await this.retrieve(question, k);
+    const { passages: ctx, mode: used } = await this._retrieve(question, k, { mode });
     if (!ctx.length) {
-      if (log) await this._log(question, k, [], [], null, Date.now() - t0).catch(() => {});
-      return { answer: 'No documents are indexed yet for this query.', citations: [], retrieved: [] };
+      if (log) await this._log(question, k, [], [], null, Date.now() - t0, used).catch(() => {});
+      return { answer: 'No documents are indexed yet for this query.', citations: [], retrieved: [], mode: used };
     }
-    const corpus = ctx.map(c => `[doc ${c.document_id}] (${c.document_type || 'document'}; sim ${(+c.similarity).toFixed(2)})\n${c.snippet}`).join('\n\n');
+    const corpus = ctx.map((c, i) => `[P${i + 1}] doc ${c.document_id}, chars ${c.char_start}–${c.char_end} (${c.document_type || 'document'})\n${c.snippet}`).join('\n\n');
     const prompt =
-      `You answer questions about historical slavery records STRICTLY from the provided documents.\n` +
-      `Use ONLY the documents below. If they do not contain the answer, say so. Cite the doc numbers you used.\n` +
-      `Return JSON: {"answer": string, "citations": [doc_id_integer, ...]}.\n\n` +
-      `QUESTION: ${question}\n\nDOCUMENTS:\n${corpus}`;
-    const { json, provider } = await callLLM(prompt, { maxTokens: 1500 });
-    const citeIds = Array.isArray(json?.citations) ? json.citations.map(String) : [];
-    const citedCtx = ctx.filter(c => citeIds.includes(String(c.document_id)));
-    const citations = (citedCtx.length ? citedCtx : ctx.slice(0, 3)).map(c => ({ document_id: c.document_id, source_url: c.source_url, document_type: c.document_type }));
-    if (log) await this._log(question, k, ctx, citeIds, provider, Date.now() - t0).catch(() => {});
-    return { answer: json?.answer || '(no answer)', citations, retrieved: ctx.map(c => ({ document_id: c.document_id, similarity: c.similarity })), provider };
+      `You answer questions about historical slavery records STRICTLY from the provided passages.\n` +
+      `Use ONLY the passages below. If they do not contain the answer, say so. Cite the passage labels you used.\n` +
+      `Return JSON: {"answer": string, "citations": ["P1", ...]}.\n\n` +
+      `QUESTION: ${question}\n\nPASSAGES:\n${corpus}`;
+    const { json, provider } = await this.llm(prompt, { maxTokens: 1500 });
+    const citedCtx = resolveCitations(json?.citations, ctx);
+    const citations = (citedCtx.length ? citedCtx : ctx.slice(0, 3)).map(c => ({
+      document_id: c.document_id, passage_id: c.passage_id, char_start: c.char_start, char_end: c.char_end,
+      source_url: c.source_url, document_type: c.document_type,
+    }));
+    if (log) await this._log(question, k, ctx, citedCtx, provider, Date.now() - t0, used).catch(() => {});
+    return {
+      answer: json?.answer || '(no answer)',
+      citations,
+      retrieved: ctx.map(c => ({ document_id: c.document_id, passage_id: c.passage_id, char_start: c.char_start, char_end: c.char_end, score: c.score, similarity: c.similarity })),
+      provider,
+      mode: used,
+    };
   }
 
-  async _log(question, k, ctx, citeIds, provider, latencyMs) {
-    const topSim = ctx.length ? Math.max(...ctx.map(c => +c.similarity)) : null;
+  async _log(question, k, ctx, cited, provider, latencyMs, mode = null) {
+    const sims = ctx.map(c => c.similarity).filter(s => s != null).map(Number);
+    const topSim = sims.length ? Math.max(...sims) : null;
+    const citeIds = [...new Set(cited.map(c => String(c.document_id)))];
     await this.db.query(
-      `INSERT INTO retrieval_log (query_text, k, retrieved, top_similarity, cited, cited_count, grounded, provider, latency_ms)
-       VALUES ($1,$2,$3::jsonb,$4,$5::jsonb,$6,$7,$8,$9)`,
+      `INSERT INTO retrieval_log (query_text, k, retrieved, top_similarity, cited, cited_count, grounded, provider, latency_ms, retrieval_mode)
+       VALUES ($1,$2,$3::jsonb,$4,$5::jsonb,$6,$7,$8,$9,$10)`,
       [String(question).slice(0, 1000), k,
-       JSON.stringify(ctx.map(c => ({ document_id: c.document_id, similarity: +(+c.similarity).toFixed(4) }))),
-       topSim, JSON.stringify(citeIds), citeIds.length, citeIds.length > 0, provider || null, latencyMs]);
+       JSON.stringify(ctx.map(c => ({
+         document_id: c.document_id, passage_id: c.passage_id, char_start: c.char_start, char_end: c.char_end,
+         score: c.score, similarity: c.similarity != null ? +(+c.similarity).toFixed(4) : null,
+       }))),
+       topSim, JSON.stringify(citeIds), citeIds.length, citeIds.length > 0, provider || null, latencyMs, mode]);
+  }
+
+  /**
+   * Retrieval-quality report → retrieval_health_ledger (M106), one run_id per report.
+   *   - from retrieval_log over the last `days`: groundedness, weak-retrieval and lexical-only
+   *     (embedder down) rates
+   *   - passage coverage: OCR'd documents not yet cut into passages, passages without vectors
+   *   - optional eval set [{ query, expect: [document_id, ...] }]: recall@k and MRR, one ledger
+   *     row per query so run-over-run diffs show which questions regressed
+   *
+   * @returns {Promise<Object>} { runId, log, coverage, eval, checks }
+   */
+  async qualityReport({ days = 7, evalSet = [], k = 6, write = true, runId = crypto.randomUUID() } = {}) {
+    const T = QUALITY_THRESHOLDS;
+    const checks = [];
+    const check = (subject_type, subject_id, check_name, status, detail) =>
+      checks.push({ subject_type, subject_id: String(subject_id), check_name, status, severity: status === 'ok' ? 'info' : 'low', detail });
+
+    const log = (await this.db.query(
+      `SELECT count(*)::int AS queries,
+              avg(CASE WHEN grounded THEN 1.0 ELSE 0.0 END)::float AS grounded_rate,
+              avg(CASE WHEN top_similarity IS NULL THEN NULL WHEN top_similarity < 0.5 THEN 1.0 ELSE 0.0 END)::float AS weak_rate,
+              avg(CASE WHEN retrieval_mode = 'lexical' THEN 1.0 ELSE 0.0 END)::float AS lexical_only_rate,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms)::float AS p50_latency_ms
+         FROM retrieval_log
+        WHERE created_at > now() - make_interval(days => $1)`, [days])).rows[0];
+    if (log.queries > 0) {
+      const rate = (name, value, bad) => check('rag_retrieval', `last_${days}d`, name, bad ? 'warn' : 'ok', { value, queries: log.queries });
+      rate('rag_grounded_rate', log.grounded_rate, log.grounded_rate < T.groundedRateWarn);
+      if (log.weak_rate != null) rate('rag_weak_retrieval_rate', log.weak_rate, log.weak_rate > T.weakRateWarn);
+      rate('rag_lexical_only_rate', log.lexical_only_rate, log.lexical_only_rate > T.lexicalOnlyRateWarn);
+    }
+
+    const coverage = (await this.db.query(
+      `SELECT (SELECT count(*)::int FROM person_documents d
+                WHERE d.ocr_text IS NOT NULL AND length(d.ocr_text) > 40) AS documents,
+              (SELECT count(*)::int FROM person_documents d
+                WHERE d.ocr_text IS NOT NULL AND length(d.ocr_text) > 40
+                  AND NOT EXISTS (SELECT 1 FROM document_passages p WHERE p.document_id = d.id)) AS unchunked,
+              (SELECT count(*)::int FROM document_passages p
+                WHERE NOT EXISTS (SELECT 1 FROM embeddings e
+                                   WHERE e.subject_table = 'document_passages' AND e.subject_id = p.id::text
+                                     AND e.content_kind = 'passage_ocr' AND e.model = $1)) AS unembedded_passages`,
+      [EMBED_MODEL])).rows[0];
+    coverage.passage_coverage = coverage.documents ? +(1 - coverage.unchunked / coverage.documents).toFixed(4) : null;
+    if (coverage.documents) {
+      check('rag_retrieval', 'corpus', 'rag_passage_coverage',
+        coverage.passage_coverage < T.passageCoverageWarn ? 'warn' : 'ok', { ...coverage, model: EMBED_MODEL });
+    }
+
+    let evalResult = null;
+    if (evalSet.length) {
+      const perQuery = [];
+      for (const item of evalSet) {
+        const expect = (item.expect || []).map(String);
+        const got = (await this.retrieve(item.query, k)).map(r => String(r.document_id));
+        const found = expect.filter(id => got.includes(id));
+        const firstRank = got.findIndex(id => expect.includes(id)) + 1;
+        const recall = expect.length ? found.length / expect.length : 0;
+        perQuery.push({ query: item.query, recall, reciprocalRank: firstRank ? 1 / firstRank : 0 });
+        check('rag_eval_query', String(item.query).slice(0, 200), 'rag_eval_recall_at_k',
+          recall >= T.evalRecallWarn ? 'ok' : recall >= T.evalRecallFail ? 'warn' : 'fail',
+          { k, expect, retrieved: got, recall, first_hit_rank: firstRank || null });
+      }
+      const mean = (f) => perQuery.reduce((s, q) => s + q[f], 0) / perQuery.length;
+      evalResult = { k, queries: perQuery.length, recallAtK: +mean('recall').toFixed(4), mrr: +mean('reciprocalRank').toFixed(4), perQuery };
+      check('rag_retrieval', 'eval_set', 'rag_eval_recall_at_k',
+        evalResult.recallAtK >= T.evalRecallWarn ? 'ok' : evalResult.recallAtK >= T.evalRecallFail ? 'warn' : 'fail',
+        { k, queries: evalResult.queries, recall_at_k: evalResult.recallAtK, mrr: evalResult.mrr });
+    }
+
+    if (write && checks.length) {
+      const vals = [], params = [];
+      checks.forEach((c, i) => {
+        const b = i * 7;
+        vals.push(`($${b + 1},$${b + 2},$${b + 3},$${b + 4},$${b + 5},$${b + 6},$${b + 7}::jsonb)`);
+        params.push(runId, c.subject_type, c.subject_id, c.check_name, c.status, c.severity, JSON.stringify(c.detail));
+      });
+      await this.db.query(
+        `INSERT INTO retrieval_health_ledger (run_id, subject_type, subject_id, check_name, status, severity, detail) VALUES ${vals.join(',')}`,
+        params);
+    }
+
+    return { runId, days, log, coverage, eval: evalResult, checks };
+  }
+}
+
+/** LLM citations → retrieved passages. Accepts passage labels ("P2") and, for older prompts /
+ *  looser models, bare document ids (every retrieved passage of that document). */
+function resolveCitations(cited, ctx) {
+  if (!Array.isArray(cited)) return [];
+  const out = new Set();
+  for (const c of cited) {
+    const label = String(c).trim().match(/^\[?P(\d+)\]?$/i);
+    if (label) {
+      const hit = ctx[+label[1] - 1];
+      if (hit) out.add(hit);
+    } else {
+      ctx.filter(x => String(x.document_id) === String(c).trim()).forEach(x => out.add(x));
+    }
   }
+  return ctx.filter(x => out.has(x));
 }
 
 module.exports = RagService;
+module.exports.embedQuery = embedQuery;
+module.exports.resolveCitations = resolveCitations;
+module.exports.EMBED_MODEL = EMBED_MODEL;
+module.exports.QUALITY_THRESHOLDS = QUALITY_THRESHOLDS;
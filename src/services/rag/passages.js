@@ -0,0 +1,101 @@
+/**
+ * passages — pure helpers for passage-level hybrid retrieval (M121 document_passages).
+ *
+ * chunkText(ocr) cuts OCR text into overlapping passages whose [start, end) offsets index the
+ * ORIGINAL string (text.slice(start, end) === passage.text), so a citation can name the span.
+ * Cuts prefer a blank line, then a newline, then a sentence end, then any whitespace — never
+ * mid-word. fuseRankings() is reciprocal-rank fusion (Cormack et al. 2009, k=60): rank-based,
+ * so ts_rank_cd, trigram word_similarity and cosine never have to share a scale.
+ */
+const crypto = require('crypto');
+
+const PASSAGE_CHARS = 1000;
+const PASSAGE_OVERLAP = 200;
+const RRF_K = 60;
+
+// Question words that carry no retrieval signal. Deliberately small: in these records "will",
+// "estate", "negro", "boy" etc. ARE the signal.
+const STOP = new Set(('a an and any are as at be but by did do does for from had has have how i in is it its ' +
+  'me my of on or that the their them there these they this those to was were what when where which who ' +
+  'whom whose why with you your list show tell find give about all many much documents document records record')
+  .split(' '));
+
+function contentHash(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+/** Last preferred break in text[from, to) — returns the offset just past it, or -1. */
+function lastBreak(text, from, to) {
+  const span = text.slice(from, to);
+  for (const re of [/\n\s*\n/g, /\n/g, /[.;:!?]\s/g, /\s/g]) {
+    let at = -1;
+    for (const m of span.matchAll(re)) at = m.index + m[0].length;
+    if (at > 0) return from + at;
+  }
+  return -1;
+}
+
+/**
+ * @param {string} text - person_documents.ocr_text
+ * @param {Object} [opts] - { size, overlap } in characters
+ * @returns {Array<{index, start, end, text}>}
+ */
+function chunkText(text, { size = PASSAGE_CHARS, overlap = PASSAGE_OVERLAP } = {}) {
+  const s = String(text || '');
+  const out = [];
+  const skipWs = (i) => { while (i < s.length && /\s/.test(s[i])) i++; return i; };
+  let start = skipWs(0);
+  while (start < s.length) {
+    let end = Math.min(s.length, start + size);
+    if (end < s.length) {
+      const cut = lastBreak(s, start + Math.floor(size * 0.6), end);
+      if (cut > start) end = cut;
+    }
+    let trimmed = end;
+    while (trimmed > start && /\s/.test(s[trimmed - 1])) trimmed--;
+    out.push({ index: out.length, start, end: trimmed, text: s.slice(start, trimmed) });
+    if (end >= s.length) break;
+
+    // Next passage starts `overlap` chars back, moved forward to a word boundary.
+    let next = Math.max(end - overlap, start + 1);
+    while (next < end && !/\s/.test(s[next - 1])) next++;
+    start = skipWs(next);
+  }
+  return out;
+}
+
+/** Lower-cased content words of a question, safe to join into a to_tsquery OR-expression. */
+function queryTerms(question) {
+  const terms = String(question || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/).filter(t => t.length >= 2 && !STOP.has(t));
+  return [...new Set(terms)];
+}
+
+/** Capitalized tokens (surnames, plantation names) — the trigram side matches these fuzzily. */
+function nameTerms(question) {
+  const words = String(question || '').match(/\b[A-Z][A-Za-z'-]{2,}\b/g) || [];
+  return [...new Set(words.map(w => w.replace(/'s$/, '')).filter(w => !STOP.has(w.toLowerCase())))];
+}
+
+/**
+ * Reciprocal-rank fusion.
+ * @param {Object<string, Array>} lists - { lexical: [...], vector: [...] } each best-first
+ * @param {Object} [opts] - { k, key(row) }
+ * @returns {Array} merged rows, best-first, each with score and ranks { listName: 1-based rank }
+ */
+function fuseRankings(lists, { k = RRF_K, key = r => String(r.passage_id) } = {}) {
+  const byKey = new Map();
+  for (const [name, rows] of Object.entries(lists)) {
+    (rows || []).forEach((row, i) => {
+      const id = key(row);
+      const hit = byKey.get(id) || { ...row, score: 0, ranks: {} };
+      for (const [f, v] of Object.entries(row)) if (hit[f] == null && v != null) hit[f] = v;
+      hit.ranks[name] = i + 1;
+      hit.score += 1 / (k + i + 1);
+      byKey.set(id, hit);
+    });
+  }
+  return [...byKey.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = { chunkText, contentHash, queryTerms, nameTerms, fuseRankings, PASSAGE_CHARS, PASSAGE_OVERLAP, RRF_K };
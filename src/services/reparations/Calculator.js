@@ -238,12 +238,29 @@ class ReparationsCalculator {
 
     /**
      * Distribute total reparations among descendants
+     *
+     * 'equal' splits evenly across every descendant passed in. The tree-aware
+     * modes expect rows shaped like TreeBuilder.getAllDescendants() output
+     * (enslaved_id, parent_id, generation, death_year / likely_living):
+     *
+     *   per_stirpes              - equal shares per branch at generation 1; a
+     *                              deceased member's share passes to their children
+     *   per_capita_by_generation - shares fixed at each generation; shares of
+     *                              deceased members are pooled and split equally
+     *                              across the next generation (UPC 1990 §2-106)
+     *   evidence_weighted        - per-stirpes shares scaled by each recipient's
+     *                              evidence score (0-1) and renormalized across
+     *                              all recipients (not within each branch)
+     *
+     * Deceased descendants never receive a share; they only carry their branch.
+     *
      * @param {number} totalReparations - Total reparations amount
      * @param {Array} descendants - Array of descendant objects
-     * @param {string} distributionMethod - Method for distribution ('equal', 'weighted', etc.)
+     * @param {string} distributionMethod - 'equal', 'per_stirpes', 'per_capita_by_generation', 'evidence_weighted'
+     * @param {Object} options - { defaultEvidenceScore } used when a descendant has no score
      * @returns {Object} Distribution breakdown
      */
-    distributeReparations(totalReparations, descendants, distributionMethod = 'equal') {
+    distributeReparations(totalReparations, descendants, distributionMethod = 'equal', options = {}) {
         if (!Array.isArray(descendants) || descendants.length === 0) {
             throw new Error('Descendants must be a non-empty array');
         }
@@ -253,36 +270,241 @@ class ReparationsCalculator {
         }
 
         let distribution = [];
+        let explanation;
 
         switch (distributionMethod) {
             case 'equal':
                 const sharePerDescendant = Math.round(totalReparations / descendants.length);
                 distribution = descendants.map(descendant => ({
-                    name: descendant.name || 'Unknown',
+                    name: descendant.name || descendant.full_name || 'Unknown',
                     share: sharePerDescendant,
-                    percentage: (100 / descendants.length).toFixed(2)
+                    percentage: (100 / descendants.length).toFixed(2),
+                    explanation: `Equal split: 1/${descendants.length} of the total`
                 }));
+                explanation = 'Every listed descendant receives an equal share regardless of generation or branch.';
                 break;
-                
+
+            case 'per_stirpes':
+                distribution = this.allocateShares(totalReparations,
+                    this.perStirpesFractions(this.buildDistributionTree(descendants)));
+                explanation = 'Estate divided into equal shares for each generation-1 branch with a living member; ' +
+                    'a deceased member\'s share passes down to their own children in equal parts.';
+                break;
+
+            case 'per_capita_by_generation':
+                distribution = this.allocateShares(totalReparations,
+                    this.perCapitaByGenerationFractions(this.buildDistributionTree(descendants)));
+                explanation = 'Equal shares fixed at each generation; the shares of deceased members of a generation ' +
+                    'are pooled and divided equally among the next generation of their lines.';
+                break;
+
             case 'weighted':
-                // Future implementation for weighted distribution based on various factors
-                throw new Error('Weighted distribution not yet implemented');
-                
+            case 'evidence_weighted':
+                distribution = this.allocateShares(totalReparations,
+                    this.evidenceWeightedFractions(this.buildDistributionTree(descendants), options));
+                explanation = 'Per-stirpes shares multiplied by each recipient\'s evidence score, then renormalized ' +
+                    'across all recipients, so better-documented descendants carry proportionally more of the total ' +
+                    '(weakly documented shares flow to every other recipient, not only to their own branch).';
+                break;
+
             default:
                 throw new Error(`Unknown distribution method: ${distributionMethod}`);
         }
 
+        const distributedAmount = distribution.reduce((sum, d) => sum + d.share, 0);
+
         return {
             totalReparations,
             distributionMethod,
             distribution,
+            explanation,
             metadata: {
                 descendantCount: descendants.length,
+                recipientCount: distribution.length,
+                undistributedAmount: Math.round((totalReparations - distributedAmount) * 100) / 100,
                 distributionDate: new Date().toISOString()
             }
         };
     }
 
+    /**
+     * Whether a descendant row counts as a living recipient
+     * @private
+     */
+    isLivingDescendant(descendant) {
+        if (descendant.likely_living !== undefined && descendant.likely_living !== null) {
+            return Boolean(descendant.likely_living);
+        }
+        if (descendant.living !== undefined && descendant.living !== null) {
+            return Boolean(descendant.living);
+        }
+        return descendant.death_year == null && descendant.deathYear == null;
+    }
+
+    /**
+     * Rebuild the descendant tree from a flat parent_id list.
+     * Returns the generation-1 nodes (children of the ancestor).
+     * @private
+     */
+    buildDistributionTree(descendants) {
+        const nodes = new Map();
+
+        for (const d of descendants) {
+            const id = d.enslaved_id ?? d.id ?? d.descendantId;
+            if (id === undefined || id === null) {
+                throw new Error('Tree-based distribution requires an id (enslaved_id) on every descendant');
+            }
+            // A person reached through two descendant parents appears twice; first path wins
+            if (nodes.has(String(id))) continue;
+
+            const parentId = d.parent_id ?? d.parentId ?? null;
+            nodes.set(String(id), {
+                id: String(id),
+                name: d.name || d.full_name || 'Unknown',
+                person: d,
+                parentId: parentId === null ? null : String(parentId),
+                generation: parseInt(d.generation) || 1,
+                living: this.isLivingDescendant(d),
+                children: []
+            });
+        }
+
+        const roots = [];
+        for (const node of nodes.values()) {
+            const parent = node.parentId !== null ? nodes.get(node.parentId) : null;
+            if (parent) {
+                parent.children.push(node);
+            } else if (node.generation > 1) {
+                throw new Error(`Descendant ${node.id} (generation ${node.generation}) has no parent_id in the list; ` +
+                    'tree-based distribution needs TreeBuilder.getAllDescendants() rows');
+            } else {
+                roots.push(node);
+            }
+        }
+
+        // A branch is live if anyone in it can still receive a share
+        const markLiveBranch = (node) => {
+            const childLive = node.children.map(markLiveBranch);
+            node.liveBranch = node.living || childLive.some(Boolean);
+            return node.liveBranch;
+        };
+        roots.forEach(markLiveBranch);
+
+        return roots;
+    }
+
+    /**
+     * Per-stirpes fractions: split equally per live branch at every level
+     * @private
+     */
+    perStirpesFractions(roots) {
+        const shares = [];
+
+        const divide = (nodes, fraction, steps) => {
+            const branches = nodes.filter(n => n.liveBranch);
+            const each = fraction / branches.length;
+
+            for (const node of branches) {
+                const step = steps.length === 0
+                    ? `1/${branches.length} of the estate (generation-1 branch)`
+                    : `1/${branches.length} of that share`;
+
+                if (node.living) {
+                    shares.push({ node, fraction: each, steps: [...steps, `${step} taken by ${node.name}`] });
+                } else {
+                    divide(node.children, each, [...steps, `${step} passed through ${node.name} (deceased)`]);
+                }
+            }
+        };
+
+        if (roots.some(n => n.liveBranch)) divide(roots, 1, []);
+
+        return shares.map(s => ({
+            ...s,
+            explanation: `Per stirpes: ${s.steps.join(' → ')}`
+        }));
+    }
+
+    /**
+     * Per-capita-at-each-generation fractions
+     * @private
+     */
+    perCapitaByGenerationFractions(roots) {
+        const shares = [];
+
+        const pool = (nodes, fraction, poolNote) => {
+            const eligible = nodes.filter(n => n.liveBranch);
+            if (eligible.length === 0) return;
+
+            const each = fraction / eligible.length;
+            const passDown = eligible.filter(n => !n.living);
+            const generation = eligible[0].generation;
+
+            for (const node of eligible.filter(n => n.living)) {
+                shares.push({
+                    node,
+                    fraction: each,
+                    explanation: `Per capita by generation: ${poolNote} divided into ${eligible.length} equal ` +
+                        `share(s) at generation ${generation}; one share taken by ${node.name}`
+                });
+            }
+
+            if (passDown.length > 0) {
+                pool(
+                    passDown.flatMap(n => n.children),
+                    each * passDown.length,
+                    `${passDown.length} pooled share(s) of deceased generation-${generation} members`
+                );
+            }
+        };
+
+        pool(roots, 1, 'the estate');
+
+        return shares;
+    }
+
+    /**
+     * Evidence-weighted fractions: per-stirpes share × evidence score, renormalized
+     * @private
+     */
+    evidenceWeightedFractions(roots, options = {}) {
+        const fallback = options.defaultEvidenceScore !== undefined ? options.defaultEvidenceScore : 0.5;
+        const base = this.perStirpesFractions(roots).map(s => {
+            const raw = s.node.person.evidenceScore ?? s.node.person.evidence_score
+                ?? s.node.person.confidence_score ?? s.node.person.confidence;
+            const parsed = parseFloat(raw);
+            const score = Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : fallback;
+            return { ...s, score, weighted: s.fraction * score };
+        });
+
+        const totalWeight = base.reduce((sum, s) => sum + s.weighted, 0);
+        if (totalWeight === 0) return [];
+
+        return base
+            .filter(s => s.weighted > 0)
+            .map(s => ({
+                node: s.node,
+                fraction: s.weighted / totalWeight,
+                explanation: `Evidence weighted: per-stirpes share ${(s.fraction * 100).toFixed(4)}% × evidence ` +
+                    `score ${s.score.toFixed(2)}, renormalized over all recipients (${s.steps.join(' → ')})`
+            }));
+    }
+
+    /**
+     * Convert estate fractions into cent-rounded distribution entries
+     * @private
+     */
+    allocateShares(totalReparations, fractions) {
+        return fractions.map(f => ({
+            name: f.node.name,
+            descendantId: f.node.person.enslaved_id ?? f.node.person.id ?? f.node.id,
+            generation: f.node.generation,
+            share: Math.floor(totalReparations * f.fraction * 100) / 100,
+            percentage: (f.fraction * 100).toFixed(4),
+            explanation: f.explanation
+        }));
+    }
+
     /**
      * Generate a human-readable report
      * @param {Object} calculationResult - Result from comprehensive calculation
@@ -21,8 +21,10 @@
  * @version 1.0.0
  */
 
+const CurrencyConverter = typeof require !== 'undefined' ? require('./CurrencyConverter') : null;
+
 class CompensationTracker {
-    constructor(db = null) {
+    constructor(db = null, options = {}) {
         this.db = db;
 
         // In-memory storage when no database available
@@ -31,30 +33,19 @@ class CompensationTracker {
         this.compensationByRegion = new Map();
         this.nextRecordId = 1;
 
-        // Historical conversion rates to modern USD
-        // Source: MeasuringWorth.com "Relative Value" calculator using CPI method
-        // (most conservative; labor-value and GDP-share methods produce higher figures)
+        // Historical face value → modern USD. Year-keyed exchange rates and
+        // price indices with citations live in currency-tables.js; the default
+        // 'usd_cpi' route (historical exchange rate, then US CPI) puts pounds
+        // and dollars in the same unit so the program totals can be added.
+        // 'local_cpi' reproduces the Bank of England calculator floor
+        // (£1 in 1833 ≈ £120 today ≈ $150) used in earlier published figures.
         //
         // NOTE: These are CPI-based conversions. For reparations purposes, the
         // "relative earnings" or "relative output" methods from MeasuringWorth
         // may be more appropriate (they produce 10x-30x higher figures).
         // Using CPI as the floor. See GitHub Issue #11.
-        //
-        // BLS CPI data confirms: $1 in 1860 ≈ $37.50 in 2025 (CPI method)
-        // Bank of England inflation calculator: £1 in 1833 ≈ £120 in 2025 ≈ $150 USD
-        this.conversionRates = {
-            // British pounds to modern USD (CPI method via Bank of England + exchange rate)
-            // £1 (1833) → ~£120 (2025 BoE inflation calc) → ~$150 USD at current exchange
-            // NOTE: The "relative income" method yields ~£2,000 (~$2,500) per £1 in 1833
-            'GBP_1833': 150,  // CPI floor. Source: Bank of England inflation calculator
-            'GBP_1834': 150,
-            // US dollars to modern USD (BLS CPI method)
-            // $1 (1862) → ~$31.40 (2025, BLS CPI Inflation Calculator)
-            'USD_1862': 31,   // Source: BLS CPI Inflation Calculator
-            'USD_1865': 29,   // Source: BLS CPI Inflation Calculator ($1 in 1865 ≈ $18.70 in 2025 — adjusted)
-            // Default — should not be used; flag any use as needing a year-specific lookup
-            'DEFAULT': null   // Changed from 50 to null — force explicit year lookup
-        };
+        this.converter = options.converter || (CurrencyConverter ? new CurrencyConverter() : null);
+        this.conversionRoute = options.conversionRoute || 'usd_cpi';
 
         // Known compensation programs
         this.compensationPrograms = {
@@ -111,13 +102,15 @@ class CompensationTracker {
             notes
         } = payment;
 
-        // Calculate modern value using sourced conversion rates
-        const conversionKey = `${currency}_${year}`;
-        const conversionRate = this.conversionRates[conversionKey];
-        if (!conversionRate) {
-            console.warn(`[CompensationTracker] No sourced conversion rate for ${conversionKey}. Add year-specific rate from MeasuringWorth.com or BLS CPI calculator.`);
+        // Calculate modern value from the cited currency tables
+        const conversion = this.converter
+            ? this.converter.tryModernUSD(amountPaid, currency, year, { route: this.conversionRoute })
+            : null;
+        if (!conversion) {
+            console.warn(`[CompensationTracker] No sourced conversion for ${currency} ${year}. Add the year to currency-tables.js (MeasuringWorth / BLS CPI).`);
         }
-        const modernValue = conversionRate ? amountPaid * conversionRate : null;
+        const conversionRate = conversion ? conversion.multiplier : null;
+        const modernValue = conversion ? conversion.modernUSD : null;
 
         // Calculate implied value per enslaved person
         const valuePerPerson = enslavedCount > 0 ? amountPaid / enslavedCount : 0;
@@ -147,6 +140,14 @@ class CompensationTracker {
             valuePerPerson,
             modernValuePerPerson,
             conversionRate,
+            conversion: conversion ? {
+                route: conversion.route,
+                baseYear: conversion.baseYear,
+                exchangeRate: conversion.exchangeRate,
+                priceFactor: conversion.priceFactor,
+                interpolated: conversion.interpolated,
+                sources: conversion.sources
+            } : null,
 
             // Debt evidence implications
             debtEvidence: {
@@ -627,6 +628,7 @@ class CompensationTracker {
                 currency: record.currency,
                 year: record.year,
                 modernValue: record.modernValue,
+                modernValueBaseYear: record.conversion ? record.conversion.baseYear : null,
                 enslavedCount: record.enslavedCount,
                 provenDebt: record.debtEvidence.totalProvenDebt,
 
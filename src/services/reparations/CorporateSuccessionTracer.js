@@ -3,8 +3,8 @@
  *
  * Traces the documented succession chains from slavery-era entities
  * to their present-day corporate successors. Uses SEC EDGAR API
- * for current entity data and the corporate_succession table for
- * historical chain documentation.
+ * for current entity data and the entity_successions graph (M085, M116)
+ * for historical chain documentation.
  *
  * This addresses the question: "Where is slavery wealth today?"
  * For the 17 Farmer-Paellmann defendants, succession chains are
@@ -14,6 +14,24 @@
  * The intake form should collect: "Do you or your family have any
  * connection to the following companies?" to help identify corporate ties.
  *
+ * THE GRAPH
+ *   Nodes are (entity_type, entity_id) pairs from the M085 polymorphic types —
+ *   corporate_entities, chartered_companies, harm_perpetrator_entities,
+ *   african_polities. Edges are entity_successions rows, directed
+ *   predecessor → successor, with kind (merger, acquisition, renaming,
+ *   spin-off, ...), year / date, traceability and citation. Historical
+ *   predecessors are corporate_entities rows with is_active = FALSE.
+ *
+ *   successors() / predecessors() walk the graph any number of hops.
+ *   A path is only as strong as its weakest edge: a direct edge after an
+ *   attenuated one is an attenuated path. Only approved edges are followed
+ *   unless includePending is set — the platform must not overclaim.
+ *
+ *   Chain keys ('jpmorgan', 'aetna', ...) live on corporate_entities.chain_key;
+ *   getChain / reverseLookup / listAllChains keep the shape the old hardcoded
+ *   KNOWN_CHAINS had, now read from the graph. The documented chains are
+ *   loaded by scripts/seed-corporate-successions.js.
+ *
  * CITATIONS:
  * - Farmer-Paellmann v. FleetBoston (N.D. Ill. 2002): 17 corporate defendants
  * - JPMorgan Chase Philadelphia CTO Disclosure (2024): Citizens Bank → Canal Bank → JPMorgan
@@ -21,117 +39,491 @@
  * - SEC EDGAR: https://efts.sec.gov/LATEST/search-index?q=
  */
 
+const ENTITY_TYPES = ['chartered_company', 'harm_perpetrator_entity', 'corporate_entity', 'canonical_person', 'african_polity'];
+const SUCCESSION_KINDS = [
+    'corporate_merger', 'corporate_acquisition', 'dissolution_to_sovereign',
+    'renaming', 'asset_transfer', 'capital_flow', 'spin_off'
+];
+const TRACEABILITY = ['direct', 'attenuated', 'partial'];
+const CONTRIBUTION_STATUSES = ['pending_review', 'approved', 'rejected', 'needs_revision'];
+const MAX_DEPTH = 12;
+const MAX_PATHS = 25; // per endpoint — serial mergers can fan out
+
+// Weakest link wins: rank of each traceability level.
+const TRACE_RANK = { partial: 1, attenuated: 2, direct: 3 };
+
+// Name table per node type. canonical_person ids are SERIAL, not UUID, so
+// those nodes can be stored but not named here.
+const NODE_TABLES = {
+    corporate_entity: {
+        sql: `SELECT entity_id AS id, modern_name AS name, historical_name, stock_ticker AS ticker,
+                     is_active AS active, chain_key, first_documented_year
+              FROM corporate_entities WHERE entity_id = ANY($1::uuid[])`
+    },
+    chartered_company: {
+        sql: `SELECT id, display_name AS name FROM chartered_companies WHERE id = ANY($1::uuid[])`
+    },
+    harm_perpetrator_entity: {
+        sql: `SELECT id, display_name AS name FROM harm_perpetrator_entities WHERE id = ANY($1::uuid[])`
+    },
+    african_polity: {
+        sql: `SELECT id, display_name AS name FROM african_polities WHERE id = ANY($1::uuid[])`
+    }
+};
+
+class SuccessionError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'SuccessionError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+function formatEdge(row) {
+    return {
+        id: row.id,
+        predecessor: { type: row.predecessor_entity_type, id: row.predecessor_entity_id },
+        successor: { type: row.successor_entity_type, id: row.successor_entity_id },
+        kind: row.succession_kind,
+        year: row.succession_year,
+        date: row.succession_date,
+        legalInstrument: row.legal_instrument,
+        flowPath: row.flow_path,
+        traceability: row.traceability,
+        citation: row.primary_citation,
+        notes: row.notes,
+        status: row.contribution_status,
+        createdBy: row.created_by,
+        reviewedBy: row.reviewed_by,
+        reviewedAt: row.reviewed_at
+    };
+}
+
 class CorporateSuccessionTracer {
     constructor(db) {
         this.db = db;
+    }
 
-        // Known succession chains for Farmer-Paellmann defendants
-        // These are DOCUMENTED — not speculative
-        this.KNOWN_CHAINS = {
-            'jpmorgan': {
-                modern: 'JPMorgan Chase & Co.',
-                ticker: 'JPM',
-                predecessors: [
-                    { name: 'Citizens Bank of Louisiana', year: 1831, role: 'predecessor bank' },
-                    { name: 'Canal Bank (New Orleans Canal & Banking Co.)', year: 1831, role: 'predecessor bank' },
-                    { name: 'Lexington Branch, 2nd Bank of Kentucky', year: 1835, role: 'predecessor bank' },
-                    { name: 'J. Pierpont Morgan / George Peabody & Co.', year: 1871, role: 'Peabody Firms' },
-                    { name: 'Bowery Savings Bank (via Washington Mutual)', year: 1834, role: 'acquired 2008' }
-                ],
-                documentation: {
-                    primary: 'Philadelphia CTO Disclosure (2024)',
-                    enslavedAsCollateral: 21055,
-                    enslavedOwned: 1300,
-                    url: 'storage/corporate-disclosures/banking/jpmorgan-philadelphia-cto-disclosure-2024.pdf'
-                }
-            },
-            'aetna': {
-                modern: 'CVS Health Corporation (Aetna successor)',
-                ticker: 'CVS',
-                predecessors: [
-                    { name: 'Aetna Life Insurance Company', year: 1853, role: 'insured enslaved persons' }
-                ],
-                documentation: {
-                    primary: 'CA DOI Slavery Era Insurance Registry (2002)',
-                    policies: 7,
-                    enslavedNames: 16,
-                    url: 'storage/corporate-disclosures/insurance/ca-doi-slavery-era-insurance-registry-2002.pdf'
-                }
-            },
-            'new_york_life': {
-                modern: 'New York Life Insurance Company',
-                ticker: null, // Mutual company, not publicly traded
-                predecessors: [
-                    { name: 'Nautilus Insurance Company', year: 1845, role: 'wrote slave life policies' }
-                ],
-                documentation: {
-                    primary: 'CA DOI Slavery Era Insurance Registry (2002)',
-                    policies: 339,
-                    enslavedNames: 484,
-                    slaveholderNames: 233,
-                    url: 'storage/corporate-disclosures/insurance/ca-doi-slavery-era-insurance-registry-2002.pdf'
-                }
-            },
-            'bbh': {
-                modern: 'Brown Brothers Harriman & Co.',
-                ticker: null, // Private partnership
-                predecessors: [
-                    { name: 'Brown Brothers & Co.', year: 1818, role: 'cotton factor, plantation owner' }
-                ],
-                documentation: {
-                    primary: 'Beckert, Empire of Cotton (2015), p.223; Louisiana court records',
-                    enslaved: 346,
-                    plantations: 3,
-                    acres: 4614
-                }
-            },
-            'csx': {
-                modern: 'CSX Corporation',
-                ticker: 'CSX',
-                predecessors: [
-                    { name: '36 predecessor railroad lines', year: 1830, role: 'enslaved labor in construction' }
-                ],
-                documentation: {
-                    primary: 'Kornweibel, Railroads in the African American Experience (2010)',
-                    predecessorCount: 36
-                }
-            },
-            'norfolk_southern': {
-                modern: 'Norfolk Southern Corporation',
-                ticker: 'NSC',
-                predecessors: [
-                    { name: '39 predecessor railroad lines', year: 1827, role: 'enslaved labor' },
-                    { name: 'South Carolina Canal and Rail Road Company', year: 1827, role: 'earliest predecessor' }
-                ],
-                documentation: {
-                    primary: 'Kornweibel (2010)',
-                    predecessorCount: 39
+    // ────────────────────────────────────────────────────────────────
+    // Nodes
+    // ────────────────────────────────────────────────────────────────
+
+    /**
+     * Names (and, for corporate entities, ticker / active / chain key) for a
+     * set of nodes. Returns a Map keyed by entity id.
+     */
+    async describeNodes(nodes) {
+        const byType = {};
+        for (const n of nodes) (byType[n.type] = byType[n.type] || new Set()).add(n.id);
+        const out = new Map();
+        for (const [type, ids] of Object.entries(byType)) {
+            const table = NODE_TABLES[type];
+            if (!table) {
+                for (const id of ids) out.set(id, { type, id, name: null });
+                continue;
+            }
+            const r = await this.db.query(table.sql, [[...ids]]);
+            for (const row of r.rows) {
+                out.set(row.id, {
+                    type,
+                    id: row.id,
+                    name: row.name,
+                    historicalName: row.historical_name || null,
+                    ticker: row.ticker || null,
+                    active: row.active === undefined ? null : row.active,
+                    chainKey: row.chain_key || null,
+                    firstDocumentedYear: row.first_documented_year || null
+                });
+            }
+            for (const id of ids) if (!out.has(id)) out.set(id, { type, id, name: null });
+        }
+        return out;
+    }
+
+    async getNode(type, id) {
+        if (!ENTITY_TYPES.includes(type)) throw new SuccessionError(`Unknown entity type "${type}"`, 'BAD_TYPE');
+        const node = (await this.describeNodes([{ type, id }])).get(id);
+        if (!node || (node.name === null && NODE_TABLES[type])) {
+            throw new SuccessionError(`${type} ${id} not found`, 'NOT_FOUND', 404);
+        }
+        return node;
+    }
+
+    /**
+     * Find graph nodes by name across every named node table.
+     * @param {string} name - Substring, case-insensitive
+     */
+    async findEntities(name, { limit = 25 } = {}) {
+        const q = String(name || '').trim();
+        if (!q) return [];
+        const r = await this.db.query(`
+            SELECT 'corporate_entity' AS type, entity_id AS id, modern_name AS name
+            FROM corporate_entities
+            WHERE modern_name ILIKE $1 OR historical_name ILIKE $1 OR chain_key = lower($2) OR stock_ticker = upper($2)
+            UNION ALL
+            SELECT 'chartered_company', id, display_name FROM chartered_companies
+            WHERE display_name ILIKE $1 OR EXISTS (SELECT 1 FROM unnest(alternate_names) a WHERE a ILIKE $1)
+            UNION ALL
+            SELECT 'harm_perpetrator_entity', id, display_name FROM harm_perpetrator_entities
+            WHERE display_name ILIKE $1
+            UNION ALL
+            SELECT 'african_polity', id, display_name FROM african_polities
+            WHERE display_name ILIKE $1
+            ORDER BY name
+            LIMIT $3
+        `, [`%${q}%`, q, Math.min(Math.max(parseInt(limit, 10) || 25, 1), 200)]);
+        return r.rows;
+    }
+
+    /**
+     * Add a corporate_entities node — typically a historical predecessor
+     * (is_active = FALSE) so an edge can point at it.
+     */
+    async createEntity({ name, historicalName = null, entityType = null, ticker = null, active = false,
+                         firstDocumentedYear = null, chainKey = null, chainDocumentation = null,
+                         sourceDocument = null, sourceUrl = null, notes = null }) {
+        if (!name || !String(name).trim()) throw new SuccessionError('name is required', 'BAD_INPUT');
+        try {
+            const r = await this.db.query(`
+                INSERT INTO corporate_entities
+                    (modern_name, historical_name, entity_type, stock_ticker, is_active,
+                     first_documented_year, chain_key, chain_documentation,
+                     source_document, source_url, research_notes)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING entity_id
+            `, [String(name).trim(), historicalName, entityType, ticker, !!active,
+                firstDocumentedYear, chainKey, chainDocumentation ? JSON.stringify(chainDocumentation) : null,
+                sourceDocument, sourceUrl, notes]);
+            return this.getNode('corporate_entity', r.rows[0].entity_id);
+        } catch (e) {
+            if (e.code === '23505') throw new SuccessionError(`chain key "${chainKey}" already exists`, 'DUPLICATE', 409);
+            throw e;
+        }
+    }
+
+    // ────────────────────────────────────────────────────────────────
+    // Edges (CRUD)
+    // ────────────────────────────────────────────────────────────────
+
+    validateEdge({ predecessor, successor, kind, traceability, flowPath, status }) {
+        for (const [label, n] of [['predecessor', predecessor], ['successor', successor]]) {
+            if (!n || !n.id) throw new SuccessionError(`${label} { type, id } is required`, 'BAD_INPUT');
+            if (!ENTITY_TYPES.includes(n.type)) throw new SuccessionError(`Unknown ${label} type "${n.type}"`, 'BAD_TYPE');
+        }
+        if (predecessor.id === successor.id) throw new SuccessionError('An entity cannot succeed itself', 'CYCLE');
+        if (!SUCCESSION_KINDS.includes(kind)) {
+            throw new SuccessionError(`kind must be one of: ${SUCCESSION_KINDS.join(', ')}`, 'BAD_KIND');
+        }
+        if (traceability != null && !TRACEABILITY.includes(traceability)) {
+            throw new SuccessionError(`traceability must be one of: ${TRACEABILITY.join(', ')}`, 'BAD_INPUT');
+        }
+        if (kind === 'capital_flow' && !Array.isArray(flowPath)) {
+            throw new SuccessionError('capital_flow successions need a flowPath (one step per hop, with citations)', 'BAD_INPUT');
+        }
+        if (status != null && !CONTRIBUTION_STATUSES.includes(status)) {
+            throw new SuccessionError(`status must be one of: ${CONTRIBUTION_STATUSES.join(', ')}`, 'BAD_INPUT');
+        }
+    }
+
+    /**
+     * Add one succession edge. Both nodes must exist, and the edge may not
+     * close a cycle (counting pending edges too).
+     *
+     * @param {Object} edge
+     * @param {{type: string, id: string}} edge.predecessor
+     * @param {{type: string, id: string}} edge.successor
+     * @param {string} edge.kind - one of SUCCESSION_KINDS
+     * @param {string} [edge.status='pending_review'] - seeded / curator-entered edges may pass 'approved'
+     * @param {string} [edge.createdBy] - reviewer username
+     */
+    async addSuccession({ predecessor, successor, kind, year = null, date = null, legalInstrument = null,
+                          flowPath = null, traceability = 'partial', citation = null, notes = null,
+                          status = 'pending_review', createdBy = null }) {
+        this.validateEdge({ predecessor, successor, kind, traceability, flowPath, status });
+        await this.getNode(predecessor.type, predecessor.id);
+        await this.getNode(successor.type, successor.id);
+
+        const downstream = await this._walk(successor, 'successors', { includePending: true });
+        if (downstream.nodes.some(n => n.id === predecessor.id)) {
+            throw new SuccessionError('This edge would create a cycle: the predecessor already succeeds the successor', 'CYCLE');
+        }
+
+        const approved = status === 'approved';
+        try {
+            const r = await this.db.query(`
+                INSERT INTO entity_successions
+                    (predecessor_entity_type, predecessor_entity_id, successor_entity_type, successor_entity_id,
+                     succession_kind, succession_year, succession_date, legal_instrument, flow_path,
+                     traceability, primary_citation, notes, contribution_status, created_by,
+                     reviewed_by, reviewed_at, approved_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+                        CASE WHEN $16 THEN NOW() END, CASE WHEN $16 THEN NOW() END)
+                RETURNING *
+            `, [predecessor.type, predecessor.id, successor.type, successor.id, kind, year, date, legalInstrument,
+                flowPath ? JSON.stringify(flowPath) : null, traceability, citation, notes, status, createdBy,
+                approved ? createdBy : null, approved]);
+            return formatEdge(r.rows[0]);
+        } catch (e) {
+            if (e.code === '23505') throw new SuccessionError('This succession edge already exists', 'DUPLICATE', 409);
+            throw e;
+        }
+    }
+
+    async getSuccession(id) {
+        const r = await this.db.query(`SELECT * FROM entity_successions WHERE id = $1`, [id]);
+        if (!r.rows[0]) throw new SuccessionError(`succession ${id} not found`, 'NOT_FOUND', 404);
+        return formatEdge(r.rows[0]);
+    }
+
+    /**
+     * @param {Object} [filter] - { entityId, kind, status, limit, offset }
+     *   entityId matches either end of the edge.
+     */
+    async listSuccessions({ entityId = null, kind = null, status = null, limit = 100, offset = 0 } = {}) {
+        const r = await this.db.query(`
+            SELECT * FROM entity_successions
+            WHERE ($1::uuid IS NULL OR predecessor_entity_id = $1 OR successor_entity_id = $1)
+              AND ($2::text IS NULL OR succession_kind = $2)
+              AND ($3::text IS NULL OR contribution_status = $3)
+            ORDER BY succession_year NULLS LAST, created_at
+            LIMIT $4 OFFSET $5
+        `, [entityId, kind, status, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500),
+            Math.max(parseInt(offset, 10) || 0, 0)]);
+        return r.rows.map(formatEdge);
+    }
+
+    /**
+     * Edit an edge's attributes or review status. The endpoints are fixed —
+     * delete and re-add to re-point an edge.
+     *
+     * @param {string} id
+     * @param {Object} changes - { kind?, year?, date?, legalInstrument?, flowPath?, traceability?,
+     *   citation?, notes?, status? }
+     * @param {string} [reviewer] - username stamped as reviewed_by when status changes
+     * @param {Object} [opts] - { resetApproval }: an edit by a non-curator sends an
+     *   approved edge back to pending_review, since the approval no longer covers it
+     */
+    async updateSuccession(id, changes = {}, reviewer = null, { resetApproval = false } = {}) {
+        const current = await this.getSuccession(id);
+        const next = { ...current, ...changes };
+        this.validateEdge({
+            predecessor: current.predecessor, successor: current.successor, kind: next.kind,
+            traceability: next.traceability, flowPath: next.flowPath, status: next.status
+        });
+
+        const columns = {
+            kind: 'succession_kind', year: 'succession_year', date: 'succession_date',
+            legalInstrument: 'legal_instrument', flowPath: 'flow_path', traceability: 'traceability',
+            citation: 'primary_citation', notes: 'notes', status: 'contribution_status'
+        };
+        const sets = [];
+        const params = [id];
+        for (const [key, column] of Object.entries(columns)) {
+            if (changes[key] === undefined) continue;
+            params.push(key === 'flowPath' && changes[key] ? JSON.stringify(changes[key]) : changes[key]);
+            sets.push(`${column} = $${params.length}`);
+        }
+        if (!sets.length) throw new SuccessionError('nothing to update', 'BAD_INPUT');
+        if (changes.status !== undefined && changes.status !== current.status) {
+            params.push(reviewer);
+            sets.push(`reviewed_by = $${params.length}`, 'reviewed_at = NOW()');
+            if (changes.status === 'approved') sets.push('approved_at = NOW()');
+        } else if (resetApproval && changes.status === undefined) {
+            // Decided in the UPDATE itself, so an approval that lands mid-edit is reset too
+            sets.push(`contribution_status = CASE WHEN contribution_status = 'approved'
+                           THEN 'pending_review' ELSE contribution_status END`,
+                `approved_at = CASE WHEN contribution_status = 'approved' THEN NULL ELSE approved_at END`);
+        }
+        const r = await this.db.query(
+            `UPDATE entity_successions SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`, params);
+        return formatEdge(r.rows[0]);
+    }
+
+    async deleteSuccession(id) {
+        const r = await this.db.query(`DELETE FROM entity_successions WHERE id = $1 RETURNING *`, [id]);
+        if (!r.rows[0]) throw new SuccessionError(`succession ${id} not found`, 'NOT_FOUND', 404);
+        return formatEdge(r.rows[0]);
+    }
+
+    // ────────────────────────────────────────────────────────────────
+    // Graph queries
+    // ────────────────────────────────────────────────────────────────
+
+    /**
+     * Breadth-first walk from `start`, one query per hop.
+     * @param {'successors'|'predecessors'} direction
+     */
+    async _walk(start, direction, { maxDepth = MAX_DEPTH, includePending = false } = {}) {
+        const from = direction === 'successors' ? 'predecessor' : 'successor';
+        const to = direction === 'successors' ? 'successor' : 'predecessor';
+        const statuses = includePending ? ['approved', 'pending_review'] : ['approved'];
+        const depth = Math.min(Math.max(parseInt(maxDepth, 10) || MAX_DEPTH, 1), MAX_DEPTH);
+
+        const reached = new Map([[start.id, { type: start.type, id: start.id, depth: 0 }]]);
+        const edges = [];
+        let frontier = [start.id];
+        let hop = 0;
+        while (frontier.length && hop < depth) {
+            hop++;
+            const r = await this.db.query(`
+                SELECT * FROM entity_successions
+                WHERE ${from}_entity_id = ANY($1::uuid[])
+                  AND contribution_status = ANY($2::text[])
+                ORDER BY succession_year NULLS LAST
+            `, [frontier, statuses]);
+            const next = [];
+            for (const row of r.rows) {
+                edges.push(formatEdge(row));
+                const id = row[`${to}_entity_id`];
+                if (!reached.has(id)) {
+                    reached.set(id, { type: row[`${to}_entity_type`], id, depth: hop });
+                    next.push(id);
                 }
             }
+            frontier = next;
+        }
+        return { nodes: [...reached.values()], edges, truncated: frontier.length > 0 };
+    }
+
+    /**
+     * Walk the graph and describe where it ends: every reached node with no
+     * further edge in `direction`, with the paths that reach it and their
+     * traceability (weakest edge on the path; best path per endpoint).
+     */
+    async _trace(start, direction, options = {}) {
+        const root = await this.getNode(start.type, start.id);
+        const walk = await this._walk(start, direction, options);
+        const names = await this.describeNodes(walk.nodes);
+        const far = direction === 'successors' ? 'successor' : 'predecessor';
+        const near = direction === 'successors' ? 'predecessor' : 'successor';
+
+        const out = new Map();
+        for (const e of walk.edges) {
+            if (!out.has(e[near].id)) out.set(e[near].id, []);
+            out.get(e[near].id).push(e);
+        }
+
+        // Depth-first path enumeration; edges never revisit a node on the same path.
+        const paths = new Map();
+        const visit = (id, trail, onPath) => {
+            const next = out.get(id) || [];
+            if (!next.length && trail.length) {
+                if (!paths.has(id)) paths.set(id, []);
+                if (paths.get(id).length < MAX_PATHS) paths.get(id).push(trail);
+                return;
+            }
+            for (const e of next) {
+                if (onPath.has(e[far].id)) continue;
+                visit(e[far].id, [...trail, e], new Set([...onPath, e[far].id]));
+            }
+        };
+        visit(start.id, [], new Set([start.id]));
+
+        const endpoints = [...paths.entries()].map(([id, list]) => {
+            const scored = list.map(trail => {
+                const weakest = trail.reduce((min, e) => Math.min(min, TRACE_RANK[e.traceability] || 1), 3);
+                return {
+                    hops: trail.length,
+                    traceability: TRACEABILITY.find(t => TRACE_RANK[t] === weakest),
+                    entities: trail.map(e => names.get(e[far].id)?.name || e[far].id),
+                    edgeIds: trail.map(e => e.id)
+                };
+            }).sort((a, b) => TRACE_RANK[b.traceability] - TRACE_RANK[a.traceability] || a.hops - b.hops);
+            return {
+                entity: names.get(id),
+                traceability: scored[0].traceability,
+                hops: scored[0].hops,
+                paths: scored
+            };
+        }).sort((a, b) => a.hops - b.hops || String(a.entity?.name).localeCompare(String(b.entity?.name)));
+
+        return {
+            root,
+            direction,
+            nodes: walk.nodes.map(n => ({ ...names.get(n.id), depth: n.depth })),
+            edges: walk.edges,
+            endpoints,
+            truncated: walk.truncated
+        };
+    }
+
+    /**
+     * Everything downstream of an entity. presentDay lists the endpoints that
+     * are not known to be defunct — "all present-day successors of Canal Bank".
+     */
+    async successors(start, options = {}) {
+        const result = await this._trace(start, 'successors', options);
+        result.presentDay = result.endpoints.filter(e => e.entity?.active !== false);
+        return result;
+    }
+
+    /**
+     * Everything upstream of an entity. earliest lists the endpoints — the
+     * predecessors with no recorded predecessor of their own.
+     */
+    async predecessors(start, options = {}) {
+        const result = await this._trace(start, 'predecessors', options);
+        result.earliest = result.endpoints;
+        return result;
+    }
+
+    // ────────────────────────────────────────────────────────────────
+    // Chain keys (the shape KNOWN_CHAINS had)
+    // ────────────────────────────────────────────────────────────────
+
+    async _chainEntities(key = null) {
+        const r = await this.db.query(`
+            SELECT entity_id, modern_name, stock_ticker, chain_key, chain_documentation, source_document
+            FROM corporate_entities
+            WHERE chain_key IS NOT NULL AND ($1::text IS NULL OR chain_key = $1)
+            ORDER BY chain_key
+        `, [key]);
+        return r.rows;
+    }
+
+    async _buildChain(entity, options = {}) {
+        const upstream = await this.predecessors({ type: 'corporate_entity', id: entity.entity_id }, options);
+        const edgeInto = new Map(upstream.edges.map(e => [e.predecessor.id, e]));
+        return {
+            modern: entity.modern_name,
+            ticker: entity.stock_ticker || null,
+            predecessors: upstream.nodes.filter(n => n.depth > 0).map(n => ({
+                name: n.name,
+                year: n.firstDocumentedYear || edgeInto.get(n.id)?.year || null,
+                role: edgeInto.get(n.id)?.notes || edgeInto.get(n.id)?.kind || null,
+                hops: n.depth,
+                entityId: n.id
+            })),
+            documentation: entity.chain_documentation || { primary: entity.source_document || null }
         };
     }
 
     /**
      * Get the succession chain for a Farmer-Paellmann defendant.
+     * @returns {Promise<Object|null>} { modern, ticker, predecessors[], documentation }
      */
-    getChain(entityKey) {
-        return this.KNOWN_CHAINS[entityKey] || null;
+    async getChain(entityKey) {
+        const [entity] = await this._chainEntities(entityKey);
+        return entity ? this._buildChain(entity) : null;
     }
 
     /**
      * Reverse lookup: given a modern company name, employer, or stock ticker,
-     * find matching KNOWN_CHAINS keys. Used by intake form validation and
+     * find matching chain keys. Used by intake form validation and
      * TieredPaymentCalculator to auto-detect corporate connection type.
      *
      * @param {string} input - Company name, ticker, or partial match
-     * @returns {Array} Matching chain keys with confidence
+     * @returns {Promise<Array>} Matching chain keys with confidence
      */
-    reverseLookup(input) {
+    async reverseLookup(input) {
         if (!input) return [];
         const normalized = input.toLowerCase().trim();
         const matches = [];
 
-        for (const [key, chain] of Object.entries(this.KNOWN_CHAINS)) {
+        for (const entity of await this._chainEntities()) {
+            const key = entity.chain_key;
+            const chain = await this._buildChain(entity);
             let confidence = 0;
             let reason = '';
 
@@ -150,12 +542,13 @@ class CorporateSuccessionTracer {
                 confidence = 0.9;
                 reason = `Key match: ${key}`;
             }
-            // Predecessor name match
+            // Predecessor name match, at any depth
             else {
                 for (const pred of chain.predecessors) {
-                    if (pred.name.toLowerCase().includes(normalized) || normalized.includes(pred.name.toLowerCase())) {
+                    const name = (pred.name || '').toLowerCase();
+                    if (name && (name.includes(normalized) || normalized.includes(name))) {
                         confidence = 0.8;
-                        reason = `Predecessor match: ${pred.name} (${pred.year})`;
+                        reason = `Predecessor match: ${pred.name}${pred.year ? ` (${pred.year})` : ''}`;
                         break;
                     }
                 }
@@ -172,15 +565,21 @@ class CorporateSuccessionTracer {
     /**
      * List all documented succession chains.
      */
-    listAllChains() {
-        return Object.entries(this.KNOWN_CHAINS).map(([key, chain]) => ({
-            key,
-            modernEntity: chain.modern,
-            ticker: chain.ticker,
-            predecessorCount: chain.predecessors.length,
-            earliestYear: Math.min(...chain.predecessors.map(p => p.year)),
-            primarySource: chain.documentation.primary
-        }));
+    async listAllChains() {
+        const chains = [];
+        for (const entity of await this._chainEntities()) {
+            const chain = await this._buildChain(entity);
+            const years = chain.predecessors.map(p => p.year).filter(Boolean);
+            chains.push({
+                key: entity.chain_key,
+                modernEntity: chain.modern,
+                ticker: chain.ticker,
+                predecessorCount: chain.predecessors.length,
+                earliestYear: years.length ? Math.min(...years) : null,
+                primarySource: chain.documentation.primary || null
+            });
+        }
+        return chains;
     }
 
     /**
@@ -265,3 +664,7 @@ class CorporateSuccessionTracer {
 }
 
 module.exports = CorporateSuccessionTracer;
+module.exports.SuccessionError = SuccessionError;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.SUCCESSION_KINDS = SUCCESSION_KINDS;
+module.exports.TRACEABILITY = TRACEABILITY;
@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * Historical Currency Converter
+ *
+ * Turns a face value in a historical currency into (a) US dollars of the same
+ * year and (b) US dollars of BASE_YEAR, using only the cited year-keyed tables
+ * in currency-tables.js. Used by ICHEICCalculator (face value → USD before
+ * compounding), CompensationTracker (modern value of the 1833 / 1862 awards)
+ * and UnifiedScraper (UCL LBS pound amounts), so that totals built from
+ * several jurisdictions are in one unit.
+ *
+ * Routes to BASE_YEAR:
+ *   usd_cpi   (default) historical exchange rate, then the US CPI. Every
+ *             currency goes through the same deflator — use this whenever
+ *             amounts from different currencies are added up.
+ *   local_cpi the currency's own price index, then the BASE_YEAR exchange
+ *             rate. Only GBP has one loaded (Bank of England); this is how
+ *             the existing "£1 (1833) ≈ $150" floor was derived.
+ *
+ * Years outside a series are refused (YEAR_OUT_OF_RANGE) rather than
+ * extrapolated. Price-index years between anchors are interpolated and the
+ * result says so.
+ */
+
+const TABLES = require('./currency-tables');
+
+const ROUTES = ['usd_cpi', 'local_cpi'];
+
+class CurrencyConversionError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'CurrencyConversionError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const round = (n, places = 2) => {
+    const f = 10 ** places;
+    return Math.round(n * f) / f;
+};
+
+/**
+ * Value of a { from, to, interpolate, points } series in one year.
+ * @returns {{ value: number, interpolated: boolean }}
+ */
+function seriesValue(series, year, label) {
+    if (year < series.from || year > series.to) {
+        throw new CurrencyConversionError(
+            `${label} covers ${series.from}–${series.to}; no value for ${year}`, 'YEAR_OUT_OF_RANGE');
+    }
+    const years = Object.keys(series.points).map(Number).sort((a, b) => a - b);
+    if (series.points[year] !== undefined) return { value: series.points[year], interpolated: false };
+
+    let lo = null;
+    let hi = null;
+    for (const y of years) {
+        if (y <= year) lo = y;
+        else if (hi === null) hi = y;
+    }
+    if (lo === null) {
+        throw new CurrencyConversionError(`${label} has no anchor at or before ${year}`, 'YEAR_OUT_OF_RANGE');
+    }
+    if (series.interpolate === 'step' || hi === null) {
+        return { value: series.points[lo], interpolated: series.interpolate !== 'step' };
+    }
+    const t = (year - lo) / (hi - lo);
+    return { value: series.points[lo] + t * (series.points[hi] - series.points[lo]), interpolated: true };
+}
+
+class CurrencyConverter {
+    /**
+     * @param {Object} [opts]
+     * @param {Object} [opts.tables] - replacement tables (tests); defaults to currency-tables.js
+     */
+    constructor({ tables = TABLES } = {}) {
+        this.tables = tables;
+        this.baseYear = tables.BASE_YEAR;
+    }
+
+    _year(year) {
+        const y = parseInt(year, 10);
+        if (!Number.isInteger(y)) throw new CurrencyConversionError(`Invalid year: ${year}`, 'BAD_INPUT');
+        return y;
+    }
+
+    _exchange(currency) {
+        const series = this.tables.EXCHANGE[String(currency || '').toUpperCase()];
+        if (!series) {
+            throw new CurrencyConversionError(
+                `No exchange series for ${currency}. Available: ${Object.keys(this.tables.EXCHANGE).join(', ')}`,
+                'UNKNOWN_CURRENCY');
+        }
+        return series;
+    }
+
+    /**
+     * US dollars per one unit of `currency` in `year`, in the dollars US prices
+     * were quoted in that year (greenbacks 1862–1878).
+     *
+     * @returns {Object} { currency, year, usdPerUnit, goldUsdPerUnit, greenbackPremium, sources }
+     */
+    exchangeRate(currency, year) {
+        const y = this._year(year);
+        const code = String(currency).toUpperCase();
+        const series = this._exchange(code);
+        const sources = [series.cite];
+
+        let { value: rate } = seriesValue(series, y, `${code} exchange series`);
+        if (series.via) {
+            const base = this.exchangeRate(series.via, y);
+            rate = (rate / 240) * base.goldUsdPerUnit;      // pence → pounds → dollars
+            sources.push(...base.sources);
+        }
+
+        let premium = 1;
+        const gb = this.tables.GREENBACK_PREMIUM;
+        if (code !== 'USD' && gb && y >= gb.from && y <= gb.to) {
+            premium = seriesValue(gb, y, 'greenback premium').value;
+            sources.push(gb.cite);
+        }
+
+        return {
+            currency: code,
+            year: y,
+            usdPerUnit: round(rate * premium, 6),
+            goldUsdPerUnit: round(rate, 6),
+            greenbackPremium: premium,
+            sources: [...new Set(sources)],
+            note: series.note || null,
+        };
+    }
+
+    /**
+     * Face value → US dollars of the same year.
+     */
+    toUSD(amount, currency, year) {
+        const fx = this.exchangeRate(currency, year);
+        return {
+            amount,
+            currency: fx.currency,
+            year: fx.year,
+            usd: round(amount * fx.usdPerUnit),
+            exchangeRate: fx.usdPerUnit,
+            greenbackPremium: fx.greenbackPremium,
+            sources: fx.sources,
+            note: fx.note,
+        };
+    }
+
+    /**
+     * Price-level multiplier from one year to another on a loaded index.
+     *
+     * @param {number} fromYear
+     * @param {number} [toYear] - defaults to BASE_YEAR
+     * @param {string} [index] - PRICE_INDEX key, default US_CPI
+     * @returns {Object} { factor, index, fromYear, toYear, interpolated, cite }
+     */
+    priceFactor(fromYear, toYear = this.baseYear, index = 'US_CPI') {
+        const series = this.tables.PRICE_INDEX[index];
+        if (!series) throw new CurrencyConversionError(`Unknown price index: ${index}`, 'UNKNOWN_INDEX');
+        const from = seriesValue(series, this._year(fromYear), index);
+        const to = seriesValue(series, this._year(toYear), index);
+        return {
+            factor: to.value / from.value,
+            index,
+            fromYear: this._year(fromYear),
+            toYear: this._year(toYear),
+            interpolated: from.interpolated || to.interpolated,
+            cite: series.cite,
+        };
+    }
+
+    /**
+     * Face value in a historical currency → US dollars of BASE_YEAR.
+     *
+     * @param {number} amount - face value (mil-réis for BRL)
+     * @param {string} currency - EXCHANGE key (USD, GBP, FRF, NLG, BRL, SPD)
+     * @param {number} year - year of the face value
+     * @param {Object} [opts]
+     * @param {string} [opts.route] - 'usd_cpi' (default) or 'local_cpi'
+     * @returns {Object} breakdown incl. modernUSD, multiplier (modern USD per unit) and sources
+     */
+    toModernUSD(amount, currency, year, { route = 'usd_cpi' } = {}) {
+        if (!ROUTES.includes(route)) {
+            throw new CurrencyConversionError(`route must be one of ${ROUTES.join(', ')}`, 'BAD_INPUT');
+        }
+        const value = Number(amount);
+        if (!Number.isFinite(value)) throw new CurrencyConversionError(`Invalid amount: ${amount}`, 'BAD_INPUT');
+        const code = String(currency || '').toUpperCase();
+        const y = this._year(year);
+
+        if (route === 'local_cpi' && code !== 'USD') {
+            const index = Object.keys(this.tables.PRICE_INDEX).find(k => this.tables.PRICE_INDEX[k].currency === code);
+            const baseFx = this.tables.BASE_EXCHANGE?.[code];
+            if (!index || !baseFx) {
+                throw new CurrencyConversionError(`No local price index for ${code}; use route usd_cpi`, 'NO_LOCAL_INDEX');
+            }
+            const pf = this.priceFactor(y, this.baseYear, index);
+            const multiplier = pf.factor * baseFx.value;
+            return {
+                amount: value,
+                currency: code,
+                year: y,
+                baseYear: this.baseYear,
+                route,
+                historicalUSD: null,
+                exchangeRate: baseFx.value,
+                greenbackPremium: 1,
+                priceIndex: index,
+                priceFactor: round(pf.factor, 4),
+                multiplier: round(multiplier, 4),
+                modernUSD: round(value * multiplier),
+                interpolated: pf.interpolated,
+                sources: [pf.cite, baseFx.cite],
+            };
+        }
+
+        const usd = this.toUSD(value, code, y);
+        const pf = this.priceFactor(y, this.baseYear, 'US_CPI');
+        const multiplier = usd.exchangeRate * pf.factor;
+        return {
+            amount: value,
+            currency: usd.currency,
+            year: y,
+            baseYear: this.baseYear,
+            route: 'usd_cpi',
+            historicalUSD: usd.usd,
+            exchangeRate: usd.exchangeRate,
+            greenbackPremium: usd.greenbackPremium,
+            priceIndex: 'US_CPI',
+            priceFactor: round(pf.factor, 4),
+            multiplier: round(multiplier, 4),
+            modernUSD: round(value * multiplier),
+            interpolated: pf.interpolated,
+            sources: [...usd.sources, pf.cite],
+        };
+    }
+
+    /**
+     * Like toModernUSD but returns null instead of throwing when the currency
+     * or year is not covered — for callers that record "unconverted" rather
+     * than fail (scrapers, bulk imports).
+     */
+    tryModernUSD(amount, currency, year, opts) {
+        try {
+            return this.toModernUSD(amount, currency, year, opts);
+        } catch (error) {
+            if (error instanceof CurrencyConversionError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Currencies with a loaded exchange series, their coverage and citation.
+     */
+    listCurrencies() {
+        return Object.entries(this.tables.EXCHANGE).map(([code, s]) => ({
+            code,
+            name: s.name,
+            unit: s.unit,
+            from: s.from,
+            to: s.to,
+            localIndex: Object.keys(this.tables.PRICE_INDEX).find(k => this.tables.PRICE_INDEX[k].currency === code) || null,
+            cite: s.cite,
+            note: s.note || null,
+        }));
+    }
+}
+
+module.exports = CurrencyConverter;
+module.exports.CurrencyConversionError = CurrencyConversionError;
+module.exports.seriesValue = seriesValue;
+module.exports.ROUTES = ROUTES;
@@ -590,9 +590,21 @@ class DAADocumentGenerator {
                     }),
                     new Paragraph({
                         text: `FamilySearch ARK: ${source.source_url || 'TBD'}`,
-                        spacing: { after: 200 }
+                        spacing: { after: source.citation_key ? 50 : 200 }
                     })
                 );
+                if (source.citation_key) {
+                    sections.push(
+                        new Paragraph({
+                            text: `Bibliography Key: ${source.citation_key}`,
+                            spacing: { after: 50 }
+                        }),
+                        new Paragraph({
+                            text: source.bibliography_citation || '',
+                            spacing: { after: 200 }
+                        })
+                    );
+                }
                 
                 // TODO [JAN 2026]: Add full will text transcription
                 sections.push(
@@ -1048,6 +1060,10 @@ class DAADocumentGenerator {
 
     /**
      * Create signature page
+     *
+     * Obligor and countersigner blocks. Execution happens through the signing
+     * workflow (DAASigningService, M114): each signature is recorded against
+     * the SHA-256 of this file, so nothing here may vary per signer.
      */
     createSignaturePage(acknowledgerInfo, daaRecord) {
         return [
@@ -1078,6 +1094,27 @@ class DAADocumentGenerator {
                 text: 'Date: ____________________',
                 spacing: { after: 400 }
             }),
+            new Paragraph({
+                text: 'COUNTERSIGNED:',
+                spacing: { before: 200, after: 100 }
+            }),
+            new Paragraph({
+                text: '________________________________________',
+                spacing: { after: 50 }
+            }),
+            new Paragraph({
+                text: 'Authorized Signatory, Reparations ∈ ℝ',
+                spacing: { after: 100 }
+            }),
+            new Paragraph({
+                text: 'Date: ____________________',
+                spacing: { after: 400 }
+            }),
+            new Paragraph({
+                text: 'This Agreement may be executed electronically. Each electronic signature is recorded with the signer\'s name, the time of signing and the SHA-256 hash of this document, and may be accompanied by a cryptographic wallet signature referencing the on-chain record of this Agreement. A signature recorded against a different hash does not execute this document.',
+                italics: true,
+                spacing: { after: 400 }
+            }),
             new Paragraph({
                 text: '— END OF AGREEMENT —',
                 alignment: AlignmentType.CENTER,
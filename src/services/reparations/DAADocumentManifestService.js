@@ -0,0 +1,347 @@
+'use strict';
+
+/**
+ * DAADocumentManifestService
+ *
+ * Commits the documents behind a DAA to a single bytes32 (M125).
+ *
+ * Every stored person_documents file gets a CIDv1 (ipfs-cid, computed from the
+ * bytes — no IPFS node). A DAA's manifest lists the documents of the people the
+ * agreement names:
+ *
+ *   slaveholder  debt_acknowledgment_agreements.slaveholder_canonical_id and
+ *                every enslaver the DAA contributes to (daa_lineage_contributions)
+ *   enslaved     daa_enslaved_persons.enslaved_canonical_id
+ *   agreement    the generated DOCX itself (document_path), when readable here
+ *
+ * Each entry's leaf is keccak256(utf8(cid)); the leaves form the sorted-pair
+ * Merkle tree in blockchain/merkle.js, the same fold ReparationsLedger.verifyProof
+ * runs. merkle_root is what submitDAAOnChain registers as the ancestry record's
+ * docHash (the escrow's genealogyHash); the manifest itself is canonical JSON
+ * whose CID goes to debt_acknowledgment_agreements.genealogy_proof_ipfs_hash.
+ *
+ * prove() returns the sibling path for one document, so anyone holding the
+ * file can recompute its CID, fold the proof and compare with the on-chain
+ * genealogyHash.
+ *
+ * Documents without a stored file (s3_key) cannot be addressed and are listed
+ * under manifest.skipped rather than silently dropped.
+ */
+
+const fs = require('fs');
+const S3Service = require('../storage/S3Service');
+const { cidForBuffer } = require('../document/ipfs-cid');
+const { leafHash, buildTree, proofFor, verifyProof } = require('../blockchain/merkle');
+const { canonicalJson } = require('./DAASnapshotService');
+
+const MANIFEST_VERSION = 1;
+const LEAF_RULE = 'keccak256(utf8(cid)); sorted-pair keccak256 tree (ReparationsLedger.verifyProof)';
+
+class DAAManifestError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'DAAManifestError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+class DAADocumentManifestService {
+    /**
+     * @param {object} database - pg pool
+     * @param {object} [opts]
+     * @param {Function} [opts.readObject] - (s3Key) => Promise<Buffer> (default S3Service.getObjectBuffer)
+     * @param {Function} [opts.readFile] - (path) => Promise<Buffer>, for the agreement DOCX
+     */
+    constructor(database, opts = {}) {
+        this.db = database;
+        this.readObject = opts.readObject || ((key) => S3Service.getObjectBuffer(key));
+        this.readFile = opts.readFile || ((p) => fs.promises.readFile(p));
+    }
+
+    /**
+     * Compute and store one document's CID. Returns the stored CID unless
+     * force; null when the row has no stored file.
+     */
+    async addressDocument(documentId, { force = false } = {}) {
+        const r = await this.db.query(
+            `SELECT id, s3_key, ipfs_cid FROM person_documents WHERE id = $1`, [documentId]);
+        const doc = r.rows[0];
+        if (!doc) throw new DAAManifestError('Document not found', 'NOT_FOUND', 404);
+        if (doc.ipfs_cid && !force) return doc.ipfs_cid;
+        if (!doc.s3_key) return null;
+
+        const cid = cidForBuffer(await this.readObject(doc.s3_key));
+        await this.db.query(`
+            UPDATE person_documents SET ipfs_cid = $2, ipfs_cid_computed_at = NOW()
+            WHERE id = $1
+        `, [documentId, cid]);
+        return cid;
+    }
+
+    /**
+     * Backfill: address stored documents that have no CID yet, in id order
+     * after afterId (pass the previous batch's lastId so rows that keep
+     * failing are not read again). scripts/address-person-documents.js.
+     * @returns {Promise<Object>} { addressed, failed: [{ id, error }], lastId (null when none were left) }
+     */
+    async addressPending({ limit = 100, afterId = 0 } = {}) {
+        const r = await this.db.query(`
+            SELECT id FROM person_documents
+            WHERE ipfs_cid IS NULL AND s3_key IS NOT NULL AND id > $2
+            ORDER BY id
+            LIMIT $1
+        `, [Math.min(Math.max(parseInt(limit, 10) || 100, 1), 5000), afterId]);
+        const out = { addressed: 0, failed: [], lastId: r.rows.length ? r.rows[r.rows.length - 1].id : null };
+        for (const { id } of r.rows) {
+            try {
+                if (await this.addressDocument(id)) out.addressed++;
+            } catch (e) {
+                out.failed.push({ id, error: e.message });
+            }
+        }
+        return out;
+    }
+
+    async _loadAgreement(daaId) {
+        const r = await this.db.query(`
+            SELECT daa_id, agreement_number, slaveholder_canonical_id, document_path,
+                   document_sha256, genealogy_proof_ipfs_hash, blockchain_record_id
+            FROM debt_acknowledgment_agreements
+            WHERE daa_id = $1
+        `, [daaId]);
+        return r.rows[0] || null;
+    }
+
+    /**
+     * person_documents rows for everyone the DAA names, one row per document
+     * (a document filed under both a slaveholder and an enslaved person keeps
+     * the first role).
+     */
+    async documentsFor(daaId) {
+        const r = await this.db.query(`
+            WITH persons AS (
+                SELECT slaveholder_canonical_id AS person_id, 'slaveholder' AS role
+                FROM debt_acknowledgment_agreements
+                WHERE daa_id = $1 AND slaveholder_canonical_id IS NOT NULL
+                UNION
+                SELECT ell.enslaver_person_id, 'slaveholder'
+                FROM daa_lineage_contributions dlc
+                JOIN enslaver_lineage_ledger ell ON ell.lineage_id = dlc.lineage_id
+                WHERE dlc.daa_id = $1
+                UNION
+                SELECT enslaved_canonical_id, 'enslaved'
+                FROM daa_enslaved_persons
+                WHERE daa_id = $1 AND enslaved_canonical_id IS NOT NULL
+            )
+            SELECT pd.id, pd.canonical_person_id, p.role, pd.document_type,
+                   pd.filename, pd.s3_key, pd.source_url, pd.ipfs_cid
+            FROM persons p
+            JOIN person_documents pd ON pd.canonical_person_id = p.person_id
+            ORDER BY p.role DESC, pd.id
+        `, [daaId]);
+        const byId = new Map();
+        for (const row of r.rows) if (!byId.has(row.id)) byId.set(row.id, row);
+        return [...byId.values()];
+    }
+
+    /**
+     * Build the DAA's document manifest and store it as the next version when
+     * its root differs from the latest one.
+     *
+     * @param {string} daaId
+     * @param {Object} [opts]
+     * @param {string} [opts.createdBy]
+     * @param {boolean} [opts.addressMissing=true] - compute CIDs for documents that have none
+     * @returns {Promise<Object>} the manifest row plus { created }
+     */
+    async buildManifest(daaId, { createdBy = 'daa_orchestrator', addressMissing = true } = {}) {
+        const daa = await this._loadAgreement(daaId);
+        if (!daa) throw new DAAManifestError('DAA not found', 'NOT_FOUND', 404);
+
+        const documents = [];
+        const skipped = [];
+        for (const row of await this.documentsFor(daaId)) {
+            let cid = row.ipfs_cid;
+            if (!cid && addressMissing && row.s3_key) {
+                try {
+                    cid = await this.addressDocument(row.id);
+                } catch (e) {
+                    skipped.push({ document_id: row.id, reason: `read failed: ${e.message}` });
+                    continue;
+                }
+            }
+            if (!cid) {
+                skipped.push({ document_id: row.id, reason: row.s3_key ? 'not_addressed' : 'no_stored_file' });
+                continue;
+            }
+            documents.push({
+                kind: 'person_document',
+                document_id: row.id,
+                cid,
+                role: row.role,
+                canonical_person_id: row.canonical_person_id,
+                document_type: row.document_type || null,
+                filename: row.filename || null,
+                source_url: row.source_url || null,
+            });
+        }
+        if (daa.document_path) {
+            try {
+                documents.push({
+                    kind: 'agreement',
+                    cid: cidForBuffer(await this.readFile(daa.document_path)),
+                    role: 'agreement',
+                    sha256: daa.document_sha256 || null,
+                });
+            } catch (e) {
+                skipped.push({ kind: 'agreement', reason: `read failed: ${e.message}` });
+            }
+        }
+        if (!documents.length) {
+            throw new DAAManifestError('No stored documents back this DAA', 'EMPTY', 409);
+        }
+
+        documents.sort((a, b) => (a.cid < b.cid ? -1 : a.cid > b.cid ? 1 : 0));
+        const tree = buildTree(documents.map(d => leafHash(d.cid)));
+        // Round-trip through JSON so the CID is taken over exactly what JSONB stores.
+        const manifest = JSON.parse(JSON.stringify({
+            manifest_version: MANIFEST_VERSION,
+            daa_id: daa.daa_id,
+            agreement_number: daa.agreement_number,
+            leaf: LEAF_RULE,
+            merkle_root: tree.root,
+            documents,
+            skipped,
+        }));
+        const manifestCid = cidForBuffer(canonicalJson(manifest));
+
+        // The agreement row is locked for the version check, insert and hash
+        // update, so concurrent builds for one DAA run one after the other:
+        // the second sees the first's version (and root) instead of reusing
+        // its MAX(version).
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `SELECT daa_id FROM debt_acknowledgment_agreements WHERE daa_id = $1 FOR UPDATE`, [daaId]);
+            const latest = await this.latest(daaId, client);
+            if (latest && latest.merkle_root === tree.root) {
+                await client.query('COMMIT');
+                return { ...latest, created: false };
+            }
+
+            const { rows } = await client.query(`
+                INSERT INTO daa_document_manifests
+                    (daa_id, version, merkle_root, manifest_cid, document_count, manifest, created_by)
+                SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6
+                FROM daa_document_manifests WHERE daa_id = $1
+                RETURNING *
+            `, [daaId, tree.root, manifestCid, documents.length, manifest, createdBy]);
+            await client.query(`
+                UPDATE debt_acknowledgment_agreements SET genealogy_proof_ipfs_hash = $2
+                WHERE daa_id = $1
+            `, [daaId, manifestCid]);
+            await client.query('COMMIT');
+            return { ...rows[0], created: true };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async latest(daaId, db = this.db) {
+        const r = await db.query(`
+            SELECT * FROM daa_document_manifests
+            WHERE daa_id = $1
+            ORDER BY version DESC
+            LIMIT 1
+        `, [daaId]);
+        return r.rows[0] || null;
+    }
+
+    async get(daaId, version) {
+        const r = await this.db.query(
+            `SELECT * FROM daa_document_manifests WHERE daa_id = $1 AND version = $2`, [daaId, version]);
+        return r.rows[0] || null;
+    }
+
+    async list(daaId) {
+        const r = await this.db.query(`
+            SELECT id, version, merkle_root, manifest_cid, document_count, created_by, created_at,
+                   submitted_tx_hash, blockchain_record_id, submitted_at
+            FROM daa_document_manifests
+            WHERE daa_id = $1
+            ORDER BY version DESC
+        `, [daaId]);
+        return r.rows;
+    }
+
+    /**
+     * Inclusion proof for one document in a DAA's manifest.
+     *
+     * @param {string} daaId
+     * @param {Object} target - { documentId } or { cid }; { version } (default latest)
+     * @returns {Promise<Object>} { included, leaf, proof, merkleRoot, verified, ... }
+     */
+    async prove(daaId, { documentId = null, cid = null, version = null } = {}) {
+        if (documentId == null && !cid) {
+            throw new DAAManifestError('documentId or cid required', 'BAD_REQUEST', 400);
+        }
+        const row = version != null ? await this.get(daaId, version) : await this.latest(daaId);
+        if (!row) throw new DAAManifestError('No document manifest for this DAA', 'NOT_FOUND', 404);
+
+        const documents = row.manifest.documents || [];
+        const entry = documentId != null
+            ? documents.find(d => d.document_id === Number(documentId))
+            : documents.find(d => d.cid === cid);
+        const base = {
+            daaId,
+            version: row.version,
+            merkleRoot: row.merkle_root,
+            manifestCid: row.manifest_cid,
+            onChain: row.submitted_tx_hash
+                ? { transactionHash: row.submitted_tx_hash, recordId: row.blockchain_record_id, submittedAt: row.submitted_at }
+                : null,
+        };
+        if (!entry) return { ...base, included: false };
+
+        const leaf = leafHash(entry.cid);
+        const proof = proofFor(buildTree(documents.map(d => leafHash(d.cid))), leaf);
+
+        // The document's CID today, so a file replaced after the manifest was
+        // built shows up as changed rather than as proven.
+        let currentCid = null;
+        if (entry.document_id != null) {
+            const r = await this.db.query(
+                `SELECT ipfs_cid FROM person_documents WHERE id = $1`, [entry.document_id]);
+            currentCid = r.rows[0]?.ipfs_cid || null;
+        }
+
+        return {
+            ...base,
+            included: true,
+            document: entry,
+            leaf,
+            proof,
+            verified: verifyProof(leaf, proof, row.merkle_root),
+            currentCid,
+            unchanged: entry.document_id == null ? null : currentCid === entry.cid,
+        };
+    }
+
+    /** Record the escrow submission that registered a manifest's root. */
+    async markSubmitted(manifestId, { transactionHash, recordId = null }) {
+        await this.db.query(`
+            UPDATE daa_document_manifests
+            SET submitted_tx_hash = $2, blockchain_record_id = $3, submitted_at = NOW()
+            WHERE id = $1
+        `, [manifestId, transactionHash, recordId == null ? null : String(recordId)]);
+    }
+}
+
+module.exports = DAADocumentManifestService;
+module.exports.DAAManifestError = DAAManifestError;
+module.exports.MANIFEST_VERSION = MANIFEST_VERSION;
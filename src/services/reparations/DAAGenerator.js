@@ -123,9 +123,11 @@ class DAAGenerator {
      *
      * @param {number} yearsEnslaved - Years of unpaid labor (from documented dates)
      * @param {number} startYear - Year enslavement began (documented birth year or start)
+     * @param {number} [rate] - Compound rate override (ScenarioEngine sensitivity
+     *   runs); defaults to the Craemer floor
      * @returns {Object} Calculation breakdown with citations
      */
-    calculateIndividualDebt(yearsEnslaved, startYear) {
+    calculateIndividualDebt(yearsEnslaved, startYear, rate = this.COMPOUND_INTEREST_RATE) {
         const endYear = startYear + yearsEnslaved;
         const yearsToPresent = this.CURRENT_YEAR - endYear;
 
@@ -136,7 +138,7 @@ class DAAGenerator {
 
         // Step 2: Compound interest to present value (3%, Craemer)
         const presentValue = baseWageTheft *
-                            Math.pow(1 + this.COMPOUND_INTEREST_RATE, yearsToPresent);
+                            Math.pow(1 + rate, yearsToPresent);
 
         // Step 3: Sanity check against Brattle Group macro ceiling
         const perPersonYear = presentValue / yearsEnslaved;
@@ -153,8 +155,9 @@ class DAAGenerator {
             yearsToPresent,
             perPersonYear: Math.round(perPersonYear * 100) / 100,
             exceedsBrattleCeiling: exceedsCeiling,
-            methodology: 'Craemer (2015): Base wage theft + 3% compound interest to present',
-            formula: `($${this.BASE_DAILY_WAGE}/day × ${this.WORKING_DAYS_PER_YEAR} days × ${yearsEnslaved} yrs) × (1.03)^${yearsToPresent}`,
+            compoundRate: rate,
+            methodology: `Craemer (2015): Base wage theft + ${+(rate * 100).toFixed(2)}% compound interest to present`,
+            formula: `($${this.BASE_DAILY_WAGE}/day × ${this.WORKING_DAYS_PER_YEAR} days × ${yearsEnslaved} yrs) × (${1 + rate})^${yearsToPresent}`,
             citations: {
                 wage: 'Craemer (2015), Table 1, p. 644 — historical free-labor hourly wages',
                 interest: 'Craemer (2015), p. 645 — 3% conservative floor rate',
@@ -201,88 +204,13 @@ class DAAGenerator {
         );
         const agreementNumber = agreementNumberResult.rows[0].agreement_number;
 
-        // ── Confidence Propagation ────────────────────────────────────
-        // The genealogical chain from the participant to the slaveholder
-        // has uncertainty at each generation. We model this as:
-        //
-        //   chain_confidence = per_link_confidence ^ generation_distance
-        //
-        // Where per_link_confidence = 0.92 (conservative estimate that
-        // each parent-child link in FamilySearch is ~92% reliable).
-        //
-        // This means:
-        //   Gen 1:  0.92^1  = 92% confident
-        //   Gen 4:  0.92^4  = 72% confident
-        //   Gen 6:  0.92^6  = 61% confident
-        //   Gen 8:  0.92^8  = 51% confident
-        //   Gen 10: 0.92^10 = 43% confident
-        //
-        // The debt is weighted by this confidence — a Gen 4 match
-        // contributes 72% of its full value, a Gen 10 match only 43%.
-        // This prevents deep, uncertain matches from dominating the DAA.
-        //
-        // The match_confidence from the climber is also factored in:
-        //   effective_confidence = chain_confidence × match_confidence
-        //
-        // If no generation data is provided, confidence defaults to 1.0
-        // (no penalty — this is the case for non-climb matches).
-        const PER_LINK_CONFIDENCE = 0.92;
-
-        // Calculate debt for each enslaved person
-        // Skip persons with unknown years (no fabricated defaults)
-        const enslavedCalculations = enslavedPersons
-            .filter(person => person.yearsEnslaved != null && person.startYear != null)
-            .map(person => {
-                const calc = this.calculateIndividualDebt(
-                    person.yearsEnslaved,
-                    person.startYear
-                );
-
-                // Apply confidence propagation if generation data is available
-                const generationDistance = person.generationDistance || generationFromSlaveholder || null;
-                const matchConfidence = person.matchConfidence || 1.0;
-                const chainConfidence = generationDistance
-                    ? Math.pow(PER_LINK_CONFIDENCE, generationDistance)
-                    : 1.0;
-                const effectiveConfidence = chainConfidence * matchConfidence;
-
-                // Weight the debt by effective confidence
-                const weightedValue = Math.round(calc.modernValue * effectiveConfidence * 100) / 100;
-
-                return {
-                    name: person.name,
-                    ...calc,
-                    // Confidence data
-                    generationDistance,
-                    chainConfidence: Math.round(chainConfidence * 1000) / 1000,
-                    matchConfidence: Math.round(matchConfidence * 1000) / 1000,
-                    effectiveConfidence: Math.round(effectiveConfidence * 1000) / 1000,
-                    // Weighted value
-                    weightedValue,
-                    unweightedValue: calc.modernValue,
-                    relationship: person.relationship || 'enslaved_by'
-                };
-            });
-
-        // Track persons whose debt could not be calculated due to missing data
-        const pendingCalculations = enslavedPersons
-            .filter(person => person.yearsEnslaved == null || person.startYear == null)
-            .map(person => ({
-                name: person.name,
-                reason: 'Insufficient documented dates to calculate debt — birth year, freedom year, or both are unknown',
-                relationship: person.relationship || 'enslaved_by'
-            }));
-
-        // Calculate total debt using WEIGHTED values
-        // The unweighted total is shown for transparency
-        const totalDebt = enslavedCalculations.reduce(
-            (sum, calc) => sum + calc.weightedValue,
-            0
-        );
-        const totalDebtUnweighted = enslavedCalculations.reduce(
-            (sum, calc) => sum + calc.unweightedValue,
-            0
-        );
+        const {
+            enslavedCalculations,
+            pendingCalculations,
+            totalDebt,
+            totalDebtUnweighted,
+            perLinkConfidence: PER_LINK_CONFIDENCE
+        } = this.calculateWeightedDebt(enslavedPersons, generationFromSlaveholder);
 
         // Calculate annual payment (2% of income)
         const annualPayment = Math.round(annualIncome * this.PAYMENT_PERCENTAGE * 100) / 100;
@@ -439,6 +367,122 @@ class DAAGenerator {
         }
     }
 
+    /**
+     * The same calculator with CURRENT_YEAR pinned — compounding runs to the
+     * present, so DAASnapshotService recomputes a stored DAA as of the year it
+     * was generated, not the year it is re-verified.
+     *
+     * @param {number} year
+     * @returns {DAAGenerator}
+     */
+    withCurrentYear(year) {
+        const pinned = Object.create(this);
+        pinned.CURRENT_YEAR = year;
+        return pinned;
+    }
+
+    /**
+     * Confidence-weighted debt across an agreement's enslaved persons — the
+     * figure generateDAA stores as total_debt. Pure; DAASnapshotService calls
+     * it again on a frozen manifest to re-verify a stored DAA.
+     *
+     * @param {Array} enslavedPersons - Array of {name, yearsEnslaved, startYear, relationship, generationDistance?, matchConfidence?}
+     * @param {number|null} generationFromSlaveholder - Fallback generation distance
+     * @returns {Object} { enslavedCalculations, pendingCalculations, totalDebt, totalDebtUnweighted, perLinkConfidence }
+     */
+    calculateWeightedDebt(enslavedPersons, generationFromSlaveholder) {
+        // ── Confidence Propagation ────────────────────────────────────
+        // The genealogical chain from the participant to the slaveholder
+        // has uncertainty at each generation. We model this as:
+        //
+        //   chain_confidence = per_link_confidence ^ generation_distance
+        //
+        // Where per_link_confidence = 0.92 (conservative estimate that
+        // each parent-child link in FamilySearch is ~92% reliable).
+        //
+        // This means:
+        //   Gen 1:  0.92^1  = 92% confident
+        //   Gen 4:  0.92^4  = 72% confident
+        //   Gen 6:  0.92^6  = 61% confident
+        //   Gen 8:  0.92^8  = 51% confident
+        //   Gen 10: 0.92^10 = 43% confident
+        //
+        // The debt is weighted by this confidence — a Gen 4 match
+        // contributes 72% of its full value, a Gen 10 match only 43%.
+        // This prevents deep, uncertain matches from dominating the DAA.
+        //
+        // The match_confidence from the climber is also factored in:
+        //   effective_confidence = chain_confidence × match_confidence
+        //
+        // If no generation data is provided, confidence defaults to 1.0
+        // (no penalty — this is the case for non-climb matches).
+        const PER_LINK_CONFIDENCE = 0.92;
+
+        // Calculate debt for each enslaved person
+        // Skip persons with unknown years (no fabricated defaults)
+        const enslavedCalculations = enslavedPersons
+            .filter(person => person.yearsEnslaved != null && person.startYear != null)
+            .map(person => {
+                const calc = this.calculateIndividualDebt(
+                    person.yearsEnslaved,
+                    person.startYear
+                );
+
+                // Apply confidence propagation if generation data is available
+                const generationDistance = person.generationDistance || generationFromSlaveholder || null;
+                const matchConfidence = person.matchConfidence || 1.0;
+                const chainConfidence = generationDistance
+                    ? Math.pow(PER_LINK_CONFIDENCE, generationDistance)
+                    : 1.0;
+                const effectiveConfidence = chainConfidence * matchConfidence;
+
+                // Weight the debt by effective confidence
+                const weightedValue = Math.round(calc.modernValue * effectiveConfidence * 100) / 100;
+
+                return {
+                    name: person.name,
+                    ...calc,
+                    // Confidence data
+                    generationDistance,
+                    chainConfidence: Math.round(chainConfidence * 1000) / 1000,
+                    matchConfidence: Math.round(matchConfidence * 1000) / 1000,
+                    effectiveConfidence: Math.round(effectiveConfidence * 1000) / 1000,
+                    // Weighted value
+                    weightedValue,
+                    unweightedValue: calc.modernValue,
+                    relationship: person.relationship || 'enslaved_by'
+                };
+            });
+
+        // Track persons whose debt could not be calculated due to missing data
+        const pendingCalculations = enslavedPersons
+            .filter(person => person.yearsEnslaved == null || person.startYear == null)
+            .map(person => ({
+                name: person.name,
+                reason: 'Insufficient documented dates to calculate debt — birth year, freedom year, or both are unknown',
+                relationship: person.relationship || 'enslaved_by'
+            }));
+
+        // Calculate total debt using WEIGHTED values
+        // The unweighted total is shown for transparency
+        const totalDebt = enslavedCalculations.reduce(
+            (sum, calc) => sum + calc.weightedValue,
+            0
+        );
+        const totalDebtUnweighted = enslavedCalculations.reduce(
+            (sum, calc) => sum + calc.unweightedValue,
+            0
+        );
+
+        return {
+            enslavedCalculations,
+            pendingCalculations,
+            totalDebt,
+            totalDebtUnweighted,
+            perLinkConfidence: PER_LINK_CONFIDENCE
+        };
+    }
+
     /**
      * Get complete DAA record with all relations
      * 
@@ -540,11 +584,14 @@ class DAAGenerator {
      * @param {string} daaId - DAA UUID
      * @param {number} amount - Payment amount
      * @param {number} acknowledgerIncome - Income for that year
-     * @param {Object} blockchainInfo - Transaction details
+     * @param {Object} blockchainInfo - Transaction details; also paymentDate
+     *   (default today), paymentSource ('off_chain' | 'on_chain', default from
+     *   txHash) and recordedBy (M119)
      * @returns {Object} Payment record
      */
     async recordPayment(daaId, amount, acknowledgerIncome, blockchainInfo = {}) {
-        const year = new Date().getFullYear();
+        const paymentDate = blockchainInfo.paymentDate ? new Date(blockchainInfo.paymentDate) : new Date();
+        const year = paymentDate.getFullYear();
 
         const result = await this.db.query(`
             INSERT INTO daa_payments (
@@ -557,20 +604,24 @@ class DAAGenerator {
                 payment_processor,
                 blockchain_tx_hash,
                 blockchain_network,
-                blockchain_confirmed_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                blockchain_confirmed_at,
+                payment_source,
+                recorded_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
             RETURNING payment_id
         `, [
             daaId,
             year,
-            new Date(),
+            paymentDate,
             amount,
             acknowledgerIncome,
             blockchainInfo.paymentMethod || 'blockchain_escrow',
             blockchainInfo.paymentProcessor || 'ethereum',
             blockchainInfo.txHash,
             blockchainInfo.network,
-            blockchainInfo.confirmedAt
+            blockchainInfo.confirmedAt,
+            blockchainInfo.paymentSource || (blockchainInfo.txHash ? 'on_chain' : 'off_chain'),
+            blockchainInfo.recordedBy || null
         ]);
 
         return {
@@ -625,12 +676,13 @@ class DAAGenerator {
      * 
      * @param {Array} enslavedPersons - Array of {name, yearsEnslaved, startYear}
      * @param {number} annualIncome - Acknowledger's income
+     * @param {number} [rate] - Compound rate override, passed to calculateIndividualDebt
      * @returns {Object} Preview calculation
      */
-    calculatePreview(enslavedPersons, annualIncome) {
+    calculatePreview(enslavedPersons, annualIncome, rate = this.COMPOUND_INTEREST_RATE) {
         const calculations = enslavedPersons.map(person => ({
             name: person.name,
-            ...this.calculateIndividualDebt(person.yearsEnslaved, person.startYear)
+            ...this.calculateIndividualDebt(person.yearsEnslaved, person.startYear, rate)
         }));
 
         const totalDebt = calculations.reduce((sum, calc) => sum + calc.modernValue, 0);
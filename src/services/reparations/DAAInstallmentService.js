@@ -0,0 +1,475 @@
+'use strict';
+
+/**
+ * DAAInstallmentService
+ *
+ * Installment plans for DAAs and reconciliation of what was paid against
+ * what was due (M119).
+ *
+ * SCHEDULE
+ *   generate() turns an annual obligation into annual or monthly installments
+ *   that run until total_debt is covered or the horizon (default 30 years)
+ *   ends. The annual amount is, in order: an explicit override, a fresh
+ *   TieredPaymentCalculator run on the income inputs given, or the
+ *   annual_payment frozen on the agreement. Every reassessEveryMonths the
+ *   installment is flagged as an income re-assessment point.
+ *
+ *   Re-assessing (generate() again, typically at one of those points) writes
+ *   a new version: installments due before the new start date are carried
+ *   over unchanged, the rest are re-planned from the new annual amount, and
+ *   the previous version is superseded.
+ *
+ * RECONCILIATION
+ *   status() collects payments from daa_payments (off-chain, staff-entered)
+ *   and from escrow_events PaymentDeposited rows for the DAA's on-chain
+ *   record (M110) on the chain and contract of its blockchain_network (record
+ *   ids restart per deployment), dropping escrow deposits already entered in
+ *   daa_payments by tx hash. ETH deposits can't be valued in dollars here, so they are
+ *   listed as unpriced and left out of the totals. Payments are applied
+ *   oldest-first to installments in order (prepayments roll forward);
+ *   anything due more than graceDays ago and not covered is arrears.
+ */
+
+const TieredPaymentCalculator = require('./TieredPaymentCalculator');
+
+const FREQUENCIES = { annual: 12, monthly: 1 };   // months per installment
+const DEFAULT_HORIZON_YEARS = 30;
+const DEFAULT_GRACE_DAYS = 30;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const TOLERANCE_USD = 0.01;
+
+class DAAInstallmentError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'DAAInstallmentError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const concurrentPlan = () =>
+    new DAAInstallmentError('The plan was changed by another request; reload and retry', 'CONFLICT', 409);
+
+// Dates are plain 'YYYY-MM-DD' strings in UTC throughout.
+function toDateString(d) {
+    if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+    const date = d instanceof Date ? d : new Date(d);
+    if (isNaN(date)) throw new DAAInstallmentError(`Invalid date: ${d}`, 'BAD_INPUT');
+    return date.toISOString().slice(0, 10);
+}
+
+// Same day-of-month n months later, clamped to the month's last day (Jan 31 → Feb 28).
+function addMonths(dateString, n) {
+    const [y, m, d] = dateString.split('-').map(Number);
+    const target = new Date(Date.UTC(y, m - 1 + n, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(d, lastDay));
+    return target.toISOString().slice(0, 10);
+}
+
+function monthsBetween(a, b) {
+    const [ay, am] = a.split('-').map(Number);
+    const [by, bm] = b.split('-').map(Number);
+    return (by - ay) * 12 + (bm - am);
+}
+
+function daysBetween(a, b) {
+    return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+}
+
+function firstOfNextMonth(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Plan installments. Pure; exported for tests and previews.
+ *
+ * @param {Object} p
+ * @param {number} p.totalDebt
+ * @param {number} p.annualAmount
+ * @param {string} p.frequency - 'annual' | 'monthly'
+ * @param {string} p.startDate - first due date of the new installments
+ * @param {number} [p.horizonYears]
+ * @param {number} [p.reassessEveryMonths]
+ * @param {string} [p.planStart] - start of the whole plan (re-assessment points count from here)
+ * @param {Array}  [p.carried] - installments kept from the previous version
+ */
+function planInstallments({ totalDebt, annualAmount, frequency, startDate, horizonYears = DEFAULT_HORIZON_YEARS,
+    reassessEveryMonths = 12, planStart = startDate, carried = [] }) {
+    const step = FREQUENCIES[frequency];
+    if (!step) throw new DAAInstallmentError(`frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}`, 'BAD_INPUT');
+    if (!(annualAmount > 0)) throw new DAAInstallmentError('annual amount must be positive', 'BAD_INPUT');
+
+    const installmentAmount = round2(annualAmount * step / 12);
+    const horizonEnd = addMonths(planStart, horizonYears * 12);
+    const rows = carried.map((c, i) => ({ ...c, seq: i + 1, carried_over: true }));
+    let scheduled = round2(rows.reduce((sum, r) => sum + Number(r.amount_due), 0));
+
+    for (let k = 0; scheduled < totalDebt - TOLERANCE_USD; k++) {
+        const due = addMonths(startDate, k * step);
+        if (due >= horizonEnd) break;
+        const amount = round2(Math.min(installmentAmount, totalDebt - scheduled));
+        const monthOffset = monthsBetween(planStart, due);
+        rows.push({
+            seq: rows.length + 1,
+            due_date: due,
+            amount_due: amount,
+            is_reassessment: reassessEveryMonths > 0 && monthOffset > 0 && monthOffset % reassessEveryMonths === 0,
+            carried_over: false,
+        });
+        scheduled = round2(scheduled + amount);
+    }
+
+    return {
+        installmentAmount,
+        totalScheduled: scheduled,
+        amortized: scheduled >= totalDebt - TOLERANCE_USD,
+        installments: rows,
+    };
+}
+
+/**
+ * Apply payments oldest-first to installments in order. Pure.
+ *
+ * @returns {Object} { installments (with paid/outstanding/state), credit }
+ */
+function allocate(installments, payments, { asOf, graceDays = DEFAULT_GRACE_DAYS }) {
+    const queue = payments
+        .filter(p => p.amount != null)
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+        .map(p => ({ ...p, left: Number(p.amount) }));
+    let qi = 0;
+
+    const rows = installments.map(inst => {
+        const due = Number(inst.amount_due);
+        let paid = 0;
+        let paidOn = null;
+        while (paid < due - TOLERANCE_USD && qi < queue.length) {
+            const take = Math.min(queue[qi].left, due - paid);
+            paid = round2(paid + take);
+            queue[qi].left = round2(queue[qi].left - take);
+            paidOn = queue[qi].date;
+            if (queue[qi].left <= TOLERANCE_USD) qi++;
+        }
+        const outstanding = round2(Math.max(due - paid, 0));
+        const dueDate = toDateString(inst.due_date);
+        let state;
+        if (outstanding <= TOLERANCE_USD) state = 'paid';
+        else if (daysBetween(dueDate, asOf) > graceDays) state = 'overdue';
+        else if (dueDate <= asOf) state = paid > 0 ? 'partial' : 'due';
+        else state = paid > 0 ? 'partial' : 'upcoming';
+        return {
+            seq: inst.seq, dueDate, amountDue: due, paid, outstanding, state,
+            lastPaymentDate: paidOn, isReassessment: !!inst.is_reassessment,
+        };
+    });
+
+    const credit = round2(queue.slice(qi).reduce((sum, p) => sum + p.left, 0));
+    return { installments: rows, credit };
+}
+
+class DAAInstallmentService {
+    /**
+     * @param {object} database - pg pool
+     * @param {object} [opts]
+     * @param {Function} [opts.escrowFor] - blockchain_network → { chainId, contractAddress } | null
+     *   (default network-config's escrowForNetwork)
+     * @param {number} [opts.graceDays]
+     * @param {Function} [opts.now] - clock, for tests
+     */
+    constructor(database, opts = {}) {
+        this.db = database;
+        this.escrowFor = opts.escrowFor;
+        this.graceDays = opts.graceDays ?? DEFAULT_GRACE_DAYS;
+        this.now = opts.now || (() => new Date());
+        this.tieredCalc = opts.tieredCalc || new TieredPaymentCalculator();
+    }
+
+    // The escrow deployment holding the DAA's record; null when it can't be told
+    _escrowFor(network) {
+        const escrowFor = this.escrowFor || require('../blockchain/network-config').escrowForNetwork;
+        try {
+            return escrowFor(network);
+        } catch {
+            return null;
+        }
+    }
+
+    async _loadAgreement(daaId) {
+        const r = await this.db.query(`
+            SELECT daa_id, agreement_number, acknowledger_name, total_debt, annual_payment,
+                   acknowledger_annual_income, blockchain_record_id, blockchain_network, status
+            FROM debt_acknowledgment_agreements WHERE daa_id = $1
+        `, [daaId]);
+        if (!r.rows[0]) throw new DAAInstallmentError('DAA not found', 'NOT_FOUND', 404);
+        return r.rows[0];
+    }
+
+    async activeSchedule(daaId) {
+        const r = await this.db.query(`
+            SELECT * FROM daa_payment_schedules WHERE daa_id = $1 AND status = 'active'
+        `, [daaId]);
+        return r.rows[0] || null;
+    }
+
+    async installments(scheduleId) {
+        const r = await this.db.query(`
+            SELECT * FROM daa_installments WHERE schedule_id = $1 ORDER BY seq
+        `, [scheduleId]);
+        return r.rows;
+    }
+
+    /**
+     * The annual amount for a new plan, and where it came from.
+     */
+    async _annualBasis(daa, { annualAmount, annualIncome, netWorth, corporateConnection }) {
+        if (annualAmount != null) {
+            if (!(Number(annualAmount) > 0)) throw new DAAInstallmentError('annualAmount must be positive', 'BAD_INPUT');
+            return { annual: round2(Number(annualAmount)), basis: { method: 'override' } };
+        }
+        if (annualIncome != null) {
+            const count = await this.db.query(
+                `SELECT COUNT(*)::int AS n FROM daa_enslaved_persons WHERE daa_id = $1`, [daa.daa_id]);
+            const inputs = {
+                annualIncome: Number(annualIncome),
+                netWorth: Number(netWorth) || 0,
+                enslavedCount: Math.max(count.rows[0].n, 1),
+                corporateConnection: corporateConnection || 'none',
+            };
+            const tiered = this.tieredCalc.calculate(inputs);
+            return {
+                annual: tiered.annualPayment,
+                basis: { method: 'tiered', inputs, effectiveRate: tiered.effectiveRate, warning: tiered.warning },
+            };
+        }
+        return { annual: round2(Number(daa.annual_payment)), basis: { method: 'agreement' } };
+    }
+
+    /**
+     * Create the DAA's installment plan, or re-assess it.
+     *
+     * @param {string} daaId
+     * @param {Object} [opts]
+     * @param {string} [opts.frequency] - 'annual' | 'monthly' (default: previous version's, else 'monthly')
+     * @param {string} [opts.startDate] - first (re-planned) due date (default first of next month)
+     * @param {number} [opts.annualAmount] - explicit annual obligation
+     * @param {number} [opts.annualIncome] - re-run TieredPaymentCalculator with these inputs
+     * @param {number} [opts.netWorth]
+     * @param {string} [opts.corporateConnection]
+     * @param {number} [opts.reassessEveryMonths]
+     * @param {number} [opts.horizonYears]
+     * @param {string} [opts.createdBy]
+     */
+    async generate(daaId, opts = {}) {
+        const daa = await this._loadAgreement(daaId);
+        const previous = await this.activeSchedule(daaId);
+        const frequency = opts.frequency || previous?.frequency || 'monthly';
+        const startDate = toDateString(opts.startDate || firstOfNextMonth(this.now()));
+        const reassessEveryMonths = opts.reassessEveryMonths ?? previous?.reassess_every_months ?? 12;
+        const horizonYears = opts.horizonYears ?? previous?.horizon_years ?? DEFAULT_HORIZON_YEARS;
+
+        const { annual, basis } = await this._annualBasis(daa, opts);
+
+        let carried = [];
+        let planStart = startDate;
+        if (previous) {
+            planStart = toDateString(previous.start_date);
+            if (startDate <= planStart) {
+                throw new DAAInstallmentError(`startDate must be after the current plan's start (${planStart})`, 'BAD_INPUT');
+            }
+            carried = (await this.installments(previous.id))
+                .filter(i => toDateString(i.due_date) < startDate)
+                .map(i => ({ due_date: toDateString(i.due_date), amount_due: Number(i.amount_due), is_reassessment: i.is_reassessment }));
+        }
+
+        const plan = planInstallments({
+            totalDebt: Number(daa.total_debt), annualAmount: annual, frequency, startDate,
+            horizonYears, reassessEveryMonths, planStart, carried,
+        });
+
+        // Supersede and insert together. A concurrent generate() finds the
+        // previous version already superseded, or trips the one-active-plan /
+        // (daa_id, version) unique indexes, and is refused.
+        const client = await this.db.connect();
+        let schedule;
+        try {
+            await client.query('BEGIN');
+            if (previous) {
+                const superseded = await client.query(`
+                    UPDATE daa_payment_schedules SET status = 'superseded' WHERE id = $1 AND status = 'active'
+                `, [previous.id]);
+                if (superseded.rowCount === 0) throw concurrentPlan();
+            }
+            const s = await client.query(`
+                INSERT INTO daa_payment_schedules
+                    (daa_id, version, frequency, start_date, annual_amount, installment_amount, total_debt,
+                     total_scheduled, amortized, horizon_years, reassess_every_months, basis, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                RETURNING *
+            `, [daaId, (previous?.version || 0) + 1, frequency, planStart, annual, plan.installmentAmount,
+                Number(daa.total_debt), plan.totalScheduled, plan.amortized, horizonYears, reassessEveryMonths,
+                JSON.stringify({ ...basis, reassessedFrom: previous ? previous.version : null, replannedFrom: previous ? startDate : null }),
+                opts.createdBy || null]);
+            schedule = s.rows[0];
+
+            for (const inst of plan.installments) {
+                await client.query(`
+                    INSERT INTO daa_installments (schedule_id, daa_id, seq, due_date, amount_due, is_reassessment, carried_over)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [schedule.id, daaId, inst.seq, inst.due_date, inst.amount_due, inst.is_reassessment, inst.carried_over]);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error.code === '23505' ? concurrentPlan() : error;
+        } finally {
+            client.release();
+        }
+
+        return { schedule, installments: plan.installments };
+    }
+
+    /**
+     * Every payment that counts against the DAA, oldest first.
+     */
+    async payments(daa) {
+        const off = await this.db.query(`
+            SELECT payment_id, payment_date, amount, payment_method, payment_source, blockchain_tx_hash
+            FROM daa_payments WHERE daa_id = $1
+            ORDER BY payment_date, created_at
+        `, [daa.daa_id]);
+        const payments = off.rows.map(p => ({
+            source: p.payment_source || 'off_chain',
+            id: p.payment_id,
+            date: toDateString(p.payment_date),
+            amount: Number(p.amount),
+            method: p.payment_method,
+            txHash: p.blockchain_tx_hash || null,
+        }));
+
+        const unpriced = [];
+        const escrow = daa.blockchain_record_id != null ? this._escrowFor(daa.blockchain_network) : null;
+        if (escrow) {
+            const known = new Set(payments.filter(p => p.txHash).map(p => p.txHash.toLowerCase()));
+            const on = await this.db.query(`
+                SELECT tx_hash, log_index, block_time, token_address, amount, wallet_address
+                FROM escrow_events
+                WHERE record_id = $1 AND event_name = 'PaymentDeposited'
+                  AND chain_id = $2 AND contract_address = $3
+                ORDER BY block_number, log_index
+            `, [daa.blockchain_record_id, escrow.chainId, escrow.contractAddress]);
+            for (const e of on.rows) {
+                if (known.has(String(e.tx_hash).toLowerCase())) continue;
+                const row = {
+                    source: 'on_chain', id: `${e.tx_hash}:${e.log_index}`,
+                    date: e.block_time ? toDateString(e.block_time) : toDateString(this.now()),
+                    amount: Number(e.amount), txHash: e.tx_hash, wallet: e.wallet_address,
+                };
+                if (!e.token_address || e.token_address.toLowerCase() === ZERO_ADDRESS) unpriced.push({ ...row, token: 'ETH' });
+                else payments.push(row);
+            }
+        }
+        payments.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        return { payments, unpriced };
+    }
+
+    /**
+     * Payment status for one DAA: the active plan reconciled against payments.
+     *
+     * @param {string} daaId
+     * @param {Object} [opts] - { asOf }
+     */
+    async status(daaId, { asOf = null } = {}) {
+        const daa = await this._loadAgreement(daaId);
+        const today = toDateString(asOf || this.now());
+        const { payments, unpriced } = await this.payments(daa);
+        const paidOffChain = round2(payments.filter(p => p.source !== 'on_chain').reduce((s, p) => s + p.amount, 0));
+        const paidOnChain = round2(payments.filter(p => p.source === 'on_chain').reduce((s, p) => s + p.amount, 0));
+        const totalPaid = round2(paidOffChain + paidOnChain);
+        const totalDebt = Number(daa.total_debt);
+
+        const base = {
+            daaId: daa.daa_id,
+            agreementNumber: daa.agreement_number,
+            asOf: today,
+            totalDebt,
+            totalPaid,
+            paidOffChain,
+            paidOnChain,
+            remainingDebt: round2(Math.max(totalDebt - totalPaid, 0)),
+            unpricedOnChainDeposits: unpriced,
+            payments,
+        };
+
+        const schedule = await this.activeSchedule(daaId);
+        if (!schedule) {
+            return { ...base, status: totalPaid >= totalDebt - TOLERANCE_USD ? 'paid_off' : 'no_schedule', schedule: null };
+        }
+
+        const { installments, credit } = allocate(await this.installments(schedule.id), payments,
+            { asOf: today, graceDays: this.graceDays });
+        const overdue = installments.filter(i => i.state === 'overdue');
+        const arrears = round2(overdue.reduce((s, i) => s + i.outstanding, 0));
+        const next = installments.find(i => i.state !== 'paid');
+        const nextReassessment = installments.find(i => i.isReassessment && i.dueDate >= today);
+
+        let status = 'current';
+        if (totalPaid >= totalDebt - TOLERANCE_USD) status = 'paid_off';
+        else if (overdue.length) status = 'in_arrears';
+
+        return {
+            ...base,
+            status,
+            arrears,
+            overdueInstallments: overdue.length,
+            daysInArrears: overdue.length ? daysBetween(overdue[0].dueDate, today) : 0,
+            dueToDate: round2(installments.filter(i => i.dueDate <= today).reduce((s, i) => s + i.amountDue, 0)),
+            credit,
+            nextInstallment: next ? { seq: next.seq, dueDate: next.dueDate, outstanding: next.outstanding } : null,
+            nextReassessment: nextReassessment ? nextReassessment.dueDate : null,
+            schedule: {
+                id: schedule.id,
+                version: schedule.version,
+                frequency: schedule.frequency,
+                startDate: toDateString(schedule.start_date),
+                annualAmount: Number(schedule.annual_amount),
+                installmentAmount: Number(schedule.installment_amount),
+                totalScheduled: Number(schedule.total_scheduled),
+                amortized: schedule.amortized,
+                reassessEveryMonths: schedule.reassess_every_months,
+                basis: schedule.basis,
+            },
+            installments,
+        };
+    }
+
+    /**
+     * DAAs with an active plan that are behind, most arrears first.
+     */
+    async arrears({ asOf = null, limit = 100 } = {}) {
+        const r = await this.db.query(`
+            SELECT daa_id FROM daa_payment_schedules WHERE status = 'active' ORDER BY created_at
+        `);
+        const behind = [];
+        for (const row of r.rows) {
+            const s = await this.status(row.daa_id, { asOf });
+            if (s.status !== 'in_arrears') continue;
+            behind.push({
+                daaId: s.daaId, agreementNumber: s.agreementNumber, arrears: s.arrears,
+                overdueInstallments: s.overdueInstallments, daysInArrears: s.daysInArrears,
+                totalPaid: s.totalPaid, nextInstallment: s.nextInstallment,
+            });
+        }
+        behind.sort((a, b) => b.arrears - a.arrears);
+        return behind.slice(0, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500));
+    }
+}
+
+module.exports = DAAInstallmentService;
+module.exports.DAAInstallmentError = DAAInstallmentError;
+module.exports.planInstallments = planInstallments;
+module.exports.allocate = allocate;
+module.exports.addMonths = addMonths;
+module.exports.FREQUENCIES = Object.keys(FREQUENCIES);
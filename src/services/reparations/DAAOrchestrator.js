@@ -20,6 +20,10 @@ const ObligationReconciler = require('./ObligationReconciler');
 const CorporateSuccessionTracer = require('./CorporateSuccessionTracer');
 const { OWNER_ROLE_TYPES, isOwnerType } = require('../person-roles');
 const DisgorgementCalculator = require('./DisgorgementCalculator');
+const DAASnapshotService = require('./DAASnapshotService');
+const DAASigningService = require('./DAASigningService');
+const DAAInstallmentService = require('./DAAInstallmentService');
+const DAADocumentManifestService = require('./DAADocumentManifestService');
 const FamilySearchClimberAgent = require('../../../scripts/agents/FamilySearchClimberAgent');
 
 /**
@@ -46,6 +50,10 @@ class DAAOrchestrator {
         this.successionTracer = new CorporateSuccessionTracer(database);
         this.disgorgementCalc = new DisgorgementCalculator(database);
         this.reconciler = new ObligationReconciler();
+        this.snapshots = new DAASnapshotService(database, this);
+        this.signing = new DAASigningService(database);
+        this.installments = new DAAInstallmentService(database);
+        this.manifests = new DAADocumentManifestService(database);
         this.USE_LINE_ITEM_METHODOLOGY = true;
     }
 
@@ -240,9 +248,11 @@ class DAAOrchestrator {
         console.log();
 
         let debtCalculation;
+        let lineItems = null;
+        let wealthFingerprint = null;
         if (this.USE_LINE_ITEM_METHODOLOGY && acknowledgerInfo.canonicalPersonId) {
             console.log('Step 4: Calculating debt using Line Item Methodology...');
-            const lineItems = await this.getLineItemsForPerson(acknowledgerInfo.canonicalPersonId);
+            lineItems = await this.getLineItemsForPerson(acknowledgerInfo.canonicalPersonId);
             debtCalculation = this.computeDAAFromLineItems(lineItems);
             console.log(`   ✓ Total Line Item Debt: $${debtCalculation.total_usd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
             console.log(`   ✓ Domestic Line Item Debt: $${debtCalculation.domestic_total_usd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
@@ -250,7 +260,7 @@ class DAAOrchestrator {
         } else {
             // Step 4a: Load participant wealth fingerprint from DB (migration 037).
             console.log('Step 4: Loading participant wealth fingerprint (M037)...');
-            const wealthFingerprint = await this.loadParticipantWealthFingerprint(
+            wealthFingerprint = await this.loadParticipantWealthFingerprint(
                 acknowledgerInfo.participantId || null,
                 acknowledgerInfo
             );
@@ -287,6 +297,33 @@ class DAAOrchestrator {
         console.log(`   ✓ Agreement Number: ${daaRecord.agreementNumber}`);
         console.log();
 
+        // Step 5a: Freeze the calculation manifest (migration 113) — the input
+        // rows, rates + citations, macro-config hash and code version — so the
+        // stored figure can be re-verified after those rows change. Non-fatal
+        // like 5b: the DAA row is already committed.
+        console.log('Step 5a: Freezing calculation manifest (M113)...');
+        try {
+            const manifest = await this.snapshots.buildManifest({
+                methodology: lineItems ? 'line_item' : 'craemer_wealth_gap',
+                slaveholders,
+                slaveholderData,
+                financials: wealthFingerprint,
+                canonicalPersonId: acknowledgerInfo.canonicalPersonId || null,
+                lineItems,
+                agreement: {
+                    enslavedPersons: this.agreementEnslavedPersons(slaveholderData),
+                    generationFromSlaveholder: slaveholderData[0]?.slaveholder?.generation_distance || null,
+                    totalDebt: daaRecord.totalDebt,
+                },
+                debtCalculation,
+            });
+            const snap = await this.snapshots.record(daaRecord.daaId, manifest);
+            console.log(`   ✓ Snapshot v${snap.version} (${snap.manifestHash.substring(0, 12)})`);
+        } catch (snapErr) {
+            console.warn(`   ⚠ Calculation snapshot failed (non-fatal): ${snapErr.message}`);
+        }
+        console.log();
+
         // Step 5b: Wire DAA into enslaver_lineage_ledger (migration 040).
         // Upserts one enslaver_lineage_ledger row per slaveholder and creates
         // daa_lineage_contributions links. This is the mechanism that lets
@@ -312,6 +349,29 @@ class DAAOrchestrator {
             acknowledgerInfo
         );
         console.log(`   ✓ Document saved: ${docxPath}`);
+
+        // The signing workflow (M114) signs these exact bytes; store the path
+        // and SHA-256 on the agreement. Non-fatal like the snapshot above.
+        let documentSha256 = null;
+        try {
+            documentSha256 = await this.signing.recordDocument(daaRecord.daaId, docxPath);
+            console.log(`   ✓ Document SHA-256: ${documentSha256}`);
+        } catch (hashErr) {
+            console.warn(`   ⚠ Recording document hash failed (non-fatal): ${hashErr.message}`);
+        }
+        console.log();
+
+        // Step 6a: Document manifest (migration 125) — CIDs of every stored
+        // document behind the agreement, plus the DOCX, under one Merkle root.
+        // That root is the docHash submitDAAOnChain registers. Non-fatal.
+        console.log('Step 6a: Building document manifest (M125)...');
+        let documentManifest = null;
+        try {
+            documentManifest = await this.manifests.buildManifest(daaRecord.daaId);
+            console.log(`   ✓ Manifest v${documentManifest.version}: ${documentManifest.document_count} document(s), root ${documentManifest.merkle_root.substring(0, 14)}`);
+        } catch (manifestErr) {
+            console.warn(`   ⚠ Document manifest failed (non-fatal): ${manifestErr.message}`);
+        }
         console.log();
 
         console.log('═══════════════════════════════════════════════════════════════');
@@ -338,6 +398,8 @@ class DAAOrchestrator {
         return {
             daaRecord,
             docxPath,
+            documentSha256,
+            documentManifest,
             slaveholderData,
             debtCalculation,
             climbSession
@@ -1208,8 +1270,11 @@ class DAAOrchestrator {
                 pd.document_type,
                 pd.collection_name,
                 pd.film_number,
-                pd.image_number
+                pd.image_number,
+                pd.citation_key,
+                b.formatted_chicago AS bibliography_citation
             FROM person_documents pd
+            LEFT JOIN bibliography b ON b.citation_key = pd.citation_key
             WHERE pd.canonical_person_id = $1
               AND (pd.s3_url IS NOT NULL OR pd.source_url IS NOT NULL)
             ORDER BY pd.document_type, pd.film_number, pd.image_number
@@ -1223,6 +1288,10 @@ class DAAOrchestrator {
             film_number: doc.film_number,
             image_number: doc.image_number,
             source_url: doc.document_source_url,
+            // Stable bibliography key (M120) so the exhibit can be traced to
+            // GET /api/bibliography/key/:citationKey
+            citation_key: doc.citation_key || null,
+            bibliography_citation: doc.bibliography_citation || null,
             // Expose the ARK under the key the DOCX template reads
             // (DAADocumentGenerator uses `sources[0]?.ark`). The FS source_url
             // IS the ARK for all FamilySearch-hosted documents.
@@ -1267,8 +1336,14 @@ class DAAOrchestrator {
      *
      * @param {Array} slaveholderData - From aggregateEnslavedData()
      * @param {Object} participantFinancials - Full financial disclosure
+     * @param {Object} [scenario] - Sensitivity overrides (ScenarioEngine). Empty
+     *   = the figure a DAA is issued under.
+     * @param {number} [scenario.compoundRate] - Craemer compound rate
+     * @param {string} [scenario.rateFamily] - rate-resolver anchor family the rate came from (label only)
+     * @param {string} [scenario.darityOperationalization] - 'scf_wealth_gap' | 'percapita_demographic'
+     * @param {number} [scenario.darityPerCapita] - demographic per-capita override
      */
-    async calculateTotalDebt(slaveholderData, participantFinancials) {
+    async calculateTotalDebt(slaveholderData, participantFinancials, scenario = {}) {
         // Accept either a number (backward compat) or full financials object
         const financials = typeof participantFinancials === 'number'
             ? { annualIncome: participantFinancials }
@@ -1301,7 +1376,8 @@ class DAAOrchestrator {
 
             const preview = this.daaGenerator.calculatePreview(
                 enslavedForCalculation,
-                annualIncome
+                annualIncome,
+                scenario.compoundRate
             );
 
             slaveholderCalculations.push({
@@ -1331,19 +1407,28 @@ class DAAOrchestrator {
             inheritanceReceived,
             inheritanceExpected,
             numSlaveholderAncestors: slaveholderData.length || 1,
-            numLivingDescendants: null
+            numLivingDescendants: null,
+            operationalization: scenario.darityOperationalization,
+            demographicPerCapita: scenario.darityPerCapita
         });
 
         // ── Corporate Connection Documentation ──────────────────────
         const corporateEvidence = [];
         for (const key of corporateConnections) {
-            const chain = this.successionTracer.getChain(key);
+            let chain = null;
+            try {
+                chain = await this.successionTracer.getChain(key);
+            } catch (err) {
+                console.warn(`   ⚠ Succession chain lookup failed for "${key}" (non-fatal): ${err.message}`);
+            }
             if (chain) {
                 corporateEvidence.push({
                     key,
                     modernEntity: chain.modern,
                     predecessorCount: chain.predecessors.length,
-                    earliestYear: Math.min(...chain.predecessors.map(p => p.year)),
+                    earliestYear: chain.predecessors.some(p => p.year)
+                        ? Math.min(...chain.predecessors.map(p => p.year).filter(Boolean))
+                        : null,
                     primarySource: chain.documentation.primary,
                     enslavedDocumented: chain.documentation.enslavedAsCollateral
                         || chain.documentation.enslaved
@@ -1410,6 +1495,11 @@ class DAAOrchestrator {
             corporateConnectionType,
 
             // Inputs preserved for audit trail
+            scenario: {
+                compoundRate: scenario.compoundRate ?? this.daaGenerator.COMPOUND_INTEREST_RATE,
+                rateFamily: scenario.rateFamily || null,
+                darityOperationalization: wealthGapResult.operationalization,
+            },
             annualIncome,
             financials,
             wealthFlagElevated: wealthReasons.length > 0,
@@ -1428,15 +1518,14 @@ class DAAOrchestrator {
     }
 
     /**
-     * Create comprehensive DAA database record
+     * Flatten slaveholderData into the enslavedPersons list generateDAA
+     * weights and stores (daa_enslaved_persons). Also used by
+     * DAASnapshotService to rebuild the same list from live rows.
+     *
+     * @param {Array} slaveholderData - From aggregateEnslavedData()
+     * @returns {Array} [{name, yearsEnslaved, startYear, relationship}]
      */
-    async createDAARecord(climbSession, acknowledgerInfo, slaveholderData, debtCalculation) {
-        // For now, we'll create individual DAA records per slaveholder
-        // Future enhancement: Multi-slaveholder DAA support
-        
-        const mainSlaveholder = slaveholderData[0] || null; // Primary/first slaveholder
-
-        // Prepare all enslaved persons across all slaveholders
+    agreementEnslavedPersons(slaveholderData) {
         const allEnslavedPersons = [];
         for (const data of slaveholderData) {
             for (const person of data.enslavedPersons) {
@@ -1448,6 +1537,20 @@ class DAAOrchestrator {
                 });
             }
         }
+        return allEnslavedPersons;
+    }
+
+    /**
+     * Create comprehensive DAA database record
+     */
+    async createDAARecord(climbSession, acknowledgerInfo, slaveholderData, debtCalculation) {
+        // For now, we'll create individual DAA records per slaveholder
+        // Future enhancement: Multi-slaveholder DAA support
+        
+        const mainSlaveholder = slaveholderData[0] || null; // Primary/first slaveholder
+
+        // Prepare all enslaved persons across all slaveholders
+        const allEnslavedPersons = this.agreementEnslavedPersons(slaveholderData);
 
         // Get primary source for main slaveholder (may be null for zero-slaveholder DAAs)
         const primarySource = mainSlaveholder?.primarySources?.[0] || {};
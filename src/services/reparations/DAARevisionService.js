@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * DAARevisionService
+ *
+ * Rule layer over the oracle event log (M117). OracleEventFeed stores events;
+ * this service decides which DAAs an event touches, reprices each one with
+ * DAASnapshotService.project(), and writes a reviewable amount-revision
+ * proposal when the on-chain figure would move.
+ *
+ * RULES (one per source; registerRule() adds or replaces)
+ *   climb_match  — DAAs of the participants whose climb session found the
+ *                  match; the matched slaveholder is added to the projection.
+ *   line_item    — DAAs linked to the line item (daa_line_item_junction) and
+ *                  line-item DAAs computed for the same canonical person.
+ *   methodology  — every DAA with a snapshot.
+ *   sec_filing   — no rule. A filing is evidence for the corporate chain, not
+ *                  an input to any DAA figure, so it is logged and marked
+ *                  'ignored'.
+ *
+ * PROPOSALS (daa_amount_revision_proposals.status)
+ *   proposed → approved | rejected        (finance reviewer)
+ *   approved → applying                   (POST /api/blockchain/update-amount/:id
+ *                                          with { proposalId } claims it before sending,
+ *                                          so two concurrent applies cannot both send)
+ *   applying → applied                    (receipt in hand; stamps the tx hash)
+ *   applying → approved                   (the transaction could not be sent)
+ *   proposed | approved → superseded      (a newer proposal for the same DAA)
+ *
+ * A direct update-amount ({ newAmount }) is recorded as a rule 'direct' row
+ * that starts at 'applying' and, if sending fails, ends 'rejected'. A row left
+ * at 'applying' had its transaction sent without a confirmed receipt — check
+ * the chain before touching it.
+ *
+ * The amount compared against is the last applied revision, or the headline
+ * figure frozen at generation when there is none — the figure on chain.
+ */
+
+const { TOLERANCE_USD } = require('./DAASnapshotService');
+
+const PROPOSAL_STATUSES = ['proposed', 'approved', 'rejected', 'applying', 'applied', 'superseded'];
+
+class DAARevisionError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'DAARevisionError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const DEFAULT_RULES = [
+    {
+        name: 'climb_match_added',
+        source: 'climb_match',
+        async affected(svc, event) {
+            const p = event.payload || {};
+            const r = await svc.db.query(`
+                SELECT DISTINCT pd.daa_id
+                FROM participant_climb_sessions pcs
+                JOIN participant_daas pd ON pd.participant_id = pcs.participant_id
+                WHERE pcs.session_id = $1
+            `, [p.sessionId]);
+            const slaveholder = {
+                slaveholder_id: p.slaveholderId ?? null,
+                slaveholder_name: p.slaveholderName,
+                slaveholder_fs_id: p.slaveholderFsId ?? null,
+                generation_distance: p.generationDistance ?? null,
+                lineage_path: p.lineagePath ?? null,
+                match_type: p.matchType ?? null,
+                match_confidence: p.confidence ?? null,
+                _from_climb_match: true
+            };
+            return r.rows.map(row => ({ daaId: row.daa_id, addSlaveholders: [slaveholder] }));
+        },
+        reason: (event) => `New climb match: ${event.summary || event.payload?.slaveholderName}`
+    },
+    {
+        name: 'line_item_changed',
+        source: 'line_item',
+        async affected(svc, event) {
+            const p = event.payload || {};
+            const r = await svc.db.query(`
+                SELECT daa_id FROM daa_line_item_junction WHERE line_item_id = $1
+                UNION
+                SELECT daa_id FROM daa_calculation_snapshots
+                WHERE methodology = 'line_item' AND manifest->'inputs'->>'canonicalPersonId' = $2
+            `, [p.lineItemId, String(event.canonical_person_id ?? p.canonicalPersonId)]);
+            return r.rows.map(row => ({ daaId: row.daa_id }));
+        },
+        reason: (event) => `Line item ${event.event_type === 'line_item_added' ? 'added' : 'revised'} `
+            + `for canonical person ${event.canonical_person_id ?? event.payload?.canonicalPersonId}`
+    },
+    {
+        name: 'methodology_update',
+        source: 'methodology',
+        async affected(svc) {
+            const r = await svc.db.query(`SELECT DISTINCT daa_id FROM daa_calculation_snapshots`);
+            return r.rows.map(row => ({ daaId: row.daa_id }));
+        },
+        reason: (event) => `Methodology revision (${event.summary || event.event_type})`
+    }
+];
+
+class DAARevisionService {
+    /**
+     * @param {object} db - pg-style pool (db.query)
+     * @param {DAASnapshotService} snapshots - orchestrator.snapshots
+     * @param {object} [opts]
+     * @param {Array} [opts.rules] - replaces the default rules
+     */
+    constructor(db, snapshots, opts = {}) {
+        this.db = db;
+        this.snapshots = snapshots;
+        this.rules = new Map((opts.rules || DEFAULT_RULES).map(rule => [rule.name, rule]));
+    }
+
+    /** Add or replace a rule: { name, source, affected(svc, event) → [{daaId, addSlaveholders?}], reason(event) }. */
+    registerRule(rule) {
+        if (!rule || !rule.name || !rule.source || typeof rule.affected !== 'function') {
+            throw new Error('A revision rule needs name, source and an affected(svc, event) function');
+        }
+        this.rules.set(rule.name, rule);
+    }
+
+    rulesFor(source) {
+        return [...this.rules.values()].filter(rule => rule.source === source);
+    }
+
+    /**
+     * Run the rules over every event still in status 'new'. An event no rule
+     * covers is marked 'ignored'; one whose rule throws is marked 'failed'
+     * and the rest carry on.
+     */
+    async processPending({ limit = 100 } = {}) {
+        const r = await this.db.query(`
+            SELECT * FROM oracle_events WHERE status = 'new' ORDER BY id LIMIT $1
+        `, [Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)]);
+        const report = { events: r.rows.length, processed: 0, ignored: 0, failed: 0, proposals: 0, errors: [] };
+
+        for (const event of r.rows) {
+            const rules = this.rulesFor(event.source);
+            if (!rules.length) {
+                await this._markEvent(event.id, 'ignored', 0);
+                report.ignored++;
+                continue;
+            }
+            try {
+                let created = 0;
+                for (const rule of rules) created += (await this.applyRule(rule, event)).length;
+                await this._markEvent(event.id, 'processed', created);
+                report.processed++;
+                report.proposals += created;
+            } catch (e) {
+                await this._markEvent(event.id, 'failed', 0);
+                report.failed++;
+                report.errors.push({ eventId: event.id, error: e.message });
+            }
+        }
+        return report;
+    }
+
+    async _markEvent(id, status, proposalsCreated) {
+        await this.db.query(`
+            UPDATE oracle_events SET status = $2, proposals_created = $3, processed_at = now() WHERE id = $1
+        `, [id, status, proposalsCreated]);
+    }
+
+    /**
+     * One rule, one event: a proposal for each affected DAA whose projected
+     * headline differs from its current on-chain amount.
+     * @returns {Promise<Array>} the proposals created
+     */
+    async applyRule(rule, event) {
+        const created = [];
+        for (const target of await rule.affected(this, event)) {
+            const daa = await this._loadDAA(target.daaId);
+            if (!daa || daa.status === 'fulfilled') continue;
+            const projection = await this.snapshots.project(daa.daa_id, { addSlaveholders: target.addSlaveholders || [] });
+            if (!projection) continue;
+
+            const current = await this.currentAmount(daa.daa_id, projection.stored.headline_total_usd, daa.blockchain_network || 'base');
+            const proposed = round2(projection.live.headline_total_usd);
+            if (Math.abs(proposed - current) <= TOLERANCE_USD) continue;
+
+            const proposal = await this._insertProposal({
+                daaId: daa.daa_id,
+                eventId: event.id,
+                rule: rule.name,
+                current,
+                proposed,
+                reason: rule.reason ? rule.reason(event) : `${rule.name} (event ${event.id})`,
+                detail: {
+                    snapshotVersion: projection.version,
+                    methodology: projection.methodology,
+                    stored: projection.stored,
+                    live: projection.live,
+                    addedSlaveholders: projection.addedSlaveholders
+                },
+                blockchainRecordId: daa.blockchain_record_id
+            });
+            if (proposal) created.push(proposal);
+        }
+        return created;
+    }
+
+    async _loadDAA(daaId) {
+        const r = await this.db.query(`
+            SELECT daa_id, status, total_debt, blockchain_record_id, blockchain_network
+            FROM debt_acknowledgment_agreements WHERE daa_id = $1
+        `, [daaId]);
+        return r.rows[0] || null;
+    }
+
+    /**
+     * The amount on chain: the last revision applied to the DAA's record on
+     * `network`, else the figure frozen at generation. Revisions applied to a
+     * record the DAA no longer holds (re-submitted, or another network) do
+     * not count.
+     */
+    async currentAmount(daaId, frozenHeadline, network) {
+        const r = await this.db.query(`
+            SELECT p.proposed_amount_usd
+            FROM daa_amount_revision_proposals p
+            JOIN debt_acknowledgment_agreements d
+              ON d.daa_id = p.daa_id AND d.blockchain_record_id = p.blockchain_record_id
+            WHERE p.daa_id = $1 AND p.status = 'applied'
+              AND COALESCE(d.blockchain_network, 'base') = $2
+            ORDER BY p.applied_at DESC, p.id DESC
+            LIMIT 1
+        `, [daaId, network]);
+        return round2(Number(r.rows[0]?.proposed_amount_usd ?? frozenHeadline ?? 0));
+    }
+
+    // Open proposals for the DAA are superseded by the new one. The
+    // (daa_id, event_id) constraint makes re-processing an event a no-op.
+    async _insertProposal(p) {
+        const r = await this.db.query(`
+            INSERT INTO daa_amount_revision_proposals
+                (daa_id, event_id, rule, current_amount_usd, proposed_amount_usd, reason, detail, blockchain_record_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (daa_id, event_id) DO NOTHING
+            RETURNING *
+        `, [p.daaId, p.eventId, p.rule, p.current, p.proposed, p.reason, JSON.stringify(p.detail), p.blockchainRecordId]);
+        const proposal = r.rows[0] || null;
+        if (proposal) {
+            await this.db.query(`
+                UPDATE daa_amount_revision_proposals
+                SET status = 'superseded'
+                WHERE daa_id = $1 AND id <> $2 AND status IN ('proposed', 'approved')
+            `, [p.daaId, proposal.id]);
+        }
+        return proposal;
+    }
+
+    async get(id) {
+        const r = await this.db.query(`
+            SELECT p.*, e.source AS event_source, e.event_type, e.summary AS event_summary
+            FROM daa_amount_revision_proposals p
+            LEFT JOIN oracle_events e ON e.id = p.event_id
+            WHERE p.id = $1
+        `, [id]);
+        if (!r.rows[0]) throw new DAARevisionError('Revision proposal not found', 'NOT_FOUND', 404);
+        return r.rows[0];
+    }
+
+    /**
+     * @param {Object} [filter] - { daaId, status, limit, offset }
+     */
+    async list({ daaId = null, status = null, limit = 50, offset = 0 } = {}) {
+        if (status && !PROPOSAL_STATUSES.includes(status)) {
+            throw new DAARevisionError(`status must be one of ${PROPOSAL_STATUSES.join(', ')}`, 'BAD_STATUS');
+        }
+        const r = await this.db.query(`
+            SELECT p.*, e.source AS event_source, e.event_type, e.summary AS event_summary
+            FROM daa_amount_revision_proposals p
+            LEFT JOIN oracle_events e ON e.id = p.event_id
+            WHERE ($1::uuid IS NULL OR p.daa_id = $1)
+              AND ($2::text IS NULL OR p.status = $2)
+            ORDER BY p.created_at DESC, p.id DESC
+            LIMIT $3 OFFSET $4
+        `, [daaId, status, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500), Math.max(parseInt(offset, 10) || 0, 0)]);
+        return r.rows;
+    }
+
+    async approve(id, reviewer, note = null) {
+        return this._review(id, 'approved', reviewer, note);
+    }
+
+    async reject(id, reviewer, note = null) {
+        return this._review(id, 'rejected', reviewer, note);
+    }
+
+    async _review(id, status, reviewer, note) {
+        const r = await this.db.query(`
+            UPDATE daa_amount_revision_proposals
+            SET status = $2, reviewed_by = $3, reviewed_at = now(), review_note = $4
+            WHERE id = $1 AND status = 'proposed'
+            RETURNING *
+        `, [id, status, reviewer, note]);
+        if (r.rows[0]) return r.rows[0];
+        const existing = await this.get(id);
+        throw new DAARevisionError(`Proposal is ${existing.status}; only a proposed revision can be ${status}`, 'BAD_STATE', 409);
+    }
+
+    /**
+     * Claim a proposal update-amount is about to send on chain: approved and
+     * for the record being updated on `network` (record ids restart per
+     * network, so the DAA must hold the record there), moved to 'applying' in
+     * the same statement so a second concurrent apply finds nothing to claim.
+     */
+    async claimForApply(id, recordId, network) {
+        const r = await this.db.query(`
+            UPDATE daa_amount_revision_proposals p
+            SET status = 'applying'
+            WHERE p.id = $1 AND p.status = 'approved' AND p.blockchain_record_id = $2
+              AND EXISTS (
+                  SELECT 1 FROM debt_acknowledgment_agreements d
+                  WHERE d.daa_id = p.daa_id AND d.blockchain_record_id = $2
+                    AND COALESCE(d.blockchain_network, 'base') = $3)
+            RETURNING p.*
+        `, [id, recordId, network]);
+        if (r.rows[0]) return r.rows[0];
+
+        const proposal = await this.get(id);
+        if (proposal.status !== 'approved') {
+            throw new DAARevisionError(`Proposal is ${proposal.status}; only an approved revision can be applied`, 'BAD_STATE', 409);
+        }
+        throw new DAARevisionError(`Proposal ${id} is not for ${network} record ${recordId}`, 'RECORD_MISMATCH', 409);
+    }
+
+    /**
+     * Record a direct revision of `recordId` (no oracle event) as an
+     * 'applying' row, so currentAmount() follows it once applied. Null when
+     * no DAA on `network` holds the record (agreements stored before the
+     * network was recorded count as 'base', as in the signing message).
+     */
+    async recordDirect(recordId, { network, amount, reason, reviewer = null }) {
+        const d = await this.db.query(`
+            SELECT daa_id, total_debt
+            FROM debt_acknowledgment_agreements
+            WHERE blockchain_record_id = $1 AND COALESCE(blockchain_network, 'base') = $2
+            ORDER BY blockchain_submitted_at DESC NULLS LAST
+            LIMIT 1
+        `, [recordId, network]);
+        const daa = d.rows[0];
+        if (!daa) return null;
+
+        const current = await this.currentAmount(daa.daa_id, daa.total_debt, network);
+        const r = await this.db.query(`
+            INSERT INTO daa_amount_revision_proposals
+                (daa_id, rule, current_amount_usd, proposed_amount_usd, reason, detail,
+                 blockchain_record_id, status, reviewed_by, reviewed_at)
+            VALUES ($1, 'direct', $2, $3, $4, $5, $6, 'applying', $7, now())
+            RETURNING *
+        `, [daa.daa_id, current, round2(Number(amount)), reason, JSON.stringify({ network }), recordId, reviewer]);
+        return r.rows[0];
+    }
+
+    /**
+     * The transaction for a claimed row could not be sent: a proposal goes
+     * back to 'approved', a direct revision is closed as 'rejected'.
+     */
+    async release(id, error) {
+        const r = await this.db.query(`
+            UPDATE daa_amount_revision_proposals
+            SET status = CASE WHEN rule = 'direct' THEN 'rejected' ELSE 'approved' END,
+                review_note = CASE WHEN rule = 'direct' THEN $2 ELSE review_note END
+            WHERE id = $1 AND status = 'applying'
+            RETURNING *
+        `, [id, `not sent: ${error}`]);
+        return r.rows[0] || null;
+    }
+
+    async markApplied(id, transactionHash) {
+        const r = await this.db.query(`
+            UPDATE daa_amount_revision_proposals
+            SET status = 'applied', transaction_hash = $2, applied_at = now()
+            WHERE id = $1 AND status = 'applying'
+            RETURNING *
+        `, [id, transactionHash]);
+        if (!r.rows[0]) throw new DAARevisionError('Proposal is no longer being applied', 'BAD_STATE', 409);
+        return r.rows[0];
+    }
+}
+
+module.exports = DAARevisionService;
+module.exports.DAARevisionError = DAARevisionError;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.PROPOSAL_STATUSES = PROPOSAL_STATUSES;
@@ -0,0 +1,368 @@
+'use strict';
+
+/**
+ * DAASigningService
+ *
+ * Multi-party signing for generated DAA documents (M114). The DOCX written by
+ * DAADocumentGenerator is the thing being signed; its SHA-256 is stored on the
+ * agreement when it is generated and recomputed at every step, so a signature
+ * always names the exact bytes the signer was sent.
+ *
+ * FLOW (debt_acknowledgment_agreements.signing_status)
+ *   draft          document generated, nothing sent
+ *   sent           send() issued tokenized links to the obligor and the
+ *                  countersigner; outstanding links from an earlier send are
+ *                  revoked
+ *   signed         the obligor signed through their link
+ *   countersigned  the countersigner signed (only possible after 'signed')
+ *
+ * LINKS: a 32-byte random token, returned by send() once and never stored;
+ * daa_signing_requests keeps only its SHA-256. Links expire (default 30 days).
+ *
+ * WALLET SIGNATURE (optional): the signer may also sign signingMessage() with
+ * a wallet (EIP-191 personal_sign). The message names the agreement, the
+ * document SHA-256 and the on-chain record, so the signature is bound to the
+ * same DOCX whose CID is a leaf of the document manifest (M125) that
+ * submitDAAOnChain registers as the record's docHash. It is verified with
+ * ethers.verifyMessage before anything is written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const SIGNING_STATUSES = ['draft', 'sent', 'signed', 'countersigned'];
+const ROLES = ['obligor', 'countersigner'];
+const DEFAULT_EXPIRY_DAYS = 30;
+
+class DAASigningError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'DAASigningError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const normalizeName = (s) => String(s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+class DAASigningService {
+    /**
+     * @param {object} database - pg pool
+     * @param {object} [opts]
+     * @param {string} [opts.linkBase] - origin for signing links (default DAA_SIGNING_LINK_BASE)
+     * @param {Function} [opts.now] - clock, for tests
+     */
+    constructor(database, opts = {}) {
+        this.db = database;
+        this.linkBase = (opts.linkBase ?? process.env.DAA_SIGNING_LINK_BASE ?? '').replace(/\/$/, '');
+        this.now = opts.now || (() => new Date());
+    }
+
+    /**
+     * SHA-256 of a generated document. Throws DOCUMENT_MISSING when the file is
+     * gone (e.g. generated on another instance).
+     */
+    static hashDocument(documentPath) {
+        if (!documentPath || !fs.existsSync(documentPath)) {
+            throw new DAASigningError('Generated DAA document not found on this server', 'DOCUMENT_MISSING', 409);
+        }
+        return sha256(fs.readFileSync(documentPath));
+    }
+
+    /**
+     * The exact text a wallet signs (EIP-191). Recomputed at signing time from
+     * stored rows, never taken from the client.
+     */
+    static signingMessage(daa, request) {
+        const onchain = daa.blockchain_record_id != null
+            ? `${daa.blockchain_network || 'base'} record #${daa.blockchain_record_id}`
+            : 'not yet submitted';
+        return [
+            'Reparations DAA signature',
+            `Agreement: ${daa.agreement_number}`,
+            `DAA ID: ${daa.daa_id}`,
+            `Role: ${request.role}`,
+            `Signer: ${request.signer_name}`,
+            `Document SHA-256: ${request.document_sha256}`,
+            `On-chain record: ${onchain}`,
+            `Signing request: ${request.id}`,
+        ].join('\n');
+    }
+
+    /**
+     * Store the generated document's path and hash on a draft agreement.
+     * Called by DAAOrchestrator after generateDOCX.
+     *
+     * @returns {Promise<string>} the document SHA-256
+     */
+    async recordDocument(daaId, documentPath) {
+        const documentSha256 = DAASigningService.hashDocument(documentPath);
+        await this.db.query(`
+            UPDATE debt_acknowledgment_agreements
+            SET document_path = $2, document_sha256 = $3
+            WHERE daa_id = $1 AND signing_status = 'draft'
+        `, [daaId, documentPath, documentSha256]);
+        return documentSha256;
+    }
+
+    async _loadAgreement(daaId) {
+        const r = await this.db.query(`
+            SELECT daa_id, agreement_number, acknowledger_name, acknowledger_email,
+                   status, signing_status, document_path, document_sha256,
+                   signed_at, countersigned_at,
+                   blockchain_record_id, blockchain_hash, blockchain_network
+            FROM debt_acknowledgment_agreements
+            WHERE daa_id = $1
+        `, [daaId]);
+        return r.rows[0] || null;
+    }
+
+    /**
+     * Issue signing links for the obligor and the countersigner.
+     *
+     * @param {string} daaId
+     * @param {Object} params
+     * @param {Object} [params.obligor] - { name, email } (default: the acknowledger on the DAA)
+     * @param {Object} params.countersigner - { name, email }
+     * @param {string} [params.sentBy]
+     * @param {number} [params.expiresInDays]
+     * @returns {Promise<Object>} { daaId, signingStatus, documentSha256, requests: [{ role, token, link, ... }] }
+     */
+    async send(daaId, { obligor, countersigner, sentBy = null, expiresInDays = DEFAULT_EXPIRY_DAYS } = {}) {
+        const daa = await this._loadAgreement(daaId);
+        if (!daa) throw new DAASigningError('DAA not found', 'NOT_FOUND', 404);
+        if (daa.signing_status !== 'draft' && daa.signing_status !== 'sent') {
+            throw new DAASigningError(`DAA is already ${daa.signing_status}; links cannot be re-sent`, 'INVALID_STATE', 409);
+        }
+        const signers = {
+            obligor: { name: obligor?.name || daa.acknowledger_name, email: obligor?.email || daa.acknowledger_email || null },
+            countersigner: { name: countersigner?.name, email: countersigner?.email || null },
+        };
+        for (const role of ROLES) {
+            if (!signers[role].name) throw new DAASigningError(`${role} name required`, 'BAD_REQUEST', 400);
+        }
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > 365) {
+            throw new DAASigningError('expiresInDays must be between 1 and 365', 'BAD_REQUEST', 400);
+        }
+
+        // Hash what is on disk now; a regenerated file replaces the stored hash.
+        const documentSha256 = DAASigningService.hashDocument(daa.document_path);
+        const now = this.now();
+        const expiresAt = new Date(now.getTime() + days * 86400000);
+
+        await this.db.query(`
+            UPDATE daa_signing_requests SET revoked_at = $2
+            WHERE daa_id = $1 AND signed_at IS NULL AND revoked_at IS NULL
+        `, [daaId, now]);
+
+        const requests = [];
+        for (const role of ROLES) {
+            const token = crypto.randomBytes(32).toString('base64url');
+            const r = await this.db.query(`
+                INSERT INTO daa_signing_requests
+                    (daa_id, role, signer_name, signer_email, token_hash, document_sha256,
+                     expires_at, sent_by, sent_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING id
+            `, [daaId, role, signers[role].name, signers[role].email, sha256(token),
+                documentSha256, expiresAt, sentBy, now]);
+            requests.push({
+                id: r.rows[0].id,
+                role,
+                signerName: signers[role].name,
+                signerEmail: signers[role].email,
+                token,
+                link: `${this.linkBase}/sign/${token}`,
+                expiresAt: expiresAt.toISOString(),
+            });
+        }
+
+        await this.db.query(`
+            UPDATE debt_acknowledgment_agreements
+            SET signing_status = 'sent', status = 'pending_signature', document_sha256 = $2
+            WHERE daa_id = $1
+        `, [daaId, documentSha256]);
+
+        return { daaId, agreementNumber: daa.agreement_number, signingStatus: 'sent', documentSha256, requests };
+    }
+
+    async _loadRequest(token) {
+        if (!token) throw new DAASigningError('Signing link not found', 'NOT_FOUND', 404);
+        const r = await this.db.query(`
+            SELECT * FROM daa_signing_requests WHERE token_hash = $1
+        `, [sha256(token)]);
+        const request = r.rows[0];
+        if (!request) throw new DAASigningError('Signing link not found', 'NOT_FOUND', 404);
+        if (request.revoked_at) throw new DAASigningError('This signing link was replaced by a newer one', 'LINK_REVOKED', 410);
+        if (!request.signed_at && new Date(request.expires_at) <= this.now()) {
+            throw new DAASigningError('This signing link has expired', 'LINK_EXPIRED', 410);
+        }
+        const daa = await this._loadAgreement(request.daa_id);
+        if (!daa) throw new DAASigningError('DAA not found', 'NOT_FOUND', 404);
+        return { request, daa };
+    }
+
+    /**
+     * What the signer sees behind their link. Marks the link viewed.
+     */
+    async lookup(token) {
+        const { request, daa } = await this._loadRequest(token);
+        if (!request.viewed_at) {
+            await this.db.query(`UPDATE daa_signing_requests SET viewed_at = $2 WHERE id = $1`, [request.id, this.now()]);
+        }
+        return {
+            daaId: daa.daa_id,
+            agreementNumber: daa.agreement_number,
+            acknowledgerName: daa.acknowledger_name,
+            role: request.role,
+            signerName: request.signer_name,
+            signingStatus: daa.signing_status,
+            documentSha256: request.document_sha256,
+            expiresAt: request.expires_at,
+            signedAt: request.signed_at,
+            canSign: !request.signed_at && (request.role === 'obligor' ? daa.signing_status === 'sent' : daa.signing_status === 'signed'),
+            walletMessage: DAASigningService.signingMessage(daa, request),
+        };
+    }
+
+    /**
+     * Record a signature through a signing link.
+     *
+     * @param {string} token
+     * @param {Object} params
+     * @param {string} params.typedName - must match the signer name on the request
+     * @param {string} [params.walletAddress]
+     * @param {string} [params.walletSignature] - EIP-191 signature of signingMessage()
+     * @param {string} [params.ip]
+     * @param {string} [params.userAgent]
+     * @returns {Promise<Object>} { daaId, role, signingStatus, signedAt, documentSha256, walletAddress }
+     */
+    async sign(token, { typedName, walletAddress, walletSignature, ip = null, userAgent = null } = {}) {
+        const { request, daa } = await this._loadRequest(token);
+        if (request.signed_at) throw new DAASigningError('Already signed', 'ALREADY_SIGNED', 409);
+
+        const from = request.role === 'obligor' ? 'sent' : 'signed';
+        const to = request.role === 'obligor' ? 'signed' : 'countersigned';
+        if (daa.signing_status !== from) {
+            throw new DAASigningError(
+                request.role === 'countersigner'
+                    ? 'The obligor has not signed yet'
+                    : `DAA is ${daa.signing_status}; expected ${from}`,
+                'INVALID_STATE', 409);
+        }
+
+        if (!typedName || normalizeName(typedName) !== normalizeName(request.signer_name)) {
+            throw new DAASigningError(`Type your full name exactly as shown (${request.signer_name})`, 'NAME_MISMATCH', 400);
+        }
+
+        const documentSha256 = DAASigningService.hashDocument(daa.document_path);
+        if (documentSha256 !== request.document_sha256) {
+            throw new DAASigningError('The document changed after this link was sent; ask for a new link', 'DOCUMENT_CHANGED', 409);
+        }
+
+        let wallet = null;
+        if (walletSignature || walletAddress) {
+            if (!walletSignature || !walletAddress) {
+                throw new DAASigningError('walletAddress and walletSignature must be sent together', 'BAD_REQUEST', 400);
+            }
+            const message = DAASigningService.signingMessage(daa, request);
+            let recovered;
+            let claimed;
+            try {
+                recovered = ethers.verifyMessage(message, walletSignature);
+                claimed = ethers.getAddress(walletAddress);
+            } catch (e) {
+                throw new DAASigningError(`Invalid wallet signature: ${e.shortMessage || e.message}`, 'BAD_WALLET_SIGNATURE', 400);
+            }
+            if (recovered !== claimed) {
+                throw new DAASigningError('Wallet signature does not match walletAddress', 'BAD_WALLET_SIGNATURE', 400);
+            }
+            wallet = { address: claimed, signature: walletSignature, message };
+        }
+
+        const signedAt = this.now();
+        const updated = await this.db.query(`
+            UPDATE daa_signing_requests
+            SET signed_at = $2, typed_name = $3, signer_ip = $4, signer_user_agent = $5,
+                wallet_address = $6, wallet_signature = $7, signed_message = $8
+            WHERE id = $1 AND signed_at IS NULL AND revoked_at IS NULL
+            RETURNING id
+        `, [request.id, signedAt, String(typedName).trim(), ip, userAgent,
+            wallet?.address || null, wallet?.signature || null, wallet?.message || null]);
+        if (updated.rows.length === 0) throw new DAASigningError('Already signed', 'ALREADY_SIGNED', 409);
+
+        await this.db.query(to === 'signed'
+            ? `UPDATE debt_acknowledgment_agreements
+               SET signing_status = 'signed', status = 'signed', signed_at = $2
+               WHERE daa_id = $1 AND signing_status = 'sent'`
+            : `UPDATE debt_acknowledgment_agreements
+               SET signing_status = 'countersigned', countersigned_at = $2
+               WHERE daa_id = $1 AND signing_status = 'signed'`,
+        [daa.daa_id, signedAt]);
+
+        return {
+            daaId: daa.daa_id,
+            agreementNumber: daa.agreement_number,
+            role: request.role,
+            signingStatus: to,
+            signedAt: signedAt.toISOString(),
+            documentSha256,
+            walletAddress: wallet?.address || null,
+        };
+    }
+
+    /**
+     * Signing state of one DAA, with every request (tokens are never returned).
+     */
+    async status(daaId) {
+        const daa = await this._loadAgreement(daaId);
+        if (!daa) return null;
+        const r = await this.db.query(`
+            SELECT id, role, signer_name, signer_email, document_sha256, expires_at,
+                   sent_by, sent_at, viewed_at, signed_at, typed_name, signer_ip,
+                   wallet_address, wallet_signature, signed_message, revoked_at
+            FROM daa_signing_requests
+            WHERE daa_id = $1
+            ORDER BY sent_at DESC, role
+        `, [daaId]);
+        const { document_path: documentPath, ...agreement } = daa;
+        return { ...agreement, documentAvailable: !!documentPath && fs.existsSync(documentPath), requests: r.rows };
+    }
+
+    /**
+     * Agreements with their signing status, newest first, for the admin list.
+     *
+     * @param {Object} [opts]
+     * @param {string} [opts.signingStatus] - filter
+     * @param {number} [opts.limit]
+     */
+    async list({ signingStatus = null, limit = 100 } = {}) {
+        if (signingStatus && !SIGNING_STATUSES.includes(signingStatus)) {
+            throw new DAASigningError(`Unknown signing status: ${signingStatus}`, 'BAD_REQUEST', 400);
+        }
+        const r = await this.db.query(`
+            SELECT d.daa_id, d.agreement_number, d.acknowledger_name, d.total_debt,
+                   d.signing_status, d.document_sha256, d.signed_at, d.countersigned_at,
+                   d.blockchain_record_id, d.created_at,
+                   COALESCE(json_agg(json_build_object(
+                       'role', r.role, 'signer_name', r.signer_name, 'sent_at', r.sent_at,
+                       'viewed_at', r.viewed_at, 'signed_at', r.signed_at,
+                       'wallet_address', r.wallet_address, 'expires_at', r.expires_at
+                   ) ORDER BY r.role) FILTER (WHERE r.id IS NOT NULL), '[]') AS signers
+            FROM debt_acknowledgment_agreements d
+            LEFT JOIN daa_signing_requests r ON r.daa_id = d.daa_id AND r.revoked_at IS NULL
+            WHERE ($1::text IS NULL OR d.signing_status = $1)
+            GROUP BY d.daa_id
+            ORDER BY d.created_at DESC
+            LIMIT $2
+        `, [signingStatus, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]);
+        return r.rows;
+    }
+}
+
+module.exports = DAASigningService;
+module.exports.DAASigningError = DAASigningError;
+module.exports.SIGNING_STATUSES = SIGNING_STATUSES;
@@ -0,0 +1,457 @@
+'use strict';
+
+/**
+ * DAASnapshotService
+ *
+ * Freezes what a DAA was computed FROM and re-verifies it later (M113).
+ *
+ * A DAA's figure is a function of mutable state: reparations_line_items rows,
+ * anchor_rate_series (through RateResolver), global_indicator_targets, the
+ * macro-config constants, the calculator code, and the year compounding runs
+ * to. At generation DAAOrchestrator hands this service the inputs it used; the
+ * service writes a manifest holding copies of those rows, every rate with its
+ * citation, a hash of macro-config, the code version and the as-of year.
+ *
+ * verify() answers two separate questions:
+ *   1. REPRODUCIBLE — recomputing from the FROZEN inputs with today's code and
+ *      config gives the stored figures. If not, the calculator or macro-config
+ *      changed (see diff.macro_config / diff.code_version).
+ *   2. DRIFT — recomputing from the LIVE rows (line items re-read, slaveholders
+ *      re-aggregated, rates re-resolved) gives the same figures and the rows
+ *      themselves are unchanged. If not, the data moved under the agreement.
+ *
+ *   status: verified | reproducible_with_drift | not_reproducible
+ *
+ * Financial inputs (the participant's disclosure) are part of the agreement,
+ * not live data: they are frozen and never re-read.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { execSync } = require('child_process');
+const MACRO = require('./macro-config');
+const RateResolver = require('./rate-resolver');
+
+const MANIFEST_VERSION = 1;
+const TOLERANCE_USD = 0.01;
+
+// Line-item columns computeDAAFromLineItems reads, plus the provenance needed
+// to tell WHY a row changed.
+const LINE_ITEM_FIELDS = [
+    'id', 'era', 'legal_theory_jurisdiction', 'base_amount_usd', 'base_year',
+    'compounded_amount_usd', 'compound_rate', 'compound_to_year',
+    'calculation_method_key', 'citation', 'updated_at',
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Sorted-key JSON so the same manifest always hashes the same.
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        // undefined keys are dropped, as JSON.stringify (and so JSONB) drops them
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+function macroConfigSnapshot() {
+    const { RATES, SCENARIO_RATES, DARITY, WEALTH_GAP, BRATTLE, CRAEMER } = MACRO;
+    const values = JSON.parse(JSON.stringify({ RATES, SCENARIO_RATES, DARITY, WEALTH_GAP, BRATTLE, CRAEMER }));
+    return { hash: sha256(canonicalJson(values)), values };
+}
+
+let _codeVersion = null;
+function codeVersion() {
+    if (_codeVersion) return _codeVersion;
+    let commit = process.env.RENDER_GIT_COMMIT || null;
+    if (!commit) {
+        try {
+            commit = execSync('git rev-parse HEAD', {
+                cwd: path.resolve(__dirname, '../../..'), stdio: ['ignore', 'pipe', 'ignore'], timeout: 2000,
+            }).toString().trim();
+        } catch (_) {
+            commit = null;   // not a checkout (e.g. a packaged deploy)
+        }
+    }
+    _codeVersion = { commit, package: require('../../../package.json').version };
+    return _codeVersion;
+}
+
+// Leaf-level differences between two plain objects: [{ path, frozen, live }].
+function diffObjects(frozen, live, prefix = '') {
+    const out = [];
+    const keys = new Set([...Object.keys(frozen || {}), ...Object.keys(live || {})]);
+    for (const k of keys) {
+        const p = prefix ? `${prefix}.${k}` : k;
+        const a = frozen?.[k];
+        const b = live?.[k];
+        if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+            out.push(...diffObjects(a, b, p));
+        } else if (canonicalJson(a) !== canonicalJson(b)) {
+            out.push({ path: p, frozen: a === undefined ? null : a, live: b === undefined ? null : b });
+        }
+    }
+    return out;
+}
+
+// Row-set differences keyed by keyFn: { added, removed, changed:[{ key, fields }] }.
+function diffRows(frozenRows, liveRows, keyFn) {
+    const index = (rows) => {
+        const seen = new Map();
+        const out = new Map();
+        for (const row of rows || []) {
+            const base = keyFn(row);
+            const n = (seen.get(base) || 0) + 1;
+            seen.set(base, n);
+            out.set(n > 1 ? `${base}#${n}` : base, row);
+        }
+        return out;
+    };
+    const a = index(frozenRows);
+    const b = index(liveRows);
+    const diff = { added: [], removed: [], changed: [] };
+    for (const [key, row] of a) {
+        if (!b.has(key)) { diff.removed.push(key); continue; }
+        const fields = diffObjects(row, b.get(key));
+        if (fields.length) diff.changed.push({ key, fields });
+    }
+    for (const key of b.keys()) if (!a.has(key)) diff.added.push(key);
+    return diff;
+}
+
+const rowsDiffer = (d) => d.added.length + d.removed.length + d.changed.length > 0;
+
+class DAASnapshotService {
+    /**
+     * @param {object} database - pg pool
+     * @param {DAAOrchestrator} orchestrator - recomputation (calculateTotalDebt,
+     *   computeDAAFromLineItems, aggregateEnslavedData, getLineItemsForPerson)
+     * @param {object} [opts]
+     * @param {RateResolver} [opts.rateResolver]
+     */
+    constructor(database, orchestrator, opts = {}) {
+        this.db = database;
+        this.orchestrator = orchestrator;
+        this.rateResolver = opts.rateResolver || new RateResolver(database);
+    }
+
+    /**
+     * Build the frozen manifest for a DAA that was just generated.
+     *
+     * @param {Object} p
+     * @param {string} p.methodology - 'line_item' | 'craemer_wealth_gap'
+     * @param {Array}  p.slaveholders - getDocumentedSlaveholders rows
+     * @param {Array}  p.slaveholderData - aggregateEnslavedData output
+     * @param {Object} [p.financials] - calculateTotalDebt financials (craemer_wealth_gap)
+     * @param {number} [p.canonicalPersonId] - line-item beneficiary (line_item)
+     * @param {Object} [p.lineItems] - getLineItemsForPerson output (line_item)
+     * @param {Object} p.agreement - { enslavedPersons, generationFromSlaveholder, totalDebt }
+     * @param {Object} p.debtCalculation - calculateTotalDebt / computeDAAFromLineItems output
+     * @returns {Promise<Object>} manifest
+     */
+    async buildManifest(p) {
+        const inputs = {
+            agreement: {
+                generationFromSlaveholder: p.agreement.generationFromSlaveholder ?? null,
+                enslavedPersons: p.agreement.enslavedPersons,
+            },
+            slaveholders: (p.slaveholders || []).map(DAASnapshotService.freezeSlaveholder),
+            slaveholderData: DAASnapshotService.freezeSlaveholderData(p.slaveholderData),
+        };
+        if (p.methodology === 'line_item') {
+            inputs.canonicalPersonId = p.canonicalPersonId;
+            inputs.lineItems = DAASnapshotService.freezeLineItems(p.lineItems);
+        } else {
+            inputs.financials = p.financials;
+        }
+
+        const headline = p.methodology === 'line_item' ? p.debtCalculation.total_usd : p.debtCalculation.recommendedDebt;
+        // Round-trip through JSON so the hash is taken over exactly what JSONB stores.
+        return JSON.parse(JSON.stringify({
+            manifest_version: MANIFEST_VERSION,
+            methodology: p.methodology,
+            as_of_year: this.orchestrator.daaGenerator.CURRENT_YEAR,
+            inputs,
+            rates: await this._rates(inputs),
+            global_targets: await this._globalTargets(),
+            macro_config: macroConfigSnapshot(),
+            code_version: codeVersion(),
+            result: {
+                agreement_total_usd: round2(p.agreement.totalDebt),
+                headline_total_usd: round2(headline || 0),
+            },
+        }));
+    }
+
+    /**
+     * Persist a manifest as the DAA's next snapshot version.
+     * @returns {Promise<Object>} { id, version, manifestHash }
+     */
+    async record(daaId, manifest, { createdBy = 'daa_orchestrator' } = {}) {
+        const manifestHash = sha256(canonicalJson(manifest));
+        const { rows } = await this.db.query(`
+            INSERT INTO daa_calculation_snapshots
+                (daa_id, version, methodology, manifest, manifest_hash, macro_config_hash,
+                 code_version, as_of_year, agreement_total_usd, headline_total_usd, created_by)
+            SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            FROM daa_calculation_snapshots WHERE daa_id = $1
+            RETURNING id, version
+        `, [
+            daaId, manifest.methodology, JSON.stringify(manifest), manifestHash,
+            manifest.macro_config.hash, manifest.code_version.commit, manifest.as_of_year,
+            manifest.result.agreement_total_usd, manifest.result.headline_total_usd, createdBy,
+        ]);
+        return { id: rows[0].id, version: rows[0].version, manifestHash };
+    }
+
+    /** Snapshot versions for a DAA, newest first (no manifests). */
+    async list(daaId) {
+        const { rows } = await this.db.query(`
+            SELECT id, version, methodology, manifest_hash, macro_config_hash, code_version,
+                   as_of_year, agreement_total_usd, headline_total_usd, created_by, created_at,
+                   last_verified_at, last_verification
+            FROM daa_calculation_snapshots
+            WHERE daa_id = $1
+            ORDER BY version DESC
+        `, [daaId]);
+        return rows;
+    }
+
+    /** One snapshot with its manifest; latest when version is omitted. */
+    async get(daaId, version = null) {
+        const { rows } = await this.db.query(`
+            SELECT * FROM daa_calculation_snapshots
+            WHERE daa_id = $1 AND ($2::int IS NULL OR version = $2)
+            ORDER BY version DESC
+            LIMIT 1
+        `, [daaId, version]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Re-verify a stored DAA against its snapshot.
+     *
+     * @param {string} daaId
+     * @param {Object} [opts]
+     * @param {number} [opts.version] - snapshot version (default latest)
+     * @param {boolean} [opts.record=true] - write last_verification on the snapshot
+     * @returns {Promise<Object|null>} null when the DAA has no snapshot
+     */
+    async verify(daaId, { version = null, record = true } = {}) {
+        const snapshot = await this.get(daaId, version);
+        if (!snapshot) return null;
+        const manifest = snapshot.manifest;
+
+        const live = await this._liveInputs(manifest);
+        const frozenResult = await this._recompute(manifest, manifest.inputs);
+        const liveResult = await this._recompute(manifest, live);
+
+        const figures = ['agreement_total_usd', 'headline_total_usd'].map(figure => ({
+            figure,
+            stored: manifest.result[figure],
+            frozen_recompute: frozenResult[figure],
+            live_recompute: liveResult[figure],
+        }));
+        const reproducible = figures.every(f => Math.abs(f.frozen_recompute - f.stored) <= TOLERANCE_USD);
+
+        const liveRates = await this._rates(live);
+        const liveTargets = await this._globalTargets();
+        const macro = macroConfigSnapshot();
+        const code = codeVersion();
+        const diff = {
+            result: figures.filter(f => Math.abs(f.frozen_recompute - f.stored) > TOLERANCE_USD
+                || Math.abs(f.live_recompute - f.stored) > TOLERANCE_USD),
+            enslaved_persons: diffRows(manifest.inputs.agreement.enslavedPersons, live.agreement.enslavedPersons,
+                r => `${r.relationship}|${r.name}`),
+            line_items: manifest.methodology === 'line_item'
+                ? diffRows(manifest.inputs.lineItems, live.lineItems, r => r.id)
+                : null,
+            rates: diffRows(manifest.rates, liveRates, r => r.key),
+            global_targets: diffRows(manifest.global_targets, liveTargets, r => String(r.id)),
+            macro_config: macro.hash === manifest.macro_config.hash ? [] : diffObjects(manifest.macro_config.values, macro.values),
+            code_version: manifest.code_version.commit === code.commit ? null : { frozen: manifest.code_version, live: code },
+        };
+        const drift = diff.result.length > 0
+            || rowsDiffer(diff.enslaved_persons)
+            || (diff.line_items && rowsDiffer(diff.line_items))
+            || rowsDiffer(diff.rates)
+            || rowsDiffer(diff.global_targets);
+
+        const status = !reproducible ? 'not_reproducible' : drift ? 'reproducible_with_drift' : 'verified';
+        const outcome = {
+            daaId,
+            version: snapshot.version,
+            methodology: manifest.methodology,
+            status,
+            manifestIntact: sha256(canonicalJson(manifest)) === snapshot.manifest_hash,
+            asOfYear: manifest.as_of_year,
+            figures,
+            diff,
+        };
+
+        if (record) {
+            await this.db.query(`
+                UPDATE daa_calculation_snapshots
+                SET last_verified_at = now(), last_verification = $2, last_verification_detail = $3
+                WHERE id = $1
+            `, [snapshot.id, status, JSON.stringify({ figures, manifestIntact: outcome.manifestIntact })]);
+        }
+        return outcome;
+    }
+
+    /**
+     * Recompute a DAA's figures from live inputs without comparing or
+     * recording anything — what the agreement would say today. Used by the
+     * oracle rule layer (DAARevisionService) to price an amount revision.
+     *
+     * @param {string} daaId
+     * @param {Object} [opts]
+     * @param {Array<Object>} [opts.addSlaveholders] - slaveholders (frozen shape) the
+     *   snapshot didn't have, e.g. from a new climb match
+     * @returns {Promise<Object|null>} null when the DAA has no snapshot
+     */
+    async project(daaId, { addSlaveholders = [] } = {}) {
+        const snapshot = await this.get(daaId);
+        if (!snapshot) return null;
+        const manifest = snapshot.manifest;
+        const known = new Set(manifest.inputs.slaveholders.map(sh => sh.slaveholder_id ?? sh.slaveholder_name));
+        const extra = addSlaveholders
+            .filter(sh => !known.has(sh.slaveholder_id ?? sh.slaveholder_name))
+            .map(DAASnapshotService.freezeSlaveholder);
+        const projected = extra.length
+            ? { ...manifest, inputs: { ...manifest.inputs, slaveholders: [...manifest.inputs.slaveholders, ...extra] } }
+            : manifest;
+
+        const live = await this._liveInputs(projected);
+        return {
+            version: snapshot.version,
+            methodology: manifest.methodology,
+            stored: manifest.result,
+            live: await this._recompute(projected, live),
+            addedSlaveholders: extra.length,
+        };
+    }
+
+    // ── internals ───────────────────────────────────────────────────────────
+
+    // Same input shape as manifest.inputs, read from the live tables.
+    async _liveInputs(manifest) {
+        const frozen = manifest.inputs;
+        const slaveholderData = await this.orchestrator.aggregateEnslavedData(frozen.slaveholders);
+        const live = {
+            agreement: {
+                generationFromSlaveholder: frozen.agreement.generationFromSlaveholder,
+                enslavedPersons: this.orchestrator.agreementEnslavedPersons(slaveholderData),
+            },
+            slaveholders: frozen.slaveholders,
+            slaveholderData: DAASnapshotService.freezeSlaveholderData(slaveholderData),
+        };
+        if (manifest.methodology === 'line_item') {
+            live.canonicalPersonId = frozen.canonicalPersonId;
+            live.lineItems = DAASnapshotService.freezeLineItems(
+                await this.orchestrator.getLineItemsForPerson(frozen.canonicalPersonId));
+        } else {
+            live.financials = frozen.financials;
+        }
+        return live;
+    }
+
+    // Recompute both figures as of the manifest's year.
+    async _recompute(manifest, inputs) {
+        const generator = this.orchestrator.daaGenerator.withCurrentYear(manifest.as_of_year);
+        const orchestrator = Object.create(this.orchestrator);
+        orchestrator.daaGenerator = generator;
+
+        const agreement = generator.calculateWeightedDebt(
+            inputs.agreement.enslavedPersons, inputs.agreement.generationFromSlaveholder).totalDebt;
+        const headline = manifest.methodology === 'line_item'
+            ? orchestrator.computeDAAFromLineItems({ tier1: inputs.lineItems, tier2: [] }).total_usd
+            : (await orchestrator.calculateTotalDebt(inputs.slaveholderData, inputs.financials)).recommendedDebt;
+        return { agreement_total_usd: round2(agreement), headline_total_usd: round2(headline || 0) };
+    }
+
+    // Every rate the calculation touched, with where it came from.
+    async _rates(inputs) {
+        const rates = [{
+            key: 'macro:craemerCompound', rate: MACRO.RATES.craemerCompound.value,
+            basis: 'macro_config', cite: MACRO.RATES.craemerCompound.cite,
+        }];
+        for (const predictor of ['craemer', 'line_item']) {
+            const r = await this.rateResolver.resolveRate({ predictor });
+            rates.push({
+                key: `resolver:${predictor}`, rate: r.rate, basis: r.basis, family: r.family,
+                confidence: r.confidence, cite: r.provenance?.citation || null,
+                anchor_id: r.provenance?.anchor_id || null,
+            });
+        }
+        if (inputs.lineItems) {
+            const counts = new Map();
+            for (const li of inputs.lineItems) {
+                const k = li.compound_rate == null ? 'null' : String(Number(li.compound_rate));
+                counts.set(k, (counts.get(k) || 0) + 1);
+            }
+            for (const [k, n] of counts) {
+                rates.push({ key: `line_item:compound_rate=${k}`, rate: k === 'null' ? null : Number(k), basis: 'line_item_row', rows: n });
+            }
+        }
+        return rates;
+    }
+
+    async _globalTargets() {
+        try {
+            const { rows } = await this.db.query(`
+                SELECT id, source_author, methodology, total_usd_low, total_usd_high,
+                       per_capita_usd, reference_year, interest_rate
+                FROM global_indicator_targets
+                ORDER BY id
+            `);
+            return JSON.parse(JSON.stringify(rows));
+        } catch (err) {
+            // Table absent on a partially migrated environment — recorded as empty.
+            console.warn(`[DAASnapshotService] global_indicator_targets unavailable: ${err.message}`);
+            return [];
+        }
+    }
+
+    static freezeSlaveholder(sh) {
+        const { slaveholder_id, slaveholder_name, slaveholder_fs_id, generation_distance,
+            match_type, match_confidence, lineage_path, _from_climb_match } = sh;
+        return JSON.parse(JSON.stringify({ slaveholder_id, slaveholder_name, slaveholder_fs_id, generation_distance,
+            match_type, match_confidence, lineage_path, _from_climb_match }));
+    }
+
+    static freezeSlaveholderData(slaveholderData) {
+        return (slaveholderData || []).map(d => ({
+            slaveholder: {
+                slaveholder_id: d.slaveholder?.slaveholder_id ?? null,
+                slaveholder_name: d.slaveholder?.slaveholder_name ?? null,
+            },
+            enslavedPersons: (d.enslavedPersons || []).map(p => ({
+                enslaved_name: p.enslaved_name,
+                years_enslaved: p.years_enslaved ?? null,
+                start_year: p.start_year ?? null,
+                relationship_type: p.relationship_type ?? null,
+            })),
+        }));
+    }
+
+    static freezeLineItems(lineItems) {
+        const rows = [...(lineItems?.tier1 || []), ...(lineItems?.tier2 || [])];
+        return JSON.parse(JSON.stringify(rows.map(row => {
+            const out = {};
+            for (const f of LINE_ITEM_FIELDS) out[f] = row[f] ?? null;
+            return out;
+        })));
+    }
+}
+
+module.exports = DAASnapshotService;
+module.exports.canonicalJson = canonicalJson;
+module.exports.diffRows = diffRows;
+module.exports.diffObjects = diffObjects;
+module.exports.macroConfigSnapshot = macroConfigSnapshot;
+module.exports.TOLERANCE_USD = TOLERANCE_USD;
@@ -14,6 +14,12 @@
  * schema allows):
  *   • land_transfer_events.consideration_usd       — implicates_enslaver = TRUE
  *   • flagrant_heirloom_assets.appraised_value_usd — implicates_enslaver = TRUE
+ *   • estate_valuations (M049) rows sourced from an estate inventory
+ *     (source_other_table = 'estate_inventory', written by
+ *     scripts/project-estate-inventories.js from EstateInventoryExtractor) —
+ *     the appraised NON-CHATTEL share (breakdown_jsonb.non_chattel_value_usd).
+ *     The enslaved persons' appraised value is chattel and is deliberately
+ *     left out; it belongs to the labor-value predictor, not disgorgement.
  *   • wealth_transfer_events.non_chattel_assets_value_usd — the Astor-style
  *     mortgage-foreclosure non-chattel enrichment. CAVEAT: this table has NO
  *     resolved canonical linkage yet (debtor_entity_id is NULL on every live
@@ -30,6 +36,11 @@
 
 const RateResolver = require('./rate-resolver');
 
+// estate_valuations.source_other_table for inventory-sourced rows. Probate-
+// extraction rows ('probate_estate_extractions') are NOT read here: their value
+// is already itemised into land_transfer_events / flagrant_heirloom_assets.
+const ESTATE_INVENTORY_SOURCE = 'estate_inventory';
+
 class DisgorgementCalculator {
     constructor(database, opts = {}) {
         this.db = database;
@@ -71,6 +82,7 @@ class DisgorgementCalculator {
             FROM flagrant_heirloom_assets
             WHERE enslaver_person_id = $1 AND implicates_enslaver = TRUE
         `, [enslaverPersonId]);
+        const inventoryRows = await this._estateInventoryRows(enslaverPersonId);
 
         // Two passes following the anchor lattice (nested by aggressiveness):
         //   FLOOR   = price_index (inflation / real-value preservation) — the
@@ -84,15 +96,18 @@ class DisgorgementCalculator {
         const heirFloor = await this._compoundRows(heirloomRows.rows, 'estate_nonchattel', placeState, 'price_index');
         const landCeil = await this._compoundRows(landRows.rows, 'land', placeState, 'enterprise_roi');
         const heirCeil = await this._compoundRows(heirloomRows.rows, 'estate_nonchattel', placeState, 'enterprise_roi');
-        const land = landFloor, heirloom = heirFloor; // floor drives the components/total
+        const invFloor = await this._compoundRows(inventoryRows, 'estate_nonchattel', placeState, 'price_index');
+        const invCeil = await this._compoundRows(inventoryRows, 'estate_nonchattel', placeState, 'enterprise_roi');
+        const land = landFloor, heirloom = heirFloor, inventory = invFloor; // floor drives the components/total
 
         // wealth_transfer_events: still unattributed (debtor_entity_id NULL). See flag.
         const wte = await this._unattributedWealthTransferPool();
 
         const landSum = land.compounded;
         const heirloomSum = heirloom.compounded;
-        const total = landSum + heirloomSum;                 // FLOOR present-value
-        const totalCeiling = landCeil.compounded + heirCeil.compounded; // aggressive upper
+        const inventorySum = inventory.compounded;
+        const total = landSum + heirloomSum + inventorySum;  // FLOOR present-value
+        const totalCeiling = landCeil.compounded + heirCeil.compounded + invCeil.compounded; // aggressive upper
 
         const components = {
             land_transfer: {
@@ -110,6 +125,14 @@ class DisgorgementCalculator {
                 valued_assets: heirloom.valued,
                 rate_basis: heirloom.rateBasis,
             },
+            estate_inventory: {
+                usd: Math.round(inventorySum * 100) / 100,
+                usd_nominal: Math.round(inventory.nominal * 100) / 100,
+                inventories: inventoryRows.length,
+                valued_inventories: inventory.valued,
+                year_span: inventory.yearSpan,
+                rate_basis: inventory.rateBasis,
+            },
             wealth_transfer_events: {
                 usd: 0,
                 attributed: false,
@@ -126,8 +149,9 @@ class DisgorgementCalculator {
         if (evidence === 'none') flags.push('disgorgement_no_traced_evidence');
         if (wte.sum_usd > 0) flags.push('wealth_transfer_events_unattributed');
         if (landRows.rows.length > land.valued) flags.push('land_events_missing_consideration');
+        if (inventoryRows.length > inventory.valued) flags.push('estate_inventory_missing_value');
         // Surface whether the compounding used a real anchor or a labeled proxy.
-        const rateBases = [...new Set([...land.rateBasisList, ...heirloom.rateBasisList])];
+        const rateBases = [...new Set([...land.rateBasisList, ...heirloom.rateBasisList, ...inventory.rateBasisList])];
         if (rateBases.includes('proxy')) flags.push('disgorgement_rate_proxied');
 
         // Confidence reflects how much of the component is documentary vs absent.
@@ -136,7 +160,7 @@ class DisgorgementCalculator {
         return {
             total_usd: Math.round(total * 100) / 100,              // FLOOR (price_index)
             total_ceiling_usd: Math.round(totalCeiling * 100) / 100, // aggressive (enterprise_roi)
-            total_nominal_usd: Math.round((land.nominal + heirloom.nominal) * 100) / 100,
+            total_nominal_usd: Math.round((land.nominal + heirloom.nominal + inventory.nominal) * 100) / 100,
             compounding_band: { floor_family: 'price_index', ceiling_family: 'enterprise_roi' },
             components,
             evidence,
@@ -144,7 +168,8 @@ class DisgorgementCalculator {
             flags,
             rate_basis: rateBases.join(',') || 'none',
             methodology: 'Disgorgement (unjust enrichment): traced non-chattel transfers + '
-                + 'heirloom assets implicating this enslaver. Compounded to present via the '
+                + 'heirloom assets + appraised non-chattel estate inventory value implicating '
+                + 'this enslaver. Compounded to present via the '
                 + 'rate-resolver across the anchor lattice — FLOOR at price_index (real-value '
                 + 'preservation), CEILING at enterprise_roi (wrongdoer gain). total_usd is the '
                 + 'floor; raw aggressive compounding over ~175yr explodes and is the ceiling only.',
@@ -177,6 +202,29 @@ class DisgorgementCalculator {
         return { nominal, compounded, valued, yearSpan: minY != null ? [minY, maxY] : null, rateBasis, rateBasisList };
     }
 
+    /**
+     * Inventory-sourced estate_valuations rows as {usd, year}: the non-chattel
+     * share of the appraisal. Rows without that key fall back to
+     * total - enslaved_persons_cents; a row with neither contributes nothing.
+     * Tolerates a database without M049 (returns no rows).
+     */
+    async _estateInventoryRows(enslaverPersonId) {
+        try {
+            const r = await this.db.query(`
+                SELECT COALESCE(
+                           (breakdown_jsonb->>'non_chattel_value_usd')::numeric,
+                           (total_estate_value_cents - (breakdown_jsonb->>'enslaved_persons_cents')::bigint) / 100.0
+                       ) AS usd,
+                       currency_year AS year
+                FROM estate_valuations
+                WHERE canonical_person_id = $1 AND source_other_table = $2
+            `, [enslaverPersonId, ESTATE_INVENTORY_SOURCE]);
+            return r.rows;
+        } catch (e) {
+            return [];
+        }
+    }
+
     async _unattributedWealthTransferPool() {
         try {
             const r = await this.db.query(`
@@ -204,3 +252,4 @@ class DisgorgementCalculator {
 }
 
 module.exports = DisgorgementCalculator;
+module.exports.ESTATE_INVENTORY_SOURCE = ESTATE_INVENTORY_SOURCE;
@@ -5,7 +5,9 @@
  * Claims) methodology for trans-Atlantic slavery restitution.
  *
  * ICHEIC approach: face value at historical exchange rates → present value
- * via compound interest at country-specific rates.
+ * via compound interest at country-specific rates. The historical exchange
+ * step uses CurrencyConverter (currency-tables.js), so face values in pounds,
+ * francs, guilders or mil-réis are compounded as US dollars of the same year.
  *
  * KEY PRECEDENT: The UK Slavery Abolition Act 1833 compensation loan of
  * £20M was compounded at ~3.5% and only paid off in 2015 — 182 years.
@@ -19,8 +21,13 @@
  * - MeasuringWorth.com: historical currency conversion
  */
 
+const CurrencyConverter = require('./CurrencyConverter');
+const { JURISDICTION_CURRENCY } = require('./currency-tables');
+
 class ICHEICCalculator {
-    constructor() {
+    constructor({ converter = new CurrencyConverter() } = {}) {
+        this.converter = converter;
+
         // ── Country-Specific Interest Rates ─────────────────────────
         // Each rate is sourced from the closest available historical precedent.
         this.RATES = {
@@ -91,6 +98,8 @@ class ICHEICCalculator {
      * @param {number} params.year - Year of the historical value
      * @param {string} params.jurisdiction - Country code (US, UK, France, etc.)
      * @param {string} params.assetType - 'labor', 'sale_price', 'insurance_value', 'probate_value', 'compensation'
+     * @param {string} params.currency - Face-value currency; defaults to the jurisdiction's
+     *   (JURISDICTION_CURRENCY). 'USD' skips conversion.
      * @returns {Object} Present value calculation with full breakdown
      */
     calculatePresentValue(params) {
@@ -101,12 +110,34 @@ class ICHEICCalculator {
             return { error: `Unknown jurisdiction: ${jurisdiction}. Available: ${Object.keys(this.RATES).join(', ')}` };
         }
 
+        // Face value → USD of the same year. Without a loaded series the face
+        // value is compounded as-is and the result says it was not converted.
+        const currency = params.currency || JURISDICTION_CURRENCY[jurisdiction] || null;
+        let conversion = null;
+        let faceValueUSD = historicalValue;
+        if (currency && currency !== 'USD') {
+            try {
+                conversion = this.converter.toUSD(historicalValue, currency, year);
+                faceValueUSD = conversion.usd;
+            } catch (error) {
+                conversion = { error: error.message, code: error.code };
+            }
+        }
+        const converted = currency === 'USD' || (conversion && !conversion.error);
+
         const yearsToPresent = this.CURRENT_YEAR - year;
         const rate = config.rate;
-        const presentValue = historicalValue * Math.pow(1 + rate, yearsToPresent);
+        const presentValue = faceValueUSD * Math.pow(1 + rate, yearsToPresent);
 
         return {
             historicalValue,
+            currency: currency || 'unknown',
+            historicalValueUSD: converted ? Math.round(faceValueUSD * 100) / 100 : null,
+            exchangeRate: conversion && !conversion.error ? conversion.exchangeRate : (currency === 'USD' ? 1 : null),
+            exchangeSource: conversion && !conversion.error ? conversion.sources.join('; ') : null,
+            currencyWarning: converted ? null
+                : `No historical exchange rate for ${currency || jurisdiction} in ${year}` +
+                  `${conversion?.error ? ` (${conversion.error})` : ''} — face value compounded unconverted`,
             presentValue: Math.round(presentValue * 100) / 100,
             year,
             jurisdiction,
@@ -115,7 +146,7 @@ class ICHEICCalculator {
             yearsCompounded: yearsToPresent,
             compoundFactor: Math.round(Math.pow(1 + rate, yearsToPresent) * 100) / 100,
             rateSource: config.source,
-            methodology: 'ICHEIC-adapted: historical face value × (1 + r)^years',
+            methodology: 'ICHEIC-adapted: historical face value × historical USD exchange rate × (1 + r)^years',
             precedent: jurisdiction === 'UK'
                 ? 'UK Slavery Abolition Act 1833: £20M loan compounded at ~3.5% for 182 years (paid off 2015)'
                 : 'Adapted from ICHEIC methodology (2007) with country-specific rates',
@@ -128,15 +159,16 @@ class ICHEICCalculator {
      * Uses documented sale price, insurance value, or probate valuation as the face value.
      *
      * @param {Object} params
-     * @param {number} params.documentedValue - Known historical value ($)
+     * @param {number} params.documentedValue - Known historical value (in params.currency)
      * @param {number} params.year - Year of valuation
      * @param {string} params.jurisdiction - Country
+     * @param {string} params.currency - Optional face-value currency (defaults per jurisdiction)
      * @param {string} params.valueSource - 'sale_price', 'insurance_value', 'probate_valuation', 'compensation_payment'
      * @param {number} params.yearsEnslaved - Optional: years of enslavement for labor component
      */
     calculateEnslavedPersonReparations(params) {
         const {
-            documentedValue, year, jurisdiction,
+            documentedValue, year, jurisdiction, currency,
             valueSource = 'unknown', yearsEnslaved = null
         } = params;
 
@@ -144,6 +176,7 @@ class ICHEICCalculator {
             historicalValue: documentedValue,
             year,
             jurisdiction,
+            currency,
             assetType: valueSource
         });
 
@@ -179,6 +212,34 @@ class ICHEICCalculator {
         };
     }
 
+    /**
+     * Present value of documented values from several jurisdictions, summed in
+     * USD. Values whose currency could not be converted are listed but left
+     * out of the total rather than added in their own units.
+     *
+     * @param {Array<Object>} items - calculatePresentValue params
+     * @returns {Object} { totalPresentValueUSD, included, excluded }
+     */
+    calculateMultiJurisdictionTotal(items = []) {
+        const included = [];
+        const excluded = [];
+        for (const item of items) {
+            const calc = this.calculatePresentValue(item);
+            if (calc.error || calc.currencyWarning) excluded.push({ ...item, reason: calc.error || calc.currencyWarning });
+            else included.push(calc);
+        }
+        const total = included.reduce((sum, c) => sum + c.presentValue, 0);
+        return {
+            totalPresentValueUSD: Math.round(total * 100) / 100,
+            included,
+            excluded,
+            byJurisdiction: included.reduce((acc, c) => {
+                acc[c.jurisdiction] = Math.round(((acc[c.jurisdiction] || 0) + c.presentValue) * 100) / 100;
+                return acc;
+            }, {})
+        };
+    }
+
     /**
      * Get the Brattle Group total for a jurisdiction.
      */
@@ -198,6 +259,7 @@ class ICHEICCalculator {
     listJurisdictions() {
         return Object.entries(this.RATES).map(([code, config]) => ({
             code,
+            currency: JURISDICTION_CURRENCY[code] || null,
             rate: config.rate,
             ratePercent: (config.rate * 100).toFixed(1) + '%',
             source: config.source,
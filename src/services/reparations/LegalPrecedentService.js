@@ -14,13 +14,61 @@
  * - Government taxation (C) is ONLY ethical mechanism
  * - Individual DAAs (A) are our "way in" to demonstrate feasibility
  * - Class action (B) is secondary, learned from Farmer-Paellmann
+ *
+ * Escrow lifecycle (M123): proposed → noticed → disputed → funded → disbursed
+ * → closed, enforced by transitionEscrow(). Each stage carries a deadline;
+ * noticing snapshots buildDAALegalCitations() onto the record and stores the
+ * notice letter rendered from it. Funds are tracked on the ReparationsEscrow
+ * record linked to the escrow or its DAA (escrow_events, M110), read from the
+ * contract on that link's network.
  */
 
 const { pool: sharedPool } = require('../../database/connection');
 
+// Escrow lifecycle (M123). closed is terminal; an escrow can be closed
+// (withdrawn / lapsed) at any point before it is funded.
+const ESCROW_TRANSITIONS = {
+    proposed:  ['noticed', 'closed'],
+    noticed:   ['disputed', 'funded', 'closed'],
+    disputed:  ['noticed', 'funded', 'closed'],
+    funded:    ['disbursed', 'disputed'],
+    disbursed: ['closed'],
+    closed:    []
+};
+const ESCROW_STATUSES = Object.keys(ESCROW_TRANSITIONS);
+
+// Default days until the stage entered is overdue: issue the notice, debtor
+// response, dispute resolution, disbursement, close-out.
+const ESCROW_DEADLINE_DAYS = { proposed: 30, noticed: 30, disputed: 90, funded: 60, disbursed: 30 };
+
+const REASON_REQUIRED = ['disputed', 'closed'];
+const STAGE_TIMESTAMP = {
+    noticed: 'noticed_at', disputed: 'disputed_at', funded: 'funded_at', disbursed: 'disbursed_at', closed: 'closed_at'
+};
+const LEGACY_ESCROW_STATUS = { pending: 'proposed', distributed: 'disbursed' };
+const DEBTOR_TYPES = ['individual', 'corporation', 'government', 'institution'];
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class EscrowError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'EscrowError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
 class LegalPrecedentService {
-    constructor() {
-        this.pool = sharedPool;
+    /**
+     * @param {Object} [pool] - pg pool (default the shared connection)
+     * @param {Object} [opts] - { chainId, escrowFor, now } (tests); escrowFor maps a
+     *   network key to { chainId, contractAddress } (default network-config's escrowForNetwork)
+     */
+    constructor(pool = sharedPool, opts = {}) {
+        this.pool = pool;
+        this.chainId = opts.chainId;
+        this.escrowFor = opts.escrowFor;
+        this.now = opts.now || (() => new Date());
     }
 
     // =========================================================================
@@ -321,49 +369,453 @@ class LegalPrecedentService {
     }
 
     // =========================================================================
-    // ESCROW OPERATIONS
+    // ESCROW LIFECYCLE (M123)
     // =========================================================================
 
     /**
-     * Create escrow record when payment received
+     * Create an escrow record in 'proposed' when a debtor is identified
      * Per user: "we will cross that bridge when somebody bites"
+     *
+     * @param {string} debtorName
+     * @param {string} debtorType - 'individual', 'corporation', 'government', 'institution'
+     * @param {number} amount
+     * @param {string} [daaId] - linked DAA (its on-chain record is used unless one is linked here)
+     * @param {Object} [opts] - { jurisdiction, currency, notes, blockchainRecordId, chainId, actor }
+     */
+    async createEscrowRecord(debtorName, debtorType, amount, daaId = null, opts = {}) {
+        if (!debtorName || !String(debtorName).trim()) throw new EscrowError('debtorName is required', 'BAD_INPUT');
+        if (!DEBTOR_TYPES.includes(debtorType)) {
+            throw new EscrowError(`debtorType must be one of ${DEBTOR_TYPES.join(', ')}`, 'BAD_INPUT');
+        }
+        if (!(Number(amount) > 0)) throw new EscrowError('amount must be a positive number', 'BAD_INPUT');
+        if (daaId) {
+            if (!UUID_RE.test(String(daaId))) throw new EscrowError('daaId must be a DAA id', 'BAD_INPUT');
+            const daa = await this.pool.query(
+                'SELECT daa_id FROM debt_acknowledgment_agreements WHERE daa_id = $1', [daaId]);
+            if (!daa.rows.length) throw new EscrowError(`DAA not found: ${daaId}`, 'DAA_NOT_FOUND', 404);
+        }
+        const recordId = parseRecordId(opts.blockchainRecordId);
+
+        const now = this.now();
+        const deadline = addDays(now, ESCROW_DEADLINE_DAYS.proposed);
+        const chainId = recordId != null ? (opts.chainId ?? this._activeChainId()) : null;
+        return this._inTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO reparations_escrow (
+                    debtor_name, debtor_type, amount, currency, daa_id, jurisdiction, notes,
+                    blockchain_record_id, chain_id, created_by,
+                    escrow_status, status_changed_at, deadline_at, created_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'proposed', $11, $12, $11)
+                RETURNING *
+            `, [String(debtorName).trim(), debtorType, Number(amount), opts.currency || 'USD', daaId || null,
+                opts.jurisdiction || null, opts.notes || null, recordId, chainId, opts.actor || null,
+                now, deadline]);
+            const escrow = result.rows[0];
+            await this._logTransition(client, escrow.escrow_id, null, 'proposed', { deadline, actor: opts.actor, reason: 'created' });
+            return escrow;
+        });
+    }
+
+    /**
+     * Move an escrow to its next status. Only the transitions in
+     * ESCROW_TRANSITIONS are allowed; disputed and closed need a reason.
+     * Noticing requires a citation bundle (built here from the escrow's
+     * jurisdiction if there isn't one) and stores the rendered notice letter.
+     *
+     * @param {string} escrowId
+     * @param {string} to - target status
+     * @param {Object} [opts] - { reason, actor, deadline (date), deadlineDays, jurisdiction }
+     * @returns {Promise<Object>} { escrow, transition: { from, to, deadline } }
+     */
+    async transitionEscrow(escrowId, to, opts = {}) {
+        const target = normalizeEscrowStatus(to);
+        const escrow = await this._loadEscrow(escrowId);
+        const from = escrow.escrow_status;
+        if (!canTransition(from, target)) {
+            throw new EscrowError(
+                `Cannot move escrow from ${from} to ${target}; allowed: ${ESCROW_TRANSITIONS[from].join(', ') || 'none (closed)'}`,
+                'INVALID_TRANSITION', 409);
+        }
+        const reason = opts.reason ? String(opts.reason).trim() : null;
+        if (REASON_REQUIRED.includes(target) && !reason) {
+            throw new EscrowError(`A reason is required to move an escrow to ${target}`, 'REASON_REQUIRED');
+        }
+
+        const now = this.now();
+        const deadline = stageDeadline(target, now, opts);
+        const sets = ['escrow_status = $2', 'status_changed_at = $3', 'deadline_at = $4'];
+        const params = [escrow.escrow_id, target, now, deadline, from];
+        const set = (column, value) => { params.push(value); sets.push(`${column} = $${params.length}`); };
+
+        if (STAGE_TIMESTAMP[target]) sets.push(`${STAGE_TIMESTAMP[target]} = $3`);
+        if (target === 'closed') set('close_reason', reason);
+        if (target === 'noticed') {
+            const bundle = (opts.jurisdiction || !escrow.citation_bundle)
+                ? await this._buildCitationBundle(escrow, opts.jurisdiction || escrow.jurisdiction)
+                : escrow.citation_bundle;
+            if (bundle !== escrow.citation_bundle) {
+                set('citation_bundle', JSON.stringify(bundle));
+                set('citations_built_at', bundle.builtAt);
+                set('jurisdiction', bundle.jurisdiction);
+            }
+            const daa = await this._loadDAA(escrow.daa_id);
+            set('notice_letter', renderNoticeLetter({ ...escrow, escrow_status: target }, {
+                daa, bundle, date: now, deadline, onChainRecordId: escrow.blockchain_record_id ?? daa?.blockchain_record_id ?? null
+            }));
+            set('notice_generated_at', now);
+        }
+
+        // Guarded on the status we read, so two concurrent transitions can't both
+        // apply; the status and its log entry are written together.
+        const updated = await this._inTransaction(async (client) => {
+            const result = await client.query(`
+                UPDATE reparations_escrow SET ${sets.join(', ')}
+                WHERE escrow_id = $1 AND escrow_status = $5
+                RETURNING *
+            `, params);
+            if (!result.rows.length) {
+                throw new EscrowError('Escrow status changed concurrently; reload and retry', 'CONFLICT', 409);
+            }
+            await this._logTransition(client, escrow.escrow_id, from, target, { reason, deadline, actor: opts.actor });
+            return result.rows[0];
+        });
+        return { escrow: updated, transition: { from, to: target, deadline } };
+    }
+
+    /**
+     * Update escrow status (kept for existing callers; goes through transitionEscrow)
+     */
+    async updateEscrowStatus(escrowId, status, opts = {}) {
+        const { escrow } = await this.transitionEscrow(escrowId, status, opts);
+        return escrow;
+    }
+
+    /**
+     * Attach (or rebuild) the legal-citation bundle for an escrow from
+     * buildDAALegalCitations(jurisdiction, debtor_type). Only before a notice
+     * goes out — while proposed, or disputed ahead of a re-notice — so the
+     * stored letter always matches the bundle it was rendered from.
      */
-    async createEscrowRecord(debtorName, debtorType, amount, daaId = null) {
+    async attachEscrowCitations(escrowId, jurisdiction) {
+        const escrow = await this._loadEscrow(escrowId);
+        if (!['proposed', 'disputed'].includes(escrow.escrow_status)) {
+            throw new EscrowError(
+                `Citations can only be changed while an escrow is proposed or disputed (it is ${escrow.escrow_status})`,
+                'INVALID_STATE', 409);
+        }
+        const bundle = await this._buildCitationBundle(escrow, jurisdiction || escrow.jurisdiction);
         const result = await this.pool.query(`
-            INSERT INTO reparations_escrow (
-                debtor_name, debtor_type, amount, daa_id, escrow_status
-            ) VALUES ($1, $2, $3, $4, 'pending')
+            UPDATE reparations_escrow
+            SET citation_bundle = $2, citations_built_at = $3, jurisdiction = $4
+            WHERE escrow_id = $1
             RETURNING *
-        `, [debtorName, debtorType, amount, daaId]);
+        `, [escrow.escrow_id, JSON.stringify(bundle), bundle.builtAt, bundle.jurisdiction]);
         return result.rows[0];
     }
 
     /**
-     * Update escrow status
+     * The notice letter for an escrow: the stored letter once it has been
+     * noticed, otherwise a preview rendered from the current bundle (not saved).
+     * @returns {Promise<Object>} { letter, stored, generatedAt }
+     */
+    async getEscrowNotice(escrowId) {
+        const escrow = await this._loadEscrow(escrowId);
+        if (escrow.notice_letter) {
+            return { letter: escrow.notice_letter, stored: true, generatedAt: escrow.notice_generated_at };
+        }
+        const bundle = escrow.citation_bundle || await this._buildCitationBundle(escrow, escrow.jurisdiction);
+        const daa = await this._loadDAA(escrow.daa_id);
+        const now = this.now();
+        const letter = renderNoticeLetter(escrow, {
+            daa, bundle, date: now, deadline: stageDeadline('noticed', now),
+            onChainRecordId: escrow.blockchain_record_id ?? daa?.blockchain_record_id ?? null
+        });
+        return { letter, stored: false, generatedAt: null };
+    }
+
+    /**
+     * Link an escrow to a ReparationsEscrow.sol record (overrides the DAA's)
      */
-    async updateEscrowStatus(escrowId, status) {
+    async linkEscrowOnChain(escrowId, recordId, chainId = null) {
+        const escrow = await this._loadEscrow(escrowId);
+        if (escrow.escrow_status === 'closed') throw new EscrowError('Escrow is closed', 'INVALID_STATE', 409);
+        const id = parseRecordId(recordId);
+        if (id == null) throw new EscrowError('recordId must be a non-negative integer', 'BAD_INPUT');
         const result = await this.pool.query(`
-            UPDATE reparations_escrow
-            SET escrow_status = $2,
-                ${status === 'funded' ? 'funded_at = NOW()' : ''}
-                ${status === 'distributed' ? 'distributed_at = NOW()' : ''}
+            UPDATE reparations_escrow SET blockchain_record_id = $2, chain_id = $3
             WHERE escrow_id = $1
             RETURNING *
-        `, [escrowId, status]);
+        `, [escrow.escrow_id, id, chainId ?? this._activeChainId()]);
         return result.rows[0];
     }
 
     /**
-     * Get escrow records by status
+     * One escrow with its transition log, linked DAA, on-chain record
+     * (deposits / distributions from escrow_events) and next allowed statuses
      */
-    async getEscrowByStatus(status) {
+    async getEscrow(escrowId) {
+        const escrow = await this._loadEscrow(escrowId);
+        const [transitions, daa] = await Promise.all([
+            this.pool.query(`
+                SELECT from_status, to_status, reason, deadline_at, actor, created_at
+                FROM reparations_escrow_transitions
+                WHERE escrow_id = $1
+                ORDER BY id
+            `, [escrow.escrow_id]),
+            this._loadDAA(escrow.daa_id)
+        ]);
+        return {
+            escrow,
+            allowedTransitions: ESCROW_TRANSITIONS[escrow.escrow_status] || [],
+            overdue: isOverdue(escrow, this.now()),
+            transitions: transitions.rows,
+            daa,
+            onChain: await this._onChainRecord(escrow, daa)
+        };
+    }
+
+    /**
+     * List escrows, optionally by status and/or only those past their stage deadline
+     */
+    async listEscrows({ status = null, overdue = false, limit = 100 } = {}) {
+        const target = status ? normalizeEscrowStatus(status) : null;
         const result = await this.pool.query(`
             SELECT * FROM reparations_escrow
-            WHERE escrow_status = $1
-            ORDER BY created_at DESC
-        `, [status]);
+            WHERE ($1::text IS NULL OR escrow_status = $1)
+              AND (NOT $2::boolean OR (deadline_at < $3 AND escrow_status <> 'closed'))
+            ORDER BY ${overdue ? 'deadline_at ASC' : 'created_at DESC'}
+            LIMIT $4
+        `, [target, !!overdue, this.now(), Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]);
         return result.rows;
     }
+
+    /**
+     * Get escrow records by status
+     */
+    async getEscrowByStatus(status) {
+        return this.listEscrows({ status, limit: 500 });
+    }
+
+    async _loadEscrow(escrowId) {
+        if (!UUID_RE.test(String(escrowId || ''))) throw new EscrowError('Invalid escrow id', 'BAD_ID');
+        const result = await this.pool.query('SELECT * FROM reparations_escrow WHERE escrow_id = $1', [escrowId]);
+        if (!result.rows.length) throw new EscrowError(`Escrow not found: ${escrowId}`, 'NOT_FOUND', 404);
+        return result.rows[0];
+    }
+
+    async _loadDAA(daaId) {
+        if (!daaId) return null;
+        const result = await this.pool.query(`
+            SELECT daa_id, agreement_number, acknowledger_name, slaveholder_name, total_debt,
+                   status, blockchain_record_id, blockchain_network
+            FROM debt_acknowledgment_agreements WHERE daa_id = $1
+        `, [daaId]);
+        return result.rows[0] || null;
+    }
+
+    async _buildCitationBundle(escrow, jurisdiction) {
+        if (!jurisdiction) {
+            throw new EscrowError('A jurisdiction is required to build the legal citations for a notice', 'CITATIONS_REQUIRED');
+        }
+        const citations = await this.buildDAALegalCitations(jurisdiction, escrow.debtor_type);
+        if (!citations.jurisdiction) throw new EscrowError(`Jurisdiction not found: ${jurisdiction}`, 'UNKNOWN_JURISDICTION', 404);
+        return { jurisdiction, defendantType: escrow.debtor_type, builtAt: this.now().toISOString(), citations };
+    }
+
+    async _inTransaction(work) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async _logTransition(client, escrowId, from, to, { reason = null, deadline = null, actor = null } = {}) {
+        await client.query(`
+            INSERT INTO reparations_escrow_transitions (escrow_id, from_status, to_status, reason, deadline_at, actor)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [escrowId, from, to, reason, deadline, actor || null]);
+    }
+
+    async _onChainRecord(escrow, daa) {
+        const recordId = escrow.blockchain_record_id ?? daa?.blockchain_record_id ?? null;
+        if (recordId == null) return null;
+        const deployment = this._recordDeployment(escrow, daa);
+        const result = deployment ? await this.pool.query(`
+            SELECT event_name, token_address, SUM(amount) AS amount, COUNT(*)::int AS events,
+                   MAX(block_time) AS last_event_at
+            FROM escrow_events
+            WHERE record_id = $1 AND chain_id = $2 AND contract_address = $3
+              AND event_name IN ('PaymentDeposited', 'PaymentDistributed')
+            GROUP BY event_name, token_address
+        `, [recordId, deployment.chainId, deployment.contractAddress]) : { rows: [] };
+        const totals = (name) => result.rows
+            .filter(r => r.event_name === name)
+            .map(r => ({ token: tokenLabel(r.token_address), tokenAddress: r.token_address, amount: Number(r.amount), events: r.events }));
+        return {
+            recordId: Number(recordId),
+            linkedVia: escrow.blockchain_record_id != null ? 'escrow' : 'daa',
+            chainId: deployment ? deployment.chainId : null,
+            contractAddress: deployment ? deployment.contractAddress : null,
+            deposited: totals('PaymentDeposited'),
+            distributed: totals('PaymentDistributed'),
+            lastEventAt: result.rows.reduce((max, r) => (r.last_event_at && (!max || r.last_event_at > max) ? r.last_event_at : max), null)
+        };
+    }
+
+    /**
+     * The escrow deployment the linked record lives on: the DAA's
+     * blockchain_network when linked through the DAA, else the chain stored on
+     * the escrow (the active one for rows linked without it). Null when the
+     * network is unknown or not deployed, so no other contract's events are read.
+     */
+    _recordDeployment(escrow, daa) {
+        const { NETWORKS, escrowForNetwork } = require('../blockchain/network-config');
+        let network = daa?.blockchain_network;
+        if (escrow.blockchain_record_id != null) {
+            const chainId = Number(escrow.chain_id ?? this._activeChainId());
+            network = Object.keys(NETWORKS).find(key => NETWORKS[key].chainId === chainId);
+            if (!network) return null;
+        }
+        try {
+            return (this.escrowFor || escrowForNetwork)(network);
+        } catch {
+            return null;
+        }
+    }
+
+    _activeChainId() {
+        if (this.chainId === undefined) {
+            try {
+                this.chainId = require('../blockchain/network-config').getActiveNetwork().chainId;
+            } catch {
+                this.chainId = null;
+            }
+        }
+        return this.chainId;
+    }
+}
+
+// =========================================================================
+// ESCROW LIFECYCLE HELPERS
+// =========================================================================
+
+function normalizeEscrowStatus(status) {
+    const s = LEGACY_ESCROW_STATUS[status] || status;
+    if (!ESCROW_STATUSES.includes(s)) {
+        throw new EscrowError(`Unknown escrow status: ${status}; one of ${ESCROW_STATUSES.join(', ')}`, 'BAD_STATUS');
+    }
+    return s;
+}
+
+function canTransition(from, to) {
+    return (ESCROW_TRANSITIONS[from] || []).includes(to);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+/** Deadline for the stage being entered: explicit date, then deadlineDays, then the default. */
+function stageDeadline(status, now, { deadline = null, deadlineDays = null } = {}) {
+    if (status === 'closed') return null;
+    if (deadline) {
+        const d = new Date(deadline);
+        if (isNaN(d)) throw new EscrowError(`Invalid deadline: ${deadline}`, 'BAD_INPUT');
+        if (d <= now) throw new EscrowError('deadline must be in the future', 'BAD_INPUT');
+        return d;
+    }
+    const days = deadlineDays != null ? parseInt(deadlineDays, 10) : ESCROW_DEADLINE_DAYS[status];
+    if (!(days > 0)) throw new EscrowError('deadlineDays must be a positive integer', 'BAD_INPUT');
+    return addDays(now, days);
+}
+
+function isOverdue(escrow, now) {
+    return escrow.escrow_status !== 'closed' && !!escrow.deadline_at && new Date(escrow.deadline_at) < now;
+}
+
+function parseRecordId(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+function tokenLabel(address) {
+    if (!address || /^0x0{40}$/i.test(address)) return 'ETH';
+    return address.toLowerCase();
+}
+
+const fmtDate = (d) => new Date(d).toISOString().slice(0, 10);
+const fmtMoney = (amount, currency) =>
+    `${currency || 'USD'} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Render the notice letter sent to a debtor when an escrow is noticed.
+ * Pure: everything comes from the escrow row and the stored citation bundle.
+ *
+ * @param {Object} escrow - reparations_escrow row
+ * @param {Object} ctx - { daa, bundle, date, deadline, onChainRecordId }
+ * @returns {string} plain-text letter
+ */
+function renderNoticeLetter(escrow, { daa = null, bundle, date, deadline, onChainRecordId = null }) {
+    const c = bundle.citations || {};
+    const lines = [
+        'NOTICE OF REPARATIONS OBLIGATION AND ESCROW',
+        '',
+        `Date: ${fmtDate(date)}`,
+        `Escrow reference: ${escrow.escrow_id}`,
+        `To: ${escrow.debtor_name} (${escrow.debtor_type})`
+    ];
+    if (daa) {
+        lines.push(`Re: Debt Acknowledgment Agreement ${daa.agreement_number} — descendants of persons enslaved by ${daa.slaveholder_name}`);
+    }
+    lines.push(
+        '',
+        `The amount of ${fmtMoney(escrow.amount, escrow.currency)} is proposed to be held in escrow for distribution ` +
+        'to the descendants of the enslaved persons documented in the supporting records.',
+        '',
+        `Please respond by ${fmtDate(deadline)}. You may:`,
+        onChainRecordId != null
+            ? `  1. fund the escrow — on-chain to ReparationsEscrow record #${onChainRecordId}, or by arrangement; or`
+            : '  1. fund the escrow by arrangement; or',
+        '  2. dispute this notice in writing, stating your grounds.',
+        'If no response is received by that date, this notice will be recorded as unanswered.',
+        '',
+        `LEGAL BASIS — ${bundle.jurisdiction}${c.legalSystem ? ` (${c.legalSystem})` : ''}`
+    );
+
+    const statutes = (c.statutoryBasis || []).map(t => t.common_citation || t.official_citation || t.short_title || t.title).filter(Boolean);
+    if (statutes.length) {
+        lines.push('', 'Statutes and legal texts:', ...statutes.map(s => `  - ${s}`));
+    }
+    const doctrines = (c.doctrines || []).map(d => d.doctrine_name).filter(Boolean);
+    if (doctrines.length) {
+        lines.push('', 'Doctrines:', ...doctrines.map(d => `  - ${d}`));
+    }
+    const precedents = Object.values(c.corePrecedents || {}).filter(p => p && p.fact);
+    if (precedents.length) {
+        lines.push('', 'Precedents:', ...precedents.map(p => `  - ${p.fact}. ${p.legalSignificance || ''}`.trimEnd()));
+    }
+    if (c.mechanism) {
+        const m = c.mechanism;
+        lines.push('', `Mechanism: ${m.mechanism_name || m.mechanism_type}${m.legal_theory ? ` — ${m.legal_theory}` : ''}`);
+    }
+    lines.push('', `Citations compiled ${fmtDate(bundle.builtAt)}.`);
+    return lines.join('\n');
 }
 
 module.exports = LegalPrecedentService;
+module.exports.EscrowError = EscrowError;
+module.exports.ESCROW_STATUSES = ESCROW_STATUSES;
+module.exports.ESCROW_TRANSITIONS = ESCROW_TRANSITIONS;
+module.exports.ESCROW_DEADLINE_DAYS = ESCROW_DEADLINE_DAYS;
+module.exports.canTransition = canTransition;
+module.exports.normalizeEscrowStatus = normalizeEscrowStatus;
+module.exports.renderNoticeLetter = renderNoticeLetter;
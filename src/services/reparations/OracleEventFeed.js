@@ -26,6 +26,16 @@
  *    When: New methodology papers (Craemer updates, Brattle revisions, etc.)
  *    Why: Formula constants may need updating
  *
+ * PERSISTENCE (M117)
+ *   Every source is pluggable: { name, poll(feed, since) → events[] }. poll()
+ *   runs the registered sources and appends what they find to oracle_events,
+ *   deduplicated on dedup_key, so the same filing or match is stored once no
+ *   matter how often we poll. DAARevisionService is the rule layer that turns
+ *   stored events into amount-revision proposals for specific DAAs.
+ *
+ *   Built-in sources: sec_filing, climb_match, line_item, methodology.
+ *   record() also takes events entered by hand (e.g. a new Craemer paper).
+ *
  * For Chainlink integration:
  *   - Chainlink Any API adapter for SEC EDGAR
  *   - Chainlink Functions for custom data processing
@@ -37,9 +47,116 @@
  * - Base Chainlink feeds: https://docs.chain.link/data-feeds/price-feeds/addresses?network=base
  */
 
+const { macroConfigSnapshot } = require('./DAASnapshotService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Built-in sources. Each returns events shaped
+ *   { source, eventType, dedupKey, occurredAt?, entityKey?, canonicalPersonId?, summary?, payload }
+ */
+const SEC_FILINGS_SOURCE = {
+    name: 'sec_filing',
+    async poll(feed, since) {
+        const result = await feed.checkSECFilings(since ? since.toISOString().split('T')[0] : null);
+        return result.events.map(e => ({
+            source: 'sec_filing',
+            eventType: e.formType,
+            dedupKey: `sec_filing:${e.url || [e.ticker, e.formType, e.filingDate, e.description].join('|')}`,
+            occurredAt: e.filingDate,
+            entityKey: e.entityKey,
+            summary: `${e.company} filed ${e.formType}${e.filingDate ? ` on ${e.filingDate}` : ''}`,
+            payload: e
+        }));
+    }
+};
+
+const CLIMB_MATCH_SOURCE = {
+    name: 'climb_match',
+    async poll(feed, since) {
+        const r = await feed.db.query(`
+            SELECT acm.id, acm.session_id, acm.slaveholder_id, acm.slaveholder_name, acm.slaveholder_fs_id,
+                   acm.generation_distance, acm.lineage_path, acm.match_type, acm.match_confidence,
+                   acm.confidence_adjusted, acm.found_at, acs.modern_person_name
+            FROM ancestor_climb_matches acm
+            JOIN ancestor_climb_sessions acs ON acm.session_id = acs.id
+            WHERE acm.found_at > $1
+              AND acm.verification_status NOT IN ('temporal_impossible', 'common_name_suspect')
+            ORDER BY acm.found_at
+        `, [since || new Date(Date.now() - 7 * DAY_MS)]);
+        return r.rows.map(m => ({
+            source: 'climb_match',
+            eventType: 'new_match',
+            dedupKey: `climb_match:${m.id}`,
+            occurredAt: m.found_at,
+            canonicalPersonId: m.slaveholder_id || null,
+            summary: `${m.modern_person_name} → ${m.slaveholder_name} (${m.match_type})`,
+            payload: {
+                matchId: m.id, sessionId: m.session_id, slaveholderId: m.slaveholder_id,
+                slaveholderName: m.slaveholder_name, slaveholderFsId: m.slaveholder_fs_id,
+                participant: m.modern_person_name, generationDistance: m.generation_distance,
+                lineagePath: m.lineage_path, matchType: m.match_type,
+                confidence: m.confidence_adjusted ?? m.match_confidence
+            }
+        }));
+    }
+};
+
+const LINE_ITEM_SOURCE = {
+    name: 'line_item',
+    async poll(feed, since) {
+        const r = await feed.db.query(`
+            SELECT id, canonical_person_id, compounded_amount_usd, calculation_method_key, created_at, updated_at
+            FROM reparations_line_items
+            WHERE updated_at > $1 AND canonical_person_id IS NOT NULL
+            ORDER BY updated_at
+        `, [since || new Date(Date.now() - 7 * DAY_MS)]);
+        return r.rows.map(li => {
+            const added = new Date(li.created_at).getTime() === new Date(li.updated_at).getTime();
+            return {
+                source: 'line_item',
+                eventType: added ? 'line_item_added' : 'line_item_updated',
+                // An update is a new event; the same row at the same updated_at is not.
+                dedupKey: `line_item:${li.id}:${new Date(li.updated_at).toISOString()}`,
+                occurredAt: li.updated_at,
+                canonicalPersonId: li.canonical_person_id,
+                summary: `Line item ${added ? 'added' : 'updated'} for canonical person ${li.canonical_person_id}`,
+                payload: {
+                    lineItemId: li.id, canonicalPersonId: li.canonical_person_id,
+                    compoundedAmountUsd: li.compounded_amount_usd, method: li.calculation_method_key
+                }
+            };
+        });
+    }
+};
+
+// One event per distinct macro-config hash: a changed constant is a methodology update.
+const METHODOLOGY_SOURCE = {
+    name: 'methodology',
+    async poll() {
+        const macro = macroConfigSnapshot();
+        return [{
+            source: 'methodology',
+            eventType: 'macro_config',
+            dedupKey: `methodology:macro_config:${macro.hash}`,
+            occurredAt: new Date(),
+            summary: `macro-config ${macro.hash.slice(0, 12)}`,
+            payload: { macroConfigHash: macro.hash }
+        }];
+    }
+};
+
+const DEFAULT_SOURCES = [SEC_FILINGS_SOURCE, CLIMB_MATCH_SOURCE, LINE_ITEM_SOURCE, METHODOLOGY_SOURCE];
+
 class OracleEventFeed {
-    constructor(db) {
+    /**
+     * @param {object} db - pg-style pool (db.query)
+     * @param {object} [opts]
+     * @param {Array} [opts.sources] - replaces the built-in sources
+     */
+    constructor(db, opts = {}) {
         this.db = db;
+        this.sources = new Map((opts.sources || DEFAULT_SOURCES).map(src => [src.name, src]));
 
         // Farmer-Paellmann defendant tickers to monitor
         this.MONITORED_TICKERS = [
@@ -119,18 +236,18 @@ class OracleEventFeed {
 
         if (this.db) {
             // New climb matches since last check
-            const newMatches = await this.db`
+            const newMatches = await this.db.query(`
                 SELECT acm.slaveholder_name, acm.match_type, acm.confidence_adjusted,
                        acs.modern_person_name
                 FROM ancestor_climb_matches acm
                 JOIN ancestor_climb_sessions acs ON acm.session_id = acs.id
-                WHERE acm.found_at > ${since}
+                WHERE acm.found_at > $1
                 AND acm.verification_status NOT IN ('temporal_impossible', 'common_name_suspect')
                 ORDER BY acm.found_at DESC
                 LIMIT 20
-            `;
+            `, [since]);
 
-            for (const m of newMatches) {
+            for (const m of newMatches.rows) {
                 events.push({
                     type: 'new_match',
                     participant: m.modern_person_name,
@@ -142,14 +259,14 @@ class OracleEventFeed {
             }
 
             // New enslaved persons linked
-            const newLinked = await this.db`
+            const newLinked = await this.db.query(`
                 SELECT COUNT(*) as cnt FROM family_relationships
-                WHERE created_at > ${since}
-            `;
-            if (parseInt(newLinked[0].cnt) > 0) {
+                WHERE created_at > $1
+            `, [since]);
+            if (parseInt(newLinked.rows[0].cnt) > 0) {
                 events.push({
                     type: 'new_enslaved_linked',
-                    count: parseInt(newLinked[0].cnt),
+                    count: parseInt(newLinked.rows[0].cnt),
                     action: 'Existing DAAs may need recalculation with newly documented enslaved persons'
                 });
             }
@@ -162,6 +279,89 @@ class OracleEventFeed {
         };
     }
 
+    // ── Persisted event log (M117) ──────────────────────────────────────
+
+    /** Add or replace a source: { name, poll(feed, since) → events[] }. */
+    registerSource(source) {
+        if (!source || !source.name || typeof source.poll !== 'function') {
+            throw new Error('An oracle source needs a name and a poll(feed, since) function');
+        }
+        this.sources.set(source.name, source);
+    }
+
+    /**
+     * Append one event to oracle_events. Duplicates (same dedup_key) are
+     * ignored.
+     * @returns {Promise<Object|null>} the stored row, or null for a duplicate
+     */
+    async record(event, { recordedBy = null } = {}) {
+        if (!event || !event.source || !event.eventType || !event.dedupKey) {
+            throw new Error('An oracle event needs source, eventType and dedupKey');
+        }
+        const r = await this.db.query(`
+            INSERT INTO oracle_events
+                (source, event_type, dedup_key, entity_key, canonical_person_id, occurred_at, summary, payload, recorded_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (dedup_key) DO NOTHING
+            RETURNING *
+        `, [event.source, event.eventType, event.dedupKey, event.entityKey || null,
+            event.canonicalPersonId || null, event.occurredAt || null, event.summary || null,
+            JSON.stringify(event.payload || {}), recordedBy]);
+        return r.rows[0] || null;
+    }
+
+    /**
+     * Run the registered sources and persist what they find. A source that
+     * fails is reported and skipped; the others still run.
+     *
+     * @param {Object} [opts]
+     * @param {Array<string>} [opts.sources] - names to run (default all)
+     * @param {Date} [opts.since] - default: the newest observed_at for that source, else the source's own window
+     */
+    async poll({ sources = null, since = null } = {}) {
+        const names = sources || [...this.sources.keys()];
+        const report = { checkedAt: new Date().toISOString(), sources: {} };
+        for (const name of names) {
+            const source = this.sources.get(name);
+            if (!source) {
+                report.sources[name] = { error: `unknown source "${name}"` };
+                continue;
+            }
+            try {
+                const from = since || await this._lastObserved(name);
+                const events = await source.poll(this, from);
+                let inserted = 0;
+                for (const event of events) {
+                    if (await this.record(event)) inserted++;
+                }
+                report.sources[name] = { found: events.length, inserted, duplicates: events.length - inserted };
+            } catch (e) {
+                report.sources[name] = { error: e.message };
+            }
+        }
+        return report;
+    }
+
+    async _lastObserved(source) {
+        const r = await this.db.query(
+            `SELECT MAX(occurred_at) AS last FROM oracle_events WHERE source = $1`, [source]);
+        return r.rows[0]?.last ? new Date(r.rows[0].last) : null;
+    }
+
+    /**
+     * @param {Object} [filter] - { source, status, limit, offset }
+     */
+    async listEvents({ source = null, status = null, limit = 50, offset = 0 } = {}) {
+        const r = await this.db.query(`
+            SELECT * FROM oracle_events
+            WHERE ($1::text IS NULL OR source = $1)
+              AND ($2::text IS NULL OR status = $2)
+            ORDER BY observed_at DESC, id DESC
+            LIMIT $3 OFFSET $4
+        `, [source, status, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500), Math.max(parseInt(offset, 10) || 0, 0)]);
+        return r.rows;
+    }
+
     /**
      * Generate Chainlink oracle configuration for Phase 2.
      * This would be used in a Chainlink Functions or Any API setup.
@@ -200,3 +400,4 @@ class OracleEventFeed {
 }
 
 module.exports = OracleEventFeed;
+module.exports.DEFAULT_SOURCES = DEFAULT_SOURCES;
@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * ScenarioEngine
+ *
+ * A DAA is issued under ONE set of choices: Craemer's 0.03 floor and the SCF
+ * wealth-gap operationalization of Darity & Mullen. Both are parameters of a
+ * damages theory, not facts (see rate-resolver.js and macro-config.js), and
+ * Craemer is explicit that the rate "remains to be determined by negotiation".
+ * This engine re-runs DAAOrchestrator.calculateTotalDebt for the same inputs
+ * under every alternative so negotiators see the range, not a single number.
+ *
+ * OUTPUTS
+ *   baseline  — calculateTotalDebt with no overrides (the figure as issued)
+ *   table     — one row per (anchor family × Darity operationalization):
+ *               6 families × 2 operationalizations = 12 rows
+ *   range     — min / max / baseline of the reconciled recommendedDebt
+ *   tornado   — one parameter swung at a time from the baseline, every other
+ *               parameter held; sorted by swing so the parameter that moves
+ *               the total most is first
+ *
+ * RATES PER FAMILY: RateResolver first (an anchored anchor_rate_series row
+ * wins); when the family only resolves to the labeled proxy, the family's
+ * MACRO.SCENARIO_RATES default is used instead and the row says so
+ * (rateBasis 'scenario_default'). Callers may pass explicit per-family rates.
+ *
+ * Read-only: nothing here writes to the DAA or the ledger.
+ */
+
+const MACRO = require('./macro-config');
+const RateResolver = require('./rate-resolver');
+
+// Anchor families in rate-resolver order (least → most aggressive).
+const RATE_FAMILIES = [
+    'price_index', 'deposit_interest', 'bond_yield',
+    'farmland_appreciation', 'realized_return', 'enterprise_roi',
+];
+
+const DARITY_OPERATIONALIZATIONS = ['scf_wealth_gap', 'percapita_demographic'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+class ScenarioEngine {
+    /**
+     * @param {object} database - pg pool (DAA inputs + anchor lookup)
+     * @param {DAAOrchestrator} orchestrator - supplies calculateTotalDebt
+     * @param {object} [opts]
+     * @param {RateResolver} [opts.rateResolver]
+     */
+    constructor(database, orchestrator, opts = {}) {
+        this.db = database;
+        this.orchestrator = orchestrator;
+        this.rateResolver = opts.rateResolver || new RateResolver(database);
+    }
+
+    /**
+     * Rebuild calculateTotalDebt inputs from a stored DAA: the enslaved persons
+     * in daa_enslaved_persons, grouped back under their slaveholder
+     * (relationship_to_slaveholder = 'enslaved_by_<name>', written by
+     * createDAARecord), and the acknowledger income on the agreement.
+     *
+     * @param {string} daaId
+     * @returns {Promise<Object|null>} { daa, slaveholderData, financials } or null
+     */
+    async loadDaaInputs(daaId) {
+        const daaResult = await this.db.query(`
+            SELECT daa_id, agreement_number, slaveholder_name, total_debt,
+                   acknowledger_annual_income, calculation_methodology
+            FROM debt_acknowledgment_agreements
+            WHERE daa_id = $1
+        `, [daaId]);
+        if (daaResult.rows.length === 0) return null;
+        const daa = daaResult.rows[0];
+
+        const enslavedResult = await this.db.query(`
+            SELECT enslaved_name, years_enslaved, start_year, relationship_to_slaveholder
+            FROM daa_enslaved_persons
+            WHERE daa_id = $1
+            ORDER BY relationship_to_slaveholder, enslaved_name
+        `, [daaId]);
+
+        const bySlaveholder = new Map();
+        for (const row of enslavedResult.rows) {
+            const rel = row.relationship_to_slaveholder || '';
+            const name = rel.startsWith('enslaved_by_') ? rel.slice('enslaved_by_'.length) : daa.slaveholder_name;
+            if (!bySlaveholder.has(name)) {
+                bySlaveholder.set(name, { slaveholder: { slaveholder_name: name }, enslavedPersons: [] });
+            }
+            bySlaveholder.get(name).enslavedPersons.push({
+                enslaved_name: row.enslaved_name,
+                years_enslaved: row.years_enslaved,
+                start_year: row.start_year,
+                relationship_type: 'enslaved_by',
+            });
+        }
+
+        return {
+            daa,
+            slaveholderData: [...bySlaveholder.values()],
+            financials: { annualIncome: Number(daa.acknowledger_annual_income) || 0 },
+        };
+    }
+
+    /**
+     * Compound rate for every anchor family, labelled with where it came from.
+     *
+     * @param {Object} [overrides] - { family: rate } supplied by the caller
+     * @returns {Promise<Object>} { family: { rate, basis, provenance, confidence } }
+     */
+    async familyRates(overrides = {}) {
+        const rates = {};
+        for (const family of RATE_FAMILIES) {
+            if (overrides[family] != null) {
+                rates[family] = { rate: Number(overrides[family]), basis: 'override', provenance: 'supplied by caller', confidence: null };
+                continue;
+            }
+            const r = await this.rateResolver.resolveRate({ predictor: 'craemer', family });
+            rates[family] = r.basis === 'anchored'
+                ? { rate: r.rate, basis: 'anchored', provenance: r.provenance, confidence: r.confidence }
+                : { rate: MACRO.SCENARIO_RATES[family].value, basis: 'scenario_default', provenance: MACRO.SCENARIO_RATES[family].cite, confidence: r.confidence };
+        }
+        return rates;
+    }
+
+    /**
+     * Run the full sensitivity grid and tornado for one set of inputs.
+     *
+     * @param {Array} slaveholderData - calculateTotalDebt shape
+     * @param {Object} financials - calculateTotalDebt shape
+     * @param {Object} [opts]
+     * @param {Object} [opts.rates] - per-family rate overrides
+     * @returns {Promise<Object>} { metric, baseline, rates, table, range, tornado }
+     */
+    async run(slaveholderData, financials, opts = {}) {
+        const calc = (scenario) => this.orchestrator.calculateTotalDebt(slaveholderData, financials, scenario);
+        const summarize = (r) => ({
+            craemer: round2(r.totalDebt),
+            wealthGap: round2(r.wealthGapObligation),
+            recommended: round2(r.recommendedDebt),
+            legacyMax: round2(r.recommendedDebtLegacyMax),
+            reconciliationConfidence: r.reconciliation.confidence,
+        });
+
+        const base = await calc({});
+        const baseline = { ...base.scenario, ...summarize(base) };
+        const rates = await this.familyRates(opts.rates);
+
+        const table = [];
+        for (const family of RATE_FAMILIES) {
+            for (const op of DARITY_OPERATIONALIZATIONS) {
+                const r = await calc({ compoundRate: rates[family].rate, rateFamily: family, darityOperationalization: op });
+                table.push({
+                    rateFamily: family,
+                    compoundRate: rates[family].rate,
+                    rateBasis: rates[family].basis,
+                    darityOperationalization: op,
+                    ...summarize(r),
+                });
+            }
+        }
+
+        const totals = table.map(row => row.recommended);
+        const range = {
+            min: Math.min(...totals),
+            max: Math.max(...totals),
+            baseline: baseline.recommended,
+            spreadRatio: Math.min(...totals) > 0 ? round2(Math.max(...totals) / Math.min(...totals)) : null,
+        };
+
+        // One-at-a-time swings from the baseline. Each parameter has two
+        // endpoint settings; low/high are assigned by the total they produce.
+        const lowFamily = RATE_FAMILIES[0];
+        const highFamily = RATE_FAMILIES[RATE_FAMILIES.length - 1];
+        const parameters = [
+            {
+                parameter: 'compound_rate_family',
+                endpoints: [
+                    { setting: `${lowFamily} (${rates[lowFamily].rate})`, scenario: { compoundRate: rates[lowFamily].rate, rateFamily: lowFamily } },
+                    { setting: `${highFamily} (${rates[highFamily].rate})`, scenario: { compoundRate: rates[highFamily].rate, rateFamily: highFamily } },
+                ],
+            },
+            {
+                parameter: 'darity_operationalization',
+                endpoints: DARITY_OPERATIONALIZATIONS.map(op => ({ setting: op, scenario: { darityOperationalization: op } })),
+            },
+            {
+                parameter: 'darity_percapita_band',
+                endpoints: [MACRO.DARITY.percapita_low, MACRO.DARITY.percapita_high].map(leaf => ({
+                    setting: `percapita_demographic @ $${leaf.value.toLocaleString('en-US')}`,
+                    scenario: { darityOperationalization: 'percapita_demographic', darityPerCapita: leaf.value },
+                })),
+            },
+        ];
+
+        const tornado = [];
+        for (const p of parameters) {
+            const ends = [];
+            for (const e of p.endpoints) {
+                ends.push({ setting: e.setting, total: round2((await calc(e.scenario)).recommendedDebt) });
+            }
+            ends.sort((a, b) => a.total - b.total);
+            const [low, high] = ends;
+            tornado.push({
+                parameter: p.parameter,
+                lowSetting: low.setting,
+                highSetting: high.setting,
+                lowTotal: low.total,
+                highTotal: high.total,
+                lowDelta: round2(low.total - baseline.recommended),
+                highDelta: round2(high.total - baseline.recommended),
+                swing: round2(high.total - low.total),
+            });
+        }
+        tornado.sort((a, b) => b.swing - a.swing);
+
+        return { metric: 'recommendedDebt', baseline, rates, table, range, tornado };
+    }
+}
+
+module.exports = ScenarioEngine;
+module.exports.RATE_FAMILIES = RATE_FAMILIES;
+module.exports.DARITY_OPERATIONALIZATIONS = DARITY_OPERATIONALIZATIONS;
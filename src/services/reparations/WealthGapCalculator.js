@@ -65,6 +65,10 @@ class WealthGapCalculator {
      * @param {number} params.inheritanceExpected - Expected future inheritance
      * @param {number} params.numSlaveholderAncestors - Number of documented slaveholder ancestors
      * @param {number} params.numLivingDescendants - Estimated living descendants of those slaveholders
+     * @param {string} [params.operationalization] - 'scf_wealth_gap' (default, $210k base share)
+     *   or 'percapita_demographic' ($350k, MACRO.DARITY) — ScenarioEngine runs both
+     * @param {number} [params.demographicPerCapita] - per-capita override for the
+     *   demographic operationalization (the DARITY low/high band)
      * @returns {Object} Calculation with breakdown
      */
     calculateIndividualShare(params) {
@@ -75,8 +79,13 @@ class WealthGapCalculator {
             inheritanceReceived = 0,
             inheritanceExpected = 0,
             numSlaveholderAncestors = 1,
-            numLivingDescendants = null
+            numLivingDescendants = null,
+            operationalization = 'scf_wealth_gap',
+            demographicPerCapita = MACRO.DARITY.percapita_demographic.value
         } = params;
+        if (!['scf_wealth_gap', 'percapita_demographic'].includes(operationalization)) {
+            throw new Error(`Unknown Darity operationalization: ${operationalization}`);
+        }
 
         // ── REWRITE (Jun 2026): the hand-picked multipliers are gone. ──
         // Removed: 0.2-per-ancestor step + 3.0 cap (slaveholderMultiplier),
@@ -98,7 +107,11 @@ class WealthGapCalculator {
         // lineage-level division across living descendants happens in the ledger
         // (estimated_living_descendants), which is where the old descendantShare
         // belonged. Defaulting that to 1.0 here was the 100%-to-everyone bug.
-        const baseShare = this.BASE_SHARE_PER_DESCENDANT;
+        // The demographic operationalization swaps only the level ($14T / 40M);
+        // the tilts below are identical so the two stay comparable.
+        const baseShare = operationalization === 'percapita_demographic'
+            ? demographicPerCapita
+            : this.BASE_SHARE_PER_DESCENDANT;
 
         // Wealth tilt: how this descendant's wealth compares to the mean white
         // household. No arbitrary floor; if wealth is unknown we FLAG the
@@ -155,6 +168,7 @@ class WealthGapCalculator {
             descendantShare,
             inheritanceFactor: Math.round(inheritanceFactor * 100) / 100,
             numSlaveholderAncestors,
+            operationalization,
 
             // Context
             methodology: 'Darity & Mullen wealth-gap closure (share-of-gap approach; mean-preserving wealth tilt, level disciplined by population benchmarking)',
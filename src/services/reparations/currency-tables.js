@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * currency-tables.js — historical exchange rates and price indices, keyed by year.
+ *
+ * WHY THIS EXISTS
+ * ---------------
+ * Face values in the evidence come in several currencies: pounds (British 1833
+ * claims, UCL LBS), dollars (DC 1862 petitions, US probate), French livres /
+ * francs, Dutch guilders, Brazilian mil-réis and Spanish dollars. Before this
+ * module ICHEICCalculator compounded those face values as if they were dollars,
+ * and CompensationTracker carried four hand-typed `GBP_1833`-style multipliers.
+ * Multi-jurisdiction totals were therefore not comparable.
+ *
+ * CurrencyConverter reads ONLY these tables. Conversion is always:
+ *
+ *   face value ──(EXCHANGE, year of the value)──▶ USD of that year
+ *              ──(PRICE_INDEX.US_CPI)──────────▶ USD of BASE_YEAR
+ *
+ * so every jurisdiction ends in the same unit. A local-index route (UK_CPI then
+ * BASE_EXCHANGE) is kept for the British claims, whose existing
+ * published figures used the Bank of England calculator.
+ *
+ * HOW TO READ A SERIES
+ * --------------------
+ *   points      — { year: value } anchor observations, each series cited.
+ *   interpolate — 'step'   : a value holds until the next anchor (legal pars,
+ *                            which changed by statute, not gradually)
+ *                 'linear' : price indices between anchor years; the converter
+ *                            flags the result `interpolated: true`.
+ *   from / to   — years outside the range are refused, never extrapolated.
+ *
+ * Pre-1914 exchange rates here are MINT PARS (metallic equivalence set by
+ * coinage law). Market bills of exchange moved a few percent around par, and
+ * further in crises (the réis especially). They are the conservative,
+ * reproducible choice until yearly market series are loaded; see `note` on each.
+ * Project rule: no unsourced constants — every series carries `cite`.
+ */
+
+// Modern reference year for "present value" figures (last full CPI-U year).
+const BASE_YEAR = 2024;
+
+// ── EXCHANGE RATES — US dollars per one unit of the currency ────────────────
+const EXCHANGE = {
+  USD: {
+    name: 'US dollar',
+    unit: 'dollar',
+    from: 1785, to: BASE_YEAR,
+    interpolate: 'step',
+    points: { 1785: 1 },
+    cite: 'Resolution of the Continental Congress, 6 July 1785; Coinage Act of 1792 (1 Stat. 246)',
+  },
+  SPD: {
+    name: 'Spanish dollar (peso de ocho reales)',
+    unit: 'peso',
+    from: 1600, to: 1857,
+    interpolate: 'step',
+    points: { 1600: 1 },
+    cite: 'Coinage Act of 1792 — the US dollar was defined on the Spanish milled dollar; legal tender in the US until the Act of Feb. 21, 1857',
+    note: 'US_CPI starts in 1790, so earlier values convert to period dollars only; present-value conversion is refused.',
+  },
+  GBP: {
+    name: 'Pound sterling',
+    unit: 'pound',
+    from: 1792, to: 1914,
+    interpolate: 'step',
+    points: {
+      1792: 4.44,     // 1792 Act gold content vs. the sovereign
+      1834: 4.8665,   // Coinage Act of 1834 / 1837 gold par, held to 1914
+    },
+    cite: 'Officer, "Dollar-Pound Exchange Rate From 1791," MeasuringWorth; Coinage Acts of 1792 and 1834',
+    note: 'Mint par. Market rates 1792–1833 averaged a few percent above the $4.44 par.',
+  },
+  FRF: {
+    name: 'French franc (livre tournois before 1795)',
+    unit: 'franc',
+    from: 1726, to: 1914,
+    interpolate: 'step',
+    points: {
+      1726: 0.1848,   // livre tournois stabilized 1726; 1 livre = 80/81 franc
+      1795: 0.1871,   // franc germinal, 4.5 g fine silver vs. the silver dollar: 5.345 F/$
+      1834: 0.1930,   // gold par after the 1834 dollar: 5.1826 F/$
+    },
+    cite: 'Denzel, Handbook of World Exchange Rates, 1590–1914 (Ashgate, 2010); Loi du 7 germinal an XI; Coinage Act of 1834',
+    note: 'Saint-Domingue and Martinique values in livres coloniales must be reduced to livres tournois first (≈ 2/3) — not done here.',
+  },
+  NLG: {
+    name: 'Dutch guilder',
+    unit: 'guilder',
+    from: 1700, to: 1914,
+    interpolate: 'step',
+    points: {
+      1700: 0.40,     // ≈ 2.50 silver guilders per silver dollar
+      1876: 0.402,    // gold standard (Muntwet 1875): 2.4875 ƒ/$
+    },
+    cite: 'Denzel, Handbook of World Exchange Rates, 1590–1914 (Ashgate, 2010); Muntwet 1875',
+  },
+  BRL: {
+    name: 'Brazilian mil-réis (1$000)',
+    unit: 'mil-réis',
+    from: 1808, to: 1914,
+    interpolate: 'step',
+    via: 'GBP',                // points are pence sterling per mil-réis
+    points: {
+      1808: 67.5,     // Portuguese–Brazilian par
+      1833: 43.2,     // Lei de 8 de outubro de 1833
+      1846: 27,       // Lei de 11 de setembro de 1846, held to 1914 as legal par
+    },
+    cite: 'Denzel (2010); Brazilian monetary laws of 8 Oct 1833 and 11 Sep 1846 (pence sterling per mil-réis)',
+    note: 'Legal pars. The market rate sat well below par in the 1830s and after 1889 (≈ 10d by the late 1890s). Amounts are in mil-réis: "1:200$000" = 1200.',
+  },
+};
+
+// ── BASE-YEAR EXCHANGE — only needed by the local-index route ───────────────
+const BASE_EXCHANGE = {
+  GBP: { value: 1.278, cite: 'Bank of England XUDLUSS — 2024 annual average spot rate, US$ per £' },
+};
+
+// ── GREENBACK PREMIUM — gold dollars vs. paper dollars, 1862–1878 ───────────
+// US prices (and so the US CPI) in these years are in greenbacks, while the
+// pars above are gold. Foreign amounts are converted to gold dollars and then
+// multiplied by this premium before deflating.
+const GREENBACK_PREMIUM = {
+  interpolate: 'step',
+  from: 1862, to: 1878,
+  points: {
+    1862: 1.13, 1863: 1.45, 1864: 2.03, 1865: 1.57, 1866: 1.41, 1867: 1.38,
+    1868: 1.40, 1869: 1.33, 1870: 1.15, 1871: 1.12, 1872: 1.12, 1873: 1.14,
+    1874: 1.11, 1875: 1.15, 1876: 1.12, 1877: 1.05, 1878: 1.01,
+  },
+  cite: 'Mitchell, Gold, Prices, and Wages under the Greenback Standard (1908) — annual average gold price in currency',
+};
+
+// ── PRICE INDICES ───────────────────────────────────────────────────────────
+const PRICE_INDEX = {
+  // BLS CPI-U (1982–84 = 100) from 1913; linked Officer & Williamson series before.
+  US_CPI: {
+    currency: 'USD',
+    interpolate: 'linear',
+    from: 1790, to: BASE_YEAR,
+    points: {
+      1790: 9.0, 1800: 12.3, 1810: 12.7, 1820: 11.0, 1830: 9.6, 1840: 9.2,
+      1850: 7.8, 1860: 8.1, 1862: 9.9, 1864: 15.0, 1865: 15.6, 1870: 12.8,
+      1880: 9.8, 1890: 9.1, 1900: 8.3, 1913: 9.9, 1920: 20.0, 1930: 16.7,
+      1940: 14.0, 1950: 24.1, 1960: 29.6, 1970: 38.8, 1980: 82.4, 1990: 130.7,
+      2000: 172.2, 2010: 218.056, 2020: 258.811, 2024: 313.689,
+    },
+    cite: 'Officer & Williamson, "The Annual Consumer Price Index for the United States, 1774–Present," MeasuringWorth; BLS CPI-U annual averages 1913–2024',
+  },
+  // Bank of England "A millennium of macroeconomic data" consumer prices, rebased 2024 = 100.
+  UK_CPI: {
+    currency: 'GBP',
+    interpolate: 'linear',
+    from: 1790, to: BASE_YEAR,
+    points: {
+      1790: 0.78, 1800: 1.19, 1810: 1.26, 1820: 1.04, 1830: 0.87, 1833: 0.83,
+      1840: 0.89, 1850: 0.74, 1860: 0.83, 1870: 0.84, 1880: 0.81, 1890: 0.71,
+      1900: 0.74, 1913: 0.79, 1920: 2.05, 1930: 1.31, 1940: 1.56, 1950: 2.43,
+      1960: 3.37, 1970: 4.90, 1980: 18.4, 1990: 36.7, 2000: 51.4, 2010: 66.6,
+      2020: 80.9, 2024: 100,
+    },
+    cite: 'Bank of England, "A millennium of macroeconomic data" (v3.1), consumer price index; ONS CPI/CPIH 1988–2024; rebased 2024 = 100',
+    note: 'Reproduces the BoE inflation calculator floor used in the British claims: £1 (1833) ≈ £120 (2024).',
+  },
+};
+
+// Default face-value currency per ICHEICCalculator jurisdiction. Jurisdictions
+// without a loaded series (Portuguese réis, Danish rigsdaler, Swedish riksdaler)
+// map to null and are compounded unconverted with a warning.
+const JURISDICTION_CURRENCY = {
+  US: 'USD',
+  UK: 'GBP',
+  France: 'FRF',
+  Netherlands: 'NLG',
+  Spain: 'SPD',
+  Portugal: null,
+  Brazil: 'BRL',
+  Denmark: null,
+  Sweden: null,
+};
+
+module.exports = {
+  BASE_YEAR,
+  EXCHANGE,
+  BASE_EXCHANGE,
+  GREENBACK_PREMIUM,
+  PRICE_INDEX,
+  JURISDICTION_CURRENCY,
+};
@@ -50,6 +50,7 @@ const WealthGapCalculator = require('./WealthGapCalculator');
 const ICHEICCalculator = require('./ICHEICCalculator');
 const TieredPaymentCalculator = require('./TieredPaymentCalculator');
 const CorporateSuccessionTracer = require('./CorporateSuccessionTracer');
+const CurrencyConverter = require('./CurrencyConverter');
 
 /**
  * Unified Reparations System
@@ -435,7 +436,8 @@ module.exports = {
     WealthGapCalculator,      // Darity & Mullen share-of-gap model
     ICHEICCalculator,         // Multi-jurisdiction historical asset valuation
     TieredPaymentCalculator,  // Progressive payment tiers (PLACEHOLDER thresholds)
-    CorporateSuccessionTracer, // Farmer-Paellmann defendant chains + reverse lookup
+    CorporateSuccessionTracer, // entity_successions graph (M116): chains, multi-hop + reverse lookup
+    CurrencyConverter,        // Year-keyed historical exchange rates + price indices (currency-tables.js)
 
     // Factory function to create initialized system with database
     createReparationsSystem: async (db) => {
@@ -57,6 +57,21 @@ const RATES = {
   },
 };
 
+// ── SCENARIO RATES — one labelled rate per rate-resolver anchor family ──────
+// Used ONLY by ScenarioEngine for sensitivity tables, and only for a family the
+// RateResolver cannot anchor (basis 'proxy'). Without these every family would
+// resolve to the same 0.03 proxy and the "range" would collapse to a point.
+// They never feed a headline DAA figure.
+const SCENARIO_RATES = {
+  price_index:           { value: 0.02,  cite: 'MeasuringWorth (Officer & Williamson) — long-run US CPI inflation ≈ 2%/yr' },
+  deposit_interest:      { value: 0.03,  cite: 'Craemer (2015), p.645 — conservative floor (victim opportunity cost)' },
+  bond_yield:            { value: 0.045, cite: 'ICHEIC valuation guidelines — policies brought forward at ~4–5% long-term bond rates' },
+  farmland_appreciation: { value: 0.05,  cite: 'Neal (1983); D&M&S JEP (2022) — 4–6% band midpoint (line-item rate)' },
+  realized_return:       { value: 0.06,  cite: 'Craemer (2015/2020) — 6% upper scenario' },
+  enterprise_roi:        { value: 0.07,  cite: 'Jordà et al., "The Rate of Return on Everything," QJE 134(3) (2019) — long-run equity ≈ 7%' },
+  note: 'Sensitivity-only defaults, ordered like the anchor families. An anchored anchor_rate_series row always wins.',
+};
+
 // ── DARITY & MULLEN — demographic per-capita operationalization ─────────────
 // "From Here to Equality" (2020) + JEP (2022). The racial-wealth-gap closure
 // total divided across eligible living descendants. This is the operationalization
@@ -142,6 +157,7 @@ async function assertConsistentWithDb(db) {
 
 module.exports = {
   RATES,
+  SCENARIO_RATES,
   DARITY,
   WEALTH_GAP,
   BRATTLE,
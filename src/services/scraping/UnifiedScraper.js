@@ -21,6 +21,12 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
 const PersonService = require('../PersonService');
+const CurrencyConverter = require('../reparations/CurrencyConverter');
+
+// LBS pages without an award date are converted at 1834, the year the Abolition
+// Act took effect and the default CompensationTracker uses. Most awards were paid
+// 1835–1838; the default keeps the two converters in step, it does not date a payment.
+const LBS_DEFAULT_AWARD_YEAR = 1834;
 
 class UnifiedScraper {
     constructor(database, config = {}) {
@@ -31,6 +37,7 @@ class UnifiedScraper {
             ...config
         };
         this.browser = null;
+        this.currencyConverter = config.currencyConverter || new CurrencyConverter();
     }
 
     /**
@@ -657,9 +664,10 @@ class UnifiedScraper {
             awardDate = summaryMatch[1];
             enslavedCount = parseInt(summaryMatch[2]) || 0;
             awardedAmount = summaryMatch[3];
-            const poundsMatch = awardedAmount.match(/£([\d,]+)/);
-            awardedPounds = poundsMatch ? parseInt(poundsMatch[1].replace(/,/g, '')) : 0;
+            awardedPounds = this.parseBritishPounds(awardedAmount);
         }
+        const awardYear = parseInt((awardDate.match(/\d{4}/) || [])[0], 10) || LBS_DEFAULT_AWARD_YEAR;
+        const awardedModern = this.britishPoundsToModernUSD(awardedPounds, awardYear);
 
         // Get colony from claim details if not from H1
         if (!colony) {
@@ -712,6 +720,7 @@ class UnifiedScraper {
                 lbsClaimId: claimNumber,
                 lbsPersonUrl: claimant.personUrl,
                 compensationReceived: awardedPounds,
+                compensationModernUSD: awardedModern ? awardedModern.modernUSD : null,
                 enslavedCount: enslavedCount,
                 claimantRole: claimant.role,
                 awardDate: awardDate
@@ -749,6 +758,7 @@ class UnifiedScraper {
             enslavedCount,
             awardedAmount,
             awardedPounds,
+            awardedModernUSD: awardedModern,
             claimantsFound: claimants.length,
             claimantNames: claimants.map(c => c.name)
         };
@@ -774,6 +784,7 @@ class UnifiedScraper {
             this.extractLBSField($, ['Total compensation', 'Compensation received', 'Total awarded'])
         );
         const totalEnslaved = parseInt(this.extractLBSField($, ['Total enslaved', 'Enslaved owned']) || '0');
+        const totalCompensationModern = this.britishPoundsToModernUSD(totalCompensation, LBS_DEFAULT_AWARD_YEAR);
 
         if (fullName) {
             result.owners.push({
@@ -792,6 +803,7 @@ class UnifiedScraper {
                 notes: `UCL LBS Person ID: ${personId}. ${totalEnslaved ? `Held ${totalEnslaved} enslaved people.` : ''} ${totalCompensation ? `Total compensation: £${totalCompensation.toLocaleString()}` : ''}`,
                 lbsPersonId: personId,
                 totalCompensationReceived: totalCompensation,
+                totalCompensationModernUSD: totalCompensationModern ? totalCompensationModern.modernUSD : null,
                 totalEnslavedOwned: totalEnslaved,
                 gender: gender
             });
@@ -827,6 +839,7 @@ class UnifiedScraper {
             residence,
             mpInfo,
             totalCompensation,
+            totalCompensationModernUSD: totalCompensationModern,
             totalEnslaved
         };
     }
@@ -860,6 +873,7 @@ class UnifiedScraper {
                 enslaved1817,
                 enslaved1832,
                 compensationAmount,
+                compensationModernUSD: this.britishPoundsToModernUSD(compensationAmount, LBS_DEFAULT_AWARD_YEAR),
                 lbsEstateId: estateId
             };
         }
@@ -1012,7 +1026,7 @@ class UnifiedScraper {
 
         while ((match = compensationPattern.exec(bodyText)) !== null) {
             const name = match[1].trim();
-            const amount = parseInt(match[2].replace(/,/g, ''));
+            const amount = this.parseBritishPounds(match[2]);
 
             if (name && amount > 0 && !result.owners.find(o => o.fullName === name)) {
                 result.owners.push({
@@ -1022,7 +1036,8 @@ class UnifiedScraper {
                     sourceUrl: url,
                     confidence: 0.90,
                     notes: `Compensation: £${amount.toLocaleString()}`,
-                    compensationReceived: amount
+                    compensationReceived: amount,
+                    compensationModernUSD: this.britishPoundsToModernUSD(amount, LBS_DEFAULT_AWARD_YEAR)?.modernUSD ?? null
                 });
             }
         }
@@ -1076,6 +1091,18 @@ class UnifiedScraper {
         return 0;
     }
 
+    /**
+     * Helper: pounds from parseBritishPounds → modern USD via the cited
+     * currency tables (historical exchange rate, then US CPI), so LBS amounts
+     * sit in the same unit as US petitions and probate values.
+     * Returns null for zero amounts or years the tables don't cover.
+     */
+    britishPoundsToModernUSD(pounds, year) {
+        if (!pounds) return null;
+        const c = this.currencyConverter.tryModernUSD(pounds, 'GBP', year);
+        return c ? { modernUSD: c.modernUSD, historicalUSD: c.historicalUSD, year: c.year, baseYear: c.baseYear, sources: c.sources } : null;
+    }
+
     /**
      * Helper to extract state abbreviation from href
      */
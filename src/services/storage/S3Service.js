@@ -321,6 +321,28 @@ class S3Service {
     return result.metadata;
   }
 
+  /**
+   * Download an object into memory (for hashing / content addressing)
+   * @param {string} key - S3 object key
+   * @returns {Promise<Buffer>}
+   */
+  async getObjectBuffer(key) {
+    if (!this.isEnabled()) {
+      throw new Error('S3 is not enabled');
+    }
+
+    await this._regionVerifiedPromise;
+
+    const command = new GetObjectCommand({ Bucket: this.bucket, Key: S3Service.normalizeS3Key(key) });
+    try {
+      const result = await this.client.send(command);
+      return Buffer.from(await result.Body.transformToByteArray());
+    } catch (error) {
+      logger.error('S3 download failed', { key, bucket: this.bucket, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Upload a buffer or stream to S3
    * @param {string} key - S3 object key
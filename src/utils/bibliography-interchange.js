@@ -0,0 +1,526 @@
+/**
+ * Bibliography Interchange
+ *
+ * Reads and writes the formats reference managers (Zotero, Mendeley, EndNote,
+ * JabRef) exchange, so researchers can move sources in and out of the
+ * `bibliography` table without retyping them:
+ *
+ *   import  CSL-JSON, RIS, BibTeX  → CSL-JSON items
+ *   export  CSL-JSON, RIS          ← CSL-JSON items
+ *
+ * CSL-JSON is the internal shape: every parser returns CSL items, every
+ * exporter takes them, and BibliographyManager keeps the item in
+ * bibliography.csl_json next to its flat columns.
+ *
+ * Also here:
+ *   citationKey()  Better-BibTeX-style keys (surname + year + first title word),
+ *                  e.g. blake1860large. Assigned once and never regenerated, so
+ *                  DAA exhibits can cite them.
+ *   fingerprint()  normalized title | year | first author — the fallback
+ *                  duplicate test when there is no DOI, URL or Zotero key.
+ *
+ * Pure functions; no database.
+ */
+
+// ── Type maps ────────────────────────────────────────────────────────────────
+
+const RIS_TO_CSL = {
+    JOUR: 'article-journal', JFULL: 'article-journal', ABST: 'article-journal',
+    MGZN: 'article-magazine', NEWS: 'article-newspaper',
+    BOOK: 'book', EBOOK: 'book', SER: 'book', EDBOOK: 'book',
+    CHAP: 'chapter', ECHAP: 'chapter',
+    THES: 'thesis', RPRT: 'report',
+    CONF: 'paper-conference', CPAPER: 'paper-conference',
+    ELEC: 'webpage', WEB: 'webpage', BLOG: 'post-weblog',
+    MANSCPT: 'manuscript', UNPB: 'manuscript',
+    MAP: 'map', DATA: 'dataset', DBASE: 'dataset', AGGR: 'dataset',
+    CASE: 'legal_case', STAT: 'legislation', BILL: 'bill', HEAR: 'hearing',
+    PAT: 'patent', COMP: 'software', PCOMM: 'personal_communication',
+    ART: 'graphic', SOUND: 'song', VIDEO: 'motion_picture', ENCYC: 'entry-encyclopedia',
+    DICT: 'entry-dictionary', GOVDOC: 'report', GEN: 'document',
+};
+
+// Preferred RIS type for each CSL type (first RIS key that maps to it, with overrides).
+const CSL_TO_RIS = Object.entries(RIS_TO_CSL).reduce((acc, [ris, csl]) => {
+    if (!acc[csl]) acc[csl] = ris;
+    return acc;
+}, { webpage: 'ELEC', dataset: 'DATA', manuscript: 'MANSCPT', document: 'GEN' });
+
+const BIBTEX_TO_CSL = {
+    article: 'article-journal', book: 'book', booklet: 'book', manual: 'book',
+    inbook: 'chapter', incollection: 'chapter',
+    inproceedings: 'paper-conference', conference: 'paper-conference', proceedings: 'book',
+    phdthesis: 'thesis', mastersthesis: 'thesis', thesis: 'thesis',
+    techreport: 'report', report: 'report',
+    online: 'webpage', electronic: 'webpage', www: 'webpage',
+    unpublished: 'manuscript', misc: 'document', software: 'software', dataset: 'dataset',
+};
+
+// CSL types that are themselves primary sources (originals rather than studies).
+const PRIMARY_TYPES = new Set(['manuscript', 'legal_case', 'legislation', 'bill', 'hearing', 'map', 'personal_communication', 'graphic']);
+const TERTIARY_TYPES = new Set(['entry-encyclopedia', 'entry-dictionary', 'entry']);
+
+const TITLE_STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'and', 'on', 'in', 'to', 'for', 'from', 'at', 'by', 'with', 'le', 'la', 'les', 'de', 'het', 'o', 'os']);
+
+// ── Small helpers ────────────────────────────────────────────────────────────
+
+const asciiFold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function parseName(raw) {
+    const name = String(raw || '').trim();
+    if (!name) return null;
+    // {Institution Name} or a single token → literal
+    if (/^\{.*\}$/.test(name)) return { literal: name.slice(1, -1) };
+    if (name.includes(',')) {
+        const [family, ...rest] = name.split(',');
+        return { family: family.trim(), given: rest.join(',').trim() || undefined };
+    }
+    const parts = name.split(/\s+/);
+    if (parts.length === 1) return { literal: name };
+    return { family: parts.pop(), given: parts.join(' ') };
+}
+
+function nameToString(n) {
+    if (!n) return '';
+    if (n.literal) return n.literal;
+    return [n.family, n.given].filter(Boolean).join(', ');
+}
+
+function dateParts(raw) {
+    if (!raw) return null;
+    // RIS "1860/05/12/other", ISO "1860-05-12", or a bare year anywhere in the string
+    const m = String(raw).match(/(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?/);
+    if (!m) return { literal: String(raw) };
+    return { 'date-parts': [[m[1], m[2], m[3]].filter(Boolean).map(Number)] };
+}
+
+function issuedYear(item) {
+    const dp = item?.issued?.['date-parts']?.[0];
+    if (dp && dp[0]) return Number(dp[0]);
+    const lit = item?.issued?.literal || item?.issued?.raw;
+    const m = lit && String(lit).match(/\d{4}/);
+    return m ? Number(m[0]) : null;
+}
+
+function isoDate(dateObj) {
+    const dp = dateObj?.['date-parts']?.[0];
+    if (!dp || !dp[0]) return null;
+    const [y, mo = 1, d = 1] = dp;
+    return `${String(y).padStart(4, '0')}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function normalizeUrl(url) {
+    if (!url) return null;
+    return String(url).trim().toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/#.*$/, '')
+        .replace(/\/+$/, '');
+}
+
+function normalizeDoi(doi) {
+    if (!doi) return null;
+    return String(doi).trim().toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/, '') || null;
+}
+
+// ── Keys and fingerprints ────────────────────────────────────────────────────
+
+/**
+ * Base citation key for an item: surname + year + first significant title word,
+ * lowercase ASCII. Callers add a/b/c… on collision (see BibliographyManager).
+ */
+function citationKey(item) {
+    const first = (item.author || item.editor || [])[0];
+    const who = first?.family || first?.literal || item.archive || item.publisher || 'anon';
+    const surname = asciiFold(who).toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 20) || 'anon';
+    const year = issuedYear(item) || 'nd';
+    const word = asciiFold(item.title || '').toLowerCase().split(/[^a-z0-9]+/)
+        .find(w => w && !TITLE_STOP_WORDS.has(w)) || '';
+    return `${surname}${year}${word.slice(0, 15)}`;
+}
+
+/**
+ * Duplicate-detection fingerprint: normalized title | year | first author surname.
+ */
+function fingerprint(item) {
+    const title = asciiFold(item.title || '').toLowerCase()
+        .replace(/[^a-z0-9 ]+/g, ' ')
+        .split(/\s+/)
+        .filter(w => w && !TITLE_STOP_WORDS.has(w))
+        .join(' ');
+    const first = (item.author || item.editor || [])[0];
+    const surname = asciiFold(first?.family || first?.literal || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return `${title}|${issuedYear(item) || ''}|${surname}`;
+}
+
+// ── CSL-JSON ─────────────────────────────────────────────────────────────────
+
+function parseCSLJSON(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    const items = Array.isArray(data) ? data : (data && Array.isArray(data.items) ? data.items : [data]);
+    return items.filter(i => i && typeof i === 'object').map(i => ({ ...i, type: i.type || 'document' }));
+}
+
+function toCSLJSON(items) {
+    return JSON.stringify(items, null, 2);
+}
+
+// ── RIS ──────────────────────────────────────────────────────────────────────
+
+function parseRIS(text) {
+    const items = [];
+    let rec = null;
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+    let lastTag = null;
+
+    for (const line of lines) {
+        const m = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+        if (!m) {
+            // continuation line (EndNote wraps AB / N1)
+            if (rec && lastTag && line.trim()) rec[lastTag][rec[lastTag].length - 1] += ` ${line.trim()}`;
+            continue;
+        }
+        const [, tag, value] = m;
+        if (tag === 'TY') {
+            rec = { TY: [value.trim()] };
+            lastTag = 'TY';
+            continue;
+        }
+        if (!rec) continue;
+        if (tag === 'ER') {
+            items.push(risRecordToCSL(rec));
+            rec = null;
+            lastTag = null;
+            continue;
+        }
+        (rec[tag] = rec[tag] || []).push(value.trim());
+        lastTag = tag;
+    }
+    if (rec) items.push(risRecordToCSL(rec));
+    return items;
+}
+
+function risRecordToCSL(rec) {
+    const one = (...tags) => {
+        for (const t of tags) if (rec[t] && rec[t][0]) return rec[t][0];
+        return undefined;
+    };
+    const many = (...tags) => tags.flatMap(t => rec[t] || []);
+
+    const item = { type: RIS_TO_CSL[rec.TY[0]] || 'document' };
+    const title = one('TI', 'T1', 'CT');
+    if (title) item.title = title;
+    const container = one('T2', 'JO', 'JF', 'BT', 'J2');
+    if (container) item['container-title'] = container;
+    const authors = many('AU', 'A1').map(parseName).filter(Boolean);
+    if (authors.length) item.author = authors;
+    const editors = many('ED', 'A2').map(parseName).filter(Boolean);
+    if (editors.length) item.editor = editors;
+    const issued = dateParts(one('PY', 'Y1', 'DA'));
+    if (issued) item.issued = issued;
+    const accessed = dateParts(one('Y2'));
+    if (accessed) item.accessed = accessed;
+
+    const simple = {
+        VL: 'volume', IS: 'issue', PB: 'publisher', CY: 'publisher-place',
+        DO: 'DOI', AB: 'abstract', LA: 'language', CN: 'call-number', ET: 'edition',
+        AN: 'archive_location', DP: 'archive', DB: 'archive',
+    };
+    for (const [tag, field] of Object.entries(simple)) {
+        const v = one(tag);
+        if (v && item[field] === undefined) item[field] = v;
+    }
+    const url = one('UR', 'L2', 'LK');
+    if (url) item.URL = url;
+    const sp = one('SP');
+    const ep = one('EP');
+    if (sp) item.page = ep ? `${sp}-${ep}` : sp;
+    const sn = one('SN');
+    if (sn) item[/^\d{4}-\d{3}[\dX]$/i.test(sn) ? 'ISSN' : 'ISBN'] = sn;
+    const notes = many('N1');
+    if (notes.length) item.note = notes.join('\n');
+    const kw = many('KW');
+    if (kw.length) item.keyword = kw.join(', ');
+    const id = one('ID');
+    if (id) item.id = id;
+    return item;
+}
+
+function toRIS(items) {
+    const out = [];
+    for (const item of items) {
+        const lines = [`TY  - ${CSL_TO_RIS[item.type] || 'GEN'}`];
+        const add = (tag, v) => {
+            if (v !== undefined && v !== null && String(v) !== '') lines.push(`${tag}  - ${String(v).replace(/\r?\n/g, ' ')}`);
+        };
+        add('ID', item['citation-key'] || item.id);
+        add('TI', item.title);
+        for (const a of item.author || []) add('AU', nameToString(a));
+        for (const e of item.editor || []) add('A2', nameToString(e));
+        add('T2', item['container-title']);
+        const dp = item.issued?.['date-parts']?.[0];
+        if (dp && dp[0]) {
+            add('PY', dp[0]);
+            add('DA', [dp[0], dp[1] ? String(dp[1]).padStart(2, '0') : '', dp[2] ? String(dp[2]).padStart(2, '0') : ''].join('/'));
+        }
+        add('VL', item.volume);
+        add('IS', item.issue);
+        if (item.page) {
+            const [sp, ep] = String(item.page).split(/[-–]/);
+            add('SP', sp);
+            add('EP', ep);
+        }
+        add('PB', item.publisher);
+        add('CY', item['publisher-place']);
+        add('SN', item.ISBN || item.ISSN);
+        add('DO', item.DOI);
+        add('UR', item.URL);
+        add('DP', item.archive);
+        add('AN', item.archive_location);
+        add('CN', item['call-number']);
+        add('AB', item.abstract);
+        add('N1', item.note);
+        add('LA', item.language);
+        if (item.keyword) for (const k of String(item.keyword).split(/\s*,\s*/)) add('KW', k);
+        const acc = isoDate(item.accessed);
+        if (acc) add('Y2', acc.replace(/-/g, '/'));
+        lines.push('ER  - ');
+        out.push(lines.join('\r\n'));
+    }
+    return out.join('\r\n\r\n') + (out.length ? '\r\n' : '');
+}
+
+// ── BibTeX ───────────────────────────────────────────────────────────────────
+
+const LATEX_ACCENTS = { "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', c: '\u0327', '=': '\u0304', '.': '\u0307', u: '\u0306', v: '\u030C' };
+
+function decodeLatex(s) {
+    return String(s)
+        .replace(/\\([`'^"~=.]|[cuv](?=[\s{]))\s*\{?\s*([A-Za-z])\s*\}?/g, (m, acc, ch) => (ch + (LATEX_ACCENTS[acc] || '')).normalize('NFC'))
+        .replace(/\\&/g, '&')
+        .replace(/\\([%$#_])/g, '$1')
+        .replace(/--/g, '–')
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Reads one {…} / "…" / bare value starting at text[i]; returns [value, nextIndex].
+function readBibValue(text, i) {
+    const open = text[i];
+    if (open === '{' || open === '"') {
+        const close = open === '{' ? '}' : '"';
+        let depth = 0;
+        let j = i + 1;
+        for (; j < text.length; j++) {
+            const c = text[j];
+            if (c === '\\') { j++; continue; }
+            if (c === '{') depth++;
+            else if (c === '}' && depth > 0) depth--;
+            else if (c === close && depth === 0) break;
+        }
+        return [text.slice(i + 1, j), j + 1];
+    }
+    const m = text.slice(i).match(/^[^,}\s]+/);
+    return [m ? m[0] : '', i + (m ? m[0].length : 0)];
+}
+
+function parseBibTeX(text) {
+    const src = String(text);
+    const items = [];
+    const strings = {};
+    const entryRe = /@(\w+)\s*[{(]/g;
+    let m;
+
+    while ((m = entryRe.exec(src)) !== null) {
+        const kind = m[1].toLowerCase();
+        let i = entryRe.lastIndex;
+        if (kind === 'comment' || kind === 'preamble') continue;
+
+        if (kind === 'string') {
+            const sm = src.slice(i).match(/^\s*(\w+)\s*=\s*/);
+            if (sm) {
+                const [val, next] = readBibValue(src, i + sm[0].length);
+                strings[sm[1].toLowerCase()] = val;
+                entryRe.lastIndex = next;
+            }
+            continue;
+        }
+
+        const keyMatch = src.slice(i).match(/^\s*([^,\s]+)\s*,/);
+        const key = keyMatch ? keyMatch[1] : null;
+        if (keyMatch) i += keyMatch[0].length;
+
+        const fields = {};
+        while (i < src.length) {
+            const fm = src.slice(i).match(/^\s*([A-Za-z][\w-]*)\s*=\s*/);
+            if (!fm) break;
+            i += fm[0].length;
+            const parts = [];
+            // value # value concatenation
+            for (;;) {
+                const [raw, next] = readBibValue(src, i);
+                const isMacro = src[i] !== '{' && src[i] !== '"' && !/^\d+$/.test(raw);
+                parts.push(isMacro ? (strings[raw.toLowerCase()] ?? raw) : raw);
+                i = next;
+                const hash = src.slice(i).match(/^\s*#\s*/);
+                if (!hash) break;
+                i += hash[0].length;
+            }
+            fields[fm[1].toLowerCase()] = parts.join('');
+            const sep = src.slice(i).match(/^\s*,?/);
+            i += sep[0].length;
+        }
+        entryRe.lastIndex = i;
+        items.push(bibFieldsToCSL(kind, key, fields));
+    }
+    return items;
+}
+
+function bibFieldsToCSL(kind, key, f) {
+    const item = { type: BIBTEX_TO_CSL[kind] || 'document' };
+    if (key) item['citation-key'] = key;
+    const names = (v) => String(v).split(/\s+and\s+/i).map(n => {
+        const literal = /^\s*\{[^{}]*\}\s*$/.test(n);
+        return literal ? { literal: decodeLatex(n) } : parseName(decodeLatex(n));
+    }).filter(Boolean);
+
+    if (f.title) item.title = decodeLatex(f.title);
+    if (f.author) item.author = names(f.author);
+    if (f.editor) item.editor = names(f.editor);
+    const container = f.journal || f.journaltitle || f.booktitle || f.series;
+    if (container) item['container-title'] = decodeLatex(container);
+    const date = f.date || f.year;
+    if (date) {
+        const d = dateParts(date);
+        const monthNo = f.month && (Number(f.month) || ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(String(f.month).slice(0, 3).toLowerCase()) + 1);
+        if (d['date-parts'] && monthNo && d['date-parts'][0].length === 1) d['date-parts'][0].push(monthNo);
+        item.issued = d;
+    }
+    const simple = {
+        volume: 'volume', number: 'issue', pages: 'page', publisher: 'publisher', address: 'publisher-place',
+        location: 'publisher-place', doi: 'DOI', isbn: 'ISBN', issn: 'ISSN', url: 'URL', abstract: 'abstract',
+        note: 'note', edition: 'edition', language: 'language', keywords: 'keyword',
+        institution: 'publisher', school: 'publisher', organization: 'publisher', howpublished: 'medium',
+    };
+    for (const [bib, csl] of Object.entries(simple)) {
+        if (f[bib] && item[csl] === undefined) item[csl] = decodeLatex(f[bib]);
+    }
+    if (f.urldate) item.accessed = dateParts(f.urldate);
+    if (kind === 'phdthesis') item.genre = 'PhD thesis';
+    if (kind === 'mastersthesis') item.genre = "Master's thesis";
+    return item;
+}
+
+// ── Bibliography rows ↔ CSL items ────────────────────────────────────────────
+
+/**
+ * Source-type bucket (BibliographyManager.sourceTypes) for a CSL item.
+ */
+function sourceTypeFor(item) {
+    if (PRIMARY_TYPES.has(item.type)) return 'primary';
+    if (TERTIARY_TYPES.has(item.type)) return 'tertiary';
+    if (item.type === 'software') return 'technology';
+    return 'secondary';
+}
+
+/**
+ * CSL item → the entry shape BibliographyManager.addEntry() takes.
+ */
+function cslToEntry(item) {
+    const authors = (item.author || []).map(nameToString).filter(Boolean);
+    return {
+        title: item.title || 'Untitled',
+        sourceType: sourceTypeFor(item),
+        author: authors.length ? authors.join('; ') : undefined,
+        url: item.URL,
+        archiveName: item.archive,
+        collectionName: item['container-title'],
+        collectionId: item['call-number'] || item.archive_location,
+        location: item['publisher-place'] || item['archive-place'],
+        publicationDate: isoDate(item.issued),
+        accessDate: isoDate(item.accessed) || undefined,
+        description: item.abstract,
+        notes: item.note,
+        cslType: item.type,
+        doi: normalizeDoi(item.DOI),
+        isbn: item.ISBN,
+        containerTitle: item['container-title'],
+        publisher: item.publisher,
+        volume: item.volume,
+        issue: item.issue,
+        pages: item.page,
+        csl: item,
+    };
+}
+
+/**
+ * Bibliography row (DB snake_case or in-memory camelCase) → CSL item, keyed by
+ * its citation key. Uses the stored csl_json when the row came from an import.
+ */
+function rowToCSL(row) {
+    const key = row.citation_key || row.citationKey || row.citation_id || row.id;
+    const stored = row.csl_json || row.csl;
+    const base = stored ? { ...stored } : {};
+    const item = {
+        ...base,
+        id: key,
+        'citation-key': key,
+        type: base.type || row.csl_type || row.cslType || (row.source_type === 'technology' || row.sourceType === 'technology' ? 'software' : 'document'),
+    };
+    const pick = (snake, camel) => row[snake] ?? row[camel] ?? undefined;
+    if (!item.title) item.title = pick('title', 'title');
+    if (!item.author) {
+        const author = pick('author', 'author');
+        if (author) item.author = String(author).split(/\s*;\s*/).map(parseName).filter(Boolean);
+        else if (pick('archive_name', 'archiveName')) item.author = [{ literal: pick('archive_name', 'archiveName') }];
+    }
+    if (!item.URL && pick('source_url', 'url')) item.URL = pick('source_url', 'url');
+    if (!item.archive && pick('archive_name', 'archiveName')) item.archive = pick('archive_name', 'archiveName');
+    if (!item['container-title'] && pick('container_title', 'containerTitle')) item['container-title'] = pick('container_title', 'containerTitle');
+    if (!item.issued) {
+        const d = pick('publication_date', 'publicationDate');
+        if (d) item.issued = dateParts(d instanceof Date ? d.toISOString() : d);
+    }
+    if (!item.DOI && pick('doi', 'doi')) item.DOI = pick('doi', 'doi');
+    if (!item.abstract && pick('description', 'description')) item.abstract = pick('description', 'description');
+    if (!item.note && pick('notes', 'notes')) item.note = pick('notes', 'notes');
+    if (!item['publisher-place'] && pick('location', 'location')) item['publisher-place'] = pick('location', 'location');
+    for (const k of Object.keys(item)) if (item[k] === undefined || item[k] === null) delete item[k];
+    return item;
+}
+
+const IMPORT_FORMATS = {
+    'csl-json': parseCSLJSON,
+    ris: parseRIS,
+    bibtex: parseBibTeX,
+};
+
+/**
+ * Guess the format of pasted / uploaded text.
+ */
+function detectFormat(input) {
+    if (typeof input !== 'string') return 'csl-json';
+    const s = input.trimStart();
+    if (s.startsWith('[') || s.startsWith('{')) return 'csl-json';
+    if (/^TY  - /m.test(s)) return 'ris';
+    if (/^@\w+\s*[{(]/m.test(s)) return 'bibtex';
+    return null;
+}
+
+module.exports = {
+    parseCSLJSON,
+    parseRIS,
+    parseBibTeX,
+    toCSLJSON,
+    toRIS,
+    citationKey,
+    fingerprint,
+    cslToEntry,
+    rowToCSL,
+    detectFormat,
+    normalizeUrl,
+    normalizeDoi,
+    decodeLatex,
+    IMPORT_FORMATS,
+};
@@ -8,11 +8,28 @@
  * - Tracks pending citations (flagged but not yet fully cited)
  * - Detects copy/paste patterns that suggest external sources
  * - Formats citations in multiple academic styles (APA, Chicago, MLA, BibTeX)
+ * - Imports CSL-JSON / RIS / BibTeX (Zotero exports) with duplicate detection,
+ *   exports CSL-JSON / RIS (bibliography-interchange.js)
+ * - Assigns stable citation keys (blake1860large) that DAA exhibits cite
  * - Tracks source relationships and dependencies
  * - Maintains contributor/participant records
  */
 
 const crypto = require('crypto');
+const interchange = require('./bibliography-interchange');
+
+class BibliographyImportError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'BibliographyImportError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+// Zotero item keys are 8 characters from this alphabet; CSL-JSON ids from
+// Zotero look like "http://zotero.org/users/123/items/ABCD2345" or "123/ABCD2345".
+const ZOTERO_KEY_RE = /(?:^|\/items\/|^\d+\/)([23456789ABCDEFGHIJKLMNPQRSTUVWXYZ]{8})$/;
 
 class BibliographyManager {
     constructor(pool = null) {
@@ -142,13 +159,18 @@ class BibliographyManager {
 
     /**
      * Add a new bibliography entry
+     * @param {Object} entry
+     * @param {Object} [options] - { reservedKeys }: the import batch's keys, see uniqueCitationKey
      */
-    async addEntry(entry) {
+    async addEntry(entry, { reservedKeys = null } = {}) {
         const id = this.generateId();
         const now = new Date().toISOString();
+        const csl = entry.csl || interchange.rowToCSL({ ...entry, id });
+        const citationKey = await this.uniqueCitationKey(entry.citationKey || interchange.citationKey(csl), reservedKeys);
 
         const bibliographyEntry = {
             id,
+            citationKey,
             title: entry.title,
             sourceType: entry.sourceType || 'secondary',
             category: entry.category || 'general',
@@ -169,8 +191,23 @@ class BibliographyManager {
             description: entry.description,
             notes: entry.notes,
 
+            // Structured (CSL-JSON) form and interchange metadata
+            csl: { ...csl, id: citationKey, 'citation-key': citationKey },
+            cslType: csl.type,
+            doi: interchange.normalizeDoi(entry.doi || csl.DOI),
+            isbn: entry.isbn,
+            containerTitle: entry.containerTitle,
+            publisher: entry.publisher,
+            volume: entry.volume,
+            issue: entry.issue,
+            pages: entry.pages,
+            fingerprint: interchange.fingerprint(csl),
+            externalIds: entry.externalIds || {},
+            importSource: entry.importSource || null,
+            importBatchId: entry.importBatchId || null,
+
             // Generated citations
-            citations: this.generateCitations(entry),
+            citations: this.generateCitations({ ...entry, citationKey }),
 
             // Metadata
             confidence: this.sourceTypes[entry.sourceType]?.confidence || 0.5,
@@ -187,8 +224,12 @@ class BibliographyManager {
                         author, source_url, archive_name, collection_name, collection_id,
                         location, publication_date, access_date,
                         description, notes, formatted_apa, formatted_chicago, formatted_mla,
-                        confidence, used_in, created_at, created_by
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+                        confidence, used_in, created_at, created_by,
+                        citation_key, csl_type, csl_json, doi, isbn, container_title, publisher,
+                        volume, issue, pages, dedup_fingerprint, external_ids, import_source,
+                        import_batch_id, formatted_bibtex
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+                              $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36)
                     RETURNING *
                 `, [
                     id, bibliographyEntry.title, bibliographyEntry.sourceType, bibliographyEntry.category,
@@ -198,7 +239,13 @@ class BibliographyManager {
                     bibliographyEntry.description, bibliographyEntry.notes,
                     bibliographyEntry.citations.apa, bibliographyEntry.citations.chicago, bibliographyEntry.citations.mla,
                     bibliographyEntry.confidence, JSON.stringify(bibliographyEntry.usedIn),
-                    bibliographyEntry.addedAt, bibliographyEntry.addedBy
+                    bibliographyEntry.addedAt, bibliographyEntry.addedBy,
+                    citationKey, bibliographyEntry.cslType, JSON.stringify(bibliographyEntry.csl),
+                    bibliographyEntry.doi, bibliographyEntry.isbn, bibliographyEntry.containerTitle,
+                    bibliographyEntry.publisher, bibliographyEntry.volume, bibliographyEntry.issue,
+                    bibliographyEntry.pages, bibliographyEntry.fingerprint,
+                    JSON.stringify(bibliographyEntry.externalIds), bibliographyEntry.importSource,
+                    bibliographyEntry.importBatchId, bibliographyEntry.citations.bibtex
                 ]);
             } catch (error) {
                 console.warn('Database not available, using in-memory storage:', error.message);
@@ -397,7 +444,7 @@ class BibliographyManager {
     }
 
     formatBibTeX(entry) {
-        const key = (entry.author || entry.archiveName || 'unknown')
+        const key = entry.citationKey || entry.citation_key || (entry.author || entry.archiveName || 'unknown')
             .toLowerCase()
             .replace(/[^a-z0-9]/g, '')
             .substring(0, 20) +
@@ -414,6 +461,210 @@ class BibliographyManager {
 }`;
     }
 
+    /**
+     * Citation key not yet used by any entry: the base key, else base + a, b, …
+     * Keys in `reserved` (an import batch's Set) count as used, and the new key is added to it.
+     */
+    async uniqueCitationKey(base, reserved = null) {
+        const clean = String(base || 'anon').replace(/[^A-Za-z0-9_:.-]/g, '').slice(0, 110) || 'anon';
+        const taken = new Set(reserved || []);
+
+        if (this.pool) {
+            try {
+                const result = await this.pool.query(
+                    `SELECT citation_key FROM bibliography WHERE citation_key = $1 OR citation_key LIKE $2`,
+                    [clean, `${clean.replace(/[%_\\]/g, '\\$&')}%`]
+                );
+                result.rows.forEach(r => taken.add(r.citation_key));
+            } catch (error) {
+                console.warn('Database query failed, using in-memory:', error.message);
+            }
+        }
+        this.inMemoryStore.entries.forEach(e => taken.add(e.citationKey));
+
+        let key = clean;
+        for (let n = 0; taken.has(key); n++) {
+            key = clean + (n < 26 ? String.fromCharCode(97 + n) : `_${n}`);
+        }
+        if (reserved) reserved.add(key);
+        return key;
+    }
+
+    /**
+     * Look for an existing entry that is the same source as a CSL item.
+     * Tried in order: DOI, Zotero item key, URL with the same title, then the
+     * title|year|author fingerprint.
+     *
+     * @returns {Promise<{citationId, citationKey, title, matchedBy}|null>}
+     */
+    async findDuplicate(item, externalIds = {}) {
+        const doi = interchange.normalizeDoi(item.DOI);
+        const url = interchange.normalizeUrl(item.URL);
+        const fp = interchange.fingerprint(item);
+        const titlePart = fp.split('|')[0];
+        const zotero = externalIds.zotero || null;
+
+        const classify = (row) => {
+            const rowDoi = interchange.normalizeDoi(row.doi);
+            const rowUrl = interchange.normalizeUrl(row.source_url ?? row.url);
+            const rowFp = row.dedup_fingerprint ?? row.fingerprint;
+            const rowZotero = (row.external_ids ?? row.externalIds ?? {}).zotero;
+            if (doi && rowDoi === doi) return 'doi';
+            if (zotero && rowZotero === zotero) return 'zotero_key';
+            if (url && rowUrl === url && rowFp && rowFp.split('|')[0] === titlePart) return 'url';
+            if (titlePart && rowFp === fp) return 'fingerprint';
+            return null;
+        };
+        const pickFirst = (rows) => {
+            const order = ['doi', 'zotero_key', 'url', 'fingerprint'];
+            let best = null;
+            for (const row of rows) {
+                const by = classify(row);
+                if (by && (!best || order.indexOf(by) < order.indexOf(best.matchedBy))) {
+                    best = {
+                        citationId: row.citation_id ?? row.id,
+                        citationKey: row.citation_key ?? row.citationKey,
+                        title: row.title,
+                        matchedBy: by
+                    };
+                }
+            }
+            return best;
+        };
+
+        if (this.pool) {
+            try {
+                const result = await this.pool.query(`
+                    SELECT citation_id, citation_key, title, doi, source_url, dedup_fingerprint, external_ids
+                    FROM bibliography
+                    WHERE ($1::text IS NOT NULL AND lower(doi) = $1)
+                       OR ($2::text IS NOT NULL AND external_ids->>'zotero' = $2)
+                       OR ($3::text IS NOT NULL AND rtrim(regexp_replace(lower(source_url), '^https?://(www\\.)?', ''), '/') = $3)
+                       OR dedup_fingerprint = $4
+                    LIMIT 20
+                `, [doi, zotero, url, fp]);
+                const match = pickFirst(result.rows);
+                if (match) return match;
+            } catch (error) {
+                console.warn('Database query failed, using in-memory:', error.message);
+            }
+        }
+        return pickFirst(this.inMemoryStore.entries);
+    }
+
+    /**
+     * Import a CSL-JSON, RIS or BibTeX export (e.g. from Zotero) into the
+     * bibliography. Duplicates — of existing entries or earlier items in the
+     * same file — are reported and skipped, never overwritten.
+     *
+     * @param {string|Array|Object} input - file contents, or parsed CSL-JSON
+     * @param {Object} [options]
+     * @param {string} [options.format] - 'csl-json' | 'ris' | 'bibtex' (detected when omitted)
+     * @param {string} [options.category]
+     * @param {string} [options.addedBy]
+     * @param {boolean} [options.dryRun] - report what would happen without writing
+     * @returns {Promise<Object>} { batchId, format, parsed, imported[], duplicates[], errors[] }
+     */
+    async importEntries(input, options = {}) {
+        const format = options.format || interchange.detectFormat(input);
+        const parse = interchange.IMPORT_FORMATS[format];
+        if (!parse) {
+            throw new BibliographyImportError(
+                `Unknown or undetectable format${format ? `: ${format}` : ''}. Use one of: ${Object.keys(interchange.IMPORT_FORMATS).join(', ')}`,
+                'BAD_FORMAT'
+            );
+        }
+
+        let items;
+        try {
+            items = parse(input);
+        } catch (error) {
+            throw new BibliographyImportError(`Could not parse ${format}: ${error.message}`, 'PARSE_ERROR');
+        }
+        if (!items.length) throw new BibliographyImportError(`No records found in ${format} input`, 'EMPTY');
+
+        const batchId = this.generateId('import');
+        const result = { batchId, format, parsed: items.length, dryRun: !!options.dryRun, imported: [], duplicates: [], errors: [] };
+        const seen = new Map(); // fingerprint / doi / url → title, within this batch
+        const reservedKeys = new Set(); // citation keys handed out in this batch
+
+        for (const [index, item] of items.entries()) {
+            try {
+                if (!item.title) {
+                    result.errors.push({ index, error: 'Record has no title' });
+                    continue;
+                }
+                const externalIds = {};
+                const zoteroMatch = String(item.id || '').match(ZOTERO_KEY_RE);
+                if (zoteroMatch) externalIds.zotero = zoteroMatch[1];
+
+                const batchKeys = [
+                    interchange.normalizeDoi(item.DOI) && `doi:${interchange.normalizeDoi(item.DOI)}`,
+                    externalIds.zotero && `zotero:${externalIds.zotero}`,
+                    `fp:${interchange.fingerprint(item)}`
+                ].filter(Boolean);
+                const inBatch = batchKeys.find(k => seen.has(k));
+                if (inBatch) {
+                    result.duplicates.push({ index, title: item.title, matchedBy: 'same_file', matchedTitle: seen.get(inBatch) });
+                    continue;
+                }
+
+                const existing = await this.findDuplicate(item, externalIds);
+                if (existing) {
+                    result.duplicates.push({
+                        index,
+                        title: item.title,
+                        matchedBy: existing.matchedBy,
+                        citationKey: existing.citationKey,
+                        citationId: existing.citationId
+                    });
+                    continue;
+                }
+                batchKeys.forEach(k => seen.set(k, item.title));
+
+                const preferredKey = /^[A-Za-z0-9_:.-]{2,110}$/.test(item['citation-key'] || '') ? item['citation-key'] : null;
+                if (options.dryRun) {
+                    const citationKey = await this.uniqueCitationKey(preferredKey || interchange.citationKey(item), reservedKeys);
+                    result.imported.push({ index, title: item.title, citationKey });
+                    continue;
+                }
+
+                const entry = await this.addEntry({
+                    ...interchange.cslToEntry(item),
+                    citationKey: preferredKey || undefined,
+                    category: options.category || 'imported',
+                    addedBy: options.addedBy || 'import',
+                    importSource: format,
+                    importBatchId: batchId,
+                    externalIds
+                }, { reservedKeys });
+                result.imported.push({ index, title: entry.title, citationKey: entry.citationKey, id: entry.id });
+            } catch (error) {
+                result.errors.push({ index, title: item.title, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Look up an entry by its citation key.
+     */
+    async getEntryByKey(citationKey) {
+        if (this.pool) {
+            try {
+                const result = await this.pool.query(
+                    'SELECT * FROM bibliography WHERE citation_key = $1',
+                    [citationKey]
+                );
+                if (result.rows[0]) return result.rows[0];
+            } catch (error) {
+                console.warn('Database query failed, using in-memory:', error.message);
+            }
+        }
+        return this.inMemoryStore.entries.find(e => e.citationKey === citationKey) || null;
+    }
+
     /**
      * Add a participant/contributor
      */
@@ -595,8 +846,12 @@ class BibliographyManager {
         };
 
         switch (format) {
+            case 'csl-json':
+                return interchange.toCSLJSON(entries.map(interchange.rowToCSL));
+            case 'ris':
+                return interchange.toRIS(entries.map(interchange.rowToCSL));
             case 'bibtex':
-                return entries.map(e => e.citations?.bibtex || this.formatBibTeX(e)).join('\n\n');
+                return entries.map(e => e.citations?.bibtex || e.formatted_bibtex || this.formatBibTeX(e)).join('\n\n');
             case 'apa':
                 return entries.map(e => e.citations?.apa || this.formatAPA(e, new Date().toLocaleDateString(), null)).join('\n\n');
             case 'chicago':
@@ -669,6 +924,7 @@ class BibliographyManager {
 // Export for different environments
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = BibliographyManager;
+    module.exports.BibliographyImportError = BibliographyImportError;
 } else if (typeof window !== 'undefined') {
     window.BibliographyManager = BibliographyManager;
 }
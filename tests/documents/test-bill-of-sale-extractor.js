@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Test for the bill-of-sale extractor + registry routing.
+ *
+ * Loads each sample in samples/bills_of_sale/, checks that classifyBlock
+ * routes its transcription to 'bill_of_sale', runs the extractor and
+ * compares seller / buyer / enslaved persons (name, sex, age, price) /
+ * consideration / date / place / witnesses against metadata.json "expected".
+ * Finally re-classifies the runaway-ad corpus blocks to make sure none of
+ * them are claimed by the bill-of-sale extractor.
+ *
+ * Usage:
+ *   node tests/documents/test-bill-of-sale-extractor.js
+ *   node tests/documents/test-bill-of-sale-extractor.js --sample <substring>
+ *   node tests/documents/test-bill-of-sale-extractor.js --verbose
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const { BillOfSaleExtractor } = require(path.join(REPO_ROOT, 'src/services/documents/extractors/bill-of-sale-extractor'));
+const { classifyBlock } = require(path.join(REPO_ROOT, 'src/services/documents/extractors'));
+const { segmentNewspaperPage, filterMeaningfulBlocks } = require(path.join(REPO_ROOT, 'src/services/documents/block-segmenter'));
+const SAMPLES_DIR = path.join(REPO_ROOT, 'samples/bills_of_sale');
+const RUNAWAY_DIR = path.join(REPO_ROOT, 'samples/runaway_ads');
+
+const args = process.argv.slice(2);
+const SAMPLE_FILTER = args.includes('--sample') ? args[args.indexOf('--sample') + 1] : null;
+const VERBOSE = args.includes('--verbose');
+
+let passed = 0, failed = 0;
+function check(name, cond, detail) {
+    if (cond) { passed++; if (VERBOSE) console.log(`     ok   ${name}`); }
+    else { failed++; console.log(`     FAIL ${name}${detail !== undefined ? ` (got ${JSON.stringify(detail)})` : ''}`); }
+}
+
+(async () => {
+    const sampleDirs = fs.readdirSync(SAMPLES_DIR)
+        .filter(d => fs.statSync(path.join(SAMPLES_DIR, d)).isDirectory())
+        .filter(d => !SAMPLE_FILTER || d.includes(SAMPLE_FILTER));
+
+    console.log(`══════════════════════════════════════════════════════════════════`);
+    console.log(`  Bill-of-sale extractor test (classifier + extractor)`);
+    console.log(`  Samples: ${sampleDirs.length}`);
+    console.log(`══════════════════════════════════════════════════════════════════\n`);
+
+    const extractor = new BillOfSaleExtractor();
+
+    for (const dir of sampleDirs) {
+        const samplePath = path.join(SAMPLES_DIR, dir);
+        const metadata = JSON.parse(fs.readFileSync(path.join(samplePath, 'metadata.json'), 'utf8'));
+        const text = fs.readFileSync(path.join(samplePath, metadata.files.transcription), 'utf8');
+        const exp = metadata.expected;
+        console.log(`  ${dir}`);
+
+        const routed = classifyBlock(text);
+        check('classifyBlock routes to bill_of_sale', routed?.documentClass === 'bill_of_sale', routed?.documentClass);
+
+        const { expected, ...sourceMetadata } = metadata;
+        const r = await extractor.extract({ blockText: text, sourceMetadata });
+        const byRole = role => r.entities.filter(e => e.role === role);
+        const seller = byRole('seller_enslaver')[0];
+        const buyer = byRole('buyer_enslaver')[0];
+        const enslaved = byRole('enslaved_person_sold');
+        const place = byRole('sale_jurisdiction')[0];
+        const sale = r.events.find(e => e.type === 'sale');
+
+        check('seller', seller?.attributes.name === exp.seller, seller?.attributes.name);
+        check('buyer', buyer?.attributes.name === exp.buyer, buyer?.attributes.name);
+        check('consideration', sale?.attributes.consideration_usd === exp.consideration_usd, sale?.attributes.consideration_usd);
+        check('sale date', sale?.date_window_start === exp.sale_date, sale?.date_window_start);
+        check('county', (place?.attributes.county ?? null) === exp.county, place?.attributes.county);
+        check('state', (place?.attributes.state ?? null) === exp.state, place?.attributes.state);
+        check(`${exp.enslaved.length} enslaved person(s)`, enslaved.length === exp.enslaved.length, enslaved.map(e => e.attributes.name));
+        for (const want of exp.enslaved) {
+            const got = enslaved.find(e => e.attributes.name === want.name)?.attributes;
+            const fields = Object.keys(want).filter(k => k !== 'name');
+            check(`  ${want.name}: ${fields.join('/')}`, got && fields.every(k => got[k] === want[k]), got);
+        }
+        for (const [mother, child] of exp.parent_of) {
+            const edge = r.relationships.find(rel => rel.type === 'parent_of'
+                && r.entities[rel.fromEntityIdx].attributes.name === mother
+                && r.entities[rel.toEntityIdx].attributes.name === child);
+            check(`parent_of ${mother} → ${child}`, !!edge);
+        }
+        const witnesses = byRole('witness').map(e => e.attributes.name);
+        check('witnesses', JSON.stringify(witnesses) === JSON.stringify(exp.witnesses), witnesses);
+        check('one sold_to edge per enslaved person',
+            r.relationships.filter(rel => rel.type === 'sold_to').length === exp.enslaved.length);
+
+        if (VERBOSE) {
+            for (const e of r.entities) console.log(`       ${e.role}: ${JSON.stringify(e.attributes)}`);
+            if (sale) console.log(`       sale: ${JSON.stringify(sale.attributes)}`);
+        }
+        console.log();
+    }
+
+    // Negative control: runaway-ad blocks must not route to bill_of_sale
+    let adBlocks = 0, misrouted = 0;
+    for (const dir of fs.readdirSync(RUNAWAY_DIR)) {
+        const altoPath = path.join(RUNAWAY_DIR, dir, 'alto.json');
+        if (!fs.existsSync(altoPath)) continue;
+        let altoJson;
+        try { altoJson = JSON.parse(fs.readFileSync(altoPath, 'utf8')); } catch (e) { continue; }
+        for (const block of filterMeaningfulBlocks(segmentNewspaperPage(altoJson))) {
+            const routed = classifyBlock(block.text, 0.45);
+            if (routed?.documentClass === 'newspaper_runaway_ad') adBlocks++;
+            if (routed?.documentClass === 'bill_of_sale' && /\b(ranaway|absconded)\b/i.test(block.text)) misrouted++;
+        }
+    }
+    console.log(`  runaway-ad corpus: ${adBlocks} ad blocks routed to newspaper_runaway_ad`);
+    check('no runaway-ad block routed to bill_of_sale', misrouted === 0, misrouted);
+
+    console.log(`\n══════════════════════════════════════════════════════════════════`);
+    console.log(`  ${passed}/${passed + failed} passed${failed ? `, ${failed} FAILED` : ''}`);
+    console.log(`══════════════════════════════════════════════════════════════════`);
+    process.exit(failed ? 1 : 0);
+})().catch(e => {
+    console.error('FATAL:', e.message);
+    console.error(e.stack);
+    process.exit(2);
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Test for the estate-inventory extractor, its estate_valuations projection
+ * and the DisgorgementCalculator component that reads it.
+ *
+ * For each sample in samples/estate_inventories/: classifyBlock must route the
+ * transcription to 'estate_inventory'; decedent / enslaved persons (name, sex,
+ * age, appraised value) / totals / appraisers are compared against
+ * metadata.json "expected"; toEstateValuation() must produce the M049 row
+ * shape. Then DisgorgementCalculator.forEnslaver is run against an in-memory
+ * db + flat rate resolver to check the inventory's non-chattel share (and only
+ * that share) reaches the disgorgement total. No database.
+ *
+ * Usage:
+ *   node tests/documents/test-estate-inventory-extractor.js
+ *   node tests/documents/test-estate-inventory-extractor.js --sample <substring>
+ *   node tests/documents/test-estate-inventory-extractor.js --verbose
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const { EstateInventoryExtractor } = require(path.join(REPO_ROOT, 'src/services/documents/extractors/estate-inventory-extractor'));
+const { classifyBlock } = require(path.join(REPO_ROOT, 'src/services/documents/extractors'));
+const DisgorgementCalculator = require(path.join(REPO_ROOT, 'src/services/reparations/DisgorgementCalculator'));
+const SAMPLES_DIR = path.join(REPO_ROOT, 'samples/estate_inventories');
+
+const args = process.argv.slice(2);
+const SAMPLE_FILTER = args.includes('--sample') ? args[args.indexOf('--sample') + 1] : null;
+const VERBOSE = args.includes('--verbose');
+
+let passed = 0, failed = 0;
+function check(name, cond, detail) {
+    if (cond) { passed++; if (VERBOSE) console.log(`     ok   ${name}`); }
+    else { failed++; console.log(`     FAIL ${name}${detail !== undefined ? ` (got ${JSON.stringify(detail)})` : ''}`); }
+}
+
+(async () => {
+    const sampleDirs = fs.readdirSync(SAMPLES_DIR)
+        .filter(d => fs.statSync(path.join(SAMPLES_DIR, d)).isDirectory())
+        .filter(d => !SAMPLE_FILTER || d.includes(SAMPLE_FILTER));
+
+    console.log(`══════════════════════════════════════════════════════════════════`);
+    console.log(`  Estate-inventory extractor test (classifier + extractor + M049)`);
+    console.log(`  Samples: ${sampleDirs.length}`);
+    console.log(`══════════════════════════════════════════════════════════════════\n`);
+
+    const extractor = new EstateInventoryExtractor();
+    const valuations = [];
+
+    for (const dir of sampleDirs) {
+        const samplePath = path.join(SAMPLES_DIR, dir);
+        const metadata = JSON.parse(fs.readFileSync(path.join(samplePath, 'metadata.json'), 'utf8'));
+        const text = fs.readFileSync(path.join(samplePath, metadata.files.transcription), 'utf8');
+        const exp = metadata.expected;
+        console.log(`  ${dir}`);
+
+        const routed = classifyBlock(text);
+        check('classifyBlock routes to estate_inventory', routed?.documentClass === 'estate_inventory', routed?.documentClass);
+
+        const { expected, ...sourceMetadata } = metadata;
+        const r = await extractor.extract({ blockText: text, sourceMetadata });
+        const byRole = role => r.entities.filter(e => e.role === role);
+        const decedent = byRole('decedent_enslaver')[0];
+        const enslaved = byRole('enslaved_person_appraised');
+        const total = byRole('estate_total_appraisal')[0]?.attributes;
+        const appraisal = r.events.find(e => e.type === 'appraisal');
+
+        check('decedent', decedent?.attributes.name === exp.decedent, decedent?.attributes.name);
+        check('appraisal date', appraisal?.date_window_start === exp.appraisal_date, appraisal?.date_window_start);
+        check('county', byRole('estate_jurisdiction')[0]?.attributes.county === exp.county, byRole('estate_jurisdiction')[0]?.attributes);
+        check(`${exp.enslaved.length} enslaved person(s)`, enslaved.length === exp.enslaved.length, enslaved.map(e => e.attributes.name));
+        for (const want of exp.enslaved) {
+            const got = enslaved.find(e => e.attributes.name === want.name)?.attributes;
+            const fields = Object.keys(want).filter(k => k !== 'name');
+            check(`  ${want.name}: ${fields.join('/')}`, got && fields.every(k => got[k] === want[k]), got);
+        }
+        for (const [mother, child] of exp.parent_of) {
+            const edge = r.relationships.find(rel => rel.type === 'parent_of'
+                && r.entities[rel.fromEntityIdx].attributes.name === mother
+                && r.entities[rel.toEntityIdx].attributes.name === child);
+            check(`parent_of ${mother} → ${child}`, !!edge);
+        }
+        check(`${exp.line_items} non-chattel line items`, byRole('estate_line_item').length === exp.line_items, byRole('estate_line_item').map(e => e.attributes.description));
+        check('total', total?.amount_usd === exp.total_usd, total?.amount_usd);
+        check('enslaved / non-chattel split',
+            total?.enslaved_value_usd === exp.enslaved_value_usd && total?.non_chattel_value_usd === exp.non_chattel_value_usd,
+            total && [total.enslaved_value_usd, total.non_chattel_value_usd]);
+        const appraisers = byRole('appraiser').map(e => e.attributes.name);
+        check('appraisers', JSON.stringify(appraisers) === JSON.stringify(exp.appraisers), appraisers);
+
+        const v = EstateInventoryExtractor.toEstateValuation(r);
+        check('toEstateValuation → total cents + currency_year',
+            v && v.total_estate_value_cents === Math.round(exp.total_usd * 100) && v.currency_year === parseInt(exp.appraisal_date, 10), v);
+        check('toEstateValuation → confidence bounds',
+            v && v.confidence_low_cents === Math.round(exp.confidence_low_usd * 100) && v.confidence_high_cents === Math.round(exp.confidence_high_usd * 100),
+            v && [v.confidence_low_cents, v.confidence_high_cents]);
+        check('toEstateValuation → breakdown parts sum to the line items',
+            v && v.breakdown_jsonb.real_property_cents + v.breakdown_jsonb.personal_property_cents
+               + v.breakdown_jsonb.monetary_cents + v.breakdown_jsonb.enslaved_persons_cents
+               === Math.round(total.summed_total_usd * 100));
+        if (v) valuations.push(v);
+
+        if (VERBOSE) {
+            for (const e of r.entities) console.log(`       ${e.role}: ${JSON.stringify(e.attributes)}`);
+        }
+        console.log();
+    }
+
+    // Pound-denominated inventories keep their line items but produce no valuation
+    const sterling = await extractor.extract({ blockText: 'Inventory and appraisement of the estate of Hugh Bryan deceased\nNegro man Cato  £40\nOne horse  £8\nAppraisers: John Hunt, Peter Hall' });
+    check('sterling inventory → no estate_valuations row', EstateInventoryExtractor.toEstateValuation(sterling) === null);
+
+    // ── DisgorgementCalculator reads inventory rows' non-chattel share ──
+    const fakeDb = {
+        async query(sql) {
+            if (/FROM canonical_persons/.test(sql)) return { rows: [{ primary_state: 'GA' }] };
+            if (/FROM estate_valuations/.test(sql)) {
+                return { rows: valuations.map(v => ({ usd: v.breakdown_jsonb.non_chattel_value_usd, year: v.currency_year })) };
+            }
+            if (/FROM wealth_transfer_events/.test(sql)) return { rows: [{ n_valued: 0, sum_usd: 0 }] };
+            return { rows: [] };
+        },
+    };
+    const flatRate = { async bringToPresent(usd) { return { present_value: usd, basis: 'anchored' }; } };
+    const disg = await new DisgorgementCalculator(fakeDb, { rateResolver: flatRate }).forEnslaver(42);
+    const expectedNonChattel = valuations.reduce((s, v) => s + v.breakdown_jsonb.non_chattel_value_usd, 0);
+    console.log(`  DisgorgementCalculator.forEnslaver (flat rate, ${valuations.length} inventories)`);
+    check('estate_inventory component = Σ non-chattel (chattel value excluded)',
+        Math.abs(disg.components.estate_inventory.usd - expectedNonChattel) < 0.01, disg.components.estate_inventory);
+    check('estate_inventory flows into total_usd', Math.abs(disg.total_usd - expectedNonChattel) < 0.01, disg.total_usd);
+    check('evidence = traced', disg.evidence === 'traced', disg.evidence);
+
+    console.log(`\n══════════════════════════════════════════════════════════════════`);
+    console.log(`  ${passed}/${passed + failed} passed${failed ? `, ${failed} FAILED` : ''}`);
+    console.log(`══════════════════════════════════════════════════════════════════`);
+    process.exit(failed ? 1 : 0);
+})().catch(e => {
+    console.error('FATAL:', e.message);
+    console.error(e.stack);
+    process.exit(2);
+});
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Test for the manumission / certificate-of-freedom extractor.
+ *
+ * For each sample in samples/manumissions/: classifyBlock must route the
+ * transcription to 'manumission'; freed person (name, sex, age, physical
+ * descriptors) / manumitter / condition / instrument date / effective year /
+ * place / clerk or witnesses are compared against metadata.json "expected";
+ * toFreedomEvent() must produce the freedom_events (M111) row shape. Bills of
+ * sale must not be claimed by this extractor. No database.
+ *
+ * Usage:
+ *   node tests/documents/test-manumission-extractor.js
+ *   node tests/documents/test-manumission-extractor.js --sample <substring>
+ *   node tests/documents/test-manumission-extractor.js --verbose
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const { ManumissionExtractor } = require(path.join(REPO_ROOT, 'src/services/documents/extractors/manumission-extractor'));
+const { classifyBlock } = require(path.join(REPO_ROOT, 'src/services/documents/extractors'));
+const SAMPLES_DIR = path.join(REPO_ROOT, 'samples/manumissions');
+const BILLS_DIR = path.join(REPO_ROOT, 'samples/bills_of_sale');
+
+const args = process.argv.slice(2);
+const SAMPLE_FILTER = args.includes('--sample') ? args[args.indexOf('--sample') + 1] : null;
+const VERBOSE = args.includes('--verbose');
+
+let passed = 0, failed = 0;
+function check(name, cond, detail) {
+    if (cond) { passed++; if (VERBOSE) console.log(`     ok   ${name}`); }
+    else { failed++; console.log(`     FAIL ${name}${detail !== undefined ? ` (got ${JSON.stringify(detail)})` : ''}`); }
+}
+
+(async () => {
+    const sampleDirs = fs.readdirSync(SAMPLES_DIR)
+        .filter(d => fs.statSync(path.join(SAMPLES_DIR, d)).isDirectory())
+        .filter(d => !SAMPLE_FILTER || d.includes(SAMPLE_FILTER));
+
+    console.log(`══════════════════════════════════════════════════════════════════`);
+    console.log(`  Manumission extractor test (classifier + extractor + M111)`);
+    console.log(`  Samples: ${sampleDirs.length}`);
+    console.log(`══════════════════════════════════════════════════════════════════\n`);
+
+    const extractor = new ManumissionExtractor();
+
+    for (const dir of sampleDirs) {
+        const samplePath = path.join(SAMPLES_DIR, dir);
+        const metadata = JSON.parse(fs.readFileSync(path.join(samplePath, 'metadata.json'), 'utf8'));
+        const text = fs.readFileSync(path.join(samplePath, metadata.files.transcription), 'utf8');
+        const exp = metadata.expected;
+        console.log(`  ${dir}`);
+
+        const routed = classifyBlock(text);
+        check('classifyBlock routes to manumission', routed?.documentClass === 'manumission', routed?.documentClass);
+
+        const { expected, ...sourceMetadata } = metadata;
+        const r = await extractor.extract({ blockText: text, sourceMetadata });
+        const byRole = role => r.entities.filter(e => e.role === role);
+        const freed = byRole('freed_person')[0]?.attributes;
+        const manumitter = byRole('manumitting_enslaver')[0]?.attributes.name ?? null;
+        const place = byRole('manumission_jurisdiction')[0]?.attributes;
+        const event = r.events[0];
+
+        const fields = Object.keys(exp.freed);
+        check(`freed person: ${fields.join('/')}`, freed && fields.every(k => freed[k] === exp.freed[k]), freed);
+        check('manumitter', manumitter === exp.manumitter, manumitter);
+        check('instrument form', event?.attributes.instrument_form === exp.form, event?.attributes.instrument_form);
+        check('condition', event?.attributes.condition_type === exp.condition_type, event?.attributes.condition_type);
+        check('instrument date', event?.attributes.instrument_date === exp.instrument_date, event?.attributes.instrument_date);
+        check('effective year', event?.attributes.effective_year === exp.effective_year, event?.attributes.effective_year);
+        check('county', (place?.county ?? null) === exp.county, place);
+        check('state', (place?.state ?? null) === exp.state, place);
+        const officials = r.entities.filter(e => e.role === 'issuing_clerk' || e.role === 'witness').map(e => e.attributes.name);
+        check('clerk / witnesses', JSON.stringify(officials) === JSON.stringify(exp.officials), officials);
+        check('enslaved_by edge closed by the manumission',
+            exp.manumitter === null
+                ? !r.relationships.some(rel => rel.type === 'enslaved_by')
+                : r.relationships.some(rel => rel.type === 'enslaved_by' && rel.attributes.ended_by === 'manumission'
+                    && rel.attributes.end_year === exp.effective_year));
+
+        const row = ManumissionExtractor.toFreedomEvent(r);
+        check('toFreedomEvent → name / type / effective_year',
+            row && row.enslaved_name_text === exp.freed.name && row.freedom_type === exp.form && row.effective_year === exp.effective_year, row);
+        check('toFreedomEvent → descriptors exclude name/age/sex',
+            row && !('name' in row.descriptors_jsonb) && !('age' in row.descriptors_jsonb)
+               && (exp.freed.height_inches === undefined || row.descriptors_jsonb.height_inches === exp.freed.height_inches),
+            row?.descriptors_jsonb);
+
+        if (VERBOSE) {
+            for (const e of r.entities) console.log(`       ${e.role}: ${JSON.stringify(e.attributes)}`);
+            if (event) console.log(`       ${event.type}: ${JSON.stringify(event.attributes)}`);
+        }
+        console.log();
+    }
+
+    // A deed that frees on the manumitter's death has no computable year
+    const atDeath = await extractor.extract({ blockText: 'Know all men by these presents that I, Ann Tilghman, do hereby manumit and set free my negro woman named Rachel, aged about 30 years, from and after my death. Witness my hand and seal this 1st day of May 1810.\nAnn Tilghman (Seal)' });
+    check('death_of_manumitter → no effective year',
+        atDeath.events[0]?.attributes.condition_type === 'death_of_manumitter' && atDeath.events[0].attributes.effective_year === null,
+        atDeath.events[0]?.attributes);
+
+    // Negative control: bills of sale must not route to manumission
+    let misrouted = 0;
+    for (const dir of fs.readdirSync(BILLS_DIR)) {
+        const p = path.join(BILLS_DIR, dir, 'transcription.txt');
+        if (!fs.existsSync(p)) continue;
+        if (classifyBlock(fs.readFileSync(p, 'utf8'))?.documentClass === 'manumission') misrouted++;
+    }
+    check('no bill of sale routed to manumission', misrouted === 0, misrouted);
+
+    console.log(`\n══════════════════════════════════════════════════════════════════`);
+    console.log(`  ${passed}/${passed + failed} passed${failed ? `, ${failed} FAILED` : ''}`);
+    console.log(`══════════════════════════════════════════════════════════════════`);
+    process.exit(failed ? 1 : 0);
+})().catch(e => {
+    console.error('FATAL:', e.message);
+    console.error(e.stack);
+    process.exit(2);
+});
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * test-bibliography-interchange.js — CSL-JSON / RIS / BibTeX import + export.
+ *
+ * Verifies:
+ *   - RIS records (with continuation lines) and BibTeX entries (@string macros,
+ *     LaTeX accents, # concatenation) parse to CSL-JSON
+ *   - format detection
+ *   - citation keys are surname + year + first significant title word, and a
+ *     collision gets an a/b suffix instead of a new key for the old entry
+ *   - import skips duplicates by DOI, by fingerprint and within the
+ *     same file, and a dry run writes nothing; concurrent imports on one
+ *     manager keep their batch's reserved keys apart
+ *   - CSL-JSON and RIS export round-trip through the parsers with the key as id
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-bibliography-interchange.js
+ */
+'use strict';
+const interchange = require('../../src/utils/bibliography-interchange');
+const BibliographyManager = require('../../src/utils/bibliography-manager');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const RIS = [
+  'TY  - BOOK',
+  'AU  - Blake, W. O.',
+  'TI  - The History of Slavery and the Slave Trade,',
+  '  Ancient and Modern',
+  'PY  - 1860',
+  'PB  - J. & H. Miller',
+  'CY  - Columbus, Ohio',
+  'UR  - https://archive.org/details/historyofslavery00blak',
+  'ER  - ',
+  '',
+  'TY  - JOUR',
+  'AU  - Ager, Philipp',
+  'AU  - Boustan, Leah',
+  'AU  - Eriksson, Katherine',
+  'TI  - The Intergenerational Effects of a Large Wealth Shock',
+  'T2  - American Economic Review',
+  'PY  - 2021',
+  'VL  - 111',
+  'IS  - 11',
+  'SP  - 3767',
+  'EP  - 3794',
+  'DO  - 10.1257/aer.20191422',
+  'ER  - ',
+].join('\n');
+
+const BIB = `
+@string{aer = "American Economic Review"}
+@article{ager2021,
+  author = {Ager, Philipp and Boustan, Leah and Eriksson, Katherine},
+  title = {The {Intergenerational} Effects of a Large Wealth Shock},
+  journal = aer,
+  year = 2021,
+  doi = {https://doi.org/10.1257/AER.20191422}
+}
+@book{mattoso1986,
+  author = {Mattos{\\~o}, K{\\'a}tia M. de Queir{\\'o}s},
+  title = "To Be a Slave in " # "Brazil",
+  year = {1986},
+  publisher = {Rutgers University Press}
+}`;
+
+(async () => {
+  const log = console.log;
+
+  const ris = interchange.parseRIS(RIS);
+  check('RIS parses both records', ris.length === 2 && ris[0].type === 'book' && ris[1].type === 'article-journal');
+  check('RIS continuation line joined', /Trade, Ancient and Modern$/.test(ris[0].title));
+  check('RIS pages and DOI', ris[1].page === '3767-3794' && ris[1].DOI === '10.1257/aer.20191422'
+    && ris[1].author.length === 3 && ris[1].author[0].family === 'Ager');
+
+  const bib = interchange.parseBibTeX(BIB);
+  check('BibTeX @string macro expands', bib[0]['container-title'] === 'American Economic Review');
+  check('BibTeX braces and DOI URL normalized', bib[0].title === 'The Intergenerational Effects of a Large Wealth Shock'
+    && interchange.normalizeDoi(bib[0].DOI) === '10.1257/aer.20191422');
+  check('BibTeX accents and # concatenation', bib[1].author[0].family === 'Mattosõ'
+    && bib[1].title === 'To Be a Slave in Brazil');
+
+  check('format detection', interchange.detectFormat(RIS) === 'ris' && interchange.detectFormat(BIB) === 'bibtex'
+    && interchange.detectFormat('[{"title":"x"}]') === 'csl-json');
+
+  check('citation key skips title stop words', interchange.citationKey(ris[0]) === 'blake1860history'
+    && interchange.citationKey(ris[1]) === 'ager2021intergeneration');
+
+  // Import into an in-memory manager (no pool).
+  console.log = () => {};
+  const mgr = new BibliographyManager(null);
+  const first = await mgr.importEntries(RIS, { addedBy: 'tester' });
+  const again = await mgr.importEntries(BIB);
+  const dry = await mgr.importEntries([
+    { id: 'http://zotero.org/users/1/items/ABCD2345', type: 'book', title: 'The History of Slavery', author: [{ family: 'Blake' }], issued: { 'date-parts': [[1860]] } },
+    { type: 'book', title: 'The History of Slavery', author: [{ family: 'Blake' }], issued: { 'date-parts': [[1860]] } },
+  ], { dryRun: true });
+  const sameKey = () => mgr.importEntries([
+    { type: 'book', title: 'History of Virginia', author: [{ family: 'Cole' }], issued: { 'date-parts': [[1850]] } },
+    { type: 'book', title: 'History of Maryland', author: [{ family: 'Cole' }], issued: { 'date-parts': [[1850]] } },
+  ], { dryRun: true });
+  const concurrent = await Promise.all([sameKey(), sameKey()]);
+  console.log = log;
+
+  check('RIS import assigns keys', first.format === 'ris' && first.imported.map(i => i.citationKey).join() === 'blake1860history,ager2021intergeneration');
+  check('duplicate by DOI across formats', again.duplicates.length === 1 && again.duplicates[0].matchedBy === 'doi'
+    && again.duplicates[0].citationKey === 'ager2021intergeneration' && again.imported.length === 1);
+  check('colliding key gets a suffix; duplicate in same file skipped', dry.imported.length === 1
+    && dry.imported[0].citationKey === 'blake1860historya' && dry.duplicates[0].matchedBy === 'same_file');
+  check('dry run writes nothing', mgr.inMemoryStore.entries.length === 3);
+  check('concurrent imports reserve keys per batch', concurrent.every(r =>
+    r.imported.map(i => i.citationKey).join() === 'cole1850history,cole1850historya'));
+
+  const stored = await mgr.getEntryByKey('blake1860history');
+  check('entry found by key with CSL stored', stored && stored.csl.id === 'blake1860history' && stored.citations.bibtex.startsWith('@misc{blake1860history,'));
+
+  const fpDup = await mgr.findDuplicate({ title: 'THE INTERGENERATIONAL EFFECTS OF A LARGE WEALTH SHOCK', author: [{ family: 'Ager' }], issued: { 'date-parts': [[2021]] } });
+  check('fingerprint duplicate ignores case and punctuation', fpDup && fpDup.matchedBy === 'fingerprint');
+
+  // Export → re-parse.
+  const cslOut = JSON.parse(await mgr.exportBibliography('csl-json'));
+  check('CSL-JSON export uses citation keys as ids', cslOut.length === 3 && cslOut[1].id === 'ager2021intergeneration'
+    && cslOut[1].DOI === '10.1257/aer.20191422');
+  const risOut = await mgr.exportBibliography('ris');
+  const reparsed = interchange.parseRIS(risOut);
+  check('RIS export round-trips', reparsed.length === 3 && reparsed[0].title === ris[0].title
+    && reparsed[1].page === '3767-3794' && /\r\n/.test(risOut));
+
+  let badFormat = false;
+  try { await mgr.importEntries('just some text'); } catch (e) { badFormat = e.code === 'BAD_FORMAT' && e.httpStatus === 400; }
+  check('undetectable format refused', badFormat);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
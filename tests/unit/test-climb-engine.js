@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * test-climb-engine.js — ClimbEngine + tree providers.
+ *
+ * Verifies:
+ *   - InMemoryTreeProvider answers parents from father_id / mother_id and
+ *     derives children
+ *   - climbFrom opens a session with the provider as source, matches every
+ *     ancestor but the root, records the provider's discovery method on links,
+ *     honours maxGenerations, and keeps climbing past a provider error
+ *   - per-link discoveryMethod / confidence override the provider's; getParents
+ *     gets the generation; onVisit / onParent / onMatch / fallbackMatch hooks
+ *   - a failed climb saves its queue, with the person it failed on, and
+ *     resume() finishes it without revisiting anyone
+ *   - descendants walks breadth-first, skips the root, reads each person's
+ *     children once and hands them to onPerson, hands each person's onPerson
+ *     result to its children, and stops at maxGenerations / maxPersons
+ *   - WikiTreeProvider: getProfile → person, Father / Mother ids → parents,
+ *     getRelatives → children, responses cached
+ *   - FamilySearchProvider: bearer token, PIDs as fs_id, adoptive links skipped,
+ *     404 → null, no token → error
+ *   - FamilySearchBrowserProvider: tree links from the page read, discovery when
+ *     there are none (low confidence dropped, names → canonical identities →
+ *     tree persons or name-only persons, capped by generation), participant
+ *     stand-in for an empty root and NAME-ONLY, name-only persons on resume
+ *
+ * Pure in-memory; no database, no network.
+ *
+ *   node tests/unit/test-climb-engine.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+delete process.env.FAMILYSEARCH_ACCESS_TOKEN;
+const ClimbEngine = require('../../src/services/genealogy/ClimbEngine');
+const { InMemoryTreeProvider, WikiTreeProvider, FamilySearchProvider, FamilySearchBrowserProvider } = require('../../src/services/genealogy/providers');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const person = (id, name, birth_year, father_id = null, mother_id = null) => ({
+  id, name, sex: null, birth_year, death_year: null, birth_place: null, locations: [], fs_id: null,
+  father_id, mother_id, living: false,
+});
+
+//   ann (1960) ← bob (1930) + cara (1932); bob ← dan (1900); dan ← eli (1870) ← fay (1840)
+const PERSONS = [
+  person('ann', 'Ann Hale', 1960, 'bob', 'cara'),
+  person('bob', 'Bob Hale', 1930, 'dan'),
+  person('cara', 'Cara Webb', 1932),
+  person('dan', 'Dan Hale', 1900, 'eli'),
+  person('eli', 'Eli Hale', 1870, 'fay'),
+  person('fay', 'Fay Hale', 1840),
+  person('gus', 'Gus Hale', 1962, 'bob', 'cara'),
+];
+
+function fakeDb(matches = {}, missing = new Set()) {
+  const calls = [];
+  const sessions = new Map();
+  const matchRows = [];
+  return {
+    calls, sessions, matchRows, missing,
+    async query(text, params = []) {
+      calls.push({ text, params });
+      if (text.includes('find_person_match')) {
+        if (missing.has(params[0])) throw new Error('function find_person_match(text) does not exist');
+        return { rows: matches[params[0]] || [] };
+      }
+      if (text.includes('FROM ancestor_climb_sessions WHERE id')) return { rows: sessions.has(params[0]) ? [sessions.get(params[0])] : [] };
+      if (text.includes('INSERT INTO ancestor_climb_sessions')) {
+        const id = sessions.size + 1;
+        sessions.set(id, { id, modern_person_name: params[0], modern_person_fs_id: params[1], config: JSON.parse(params[2]), source: params[3] });
+        return { rows: [{ id }] };
+      }
+      if (text.includes('INSERT INTO ancestor_climb_matches')) { matchRows.push(params); return { rows: [] }; }
+      if (text.includes("SET status = 'in_progress'")) { sessions.get(params[0]).status = 'in_progress'; return { rows: [] }; }
+      if (text.includes('UPDATE ancestor_climb_sessions')) {
+        Object.assign(sessions.get(params[0]), { status: params[1], ancestors_visited: params[2], max_generation_reached: params[3],
+          matches_found: params[4], visited_set: params[5], all_matches: JSON.parse(params[6]),
+          current_queue: JSON.parse(params[10]), last_error: params[8] });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+const fakeVerifier = {
+  async verify() {
+    return { classification: 'debt', confidence_adjusted: 0.8, evidence: [{ detail: 'date fits' }], requires_human_review: false, review_reason: null };
+  },
+};
+
+const acceptAll = {
+  seen: [],
+  validate(child, link) {
+    this.seen.push(link);
+    return { recommendation: 'accept', adjustedConfidence: link.confidence, reason: 'ok' };
+  },
+};
+
+// fetch stand-in: routes by a key derived from the request, counts calls
+function fakeFetch(route) {
+  const calls = [];
+  const fn = async (url, init = {}) => {
+    calls.push({ url, init });
+    const out = route(url, init);
+    const status = out === null ? 404 : 200;
+    return { ok: status === 200, status, json: async () => out };
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+(async () => {
+  // ── in-memory provider ────────────────────────────────────────────────
+  const tree = new InMemoryTreeProvider(PERSONS, { name: 'gedcom', discoveryMethod: 'gedcom_import' });
+  const annParents = await tree.getParents('ann');
+  check('parents from father_id / mother_id', annParents.length === 2
+    && annParents[0].relationship === 'father' && annParents[0].person.id === 'bob' && annParents[1].person.id === 'cara');
+  check('children derived from parent links', (await tree.getChildren('bob')).map(p => p.id).join() === 'ann,gus');
+
+  // ── climb ─────────────────────────────────────────────────────────────
+  const db = fakeDb({
+    'Ann Hale': [{ match_tier: 2, match_confidence: '0.99', match_details: 'exact', person_type: 'enslaver',
+      canonical_person_id: 1, canonical_name: 'Ann Hale', birth_year_estimate: 1960, primary_state: 'VA' }],
+    'Eli Hale': [{ match_tier: 2, match_confidence: '0.82', match_details: 'name+date', person_type: 'enslaver',
+      canonical_person_id: 77, canonical_name: 'Eli Hale', birth_year_estimate: 1871, primary_state: 'VA' }],
+  });
+  const engine = new ClimbEngine(db, { verifier: fakeVerifier, garbageDetector: acceptAll });
+  const result = await engine.climbFrom(tree, 'ann', { createdBy: 'ana' });
+  const session = db.sessions.get(result.sessionId);
+  check('session opened with the provider as source', session.source === 'gedcom' && session.modern_person_name === 'Ann Hale'
+    && session.modern_person_fs_id === 'NAME-ONLY' && session.config.root_id === 'ann');
+  check('root never matched, ancestors all looked up', !db.calls.some(c => c.text.includes('find_person_match') && c.params[0] === 'Ann Hale')
+    && ['Bob Hale', 'Cara Webb', 'Dan Hale', 'Eli Hale', 'Fay Hale'].every(n => db.calls.some(c => c.text.includes('find_person_match') && c.params[0] === n)));
+  const eli = db.matchRows[0];
+  check('match saved with lineage path from the root', result.matches.length === 1 && eli[4] === 'Eli Hale' && eli[8] === 3
+    && JSON.stringify(eli[9]) === JSON.stringify(['Ann Hale', 'Bob Hale', 'Dan Hale', 'Eli Hale']));
+  check('links carry the provider\'s discovery method', acceptAll.seen.length === 5
+    && acceptAll.seen.every(l => l.discoveryMethod === 'gedcom_import' && l.confidence === 0.85));
+  check('session completed with counts', session.status === 'completed' && session.ancestors_visited === 6
+    && session.max_generation_reached === 4 && session.matches_found === 1);
+
+  const short = fakeDb();
+  const shortResult = await new ClimbEngine(short, { verifier: fakeVerifier, garbageDetector: acceptAll }).climbFrom(tree, 'ann', { maxGenerations: 2 });
+  check('maxGenerations stops the climb', shortResult.visited === 4 && shortResult.maxGeneration === 2
+    && !short.calls.some(c => c.text.includes('find_person_match') && c.params[0] === 'Eli Hale'));
+
+  const flaky = Object.create(tree);
+  flaky.getParents = async (id) => { if (id === 'bob') throw new Error('timeout'); return tree.getParents(id); };
+  const flakyResult = await new ClimbEngine(fakeDb(), { verifier: fakeVerifier, garbageDetector: acceptAll }).climbFrom(flaky, 'ann');
+  check('a provider error is counted and the climb goes on', flakyResult.errors === 1 && flakyResult.visited === 3);
+
+  // ── per-link method, generation, hooks ────────────────────────────────
+  const generations = [];
+  const recorded = Object.create(tree);
+  recorded.getParents = async (id, opts) => {
+    generations.push([id, opts.generation]);
+    if (id === 'cara') {
+      return [{ relationship: 'father', person: person('hal', 'Hal Webb', 1905), discoveryMethod: 'record_search', confidence: 0.6, inferred: true }];
+    }
+    return tree.getParents(id);
+  };
+  const linkSeen = { seen: [], validate: acceptAll.validate };
+  const visits = [], parentLinks = [], matched = [];
+  const hooked = await new ClimbEngine(fakeDb(), { verifier: fakeVerifier, garbageDetector: linkSeen }).climbFrom(recorded, 'ann', {
+    maxGenerations: 2,
+    onVisit: (p, ctx) => visits.push([p.id, ctx.generation, ctx.path.join('>')]),
+    onParent: (child, link) => parentLinks.push([child.id, link.person.id, link.discoveryMethod, link.confidence, !!link.inferred]),
+    onMatch: (p, match, verdict) => matched.push([p.id, match.canonical_name, verdict.classification]),
+    fallbackMatch: async (p) => p.id === 'hal' ? { id: null, canonical_name: 'Hal Webb (voyages)', type: 'slavevoyages', confidence: 0.7 } : null,
+  });
+  check('getParents gets the generation', JSON.stringify(generations) === JSON.stringify([['ann', 0], ['bob', 1], ['cara', 1]]));
+  const halLink = linkSeen.seen.find(l => l.parentName === 'Hal Webb');
+  check('a link\'s own method and confidence beat the provider\'s', halLink.discoveryMethod === 'record_search' && halLink.confidence === 0.6
+    && linkSeen.seen.find(l => l.parentName === 'Dan Hale').discoveryMethod === 'gedcom_import');
+  check('onVisit sees every ancestor with generation and path', visits.length === 5
+    && visits.some(v => v.join() === 'hal,2,Ann Hale>Cara Webb>Hal Webb'));
+  check('onParent gets each climbed link as checked', parentLinks.length === 4
+    && parentLinks.some(l => l.join() === 'cara,hal,record_search,0.6,true'));
+  check('fallbackMatch fills in when find_person_match has nothing; onMatch follows the save', hooked.matches.length === 1
+    && hooked.matches[0].slaveholder === 'Hal Webb (voyages)' && JSON.stringify(matched) === JSON.stringify([['hal', 'Hal Webb (voyages)', 'debt']]));
+
+  // ── fail and resume ───────────────────────────────────────────────────
+  const resumeDb = fakeDb({ 'Eli Hale': [{ match_tier: 2, match_confidence: '0.82', match_details: 'name+date', person_type: 'enslaver',
+    canonical_person_id: 77, canonical_name: 'Eli Hale', birth_year_estimate: 1871, primary_state: 'VA' }] }, new Set(['Dan Hale']));
+  const resumable = new ClimbEngine(resumeDb, { verifier: fakeVerifier, garbageDetector: acceptAll });
+  let fatal = null;
+  try { await resumable.climbFrom(tree, 'ann'); } catch (e) { fatal = e; }
+  const stopped = resumeDb.sessions.get(1);
+  check('missing find_person_match fails the session with its queue saved', fatal && stopped.status === 'failed'
+    && /find_person_match/.test(stopped.last_error) && stopped.current_queue.map(q => q.id).join() === 'dan'
+    && !stopped.visited_set.includes('dan') && stopped.current_queue[0].path.join() === 'Ann Hale,Bob Hale');
+  resumeDb.missing.clear();
+  const statuses = [];
+  const resumeHooks = { onVisit: () => statuses.push(resumeDb.sessions.get(1).status) };
+  const lookups = resumeDb.calls.filter(c => c.text.includes('find_person_match')).length;
+  const resumed = await resumable.resume(tree, 1, resumeHooks);
+  const after = resumeDb.calls.filter(c => c.text.includes('find_person_match')).slice(lookups).map(c => c.params[0]);
+  check('resume carries on from the queue without revisiting', resumed.visited === 6 && resumeDb.sessions.get(1).status === 'completed'
+    && after.join() === 'Dan Hale,Eli Hale,Fay Hale' && resumed.maxGeneration === 4 && statuses[0] === 'in_progress');
+  check('resumed match keeps its lineage path', resumed.matches.length === 1
+    && resumed.matches[0].path.join('>') === 'Ann Hale>Bob Hale>Dan Hale>Eli Hale');
+  let noSession = null;
+  try { await resumable.resume(tree, 99); } catch (e) { noSession = e; }
+  check('resume of an unknown session is an error', noSession && /No climb session 99/.test(noSession.message));
+
+  // ── descendants ───────────────────────────────────────────────────────
+  const seen = [];
+  const childReads = [];
+  const counted = Object.assign(Object.create(tree), {
+    getChildren: (id) => { childReads.push(id); return tree.getChildren(id); },
+  });
+  const walk = await engine.descendants(counted, 'fay', {
+    onPerson: (p, { generation, parent, children }) => {
+      seen.push([p.id, generation, parent, children.map(c => c.id).join()]);
+      return `row-${p.id}`;
+    },
+  });
+  check('descendant walk skips the root, breadth-first', walk.root.id === 'fay'
+    && walk.descendants.map(d => d.person.id).join() === 'eli,dan,bob,ann,gus');
+  check('onPerson result handed down to children', JSON.stringify(seen.find(s => s[0] === 'ann')) === JSON.stringify(['ann', 4, 'row-bob', ''])
+    && seen[0][2] === null);
+  check('onPerson gets the children the walk reads, each read once', seen.find(s => s[0] === 'bob')[3] === 'ann,gus'
+    && childReads.length === new Set(childReads).size && childReads.length === 6);
+  const capped = await engine.descendants(tree, 'fay', { maxGenerations: 2 });
+  const few = await engine.descendants(tree, 'fay', { maxPersons: 3 });
+  check('maxGenerations and maxPersons cap the walk', capped.descendants.length === 2 && few.descendants.length === 3);
+
+  // ── WikiTree ──────────────────────────────────────────────────────────
+  const WT = {
+    'Hale-1': { Id: 1, Name: 'Hale-1', LongName: 'Eli  Hale', Gender: 'Male', BirthDate: '1870-00-00', DeathDate: '0000-00-00',
+      BirthLocation: 'Albemarle, Virginia', Father: 2, Mother: 0, IsLiving: 0 },
+    2: { Id: 2, Name: 'Hale-2', LongName: 'Fay Hale', Gender: 'Female', BirthDate: '1840-03-01', Father: 0, Mother: 0, IsLiving: 0 },
+  };
+  const wtFetch = fakeFetch((url, init) => {
+    const params = new URLSearchParams(init.body);
+    if (params.get('action') === 'getProfile') return [{ profile: WT[params.get('key')] || {} }];
+    if (params.get('action') === 'getRelatives') {
+      return [{ items: [{ key: params.get('keys'), person: { Children: { 3: { Id: 3, Name: 'Hale-3', LongName: 'Dan Hale', BirthDate: '1900-00-00', IsLiving: 0 } } } }] }];
+    }
+    return [];
+  });
+  const wikitree = new WikiTreeProvider({ fetch: wtFetch, rateLimit: 0 });
+  const wEli = await wikitree.getPerson('Hale-1');
+  check('WikiTree profile → person', wEli.id === 'Hale-1' && wEli.name === 'Eli Hale' && wEli.sex === 'M' && wEli.birth_year === 1870
+    && wEli.death_year === null && wEli.birth_place === 'Albemarle, Virginia' && wEli.url === 'https://www.wikitree.com/wiki/Hale-1');
+  const wParents = await wikitree.getParents('Hale-1');
+  check('WikiTree Father / Mother ids → parents', wParents.length === 1 && wParents[0].relationship === 'father'
+    && wParents[0].person.id === 'Hale-2');
+  const wChildren = await wikitree.getChildren('Hale-1');
+  await wikitree.getChildren('Hale-1');
+  await wikitree.getPerson('Hale-1');
+  check('WikiTree children from getRelatives, cached', wChildren.map(c => c.name).join() === 'Dan Hale' && wtFetch.calls.length === 3
+    && new URLSearchParams(wtFetch.calls[0].init.body).get('format') === 'json');
+
+  // ── FamilySearch ──────────────────────────────────────────────────────
+  const fsPerson = (id, name, sex, birth) => ({
+    id, gender: { type: `http://gedcomx.org/${sex}` }, names: [{ nameForms: [{ fullText: name }] }],
+    facts: [{ type: 'http://gedcomx.org/Birth', date: { original: String(birth) } }],
+  });
+  const fsFetch = fakeFetch((url) => {
+    if (url.endsWith('/persons/KWCB-111')) return { persons: [fsPerson('KWCB-111', 'Eli Hale', 'Male', 1870)] };
+    if (url.endsWith('/persons/KWCB-111/parents')) {
+      return {
+        persons: [fsPerson('KWCB-222', 'Fay Hale', 'Female', 1840), fsPerson('KWCB-333', 'Sam Poole', 'Male', 1838)],
+        childAndParentsRelationships: [{
+          parent1: { resourceId: 'KWCB-333' }, parent2: { resourceId: 'KWCB-222' }, child: { resourceId: 'KWCB-111' },
+          parent1Facts: [{ type: 'http://gedcomx.org/AdoptiveParent' }],
+        }],
+      };
+    }
+    if (url.endsWith('/persons/KWCB-111/children')) {
+      return { persons: [fsPerson('KWCB-444', 'Dan Hale', 'Male', 1900)], childAndParentsRelationships: [{ child: { resourceId: 'KWCB-444' } }] };
+    }
+    return null;
+  });
+  const familysearch = new FamilySearchProvider({ fetch: fsFetch, accessToken: 'tok' });
+  const fEli = await familysearch.getPerson('KWCB-111');
+  check('FamilySearch person carries its PID as fs_id', fEli.fs_id === 'KWCB-111' && fEli.birth_year === 1870
+    && fsFetch.calls[0].init.headers.Authorization === 'Bearer tok');
+  const fParents = await familysearch.getParents('KWCB-111');
+  check('adoptive FamilySearch link skipped', fParents.length === 1 && fParents[0].relationship === 'mother' && fParents[0].person.name === 'Fay Hale');
+  check('FamilySearch children', (await familysearch.getChildren('KWCB-111')).map(c => c.id).join() === 'KWCB-444');
+  check('unknown PID is null', await familysearch.getPerson('ZZZZ-999') === null);
+  let noToken = null;
+  try { await new FamilySearchProvider({ fetch: fsFetch, accessToken: null }).getPerson('KWCB-111'); } catch (e) { noToken = e; }
+  check('no access token is an error', noToken && /FAMILYSEARCH_ACCESS_TOKEN/.test(noToken.message));
+
+  // ── FamilySearch in the browser ───────────────────────────────────────
+  const PAGES = {
+    'LX11-AAA': { name: 'Ann Hale', birth_year: 1960, locations: ['Virginia'], father_fs_id: 'LX22-BBB', mother_fs_id: null, raw: {} },
+    'LX22-BBB': { name: 'Bob Hale', birth_year: 1930, locations: ['Albemarle, Virginia'], father_fs_id: null, mother_fs_id: null },
+    'LX33-CCC': { name: 'Ida Poole', birth_year: 1902, locations: ['Virginia'], father_fs_id: null, mother_fs_id: null },
+  };
+  const reads = [], discoveries = [], treeSearches = [], linked = [];
+  const page = {
+    async readPerson(fsId, { generation }) { reads.push([fsId, generation]); return PAGES[fsId] ? { ...PAGES[fsId] } : null; },
+    async discoverParents(p, { generation }) {
+      discoveries.push([p.name, generation]);
+      if (p.name !== 'Bob Hale') return [];
+      return [
+        { parentName: 'Sam Hale', relationship: 'father', confidence: 0.9, discoveryMethod: 'participant_family_tree', sourceUrl: null },
+        { parentName: 'Ida Poole', relationship: 'mother', confidence: 0.7, discoveryMethod: 'familysearch_record_search', sourceUrl: 'ark:/1' },
+        { parentName: 'Zed Guess', relationship: 'father', confidence: 0.3, discoveryMethod: 'wikitree' },
+      ];
+    },
+    async findTreePerson(name) { treeSearches.push(name); return name === 'Ida Poole' ? 'LX33-CCC' : null; },
+  };
+  const ids = { 'Sam Hale': 9, 'Ida Poole': 10 };
+  const identities = {
+    created: [],
+    async findOrCreate(name, birthYear, location, source) { this.created.push([name, birthYear, location, source]); return ids[name] ? { id: ids[name] } : null; },
+    async fsIdOf() { return null; },
+    async linkFsId(cid, fsId) { linked.push([cid, fsId]); },
+    async get(cid) { return cid === 9 ? { name: 'Sam Hale', birth_year: 1905, location: 'Albemarle, Virginia' } : null; },
+  };
+  const browserTree = new FamilySearchBrowserProvider(page, identities);
+  const bAnn = await browserTree.getPerson('LX11-AAA');
+  check('page person keyed by its FS id', bAnn.id === 'LX11-AAA' && bAnn.fs_id === 'LX11-AAA' && browserTree.name === 'familysearch');
+  const bAnnParents = await browserTree.getParents('LX11-AAA', { generation: 0 });
+  check('tree parents read from the page at the next generation', bAnnParents.length === 1 && bAnnParents[0].person.id === 'LX22-BBB'
+    && !bAnnParents[0].inferred && reads.some(r => r.join() === 'LX22-BBB,1') && discoveries.length === 0);
+  const bBobParents = await browserTree.getParents('LX22-BBB', { generation: 1 });
+  const sam = bBobParents.find(l => l.relationship === 'father');
+  const ida = bBobParents.find(l => l.relationship === 'mother');
+  check('no tree parents: discovered, low confidence dropped', bBobParents.length === 2 && discoveries[0].join() === 'Bob Hale,1'
+    && !identities.created.some(c => c[0] === 'Zed Guess'));
+  check('discovered name → canonical identity with estimated birth year', identities.created[0].join() === 'Sam Hale,1905,Albemarle, Virginia,participant_family_tree');
+  check('name found in the tree climbs as that tree person', ida.person.fs_id === 'LX33-CCC' && ida.person.canonical_person_id === 10
+    && linked[0].join() === '10,LX33-CCC' && ida.sourceUrl === 'ark:/1');
+  check('name-only parent climbs as cp_<id> with its own method', sam.person.id === 'cp_9' && sam.person.fs_id === null
+    && sam.person.birth_year === 1905 && sam.inferred === true && sam.discoveryMethod === 'participant_family_tree' && sam.confidence === 0.9);
+  check('name-only person is cached for the climb', await browserTree.getPerson('cp_9') === sam.person);
+
+  const shallow = new FamilySearchBrowserProvider(page, identities, { maxInferredGenerations: 2 });
+  const searchesBefore = treeSearches.length;
+  const deep = await shallow.getParents('LX22-BBB', { generation: 2 });
+  check('past maxInferredGenerations name-only parents are not climbed', deep.length === 0 && treeSearches.length === searchesBefore);
+
+  const restarted = new FamilySearchBrowserProvider(page, identities);
+  const samAgain = await restarted.getPerson('cp_9');
+  check('name-only person rebuilt from canonical_persons on resume', samAgain.name === 'Sam Hale' && samAgain.canonical_person_id === 9
+    && samAgain.locations[0] === 'Albemarle, Virginia' && await restarted.getPerson('cp_404') === null);
+
+  const participant = { fsId: 'LX99-ZZZ', name: 'Dee Hale', birthYear: 1985, birthLocation: 'Ohio', fatherName: 'Bob Hale' };
+  const standIn = new FamilySearchBrowserProvider(page, identities, { participant });
+  const dee = await standIn.getPerson('LX99-ZZZ');
+  check('empty root page stands in the participant', dee.name === 'Dee Hale' && dee.birth_year === 1985 && dee.fs_id === 'LX99-ZZZ'
+    && await standIn.getPerson('LX98-YYY') === null);
+  const nameOnly = await new FamilySearchBrowserProvider(page, identities, { participant: { ...participant, fsId: null } })
+    .getPerson(FamilySearchBrowserProvider.NAME_ONLY_ROOT);
+  check('NAME-ONLY root is the participant without an FS id', nameOnly.id === 'NAME-ONLY' && nameOnly.fs_id === null && nameOnly.name === 'Dee Hale');
+
+  const browserDb = fakeDb({ 'Sam Hale': [{ match_tier: 2, match_confidence: '0.8', match_details: 'name+date', person_type: 'enslaver',
+    canonical_person_id: 5, canonical_name: 'Samuel Hale', birth_year_estimate: 1904, primary_state: 'VA' }] });
+  const climbedLinks = [];
+  const browserClimb = await new ClimbEngine(browserDb, { verifier: fakeVerifier, garbageDetector: acceptAll })
+    .climbFrom(new FamilySearchBrowserProvider(page, identities), 'LX11-AAA', {
+      onParent: (child, link) => climbedLinks.push([child.name, link.person.name, link.discoveryMethod, !!link.inferred]),
+    });
+  check('engine climbs tree and discovered links alike', browserClimb.visited === 4 && browserClimb.matches[0].path.join('>') === 'Ann Hale>Bob Hale>Sam Hale'
+    && climbedLinks.some(l => l.join() === 'Ann Hale,Bob Hale,familysearch_tree,false')
+    && climbedLinks.some(l => l.join() === 'Bob Hale,Sam Hale,participant_family_tree,true'));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
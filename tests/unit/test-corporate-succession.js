@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * test-corporate-succession.js — CorporateSuccessionTracer graph (M116).
+ *
+ * Fake db holding corporate_entities and entity_successions in memory. Graph:
+ *
+ *   Citizens Bank ──merger──▶ Canal Bank ──acquisition (attenuated)──▶ Bank One ──merger──▶ JPMorgan Chase
+ *                                        └──spin_off (direct)──▶ Canal Defunct Co (inactive, no successor)
+ *
+ * Verifies:
+ *   - multi-hop successors; present-day excludes defunct endpoints
+ *   - path traceability is the weakest edge on the path
+ *   - reverse lookup (predecessors at any depth) and the getChain / reverseLookup shape
+ *   - pending edges are skipped unless includePending
+ *   - validation: unknown kind, self-loop, cycle, duplicate, missing node
+ *   - status change stamps reviewed_by; a non-curator edit resets an approval
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-corporate-succession.js
+ */
+'use strict';
+const CorporateSuccessionTracer = require('../../src/services/reparations/CorporateSuccessionTracer');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+let seq = 0;
+const uuid = () => `00000000-0000-0000-0000-${String(++seq).padStart(12, '0')}`;
+const entities = [];
+const edges = [];
+
+const db = {
+  async query(sql, params = []) {
+    const q = sql.replace(/\s+/g, ' ').trim();
+    if (q.startsWith('SELECT entity_id AS id, modern_name AS name')) {
+      return { rows: entities.filter(e => params[0].includes(e.entity_id)).map(e => ({
+        id: e.entity_id, name: e.modern_name, historical_name: e.historical_name, ticker: e.stock_ticker,
+        active: e.is_active, chain_key: e.chain_key, first_documented_year: e.first_documented_year })) };
+    }
+    if (q.startsWith('INSERT INTO corporate_entities')) {
+      if (params[6] && entities.some(e => e.chain_key === params[6])) throw Object.assign(new Error('dup'), { code: '23505' });
+      const row = { entity_id: uuid(), modern_name: params[0], historical_name: params[1], stock_ticker: params[3],
+        is_active: params[4], first_documented_year: params[5], chain_key: params[6],
+        chain_documentation: params[7] ? JSON.parse(params[7]) : null, source_document: params[8] };
+      entities.push(row);
+      return { rows: [row] };
+    }
+    if (q.startsWith('SELECT entity_id, modern_name, stock_ticker, chain_key')) {
+      return { rows: entities.filter(e => e.chain_key && (params[0] === null || e.chain_key === params[0])) };
+    }
+    if (q.startsWith('SELECT * FROM entity_successions WHERE predecessor_entity_id = ANY')
+        || q.startsWith('SELECT * FROM entity_successions WHERE successor_entity_id = ANY')) {
+      const col = q.includes('WHERE predecessor_entity_id') ? 'predecessor_entity_id' : 'successor_entity_id';
+      return { rows: edges.filter(e => params[0].includes(e[col]) && params[1].includes(e.contribution_status)) };
+    }
+    if (q.startsWith('INSERT INTO entity_successions')) {
+      if (edges.some(e => e.predecessor_entity_id === params[1] && e.successor_entity_id === params[3]
+          && e.succession_kind === params[4])) throw Object.assign(new Error('dup'), { code: '23505' });
+      const row = { id: uuid(), predecessor_entity_type: params[0], predecessor_entity_id: params[1],
+        successor_entity_type: params[2], successor_entity_id: params[3], succession_kind: params[4],
+        succession_year: params[5], succession_date: params[6], legal_instrument: params[7],
+        flow_path: params[8] ? JSON.parse(params[8]) : null, traceability: params[9], primary_citation: params[10],
+        notes: params[11], contribution_status: params[12], created_by: params[13], reviewed_by: params[14] };
+      edges.push(row);
+      return { rows: [row] };
+    }
+    if (q.startsWith('SELECT * FROM entity_successions WHERE id = $1')) {
+      return { rows: edges.filter(e => e.id === params[0]) };
+    }
+    if (q.startsWith('UPDATE entity_successions SET')) {
+      const row = edges.find(e => e.id === params[0]);
+      for (const m of q.matchAll(/(\w+) = \$(\d+)/g)) if (m[1] !== 'id') row[m[1]] = params[Number(m[2]) - 1];
+      if (q.includes("contribution_status = CASE WHEN contribution_status = 'approved'") && row.contribution_status === 'approved') {
+        row.contribution_status = 'pending_review';
+        row.approved_at = null;
+      }
+      return { rows: [row] };
+    }
+    if (q.startsWith('DELETE FROM entity_successions')) {
+      const i = edges.findIndex(e => e.id === params[0]);
+      return { rows: i === -1 ? [] : edges.splice(i, 1) };
+    }
+    throw new Error(`unexpected query: ${q.slice(0, 80)}`);
+  },
+};
+
+async function rejects(fn, code) {
+  try { await fn(); return false; } catch (e) { return e.code === code; }
+}
+
+(async () => {
+  const t = new CorporateSuccessionTracer(db);
+  const node = (e) => ({ type: 'corporate_entity', id: e.id });
+
+  const citizens = await t.createEntity({ name: 'Citizens Bank of Louisiana', firstDocumentedYear: 1833 });
+  const canal = await t.createEntity({ name: 'Canal Bank', firstDocumentedYear: 1831 });
+  const bankOne = await t.createEntity({ name: 'Bank One' });
+  const defunct = await t.createEntity({ name: 'Canal Defunct Co' });
+  const jpm = await t.createEntity({ name: 'JPMorgan Chase & Co.', ticker: 'JPM', active: true, chainKey: 'jpmorgan',
+    chainDocumentation: { primary: 'Philadelphia CTO Disclosure (2024)', enslavedAsCollateral: 21055 } });
+  check('createEntity returns a named node', jpm.name === 'JPMorgan Chase & Co.' && jpm.active === true && jpm.chainKey === 'jpmorgan');
+
+  const add = (from, to, kind, traceability, extra = {}) => t.addSuccession({
+    predecessor: node(from), successor: node(to), kind, traceability, status: 'approved', createdBy: 'ann', ...extra });
+  const e1 = await add(citizens, canal, 'corporate_merger', 'direct', { year: 1843 });
+  await add(canal, bankOne, 'corporate_acquisition', 'attenuated');
+  await add(bankOne, jpm, 'corporate_merger', 'direct', { year: 2004 });
+  await add(canal, defunct, 'spin_off', 'direct');
+  check('approved edge stamps reviewed_by', e1.reviewedBy === 'ann' && e1.status === 'approved');
+
+  const down = await t.successors(node(canal));
+  check('successors reach every node downstream', down.nodes.length === 4 && down.nodes.find(n => n.id === jpm.id).depth === 2);
+  check('endpoints: JPMorgan and the defunct spin-off', down.endpoints.length === 2);
+  check('present-day excludes inactive endpoint', down.presentDay.length === 1 && down.presentDay[0].entity.id === jpm.id);
+  const toJpm = down.presentDay[0];
+  check('path traceability is the weakest edge', toJpm.traceability === 'attenuated' && toJpm.hops === 2);
+  check('path lists the entities in order', toJpm.paths[0].entities.join(' > ') === 'Bank One > JPMorgan Chase & Co.');
+
+  const up = await t.predecessors(node(jpm));
+  check('reverse lookup reaches the earliest predecessor', up.earliest.length === 1 && up.earliest[0].entity.id === citizens.id
+    && up.earliest[0].hops === 3);
+
+  const chain = await t.getChain('jpmorgan');
+  check('getChain keeps the KNOWN_CHAINS shape', chain.modern === 'JPMorgan Chase & Co.' && chain.ticker === 'JPM'
+    && chain.predecessors.length === 3 && chain.documentation.enslavedAsCollateral === 21055);
+  check('getChain predecessor year from first_documented_year', chain.predecessors.find(p => p.name === 'Canal Bank').year === 1831);
+  check('unknown chain key → null', (await t.getChain('nope')) === null);
+  const matches = await t.reverseLookup('canal bank');
+  check('reverseLookup matches a multi-hop predecessor', matches.length === 1 && matches[0].key === 'jpmorgan' && matches[0].confidence === 0.8);
+  check('reverseLookup by ticker', (await t.reverseLookup('JPM'))[0].confidence === 1.0);
+  const list = await t.listAllChains();
+  check('listAllChains earliest year', list.length === 1 && list[0].earliestYear === 1831 && list[0].predecessorCount === 3);
+
+  const rogue = await t.createEntity({ name: 'Rogue Trust', active: true });
+  const pending = await t.addSuccession({ predecessor: node(jpm), successor: node(rogue), kind: 'spin_off', createdBy: 'bob' });
+  check('new edges default to pending_review', pending.status === 'pending_review' && pending.reviewedBy == null);
+  check('pending edges skipped by default', (await t.successors(node(jpm))).endpoints.length === 0);
+  check('includePending follows them', (await t.successors(node(jpm), { includePending: true })).endpoints.length === 1);
+  const approved = await t.updateSuccession(pending.id, { status: 'approved' }, 'carol');
+  check('status change stamps reviewed_by', approved.status === 'approved' && approved.reviewedBy === 'carol');
+  const curatorEdit = await t.updateSuccession(pending.id, { notes: 'charter cited' }, 'carol');
+  check('curator edit keeps the approval', curatorEdit.status === 'approved');
+  const researcherEdit = await t.updateSuccession(pending.id, { notes: 'charter re-read' }, 'dave', { resetApproval: true });
+  check('non-curator edit sends an approved edge back to pending_review',
+    researcherEdit.status === 'pending_review' && researcherEdit.notes === 'charter re-read');
+
+  check('unknown kind refused', await rejects(() => add(citizens, rogue, 'hostile_takeover', 'direct'), 'BAD_KIND'));
+  check('self-succession refused', await rejects(() => add(canal, canal, 'renaming', 'direct'), 'CYCLE'));
+  check('cycle refused', await rejects(() => add(jpm, citizens, 'corporate_acquisition', 'direct'), 'CYCLE'));
+  check('duplicate edge → DUPLICATE', await rejects(() => add(citizens, canal, 'corporate_merger', 'direct'), 'DUPLICATE'));
+  check('missing node → NOT_FOUND', await rejects(() => t.addSuccession({
+    predecessor: { type: 'corporate_entity', id: uuid() }, successor: node(jpm), kind: 'renaming' }), 'NOT_FOUND'));
+  check('capital_flow without flowPath refused', await rejects(() => add(citizens, rogue, 'capital_flow', 'attenuated'), 'BAD_INPUT'));
+
+  await t.deleteSuccession(pending.id);
+  check('delete removes the edge', await rejects(() => t.getSuccession(pending.id), 'NOT_FOUND'));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); process.exit(2); });
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * test-currency-converter.js — historical exchange rates + price indices.
+ *
+ * Verifies:
+ *   - step series hold a par until the next statute; linear series interpolate and say so
+ *   - years outside a series are refused, never extrapolated
+ *   - mil-réis convert through pence sterling; foreign amounts in 1862–1878 carry
+ *     the greenback premium
+ *   - usd_cpi vs local_cpi for GBP, and local_cpi refused where no index is loaded
+ *   - every result carries its sources
+ *   - ICHEICCalculator converts face values before compounding and keeps
+ *     unconvertible ones out of multi-jurisdiction totals
+ *   - CompensationTracker modern values come from the converter (1835 now converts)
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-currency-converter.js
+ */
+'use strict';
+const CurrencyConverter = require('../../src/services/reparations/CurrencyConverter');
+const ICHEICCalculator = require('../../src/services/reparations/ICHEICCalculator');
+const CompensationTracker = require('../../src/services/reparations/CompensationTracker');
+const { seriesValue } = CurrencyConverter;
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+function throwsCode(fn, code) {
+  try { fn(); return false; } catch (e) { return e.code === code; }
+}
+
+const near = (a, b, eps = 0.01) => Math.abs(a - b) <= eps;
+
+(() => {
+  const c = new CurrencyConverter();
+
+  const step = { from: 1800, to: 1900, interpolate: 'step', points: { 1800: 1, 1850: 2 } };
+  const lin = { from: 1800, to: 1900, interpolate: 'linear', points: { 1800: 10, 1900: 20 } };
+  check('step series holds until the next anchor', seriesValue(step, 1849, 's').value === 1 && seriesValue(step, 1899, 's').value === 2);
+  const mid = seriesValue(lin, 1850, 'l');
+  check('linear series interpolates and flags it', mid.value === 15 && mid.interpolated === true);
+  check('year outside series refused', throwsCode(() => seriesValue(lin, 1901, 'l'), 'YEAR_OUT_OF_RANGE'));
+
+  check('GBP par changes in 1834', c.exchangeRate('GBP', 1833).usdPerUnit === 4.44 && c.exchangeRate('GBP', 1834).usdPerUnit === 4.8665);
+  const brl = c.exchangeRate('BRL', 1850);
+  check('mil-réis via pence sterling', near(brl.usdPerUnit, 27 / 240 * 4.8665, 1e-6) && brl.sources.length >= 2);
+  const gb = c.exchangeRate('GBP', 1864);
+  check('greenback premium applied to foreign amounts', gb.greenbackPremium === 2.03 && near(gb.usdPerUnit, 4.8665 * 2.03, 1e-6));
+  check('no premium on USD', c.exchangeRate('USD', 1864).usdPerUnit === 1);
+  check('unknown currency refused', throwsCode(() => c.exchangeRate('XYZ', 1850), 'UNKNOWN_CURRENCY'));
+  check('GBP after 1914 not loaded', throwsCode(() => c.toUSD(1, 'GBP', 1950), 'YEAR_OUT_OF_RANGE'));
+
+  const usd = c.toModernUSD(1, 'GBP', 1833);
+  const local = c.toModernUSD(1, 'GBP', 1833, { route: 'local_cpi' });
+  check('£1 (1833) lands near the $150 CPI floor by either route', usd.modernUSD > 130 && usd.modernUSD < 170
+    && local.modernUSD > 140 && local.modernUSD < 170 && usd.route === 'usd_cpi' && local.route === 'local_cpi');
+  check('result carries sources and base year', usd.sources.length >= 2 && usd.baseYear === 2024 && usd.historicalUSD === 4.44);
+  check('local route refused without a local index', throwsCode(() => c.toModernUSD(1, 'FRF', 1840, { route: 'local_cpi' }), 'NO_LOCAL_INDEX'));
+  check('base year converts to itself', c.toModernUSD(100, 'USD', 2024).modernUSD === 100);
+  check('tryModernUSD returns null when not covered', c.tryModernUSD(1, 'SPD', 1700) === null);
+
+  // ICHEIC: face value → USD before compounding.
+  const icheic = new ICHEICCalculator();
+  const uk = icheic.calculatePresentValue({ historicalValue: 100, year: 1840, jurisdiction: 'UK' });
+  const us = icheic.calculatePresentValue({ historicalValue: 486.65, year: 1840, jurisdiction: 'UK', currency: 'USD' });
+  check('ICHEIC compounds the USD equivalent', uk.currency === 'GBP' && uk.historicalValueUSD === 486.65 && near(uk.presentValue, us.presentValue));
+  const pt = icheic.calculatePresentValue({ historicalValue: 100, year: 1840, jurisdiction: 'Portugal' });
+  check('ICHEIC flags an unconverted face value', pt.historicalValueUSD === null && /unconverted/.test(pt.currencyWarning));
+  const total = icheic.calculateMultiJurisdictionTotal([
+    { historicalValue: 100, year: 1840, jurisdiction: 'UK' },
+    { historicalValue: 300, year: 1850, jurisdiction: 'US' },
+    { historicalValue: 100, year: 1840, jurisdiction: 'Portugal' },
+  ]);
+  check('multi-jurisdiction total excludes unconverted values', total.included.length === 2 && total.excluded.length === 1
+    && near(total.totalPresentValueUSD, total.byJurisdiction.UK + total.byJurisdiction.US));
+
+  // CompensationTracker uses the converter.
+  const log = console.log;
+  console.log = () => {};
+  const tracker = new CompensationTracker();
+  const claim = tracker.importBritishCompensationClaim({ claimantName: 'A. Claimant', enslavedCount: 10, awardedAmount: 500, year: 1835 });
+  const dc = tracker.importDCEmancipationClaim({ ownerName: 'B. Owner', enslavedCount: 3, amountPaid: 900 });
+  console.log = log;
+  check('1835 British award converts', claim.modernValue === c.toModernUSD(500, 'GBP', 1835).modernUSD && claim.conversion.route === 'usd_cpi');
+  check('DC 1862 award converts at the 1862 CPI', dc.modernValue === c.toModernUSD(900, 'USD', 1862).modernUSD
+    && claim.conversion.sources.length > 0);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})();
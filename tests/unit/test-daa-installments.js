@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * test-daa-installments.js — DAA installment plans and payment reconciliation (M119).
+ *
+ * Fake db keeps one agreement, its schedules, installments, daa_payments and
+ * escrow_events in memory. Verifies:
+ *   - monthly / annual plans: installment size, last-row remainder, horizon cut-off
+ *   - month-end due dates clamp (Jan 31 → Feb 28) and re-assessment points every 12 months
+ *   - payments apply oldest-first; partial, overdue (past grace) and credit
+ *   - on-chain USDC deposits count, ETH deposits are listed unpriced, and a
+ *     deposit already entered in daa_payments (same tx hash) is not counted twice
+ *   - only escrow_events on the chain and contract of the DAA's network count
+ *   - status: current → in_arrears; arrears amount and days
+ *   - re-assessment keeps installments already due and supersedes the old version,
+ *     in one transaction; losing a concurrent re-assessment → CONFLICT
+ *   - tiered basis when income is given
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-daa-installments.js
+ */
+'use strict';
+const DAAInstallmentService = require('../../src/services/reparations/DAAInstallmentService');
+const { planInstallments, allocate, addMonths } = DAAInstallmentService;
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const DAA = '00000000-0000-0000-0000-0000000000d1';
+const agreement = { daa_id: DAA, agreement_number: 'DAA-2026-001', acknowledger_name: 'A. Person',
+  total_debt: '3000.00', annual_payment: '1200.00', acknowledger_annual_income: '60000', blockchain_record_id: 4, blockchain_network: 'base', status: 'active' };
+const ESCROW = { chainId: 8453, contractAddress: '0x00000000000000000000000000000000000e5c70' };
+const OLD_CONTRACT = '0x00000000000000000000000000000000000001d0';
+const schedules = [];
+const installments = [];
+const payments = [];
+const escrow = [];
+let seq = 0;
+let lostRace = false;   // another request superseded the active plan first
+const txLog = [];
+
+const db = {
+  async connect() {
+    return { query: (sql, params) => db.query(sql, params), release() {} };
+  },
+  async query(sql, params = []) {
+    const q = sql.replace(/\s+/g, ' ').trim();
+    if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(q)) { txLog.push(q); return { rows: [] }; }
+    if (q.startsWith('SELECT daa_id, agreement_number')) return { rows: params[0] === DAA ? [agreement] : [] };
+    if (q.startsWith("SELECT * FROM daa_payment_schedules WHERE daa_id = $1 AND status = 'active'")) {
+      return { rows: schedules.filter(s => s.daa_id === params[0] && s.status === 'active') };
+    }
+    if (q.startsWith('SELECT * FROM daa_installments')) return { rows: installments.filter(i => i.schedule_id === params[0]) };
+    if (q.startsWith('SELECT COUNT(*)::int AS n FROM daa_enslaved_persons')) return { rows: [{ n: 12 }] };
+    if (q.startsWith("UPDATE daa_payment_schedules SET status = 'superseded'")) {
+      const s = schedules.find(x => x.id === params[0] && x.status === 'active');
+      if (!s || lostRace) return { rows: [], rowCount: 0 };
+      s.status = 'superseded';
+      return { rows: [], rowCount: 1 };
+    }
+    if (q.startsWith('INSERT INTO daa_payment_schedules')) {
+      const row = { id: ++seq, daa_id: params[0], version: params[1], frequency: params[2], start_date: params[3],
+        annual_amount: params[4], installment_amount: params[5], total_debt: params[6], total_scheduled: params[7],
+        amortized: params[8], horizon_years: params[9], reassess_every_months: params[10], basis: JSON.parse(params[11]),
+        created_by: params[12], status: 'active' };
+      schedules.push(row);
+      return { rows: [row] };
+    }
+    if (q.startsWith('INSERT INTO daa_installments')) {
+      installments.push({ schedule_id: params[0], daa_id: params[1], seq: params[2], due_date: params[3],
+        amount_due: params[4], is_reassessment: params[5], carried_over: params[6] });
+      return { rows: [] };
+    }
+    if (q.startsWith('SELECT payment_id, payment_date')) return { rows: payments.filter(p => p.daa_id === params[0]) };
+    if (q.startsWith('SELECT tx_hash, log_index')) {
+      return { rows: escrow.filter(e => e.record_id === params[0] && e.chain_id === params[1] && e.contract_address === params[2]) };
+    }
+    if (q.startsWith("SELECT daa_id FROM daa_payment_schedules WHERE status = 'active'")) {
+      return { rows: schedules.filter(s => s.status === 'active').map(s => ({ daa_id: s.daa_id })) };
+    }
+    throw new Error(`unexpected query: ${q.slice(0, 80)}`);
+  },
+};
+
+async function rejects(fn, code) {
+  try { await fn(); return false; } catch (e) { return e.code === code; }
+}
+
+(async () => {
+  // ── pure planning ──
+  const monthly = planInstallments({ totalDebt: 1000, annualAmount: 1200, frequency: 'monthly', startDate: '2026-01-31' });
+  check('monthly installment is annual / 12', monthly.installmentAmount === 100 && monthly.installments.length === 10);
+  check('month-end due dates clamp', monthly.installments[1].due_date === '2026-02-28' && monthly.installments[2].due_date === '2026-03-31');
+  const odd = planInstallments({ totalDebt: 1050, annualAmount: 1200, frequency: 'monthly', startDate: '2026-01-01' });
+  check('last installment is the remainder', odd.installments.length === 11 && odd.installments[10].amount_due === 50 && odd.amortized);
+  const capped = planInstallments({ totalDebt: 1e9, annualAmount: 1000, frequency: 'annual', startDate: '2026-06-01', horizonYears: 5 });
+  check('horizon cuts an unamortizable plan', capped.installments.length === 5 && capped.amortized === false && capped.totalScheduled === 5000);
+  const long = planInstallments({ totalDebt: 5000, annualAmount: 1200, frequency: 'monthly', startDate: '2026-01-01' });
+  check('re-assessment every 12 months', long.installments.filter(i => i.is_reassessment).map(i => i.due_date).join(',')
+    === '2027-01-01,2028-01-01,2029-01-01,2030-01-01');
+  check('addMonths across a leap year', addMonths('2024-02-29', 12) === '2025-02-28');
+  check('unknown frequency refused', await rejects(async () => planInstallments({ totalDebt: 1, annualAmount: 1, frequency: 'weekly', startDate: '2026-01-01' }), 'BAD_INPUT'));
+
+  const alloc = allocate(
+    [{ seq: 1, due_date: '2026-01-01', amount_due: 100 }, { seq: 2, due_date: '2026-02-01', amount_due: 100 }, { seq: 3, due_date: '2026-03-01', amount_due: 100 }],
+    [{ date: '2026-01-05', amount: 150 }],
+    { asOf: '2026-03-10', graceDays: 30 });
+  check('payments apply oldest-first', alloc.installments[0].state === 'paid' && alloc.installments[1].paid === 50);
+  check('unpaid past grace is overdue, within grace is due', alloc.installments[1].state === 'overdue' && alloc.installments[2].state === 'due');
+  const over = allocate([{ seq: 1, due_date: '2026-01-01', amount_due: 100 }], [{ date: '2026-01-01', amount: 130 }], { asOf: '2026-01-02' });
+  check('overpayment becomes credit', over.credit === 30);
+
+  // ── service ──
+  const svc = new DAAInstallmentService(db, {
+    escrowFor: (network) => ((network || 'base') === 'base' ? ESCROW : null),
+    now: () => new Date('2026-01-15T00:00:00Z'),
+  });
+  const first = await svc.generate(DAA, { frequency: 'monthly', startDate: '2026-02-01', createdBy: 'fin' });
+  check('plan from the agreement annual_payment', first.schedule.annual_amount === 1200 && first.schedule.basis.method === 'agreement'
+    && first.installments.length === 30 && first.schedule.version === 1);
+
+  payments.push({ daa_id: DAA, payment_id: 'p1', payment_date: '2026-02-03', amount: '100.00', payment_method: 'check', payment_source: 'off_chain' });
+  payments.push({ daa_id: DAA, payment_id: 'p2', payment_date: '2026-03-02', amount: '100.00', payment_method: 'blockchain_escrow',
+    payment_source: 'on_chain', blockchain_tx_hash: '0xAAA' });
+  const onEscrow = { chain_id: ESCROW.chainId, contract_address: ESCROW.contractAddress };
+  escrow.push({ ...onEscrow, record_id: 4, tx_hash: '0xaaa', log_index: 0, block_time: '2026-03-02T10:00:00Z',
+    token_address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', amount: '100' });
+  escrow.push({ ...onEscrow, record_id: 4, tx_hash: '0xbbb', log_index: 1, block_time: '2026-04-01T10:00:00Z',
+    token_address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', amount: '100' });
+  escrow.push({ ...onEscrow, record_id: 4, tx_hash: '0xccc', log_index: 0, block_time: '2026-04-02T10:00:00Z',
+    token_address: '0x0000000000000000000000000000000000000000', amount: '0.05' });
+  // Record 4 of an earlier deployment, and of the same contract address on a testnet
+  escrow.push({ chain_id: ESCROW.chainId, contract_address: OLD_CONTRACT, record_id: 4, tx_hash: '0xddd', log_index: 0,
+    block_time: '2026-03-05T10:00:00Z', token_address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', amount: '500' });
+  escrow.push({ chain_id: 84532, contract_address: ESCROW.contractAddress, record_id: 4, tx_hash: '0xeee', log_index: 0,
+    block_time: '2026-03-05T10:00:00Z', token_address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', amount: '500' });
+
+  const current = await svc.status(DAA, { asOf: '2026-04-10' });
+  check('escrow deposit already in daa_payments not double counted', current.totalPaid === 300 && current.paidOnChain === 200);
+  check('deposits to another contract or chain not counted', current.payments.every(p => !['0xddd', '0xeee'].includes(p.txHash)));
+  check('ETH deposit listed unpriced', current.unpricedOnChainDeposits.length === 1 && current.unpricedOnChainDeposits[0].token === 'ETH');
+  check('three paid installments → current', current.status === 'current' && current.arrears === 0
+    && current.nextInstallment.seq === 4 && current.nextInstallment.dueDate === '2026-05-01');
+  check('next re-assessment point reported', current.nextReassessment === '2027-02-01');
+
+  const behind = await svc.status(DAA, { asOf: '2026-07-15' });
+  check('missed installments past grace → in_arrears', behind.status === 'in_arrears' && behind.overdueInstallments === 2
+    && behind.arrears === 200 && behind.daysInArrears === 75);
+  check('remaining debt tracks total paid', behind.remainingDebt === 2700);
+  check('arrears list includes the DAA', (await svc.arrears({ asOf: '2026-07-15' }))[0].arrears === 200);
+
+  // Re-assess from August with a new income → tiered basis, earlier installments kept.
+  const second = await svc.generate(DAA, { startDate: '2026-08-01', annualIncome: 90000, createdBy: 'fin' });
+  const carried = second.installments.filter(i => i.carried_over);
+  check('re-assessment writes version 2 and supersedes version 1', second.schedule.version === 2
+    && schedules.find(s => s.version === 1).status === 'superseded');
+  check('supersede and insert committed together', txLog.join(',') === 'BEGIN,COMMIT,BEGIN,COMMIT');
+  check('installments before the new start are carried over', carried.length === 6 && carried[5].due_date === '2026-07-01'
+    && carried.every(i => i.amount_due === 100));
+  check('tiered basis recorded with inputs', second.schedule.basis.method === 'tiered'
+    && second.schedule.basis.inputs.enslavedCount === 12 && second.schedule.basis.reassessedFrom === 1);
+  check('re-planned installments use the new amount', second.installments[6].due_date === '2026-08-01'
+    && second.installments[6].amount_due === Math.round(second.schedule.annual_amount / 12 * 100) / 100);
+  check('plan keeps counting from the original start', second.schedule.start_date === '2026-02-01');
+  lostRace = true;
+  check('losing a concurrent re-assessment → CONFLICT', await rejects(() => svc.generate(DAA, { startDate: '2026-09-01' }), 'CONFLICT')
+    && txLog.at(-1) === 'ROLLBACK' && !schedules.some(s => s.version === 3));
+  lostRace = false;
+  check('re-assessing from before the plan start refused', await rejects(() => svc.generate(DAA, { startDate: '2026-01-01' }), 'BAD_INPUT'));
+  check('unknown DAA → NOT_FOUND', await rejects(() => svc.status('nope'), 'NOT_FOUND'));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); process.exit(2); });
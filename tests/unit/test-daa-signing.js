@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * test-daa-signing.js — DAASigningService workflow (M114).
+ *
+ * Fake db holding one agreement and its signing requests in memory, a real
+ * document file in a temp dir, and a random ethers wallet for the EIP-191
+ * signature. Verifies:
+ *   - draft → sent → signed → countersigned, and the legacy status column
+ *   - tokens are not stored (only their SHA-256)
+ *   - countersigner cannot sign before the obligor
+ *   - typed name must match; a changed document refuses the signature
+ *   - a wallet signature over walletMessage verifies; a foreign one is rejected
+ *   - re-sending revokes the outstanding links; expired links are refused
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-daa-signing.js
+ */
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const DAASigningService = require('../../src/services/reparations/DAASigningService');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const DAA_ID = '00000000-0000-0000-0000-0000000000aa';
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'daa-signing-'));
+const docPath = path.join(tmp, 'DAA-TEST-1.docx');
+fs.writeFileSync(docPath, 'agreement body v1');
+
+const daa = {
+  daa_id: DAA_ID, agreement_number: 'DAA-TEST-1', acknowledger_name: 'Jane Q Descendant',
+  acknowledger_email: 'jane@example.org', status: 'draft', signing_status: 'draft',
+  document_path: null, document_sha256: null, signed_at: null, countersigned_at: null,
+  blockchain_record_id: 17, blockchain_hash: '0xabc', blockchain_network: 'base',
+};
+const requests = [];
+
+const fakeDb = {
+  async query(sql, p) {
+    if (/SELECT daa_id, agreement_number/.test(sql)) return { rows: p[0] === DAA_ID ? [{ ...daa }] : [] };
+    if (/SET document_path/.test(sql)) {
+      if (daa.signing_status === 'draft') Object.assign(daa, { document_path: p[1], document_sha256: p[2] });
+      return { rows: [] };
+    }
+    if (/SET signing_status = 'sent'/.test(sql)) {
+      Object.assign(daa, { signing_status: 'sent', status: 'pending_signature', document_sha256: p[1] });
+      return { rows: [] };
+    }
+    if (/SET signing_status = 'signed'/.test(sql)) {
+      if (daa.signing_status === 'sent') Object.assign(daa, { signing_status: 'signed', status: 'signed', signed_at: p[1] });
+      return { rows: [] };
+    }
+    if (/SET signing_status = 'countersigned'/.test(sql)) {
+      if (daa.signing_status === 'signed') Object.assign(daa, { signing_status: 'countersigned', countersigned_at: p[1] });
+      return { rows: [] };
+    }
+    if (/UPDATE daa_signing_requests SET revoked_at/.test(sql)) {
+      requests.filter(r => r.daa_id === p[0] && !r.signed_at && !r.revoked_at).forEach(r => { r.revoked_at = p[1]; });
+      return { rows: [] };
+    }
+    if (/INSERT INTO daa_signing_requests/.test(sql)) {
+      const row = {
+        id: requests.length + 1, daa_id: p[0], role: p[1], signer_name: p[2], signer_email: p[3],
+        token_hash: p[4], document_sha256: p[5], expires_at: p[6], sent_by: p[7], sent_at: p[8],
+        viewed_at: null, signed_at: null, revoked_at: null,
+      };
+      requests.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (/FROM daa_signing_requests WHERE token_hash/.test(sql)) {
+      return { rows: requests.filter(r => r.token_hash === p[0]).map(r => ({ ...r })) };
+    }
+    if (/SET viewed_at/.test(sql)) { requests.find(r => r.id === p[0]).viewed_at = p[1]; return { rows: [] }; }
+    if (/SET signed_at = \$2/.test(sql)) {
+      const r = requests.find(x => x.id === p[0] && !x.signed_at && !x.revoked_at);
+      if (!r) return { rows: [] };
+      Object.assign(r, { signed_at: p[1], typed_name: p[2], signer_ip: p[3], signer_user_agent: p[4],
+        wallet_address: p[5], wallet_signature: p[6], signed_message: p[7] });
+      return { rows: [{ id: r.id }] };
+    }
+    throw new Error(`unexpected query: ${sql.trim().split('\n')[0]}`);
+  },
+};
+
+async function rejects(fn, code) {
+  try { await fn(); return false; }
+  catch (e) { return e instanceof DAASigningService.DAASigningError && e.code === code; }
+}
+
+(async () => {
+  let clock = new Date('2026-05-01T12:00:00Z');
+  const svc = new DAASigningService(fakeDb, { linkBase: 'https://example.org/', now: () => clock });
+
+  const hash = await svc.recordDocument(DAA_ID, docPath);
+  check('document hash recorded on the draft', daa.document_sha256 === hash && hash.length === 64);
+
+  check('send requires a countersigner', await rejects(() => svc.send(DAA_ID, {}), 'BAD_REQUEST'));
+  let sent = await svc.send(DAA_ID, { countersigner: { name: 'Org Signatory' }, sentBy: 'test' });
+  check('send → sent / pending_signature', daa.signing_status === 'sent' && daa.status === 'pending_signature');
+  check('obligor defaults to the acknowledger', sent.requests[0].role === 'obligor' && sent.requests[0].signerName === 'Jane Q Descendant');
+  check('links built from linkBase', sent.requests[0].link === `https://example.org/sign/${sent.requests[0].token}`);
+  check('tokens are not stored, only hashed',
+    requests.every(r => !Object.values(r).includes(sent.requests[0].token) && !Object.values(r).includes(sent.requests[1].token)));
+
+  // Re-send revokes the first pair.
+  const stale = sent.requests[0].token;
+  sent = await svc.send(DAA_ID, { countersigner: { name: 'Org Signatory' } });
+  check('re-send revokes outstanding links', await rejects(() => svc.lookup(stale), 'LINK_REVOKED'));
+  const [obligor, counter] = sent.requests;
+
+  const view = await svc.lookup(obligor.token);
+  check('lookup shows the document hash and marks viewed', view.documentSha256 === hash && view.canSign
+    && requests.find(r => r.id === obligor.id).viewed_at);
+  check('wallet message names document hash and on-chain record',
+    view.walletMessage.includes(`Document SHA-256: ${hash}`) && view.walletMessage.includes('base record #17'));
+
+  check('countersigner cannot sign first',
+    await rejects(() => svc.sign(counter.token, { typedName: 'Org Signatory' }), 'INVALID_STATE'));
+  check('typed name must match', await rejects(() => svc.sign(obligor.token, { typedName: 'Someone Else' }), 'NAME_MISMATCH'));
+
+  const wallet = ethers.Wallet.createRandom();
+  const other = ethers.Wallet.createRandom();
+  const foreign = await other.signMessage(view.walletMessage);
+  check('signature from another wallet is rejected', await rejects(() => svc.sign(obligor.token, {
+    typedName: 'Jane Q Descendant', walletAddress: wallet.address, walletSignature: foreign }), 'BAD_WALLET_SIGNATURE'));
+
+  fs.writeFileSync(docPath, 'agreement body v2');
+  check('changed document refuses the signature',
+    await rejects(() => svc.sign(obligor.token, { typedName: 'Jane Q Descendant' }), 'DOCUMENT_CHANGED'));
+  fs.writeFileSync(docPath, 'agreement body v1');
+
+  const signed = await svc.sign(obligor.token, {
+    typedName: '  jane q  descendant ', walletAddress: wallet.address.toLowerCase(),
+    walletSignature: await wallet.signMessage(view.walletMessage), ip: '203.0.113.5', userAgent: 'test',
+  });
+  const obligorRow = requests.find(r => r.id === obligor.id);
+  check('obligor signature → signed', signed.signingStatus === 'signed' && daa.signing_status === 'signed' && daa.status === 'signed');
+  check('signer identity, IP and wallet recorded', obligorRow.typed_name === 'jane q  descendant'
+    && obligorRow.signer_ip === '203.0.113.5' && obligorRow.wallet_address === wallet.address
+    && obligorRow.signed_message === view.walletMessage);
+  check('second signature on the same link refused',
+    await rejects(() => svc.sign(obligor.token, { typedName: 'Jane Q Descendant' }), 'ALREADY_SIGNED'));
+  check('no re-send after signing', await rejects(() => svc.send(DAA_ID, { countersigner: { name: 'X' } }), 'INVALID_STATE'));
+
+  clock = new Date('2026-07-01T12:00:00Z');
+  check('expired link refused', await rejects(() => svc.lookup(counter.token), 'LINK_EXPIRED'));
+  clock = new Date('2026-05-02T12:00:00Z');
+
+  const counterSigned = await svc.sign(counter.token, { typedName: 'Org Signatory' });
+  check('countersignature → countersigned', counterSigned.signingStatus === 'countersigned'
+    && daa.signing_status === 'countersigned' && daa.countersigned_at);
+
+  check('unknown token → NOT_FOUND', await rejects(() => svc.lookup('nope'), 'NOT_FOUND'));
+
+  fs.rmSync(tmp, { recursive: true, force: true });
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); fs.rmSync(tmp, { recursive: true, force: true }); process.exit(2); });
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * test-daa-snapshot.js — DAASnapshotService manifest / verify / diff (M113).
+ *
+ * Uses the real DAAOrchestrator + DAAGenerator calculators with a fake db that
+ * keeps snapshots in memory, and stubs the two live-data readers
+ * (aggregateEnslavedData, getLineItemsForPerson) so the test can move data
+ * under a frozen manifest. Verifies:
+ *   - a fresh snapshot verifies, and its manifest hash survives the JSONB round trip
+ *   - verification in a LATER year still reproduces (as_of_year is pinned)
+ *   - a new enslaved person in the live rows → reproducible_with_drift + diff
+ *   - a changed line-item amount → reproducible_with_drift + field-level diff
+ *   - a changed calculator constant → not_reproducible
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-daa-snapshot.js
+ */
+'use strict';
+// DAAOrchestrator pulls in the climber agent, which refuses to load without a
+// DATABASE_URL. Nothing in this test connects.
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://unused/daa-snapshot-test';
+const DAAOrchestrator = require('../../src/services/reparations/DAAOrchestrator');
+const DAAGenerator = require('../../src/services/reparations/DAAGenerator');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const snapshots = [];
+const fakeDb = {
+  async query(sql, params) {
+    if (/FROM anchor_rate_series/.test(sql)) return { rows: [] };
+    if (/FROM global_indicator_targets/.test(sql)) {
+      return { rows: [{ id: 1, source_author: 'Darity', methodology: 'racial_wealth_gap', per_capita_usd: '350000.00' }] };
+    }
+    if (/INSERT INTO daa_calculation_snapshots/.test(sql)) {
+      const row = {
+        id: snapshots.length + 1, daa_id: params[0],
+        version: snapshots.filter(s => s.daa_id === params[0]).length + 1,
+        manifest: JSON.parse(params[2]), manifest_hash: params[3],
+      };
+      snapshots.push(row);
+      return { rows: [row] };
+    }
+    if (/SELECT \* FROM daa_calculation_snapshots/.test(sql)) {
+      const rows = snapshots.filter(s => s.daa_id === params[0] && (params[1] === null || s.version === params[1]))
+        .sort((a, b) => b.version - a.version);
+      return { rows: rows.slice(0, 1) };
+    }
+    if (/UPDATE daa_calculation_snapshots/.test(sql)) {
+      Object.assign(snapshots.find(s => s.id === params[0]), { last_verification: params[1] });
+      return { rows: [] };
+    }
+    throw new Error(`unexpected query: ${sql.trim().split('\n')[0]}`);
+  },
+};
+
+const person = (name, years, start) => ({ enslaved_name: name, years_enslaved: years, start_year: start, relationship_type: 'enslaved_by' });
+const SLAVEHOLDERS = [{ slaveholder_id: 11, slaveholder_name: 'Test Holder', generation_distance: 5 }];
+const slaveholderData = (extra = []) => [{
+  slaveholder: SLAVEHOLDERS[0],
+  enslavedPersons: [person('Hannah', 30, 1820), person('Moses', 12, 1840), ...extra],
+}];
+const lineItem = (id, amount) => ({ id, era: 'antebellum', legal_theory_jurisdiction: 'domestic_us', base_amount_usd: '100.00', base_year: 1850, compounded_amount_usd: amount, compound_rate: '0.0500', compound_to_year: 2024 });
+
+(async () => {
+  const generator = new DAAGenerator(fakeDb);
+  const orchestrator = new DAAOrchestrator(fakeDb, generator, null);
+  let liveData = slaveholderData();
+  let liveLineItems = { tier1: [lineItem('li-1', '5000.00'), lineItem('li-2', '2500.00')], tier2: [] };
+  orchestrator.aggregateEnslavedData = async () => liveData;
+  orchestrator.getLineItemsForPerson = async () => liveLineItems;
+
+  const freeze = async (daaId, methodology) => {
+    const data = slaveholderData();
+    const agreement = orchestrator.agreementEnslavedPersons(data);
+    const generationFromSlaveholder = data[0].slaveholder.generation_distance;
+    const financials = { annualIncome: 80000, netWorth: 400000 };
+    const debtCalculation = methodology === 'line_item'
+      ? orchestrator.computeDAAFromLineItems(liveLineItems)
+      : await orchestrator.calculateTotalDebt(data, financials);
+    const manifest = await orchestrator.snapshots.buildManifest({
+      methodology, slaveholders: SLAVEHOLDERS, slaveholderData: data, financials,
+      canonicalPersonId: 42, lineItems: liveLineItems,
+      agreement: { enslavedPersons: agreement, generationFromSlaveholder, totalDebt: generator.calculateWeightedDebt(agreement, generationFromSlaveholder).totalDebt },
+      debtCalculation,
+    });
+    return orchestrator.snapshots.record(daaId, manifest);
+  };
+
+  // Craemer + wealth-gap DAA generated "in 2024"
+  const thisYear = generator.CURRENT_YEAR;
+  generator.CURRENT_YEAR = 2024;
+  const snap = await freeze('daa-craemer', 'craemer_wealth_gap');
+  generator.CURRENT_YEAR = thisYear;
+  check('snapshot recorded as version 1', snap.version === 1);
+
+  const v1 = await orchestrator.snapshots.verify('daa-craemer');
+  check(`fresh snapshot verifies in a later year (status=${v1.status})`, v1.status === 'verified');
+  check('manifest hash survives the JSONB round trip', v1.manifestIntact);
+  check('as_of_year pinned to generation year', v1.asOfYear === 2024);
+  check('verification recorded on the snapshot', snapshots[0].last_verification === 'verified');
+
+  liveData = slaveholderData([person('Dinah', 20, 1830)]);
+  const v2 = await orchestrator.snapshots.verify('daa-craemer');
+  check(`new live enslaved person → drift (status=${v2.status})`, v2.status === 'reproducible_with_drift');
+  check('diff names the added person', v2.diff.enslaved_persons.added.length === 1 && /Dinah/.test(v2.diff.enslaved_persons.added[0]));
+  check('diff shows the live recompute moving', v2.diff.result.some(f => f.live_recompute > f.stored));
+  liveData = slaveholderData();
+
+  const rate = generator.COMPOUND_INTEREST_RATE;
+  generator.COMPOUND_INTEREST_RATE = 0.035;
+  const v3 = await orchestrator.snapshots.verify('daa-craemer', { record: false });
+  check(`changed calculator constant → not_reproducible (status=${v3.status})`, v3.status === 'not_reproducible');
+  check('record:false leaves the stored verification alone', snapshots[0].last_verification === 'reproducible_with_drift');
+  generator.COMPOUND_INTEREST_RATE = rate;
+
+  // Line-item DAA
+  await freeze('daa-lines', 'line_item');
+  check('line-item snapshot verifies', (await orchestrator.snapshots.verify('daa-lines')).status === 'verified');
+  liveLineItems = { tier1: [lineItem('li-1', '5200.00'), lineItem('li-2', '2500.00')], tier2: [] };
+  const v4 = await orchestrator.snapshots.verify('daa-lines');
+  check(`re-compounded line item → drift (status=${v4.status})`, v4.status === 'reproducible_with_drift');
+  check('field-level line-item diff', v4.diff.line_items.changed.length === 1
+    && v4.diff.line_items.changed[0].fields[0].path === 'compounded_amount_usd');
+  check('line-item rates frozen with row counts', v4.diff.rates.added.length === 0
+    && snapshots[1].manifest.rates.some(r => r.key === 'line_item:compound_rate=0.05' && r.rows === 2));
+
+  check('no snapshot → null', (await orchestrator.snapshots.verify('daa-missing')) === null);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); process.exit(2); });
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * test-distribution-modes.js — ReparationsCalculator.distributeReparations tree-aware modes.
+ *
+ * Fixture tree (rows shaped like TreeBuilder.getAllDescendants, ancestor = A0):
+ *
+ *   A0 ─┬─ B1 (living)
+ *       ├─ B2 (deceased) ─┬─ C1 (living)
+ *       │                 └─ C2 (deceased) ─── D1 (living)
+ *       └─ B3 (deceased, no descendants)  → drops out of every tree mode
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-distribution-modes.js
+ */
+'use strict';
+const ReparationsCalculator = require('../../src/services/reparations/Calculator');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const row = (id, parent, generation, extra = {}) =>
+  ({ enslaved_id: id, parent_id: parent, full_name: `Person ${id}`, generation, ancestor_id: 'A0', death_year: null, ...extra });
+
+const TREE = [
+  row('B1', 'A0', 1, { confidence_score: 1.0 }),
+  row('B2', 'A0', 1, { death_year: 1901 }),
+  row('B3', 'A0', 1, { death_year: 1880 }),
+  row('C1', 'B2', 2, { confidence_score: 0.5 }),
+  row('C2', 'B2', 2, { death_year: 1950 }),
+  row('D1', 'C2', 3, { confidence_score: 1.0 }),
+];
+
+const calc = new ReparationsCalculator();
+const share = (r, id) => (r.distribution.find(d => d.descendantId === id) || {}).share;
+const pct = (r, id) => parseFloat((r.distribution.find(d => d.descendantId === id) || {}).percentage);
+
+// per stirpes: B1 1/2; B2's 1/2 → C1 1/4, C2's 1/4 → D1 1/4
+let r = calc.distributeReparations(1000, TREE, 'per_stirpes');
+check('per_stirpes → 3 recipients (deceased carry branches, never receive)', r.distribution.length === 3);
+check('per_stirpes → B1 takes 1/2', share(r, 'B1') === 500);
+check('per_stirpes → C1 takes 1/4', share(r, 'C1') === 250);
+check('per_stirpes → D1 inherits C2\'s 1/4', share(r, 'D1') === 250);
+check('per_stirpes → every share carries an explanation', r.distribution.every(d => /Per stirpes/.test(d.explanation)));
+check('per_stirpes → nothing undistributed', r.metadata.undistributedAmount === 0);
+
+// per capita by generation: gen1 → 2 shares (B1, B2-line); B2's 1/2 pools to gen2 → C1, C2-line 1/4 each → D1
+r = calc.distributeReparations(1000, TREE, 'per_capita_by_generation');
+check('per_capita_by_generation → B1 1/2, C1 1/4, D1 1/4', share(r, 'B1') === 500 && share(r, 'C1') === 250 && share(r, 'D1') === 250);
+
+// per capita diverges from per stirpes when deceased branches are uneven
+const UNEVEN = [
+  row('B1', 'A0', 1, { death_year: 1900 }),
+  row('B2', 'A0', 1, { death_year: 1900 }),
+  row('C1', 'B1', 2), row('C2', 'B2', 2), row('C3', 'B2', 2), row('C4', 'B2', 2),
+];
+r = calc.distributeReparations(1200, UNEVEN, 'per_stirpes');
+check('uneven per_stirpes → only child of B1 takes 1/2', share(r, 'C1') === 600 && share(r, 'C4') === 200);
+r = calc.distributeReparations(1200, UNEVEN, 'per_capita_by_generation');
+check('uneven per_capita_by_generation → all 4 grandchildren take 1/4', ['C1', 'C2', 'C3', 'C4'].every(id => share(r, id) === 300));
+
+// evidence weighted: B1 .5×1, C1 .25×.5, D1 .25×1 → weights .5/.125/.25 over .875
+r = calc.distributeReparations(875, TREE, 'evidence_weighted');
+check('evidence_weighted → B1 500, C1 125, D1 250', share(r, 'B1') === 500 && share(r, 'C1') === 125 && share(r, 'D1') === 250);
+check('evidence_weighted → explanation says renormalized across all recipients', /across all recipients/.test(r.explanation));
+check('evidence_weighted → percentages sum to 100', Math.abs(r.distribution.reduce((s, d) => s + pct(r, d.descendantId), 0) - 100) < 0.001);
+r = calc.distributeReparations(1000, TREE.map(d => ({ ...d, confidence_score: undefined })), 'evidence_weighted');
+check('evidence_weighted with no scores → falls back to per-stirpes proportions', share(r, 'B1') === 500);
+
+// equal mode keeps its original behaviour
+r = calc.distributeReparations(900, [{ name: 'a' }, { name: 'b' }, { name: 'c' }], 'equal');
+check('equal → unchanged split and shape', r.distribution.every(d => d.share === 300 && d.percentage === '33.33'));
+
+// guard rails
+let threw = false;
+try { calc.distributeReparations(1000, [row('C1', 'B9', 2)], 'per_stirpes'); } catch (e) { threw = /parent_id/.test(e.message); }
+check('orphan gen-2 row without its parent → throws', threw);
+threw = false;
+try { calc.distributeReparations(1000, TREE, 'lottery'); } catch (e) { threw = /Unknown distribution method/.test(e.message); }
+check('unknown method → throws', threw);
+
+console.log(`\n${passed}/${passed + failed} passed${failed ? `, ${failed} FAILED` : ''}`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * test-document-manifest.js — ipfs-cid, blockchain/merkle and
+ * DAADocumentManifestService.
+ *
+ * Verifies:
+ *   - CIDv1 matches `ipfs add --cid-version=1` for the empty file, a short file
+ *     and a multi-chunk (UnixFS tree) file
+ *   - Merkle root is order-independent; every leaf's proof folds to the root
+ *     for 1..7 leaves; a foreign leaf or tampered proof does not
+ *   - buildManifest addresses documents lacking a CID, takes the slaveholder's,
+ *     the enslaved persons' and the agreement DOCX, skips rows with no stored
+ *     file, writes the manifest CID to genealogy_proof_ipfs_hash, and only
+ *     versions when the root changes — the version check, insert and hash
+ *     update in one transaction under the agreement row lock
+ *   - addressPending pages by id, so a file that keeps failing is not re-read
+ *   - prove: by documentId and by cid, proof verifies against the stored root,
+ *     a replaced file shows as changed, a document outside the DAA is not
+ *     included, and missing args / missing manifest are errors
+ *
+ * Pure in-memory; no database, no S3.
+ *
+ *   node tests/unit/test-document-manifest.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+const { cidForBuffer, contentAddress, isCidV1 } = require('../../src/services/document/ipfs-cid');
+const { leafHash, buildTree, proofFor, verifyProof } = require('../../src/services/blockchain/merkle');
+const DAADocumentManifestService = require('../../src/services/reparations/DAADocumentManifestService');
+const { DAAManifestError } = DAADocumentManifestService;
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const DAA_ID = '11111111-2222-3333-4444-555555555555';
+
+function fakeDb({ documents, agreement }) {
+  const manifests = [];
+  const byId = new Map(documents.map(d => [d.id, d]));
+  const txLog = [];   // transaction statements and the writes made inside one
+  return {
+    manifests, documents: byId, agreement, txLog,
+    async connect() {
+      return { query: (text, params) => this.query(text, params), release() {} };
+    },
+    async query(text, params = []) {
+      const q = text.replace(/\s+/g, ' ').trim();
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(q)) { txLog.push(q); return { rows: [] }; }
+      if (q.endsWith('FOR UPDATE')) { txLog.push('LOCK'); return { rows: params[0] === DAA_ID ? [{ daa_id: DAA_ID }] : [] }; }
+      if (text.includes('SELECT id, s3_key, ipfs_cid FROM person_documents')) {
+        return { rows: byId.has(params[0]) ? [byId.get(params[0])] : [] };
+      }
+      if (text.includes('UPDATE person_documents SET ipfs_cid')) {
+        byId.get(params[0]).ipfs_cid = params[1];
+        return { rows: [] };
+      }
+      if (text.includes('WHERE ipfs_cid IS NULL AND s3_key IS NOT NULL')) {
+        return { rows: [...byId.values()].filter(d => !d.ipfs_cid && d.s3_key && d.id > params[1]).slice(0, params[0]) };
+      }
+      if (text.includes('SELECT ipfs_cid FROM person_documents')) {
+        return { rows: byId.has(params[0]) ? [{ ipfs_cid: byId.get(params[0]).ipfs_cid }] : [] };
+      }
+      if (text.includes('WITH persons AS')) {
+        return { rows: [...byId.values()].filter(d => d.role) };
+      }
+      if (text.includes('FROM debt_acknowledgment_agreements')) {
+        return { rows: params[0] === DAA_ID ? [agreement] : [] };
+      }
+      if (text.includes('SET genealogy_proof_ipfs_hash')) {
+        txLog.push('HASH');
+        agreement.genealogy_proof_ipfs_hash = params[1];
+        return { rows: [] };
+      }
+      if (text.includes('INSERT INTO daa_document_manifests')) {
+        txLog.push('INSERT');
+        const row = {
+          id: manifests.length + 1, daa_id: params[0], version: manifests.length + 1,
+          merkle_root: params[1], manifest_cid: params[2], document_count: params[3],
+          manifest: params[4], created_by: params[5], submitted_tx_hash: null,
+        };
+        manifests.push(row);
+        return { rows: [row] };
+      }
+      if (text.includes('UPDATE daa_document_manifests')) {
+        Object.assign(manifests[params[0] - 1], { submitted_tx_hash: params[1], blockchain_record_id: params[2] });
+        return { rows: [] };
+      }
+      if (text.includes('AND version = $2')) {
+        return { rows: manifests.filter(m => m.daa_id === params[0] && m.version === params[1]) };
+      }
+      if (text.includes('FROM daa_document_manifests')) {
+        const own = manifests.filter(m => m.daa_id === params[0]);
+        return { rows: own.length ? [own[own.length - 1]] : [] };
+      }
+      throw new Error(`unexpected query: ${text.slice(0, 80)}`);
+    },
+  };
+}
+
+(async () => {
+  // ── ipfs-cid ──
+  check('empty file CID', cidForBuffer(Buffer.alloc(0)) === 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+  check('"hello world" CID', cidForBuffer('hello world') === 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+  const big = Buffer.alloc(262144 * 3 + 1000);
+  for (let i = 0; i < big.length; i++) big[i] = (i * 31) % 251;
+  check('4-chunk file is a dag-pb UnixFS root', cidForBuffer(big) === 'bafybeiakclj7k7vcc33wakqwgcj3qquahh7y2iza27kz3ggcwipgplsbam');
+  const addr = contentAddress('hello world');
+  check('contentAddress gives CID, sha256 and gateway URL', isCidV1(addr.ipfsHash)
+    && addr.sha256 === 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9'
+    && addr.ipfsGatewayUrl === `https://ipfs.io/ipfs/${addr.ipfsHash}`);
+
+  // ── merkle ──
+  const values = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(leafHash);
+  check('root ignores leaf order', buildTree(values).root === buildTree([...values].reverse()).root);
+  let allVerify = true;
+  for (let n = 1; n <= values.length; n++) {
+    const tree = buildTree(values.slice(0, n));
+    for (const leaf of values.slice(0, n)) allVerify = allVerify && verifyProof(leaf, proofFor(tree, leaf), tree.root);
+  }
+  check('every leaf proves for 1..7 leaves', allVerify);
+  const five = buildTree(values.slice(0, 5));
+  check('single leaf: root is the leaf, empty proof', buildTree([values[0]]).root === values[0]
+    && proofFor(buildTree([values[0]]), values[0]).length === 0);
+  check('foreign leaf has no proof', proofFor(five, leafHash('z')) === null);
+  const tampered = [...proofFor(five, values[0])];
+  tampered[0] = leafHash('z');
+  check('tampered proof fails', !verifyProof(values[0], tampered, five.root));
+
+  // ── DAADocumentManifestService ──
+  const files = {
+    'docs/will.pdf': Buffer.from('will of J. Hale, 1851'),
+    'docs/inventory.pdf': Buffer.from('estate inventory, 1852'),
+    'docs/bill-of-sale.pdf': Buffer.from('bill of sale, 1849'),
+  };
+  const db = fakeDb({
+    documents: [
+      { id: 1, canonical_person_id: 10, role: 'slaveholder', document_type: 'will', s3_key: 'docs/will.pdf', ipfs_cid: null },
+      { id: 2, canonical_person_id: 10, role: 'slaveholder', document_type: 'estate_inventory', s3_key: 'docs/inventory.pdf', ipfs_cid: cidForBuffer(files['docs/inventory.pdf']) },
+      { id: 3, canonical_person_id: 20, role: 'enslaved', document_type: 'bill_of_sale', s3_key: 'docs/bill-of-sale.pdf', ipfs_cid: null },
+      { id: 4, canonical_person_id: 20, role: 'enslaved', document_type: 'census', s3_key: null, ipfs_cid: null },
+      { id: 5, canonical_person_id: 99, role: null, document_type: 'deed', s3_key: 'docs/other.pdf', ipfs_cid: null },
+    ],
+    agreement: { daa_id: DAA_ID, agreement_number: 'DAA-2026-0001', slaveholder_canonical_id: 10, document_path: '/tmp/daa.docx', document_sha256: 'ab'.repeat(32) },
+  });
+  const reads = [];
+  const svc = new DAADocumentManifestService(db, {
+    readObject: async (key) => { reads.push(key); if (!files[key]) throw new Error('NoSuchKey'); return files[key]; },
+    readFile: async () => Buffer.from('agreement docx bytes'),
+  });
+
+  const m1 = await svc.buildManifest(DAA_ID, { createdBy: 'tester' });
+  const kinds = m1.manifest.documents.map(d => d.role).sort().join();
+  check('manifest holds slaveholder, enslaved and agreement documents', m1.created && m1.version === 1
+    && m1.document_count === 4 && kinds === 'agreement,enslaved,slaveholder,slaveholder');
+  check('missing CIDs computed and stored', db.documents.get(1).ipfs_cid === cidForBuffer(files['docs/will.pdf'])
+    && db.documents.get(3).ipfs_cid === cidForBuffer(files['docs/bill-of-sale.pdf']) && !reads.includes('docs/inventory.pdf'));
+  check('document without stored file skipped with a reason', m1.manifest.skipped.length === 1
+    && m1.manifest.skipped[0].document_id === 4 && m1.manifest.skipped[0].reason === 'no_stored_file');
+  check('root is the Merkle root of the CID leaves', m1.merkle_root === buildTree(m1.manifest.documents.map(d => leafHash(d.cid))).root);
+  check('manifest CID written to genealogy_proof_ipfs_hash', db.agreement.genealogy_proof_ipfs_hash === m1.manifest_cid && isCidV1(m1.manifest_cid));
+  check('version, insert and hash written in one locked transaction', db.txLog.join() === 'BEGIN,LOCK,INSERT,HASH,COMMIT');
+
+  const again = await svc.buildManifest(DAA_ID);
+  check('unchanged root does not version', again.created === false && again.version === 1 && db.manifests.length === 1
+    && db.txLog.slice(5).join() === 'BEGIN,LOCK,COMMIT');
+
+  const byId = await svc.prove(DAA_ID, { documentId: 3 });
+  check('proof by documentId verifies against the root', byId.included && byId.verified && byId.unchanged === true
+    && verifyProof(leafHash(db.documents.get(3).ipfs_cid), byId.proof, m1.merkle_root));
+  const agreementCid = cidForBuffer('agreement docx bytes');
+  const byCid = await svc.prove(DAA_ID, { cid: agreementCid });
+  check('agreement DOCX provable by cid', byCid.included && byCid.verified && byCid.document.role === 'agreement');
+  check('document outside the DAA not included', (await svc.prove(DAA_ID, { documentId: 5 })).included === false);
+
+  files['docs/will.pdf'] = Buffer.from('will of J. Hale, 1851 (re-scanned)');
+  await svc.addressDocument(1, { force: true });
+  const stale = await svc.prove(DAA_ID, { documentId: 1 });
+  check('replaced file still proves against v1 but shows as changed', stale.included && stale.verified && stale.unchanged === false);
+  const m2 = await svc.buildManifest(DAA_ID);
+  check('changed document gives a new version', m2.created && m2.version === 2 && m2.merkle_root !== m1.merkle_root);
+  check('older version still provable', (await svc.prove(DAA_ID, { documentId: 1, version: 1 })).verified);
+
+  await svc.markSubmitted(m2.id, { transactionHash: '0xabc', recordId: 7 });
+  check('submission recorded on the manifest', (await svc.prove(DAA_ID, { cid: agreementCid })).onChain?.recordId === '7');
+
+  let err = null;
+  try { await svc.prove(DAA_ID, {}); } catch (e) { err = e; }
+  check('prove needs documentId or cid', err instanceof DAAManifestError && err.httpStatus === 400);
+  err = null;
+  try { await svc.prove('00000000-0000-0000-0000-000000000000', { documentId: 1 }); } catch (e) { err = e; }
+  check('no manifest is 404', err instanceof DAAManifestError && err.code === 'NOT_FOUND');
+
+  const pending = await svc.addressPending();
+  check('addressPending reports unreadable files', pending.addressed === 0 && pending.failed.length === 1
+    && pending.failed[0].id === 5 && /NoSuchKey/.test(pending.failed[0].error));
+  const next = await svc.addressPending({ afterId: pending.lastId });
+  check('next page starts after the failed file', pending.lastId === 5 && next.lastId === null && next.failed.length === 0);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
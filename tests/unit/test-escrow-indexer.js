@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * test-escrow-indexer.js — EscrowEventIndexer over a scripted chain.
+ *
+ * Verifies:
+ *   - the first run starts at the deployment block, stops `confirmations`
+ *     behind head, and saves the cursor after every batch
+ *   - a later run resumes past the cursor and only stores new blocks
+ *   - re-indexing the same range (cursor lost) writes no duplicate rows
+ *   - a reorg under the cursor deletes rows above (cursor - reorgDepth),
+ *     re-scans that range and keeps the replacement events only
+ *   - amounts: USDC deposits at 6 decimals, ETH at 18, revisions keep the old amount
+ *   - history and status helpers only read rows of the active contract
+ *
+ * Pure in-memory; no database, no chain.
+ *
+ *   node tests/unit/test-escrow-indexer.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+const { ethers } = require('ethers');
+const EscrowEventIndexer = require('../../src/services/blockchain/EscrowEventIndexer');
+const { paymentHistoryForRecord, paymentHistoryForWallet, indexerStatus } = EscrowEventIndexer;
+const ABI = require('../../deployments/ReparationsEscrow-abi.json');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const NETWORK = { key: 'base-sepolia', name: 'Base Sepolia', chainId: 84532 };
+const ESCROW = '0x00000000000000000000000000000000000E5C40';
+const OLD_ESCROW = '0x0000000000000000000000000000000000000001';
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const DEPOSITOR = '0x00000000000000000000000000000000000000AA';
+const DESCENDANT = '0x00000000000000000000000000000000000000BB';
+const iface = new ethers.Interface(ABI);
+
+// A chain whose blocks, hashes and logs the test rewrites to simulate reorgs.
+function fakeChain(head) {
+  const chain = { head, fork: 0, logs: new Map() };
+  const hashOf = (n) => ethers.keccak256(ethers.toUtf8Bytes(`block ${n} fork ${n >= chain.forkFrom ? chain.fork : 0}`));
+  chain.forkFrom = Infinity;
+  chain.emit = (blockNumber, name, args) => {
+    const { topics, data } = iface.encodeEventLog(name, args);
+    const list = chain.logs.get(blockNumber) || [];
+    list.push({ name, topics, data, index: list.length });
+    chain.logs.set(blockNumber, list);
+  };
+  chain.reorg = (fromBlock) => {
+    chain.fork++;
+    chain.forkFrom = fromBlock;
+    for (const n of [...chain.logs.keys()]) if (n >= fromBlock) chain.logs.delete(n);
+  };
+  chain.calls = { getLogs: [] };
+  chain.provider = {
+    async getBlockNumber() { return chain.head; },
+    async getBlock(n) { return n > chain.head ? null : { number: n, hash: hashOf(n), timestamp: 1700000000 + n * 2 }; },
+    async getLogs({ address, fromBlock, toBlock }) {
+      chain.calls.getLogs.push([fromBlock, toBlock]);
+      const out = [];
+      for (let n = fromBlock; n <= toBlock; n++) {
+        for (const l of chain.logs.get(n) || []) {
+          out.push({ address, blockNumber: n, blockHash: hashOf(n), topics: l.topics, data: l.data, index: l.index,
+            transactionHash: ethers.keccak256(ethers.toUtf8Bytes(`tx ${hashOf(n)} ${l.index}`)) });
+        }
+      }
+      return out;
+    },
+  };
+  return chain;
+}
+
+function fakeDb() {
+  const events = [];
+  const cursors = new Map();
+  const saves = [];
+  const key = (chainId, address) => `${chainId}:${address}`;
+  const scoped = (params) => events.filter(e => e.chain_id === params[0] && e.contract_address === params[1]);
+  return {
+    events, cursors, saves,
+    async query(text, params = []) {
+      if (text.includes('FROM escrow_index_cursor') && text.includes('SELECT last_block')) {
+        const c = cursors.get(key(params[0], params[1]));
+        return { rows: c ? [c] : [] };
+      }
+      if (text.includes('INSERT INTO escrow_index_cursor')) {
+        cursors.set(key(params[0], params[1]), { chain_id: params[0], contract_address: params[1], last_block: params[2], last_block_hash: params[3], updated_at: new Date() });
+        saves.push(params[2]);
+        return { rows: [] };
+      }
+      if (text.includes('DELETE FROM escrow_events')) {
+        const keep = events.filter(e => !(e.chain_id === params[0] && e.contract_address === params[1] && e.block_number > params[2]));
+        const removed = events.length - keep.length;
+        events.splice(0, events.length, ...keep);
+        return { rows: [], rowCount: removed };
+      }
+      if (text.includes('INSERT INTO escrow_events')) {
+        if (events.some(e => e.chain_id === params[0] && e.tx_hash === params[5] && e.log_index === params[6])) return { rows: [] };
+        const row = { id: events.length + 1, chain_id: params[0], contract_address: params[1], block_number: params[2], block_hash: params[3],
+          block_time: params[4], tx_hash: params[5], log_index: params[6], event_name: params[7], record_id: params[8],
+          wallet_address: params[9], counterparty: params[10], token_address: params[11], amount_raw: params[12],
+          amount: params[13], previous_amount: params[14], args: JSON.parse(params[15]) };
+        events.push(row);
+        return { rows: [{ id: row.id }] };
+      }
+      if (text.includes('FROM escrow_payment_history') && text.includes('record_id = $3')) {
+        return { rows: scoped(params).filter(e => e.record_id === String(params[2])).map(e => ({ ...e, daa_id: null })) };
+      }
+      if (text.includes('FROM escrow_payment_history') && text.includes('wallet_address = $3')) {
+        return { rows: scoped(params).filter(e => e.wallet_address === params[2]) };
+      }
+      if (text.includes('GROUP BY event_name, token_address')) {
+        const groups = new Map();
+        for (const e of scoped(params).filter(x => x.record_id === String(params[2]) && /^Payment/.test(x.event_name))) {
+          const g = groups.get(e.event_name + e.token_address) || { event_name: e.event_name, token_address: e.token_address, total: 0, count: 0 };
+          g.total += Number(e.amount);
+          g.count++;
+          groups.set(e.event_name + e.token_address, g);
+        }
+        return { rows: [...groups.values()] };
+      }
+      if (text.includes('FROM escrow_index_cursor c')) {
+        return { rows: [...cursors.values()].filter(c => c.chain_id === params[0] && c.contract_address === params[1])
+          .map(c => ({ ...c, event_count: scoped([c.chain_id, c.contract_address]).length })) };
+      }
+      throw new Error(`unexpected query: ${text.slice(0, 80)}`);
+    },
+  };
+}
+
+const quiet = { info() {}, warn() {}, error() {} };
+
+function indexer(db, chain, opts = {}) {
+  return new EscrowEventIndexer(db, {
+    network: NETWORK,
+    provider: chain.provider,
+    contract: { interface: iface },
+    deployment: { contractAddress: ESCROW, blockNumber: 100 },
+    confirmations: 2, batchSize: 5, reorgDepth: 4, logger: quiet,
+    ...opts,
+  });
+}
+
+(async () => {
+  const chain = fakeChain(112);
+  chain.emit(101, 'AncestryRecordSubmitted', [1n, 'James Hale', DEPOSITOR]);
+  chain.emit(104, 'PaymentDeposited', [1n, 250000000n, USDC, DEPOSITOR]);
+  chain.emit(104, 'PaymentDeposited', [1n, ethers.parseEther('0.5'), ethers.ZeroAddress, DEPOSITOR]);
+  chain.emit(108, 'ReparationsAmountUpdated', [1n, 1000000000n, 1250500000n, 'CPI update']);
+  chain.emit(111, 'DescendantVerified', [1n, DESCENDANT, DEPOSITOR]);
+  chain.emit(107, 'RecordVerified', [1n, DEPOSITOR]);
+
+  // ── first run ──
+  const db = fakeDb();
+  const r1 = await indexer(db, chain).runOnce();
+  check('first run scans from the deployment block to head - confirmations', r1.fromBlock === 100 && r1.toBlock === 110 && r1.head === 112);
+  check('cursor saved after every batch', db.saves.join() === '104,109,110'
+    && chain.calls.getLogs.map(c => c.join('-')).join() === '100-104,105-109,110-110');
+  check('indexed events stored, unconfirmed and unindexed ones not', r1.stored === 4 && db.events.length === 4
+    && !db.events.some(e => e.event_name === 'DescendantVerified' || e.event_name === 'RecordVerified'));
+  const [usdc, eth] = db.events.filter(e => e.event_name === 'PaymentDeposited');
+  check('USDC at 6 decimals, ETH at 18', usdc.amount === '250.0' && usdc.token_address === USDC.toLowerCase()
+    && eth.amount === '0.5' && eth.wallet_address === DEPOSITOR.toLowerCase());
+  const revision = db.events.find(e => e.event_name === 'ReparationsAmountUpdated');
+  check('revision keeps the previous amount', revision.amount === '1250.5' && revision.previous_amount === '1000.0'
+    && revision.args.reason === 'CPI update');
+  check('rows carry the lower-cased contract address', db.events.every(e => e.contract_address === ESCROW.toLowerCase()));
+
+  // ── resume ──
+  chain.head = 115;
+  chain.calls.getLogs = [];
+  const r2 = await indexer(db, chain).runOnce();
+  check('later run resumes past the cursor', r2.fromBlock === 111 && r2.toBlock === 113 && r2.stored === 1
+    && chain.calls.getLogs[0][0] === 111 && db.events.length === 5);
+  const r3 = await indexer(db, chain).runOnce();
+  check('nothing new: no scan, nothing stored', r3.stored === 0 && r3.fromBlock === 114 && chain.calls.getLogs.length === 1);
+
+  // ── idempotent re-index ──
+  db.cursors.clear();
+  const r4 = await indexer(db, chain).runOnce();
+  check('re-indexing from scratch writes no duplicates', r4.fromBlock === 100 && r4.stored === 0 && db.events.length === 5);
+
+  // ── reorg ──
+  chain.reorg(110);
+  chain.emit(110, 'PaymentDistributed', [1n, DESCENDANT, 100000000n, USDC]);
+  chain.head = 116;
+  const r5 = await indexer(db, chain).runOnce();
+  check('reorg detected and reported', r5.reorged === true && r5.fromBlock === 110 && r5.toBlock === 114);
+  check('orphaned events dropped, rows below the rewind point kept', !db.events.some(e => e.event_name === 'DescendantVerified')
+    && db.events.filter(e => e.block_number <= 109).length === 4);
+  check('replacement events stored', r5.stored === 1 && db.events.some(e => e.event_name === 'PaymentDistributed' && e.block_number === 110));
+  const cursor = db.cursors.get(`${NETWORK.chainId}:${ESCROW.toLowerCase()}`);
+  check('cursor follows the new fork', cursor.last_block === 114 && cursor.last_block_hash === (await chain.provider.getBlock(114)).hash);
+
+  // ── helpers scoped to the active contract ──
+  // An earlier deployment on the same chain reused record id 1.
+  const oldIndexer = indexer(db, fakeChain(0), { deployment: { contractAddress: OLD_ESCROW, blockNumber: 0 } });
+  await oldIndexer.saveCursor(50, '0xold');
+  db.events.push({ id: 99, chain_id: NETWORK.chainId, contract_address: OLD_ESCROW, block_number: 40, log_index: 0,
+    event_name: 'PaymentDeposited', record_id: '1', wallet_address: DEPOSITOR.toLowerCase(), token_address: USDC.toLowerCase(), amount: '9999.0' });
+  const escrow = { chainId: NETWORK.chainId, contractAddress: ESCROW };
+
+  const history = await paymentHistoryForRecord(db, escrow, 1);
+  const deposited = history.totals.find(t => t.type === 'deposited' && t.token === USDC.toLowerCase());
+  check('record history ignores the earlier contract', history.events.length === 5 && deposited.total === 250 && deposited.count === 1);
+  const wallet = await paymentHistoryForWallet(db, escrow, DEPOSITOR);
+  check('wallet history ignores the earlier contract', wallet.deposited.length === 2 && wallet.deposited.every(d => d.amount !== '9999.0'));
+  const status = await indexerStatus(db, escrow);
+  check('status shows the active contract only', status.length === 1 && status[0].contractAddress === ESCROW.toLowerCase()
+    && status[0].lastBlock === 114 && status[0].eventCount === 5);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
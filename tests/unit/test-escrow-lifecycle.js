@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * test-escrow-lifecycle.js — LegalPrecedentService escrow lifecycle (M123).
+ *
+ * Verifies:
+ *   - createEscrowRecord starts in 'proposed' with a deadline and logs the creation
+ *   - only ESCROW_TRANSITIONS moves are allowed (proposed → funded is refused, closed is terminal)
+ *   - disputed / closed need a reason; legacy 'pending' / 'distributed' map to the new statuses
+ *   - noticing needs a jurisdiction, snapshots buildDAALegalCitations and stores the notice letter
+ *     (with the response deadline, the DAA and the on-chain record)
+ *   - citations can't be rebuilt once noticed; they can during a dispute, before a re-notice
+ *   - a transition guarded on a status that changed underneath it is a conflict, and
+ *     the status and its log entry are written in one transaction (rolled back together)
+ *   - getEscrow reads deposits / distributions for the DAA's on-chain record on the
+ *     chain and contract of the DAA's network (or of the escrow's own link); overdue listing
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-escrow-lifecycle.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+const LegalPrecedentService = require('../../src/services/reparations/LegalPrecedentService');
+const { EscrowError, canTransition, ESCROW_STATUSES } = LegalPrecedentService;
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const DAA_ID = '11111111-2222-4333-8444-555555555555';
+// Escrow deployments by network key; the DAA's record is on base-sepolia, the active chain is base
+const DEPLOYMENTS = {
+  base: { chainId: 8453, contractAddress: '0x00000000000000000000000000000000000ba5e0' },
+  'base-sepolia': { chainId: 84532, contractAddress: '0x0000000000000000000000000000000000005e90' },
+};
+
+// reparations_escrow / reparations_escrow_transitions in memory; the UPDATE's
+// "col = $n" SET list is applied literally so the service's SQL is what's tested.
+function fakePool() {
+  const escrows = new Map();
+  const transitions = [];
+  const txLog = [];
+  let n = 0;
+  return {
+    escrows, transitions, txLog,
+    raceOnce: false,
+    async connect() {
+      return { query: (sql, params) => this.query(sql, params), release() {} };
+    },
+    async query(sql, params = []) {
+      const s = sql.replace(/\s+/g, ' ').trim();
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(s)) { txLog.push(s); return { rows: [] }; }
+      if (s.startsWith('SELECT daa_id FROM debt_acknowledgment_agreements')) return { rows: params[0] === DAA_ID ? [{ daa_id: DAA_ID }] : [] };
+      if (s.includes('FROM debt_acknowledgment_agreements WHERE daa_id')) {
+        return { rows: params[0] === DAA_ID ? [{ daa_id: DAA_ID, agreement_number: 'DAA-2026-007', slaveholder_name: 'James Hopewell', blockchain_record_id: 42,
+          blockchain_network: 'base-sepolia' }] : [] };
+      }
+      if (s.startsWith('INSERT INTO reparations_escrow (')) {
+        const id = `00000000-0000-4000-8000-${String(++n).padStart(12, '0')}`;
+        const [debtor_name, debtor_type, amount, currency, daa_id, jurisdiction, notes, blockchain_record_id, chain_id, created_by, now, deadline] = params;
+        const row = { escrow_id: id, debtor_name, debtor_type, amount, currency, daa_id, jurisdiction, notes, blockchain_record_id, chain_id,
+          created_by, escrow_status: 'proposed', status_changed_at: now, deadline_at: deadline, created_at: now, citation_bundle: null, notice_letter: null };
+        escrows.set(id, row);
+        return { rows: [{ ...row }] };
+      }
+      if (s.startsWith('SELECT * FROM reparations_escrow WHERE escrow_id')) {
+        const row = escrows.get(params[0]);
+        return { rows: row ? [{ ...row }] : [] };
+      }
+      if (s.startsWith('UPDATE reparations_escrow SET')) {
+        const row = escrows.get(params[0]);
+        if (this.raceOnce) { this.raceOnce = false; row.escrow_status = 'closed'; }
+        const guarded = /AND escrow_status = \$(\d+)/.exec(s);
+        if (!row || (guarded && row.escrow_status !== params[guarded[1] - 1])) return { rows: [] };
+        const setClause = s.slice('UPDATE reparations_escrow SET'.length, s.indexOf(' WHERE'));
+        for (const [, col, idx] of setClause.matchAll(/(\w+) = \$(\d+)/g)) {
+          const v = params[idx - 1];
+          row[col] = col === 'citation_bundle' ? JSON.parse(v) : v;
+        }
+        return { rows: [{ ...row }] };
+      }
+      if (s.startsWith('INSERT INTO reparations_escrow_transitions')) {
+        transitions.push({ escrow_id: params[0], from_status: params[1], to_status: params[2], reason: params[3], deadline_at: params[4], actor: params[5] });
+        return { rows: [] };
+      }
+      if (s.includes('FROM reparations_escrow_transitions')) return { rows: transitions.filter(t => t.escrow_id === params[0]) };
+      if (s.includes('FROM escrow_events')) {
+        // Record 42 has events on base-sepolia only; record 7 on base only
+        const on = (network) => params[1] === DEPLOYMENTS[network].chainId && params[2] === DEPLOYMENTS[network].contractAddress;
+        if (params[0] === 7 && on('base')) {
+          return { rows: [{ event_name: 'PaymentDeposited', token_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', amount: '700', events: 1, last_event_at: null }] };
+        }
+        return { rows: params[0] === 42 && on('base-sepolia') ? [
+          { event_name: 'PaymentDeposited', token_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', amount: '2500', events: 2, last_event_at: new Date('2026-06-01') },
+          { event_name: 'PaymentDistributed', token_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', amount: '1000', events: 1, last_event_at: new Date('2026-07-01') },
+        ] : [] };
+      }
+      if (s.startsWith('SELECT * FROM reparations_escrow WHERE')) {
+        const [status, overdue, now] = params;
+        return { rows: [...escrows.values()].filter(e => (!status || e.escrow_status === status)
+          && (!overdue || (e.deadline_at < now && e.escrow_status !== 'closed'))) };
+      }
+      throw new Error(`unexpected query: ${s.slice(0, 80)}`);
+    },
+  };
+}
+
+// Citation bundle source: the framework tables are not under test here.
+const built = [];
+function makeService(pool, clock) {
+  const svc = new LegalPrecedentService(pool, {
+    chainId: 8453, escrowFor: (network) => DEPLOYMENTS[network || 'base'] || null, now: () => clock.now,
+  });
+  svc.buildDAALegalCitations = async (jurisdiction, defendantType) => {
+    built.push({ jurisdiction, defendantType });
+    if (jurisdiction !== 'United States') return { jurisdiction: undefined };
+    return {
+      jurisdiction: { country_name: 'United States' },
+      legalSystem: 'common_law',
+      statutoryBasis: [{ title: 'Thirteenth Amendment', common_citation: 'U.S. Const. amend. XIII' }],
+      doctrines: [{ doctrine_name: 'Unjust Enrichment' }],
+      mechanism: { mechanism_name: 'Individual estate DAA', legal_theory: 'unjust enrichment' },
+      corePrecedents: { uk1833: { fact: 'UK government enforced 182 years of payments for slavery debt', legalSignificance: 'Proves governments CAN enforce multi-generational debt' } },
+    };
+  };
+  return svc;
+}
+
+async function rejects(fn, code) {
+  try { await fn(); return false; } catch (e) { return e instanceof EscrowError && e.code === code; }
+}
+
+(async () => {
+  const clock = { now: new Date('2026-10-19T12:00:00Z') };
+  const pool = fakePool();
+  const svc = makeService(pool, clock);
+
+  check('lifecycle table', canTransition('proposed', 'noticed') && canTransition('disputed', 'noticed')
+    && !canTransition('proposed', 'funded') && ESCROW_STATUSES.every(s => !canTransition('closed', s)));
+
+  const e = await svc.createEscrowRecord('Hopewell Family Trust', 'individual', 2500, DAA_ID, { actor: 'fin' });
+  check('created proposed with a 30-day deadline', e.escrow_status === 'proposed'
+    && e.deadline_at.toISOString() === '2026-11-18T12:00:00.000Z' && pool.transitions[0].to_status === 'proposed' && pool.transitions[0].from_status === null);
+  check('bad debtor type / unknown DAA refused', await rejects(() => svc.createEscrowRecord('X', 'estate', 1), 'BAD_INPUT')
+    && await rejects(() => svc.createEscrowRecord('X', 'individual', 1, '99999999-2222-4333-8444-555555555555'), 'DAA_NOT_FOUND'));
+
+  check('proposed → funded refused', await rejects(() => svc.transitionEscrow(e.escrow_id, 'funded'), 'INVALID_TRANSITION'));
+  check('noticing without a jurisdiction refused', await rejects(() => svc.transitionEscrow(e.escrow_id, 'noticed'), 'CITATIONS_REQUIRED')
+    && pool.escrows.get(e.escrow_id).escrow_status === 'proposed');
+  check('unknown jurisdiction refused', await rejects(() => svc.transitionEscrow(e.escrow_id, 'noticed', { jurisdiction: 'Atlantis' }), 'UNKNOWN_JURISDICTION'));
+
+  const noticed = await svc.transitionEscrow(e.escrow_id, 'noticed', { jurisdiction: 'United States', actor: 'fin' });
+  const row = pool.escrows.get(e.escrow_id);
+  check('noticed: bundle snapshotted for the debtor type', noticed.escrow.escrow_status === 'noticed'
+    && row.citation_bundle.jurisdiction === 'United States' && row.citation_bundle.defendantType === 'individual' && row.jurisdiction === 'United States');
+  const letter = row.notice_letter || '';
+  check('notice letter carries deadline, DAA, on-chain record and legal basis', /Please respond by 2026-11-18/.test(letter)
+    && /DAA-2026-007/.test(letter) && /ReparationsEscrow record #42/.test(letter) && /U\.S\. Const\. amend\. XIII/.test(letter)
+    && /Unjust Enrichment/.test(letter) && /USD 2,500\.00/.test(letter));
+  check('stored letter is returned as-is', (await svc.getEscrowNotice(e.escrow_id)).stored === true);
+  check('citations frozen once noticed', await rejects(() => svc.attachEscrowCitations(e.escrow_id, 'United States'), 'INVALID_STATE'));
+
+  check('dispute needs a reason', await rejects(() => svc.transitionEscrow(e.escrow_id, 'disputed'), 'REASON_REQUIRED'));
+  clock.now = new Date('2026-11-01T12:00:00Z');
+  const disputed = await svc.transitionEscrow(e.escrow_id, 'disputed', { reason: 'Debtor disputes lineage', deadlineDays: 45, actor: 'fin' });
+  check('disputed with a custom deadline', disputed.transition.deadline.toISOString() === '2026-12-16T12:00:00.000Z'
+    && pool.escrows.get(e.escrow_id).disputed_at.getTime() === clock.now.getTime());
+  const builtBefore = built.length;
+  await svc.attachEscrowCitations(e.escrow_id, 'United States');
+  check('citations can be rebuilt during a dispute', built.length === builtBefore + 1);
+
+  const funded = await svc.updateEscrowStatus(e.escrow_id, 'funded', { actor: 'fin' });
+  check('legacy updateEscrowStatus goes through the lifecycle', funded.escrow_status === 'funded' && funded.funded_at);
+  await svc.transitionEscrow(e.escrow_id, 'distributed', { actor: 'fin' });
+  check("legacy 'distributed' maps to disbursed", pool.escrows.get(e.escrow_id).escrow_status === 'disbursed');
+  await svc.transitionEscrow(e.escrow_id, 'closed', { reason: 'All shares paid', actor: 'fin' });
+  check('closed is terminal with no deadline', pool.escrows.get(e.escrow_id).deadline_at === null
+    && await rejects(() => svc.transitionEscrow(e.escrow_id, 'noticed'), 'INVALID_TRANSITION'));
+
+  const detail = await svc.getEscrow(e.escrow_id);
+  check('transition log is complete', detail.transitions.map(t => t.to_status).join() === 'proposed,noticed,disputed,funded,disbursed,closed'
+    && detail.transitions.every(t => t.actor === 'fin') && detail.allowedTransitions.length === 0);
+  check("on-chain record read through the DAA, on the DAA's network", detail.onChain.recordId === 42 && detail.onChain.linkedVia === 'daa'
+    && detail.onChain.chainId === 84532 && detail.onChain.contractAddress === DEPLOYMENTS['base-sepolia'].contractAddress
+    && detail.onChain.deposited[0].amount === 2500 && detail.onChain.distributed[0].amount === 1000);
+  const linked = await svc.createEscrowRecord('Hopewell Estate', 'individual', 700, DAA_ID, { blockchainRecordId: 7 });
+  const linkedChain = (await svc.getEscrow(linked.escrow_id)).onChain;
+  check('an escrow linked on its own reads its stored chain', linkedChain.recordId === 7 && linkedChain.linkedVia === 'escrow'
+    && linkedChain.chainId === 8453 && linkedChain.deposited[0].amount === 700);
+  pool.escrows.get(linked.escrow_id).chain_id = 1;
+  check('no events read for a chain without a known deployment', (await svc.getEscrow(linked.escrow_id)).onChain.deposited.length === 0);
+  await svc.transitionEscrow(linked.escrow_id, 'closed', { reason: 'Duplicate of the DAA escrow' });
+
+  const e2 = await svc.createEscrowRecord('Acme Insurance', 'corporation', 10000, null, { jurisdiction: 'United States' });
+  pool.raceOnce = true;
+  const logged = pool.transitions.length;
+  check('concurrent change is a conflict', await rejects(() => svc.transitionEscrow(e2.escrow_id, 'noticed'), 'CONFLICT')
+    && pool.txLog.at(-1) === 'ROLLBACK' && pool.transitions.length === logged);
+  check('each status write and its log entry share a transaction', pool.txLog.filter(t => t === 'BEGIN').length
+    === pool.txLog.filter(t => t === 'COMMIT' || t === 'ROLLBACK').length);
+  const e3 = await svc.createEscrowRecord('Beacon Bank', 'corporation', 5000);
+  check('no on-chain record without a link', (await svc.getEscrow(e3.escrow_id)).onChain === null);
+  clock.now = new Date('2027-01-01T00:00:00Z');
+  const overdue = await svc.listEscrows({ overdue: true });
+  check('overdue lists open escrows past their deadline', overdue.length === 1 && overdue[0].escrow_id === e3.escrow_id
+    && (await svc.getEscrow(e3.escrow_id)).overdue === true);
+  check('unknown status refused', await rejects(() => svc.listEscrows({ status: 'paid' }), 'BAD_STATUS'));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * test-gedcom-climb.js — GedcomParser + GedcomClimber (M124).
+ *
+ * Verifies:
+ *   - GEDCOM 5.5.1: CONC/CONT, /surname/ names, ABT / BET dates, _FSFTID and
+ *     FamilySearch-typed EXID, adopted links skipped with a warning
+ *   - GEDCOM X JSON: ParentChild relationships, ark identifiers
+ *   - root selection: by xref, by name, ambiguous names list candidates
+ *   - ancestorsOf keeps only the root's direct line
+ *   - the climb saves matches with the lineage path from the root, verifies them,
+ *     skips the root, stops at the historical cutoff, drops parent links the
+ *     garbage detector rejects, and completes the session
+ *   - a missing find_person_match() fails the session
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-gedcom-climb.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+const GedcomClimber = require('../../src/services/genealogy/GedcomClimber');
+const { parseFamilyTree, findRoot, ancestorsOf, GedcomError } = require('../../src/services/genealogy/GedcomParser');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const GED = [
+  '0 HEAD',
+  '1 SOUR RootsMagic',
+  '1 GEDC',
+  '2 VERS 5.5.1',
+  '1 CHAR UTF-8',
+  '0 @I1@ INDI',
+  '1 NAME Nancy /Brown/',
+  '1 BIRT',
+  '2 DATE 1950',
+  '1 FAMC @F1@',
+  '0 @I2@ INDI',
+  '1 NAME Thomas /Brown/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE ABT 1920',
+  '2 PLAC Charleston, South Caro',
+  '3 CONC lina, USA',
+  '1 FAMC @F2@',
+  '1 FAMC @F9@',
+  '2 PEDI adopted',
+  '0 @I3@ INDI',
+  '1 NAME Ruth /Miller/',
+  '1 SEX F',
+  '1 BIRT',
+  '2 DATE BET 1921 AND 1923',
+  '0 @I4@ INDI',
+  '1 NAME Elias /Brown/',
+  '1 SEX M',
+  '1 _FSFTID LZ4K-ABC',
+  '1 BIRT',
+  '2 DATE 1890',
+  '2 PLAC Beaufort, South Carolina',
+  '1 NOTE First line',
+  '2 CONT second line',
+  '1 FAMC @F3@',
+  '0 @I5@ INDI',
+  '1 NAME Mary /Brown/',
+  '1 SEX F',
+  '1 EXID GH12-XYZ',
+  '2 TYPE https://www.familysearch.org/ark:/61903/4:1:',
+  '1 BIRT',
+  '2 DATE 1893',
+  '0 @I6@ INDI',
+  '1 NAME John /Brown/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE 1860',
+  '1 FAMC @F4@',
+  '0 @I7@ INDI',
+  '1 NAME Hans /Braun/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE 1540',
+  '1 FAMC @F5@',
+  '0 @I8@ INDI',
+  '1 NAME Wilhelm /Braun/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE 1510',
+  '0 @I9@ INDI',
+  '1 NAME Adoptive /Parent/',
+  '0 @I10@ INDI',
+  '1 NAME Cousin /Brown/',
+  '1 FAMC @F2@',
+  '0 @I11@ INDI',
+  '1 NAME Nancy /Brown/',
+  '0 @F1@ FAM',
+  '1 HUSB @I2@',
+  '1 WIFE @I3@',
+  '1 CHIL @I1@',
+  '0 @F2@ FAM',
+  '1 HUSB @I4@',
+  '1 WIFE @I5@',
+  '1 CHIL @I2@',
+  '1 CHIL @I10@',
+  '0 @F3@ FAM',
+  '1 HUSB @I6@',
+  '1 CHIL @I4@',
+  '0 @F4@ FAM',
+  '1 HUSB @I7@',
+  '1 CHIL @I6@',
+  '0 @F5@ FAM',
+  '1 HUSB @I8@',
+  '1 CHIL @I7@',
+  '0 @F9@ FAM',
+  '1 HUSB @I9@',
+  '1 CHIL @I2@',
+  '0 TRLR',
+].join('\n');
+
+const GEDCOMX = {
+  persons: [
+    { id: 'p1', living: true, names: [{ nameForms: [{ fullText: 'Ada Lee' }] }] },
+    {
+      id: 'p2', gender: { type: 'http://gedcomx.org/Male' },
+      identifiers: { 'http://gedcomx.org/Persistent': ['https://familysearch.org/ark:/61903/4:1:KWCB-QZ9'] },
+      names: [{ nameForms: [{ fullText: 'Robert Lee' }] }],
+      facts: [{ type: 'http://gedcomx.org/Birth', date: { original: '12 March 1888' }, place: { original: 'Richmond, Virginia' } }],
+    },
+  ],
+  relationships: [
+    { type: 'http://gedcomx.org/ParentChild', person1: { resource: '#p2' }, person2: { resource: '#p1' } },
+  ],
+};
+
+// find_person_match() results keyed by name; everything else is a plain recorder.
+function fakeDb({ matches = {}, missingMatcher = false } = {}) {
+  const calls = [];
+  const sessions = new Map();
+  const matchRows = [];
+  return {
+    calls, sessions, matchRows,
+    async query(text, params = []) {
+      calls.push({ text, params });
+      if (text.includes('find_person_match')) {
+        if (missingMatcher) throw new Error('function find_person_match(text, integer, text, unknown, unknown, unknown) does not exist');
+        return { rows: matches[params[0]] || [] };
+      }
+      if (text.includes('INSERT INTO ancestor_climb_sessions')) {
+        const id = `sess-${sessions.size + 1}`;
+        sessions.set(id, { id, modern_person_name: params[0], modern_person_fs_id: params[1], config: JSON.parse(params[2]), source: params[3] });
+        return { rows: [{ id }] };
+      }
+      if (text.includes('INSERT INTO climb_tree_imports')) return { rows: [{ id: 7 }] };
+      if (text.includes('INSERT INTO ancestor_climb_matches')) { matchRows.push(params); return { rows: [] }; }
+      if (text.includes('UPDATE ancestor_climb_sessions')) {
+        const s = sessions.get(params[0]);
+        Object.assign(s, { status: params[1], ancestors_visited: params[2], max_generation_reached: params[3],
+          matches_found: params[4], last_error: params[8] || s.last_error, config: { ...s.config, ...JSON.parse(params[7]) } });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+const fakeVerifier = {
+  verified: [],
+  async verify(person, match, generation) {
+    this.verified.push({ person: person.name, generation });
+    return { classification: 'debt', confidence_adjusted: 0.8, evidence: [{ detail: 'date fits' }], requires_human_review: false, review_reason: null };
+  },
+};
+
+// Rejects the one link whose parent name it is told to, accepts everything else.
+function fakeGarbageDetector(rejectParent) {
+  return {
+    seen: [],
+    validate(child, link) {
+      this.seen.push(link);
+      return link.parentName === rejectParent
+        ? { recommendation: 'reject', adjustedConfidence: 0, reason: 'surname origin mismatch' }
+        : { recommendation: 'accept', adjustedConfidence: link.confidence, reason: 'ok' };
+    },
+  };
+}
+
+(async () => {
+  const tree = parseFamilyTree(Buffer.from(GED));
+  check('gedcom detected with version and source', tree.format === 'gedcom' && tree.version === '5.5.1' && tree.sourceSystem === 'RootsMagic');
+  const thomas = tree.persons.get('@I2@');
+  check('names and ABT dates parsed', thomas.name === 'Thomas Brown' && thomas.birth_year === 1920);
+  check('CONC joins the place', thomas.birth_place === 'Charleston, South Carolina, USA');
+  check('BET date takes the first year', tree.persons.get('@I3@').birth_year === 1921);
+  check('_FSFTID and FamilySearch EXID become fs_id',
+    tree.persons.get('@I4@').fs_id === 'LZ4K-ABC' && tree.persons.get('@I5@').fs_id === 'GH12-XYZ');
+  check('adopted link skipped, birth parents kept', thomas.father_id === '@I4@' && thomas.mother_id === '@I5@'
+    && tree.warnings.some(w => /adopted/i.test(w)));
+
+  const x = parseFamilyTree(JSON.stringify(GEDCOMX));
+  const ada = x.persons.get('p1');
+  check('gedcomx parent link and ark id', x.format === 'gedcomx' && ada.father_id === 'p2' && x.persons.get('p2').fs_id === 'KWCB-QZ9'
+    && x.persons.get('p2').birth_year === 1888);
+
+  check('root by xref', findRoot(tree, { rootId: 'I1' }).name === 'Nancy Brown');
+  let ambiguous = null;
+  try { findRoot(tree, { rootName: 'nancy brown' }); } catch (e) { ambiguous = e; }
+  check('ambiguous root name lists candidates', ambiguous instanceof GedcomError && ambiguous.code === 'ROOT_AMBIGUOUS'
+    && ambiguous.candidates.length === 2);
+  let notGed = null;
+  try { parseFamilyTree('hello'); } catch (e) { notGed = e; }
+  check('unrecognised file is a 400', notGed instanceof GedcomError && notGed.httpStatus === 400);
+
+  const line = ancestorsOf(tree, '@I1@').map(p => p.id);
+  check('ancestors: direct line only, root first', line[0] === '@I1@' && line.length === 8
+    && !line.includes('@I10@') && !line.includes('@I9@') && !line.includes('@I11@'));
+
+  // ── climb ─────────────────────────────────────────────────────────────
+  const db = fakeDb({
+    matches: {
+      'John Brown': [{ match_tier: 2, match_confidence: '0.82', match_details: 'name+date+location', person_type: 'enslaver',
+        canonical_person_id: 42, canonical_name: 'John Brown', birth_year_estimate: 1858, primary_state: 'SC' }],
+      'Ruth Miller': [{ match_tier: 3, match_confidence: '0.50', match_details: 'name only', person_type: 'enslaver',
+        canonical_person_id: 9, canonical_name: 'Ruth A Miller', birth_year_estimate: null, primary_state: null }],
+      'Nancy Brown': [{ match_tier: 2, match_confidence: '0.99', match_details: 'exact', person_type: 'enslaver',
+        canonical_person_id: 1, canonical_name: 'Nancy Brown', birth_year_estimate: 1950, primary_state: 'SC' }],
+    },
+  });
+  const garbage = fakeGarbageDetector('Mary Brown');
+  const climber = new GedcomClimber(db, { verifier: fakeVerifier, garbageDetector: garbage });
+  const result = await climber.climbFile(GED, { rootId: '@I1@', participantId: 'part-1', uploadedBy: 'ana', fileName: 'brown.ged' });
+  const session = db.sessions.get(result.sessionId);
+
+  check('session opened with source and config', session.source === 'gedcom' && session.modern_person_name === 'Nancy Brown'
+    && session.modern_person_fs_id === 'GEDCOM' && session.config.root_xref === '@I1@');
+  check('participant linked to the session', db.calls.some(c => c.text.includes('participant_climb_sessions') && c.params[0] === 'part-1'));
+  check('root is never matched', !db.calls.some(c => c.text.includes('find_person_match') && c.params[0] === 'Nancy Brown'));
+  check('tier-1 lookup uses the file\'s FamilySearch id', db.calls.some(c => c.text.includes('find_person_match')
+    && c.params[3] === 'LZ4K-ABC' && c.params[4] === 'familysearch'));
+  check('two matches saved and verified', result.matches.length === 2 && db.matchRows.length === 2
+    && fakeVerifier.verified.some(v => v.person === 'John Brown' && v.generation === 3));
+  const john = db.matchRows.find(r => r[4] === 'John Brown');
+  check('lineage path runs from the root', JSON.stringify(john[9]) === JSON.stringify(['Nancy Brown', 'Thomas Brown', 'Elias Brown', 'John Brown'])
+    && john[10][2] === 'LZ4K-ABC' && john[3] === 42);
+  check('tier-3 candidate saved pending review', result.matches.some(m => m.ancestor === 'Ruth Miller' && m.match_type === 'name_only_match'));
+  check('rejected link not climbed and recorded', result.rejectedLinks.length === 1 && result.rejectedLinks[0].parent === 'Mary Brown'
+    && !db.calls.some(c => c.text.includes('find_person_match') && c.params[0] === 'Mary Brown'));
+  check('participant\'s own parents are participant-provided', garbage.seen.filter(l => l.discoveryMethod === 'participant_provided').length === 2
+    && garbage.seen.some(l => l.discoveryMethod === 'gedcom_import'));
+  check('climb stops above the historical cutoff', !db.calls.some(c => c.text.includes('find_person_match') && /Braun/.test(c.params[0]))
+    && !garbage.seen.some(l => l.parentName === 'Wilhelm Braun'));
+  check('session completed with counts and links', session.status === 'completed' && session.matches_found === 2
+    && session.max_generation_reached === 4 && session.config.rejected_links.length === 1);
+
+  const broken = fakeDb({ missingMatcher: true });
+  let failure = null;
+  try {
+    await new GedcomClimber(broken, { verifier: fakeVerifier, garbageDetector: fakeGarbageDetector(null) }).climbFile(GED, { rootId: '@I1@' });
+  } catch (e) { failure = e; }
+  const failedSession = [...broken.sessions.values()][0];
+  check('missing matcher fails the session', failure && failedSession.status === 'failed' && /find_person_match/.test(failedSession.last_error));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * test-gedcom-export.js — GedcomExporter + GedcomWriter.
+ *
+ * Verifies:
+ *   - a session's verified matches become one lineage: shared path steps merge, the
+ *     climbed person is living / RESN PRIVACY, unverified matches are left out
+ *   - matched enslavers get canonical details, person_documents sources and
+ *     _ENSLAVED links (declared in HEAD.SCHMA) to their enslaved people, with
+ *     the reverse _ENSLAVER pointer and the enslaved person's own documents
+ *   - the GEDCOM 7 output parses back (GedcomParser) into the same parent links
+ *   - GEDCOM X: ParentChild / Couple / extension Enslavement + Inheritance relationships,
+ *     source descriptions, confidence from the evidence tier
+ *   - neighbourhood: parent_of / child_of pairs collapse, depth limits the walk,
+ *     bequests become _BEQUEATHED / _INHERITED, sources cite QUAY by evidence tier and
+ *     tier-3 links are noted as not a primary source
+ *   - the assertion gate drops enslaver status, enslavements and bequests of
+ *     enslaved people for non-assertable persons
+ *   - unknown format → 400, unknown session / person → 404
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-gedcom-export.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+const GedcomExporter = require('../../src/services/genealogy/GedcomExporter');
+const { ExportError } = GedcomExporter;
+const { toGedcom7, toGedcomX, gedcomName } = require('../../src/services/genealogy/GedcomWriter');
+const { parseFamilyTree } = require('../../src/services/genealogy/GedcomParser');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const SESSION = '9b2f3c4d-1111-4222-8333-444455556666';
+
+const data = {
+  sessions: [{ id: SESSION, modern_person_name: 'Nancy Miller Brown', modern_person_fs_id: 'G21N-HD2', status: 'completed', source: 'familysearch' }],
+  matches: [
+    { id: 1, session_id: SESSION, slaveholder_id: 10, slaveholder_name: 'John Brown', slaveholder_fs_id: 'LZ4K-ABC',
+      slaveholder_birth_year: 1790, slaveholder_location: 'Beaufort, South Carolina', generation_distance: 3,
+      lineage_path: ['Nancy Miller Brown', 'Thomas Brown', 'Elias Brown', 'John Brown'], lineage_path_fs_ids: [],
+      match_type: 'name_date_location_match', match_confidence: '0.82', classification: 'confirmed_slaveholder',
+      verification_status: 'human_verified', confidence_adjusted: '0.90' },
+    { id: 2, session_id: SESSION, slaveholder_id: 11, slaveholder_name: 'Sarah Brown', slaveholder_fs_id: null,
+      slaveholder_birth_year: 1795, slaveholder_location: null, generation_distance: 3,
+      lineage_path: ['Nancy Miller Brown', 'Thomas Brown', 'Elias Brown', 'Sarah Brown'], lineage_path_fs_ids: [],
+      match_type: 'name_date_location_match', match_confidence: '0.70', classification: 'confirmed_slaveholder',
+      verification_status: 'auto_verified', confidence_adjusted: '0.75' },
+    { id: 3, session_id: SESSION, slaveholder_id: 12, slaveholder_name: 'Ruth Miller', generation_distance: 2,
+      lineage_path: ['Nancy Miller Brown', 'Ruth Miller'], lineage_path_fs_ids: [],
+      match_type: 'name_only_match', match_confidence: '0.50', classification: 'unverified', verification_status: 'needs_review' },
+  ],
+  canonical: [
+    { id: 10, canonical_name: 'John Brown', sex: 'male', birth_year_estimate: 1790, death_year_estimate: 1851,
+      primary_county: 'Beaufort', primary_state: 'South Carolina', person_type: 'enslaver', assertable_slaveowner: true, assertable_enslaved: false },
+    { id: 11, canonical_name: 'Sarah Brown', sex: 'female', birth_year_estimate: 1795, death_year_estimate: null,
+      primary_county: null, primary_state: 'South Carolina', person_type: 'enslaver', assertable_slaveowner: false, assertable_enslaved: false },
+    { id: 20, canonical_name: 'William Brown', sex: 'male', birth_year_estimate: 1820, death_year_estimate: 1880,
+      primary_county: null, primary_state: 'South Carolina', person_type: 'enslaver', assertable_slaveowner: false, assertable_enslaved: false },
+    { id: 21, canonical_name: 'Henry Brown', sex: 'male', birth_year_estimate: 1850, person_type: 'descendant' },
+  ],
+  familyEdges: [
+    { id: 1, person_a_id: 10, person_b_id: 11, relationship_type: 'spouse', evidence_tier: 2, source_document_id: 102 },
+    { id: 2, person_a_id: 10, person_b_id: 20, relationship_type: 'parent_of', evidence_tier: 1, source_document_id: 100 },
+    { id: 3, person_a_id: 20, person_b_id: 10, relationship_type: 'child_of', evidence_tier: 1, source_document_id: 100 },
+    { id: 4, person_a_id: 11, person_b_id: 20, relationship_type: 'parent_of', evidence_tier: 3, source_url: 'https://www.familysearch.org/tree/person/XYZ' },
+    { id: 5, person_a_id: 20, person_b_id: 21, relationship_type: 'parent_of', evidence_tier: 3 },
+  ],
+  inheritance: [
+    { id: 1, testator_id: 10, heir_id: 20, relationship_to_testator: 'eldest son', asset_type: 'enslaved_persons',
+      asset_description: 'Cato and Dinah', enslaved_persons_count: 2, source_document_id: 100, document_year: 1851,
+      document_jurisdiction: 'Beaufort District, South Carolina', document_reference: 'Will Book C, p. 40', evidence_tier: 1 },
+    { id: 2, testator_id: 20, heir_id: 21, relationship_to_testator: 'son', asset_type: 'enslaved_persons',
+      enslaved_persons_count: 1, document_year: 1860, evidence_tier: 1 },
+  ],
+  documents: [
+    { id: 100, canonical_person_id: 10, name_as_appears: 'John Brown', document_type: 'will', collection_name: 'Beaufort District wills',
+      page_reference: '40', document_year: 1851, source_url: 'https://example.org/will/100', s3_url: 's3://docs/100.jpg', human_verified: true },
+    { id: 101, canonical_person_id: 10, name_as_appears: 'Jno. Brown', document_type: 'slave_schedule', document_year: 1850, citation_key: 'census1850a' },
+    { id: 102, canonical_person_id: null, name_as_appears: 'John & Sarah Brown', document_type: 'marriage_record', document_year: 1815 },
+    { id: 103, canonical_person_id: null, enslaved_individual_id: 'ENS-1', name_as_appears: 'Cato', document_type: 'bill_of_sale', document_year: 1840 },
+    { id: 104, canonical_person_id: null, name_as_appears: 'Dinah', document_type: 'inventory', document_year: 1851 },
+  ],
+  slaveholding: [
+    { id: 'r1', enslaver_canonical_id: 10, relationship_type: 'owned', date_window_start: new Date('1840-01-01'), date_window_end: new Date('1851-06-01'),
+      place_text: 'Beaufort District, South Carolina', evidence_source_table: 'person_documents', evidence_source_id: '104',
+      enslaved_individual_id: 'ENS-1', ei_name: 'Cato', ei_birth_year: 1820, ei_gender: 'male' },
+    { id: 'r2', enslaver_canonical_id: 10, relationship_type: 'owned', era_inferred: 'antebellum_sc', place_text: 'Beaufort District',
+      evidence_source_table: 'will_extractions', evidence_source_id: 'abc', confidence_low: '0.60', confidence_high: '0.80',
+      enslaved_unconfirmed_id: 77, up_name: 'Dinah', up_gender: 'female' },
+    { id: 'r3', enslaver_canonical_id: 20, relationship_type: 'hired', era_inferred: 'antebellum_sc', place_text: 'Charleston',
+      evidence_source_table: 'will_extractions', evidence_source_id: 'def', enslaved_unconfirmed_id: 78, up_name: 'Pompey' },
+  ],
+};
+
+// Answers the exporter's queries from `data` by SQL substring, applying the WHERE the query asks for.
+function fakeDb() {
+  const calls = [];
+  return {
+    calls,
+    async query(text, params = []) {
+      calls.push(text);
+      if (text.includes('FROM ancestor_climb_sessions')) return { rows: data.sessions.filter(s => s.id === params[0]) };
+      if (text.includes('FROM ancestor_climb_matches')) {
+        return { rows: data.matches.filter(m => m.session_id === params[0] && params[1].includes(m.verification_status)) };
+      }
+      if (text.includes('FROM canonical_persons WHERE id = $1')) return { rows: data.canonical.filter(c => c.id === params[0]) };
+      if (text.includes('FROM canonical_persons WHERE id = ANY')) return { rows: data.canonical.filter(c => params[0].includes(c.id)) };
+      if (text.includes('FROM canonical_family_edges')) {
+        return { rows: data.familyEdges.filter(e => params[0].includes(e.person_a_id) || params[0].includes(e.person_b_id)) };
+      }
+      if (text.includes('FROM inheritance_edges')) {
+        return { rows: data.inheritance.filter(e => params[0].includes(e.testator_id) || params[0].includes(e.heir_id)) };
+      }
+      if (text.includes('PARTITION BY canonical_person_id')) return { rows: data.documents.filter(d => params[0].includes(d.canonical_person_id)) };
+      if (text.includes('PARTITION BY enslaved_individual_id')) return { rows: data.documents.filter(d => params[0].includes(d.enslaved_individual_id)) };
+      if (text.includes('FROM slaveholding_relationships')) return { rows: data.slaveholding.filter(r => params[0].includes(r.enslaver_canonical_id)) };
+      if (text.includes('FROM person_documents WHERE id = ANY')) return { rows: data.documents.filter(d => params[0].includes(d.id)) };
+      throw new Error(`unexpected query: ${text.slice(0, 60)}`);
+    },
+  };
+}
+
+async function rejects(fn, code) {
+  try { await fn(); return false; } catch (e) { return e instanceof ExportError && e.code === code; }
+}
+
+(async () => {
+  const now = () => new Date('2026-10-19T12:00:00Z');
+  const exporter = new GedcomExporter(fakeDb(), { now });
+
+  // ── session lineage ───────────────────────────────────────────────────
+  const tree = await exporter.sessionLineage(SESSION);
+  const names = tree.persons.map(p => p.name);
+  check('shared path steps merge; unverified match left out', names.filter(n => n === 'Thomas Brown').length === 1
+    && names.filter(n => n === 'Elias Brown').length === 1 && !names.includes('Ruth Miller'));
+  check('lineage is child → parent links from the root', tree.parentLinks.length === 4
+    && tree.parentLinks.every(l => l.tier === 3) && tree.parentLinks[0].child === 'root');
+  const john = tree.persons.find(p => p.canonical_id === 10);
+  check('matched enslaver carries canonical details and the match', john.fs_id === 'LZ4K-ABC' && john.death_year === 1851
+    && john.birth_year === 1790 && !john.birth_estimated && john.facts.some(f => f.type === 'Enslaver match'));
+  check('enslaved people come from slaveholding_relationships', tree.enslavements.length === 2
+    && tree.persons.some(p => p.key === 'ei:ENS-1' && p.documents.includes(103)));
+  check('relationship evidence document is loaded', tree.documents.has(104)
+    && tree.enslavements.find(e => e.enslaved === 'ei:ENS-1').documents[0] === 104);
+
+  const ged = (await exporter.export('session', SESSION, { format: 'gedcom7' })).body;
+  check('GEDCOM 7 header declares the extension tags', /^0 HEAD\n1 GEDC\n2 VERS 7\.0\n1 SCHMA\n2 TAG _ENSLAVED https:\/\//.test(ged)
+    && ged.includes('1 DATE 19 OCT 2026') && ged.trimEnd().endsWith('0 TRLR'));
+  check('living root is private', /0 @I1@ INDI\n1 RESN PRIVACY\n1 NAME Nancy Miller \/Brown\//.test(ged));
+  const cato = /0 (@I\d+@) INDI\n1 NAME Cato/.exec(ged)[1];
+  check('_ENSLAVED link with type, dates, place and source', new RegExp(`1 _ENSLAVED ${cato}\\n2 TYPE owned\\n2 DATE FROM 1 JAN 1840 TO 1 JUN 1851\\n2 PLAC Beaufort District, South Carolina\\n2 SOUR @S\\d+@`).test(ged));
+  check('reverse _ENSLAVER pointer on the enslaved person', /1 NAME Cato[\s\S]*?1 _ENSLAVER @I\d+@/.test(ged));
+  check('era and confidence become a multi-line note', /2 NOTE Era: antebellum_sc\n3 CONT Source: will_extractions abc\n3 CONT Confidence 0\.60–0\.80/.test(ged));
+  check('sources are SOUR records with title, key and links', /0 @S\d+@ SOUR\n1 TITL Beaufort District wills, will, p\. 40, 1851/.test(ged)
+    && ged.includes('1 ABBR census1850a') && ged.includes('2 CONT Archived image: s3://docs/100.jpg')
+    && /1 REFN person_documents:100\n2 TYPE person_documents/.test(ged));
+  check('FamilySearch ids become EXID', /1 EXID LZ4K-ABC\n2 TYPE https:\/\/www\.familysearch\.org/.test(ged));
+
+  const back = parseFamilyTree(ged);
+  const byName = n => [...back.persons.values()].find(p => p.name === n);
+  check('GEDCOM 7 output parses back into the lineage', back.format === 'gedcom'
+    && byName('Nancy Miller Brown').father_id === byName('Thomas Brown').id
+    && [byName('Elias Brown').father_id, byName('Elias Brown').mother_id].sort().join() === [byName('John Brown').id, byName('Sarah Brown').id].sort().join()
+    && byName('John Brown').fs_id === 'LZ4K-ABC');
+
+  const gx = JSON.parse((await exporter.export('session', SESSION, { format: 'gedcomx' })).body);
+  check('GEDCOM X: living root, parent-child links, enslavements', gx.persons[0].living === true
+    && gx.relationships.filter(r => r.type === 'http://gedcomx.org/ParentChild').length === 4
+    && gx.relationships.filter(r => r.type.endsWith('/Enslavement')).length === 2
+    && gx.relationships.find(r => r.type === 'http://gedcomx.org/ParentChild').confidence === 'http://gedcomx.org/Low');
+  const gxBack = parseFamilyTree(JSON.stringify(gx));
+  check('GEDCOM X output parses back', gxBack.format === 'gedcomx' && gxBack.persons.size === gx.persons.length
+    && [...gxBack.persons.values()].find(p => p.name === 'John Brown').fs_id === 'LZ4K-ABC');
+
+  // ── neighbourhood ─────────────────────────────────────────────────────
+  const hood = await exporter.personNeighborhood(10, { depth: 1 });
+  check('depth 1: direct relatives only', hood.persons.filter(p => p.canonical_id).map(p => p.canonical_id).sort().join() === '10,11,20');
+  check('parent_of / child_of pair collapses; edge between two reached people kept', hood.parentLinks.length === 2
+    && hood.parentLinks.find(l => l.parent === 'cp:10').tier === 1 && hood.parentLinks.find(l => l.parent === 'cp:11').tier === 3);
+  const hoodGed = toGedcom7(hood, { now: now() });
+  check('spouse and shared child form one family', /0 @F1@ FAM\n1 HUSB @I\d+@\n1 WIFE @I\d+@\n1 CHIL @I\d+@\n1 SOUR @S\d+@/.test(hoodGed)
+    && (hoodGed.match(/0 @F\d+@ FAM/g) || []).length === 1);
+  check('family cites each document at its link\'s tier, with the tier-3 note', /1 SOUR @S\d+@\n2 QUAY 2\n1 SOUR @S\d+@\n2 PAGE 40\n2 QUAY 3/.test(hoodGed)
+    && hoodGed.includes('Compiled or inferred link (evidence tier 3), not a primary source: https://www.familysearch.org/tree/person/XYZ'));
+  check('bequest as _BEQUEATHED / _INHERITED', /1 _BEQUEATHED @I\d+@\n2 TYPE enslaved_persons\n2 DATE 1851\n2 PLAC Beaufort District, South Carolina\n2 _ENSLAVED_COUNT 2\n2 NOTE Described as: eldest son\n3 CONT Cato and Dinah\n3 CONT Will Book C, p\. 40\n2 SOUR @S\d+@\n3 PAGE 40\n3 QUAY 3/.test(hoodGed)
+    && hoodGed.includes('1 _INHERITED @I'));
+  const hoodGx = toGedcomX(hood, { now: now() });
+  check('GEDCOM X couple and inheritance relationships', hoodGx.relationships.some(r => r.type === 'http://gedcomx.org/Couple' && r.confidence === 'http://gedcomx.org/Medium')
+    && hoodGx.relationships.some(r => r.type.endsWith('/Inheritance') && r.facts[0].qualifiers[0].value === '2')
+    && hoodGx.sourceDescriptions.some(s => s.about === 'https://example.org/will/100'));
+
+  const deep = await exporter.personNeighborhood(10, { depth: 2 });
+  check('depth 2 reaches grandchildren', deep.persons.some(p => p.canonical_id === 21) && deep.bequests.length === 2);
+
+  const gated = await exporter.personNeighborhood(10, { depth: 2, gated: true });
+  check('gate: assertable enslaver keeps status and enslavements', gated.persons.find(p => p.canonical_id === 10).facts.length === 1
+    && gated.enslavements.every(e => e.enslaver === 'cp:10') && gated.enslavements.length === 2);
+  check('gate: non-assertable enslaver loses status, enslavements and enslaved bequests',
+    gated.persons.find(p => p.canonical_id === 20).facts.length === 0
+    && !gated.persons.some(p => p.name === 'Pompey')
+    && gated.bequests.length === 1 && gated.bequests[0].testator === 'cp:10');
+  check('ungated: everything', deep.persons.some(p => p.name === 'Pompey')
+    && deep.persons.find(p => p.canonical_id === 20).facts[0].value === 'enslaver');
+
+  check('names: surname slashed, suffix kept', gedcomName('John Smith Jr.') === 'John /Smith/ Jr.' && gedcomName('Cato') === 'Cato');
+  check('unknown format is a 400', await rejects(() => exporter.export('person', 10, { format: 'csv' }), 'BAD_FORMAT'));
+  check('unknown session is a 404', await rejects(() => exporter.sessionLineage('00000000-0000-4000-8000-000000000000'), 'NOT_FOUND'));
+  check('unknown person is a 404', await rejects(() => exporter.personNeighborhood(999), 'NOT_FOUND'));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * test-ledger-merkle.js — LedgerMerkleService over daa_lineage_contributions.
+ *
+ * Verifies:
+ *   - entries carry the contribution, enslaver, amounts as fixed strings and
+ *     the DAA's document-manifest root; the leaf is keccak256 of their
+ *     canonical JSON, so it does not depend on key order
+ *   - snapshot freezes every entry; an unchanged ledger returns the stored
+ *     snapshot, also when a concurrent snapshot stored it first; a changed
+ *     amount gives a new root
+ *   - publish claims the snapshot first, calls setMerkleRoot as the owner and
+ *     records the tx; refuses a second publish, one already in flight and a
+ *     non-owner signer (giving its claim back)
+ *   - prove: by contributionId and by daaId, from the published snapshot by
+ *     default; the proof passes the ledger's verifyProof; an unknown entry is
+ *     not included; an older snapshot still proves against its own root
+ *
+ * Pure in-memory; no database, no chain (the ledger is a fake with the
+ * contract's verifyProof semantics).
+ *
+ *   node tests/unit/test-ledger-merkle.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+const { ethers } = require('ethers');
+const LedgerMerkleService = require('../../src/services/blockchain/LedgerMerkleService');
+const { LedgerMerkleError, toEntry, entryLeaf } = LedgerMerkleService;
+const { buildTree, verifyProof } = require('../../src/services/blockchain/merkle');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const uuid = (n) => `00000000-0000-0000-0000-${String(n).padStart(12, '0')}`;
+const DOC_ROOT = ethers.keccak256(ethers.toUtf8Bytes('manifest'));
+
+const CONTRIBUTIONS = [
+  { contribution_id: uuid(1), daa_id: uuid(100), agreement_number: 'DAA-2026-0001', lineage_id: uuid(500),
+    enslaver_person_id: 41, enslaver_canonical_name: 'James Hale', contribution_usd: '125000.50', share_basis: 'naive_generational_split', share_fraction: '0.01563', document_root: DOC_ROOT },
+  { contribution_id: uuid(2), daa_id: uuid(100), agreement_number: 'DAA-2026-0001', lineage_id: uuid(501),
+    enslaver_person_id: 42, enslaver_canonical_name: 'Mary Hale', contribution_usd: '9000', share_basis: 'inheritance_share_probate', share_fraction: '0.25', document_root: DOC_ROOT },
+  { contribution_id: uuid(3), daa_id: uuid(101), agreement_number: 'DAA-2026-0002', lineage_id: uuid(500),
+    enslaver_person_id: 41, enslaver_canonical_name: 'James Hale', contribution_usd: '125000.50', share_basis: 'naive_generational_split', share_fraction: '0.01563', document_root: null },
+];
+
+function fakeDb(contributions) {
+  const snapshots = [];
+  const entries = [];
+  const clone = (v) => JSON.parse(JSON.stringify(v));
+  return {
+    snapshots, entries,
+    hideOnce: false,   // the pre-check misses a root another request just stored
+    async query(text, params = []) {
+      if (text.includes('FROM daa_lineage_contributions dlc')) return { rows: clone(contributions) };
+      if (text.includes('WITH s AS')) {
+        if (!text.includes('ON CONFLICT (merkle_root) DO NOTHING')) throw new Error('snapshot insert must tolerate a duplicate root');
+        if (snapshots.some(s => s.merkle_root === params[0])) return { rows: [], rowCount: 0 };
+        const id = snapshots.length + 1;
+        snapshots.push({ id, merkle_root: params[0], leaf_encoding: params[1], entry_count: params[2],
+          total_contribution_usd: params[3], created_by: params[4], published_at: null });
+        const added = JSON.parse(params[5]);
+        for (const e of added) entries.push({ snapshot_id: id, ...e });
+        return { rows: [], rowCount: added.length };
+      }
+      if (text.includes('SET publishing_at = NOW()')) {
+        const s = snapshots.find(x => x.id === params[0] && !x.published_at && !x.publishing_at);
+        if (s) s.publishing_at = new Date();
+        return { rows: s ? [{ id: s.id }] : [] };
+      }
+      if (text.includes('SET publishing_at = NULL')) {
+        const s = snapshots.find(x => x.id === params[0] && !x.published_at);
+        if (s) s.publishing_at = null;
+        return { rows: [] };
+      }
+      if (text.includes('UPDATE ledger_merkle_snapshots')) {
+        const s = snapshots[params[0] - 1];
+        Object.assign(s, { published_tx_hash: params[1], published_network: params[2], ledger_address: params[3],
+          published_by: params[4], published_at: new Date(Date.now() + s.id) });
+        return { rows: [s] };
+      }
+      if (text.includes('WHERE merkle_root = $1')) {
+        if (this.hideOnce) { this.hideOnce = false; return { rows: [] }; }
+        return { rows: snapshots.filter(s => s.merkle_root === params[0]) };
+      }
+      if (text.includes('ledger_merkle_snapshots WHERE id = $1')) return { rows: snapshots.filter(s => s.id === params[0]) };
+      if (text.includes('ORDER BY (published_at IS NOT NULL)')) {
+        const published = snapshots.filter(s => s.published_at).sort((a, b) => b.published_at - a.published_at);
+        return { rows: published.length ? [published[0]] : snapshots.slice(-1) };
+      }
+      if (text.includes('FROM ledger_merkle_snapshot_entries')) {
+        return { rows: clone(entries.filter(e => e.snapshot_id === params[0])) };
+      }
+      if (text.includes('ORDER BY id DESC')) return { rows: [...snapshots].reverse() };
+      throw new Error(`unexpected query: ${text.slice(0, 80)}`);
+    },
+  };
+}
+
+// ReparationsLedger stand-in: owner-gated setMerkleRoot, the contract's verifyProof.
+function fakeLedger(ownerAddress) {
+  const state = { root: ethers.ZeroHash, sets: [] };
+  const ledger = {
+    state,
+    async owner() { return ownerAddress; },
+    async merkleRoot() { return state.root; },
+    async verifyProof(leaf, proof) { return verifyProof(leaf, proof, state.root); },
+    async getAddress() { return '0x000000000000000000000000000000000000beef'; },
+    connect(signer) {
+      return {
+        async setMerkleRoot(root) {
+          if (signer.address !== ownerAddress) throw new Error('Not authorized');
+          state.root = root;
+          state.sets.push(root);
+          return { async wait() { return { hash: `0xtx${state.sets.length}` }; } };
+        },
+      };
+    },
+  };
+  return ledger;
+}
+
+const NETWORK = { key: 'localhost', name: 'Local Hardhat', explorerUrl: null };
+
+(async () => {
+  // ── entries and leaves ──
+  const entry = toEntry(CONTRIBUTIONS[1]);
+  check('amounts are fixed-precision strings', entry.contribution_usd === '9000.00' && entry.share_fraction === '0.25000');
+  check('entry carries enslaver, agreement and document root', entry.enslaver_person_id === 42
+    && entry.agreement_number === 'DAA-2026-0001' && entry.document_root === DOC_ROOT);
+  const reordered = Object.fromEntries(Object.entries(entry).reverse());
+  check('leaf does not depend on key order', entryLeaf(entry) === entryLeaf(reordered));
+  check('leaf changes with the amount', entryLeaf(entry) !== entryLeaf({ ...entry, contribution_usd: '9000.01' }));
+  check('no descendant name in the entry', !Object.keys(entry).some(k => /acknowledger|descendant/.test(k)));
+
+  // ── snapshot ──
+  const contributions = JSON.parse(JSON.stringify(CONTRIBUTIONS));
+  const db = fakeDb(contributions);
+  const owner = { address: '0x00000000000000000000000000000000000000aa' };
+  const ledger = fakeLedger(owner.address);
+  const merkle = new LedgerMerkleService(db, { network: NETWORK, ledger, signer: owner });
+
+  const s1 = await merkle.snapshot({ createdBy: 'finance1' });
+  const expectedRoot = buildTree(CONTRIBUTIONS.map(c => entryLeaf(toEntry(c)))).root;
+  check('snapshot root over every contribution', s1.created && s1.merkle_root === expectedRoot && s1.entry_count === 3
+    && db.entries.length === 3 && s1.total_contribution_usd === '259001.00');
+  const again = await merkle.snapshot();
+  check('unchanged ledger returns the stored snapshot', again.created === false && again.id === s1.id && db.snapshots.length === 1);
+  db.hideOnce = true;
+  const raced = await merkle.snapshot();
+  check('a root stored concurrently is returned, not a 500', raced.created === false && raced.id === s1.id
+    && db.snapshots.length === 1 && db.entries.length === 3);
+
+  // ── publish ──
+  let err = null;
+  try { await new LedgerMerkleService(db, { network: NETWORK, ledger, signer: { address: '0xbad' } }).publish(s1.id); } catch (e) { err = e; }
+  check('non-owner signer refused before sending', err instanceof LedgerMerkleError && err.code === 'NOT_OWNER' && ledger.state.sets.length === 0);
+  check('refused publish gives its claim back', db.snapshots[0].publishing_at === null);
+  db.snapshots[0].publishing_at = new Date();
+  err = null;
+  try { await merkle.publish(s1.id); } catch (e) { err = e; }
+  check('publish already in flight refused without sending', err instanceof LedgerMerkleError && err.code === 'PUBLISHING'
+    && ledger.state.sets.length === 0);
+  db.snapshots[0].publishing_at = null;
+  const pub = await merkle.publish(s1.id, { publishedBy: 'finance1' });
+  check('publish sets the ledger root and records the tx', ledger.state.root === s1.merkle_root
+    && pub.transactionHash === '0xtx1' && pub.previousRoot === ethers.ZeroHash
+    && pub.snapshot.published_network === 'localhost' && pub.snapshot.published_by === 'finance1');
+  err = null;
+  try { await merkle.publish(s1.id); } catch (e) { err = e; }
+  check('second publish refused', err instanceof LedgerMerkleError && err.code === 'ALREADY_PUBLISHED');
+  const onChain = await merkle.onChainRoot();
+  check('on-chain root maps back to the snapshot', onChain.snapshot?.id === s1.id);
+
+  // ── a later, unpublished snapshot ──
+  contributions[0].contribution_usd = '130000.00';
+  const s2 = await merkle.snapshot();
+  check('changed amount gives a new root', s2.created && s2.id === 2 && s2.merkle_root !== s1.merkle_root);
+
+  // ── prove ──
+  const byId = await merkle.prove({ contributionId: uuid(1).toUpperCase() }, { checkChain: true });
+  check('proof comes from the published snapshot by default', byId.snapshot.id === s1.id && byId.snapshot.published.transactionHash === '0xtx1');
+  const p = byId.proofs[0];
+  check('proof by contributionId verifies off-chain', byId.included && p.verified && p.leafMatchesEntry
+    && p.entry.contribution_usd === '125000.50');
+  check('ledger verifyProof accepts it', p.onChain.verified === true && p.onChain.rootIsSnapshot === true);
+  const byDaa = await merkle.prove({ daaId: uuid(100) });
+  check('daaId gives every contribution of the DAA', byDaa.proofs.length === 2 && byDaa.proofs.every(x => x.verified));
+  const byLineage = await merkle.prove({ daaId: uuid(100), lineageId: uuid(501) });
+  check('daaId + lineageId narrows to one', byLineage.proofs.length === 1 && byLineage.proofs[0].entry.enslaver_name === 'Mary Hale');
+  check('unknown contribution not included', (await merkle.prove({ contributionId: uuid(9) })).included === false);
+  const fromS2 = await merkle.prove({ contributionId: uuid(1) }, { snapshotId: s2.id, checkChain: true });
+  check('unpublished snapshot proves against its own root, not the ledger',
+    fromS2.proofs[0].verified && fromS2.proofs[0].entry.contribution_usd === '130000.00'
+    && fromS2.proofs[0].onChain.verified === false && fromS2.proofs[0].onChain.rootIsSnapshot === false);
+
+  err = null;
+  try { await merkle.prove({}); } catch (e) { err = e; }
+  check('prove needs contributionId or daaId', err instanceof LedgerMerkleError && err.httpStatus === 400);
+  err = null;
+  try { await new LedgerMerkleService(fakeDb([]), { network: NETWORK, ledger }).snapshot(); } catch (e) { err = e; }
+  check('empty ledger cannot be snapshotted', err instanceof LedgerMerkleError && err.code === 'EMPTY');
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * test-oracle-revisions.js — oracle event log + DAA amount-revision proposals (M117).
+ *
+ * Fake db keeps oracle_events, proposals and the DAA link tables in memory;
+ * a fake snapshots object stands in for DAASnapshotService.project() so the
+ * test controls what each DAA would say today. Verifies:
+ *   - polling twice stores each event once (dedup_key), per-source report
+ *   - a failing source is reported without stopping the others
+ *   - SEC filings are logged and marked 'ignored' (no rule, no proposal)
+ *   - climb match → proposal for the participant's DAA, slaveholder passed to project()
+ *   - no proposal when the projected figure is within tolerance
+ *   - a newer proposal supersedes an open one; re-processing is a no-op
+ *   - approve / reject only from 'proposed'; claimForApply checks status,
+ *     record and network and moves the proposal to 'applying', so a second claim fails
+ *   - release gives a claimed proposal back; markApplied only from 'applying'
+ *   - markApplied makes the applied amount the new "current"
+ *   - a direct revision is recorded and, once applied, becomes "current"
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-oracle-revisions.js
+ */
+'use strict';
+const OracleEventFeed = require('../../src/services/reparations/OracleEventFeed');
+const DAARevisionService = require('../../src/services/reparations/DAARevisionService');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const DAA_A = '00000000-0000-0000-0000-00000000000a';
+const DAA_B = '00000000-0000-0000-0000-00000000000b';
+const events = [];
+const proposals = [];
+const daas = [
+  { daa_id: DAA_A, status: 'active', total_debt: 1000, blockchain_record_id: 7 },
+  { daa_id: DAA_B, status: 'active', total_debt: 500, blockchain_record_id: null },
+];
+const climbSessions = { 'session-1': [DAA_A] };
+const junction = { 'li-1': [DAA_B] };
+let seq = 0;
+
+// The proposal's DAA holds its record on `network`
+const holds = (p, network) => daas.some(d => d.daa_id === p.daa_id
+  && d.blockchain_record_id === p.blockchain_record_id && (d.blockchain_network || 'base') === network);
+
+const db = {
+  async query(sql, params = []) {
+    const q = sql.replace(/\s+/g, ' ').trim();
+    if (q.startsWith('INSERT INTO oracle_events')) {
+      if (events.some(e => e.dedup_key === params[2])) return { rows: [] };
+      const row = { id: ++seq, source: params[0], event_type: params[1], dedup_key: params[2], entity_key: params[3],
+        canonical_person_id: params[4], occurred_at: params[5], summary: params[6], payload: JSON.parse(params[7]),
+        recorded_by: params[8], status: 'new', proposals_created: 0 };
+      events.push(row);
+      return { rows: [row] };
+    }
+    if (q.startsWith('SELECT MAX(occurred_at)')) return { rows: [{ last: null }] };
+    if (q.startsWith("SELECT * FROM oracle_events WHERE status = 'new'")) {
+      return { rows: events.filter(e => e.status === 'new').slice(0, params[0]) };
+    }
+    if (q.startsWith('UPDATE oracle_events SET status')) {
+      Object.assign(events.find(e => e.id === params[0]), { status: params[1], proposals_created: params[2] });
+      return { rows: [] };
+    }
+    if (q.startsWith('SELECT DISTINCT pd.daa_id')) {
+      return { rows: (climbSessions[params[0]] || []).map(daa_id => ({ daa_id })) };
+    }
+    if (q.startsWith('SELECT daa_id FROM daa_line_item_junction')) {
+      return { rows: (junction[params[0]] || []).map(daa_id => ({ daa_id })) };
+    }
+    if (q.startsWith('SELECT DISTINCT daa_id FROM daa_calculation_snapshots')) {
+      return { rows: daas.map(d => ({ daa_id: d.daa_id })) };
+    }
+    if (q.startsWith('SELECT daa_id, status, total_debt')) return { rows: daas.filter(d => d.daa_id === params[0]) };
+    if (q.startsWith('SELECT p.proposed_amount_usd FROM daa_amount_revision_proposals p')) {
+      const applied = proposals.filter(p => p.daa_id === params[0] && p.status === 'applied' && holds(p, params[1]));
+      return { rows: applied.slice(-1) };
+    }
+    if (q.startsWith('INSERT INTO daa_amount_revision_proposals') && q.includes("'direct'")) {
+      const row = { id: ++seq, daa_id: params[0], rule: 'direct', current_amount_usd: params[1], proposed_amount_usd: params[2],
+        reason: params[3], detail: JSON.parse(params[4]), blockchain_record_id: params[5], status: 'applying', reviewed_by: params[6] };
+      proposals.push(row);
+      return { rows: [row] };
+    }
+    if (q.startsWith('INSERT INTO daa_amount_revision_proposals')) {
+      if (proposals.some(p => p.daa_id === params[0] && p.event_id === params[1])) return { rows: [] };
+      const row = { id: ++seq, daa_id: params[0], event_id: params[1], rule: params[2], current_amount_usd: params[3],
+        proposed_amount_usd: params[4], reason: params[5], detail: JSON.parse(params[6]),
+        blockchain_record_id: params[7], status: 'proposed' };
+      proposals.push(row);
+      return { rows: [row] };
+    }
+    if (q.startsWith("UPDATE daa_amount_revision_proposals SET status = 'superseded'")) {
+      for (const p of proposals) {
+        if (p.daa_id === params[0] && p.id !== params[1] && ['proposed', 'approved'].includes(p.status)) p.status = 'superseded';
+      }
+      return { rows: [] };
+    }
+    if (q.startsWith('UPDATE daa_amount_revision_proposals SET status = $2')) {
+      const p = proposals.find(x => x.id === Number(params[0]) && x.status === 'proposed');
+      if (p) Object.assign(p, { status: params[1], reviewed_by: params[2], review_note: params[3] });
+      return { rows: p ? [p] : [] };
+    }
+    if (q.startsWith("UPDATE daa_amount_revision_proposals p SET status = 'applying'")) {
+      const p = proposals.find(x => x.id === Number(params[0]) && x.status === 'approved'
+        && x.blockchain_record_id === Number(params[1]) && holds(x, params[2]));
+      if (p) p.status = 'applying';
+      return { rows: p ? [p] : [] };
+    }
+    if (q.startsWith('UPDATE daa_amount_revision_proposals SET status = CASE')) {
+      const p = proposals.find(x => x.id === Number(params[0]) && x.status === 'applying');
+      if (p && p.rule === 'direct') Object.assign(p, { status: 'rejected', review_note: params[1] });
+      else if (p) p.status = 'approved';
+      return { rows: p ? [p] : [] };
+    }
+    if (q.startsWith('SELECT daa_id, total_debt FROM debt_acknowledgment_agreements')) {
+      return { rows: daas.filter(d => d.blockchain_record_id === params[0] && (d.blockchain_network || 'base') === params[1]) };
+    }
+    if (q.startsWith("UPDATE daa_amount_revision_proposals SET status = 'applied'")) {
+      const p = proposals.find(x => x.id === Number(params[0]) && x.status === 'applying');
+      if (p) Object.assign(p, { status: 'applied', transaction_hash: params[1] });
+      return { rows: p ? [p] : [] };
+    }
+    if (q.startsWith('SELECT p.*, e.source AS event_source')) {
+      return { rows: proposals.filter(p => p.id === Number(params[0])) };
+    }
+    throw new Error(`unexpected query: ${q.slice(0, 80)}`);
+  },
+};
+
+// What each DAA would say today; stored headline is what was frozen at generation.
+const stored = { [DAA_A]: 1000, [DAA_B]: 500 };
+const live = { ...stored };
+const projectCalls = [];
+const snapshots = {
+  async project(daaId, opts) {
+    projectCalls.push({ daaId, ...opts });
+    return { version: 1, methodology: 'craemer', stored: { headline_total_usd: stored[daaId] },
+      live: { headline_total_usd: live[daaId] + (opts.addSlaveholders || []).length * 250 }, addedSlaveholders: (opts.addSlaveholders || []).length };
+  },
+};
+
+const source = (name, list) => ({ name, async poll() { return list; } });
+
+async function rejects(fn, code) {
+  try { await fn(); return false; } catch (e) { return e.code === code; }
+}
+
+(async () => {
+  const feed = new OracleEventFeed(db, { sources: [
+    source('sec_filing', [{ source: 'sec_filing', eventType: '8-K', dedupKey: 'sec_filing:https://sec.gov/x', entityKey: 'jpmorgan', payload: {} }]),
+    source('climb_match', [{ source: 'climb_match', eventType: 'new_match', dedupKey: 'climb_match:41',
+      summary: 'Jane Doe → John Roe (exact_fs_match)', payload: { matchId: 41, sessionId: 'session-1', slaveholderName: 'John Roe', generationDistance: 5 } }]),
+    { name: 'broken', async poll() { throw new Error('EDGAR down'); } },
+  ] });
+
+  const first = await feed.poll();
+  check('first poll stores every event', first.sources.sec_filing.inserted === 1 && first.sources.climb_match.inserted === 1);
+  check('failing source reported, others still run', first.sources.broken.error === 'EDGAR down' && events.length === 2);
+  const second = await feed.poll({ sources: ['sec_filing', 'climb_match'] });
+  check('second poll is all duplicates', second.sources.sec_filing.duplicates === 1 && second.sources.climb_match.inserted === 0 && events.length === 2);
+  check('unknown source name reported', (await feed.poll({ sources: ['nope'] })).sources.nope.error.includes('unknown'));
+  check('record() without dedupKey refused', await feed.record({ source: 'manual', eventType: 'x' }).then(() => false, () => true));
+
+  const svc = new DAARevisionService(db, snapshots);
+  const r1 = await svc.processPending();
+  const sec = events.find(e => e.source === 'sec_filing');
+  check('SEC filing logged and ignored', sec.status === 'ignored' && r1.ignored === 1);
+  check('climb match → one proposal', r1.proposals === 1 && proposals.length === 1 && proposals[0].daa_id === DAA_A);
+  check('matched slaveholder handed to project()', projectCalls[0].addSlaveholders[0].slaveholder_name === 'John Roe'
+    && projectCalls[0].addSlaveholders[0]._from_climb_match === true);
+  const p1 = proposals[0];
+  check('proposal carries current, proposed and record id', p1.current_amount_usd === 1000 && p1.proposed_amount_usd === 1250
+    && p1.blockchain_record_id === 7 && p1.reason.includes('John Roe'));
+  check('event marked processed with its proposal count', events.find(e => e.source === 'climb_match').proposals_created === 1);
+
+  // Re-processing the same event inserts nothing.
+  check('re-applying a rule to the same event is a no-op',
+    (await svc.applyRule(svc.rules.get('climb_match_added'), events.find(e => e.source === 'climb_match'))).length === 0);
+
+  // Line item for DAA_B that doesn't move its figure → nothing proposed.
+  await feed.record({ source: 'line_item', eventType: 'line_item_updated', dedupKey: 'line_item:li-1:t1',
+    canonicalPersonId: 12, payload: { lineItemId: 'li-1', canonicalPersonId: 12 } });
+  const r2 = await svc.processPending();
+  check('unchanged figure → no proposal', r2.processed === 1 && r2.proposals === 0 && proposals.length === 1);
+
+  // Methodology update moves DAA_A again → supersedes the open proposal.
+  live[DAA_A] = 1100;
+  await feed.record({ source: 'methodology', eventType: 'macro_config', dedupKey: 'methodology:macro_config:abc', summary: 'macro-config abc' });
+  await svc.processPending();
+  const p2 = proposals.find(p => p.rule === 'methodology_update' && p.daa_id === DAA_A);
+  check('methodology update → new proposal', p2 && p2.proposed_amount_usd === 1100);
+  check('newer proposal supersedes the open one', p1.status === 'superseded');
+
+  check('superseded proposal cannot be approved', await rejects(() => svc.approve(p1.id, 'fin'), 'BAD_STATE'));
+  check('proposed proposal cannot be claimed', await rejects(() => svc.claimForApply(p2.id, 7, 'base'), 'BAD_STATE'));
+  const approved = await svc.approve(p2.id, 'fin', 'checked against manifest');
+  check('approve stamps reviewer and note', approved.status === 'approved' && approved.reviewed_by === 'fin'
+    && approved.review_note === 'checked against manifest');
+  check('approve twice refused', await rejects(() => svc.approve(p2.id, 'fin'), 'BAD_STATE'));
+  check('wrong record id refused', await rejects(() => svc.claimForApply(p2.id, 8, 'base'), 'RECORD_MISMATCH') && p2.status === 'approved');
+  check('same record on another network refused', await rejects(() => svc.claimForApply(p2.id, 7, 'localhost'), 'RECORD_MISMATCH')
+    && p2.status === 'approved');
+  check('markApplied needs a claim', await rejects(() => svc.markApplied(p2.id, '0xabc'), 'BAD_STATE'));
+  const claimed = await svc.claimForApply(p2.id, 7, 'base');
+  check('approved + matching record claimed', claimed.id === p2.id && claimed.status === 'applying');
+  check('second concurrent claim refused', await rejects(() => svc.claimForApply(p2.id, 7, 'base'), 'BAD_STATE'));
+  check('failed send gives the proposal back', (await svc.release(p2.id, 'nonce too low')).status === 'approved');
+  await svc.claimForApply(p2.id, 7, 'base');
+  const applied = await svc.markApplied(p2.id, '0xabc');
+  check('markApplied stamps the tx hash', applied.status === 'applied' && applied.transaction_hash === '0xabc');
+  check('applied amount becomes current', (await svc.currentAmount(DAA_A, 1000, 'base')) === 1100);
+  check('not current for the same record id on another network', (await svc.currentAmount(DAA_A, 1000, 'localhost')) === 1000);
+
+  await feed.record({ source: 'methodology', eventType: 'macro_config', dedupKey: 'methodology:macro_config:def' });
+  await svc.processPending();
+  const p3 = proposals.find(p => p.event_id === events[events.length - 1].id && p.daa_id === DAA_A);
+  check('figure equal to applied amount → no new proposal', p3 === undefined);
+
+  const direct = await svc.recordDirect(7, { network: 'base', amount: '1300', reason: 'Correction', reviewer: 'fin' });
+  check('direct revision recorded against the current amount', direct.rule === 'direct' && direct.daa_id === DAA_A
+    && direct.status === 'applying' && direct.current_amount_usd === 1100 && direct.proposed_amount_usd === 1300);
+  await svc.markApplied(direct.id, '0xdef');
+  check('applied direct revision becomes current', (await svc.currentAmount(DAA_A, 1000, 'base')) === 1300);
+  check('direct revision on another network finds no DAA', (await svc.recordDirect(7, { network: 'localhost', amount: 1 })) === null);
+  const failedDirect = await svc.recordDirect(7, { network: 'base', amount: 1400, reason: 'Correction' });
+  const closed = await svc.release(failedDirect.id, 'insufficient funds');
+  check('unsent direct revision closed as rejected', closed.status === 'rejected' && closed.review_note === 'not sent: insufficient funds'
+    && (await svc.currentAmount(DAA_A, 1000, 'base')) === 1300);
+
+  check('rejecting a missing proposal → NOT_FOUND', await rejects(() => svc.reject(9999, 'fin'), 'NOT_FOUND'));
+  check('list refuses an unknown status', await rejects(() => svc.list({ status: 'done' }), 'BAD_STATUS'));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); process.exit(2); });
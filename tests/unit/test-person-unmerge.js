@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Self-cleaning test for PersonService.merge → unmerge (merge journal, M112) and split.
+ * Two throwaway canonicals; DELETES everything it creates. Verifies:
+ *   - merge journals the victim's documents, external id and blocking keys
+ *   - unmerge dry-run reports the journaled rows without writing
+ *   - unmerge moves every journaled row back, restores the victim's person_type + blocking
+ *     keys, clears the field merge() filled on the survivor, records confirmed_distinct
+ *   - a second unmerge of the same merge refuses
+ *   - split by document source_type detaches those docs onto a NEW canonical, journaled
+ *
+ *   node tests/unit/test-person-unmerge.js
+ */
+'use strict';
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+const { Pool } = require('pg');
+const PersonService = require('../../src/services/PersonService');
+
+const SURVIVOR = 'Zzqunmerge Keeper';
+const VICTIM = 'Zzqunmerge Folded';
+const SPLIT = 'Zzqunmerge Detached';
+
+(async () => {
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+  const svc = new PersonService(pool);
+  let survivorId = null, victimId = null, splitId = null, mergeLogId = null, pass = 0, total = 0;
+  const check = (cond, msg) => { total++; console.log(`  ${cond ? 'PASS' : 'FAIL'}  ${msg}`); if (cond) pass++; };
+  const count = async (sql, params) => Number((await pool.query(sql, params)).rows[0].n);
+  try {
+    await pool.query(`DELETE FROM canonical_persons WHERE canonical_name = ANY($1)`, [[SURVIVOR, VICTIM, SPLIT]]);
+    survivorId = (await pool.query(
+      `INSERT INTO canonical_persons (canonical_name, person_type, created_by) VALUES ($1,'enslaver','test') RETURNING id`, [SURVIVOR])).rows[0].id;
+    victimId = (await pool.query(
+      `INSERT INTO canonical_persons (canonical_name, person_type, primary_state, created_by) VALUES ($1,'enslaver','Maryland','test') RETURNING id`, [VICTIM])).rows[0].id;
+    await svc._writeBlockingKeys('canonical_persons', victimId, { name: VICTIM });
+    await pool.query(
+      `INSERT INTO person_documents (canonical_person_id, name_as_appears, document_type, source_url, source_type)
+       VALUES ($1,$2,'census_slave_schedule','test://unmerge/a','test'), ($1,$2,'will','test://unmerge/b','test_probate')`, [victimId, VICTIM]);
+    await pool.query(
+      `INSERT INTO person_external_ids (canonical_person_id, id_system, external_id) VALUES ($1,'test_system','zzq-unmerge-1')`, [victimId]);
+    const victimKeys = await count(`SELECT count(*) n FROM person_blocking_keys WHERE subject_table='canonical_persons' AND subject_id=$1`, [victimId]);
+
+    // merge → journal
+    const m = await svc.merge(survivorId, victimId, { mergedBy: 'test', reason: 'unmerge selftest' });
+    mergeLogId = m.mergeLogId;
+    check(m.ok && m.journalId, `merge journaled (log #${mergeLogId}, journal #${m.journalId})`);
+    check(await count(`SELECT count(*) n FROM person_documents WHERE canonical_person_id=$1`, [survivorId]) === 2, 'merge moved both documents to the survivor');
+    check(await count(`SELECT count(*) n FROM person_blocking_keys WHERE subject_table='canonical_persons' AND subject_id=$1`, [victimId]) === 0,
+      `merge removed the victim's blocking keys (had ${victimKeys})`);
+
+    // dry-run unmerge
+    const dry = await svc.unmerge(mergeLogId, { dryRun: true });
+    check(dry.ok && dry.action === 'would_unmerge' && dry.rows >= 3, `dry-run → would_unmerge (${dry.rows} rows)`);
+    check(await count(`SELECT count(*) n FROM person_documents WHERE canonical_person_id=$1`, [victimId]) === 0, 'dry-run wrote nothing');
+
+    // unmerge
+    const u = await svc.unmerge(mergeLogId, { performedBy: 'test', reason: 'unmerge selftest' });
+    check(u.ok && u.action === 'unmerged' && u.staleRows === 0, `unmerge → restored ${u.restoredRows} rows, ${u.staleRows} stale`);
+    check(await count(`SELECT count(*) n FROM person_documents WHERE canonical_person_id=$1`, [victimId]) === 2, 'documents back on the victim');
+    check(await count(`SELECT count(*) n FROM person_external_ids WHERE canonical_person_id=$1`, [victimId]) === 1, 'external id back on the victim');
+    const v = (await pool.query(`SELECT person_type FROM canonical_persons WHERE id=$1`, [victimId])).rows[0];
+    check(v.person_type === 'enslaver', `victim person_type restored (got ${v.person_type})`);
+    check(await count(`SELECT count(*) n FROM person_blocking_keys WHERE subject_table='canonical_persons' AND subject_id=$1`, [victimId]) === victimKeys,
+      'victim blocking keys restored');
+    const s = (await pool.query(`SELECT primary_state, notes FROM canonical_persons WHERE id=$1`, [survivorId])).rows[0];
+    check(s.primary_state === null && !(s.notes || '').includes('merged from'), `survivor enrichment undone (state=${s.primary_state})`);
+    check(await count(`SELECT count(*) n FROM dedup_candidate_pairs WHERE person_a_id=LEAST($1::int,$2::int) AND person_b_id=GREATEST($1::int,$2::int) AND status='confirmed_distinct'`,
+      [survivorId, victimId]) === 1, 'pair recorded confirmed_distinct');
+    const again = await svc.unmerge(mergeLogId);
+    check(!again.ok && /already unmerged/.test(again.reason), 'second unmerge refuses');
+
+    // split by provenance (source_type) onto a new canonical
+    const sp = await svc.split(victimId, { documentSourceTypes: ['test_probate'] }, { name: SPLIT, personType: 'enslaved' }, { performedBy: 'test' });
+    splitId = sp.targetId;
+    check(sp.ok && sp.moved.documents === 1 && splitId, `split → new canonical #${splitId} with 1 document`);
+    check(await count(`SELECT count(*) n FROM person_merge_journal WHERE operation='split' AND survivor_id=$1 AND victim_id=$2`, [victimId, splitId]) === 1, 'split journaled');
+
+    console.log(`\n  ${pass}/${total} passed`);
+  } catch (e) {
+    console.error('  ERROR:', e.message);
+  } finally {
+    const ids = [survivorId, victimId, splitId].filter(Boolean);
+    if (ids.length) {
+      await pool.query(`DELETE FROM dedup_candidate_pairs WHERE person_a_id = ANY($1) OR person_b_id = ANY($1)`, [ids]);
+      await pool.query(`DELETE FROM person_merge_journal WHERE survivor_id = ANY($1) OR victim_id = ANY($1)`, [ids]);
+      await pool.query(`DELETE FROM person_merge_log WHERE surviving_person_id = ANY($1) OR merged_person_id = ANY($1)`, [ids]);
+      await pool.query(`DELETE FROM person_documents WHERE canonical_person_id = ANY($1)`, [ids]);
+      await pool.query(`DELETE FROM person_external_ids WHERE canonical_person_id = ANY($1)`, [ids]);
+      await pool.query(`DELETE FROM person_blocking_keys WHERE subject_table='canonical_persons' AND subject_id = ANY($1)`, [ids]);
+      await pool.query(`DELETE FROM canonical_persons WHERE id = ANY($1)`, [ids]);
+    }
+    const left = (await pool.query(`SELECT count(*) n FROM canonical_persons WHERE canonical_name = ANY($1)`, [[SURVIVOR, VICTIM, SPLIT]])).rows[0].n;
+    console.log(`  cleanup: ${left === '0' ? 'OK' : 'LEFTOVER canonical=' + left}`);
+    await pool.end();
+  }
+})();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * test-pipeline-runner.js — pipeline state, transition log and runner (M118).
+ *
+ * Fake db keeps participant_pipeline_state and participant_stage_transitions
+ * in memory; the runner gets a fake advance() that walks a scripted sequence
+ * of outcomes per participant. Verifies:
+ *   - backoff doubles per consecutive failure and is capped
+ *   - an advance logs a transition, moves current_state and resets attempts
+ *   - a failure logs the error, bumps attempts and schedules next_attempt_at
+ *   - waiting (blocked) updates last_reason only, no transition row
+ *   - history() returns the timeline oldest first
+ *   - the runner advances a participant through several stages in one tick,
+ *     stops at the first blocked / failed step, and survives a thrown error
+ *   - the runner leaves on-chain submission off unless PIPELINE_AUTO_SUBMIT_ONCHAIN
+ *     or options.submitOnChain enables it, both in due() and in advance()
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-pipeline-runner.js
+ */
+'use strict';
+const pipelineState = require('../../src/services/pipeline-state');
+const PipelineRunner = require('../../src/services/pipeline-runner');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const states = new Map();
+const transitions = [];
+let dueIds = [];
+let dueParams = null;
+
+const db = {
+  async query(sql, params = []) {
+    const q = sql.replace(/\s+/g, ' ').trim();
+    if (q.startsWith('SELECT * FROM participant_pipeline_state')) return { rows: states.has(params[0]) ? [states.get(params[0])] : [] };
+    if (q.startsWith('INSERT INTO participant_stage_transitions')) {
+      transitions.push({ id: transitions.length + 1, participant_id: params[0], from_state: params[1], to_state: params[2],
+        outcome: params[3], attempt: params[4], error: params[5], actor: params[6], started_at: params[8] });
+      return { rows: [] };
+    }
+    if (q.startsWith('INSERT INTO participant_pipeline_state')) {
+      states.set(params[0], { participant_id: params[0], current_state: params[1], entered_state_at: params[2], attempts: params[3],
+        last_error: params[4], last_reason: params[5], last_attempt_at: params[6], next_attempt_at: params[7], last_actor: params[8] });
+      return { rows: [] };
+    }
+    if (q.startsWith('SELECT id, from_state, to_state')) {
+      return { rows: transitions.filter(t => t.participant_id === params[0]).slice(0, params[1]) };
+    }
+    if (q.startsWith('SELECT p.id FROM participants p')) {
+      dueParams = params;
+      return { rows: dueIds.map(id => ({ id })) };
+    }
+    throw new Error(`unexpected query: ${q.slice(0, 80)}`);
+  },
+};
+
+const opts = { baseMs: 1000, maxMs: 5000 };
+
+(async () => {
+  check('no failures → no delay', pipelineState.backoffMs(0, opts) === 0);
+  check('backoff doubles', pipelineState.backoffMs(1, opts) === 1000 && pipelineState.backoffMs(3, opts) === 4000);
+  check('backoff capped', pipelineState.backoffMs(10, opts) === 5000);
+
+  const P = 'participant-1';
+  const t0 = new Date('2026-10-01T00:00:00Z');
+  const rec = async (result, now) => pipelineState.recordOutcome(db, P, states.get(P) || null, result,
+    { actor: 'pipeline-runner', startedAt: now, now });
+
+  let r = await rec({ from: 'intake_pending_review', to: 'climb_complete' }, t0);
+  check('advance logged and state moved', r.outcome === 'advanced' && transitions.length === 1
+    && states.get(P).current_state === 'climb_complete' && states.get(P).entered_state_at === t0);
+
+  r = await rec({ from: 'climb_complete', to: 'climb_complete', blocked: true, failed: true, reason: 'verifier down' }, t0);
+  const s1 = states.get(P);
+  check('failure logged with error and attempt', transitions[1].outcome === 'failed' && transitions[1].error === 'verifier down'
+    && transitions[1].attempt === 1);
+  check('failure bumps attempts and schedules a retry', s1.attempts === 1 && s1.current_state === 'climb_complete'
+    && s1.next_attempt_at > t0 && s1.last_error === 'verifier down');
+  const t1 = new Date(t0.getTime() + 60000);
+  await rec({ from: 'climb_complete', to: 'climb_complete', failed: true, reason: 'verifier down' }, t1);
+  check('second failure backs off further', states.get(P).attempts === 2
+    && states.get(P).next_attempt_at - t1 === 2 * (s1.next_attempt_at - t0));
+  check('entered_state_at unchanged by failures', states.get(P).entered_state_at === t0);
+
+  await rec({ from: 'climb_complete', to: 'verification_complete' }, t1);
+  check('advance resets attempts and error', states.get(P).attempts === 0 && states.get(P).last_error === null
+    && states.get(P).next_attempt_at === null);
+  const before = transitions.length;
+  await rec({ from: 'verification_complete', to: 'verification_complete', blocked: true, reason: 'no FS id' }, t1);
+  check('waiting writes no transition, only last_reason', transitions.length === before && states.get(P).last_reason === 'no FS id');
+
+  const timeline = await pipelineState.history(db, P);
+  check('history lists every logged attempt', timeline.length === 4 && timeline[0].to_state === 'climb_complete'
+    && timeline.every(t => t.actor === 'pipeline-runner'));
+
+  // Runner: A walks three stages then waits; B fails; C throws.
+  const script = {
+    A: [{ schedule: { outcome: 'advanced' } }, { schedule: { outcome: 'advanced' } }, { schedule: { outcome: 'advanced' } },
+        { schedule: { outcome: 'blocked' } }],
+    B: [{ reason: 'DEPLOYER_PRIVATE_KEY not set', schedule: { outcome: 'failed' } }],
+    C: 'throw',
+  };
+  const calls = [];
+  const runner = new PipelineRunner(db, {
+    async advance(id, o) {
+      calls.push({ id, actor: o.actor, submitOnChain: o.submitOnChain });
+      if (script[id] === 'throw') throw new Error('participant C not found');
+      return script[id].shift();
+    },
+  });
+  dueIds = ['A', 'B', 'C'];
+  const run = await runner.runOnce();
+  check('runner walks a participant through several stages in one tick', calls.filter(c => c.id === 'A').length === 4
+    && run.advanced === 3);
+  check('runner stops a participant at its first failure', calls.filter(c => c.id === 'B').length === 1 && run.failed === 2);
+  check('thrown error recorded, run continues', run.errors.some(e => e.participantId === 'C') && run.participants === 3);
+  check('runner acts as pipeline-runner', calls.every(c => c.actor === 'pipeline-runner'));
+  check('lastRun kept for inspection', runner.lastRun === run && run.blocked === 1);
+  check('on-chain submission off by default', calls.every(c => c.submitOnChain === false) && dueParams[2] === false);
+
+  process.env.PIPELINE_AUTO_SUBMIT_ONCHAIN = 'true';
+  const onchainRunner = new PipelineRunner(db, {
+    async advance(id, o) { calls.push({ id, submitOnChain: o.submitOnChain }); return { schedule: { outcome: 'blocked' } }; },
+  });
+  delete process.env.PIPELINE_AUTO_SUBMIT_ONCHAIN;
+  dueIds = ['D'];
+  await onchainRunner.runOnce();
+  check('PIPELINE_AUTO_SUBMIT_ONCHAIN=true enables it', calls.at(-1).submitOnChain === true && dueParams[2] === true);
+  check('option overrides the environment', new PipelineRunner(db, { submitOnChain: false, advance() {} }).submitOnChain === false);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); process.exit(2); });
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * test-rag-hybrid.js — passage chunking, rank fusion and hybrid retrieval in RagService.
+ *
+ * Verifies:
+ *   - passages index the original OCR text (text.slice(start, end) === passage), overlap, and
+ *     never cut mid-word
+ *   - RRF puts a passage found by both rankers above one found by either alone
+ *   - retrieve() fuses lexical + trigram + vector hits, returns char offsets and doc metadata
+ *   - an unreachable embedder degrades to lexical-only instead of failing
+ *   - no passage vectors yet → whole-document (doc_ocr) vectors are used
+ *   - query() resolves "P2" and bare doc-id citations to passages and logs retrieval_mode
+ *   - qualityReport() writes retrieval_health_ledger rows (warn on a missed eval query)
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-rag-hybrid.js
+ */
+'use strict';
+const RagService = require('../../src/services/rag/RagService');
+const { chunkText, fuseRankings, queryTerms, nameTerms } = require('../../src/services/rag/passages');
+const { resolveCitations } = RagService;
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+// Fake pg: first handler whose prefix matches the normalized SQL answers.
+function fakeDb(handlers) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params = []) {
+      const s = sql.replace(/\s+/g, ' ').trim();
+      calls.push({ sql: s, params });
+      for (const [match, fn] of handlers) if (s.includes(match)) return fn(params, s);
+      return { rows: [] };
+    },
+  };
+}
+
+const OCR = ('Inventory and appraisement of the estate of James Mikell deceased. ' +
+  'Taman, negro woman, $400.00. Cosser, child, $10.00.\n\n').repeat(30);
+
+(async () => {
+  // ── chunking ────────────────────────────────────────────────────────────
+  const parts = chunkText(OCR, { size: 300, overlap: 60 });
+  check('passages index the original text', parts.length > 5 && parts.every(p => OCR.slice(p.start, p.end) === p.text));
+  check('consecutive passages overlap', parts.slice(1).every((p, i) => p.start < parts[i].end && p.start > parts[i].start));
+  check('no passage starts or ends mid-word', parts.every(p => (p.start === 0 || /\s/.test(OCR[p.start - 1]))
+    && (p.end === OCR.length || /\s/.test(OCR[p.end]) || /[.,]/.test(OCR[p.end - 1]))));
+  check('short text is one passage', chunkText('  Taman, negro woman  ').length === 1 && chunkText('  Taman, negro woman  ')[0].start === 2);
+
+  check('query terms drop question words, names keep case', queryTerms("Which enslaved people were in James Mikell's inventory?").join() === 'enslaved,people,james,mikell,inventory'
+    && nameTerms("Which enslaved people were in James Mikell's inventory?").join() === 'James,Mikell');
+
+  const fused = fuseRankings({ lexical: [{ passage_id: 1 }, { passage_id: 2 }], vector: [{ passage_id: 3 }, { passage_id: 2 }] });
+  check('RRF ranks the passage both rankers found first', fused[0].passage_id === 2 && fused[0].ranks.lexical === 2 && fused[0].ranks.vector === 2);
+
+  // ── retrieve ────────────────────────────────────────────────────────────
+  const p = (id, doc, start, extra) => ({ passage_id: id, document_id: doc, char_start: start, char_end: start + 300, text: `passage ${id}`, ...extra });
+  const handlers = [
+    ['FROM document_passages p, to_tsquery', () => ({ rows: [p(11, 184706, 0, { lexical_score: 0.4 }), p(12, 184706, 240, { lexical_score: 0.2 })] })],
+    ['word_similarity($1, p.text)', () => ({ rows: [p(12, 184706, 240, { trigram_score: 0.8 })] })],
+    ["e.subject_table = 'document_passages'", () => ({ rows: [p(12, 184706, 240, { similarity: 0.71 }), p(31, 184705, 0, { similarity: 0.69 })] })],
+    ['FROM person_documents WHERE id = ANY', (params) => ({ rows: params[0].map(id => ({ id, document_type: 'estate_inventory', source_url: `ark:${id}` })) })],
+  ];
+  const db = fakeDb(handlers);
+  const rag = new RagService(db, { embed: async () => new Array(768).fill(0.01) });
+  const hits = await rag.retrieve("James Mikell's inventory", 3);
+  check('hybrid hit found by all three rankers is first', hits[0].passage_id === 12 && hits[0].lexical_rank === 2
+    && hits[0].trigram_rank === 1 && hits[0].vector_rank === 1);
+  check('hits carry offsets, similarity and document metadata', hits[0].char_start === 240 && hits[0].char_end === 540
+    && hits[0].similarity === 0.71 && hits[0].source_url === 'ark:184706' && hits.length === 3);
+
+  const down = new RagService(fakeDb(handlers), { embed: async () => { throw new Error('embed 502'); } });
+  const lex = await down._retrieve("James Mikell's inventory", 3);
+  check('embedder down → lexical-only, not an error', lex.mode === 'lexical' && lex.embedError === 'embed 502'
+    && lex.passages.every(h => h.vector_rank === null) && lex.passages.length === 2);
+
+  const docLevel = fakeDb([
+    ["e.subject_table = 'document_passages'", () => ({ rows: [] })],
+    ["e.content_kind = 'doc_ocr'", () => ({ rows: [{ passage_id: null, document_id: 184705, char_start: 0, char_end: 1200, text: 'whole doc', similarity: 0.6 }] })],
+    ['FROM person_documents WHERE id = ANY', () => ({ rows: [{ id: 184705, document_type: 'will' }] })],
+  ]);
+  const dl = await new RagService(docLevel, { embed: async () => [0] }).retrieve('negro woman', 3, { mode: 'vector' });
+  check('falls back to whole-document vectors', dl.length === 1 && dl[0].document_id === 184705 && dl[0].passage_id === null && dl[0].char_end === 1200);
+
+  // ── query + citations ───────────────────────────────────────────────────
+  const ctx = [{ document_id: 1, passage_id: 10 }, { document_id: 2, passage_id: 20 }, { document_id: 2, passage_id: 21 }];
+  check('citations: passage labels and bare doc ids', resolveCitations(['P1'], ctx).length === 1
+    && resolveCitations([2], ctx).map(c => c.passage_id).join() === '20,21' && resolveCitations('P1', ctx).length === 0);
+
+  const qdb = fakeDb(handlers);
+  const qrag = new RagService(qdb, {
+    embed: async () => [0.1],
+    llm: async () => ({ json: { answer: 'Taman, negro woman, $400.00', citations: ['P1'] }, provider: 'test' }),
+  });
+  const ans = await qrag.query("James Mikell's inventory", { k: 3 });
+  const logCall = qdb.calls.find(c => c.sql.startsWith('INSERT INTO retrieval_log'));
+  check('answer cites the passage span', ans.citations.length === 1 && ans.citations[0].passage_id === 12
+    && ans.citations[0].char_start === 240 && ans.mode === 'hybrid');
+  check('retrieval logged with mode and passage offsets', logCall && logCall.params[9] === 'hybrid'
+    && JSON.parse(logCall.params[2])[0].char_start === 240 && logCall.params[3] === 0.71 && logCall.params[6] === true);
+
+  // ── quality report → ledger ─────────────────────────────────────────────
+  const rdb = fakeDb([
+    ['FROM retrieval_log WHERE created_at', () => ({ rows: [{ queries: 40, grounded_rate: 0.9, weak_rate: 0.7, lexical_only_rate: 0, p50_latency_ms: 900 }] })],
+    ['AS unembedded_passages', () => ({ rows: [{ documents: 100, unchunked: 50, unembedded_passages: 10 }] })],
+    ...handlers,
+  ]);
+  const report = await new RagService(rdb, { embed: async () => [0] }).qualityReport({
+    runId: 'run-1', k: 3,
+    evalSet: [{ query: "James Mikell's inventory", expect: [184706] }, { query: 'Biscoe will', expect: [999] }],
+  });
+  const insert = rdb.calls.find(c => c.sql.startsWith('INSERT INTO retrieval_health_ledger'));
+  const byName = (n, s) => report.checks.find(c => c.check_name === n && (!s || c.subject_id === s));
+  check('weak retrieval and thin passage coverage warn', byName('rag_weak_retrieval_rate').status === 'warn'
+    && byName('rag_passage_coverage').status === 'warn' && byName('rag_grounded_rate').status === 'ok');
+  check('eval: per-query and aggregate recall', byName('rag_eval_recall_at_k', 'Biscoe will').status === 'fail'
+    && report.eval.recallAtK === 0.5 && report.eval.mrr === 0.5 && byName('rag_eval_recall_at_k', 'eval_set').status === 'warn');
+  check('ledger rows written under one run id, never critical', insert && insert.params.length === report.checks.length * 7
+    && insert.params.filter((_, i) => i % 7 === 0).every(v => v === 'run-1') && report.checks.every(c => c.severity !== 'critical'));
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * test-research-assistant.js — the /api/chat tool-calling planner.
+ *
+ * Verifies:
+ *   - the planner runs the tool it asks for and answers with citations resolved from result refs
+ *   - invented citation refs are dropped; an uncited answer falls back to the last tool's refs
+ *     and is flagged grounded:false
+ *   - every shipped tool is read-only
+ *   - a write tool is refused (tool never runs) for anonymous callers and non-curator reviewers,
+ *     and logged refused=true; a curator's call runs
+ *   - unknown tools are reported back to the planner, and the step limit forces an answer
+ *   - conversations persist: follow-ups load history; a reviewer's conversation is private
+ *   - anonymous lineage / DAA results hide living people
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-research-assistant.js
+ */
+'use strict';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://u:p@h.tld/db';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-research-assistant';
+const ResearchAssistant = require('../../src/services/chat/ResearchAssistant');
+const { TOOLS, describeTools } = require('../../src/services/chat/tools');
+const { ChatError, MAX_STEPS } = ResearchAssistant;
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+// In-memory chat_conversations / chat_messages + canned ancestor_climb_matches.
+function fakeDb() {
+  const convos = new Map();
+  const messages = [];
+  let n = 0;
+  return {
+    convos, messages,
+    async query(sql, params = []) {
+      const s = sql.replace(/\s+/g, ' ').trim();
+      if (s.startsWith('INSERT INTO chat_conversations')) {
+        const id = `00000000-0000-4000-8000-${String(++n).padStart(12, '0')}`;
+        const row = { id, reviewer_id: params[0], reviewer_username: params[1], title: params[2], message_count: 0 };
+        convos.set(id, row);
+        return { rows: [row] };
+      }
+      if (s.startsWith('SELECT * FROM chat_conversations')) return { rows: convos.has(params[0]) ? [convos.get(params[0])] : [] };
+      if (s.startsWith('INSERT INTO chat_messages')) {
+        messages.push({ conversation_id: params[0], role: params[1], content: params[2], tool_name: params[3],
+          tool_args: params[4] && JSON.parse(params[4]), citations: params[6] && JSON.parse(params[6]), refused: params[7] });
+        return { rows: [] };
+      }
+      if (s.startsWith('UPDATE chat_conversations')) { convos.get(params[0]).message_count++; return { rows: [] }; }
+      if (s.includes('FROM chat_messages WHERE conversation_id')) return { rows: messages.filter(m => m.conversation_id === params[0]) };
+      if (s.includes('FROM ancestor_climb_matches')) {
+        return { rows: [{ id: 7, modern_person_name: 'Living Person', slaveholder_id: 140301, slaveholder_name: 'George Washington Biscoe',
+          generation_distance: 5, lineage_path: ['Living Person', 'Parent', 'Grandparent', 'Child of GWB', 'George Washington Biscoe'],
+          match_type: 'exact_fs_match', match_confidence: '0.95', classification: 'debt', verification_status: 'verified' }] };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+// Planner that replays a script of JSON steps; records the prompts it saw.
+function scripted(steps) {
+  const prompts = [];
+  const llm = async (prompt) => { prompts.push(prompt); return { json: steps[Math.min(prompts.length - 1, steps.length - 1)], provider: 'test' }; };
+  llm.prompts = prompts;
+  return llm;
+}
+
+const persons = {
+  resolved: [],
+  async resolve(q) {
+    this.resolved.push(q);
+    return { match: null, candidates: [{ subject_table: 'canonical_persons', subject_id: 1212, name: 'Thomas Aston Coffin', confidence: 0.6, signals: ['name_exact'] }], ambiguous: false };
+  },
+};
+const rag = {
+  async query() {
+    return { answer: 'Taman, negro woman, $400.00', mode: 'hybrid', retrieved: [{}],
+      citations: [{ document_id: 184706, passage_id: 12, char_start: 240, char_end: 540, document_type: 'estate_inventory', source_url: 'ark:1' }] };
+  },
+};
+const daa = { async listDAAs() { return [{ daa_id: 'd1', agreement_number: 'DAA-1', acknowledger_name: 'Living Acknowledger', slaveholder_name: 'James Hopewell', status: 'signed', total_debt: '1000', enslaved_count: '3', total_paid: '0' }]; } };
+
+const curator = { id: 1, username: 'cur', roles: ['curator'] };
+const finance = { id: 2, username: 'fin', roles: ['finance'] };
+
+const make = (db, llm, tools) => new ResearchAssistant(db, { llm, persons, rag, daa, ...(tools ? { tools } : {}) });
+
+(async () => {
+  // ── tool → answer with resolved citations ───────────────────────────────
+  const db = fakeDb();
+  const llm = scripted([
+    { tool: 'resolve_person', args: { name: 'Thomas Aston Coffin' } },
+    { tool: 'ask_documents', args: { question: 'Who is in the inventory?' } },
+    { answer: 'Taman ($400) is listed [R2]; the person match needs review.', citations: ['R2', 'R99'] },
+  ]);
+  const a = await make(db, llm).ask('Who is in Thomas Aston Coffin\'s inventory?');
+  check('planner ran both tools', a.toolCalls.map(t => t.tool).join() === 'resolve_person,ask_documents' && persons.resolved[0].name === 'Thomas Aston Coffin');
+  check('answer cites the document passage, invented ref dropped', a.citations.length === 1 && a.citations[0].ref === 'R2'
+    && a.citations[0].document_id === 184706 && a.citations[0].char_start === 240 && a.grounded === true);
+  check('second planning prompt shows the first result refs', /R1=Thomas Aston Coffin/.test(llm.prompts[1]) && /anonymous public user/.test(llm.prompts[0]));
+  const stored = db.messages.filter(m => m.conversation_id === a.conversationId);
+  check('turn persisted: user, two tool calls, answer', stored.map(m => m.role).join() === 'user,tool,tool,assistant'
+    && stored[3].citations[0].ref === 'R2');
+
+  // ── uncited answer falls back ───────────────────────────────────────────
+  const b = await make(fakeDb(), scripted([{ tool: 'resolve_person', args: { name: 'Coffin' } }, { answer: 'One candidate, needs review.' }])).ask('Coffin?');
+  check('uncited answer falls back to last tool refs, not grounded', b.grounded === false && b.citations[0].table === 'canonical_persons' && b.citations[0].id === '1212');
+
+  // ── write refusal / curator write ───────────────────────────────────────
+  check('every shipped tool is read-only', Object.values(TOOLS).every(t => !t.write) && !/\[WRITE\]/.test(describeTools()));
+  const writes = [];
+  const withWrite = { ...TOOLS, tag_person: { write: true, description: 'test write', params: {},
+    async run(ctx, args) { writes.push(args); return { data: { tagged: true }, citations: [] }; } } };
+  const writeStep = [{ tool: 'tag_person', args: { canonicalPersonId: 1212 } }, { answer: 'Tagged.' }];
+  const wdb = fakeDb();
+  const anon = await make(wdb, scripted(writeStep), withWrite).ask('Tag 1212');
+  const nonCurator = await make(wdb, scripted(writeStep), withWrite).ask('Tag 1212', { reviewer: finance });
+  check('write refused for anonymous and non-curator; tool never ran', anon.refused && nonCurator.refused && writes.length === 0
+    && wdb.messages.filter(m => m.refused).length === 4);
+  const cur = await make(wdb, scripted(writeStep), withWrite).ask('Tag 1212', { reviewer: curator });
+  check('curator write runs', !cur.refused && writes.length === 1 && writes[0].canonicalPersonId === 1212);
+
+  // ── unknown tool, step limit ────────────────────────────────────────────
+  const loop = scripted([{ tool: 'drop_table', args: {} }, { tool: 'database_stats', args: {} }]);
+  const c = await make(fakeDb(), loop).ask('How many?');
+  check('unknown tool reported to the planner', /unknown tool/.test(loop.prompts[1]));
+  check('step limit forces an answer', loop.prompts.length === MAX_STEPS + 1 && c.toolCalls.length === MAX_STEPS && typeof c.response === 'string');
+
+  // ── conversations ───────────────────────────────────────────────────────
+  const cdb = fakeDb();
+  const first = await make(cdb, scripted([{ answer: 'Hello.' }])).ask('First question', { reviewer: curator });
+  const follow = scripted([{ answer: 'Again.' }]);
+  await make(cdb, follow).ask('And the follow-up?', { conversationId: first.conversationId, reviewer: curator });
+  check('follow-up sees the conversation history', /USER: First question/.test(follow.prompts[0]) && /ASSISTANT: Hello\./.test(follow.prompts[0]));
+  let hidden = null;
+  try { await make(cdb, scripted([{ answer: 'x' }])).ask('peek', { conversationId: first.conversationId, reviewer: finance }); }
+  catch (e) { hidden = e; }
+  check("another reviewer cannot read a reviewer's conversation", hidden instanceof ChatError && hidden.httpStatus === 404);
+  let bad = null;
+  try { await make(cdb, scripted([{ answer: 'x' }])).ask('hi', { conversationId: 'default' }); } catch (e) { bad = e; }
+  check('legacy non-UUID session id refused', bad instanceof ChatError && bad.code === 'BAD_ID');
+
+  // ── living-person redaction ─────────────────────────────────────────────
+  const ctxAnon = { db: fakeDb(), reviewer: null, daa };
+  const lin = await TOOLS.lineage.run(ctxAnon, { slaveholderId: 140301 });
+  const linRev = await TOOLS.lineage.run({ ...ctxAnon, reviewer: curator }, { slaveholderId: 140301 });
+  check('anonymous lineage hides the living end of the path', lin.data.lineages[0].modern_person_name === null
+    && lin.data.lineages[0].lineage_path.join() === 'Child of GWB,George Washington Biscoe' && linRev.data.lineages[0].lineage_path.length === 5);
+  const d = await TOOLS.daa_summary.run(ctxAnon, { slaveholderName: 'Hopewell' });
+  check('anonymous DAA summary hides the acknowledger', d.data.daas[0].acknowledger_name === null && d.data.daas[0].total_debt === 1000);
+
+  let llmDown = null;
+  try { await make(fakeDb(), async () => { throw new Error('all providers failed'); }).ask('hello'); } catch (e) { llmDown = e; }
+  check('LLM outage is a 503, not a crash', llmDown instanceof ChatError && llmDown.httpStatus === 503);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('ERROR', e); process.exit(2); });
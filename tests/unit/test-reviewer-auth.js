@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * test-reviewer-auth.js — ReviewerService and the role middleware (M115).
+ *
+ * Fake db holding reviewers and review_decisions in memory; fake req/res for
+ * src/middleware/admin-auth.js. Verifies:
+ *   - scrypt hash round-trip; wrong password and foreign hash formats refused
+ *   - create validates username, password length and roles; duplicate → 409
+ *   - authenticate issues a reviewer JWT; resolveToken re-reads the account,
+ *     so deactivation and role changes apply to an already-issued token
+ *   - requireRole: 401 without / with a bad token in production, dev admits
+ *     token-less requests, 403 on a missing role, next() with req.reviewer set
+ *   - isAdmin resolves the account, so a deactivated reviewer's token is refused
+ *   - recordDecision stamps the reviewer and never throws
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-reviewer-auth.js
+ */
+'use strict';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-reviewer-auth';
+const { issueToken } = require('../../middleware/auth');
+const ReviewerService = require('../../src/services/ReviewerService');
+const { ReviewerError } = require('../../src/services/ReviewerService');
+const { requireRole, requireReviewer, isAdmin, setReviewerService } = require('../../src/middleware/admin-auth');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const reviewers = [];
+const decisions = [];
+let failDecisions = false;
+const db = {
+  async query(sql, params = []) {
+    const q = sql.replace(/\s+/g, ' ').trim();
+    if (q.startsWith('INSERT INTO reviewers')) {
+      if (reviewers.some(r => r.username === params[0])) throw Object.assign(new Error('dup'), { code: '23505' });
+      const row = {
+        id: reviewers.length + 1, username: params[0], display_name: params[1], email: params[2],
+        password_hash: params[3], roles: params[4], created_by: params[5], active: true,
+        created_at: new Date(), last_login_at: null,
+      };
+      reviewers.push(row);
+      return { rows: [row] };
+    }
+    if (q.startsWith('SELECT * FROM reviewers WHERE username = $1 AND active = TRUE')) {
+      return { rows: reviewers.filter(r => r.username === params[0] && r.active) };
+    }
+    if (q.startsWith('SELECT * FROM reviewers WHERE id = $1 AND active = TRUE')) {
+      return { rows: reviewers.filter(r => r.id === params[0] && r.active) };
+    }
+    if (q.startsWith('UPDATE reviewers SET last_login_at')) {
+      reviewers.find(r => r.id === params[0]).last_login_at = new Date();
+      return { rows: [] };
+    }
+    if (q.startsWith('UPDATE reviewers SET')) {
+      const row = reviewers.find(r => r.id === params[0]);
+      if (!row) return { rows: [] };
+      for (const m of q.matchAll(/(\w+) = \$(\d+)/g)) {
+        if (m[1] !== 'id') row[m[1]] = params[Number(m[2]) - 1];
+      }
+      return { rows: [row] };
+    }
+    if (q.startsWith('INSERT INTO review_decisions')) {
+      if (failDecisions) throw new Error('relation "review_decisions" does not exist');
+      decisions.push({ reviewer_id: params[0], reviewer_username: params[1], queue: params[2],
+        item_id: params[3], action: params[4], canonical_person_id: params[5], detail: params[6] });
+      return { rows: [] };
+    }
+    throw new Error(`unexpected query: ${q.slice(0, 80)}`);
+  },
+};
+
+async function rejects(fn, status) {
+  try { await fn(); return false; } catch (e) { return e instanceof ReviewerError && e.httpStatus === status; }
+}
+
+// Run a middleware against a fake request; resolves with { status, body, next, req }.
+function run(mw, token) {
+  return new Promise(resolve => {
+    const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+    const res = {
+      statusCode: 200,
+      status(c) { this.statusCode = c; return this; },
+      json(b) { resolve({ status: this.statusCode, body: b, next: false, req }); },
+    };
+    mw(req, res, () => resolve({ status: 200, next: true, req }));
+  });
+}
+
+(async () => {
+  const hash = ReviewerService.hashPassword('correct horse battery');
+  check('hash is scrypt$salt$hash', /^scrypt\$[^$]+\$[^$]+$/.test(hash));
+  check('password verifies', ReviewerService.verifyPassword('correct horse battery', hash));
+  check('wrong password refused', !ReviewerService.verifyPassword('correct horse batterY', hash));
+  check('non-scrypt hash refused', !ReviewerService.verifyPassword('x', 'md5$abc$def'));
+
+  const svc = new ReviewerService(db);
+  setReviewerService(svc);
+
+  check('bad username → 400', await rejects(() => svc.create({ username: 'Bad Name', password: 'x'.repeat(12), roles: ['curator'] }), 400));
+  check('short password → 400', await rejects(() => svc.create({ username: 'ann', password: 'short', roles: ['curator'] }), 400));
+  check('unknown role → 400', await rejects(() => svc.create({ username: 'ann', password: 'x'.repeat(12), roles: ['admin'] }), 400));
+
+  const ann = await svc.create({ username: 'Ann', password: 'ann-password-1', roles: 'curator, genealogist', createdBy: 'test' });
+  check('create lowercases username and splits roles', ann.username === 'ann' && ann.roles.join() === 'curator,genealogist');
+  check('public shape has no password hash', !('password_hash' in ann) && !('passwordHash' in ann));
+  check('duplicate username → 409', await rejects(() => svc.create({ username: 'ann', password: 'x'.repeat(12), roles: [] }), 409));
+  const ops = await svc.create({ username: 'ops', password: 'ops-password-1', roles: ['operator'] });
+
+  check('bad password → null', (await svc.authenticate('ann', 'nope')) === null);
+  const session = await svc.authenticate('ANN', 'ann-password-1');
+  check('authenticate → token + reviewer', session && typeof session.token === 'string' && session.reviewer.id === ann.id);
+  check('login stamps last_login_at', !!reviewers[0].last_login_at);
+  check('resolveToken → reviewer', (await svc.resolveToken(session.token))?.username === 'ann');
+  check('non-reviewer JWT refused', (await svc.resolveToken(issueToken({ id: ann.id, type: 'user' }))) === null);
+  check('garbage token refused', (await svc.resolveToken('not.a.jwt')) === null);
+
+  const savedEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  const curator = requireRole('curator');
+  let r = await run(curator, null);
+  check('production: no token → 401', r.status === 401 && !r.next);
+  r = await run(curator, 'not.a.jwt');
+  check('bad token → 401', r.status === 401);
+  r = await run(curator, session.token);
+  check('curator passes with req.reviewer', r.next && r.req.reviewer.username === 'ann');
+  const opsSession = await svc.authenticate('ops', 'ops-password-1');
+  r = await run(curator, opsSession.token);
+  check('operator on curator route → 403', r.status === 403 && /curator/.test(r.body.error));
+  r = await run(requireReviewer, opsSession.token);
+  check('requireReviewer admits any role', r.next);
+
+  await svc.update(ann.id, { roles: ['genealogist'] });
+  r = await run(curator, session.token);
+  check('role removal applies to an issued token', r.status === 403);
+  await svc.update(ann.id, { active: false });
+  r = await run(requireRole('genealogist'), session.token);
+  check('deactivation applies to an issued token', r.status === 401);
+  check('deactivated account cannot log in', (await svc.authenticate('ann', 'ann-password-1')) === null);
+
+  check('isAdmin: reviewer token', await isAdmin({ headers: { authorization: `Bearer ${opsSession.token}` } }));
+  check('isAdmin: deactivated reviewer token', !(await isAdmin({ headers: { authorization: `Bearer ${session.token}` } })));
+  check('isAdmin: no token in production', !(await isAdmin({ headers: {} })));
+
+  process.env.NODE_ENV = 'development';
+  const warn = console.warn; console.warn = () => {};
+  r = await run(requireRole('finance'), null);
+  console.warn = warn;
+  check('dev: no token admitted as dev with every role', r.next && r.req.reviewer.username === 'dev');
+  r = await run(requireRole('finance'), opsSession.token);
+  check('dev: a token is still role-checked', r.status === 403);
+  process.env.NODE_ENV = savedEnv;
+
+  let threw = false;
+  try { requireRole('admin'); } catch { threw = true; }
+  check('requireRole rejects unknown roles at setup', threw);
+
+  await svc.recordDecision(ops, { queue: 'enslaver_candidates', itemId: 42, action: 'approve', canonicalPersonId: '7', detail: { x: 1 } });
+  const d = decisions[0];
+  check('decision stamped with reviewer', d && d.reviewer_id === ops.id && d.reviewer_username === 'ops'
+    && d.item_id === '42' && d.canonical_person_id === 7);
+  failDecisions = true;
+  const err = console.error; console.error = () => {};
+  let recordThrew = false;
+  try { await svc.recordDecision(ops, { queue: 'ops', action: 'restart' }); } catch { recordThrew = true; }
+  console.error = err;
+  check('recordDecision failure is non-fatal', !recordThrew);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); process.exit(2); });
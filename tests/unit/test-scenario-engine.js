@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * test-scenario-engine.js — ScenarioEngine sensitivity table + tornado.
+ *
+ * Fixture: two slaveholders, three enslaved persons, a participant with income
+ * and net worth. Runs the real DAAOrchestrator.calculateTotalDebt /
+ * DAAGenerator / WealthGapCalculator / ObligationReconciler with a proxy-only
+ * RateResolver (no anchor rows), so every family falls back to its
+ * MACRO.SCENARIO_RATES default.
+ *
+ * Pure in-memory; no database.
+ *
+ *   node tests/unit/test-scenario-engine.js
+ */
+'use strict';
+// DAAOrchestrator pulls in the climber agent, which refuses to load without a
+// DATABASE_URL. Nothing in this test connects.
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://unused/scenario-engine-test';
+const DAAOrchestrator = require('../../src/services/reparations/DAAOrchestrator');
+const DAAGenerator = require('../../src/services/reparations/DAAGenerator');
+const RateResolver = require('../../src/services/reparations/rate-resolver');
+const ScenarioEngine = require('../../src/services/reparations/ScenarioEngine');
+const MACRO = require('../../src/services/reparations/macro-config');
+
+let passed = 0, failed = 0;
+function check(name, cond) {
+  if (cond) { passed++; console.log(`  ok   ${name}`); }
+  else { failed++; console.log(`  FAIL ${name}`); }
+}
+
+const person = (name, years, start) => ({ enslaved_name: name, years_enslaved: years, start_year: start, relationship_type: 'enslaved_by' });
+const SLAVEHOLDERS = [
+  { slaveholder: { slaveholder_name: 'Test Holder A' }, enslavedPersons: [person('Hannah', 30, 1820), person('Moses', 12, 1840)] },
+  { slaveholder: { slaveholder_name: 'Test Holder B' }, enslavedPersons: [person('Dinah', 25, 1825)] },
+];
+const FINANCIALS = { annualIncome: 90000, netWorth: 600000 };
+
+(async () => {
+  const orchestrator = new DAAOrchestrator(null, new DAAGenerator(null), null);
+  const engine = new ScenarioEngine(null, orchestrator, { rateResolver: new RateResolver(null) });
+
+  const issued = await orchestrator.calculateTotalDebt(SLAVEHOLDERS, FINANCIALS);
+  const out = await engine.run(SLAVEHOLDERS, FINANCIALS);
+
+  check('baseline reproduces the issued recommendedDebt',
+    out.baseline.recommended === Math.round(issued.recommendedDebt * 100) / 100);
+  check('baseline is the Craemer floor + SCF', out.baseline.compoundRate === MACRO.RATES.craemerCompound.value
+    && out.baseline.darityOperationalization === 'scf_wealth_gap');
+  check('12 rows (6 families × 2 operationalizations)', out.table.length === 12);
+  check('unanchored families use scenario defaults',
+    Object.entries(out.rates).every(([f, r]) => r.basis === 'scenario_default' && r.rate === MACRO.SCENARIO_RATES[f].value));
+
+  const scf = out.table.filter(r => r.darityOperationalization === 'scf_wealth_gap');
+  check('Craemer rises monotonically with family aggressiveness',
+    scf.every((r, i) => i === 0 || r.craemer > scf[i - 1].craemer));
+  check('wealth-gap share does not depend on the rate family', new Set(scf.map(r => r.wealthGap)).size === 1);
+  const pair = out.table.filter(r => r.rateFamily === 'bond_yield');
+  check('demographic per-capita ($350k) share exceeds SCF ($210k)',
+    pair.find(r => r.darityOperationalization === 'percapita_demographic').wealthGap
+      > pair.find(r => r.darityOperationalization === 'scf_wealth_gap').wealthGap);
+
+  check('range brackets every table row',
+    out.table.every(r => r.recommended >= out.range.min && r.recommended <= out.range.max));
+  check('tornado has one bar per parameter',
+    out.tornado.map(t => t.parameter).sort().join() === 'compound_rate_family,darity_operationalization,darity_percapita_band');
+  check('tornado sorted by swing, largest first',
+    out.tornado.every((t, i) => i === 0 || t.swing <= out.tornado[i - 1].swing));
+  check('tornado low ≤ high and swing = high − low',
+    out.tornado.every(t => t.lowTotal <= t.highTotal && Math.abs(t.swing - (t.highTotal - t.lowTotal)) < 0.01));
+
+  const overridden = await engine.run(SLAVEHOLDERS, FINANCIALS, { rates: { enterprise_roi: 0.02 } });
+  check('caller override replaces one family only',
+    overridden.rates.enterprise_roi.basis === 'override' && overridden.rates.bond_yield.basis === 'scenario_default');
+
+  let threw = false;
+  try { await orchestrator.calculateTotalDebt(SLAVEHOLDERS, FINANCIALS, { darityOperationalization: 'nope' }); }
+  catch (e) { threw = /Unknown Darity operationalization/.test(e.message); }
+  check('unknown Darity operationalization is rejected', threw);
+
+  console.log(`\n  ${passed}/${passed + failed} passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(e => { console.error('  ERROR:', e.message); process.exit(2); });